@@ -9,18 +9,67 @@ import { StorageService } from './js/storage.js';
 import { TimeEntry, ENTRY_TYPES, isBreakStart, isBreakEnd } from './js/time-entry.js';
 import { TimeCalculator } from './js/calculator.js';
 import { TimeTrackerUI } from './js/ui.js';
-import { getTodayDateString } from './js/utils.js';
+import { getTodayDateString, formatDate, setTimeZone, getTimeZone, addDays, getDayBounds } from './js/utils.js';
 import { Project } from './js/project.js';
 import { ProjectSession } from './js/project-session.js';
 import { ProjectsUI } from './js/projects-ui.js';
 import { ProjectTimer } from './js/timer.js';
 import { ProjectTimerUI } from './js/project-timer-ui.js';
-import { WeeklyReportCalculator } from './js/weekly-report.js';
+import { WeeklyReportCalculator, ArchiveFilter } from './js/weekly-report.js';
 import { ReportsUI } from './js/reports-ui.js';
 import { EntriesManagementUI } from './js/entries-management-ui.js';
 import { SessionsManagementUI } from './js/sessions-management-ui.js';
-import { EditSessionPopover, ExportPopover } from './js/popover.js';
+import {
+    EditSessionPopover,
+    ExportPopover,
+    ImportPopover,
+    AuditLogPopover,
+    IntegrityPopover,
+    EncryptionPopover,
+    BackupsPopover,
+    StoragePopover,
+    SyncPopover,
+    WorkSchedulePopover,
+    AbsencesPopover,
+    OvertimeLedgerPopover,
+    ComplianceRulesPopover,
+    RecoveryPopover,
+    RoundingPopover,
+    StopTimerPopover,
+    NotesSearchPopover
+} from './js/popover.js';
+import { DataExporter, ExportType, ExportFormat } from './js/data-export.js';
+import { DataImporter, ImportMode } from './js/data-import.js';
 import { DayTimeline } from './js/day-timeline.js';
+import { CommandHistory, HistoryDirection, HISTORY_STORAGE_KEY, createChange } from './js/history.js';
+import { STORES } from './js/migrations.js';
+import { checkIntegrity } from './js/integrity.js';
+import { findChangeViolation } from './js/entry-sequence.js';
+import { TabSync, SyncMessageType, SYNC_REFRESH_DELAY } from './js/tab-sync.js';
+import { Absence, listAbsenceDays } from './js/absence.js';
+import { LockScreen } from './js/lock-screen.js';
+import { BackupTrigger, BACKUP_CHECK_INTERVAL, isBackupDue, createBackupRecord, summarizeBackup } from './js/backups.js';
+import {
+    getDateYear,
+    getArchivableYears,
+    getArchivedYearsInRange,
+    readArchivedPeriod,
+    sumArchivedTime
+} from './js/archive.js';
+import { SyncEngine, SyncStatus, SYNC_INTERVAL, getSyncStatus, getSyncStatusLabel } from './js/sync.js';
+import { buildOvertimeHistory, summarizeOvertimePeriod } from './js/overtime.js';
+import { ComplianceChecker } from './js/compliance.js';
+import { DEFAULT_ROUNDING_SETTINGS, isRoundingActive, roundSessionDurations } from './js/rounding.js';
+import { normalizeNote, searchNotes } from './js/notes.js';
+import { DEFAULT_LOCATION_SETTINGS, getDefaultLocation, getWorkLocationLabel } from './js/work-location.js';
+import {
+    RECOVERY_LOOKBACK_DAYS,
+    findUnfinishedDays,
+    getUsualLeaveTime,
+    getClosingTime,
+    closeUnfinishedDay,
+    getRecoveryStrategyLabel
+} from './js/recovery.js';
 
 /**
  * Contrôleur principal de l'application
@@ -34,23 +83,50 @@ class App {
         this.projectsUI = new ProjectsUI();
         this.timer = null; // Initialisé après storage
         this.timerUI = new ProjectTimerUI();
-        this.reportCalculator = new WeeklyReportCalculator();
+        this.reportCalculator = new WeeklyReportCalculator(this.calculator);
         this.reportsUI = new ReportsUI();
         this.entriesManagementUI = new EntriesManagementUI();
         this.sessionsManagementUI = new SessionsManagementUI();
         this.dayTimeline = new DayTimeline();
+        this.dataExporter = new DataExporter();
+        this.dataImporter = new DataImporter();
+        this.history = new CommandHistory();
+        this.tabSync = new TabSync();
+        this.syncEngine = new SyncEngine(this.storage);
+        this.complianceChecker = new ComplianceChecker(this.calculator);
 
         // État
         this.todayEntries = [];
         this.projects = [];
+        this.archivedProjects = [];
         this.todaySessions = [];
+        this.carriedOverSessions = []; // Sessions de la veille qui se poursuivent aujourd'hui
+        this.complianceContext = { weekPresence: 0, previousClockOut: null }; // Jours précédents (alertes en direct)
+        this.usualLeaveTime = null; // Heure de départ proposée pour fermer une journée oubliée (HH:MM)
+        this.archivedYears = []; // Années déplacées dans les archives annuelles
+        this.archiveCache = new Map(); // Contenus d'archives déjà lus (par année)
+
+        // Pages chargées dans les vues de gestion (lecture paginée)
+        this.managedEntries = [];
+        this.managedEntriesCursor = null;
+        this.managedSessions = [];
+        this.managedSessionsCursor = null;
         this.updateInterval = null;
+        this.syncRefreshTimeout = null; // Rechargement demandé par un autre onglet
+        this.backupInterval = null; // Vérification périodique des sauvegardes automatiques
+        this.syncInterval = null; // Synchronisation périodique avec le serveur
 
         // État des rapports
         this.currentPeriodType = 'week'; // 'week' ou 'month'
         this.currentPeriodStart = null;
         this.currentPeriodEnd = null;
         this.currentReport = null;
+        this.currentReportArchived = false; // Le rapport contient des données archivées
+        this.reportArchiveFilter = ArchiveFilter.ALL;
+        this.overtime = null; // Compteur d'heures ({ledger, startDate, history}), null sans données
+        this.currentCompliance = []; // Dépassements du temps de travail sur la période
+        this.roundingSettings = DEFAULT_ROUNDING_SETTINGS; // Arrondis des rapports et des exports
+        this.locationSettings = DEFAULT_LOCATION_SETTINGS; // Lieu de travail proposé pour chaque jour
 
         // Initialisation
         this.init();
@@ -63,11 +139,35 @@ class App {
         try {
             console.log('🚀 Claude Time Tracker - Démarrage...');
 
+            // Fuseau horaire utilisé pour rattacher les pointages à un jour
+            this.applyTimeZoneSetting();
+
             // Initialiser IndexedDB
             await this.storage.init();
 
+            // Données chiffrées : rien n'est lu avant la saisie de la phrase secrète
+            if (this.storage.isLocked()) {
+                await new LockScreen((passphrase) => this.storage.unlock(passphrase)).show();
+            }
+            this.applyHistoryPersistence();
+
+            // Prévenir les autres onglets de chaque écriture
+            this.storage.onChange = (stores) => {
+                this.tabSync.publish(SyncMessageType.DATA_CHANGED, { stores });
+            };
+            await this.repairDateKeys();
+
+            // Horaires de travail (objectif de présence de chaque jour), règles du temps de travail et arrondis
+            await this.loadWorkSchedules();
+            await this.loadComplianceRules();
+            await this.loadRoundingSettings();
+
+            // Journées oubliées : fermées avant que le timer ne reprenne leurs sessions
+            const unfinishedDays = await this.detectUnfinishedDays();
+
             // Initialiser le timer
             this.timer = new ProjectTimer(this.storage);
+            this.timer.exclusive = (task) => this.tabSync.runExclusive('timer', task);
             await this.timer.init();
 
             // Initialiser l'UI
@@ -79,6 +179,9 @@ class App {
             this.sessionsManagementUI.init();
             this.dayTimeline.init();
 
+            // Lieu de travail proposé pour l'arrivée du jour (sélecteur créé par l'UI)
+            await this.loadLocationSettings();
+
             // Charger les données du jour
             await this.loadTodayData();
 
@@ -88,6 +191,9 @@ class App {
             // Charger les sessions du jour
             await this.loadTodaySessions();
 
+            // Années archivées (relues à la demande par les rapports)
+            await this.loadArchivedYears();
+
             // Initialiser et charger le rapport de la semaine courante
             await this.loadCurrentReport();
 
@@ -97,10 +203,21 @@ class App {
             this.setupTimerEventListeners();
             this.setupReportsEventListeners();
             this.setupEntriesManagementEventListeners();
+            this.setupHistoryEventListeners();
+            this.setupTabSync();
 
             // Démarrer la mise à jour en temps réel
             this.startRealtimeUpdate();
 
+            // Sauvegardes automatiques (vérifiées au démarrage puis toutes les heures)
+            this.startBackupSchedule();
+
+            // Synchronisation entre appareils (si elle est activée)
+            this.startSyncSchedule();
+
+            // Demander comment fermer les journées oubliées restantes
+            this.openRecoveryPopover(unfinishedDays);
+
             console.log('✅ Application démarrée avec succès');
         } catch (error) {
             console.error('❌ Erreur lors de l\'initialisation:', error);
@@ -108,6 +225,57 @@ class App {
         }
     }
 
+    // ======================
+    // Fuseau horaire
+    // ======================
+
+    /**
+     * Applique le fuseau horaire configuré (localStorage 'timeZone', ex: 'Europe/Paris')
+     * Sans configuration, le fuseau du navigateur est utilisé.
+     */
+    applyTimeZoneSetting() {
+        const timeZone = localStorage.getItem('timeZone');
+        if (!timeZone) return;
+
+        try {
+            setTimeZone(timeZone);
+            console.log(`🕐 Fuseau horaire configuré: ${timeZone}`);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}, utilisation du fuseau du navigateur`);
+        }
+    }
+
+    /**
+     * Corrige le jour des pointages et sessions si les clés ont été calculées
+     * dans un autre fuseau (migration des anciennes clés UTC ou changement de fuseau)
+     * et signale les jours concernés
+     */
+    async repairDateKeys() {
+        try {
+            const timeZone = getTimeZone();
+            const keyedTimeZone = localStorage.getItem('dateKeysTimeZone');
+            const changedDays = new Set(this.storage.migrationReport?.changedDays || []);
+
+            if (keyedTimeZone && keyedTimeZone !== timeZone) {
+                const result = await this.storage.rekeyDates();
+                result.changedDays.forEach(day => changedDays.add(day));
+                console.log(`🔧 Fuseau modifié (${keyedTimeZone} → ${timeZone}):`,
+                    `${result.entries} pointage(s), ${result.sessions} session(s) corrigé(s)`);
+            }
+
+            localStorage.setItem('dateKeysTimeZone', timeZone);
+
+            if (changedDays.size > 0) {
+                const days = [...changedDays].sort();
+                console.log('🔧 Jours recalculés:', days.join(', '));
+                const shown = days.length > 5 ? `${days.slice(0, 5).join(', ')}…` : days.join(', ');
+                this.ui.showSuccess(`Dates corrigées (${timeZone}) pour ${days.length} jour(s) : ${shown}`);
+            }
+        } catch (error) {
+            console.error('❌ Erreur lors du recalcul des dates:', error);
+        }
+    }
+
     // ======================
     // Chargement des données
     // ======================
@@ -119,6 +287,7 @@ class App {
         try {
             const today = getTodayDateString();
             this.todayEntries = await this.storage.getEntriesByDate(today);
+            await this.loadComplianceContext(today);
 
             console.log(`📅 ${this.todayEntries.length} pointage(s) chargé(s) pour aujourd'hui`);
 
@@ -134,14 +303,17 @@ class App {
      */
     async loadProjects() {
         try {
-            this.projects = await this.storage.getAllProjects();
+            [this.projects, this.archivedProjects] = await Promise.all([
+                this.storage.getAllProjects(),
+                this.storage.getArchivedProjects()
+            ]);
 
             // Trier les projets par ordre alphabétique
             this.projects.sort((a, b) =>
                 a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' })
             );
 
-            console.log(`📁 ${this.projects.length} projet(s) chargé(s)`);
+            console.log(`📁 ${this.projects.length} projet(s) chargé(s), ${this.archivedProjects.length} archivé(s)`);
 
             this.updateProjectsUI();
         } catch (error) {
@@ -157,6 +329,7 @@ class App {
         try {
             const today = getTodayDateString();
             this.todaySessions = await this.storage.getSessionsByDate(today);
+            this.carriedOverSessions = await this.getCarriedOverSessions(today);
 
             console.log(`⏱️ ${this.todaySessions.length} session(s) chargée(s) pour aujourd'hui`);
 
@@ -167,26 +340,49 @@ class App {
         }
     }
 
+    /**
+     * Récupère les sessions commencées la veille qui se poursuivent après minuit
+     * @param {string} date - Date au format YYYY-MM-DD
+     * @returns {Promise<ProjectSession[]>} Sessions de la veille qui débordent sur ce jour
+     */
+    async getCarriedOverSessions(date) {
+        const dayStart = getDayBounds(date).start;
+        const previousSessions = await this.storage.getSessionsByDate(addDays(date, -1));
+
+        return previousSessions.filter(session =>
+            !session.endTime || session.endTime > dayStart
+        );
+    }
+
     /**
      * Charge les données d'un jour spécifique pour la timeline
      * @param {string} date - Date au format YYYY-MM-DD
-     * @returns {Promise<Object>} Données du jour (entries, sessions, projects)
+     * @returns {Promise<Object>} Données du jour (date, entries, sessions, projects)
      */
     async loadDayData(date) {
         try {
+            if (this.archivedYears.includes(getDateYear(date))) {
+                return { date, ...await this.getArchivedPeriod(date, date) };
+            }
+
             const entries = await this.storage.getEntriesByDate(date);
-            const sessions = await this.storage.getSessionsByDate(date);
+            const sessions = [
+                ...await this.getCarriedOverSessions(date),
+                ...await this.storage.getSessionsByDate(date)
+            ];
 
             console.log(`📅 Chargement des données pour ${date}: ${entries.length} entrée(s), ${sessions.length} session(s)`);
 
             return {
+                date,
                 entries,
                 sessions,
-                projects: this.projects // Utiliser les projets déjà chargés
+                projects: this.getKnownProjects() // Utiliser les projets déjà chargés
             };
         } catch (error) {
             console.error('❌ Erreur lors du chargement des données du jour:', error);
             return {
+                date,
                 entries: [],
                 sessions: [],
                 projects: []
@@ -207,12 +403,14 @@ class App {
             // Si on démarre une pause, arrêter tous les timers de projet en cours
             if (isBreakStart(entryType) && this.timer.isRunning()) {
                 console.log('⏸️ Arrêt automatique des timers de projet lors de la pause');
-                // Sauvegarder les IDs de tous les projets actifs pour les redémarrer après la pause
-                const projectIds = this.timer.getCurrentProjectIds();
+                // stopAll relit la base : un autre onglet a pu démarrer ou arrêter des timers
+                const stoppedSessions = await this.timer.stopAll();
+
+                // Sauvegarder les IDs des projets arrêtés pour les redémarrer après la pause
+                const projectIds = stoppedSessions.map(session => session.projectId);
                 localStorage.setItem('pausedProjectIds', JSON.stringify(projectIds));
                 console.log('💾 Projets sauvegardés pour reprise automatique:', projectIds);
 
-                await this.timer.stopAll();
                 await this.updateProjectsUI();
             }
 
@@ -230,27 +428,23 @@ class App {
                 const entry = new TimeEntry(entryType, clockOutTime);
                 await this.storage.saveEntry(entry);
                 this.todayEntries.push(entry);
+                this.recordHistory('Départ', [createChange(STORES.TIME_ENTRIES, null, entry.toJSON())]);
 
                 // Mettre à jour tous les affichages
                 await this.updateAllDisplays();
 
-                this.ui.showSuccess('Départ enregistré');
+                this.showUndoableSuccess('Départ enregistré');
                 console.log('✅ Pointage enregistré:', entryType);
                 return;
             }
 
             // Si on termine une pause, redémarrer les projets qui étaient actifs avant la pause
             if (isBreakEnd(entryType)) {
-                // Essayer d'abord le nouveau format (tableau), puis l'ancien format (string unique)
-                const pausedProjectIdsStr = localStorage.getItem('pausedProjectIds');
-                const legacyPausedProjectId = localStorage.getItem('pausedProjectId');
-
-                let pausedProjectIds = [];
-                if (pausedProjectIdsStr) {
-                    pausedProjectIds = JSON.parse(pausedProjectIdsStr);
-                } else if (legacyPausedProjectId) {
-                    pausedProjectIds = [legacyPausedProjectId];
-                }
+                // Lire et vider la liste en une fois : un seul onglet reprend les projets
+                const pausedProjectIds = await this.tabSync.runExclusive(
+                    'paused-projects',
+                    async () => this.takePausedProjectIds()
+                );
 
                 if (pausedProjectIds.length > 0) {
                     console.log('▶️ Reprise automatique des projets après la pause:', pausedProjectIds);
@@ -258,6 +452,7 @@ class App {
                     const entry = new TimeEntry(entryType);
                     await this.storage.saveEntry(entry);
                     this.todayEntries.push(entry);
+                    this.recordHistory('Fin de pause', [createChange(STORES.TIME_ENTRIES, null, entry.toJSON())]);
 
                     // Ensuite redémarrer tous les projets
                     let restartedCount = 0;
@@ -274,32 +469,30 @@ class App {
                     await this.loadTodaySessions();
                     await this.updateAllDisplays();
 
-                    // Nettoyer le localStorage
-                    localStorage.removeItem('pausedProjectIds');
-                    localStorage.removeItem('pausedProjectId');
-
                     if (restartedCount > 0) {
                         const message = restartedCount > 1
                             ? `Fin de pause enregistrée - ${restartedCount} projets redémarrés`
                             : 'Fin de pause enregistrée - Projet redémarré';
-                        this.ui.showSuccess(message);
+                        this.showUndoableSuccess(message);
                         console.log('✅ Pointage enregistré et projets redémarrés:', entryType);
                     } else {
-                        this.ui.showSuccess('Fin de pause enregistrée');
+                        this.showUndoableSuccess('Fin de pause enregistrée');
                         console.log('✅ Pointage enregistré:', entryType);
                     }
                     return;
                 }
             }
 
-            // Créer l'entrée
-            const entry = new TimeEntry(entryType);
+            // Créer l'entrée (une arrivée porte le lieu choisi à côté du bouton)
+            const location = entryType === ENTRY_TYPES.CLOCK_IN ? this.ui.getClockInLocation() : null;
+            const entry = new TimeEntry(entryType, new Date(), '', location);
 
             // Sauvegarder dans IndexedDB
             await this.storage.saveEntry(entry);
 
             // Ajouter à la liste locale
             this.todayEntries.push(entry);
+            this.recordHistory('Pointage', [createChange(STORES.TIME_ENTRIES, null, entry.toJSON())]);
 
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
@@ -314,7 +507,7 @@ class App {
                 [ENTRY_TYPES.CLOCK_OUT]: 'Départ enregistré'
             };
 
-            this.ui.showSuccess(labels[entryType] || 'Pointage enregistré');
+            this.showUndoableSuccess(labels[entryType] || 'Pointage enregistré');
 
             console.log('✅ Pointage enregistré:', entryType);
         } catch (error) {
@@ -323,6 +516,28 @@ class App {
         }
     }
 
+    /**
+     * Lit puis efface les projets à reprendre après la pause
+     * @returns {string[]} IDs des projets arrêtés au début de la pause
+     */
+    takePausedProjectIds() {
+        // Essayer d'abord le nouveau format (tableau), puis l'ancien format (string unique)
+        const pausedProjectIdsStr = localStorage.getItem('pausedProjectIds');
+        const legacyPausedProjectId = localStorage.getItem('pausedProjectId');
+
+        let pausedProjectIds = [];
+        if (pausedProjectIdsStr) {
+            pausedProjectIds = JSON.parse(pausedProjectIdsStr);
+        } else if (legacyPausedProjectId) {
+            pausedProjectIds = [legacyPausedProjectId];
+        }
+
+        localStorage.removeItem('pausedProjectIds');
+        localStorage.removeItem('pausedProjectId');
+
+        return pausedProjectIds;
+    }
+
     /**
      * Modifie l'heure d'un pointage existant
      * @param {TimeEntry} entry - Pointage à modifier
@@ -350,11 +565,18 @@ class App {
             const newTimestamp = new Date(entry.timestamp);
             newTimestamp.setHours(hours, minutes, 0, 0);
 
+            // Refuser une heure qui casserait la séquence de la journée
+            const dayEntries = await this.storage.getEntriesByDate(entry.date);
+            const edited = dayEntries.map(e => e.id === entry.id ? { type: e.type, timestamp: newTimestamp } : e);
+            if (!await this.validateDaySequence(entry.date, edited)) return;
+
             // Mettre à jour le pointage
+            const before = entry.toJSON();
             entry.updateTimestamp(newTimestamp);
 
-            // Sauvegarder dans IndexedDB
-            await this.storage.saveEntry(entry);
+            // Sauvegarder dans IndexedDB (modification tracée dans le journal)
+            await this.storage.saveEntry(entry, { audit: 'Modification du pointage' });
+            this.recordHistory('Modification du pointage', [createChange(STORES.TIME_ENTRIES, before, entry.toJSON())]);
 
             // Recharger les données
             await this.loadTodayData();
@@ -362,7 +584,7 @@ class App {
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.ui.showSuccess('Pointage modifié');
+            this.showUndoableSuccess('Pointage modifié');
 
             console.log('✅ Pointage modifié:', entry.id);
         } catch (error) {
@@ -371,17 +593,85 @@ class App {
         }
     }
 
+    /**
+     * Modifie la note d'un pointage (une note vide la supprime)
+     * @param {TimeEntry} entry - Pointage à modifier
+     */
+    async editEntryNote(entry) {
+        try {
+            const input = prompt('Note du pointage (laisser vide pour la supprimer) :', entry.note || '');
+            if (input === null) return;
+
+            const note = normalizeNote(input);
+            if (note === entry.note) return;
+
+            const before = entry.toJSON();
+            entry.note = note;
+
+            // Sauvegarder dans IndexedDB (modification tracée dans le journal)
+            await this.storage.saveEntry(entry, { audit: 'Modification de la note' });
+            this.recordHistory('Modification de la note', [createChange(STORES.TIME_ENTRIES, before, entry.toJSON())]);
+
+            if (entry.date === getTodayDateString()) {
+                await this.loadTodayData();
+                this.updateUI();
+            }
+
+            this.showUndoableSuccess(note ? 'Note enregistrée' : 'Note supprimée');
+
+            console.log('✅ Note du pointage modifiée:', entry.id);
+        } catch (error) {
+            console.error('❌ Erreur lors de la modification de la note:', error);
+            this.ui.showError(error.message || 'Erreur lors de la modification de la note');
+        }
+    }
+
+    /**
+     * Modifie le lieu de travail d'une arrivée
+     * @param {TimeEntry} entry - Arrivée à modifier
+     * @param {string|null} location - Nouveau lieu (WorkLocation), null pour l'effacer
+     */
+    async changeEntryLocation(entry, location) {
+        try {
+            if (location === entry.location) return;
+
+            const before = entry.toJSON();
+            entry.updateLocation(location);
+
+            // Sauvegarder dans IndexedDB (modification tracée dans le journal)
+            await this.storage.saveEntry(entry, { audit: 'Modification du lieu de travail' });
+            this.recordHistory('Modification du lieu de travail', [createChange(STORES.TIME_ENTRIES, before, entry.toJSON())]);
+
+            if (entry.date === getTodayDateString()) {
+                await this.loadTodayData();
+                this.updateUI();
+            }
+
+            this.showUndoableSuccess(location ? `Lieu de travail : ${getWorkLocationLabel(location)}` : 'Lieu de travail effacé');
+
+            console.log('✅ Lieu de travail modifié:', entry.id);
+        } catch (error) {
+            console.error('❌ Erreur lors de la modification du lieu de travail:', error);
+            this.ui.showError(error.message || 'Erreur lors de la modification du lieu de travail');
+        }
+    }
+
     /**
      * Supprime un pointage
      * @param {TimeEntry} entry - Pointage à supprimer
      */
     async deleteEntry(entry) {
         try {
+            // Refuser une suppression qui casserait la séquence de la journée ou du lendemain
+            const dayEntries = await this.storage.getEntriesByDate(entry.date);
+            if (!await this.validateDaySequence(entry.date, dayEntries.filter(e => e.id !== entry.id))) return;
+
             const confirm = window.confirm('Êtes-vous sûr de vouloir supprimer ce pointage ?');
             if (!confirm) return;
 
-            // Supprimer de IndexedDB
-            await this.storage.deleteEntry(entry.id);
+            // Supprimer de IndexedDB (suppression tracée dans le journal)
+            await this.storage.deleteEntry(entry.id, { audit: 'Suppression du pointage' });
+            this.recordHistory('Suppression du pointage', [createChange(STORES.TIME_ENTRIES, entry.toJSON(), null)]);
 
             // Retirer de la liste locale
             this.todayEntries = this.todayEntries.filter(e => e.id !== entry.id);
@@ -389,7 +679,7 @@ class App {
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.ui.showSuccess('Pointage supprimé');
+            this.showUndoableSuccess('Pointage supprimé');
 
             console.log('✅ Pointage supprimé:', entry.id);
         } catch (error) {
@@ -398,36 +688,83 @@ class App {
         }
     }
 
+    /**
+     * Affiche le journal des modifications d'un pointage
+     * @param {TimeEntry} entry - Pointage concerné
+     */
+    async showEntryHistory(entry) {
+        try {
+            const records = await this.storage.getAuditLog(entry.id);
+            const popover = new AuditLogPopover('Historique du pointage', records);
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement du journal:', error);
+            this.ui.showError('Erreur lors du chargement du journal des modifications');
+        }
+    }
+
+    /**
+     * Vérifie la séquence des pointages d'une journée après un ajout, une modification ou une suppression
+     * La plage restée ouverte la veille est reprise (départ d'un travail de nuit), et le lendemain
+     * est vérifié à son tour : il peut reprendre une plage de la journée modifiée.
+     * Affiche la règle enfreinte et la correction suggérée.
+     * @param {string} date - Date de la journée (YYYY-MM-DD)
+     * @param {Object[]} entries - Pointages de la journée après la modification
+     * @returns {Promise<boolean>} true si la séquence est valide
+     */
+    async validateDaySequence(date, entries) {
+        const [previous, before, next] = await Promise.all([
+            this.storage.getEntriesByDate(addDays(date, -1)),
+            this.storage.getEntriesByDate(date),
+            this.storage.getEntriesByDate(addDays(date, 1))
+        ]);
+        const violation = findChangeViolation(entries, { before, previous, next });
+        if (violation) {
+            this.ui.showError(`${violation.message}. ${violation.suggestion}`);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Ajoute un nouveau pointage
-     * @param {Object} entryData - Données du pointage (type, timestamp)
+     * @param {Object} entryData - Données du pointage (type, timestamp, note, location)
+     * @returns {Promise<boolean>} true si le pointage a été ajouté
      */
     async addEntry(entryData) {
         try {
             // Créer la nouvelle entrée
-            const entry = new TimeEntry(entryData.type, entryData.timestamp);
+            const entry = new TimeEntry(
+                entryData.type,
+                entryData.timestamp,
+                normalizeNote(entryData.note),
+                entryData.type === ENTRY_TYPES.CLOCK_IN ? entryData.location || null : null
+            );
 
-            // Sauvegarder dans IndexedDB
-            await this.storage.saveEntry(entry);
+            // Refuser un pointage qui casserait la séquence de la journée
+            const dayEntries = await this.storage.getEntriesByDate(entry.date);
+            if (!await this.validateDaySequence(entry.date, [...dayEntries, entry])) return false;
 
-            // Recharger les données du jour si c'est aujourd'hui
-            const entryDate = entry.date;
-            const today = new Date();
-            const todayStr = today.toISOString().split('T')[0];
+            // Sauvegarder dans IndexedDB (ajout a posteriori tracé dans le journal)
+            await this.storage.saveEntry(entry, { audit: 'Ajout du pointage' });
+            this.recordHistory('Ajout du pointage', [createChange(STORES.TIME_ENTRIES, null, entry.toJSON())]);
 
-            if (entryDate === todayStr) {
+            // Recharger les données du jour si c'est aujourd'hui
+            if (entry.date === getTodayDateString()) {
                 await this.loadTodayData();
             }
 
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.ui.showSuccess('Pointage ajouté');
+            this.showUndoableSuccess('Pointage ajouté');
 
             console.log('✅ Pointage ajouté:', entry.id);
+            return true;
         } catch (error) {
             console.error('❌ Erreur lors de l\'ajout:', error);
             this.ui.showError(error.message || 'Erreur lors de l\'ajout du pointage');
+            return false;
         }
     }
 
@@ -439,13 +776,7 @@ class App {
      * Met à jour l'interface utilisateur avec les données actuelles
      */
     updateUI() {
-        // Calculer le temps de présence
-        const presenceTime = this.calculator.calculatePresenceTime(this.todayEntries);
-        const percentage = this.calculator.getCompletionPercentage(presenceTime);
-        const remainingTime = this.calculator.getRemainingTime(presenceTime);
-
-        // Mettre à jour l'affichage du temps
-        this.ui.updatePresenceDisplay(presenceTime, percentage, remainingTime);
+        this.updatePresenceDisplay();
 
         // Déterminer l'état du jour
         const dayStatus = this.calculator.getDayStatus(this.todayEntries);
@@ -501,15 +832,24 @@ class App {
 
             // Seulement si la journée est en cours (pas terminée)
             if (dayStatus !== 'completed' && dayStatus !== 'not-started') {
-                const presenceTime = this.calculator.calculatePresenceTime(this.todayEntries);
-                const percentage = this.calculator.getCompletionPercentage(presenceTime);
-                const remainingTime = this.calculator.getRemainingTime(presenceTime);
-
-                this.ui.updatePresenceDisplay(presenceTime, percentage, remainingTime);
+                this.updatePresenceDisplay();
             }
         }, 1000);
     }
 
+    /**
+     * Met à jour le temps de présence du jour et sa progression vers l'objectif de l'horaire
+     */
+    updatePresenceDisplay() {
+        const today = getTodayDateString();
+        const presenceTime = this.calculator.calculatePresenceTime(this.todayEntries);
+        const percentage = this.calculator.getCompletionPercentage(presenceTime, today);
+        const remainingTime = this.calculator.getRemainingTime(presenceTime, today);
+
+        this.ui.updatePresenceDisplay(presenceTime, percentage, remainingTime, this.calculator.getDailyTarget(today));
+        this.ui.updateComplianceWarnings(this.complianceChecker.getLiveWarnings(this.todayEntries, this.complianceContext));
+    }
+
     // ======================
     // Gestion des projets
     // ======================
@@ -519,6 +859,16 @@ class App {
      */
     updateProjectsUI() {
         this.projectsUI.renderProjects(this.projects, this.todaySessions);
+        this.projectsUI.renderArchivedProjects(this.archivedProjects);
+    }
+
+    /**
+     * Retourne tous les projets connus, archivés compris
+     * À utiliser pour retrouver le nom ou la couleur du projet d'une session.
+     * @returns {Project[]}
+     */
+    getKnownProjects() {
+        return [...this.projects, ...this.archivedProjects];
     }
 
     /**
@@ -565,9 +915,11 @@ class App {
                 throw new Error('Projet non trouvé');
             }
 
+            const before = project.toJSON();
             project.updateName(newName);
 
             await this.storage.saveProject(project);
+            this.recordHistory('Renommage du projet', [createChange(STORES.PROJECTS, before, project.toJSON())]);
 
             // Trier les projets par ordre alphabétique
             this.projects.sort((a, b) =>
@@ -577,7 +929,7 @@ class App {
             // Mettre à jour TOUS les affichages (important si le modal est ouvert)
             await this.updateAllDisplays();
 
-            this.projectsUI.showSuccess(`Nom du projet modifié`);
+            this.showUndoableSuccess('Nom du projet modifié');
 
             console.log('✅ Nom du projet modifié:', projectId);
         } catch (error) {
@@ -587,35 +939,103 @@ class App {
     }
 
     /**
-     * Supprime un projet
-     * @param {string} projectId - ID du projet à supprimer
+     * Archive un projet (ses sessions restent dans les rapports)
+     * @param {string} projectId - ID du projet à archiver
      */
-    async deleteProject(projectId) {
+    async archiveProject(projectId) {
         try {
-            await this.storage.deleteProject(projectId);
+            if (this.timer && this.timer.getCurrentProjectIds().includes(projectId)) {
+                this.projectsUI.showError('Arrêtez le chronomètre de ce projet avant de l\'archiver');
+                return;
+            }
 
-            // Retirer de la liste locale
+            const before = this.projects.find(p => p.id === projectId)?.toJSON() || null;
+            const project = await this.storage.archiveProject(projectId);
+            if (before) {
+                this.recordHistory('Archivage du projet', [createChange(STORES.PROJECTS, before, project.toJSON())]);
+            }
+
+            // Déplacer vers la liste des projets archivés
             this.projects = this.projects.filter(p => p.id !== projectId);
+            this.archivedProjects = [project, ...this.archivedProjects];
 
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.projectsUI.showSuccess('Projet supprimé');
+            this.showUndoableSuccess(`Projet "${project.name}" archivé`);
+
+            console.log('✅ Projet archivé:', projectId);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'archivage du projet:', error);
+            this.projectsUI.showError('Erreur lors de l\'archivage du projet');
+        }
+    }
+
+    /**
+     * Restaure un projet archivé
+     * @param {string} projectId - ID du projet à restaurer
+     */
+    async unarchiveProject(projectId) {
+        try {
+            const before = this.archivedProjects.find(p => p.id === projectId)?.toJSON() || null;
+            const project = await this.storage.unarchiveProject(projectId);
+            if (before) {
+                this.recordHistory('Restauration du projet', [createChange(STORES.PROJECTS, before, project.toJSON())]);
+            }
+
+            this.archivedProjects = this.archivedProjects.filter(p => p.id !== projectId);
+            this.projects.push(project);
+            this.projects.sort((a, b) =>
+                a.name.localeCompare(b.name, 'fr', { sensitivity: 'base' })
+            );
+
+            await this.updateAllDisplays();
+
+            this.showUndoableSuccess(`Projet "${project.name}" restauré`);
+
+            console.log('✅ Projet restauré:', projectId);
+        } catch (error) {
+            console.error('❌ Erreur lors de la restauration du projet:', error);
+            this.projectsUI.showError('Erreur lors de la restauration du projet');
+        }
+    }
+
+    /**
+     * Supprime définitivement un projet archivé
+     * @param {Object} data - Données de suppression {projectId, reassignTo}
+     * @param {string} data.projectId - ID du projet à supprimer
+     * @param {string|null} data.reassignTo - ID du projet qui reçoit les sessions (null pour les supprimer)
+     */
+    async purgeProject({ projectId, reassignTo = null }) {
+        try {
+            const { deleted, reassigned } = await this.storage.purgeProject(projectId, { reassignTo });
+
+            // Le projet de destination a repris le temps des sessions réattribuées
+            await this.loadProjects();
+
+            // Les sessions du jour ont pu changer de projet ou disparaître
+            await this.loadTodaySessions();
+            await this.updateAllDisplays();
+
+            const target = this.getKnownProjects().find(p => p.id === reassignTo);
+            this.projectsUI.showSuccess(target
+                ? `Projet supprimé, ${reassigned} session(s) réattribuée(s) à "${target.name}"`
+                : `Projet supprimé avec ${deleted} session(s)`);
 
-            console.log('✅ Projet supprimé:', projectId);
+            console.log('✅ Projet supprimé définitivement:', projectId);
         } catch (error) {
-            console.error('❌ Erreur lors de la suppression du projet:', error);
-            this.projectsUI.showError('Erreur lors de la suppression du projet');
+            console.error('❌ Erreur lors de la suppression définitive du projet:', error);
+            this.projectsUI.showError('Erreur lors de la suppression définitive du projet');
         }
     }
 
     /**
      * Ajoute du temps rétroactif à un projet
-     * @param {Object} data - Données de la session {projectId, startTime, endTime, date}
+     * @param {Object} data - Données de la session {projectId, startTime, endTime, date, note}
      */
     async addRetroactiveTime(data) {
         try {
-            const { projectId, startTime, endTime, date } = data;
+            const { projectId, startTime, endTime, date, note } = data;
 
             // Vérifier que le projet existe
             const project = this.projects.find(p => p.id === projectId);
@@ -625,17 +1045,24 @@ class App {
 
             // Créer une session de projet avec les dates spécifiées
             const session = new ProjectSession(projectId, startTime, endTime);
+            session.note = normalizeNote(note);
 
-            // Sauvegarder la session
-            await this.storage.saveSession(session);
+            // Sauvegarder la session (ajout a posteriori tracé dans le journal)
+            await this.storage.saveSession(session, { audit: 'Ajout de temps rétroactif' });
 
             // Calculer la durée de la session
             const duration = session.getDuration();
 
             // Ajouter le temps au projet
+            const projectBefore = project.toJSON();
             project.addTime(duration);
             await this.storage.saveProject(project);
 
+            this.recordHistory('Ajout de temps', [
+                createChange(STORES.PROJECT_SESSIONS, null, session.toJSON()),
+                createChange(STORES.PROJECTS, projectBefore, project.toJSON())
+            ]);
+
             // Recharger les données
             await this.loadProjects();
             await this.loadTodaySessions();
@@ -648,7 +1075,7 @@ class App {
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.projectsUI.showSuccess(`Temps ajouté au projet "${project.name}"`);
+            this.showUndoableSuccess(`Temps ajouté au projet "${project.name}"`);
 
             console.log('✅ Temps rétroactif ajouté:', projectId, duration);
         } catch (error) {
@@ -705,7 +1132,10 @@ class App {
      */
     async stopTimerForProject(projectId) {
         try {
-            const session = await this.timer.stop(projectId);
+            const stop = await this.promptStopNote(projectId);
+            if (!stop) return;
+
+            const session = await this.timer.stop(stop.projectId, stop.endTime, stop.note);
 
             if (session) {
                 // Recharger les sessions et mettre à jour TOUS les affichages
@@ -722,6 +1152,34 @@ class App {
         }
     }
 
+    /**
+     * Demande la note de la session avant d'arrêter son chronomètre
+     * L'heure de fin est celle du clic, pas celle de la validation de la note.
+     * @param {string|null} projectId - ID du projet (première session si non fourni)
+     * @returns {Promise<{projectId: string|null, endTime: Date, note: string|null}|null>} null si l'arrêt est annulé
+     */
+    promptStopNote(projectId) {
+        const endTime = new Date();
+        const sessions = this.timer.getCurrentSessions();
+        const session = projectId ? sessions.find(s => s.projectId === projectId) : sessions[0];
+
+        // Aucune session : l'arrêt signale l'erreur habituelle
+        if (!session) {
+            return Promise.resolve({ projectId, endTime, note: null });
+        }
+
+        const project = this.getKnownProjects().find(p => p.id === session.projectId);
+
+        return new Promise(resolve => {
+            const popover = new StopTimerPopover(session, project?.name || 'Projet inconnu', {
+                onStop: (note) => resolve({ projectId: session.projectId, endTime, note: normalizeNote(note) })
+            });
+            // Sans effet si la note a été validée (la promesse est déjà résolue)
+            popover.onClose = () => resolve(null);
+            popover.show();
+        });
+    }
+
     /**
      * Arrête tous les chronomètres en cours
      */
@@ -749,7 +1207,10 @@ class App {
      */
     async stopTimer() {
         try {
-            const session = await this.timer.stop();
+            const stop = await this.promptStopNote(null);
+            if (!stop) return;
+
+            const session = await this.timer.stop(stop.projectId, stop.endTime, stop.note);
 
             if (session) {
                 // Recharger les sessions et mettre à jour TOUS les affichages
@@ -802,11 +1263,15 @@ class App {
         }
 
         // Calculer et afficher les statistiques
-        const stats = this.calculator.calculateProjectStats(this.todaySessions, this.projects);
+        const stats = this.calculator.calculateProjectStats(this.todaySessions, this.getKnownProjects());
         this.timerUI.renderStats(stats);
 
         // Mettre à jour la ligne de temps
-        this.dayTimeline.update(this.todayEntries, this.todaySessions, this.projects);
+        this.dayTimeline.update(
+            this.todayEntries,
+            [...this.carriedOverSessions, ...this.todaySessions],
+            this.getKnownProjects()
+        );
     }
 
     /**
@@ -820,11 +1285,11 @@ class App {
 
     /**
      * Édite une session de projet
-     * @param {Object} data - Données de la session {sessionId, startTime, endTime}
+     * @param {Object} data - Données de la session {sessionId, startTime, endTime, note}
      */
     async editSession(data) {
         try {
-            const { sessionId, startTime, endTime } = data;
+            const { sessionId, startTime, endTime, note } = data;
 
             // Trouver la session
             const session = this.todaySessions.find(s => s.id === sessionId);
@@ -833,11 +1298,16 @@ class App {
             }
 
             // Mettre à jour la session
+            const before = session.toJSON();
             session.startTime = startTime;
             session.endTime = endTime;
+            session.note = normalizeNote(note);
 
-            // Sauvegarder dans IndexedDB
-            await this.storage.saveSession(session);
+            // Sauvegarder dans IndexedDB (modification tracée dans le journal)
+            await this.storage.saveSession(session, { audit: 'Modification de la session' });
+            this.recordHistory('Modification de la session', [
+                createChange(STORES.PROJECT_SESSIONS, before, session.toJSON())
+            ]);
 
             // Recharger les sessions
             await this.loadTodaySessions();
@@ -845,7 +1315,7 @@ class App {
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.timerUI.showSuccess('Session modifiée');
+            this.showUndoableSuccess('Session modifiée');
 
             console.log('✅ Session modifiée:', sessionId);
         } catch (error) {
@@ -861,25 +1331,29 @@ class App {
     async editSessionFromManagement(session) {
         try {
             // Trouver le nom du projet
-            const project = this.projects.find(p => p.id === session.projectId);
+            const project = this.getKnownProjects().find(p => p.id === session.projectId);
             const projectName = project ? project.name : 'Projet inconnu';
 
             // Créer et afficher la popover d'édition
             const popover = new EditSessionPopover(session, projectName, async (data) => {
                 try {
                     // Mettre à jour la session
+                    const before = session.toJSON();
                     session.startTime = data.startTime;
                     session.endTime = data.endTime;
+                    session.note = normalizeNote(data.note);
 
-                    // Sauvegarder dans IndexedDB
-                    await this.storage.saveSession(session);
+                    // Sauvegarder dans IndexedDB (modification tracée dans le journal)
+                    await this.storage.saveSession(session, { audit: 'Modification de la session' });
+                    this.recordHistory('Modification de la session', [
+                        createChange(STORES.PROJECT_SESSIONS, before, session.toJSON())
+                    ]);
 
                     // Recharger toutes les sessions pour rafraîchir l'affichage
                     await this.loadAllSessions();
 
                     // Afficher un message de succès
-                    this.sessionsManagementUI.showSuccess?.('Session modifiée') ||
-                        this.timerUI.showSuccess('Session modifiée');
+                    this.showUndoableSuccess('Session modifiée');
 
                     console.log('✅ Session modifiée:', session.id);
                 } catch (error) {
@@ -903,8 +1377,16 @@ class App {
      */
     async deleteSession(sessionId) {
         try {
-            // Supprimer de IndexedDB
-            await this.storage.deleteSession(sessionId);
+            // Conserver la session pour pouvoir annuler la suppression
+            const session = await this.storage.getSessionById(sessionId);
+
+            // Supprimer de IndexedDB (suppression tracée dans le journal)
+            await this.storage.deleteSession(sessionId, { audit: 'Suppression de la session' });
+            if (session) {
+                this.recordHistory('Suppression de la session', [
+                    createChange(STORES.PROJECT_SESSIONS, session.toJSON(), null)
+                ]);
+            }
 
             // Retirer de la liste locale
             this.todaySessions = this.todaySessions.filter(s => s.id !== sessionId);
@@ -912,7 +1394,7 @@ class App {
             // Mettre à jour TOUS les affichages
             await this.updateAllDisplays();
 
-            this.timerUI.showSuccess('Session supprimée');
+            this.showUndoableSuccess('Session supprimée');
 
             console.log('✅ Session supprimée:', sessionId);
         } catch (error) {
@@ -1010,8 +1492,16 @@ class App {
         };
 
         // Suppression
-        this.projectsUI.onDeleteProject = (projectId) => {
-            this.deleteProject(projectId);
+        this.projectsUI.onArchiveProject = (projectId) => {
+            this.archiveProject(projectId);
+        };
+
+        this.projectsUI.onUnarchiveProject = (projectId) => {
+            this.unarchiveProject(projectId);
+        };
+
+        this.projectsUI.onPurgeProject = (data) => {
+            this.purgeProject(data);
         };
 
         // Démarrage du chronomètre
@@ -1077,6 +1567,7 @@ class App {
         // Toggle du mode multi-projet
         this.timerUI.onToggleMultiProjectMode = (enabled) => {
             this.timer.setMultiProjectMode(enabled);
+            this.tabSync.publish(SyncMessageType.MULTI_PROJECT_MODE, { enabled });
         };
 
         // Récupération des sessions d'un projet pour affichage des détails
@@ -1098,84 +1589,334 @@ class App {
     }
 
     // ======================
-    // Gestion des rapports (Phase 3)
+    // Historique (annuler / rétablir)
     // ======================
 
     /**
-     * Charge le rapport pour la période courante
+     * Enregistre une modification dans l'historique
+     * À appeler une fois l'écriture réussie, avec les enregistrements au format de stockage.
+     * @param {string} label - Libellé de l'action (ex: "Suppression du pointage")
+     * @param {Object[]} changes - Modifications (createChange)
      */
-    async loadCurrentReport() {
+    recordHistory(label, changes) {
         try {
-            // Définir la période en fonction du type (seulement si pas déjà définie)
-            if (!this.currentPeriodStart || !this.currentPeriodEnd) {
-                if (this.currentPeriodType === 'week') {
-                    this.currentPeriodStart = this.reportCalculator.getWeekStart();
-                    this.currentPeriodEnd = this.reportCalculator.getWeekEnd();
-                } else {
-                    this.currentPeriodStart = this.reportCalculator.getMonthStart();
-                    this.currentPeriodEnd = this.reportCalculator.getMonthEnd();
-                }
-            }
+            this.history.record(label, changes);
+        } catch (error) {
+            // L'action a réussi : un échec de l'historique ne doit pas la faire échouer
+            console.warn('⚠️ Action non enregistrée dans l\'historique:', error.message);
+        }
+    }
 
-            // Charger toutes les données nécessaires pour la période
-            const dateRange = this.reportCalculator.generateDateRange(this.currentPeriodStart, this.currentPeriodEnd);
+    /**
+     * Affiche un message de succès avec l'action « Annuler »
+     * @param {string} message - Message à afficher
+     */
+    showUndoableSuccess(message) {
+        this.ui.showSuccess(message, {
+            label: 'Annuler',
+            onClick: () => this.undo()
+        });
+    }
+
+    /**
+     * Annule la dernière action
+     */
+    async undo() {
+        await this.applyHistory(HistoryDirection.UNDO);
+    }
+
+    /**
+     * Rétablit la dernière action annulée
+     */
+    async redo() {
+        await this.applyHistory(HistoryDirection.REDO);
+    }
+
+    /**
+     * Applique la prochaine commande de l'historique dans un sens donné
+     * Une commande devenue inapplicable (données modifiées depuis) est retirée de l'historique.
+     * @param {string} direction - Sens (HistoryDirection)
+     */
+    async applyHistory(direction) {
+        const undo = direction === HistoryDirection.UNDO;
+        const command = undo ? this.history.peekUndo() : this.history.peekRedo();
+
+        if (!command) {
+            this.ui.showError(undo ? 'Rien à annuler' : 'Rien à rétablir');
+            return;
+        }
 
-            // Charger les entrées et sessions pour toute la période
-            const allEntries = [];
-            const allSessions = [];
+        // Le chronomètre garde les sessions en cours en mémoire : ne pas les modifier sous lui
+        const runningIds = this.timer ? this.timer.getCurrentSessions().map(session => session.id) : [];
+        if (command.changes.some(change => runningIds.includes(change.id))) {
+            this.ui.showError('Arrêtez le chronomètre avant d\'annuler une action sur la session en cours');
+            return;
+        }
 
-            for (const date of dateRange) {
-                const entries = await this.storage.getEntriesByDate(date);
-                const sessions = await this.storage.getSessionsByDate(date);
-                allEntries.push(...entries);
-                allSessions.push(...sessions);
+        try {
+            const action = `${undo ? 'Annulation' : 'Rétablissement'} : ${command.label}`;
+            const apply = (changes, dir) => this.storage.applyChanges(changes, dir, { action });
+            if (undo) {
+                await this.history.undo(apply);
+            } else {
+                await this.history.redo(apply);
             }
 
-            // Calculer les statistiques
-            this.currentReport = this.reportCalculator.calculatePeriodStats({
-                startDate: this.currentPeriodStart,
-                endDate: this.currentPeriodEnd,
-                entries: allEntries,
-                sessions: allSessions,
-                projects: this.projects
-            });
+            // Recharger tout ce qui a pu changer
+            await this.loadTodayData();
+            await this.loadProjects();
+            await this.loadTodaySessions();
+            await this.updateAllDisplays();
 
-            // Mettre à jour l'interface
-            this.updateReportsUI();
+            if (undo) {
+                this.ui.showSuccess(`Annulé : ${command.label}`, {
+                    label: 'Rétablir',
+                    onClick: () => this.redo()
+                });
+            } else {
+                this.showUndoableSuccess(`Rétabli : ${command.label}`);
+            }
 
-            console.log('✅ Rapport chargé pour la période:', this.reportCalculator.formatDateRange(this.currentPeriodStart, this.currentPeriodEnd));
+            console.log(`✅ ${undo ? 'Annulé' : 'Rétabli'}:`, command.label);
         } catch (error) {
-            console.error('❌ Erreur lors du chargement du rapport:', error);
-            this.reportsUI.showError('Erreur lors du chargement du rapport');
+            if (error.name === 'ConflictError') {
+                this.history.discard(direction);
+            }
+            console.error('❌ Erreur lors de l\'application de l\'historique:', error);
+            this.ui.showError(error.name === 'ConflictError'
+                ? error.message
+                : (undo ? 'Erreur lors de l\'annulation' : 'Erreur lors du rétablissement'));
         }
     }
 
     /**
-     * Met à jour l'interface utilisateur des rapports
+     * Configure les raccourcis clavier de l'historique
+     * Ctrl+Z (Cmd+Z) annule, Ctrl+Shift+Z ou Ctrl+Y rétablit.
+     * Les champs de saisie gardent leur propre annulation.
      */
-    updateReportsUI() {
-        if (!this.currentReport) return;
+    setupHistoryEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
 
-        // Mettre à jour le label de la période
-        const periodLabel = this.reportCalculator.formatDateRange(this.currentPeriodStart, this.currentPeriodEnd);
-        this.reportsUI.updatePeriodLabel(periodLabel);
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
 
-        // Mettre à jour les statistiques globales
-        this.reportsUI.updateSummary(this.currentReport);
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
 
-        // Afficher le tableau hebdomadaire
-        this.reportsUI.renderWeeklyTable(this.currentReport, this.currentPeriodType);
+        console.log('✅ Raccourcis d\'annulation configurés');
+    }
 
-        // Mettre à jour le bouton actif
-        this.reportsUI.setActivePeriod(this.currentPeriodType);
+    // ======================
+    // Synchronisation entre onglets
+    // ======================
+
+    /**
+     * Écoute les messages des autres onglets ouverts sur l'application
+     */
+    setupTabSync() {
+        this.tabSync.onMessage = (message) => {
+            this.handleSyncMessage(message);
+        };
+
+        if (this.tabSync.isAvailable()) {
+            console.log('✅ Synchronisation entre onglets active');
+        }
     }
 
     /**
-     * Change le type de période (semaine/mois)
-     * @param {string} periodType - Type de période ('week' ou 'month')
+     * Traite un message d'un autre onglet
+     * @param {Object} message - Message reçu ({type, payload})
      */
-    async changePeriodType(periodType) {
-        this.currentPeriodType = periodType;
+    handleSyncMessage({ type, payload }) {
+        switch (type) {
+            case SyncMessageType.DATA_CHANGED:
+                if (payload.stores.includes(STORES.SETTINGS)) {
+                    this.handleSettingsChange();
+                    return;
+                }
+                this.scheduleSyncRefresh();
+                break;
+
+            case SyncMessageType.MULTI_PROJECT_MODE:
+                this.timer.setMultiProjectMode(payload.enabled);
+                this.timerUI.setMultiProjectMode(payload.enabled);
+                break;
+
+            default:
+                console.warn('⚠️ Message de synchronisation inconnu:', type);
+        }
+    }
+
+    /**
+     * Traite une modification des paramètres par un autre onglet
+     * Si le chiffrement a changé, la clé de cet onglet n'est plus valable : la page est rechargée.
+     */
+    async handleSettingsChange() {
+        try {
+            if (await this.storage.hasEncryptionChanged()) {
+                window.location.reload();
+                return;
+            }
+        } catch (error) {
+            console.error('❌ Erreur lors de la lecture des paramètres:', error);
+        }
+        await this.loadWorkSchedules();
+        await this.loadComplianceRules();
+        await this.loadRoundingSettings();
+        await this.loadLocationSettings();
+        this.refreshSyncStatus();
+        this.scheduleSyncRefresh();
+    }
+
+    /**
+     * Planifie le rechargement des données modifiées par un autre onglet
+     */
+    scheduleSyncRefresh() {
+        clearTimeout(this.syncRefreshTimeout);
+        this.syncRefreshTimeout = setTimeout(() => {
+            this.syncRefreshTimeout = null;
+            this.refreshFromOtherTab();
+        }, SYNC_REFRESH_DELAY);
+    }
+
+    /**
+     * Recharge l'état en mémoire (chronomètre, pointages et sessions du jour, projets)
+     */
+    async refreshFromOtherTab() {
+        try {
+            await this.timer.sync();
+            await this.loadTodayData();
+            await this.loadProjects();
+            await this.loadTodaySessions();
+            await this.loadArchivedYears();
+            await this.updateAllDisplays();
+
+            console.log('🔄 Données rechargées (modifiées dans un autre onglet)');
+        } catch (error) {
+            console.error('❌ Erreur lors de la synchronisation entre onglets:', error);
+        }
+    }
+
+    // ======================
+    // Gestion des rapports (Phase 3)
+    // ======================
+
+    /**
+     * Charge le rapport pour la période courante
+     */
+    async loadCurrentReport() {
+        try {
+            // Définir la période en fonction du type (seulement si pas déjà définie)
+            if (!this.currentPeriodStart || !this.currentPeriodEnd) {
+                if (this.currentPeriodType === 'week') {
+                    this.currentPeriodStart = this.reportCalculator.getWeekStart();
+                    this.currentPeriodEnd = this.reportCalculator.getWeekEnd();
+                } else {
+                    this.currentPeriodStart = this.reportCalculator.getMonthStart();
+                    this.currentPeriodEnd = this.reportCalculator.getMonthEnd();
+                }
+            }
+
+            // Charger toutes les données nécessaires pour la période
+            // (plus la veille : une session ou une présence peut se poursuivre après minuit)
+            const periodRange = this.reportCalculator.generateDateRange(this.currentPeriodStart, this.currentPeriodEnd);
+            const dateRange = [addDays(periodRange[0], -1), ...periodRange];
+
+            // Charger les entrées et sessions pour toute la période (requêtes par plage)
+            const firstDate = dateRange[0];
+            const lastDate = dateRange[dateRange.length - 1];
+            const [liveEntries, liveSessions, absences] = await Promise.all([
+                this.storage.getEntriesBetween(firstDate, lastDate),
+                this.storage.getSessionsBetween(firstDate, lastDate),
+                this.storage.getAbsencesBetween(firstDate, lastDate)
+            ]);
+
+            // Compléter avec les années archivées de la période (lecture seule)
+            const archived = await this.getArchivedPeriod(firstDate, lastDate);
+            const allEntries = [...liveEntries, ...archived.entries].sort((a, b) => a.timestamp - b.timestamp);
+            const allSessions = [...liveSessions, ...archived.sessions];
+            this.currentReportArchived = archived.entries.length > 0 || archived.sessions.length > 0;
+
+            // Calculer les statistiques
+            this.currentReport = this.reportCalculator.calculatePeriodStats({
+                startDate: this.currentPeriodStart,
+                endDate: this.currentPeriodEnd,
+                entries: allEntries,
+                sessions: allSessions,
+                projects: archived.projects,
+                absences,
+                archiveFilter: this.reportArchiveFilter,
+                rounding: this.roundingSettings
+            });
+
+            // Conformité au temps de travail (la veille sert au repos du premier jour)
+            this.currentCompliance = this.complianceChecker.checkPeriod({
+                entries: allEntries,
+                dailyStats: this.currentReport.dailyStats
+            });
+
+            // Compteur d'heures (solde reporté des périodes précédentes)
+            await this.loadOvertime();
+
+            // Mettre à jour l'interface
+            this.updateReportsUI();
+
+            console.log('✅ Rapport chargé pour la période:', this.reportCalculator.formatDateRange(this.currentPeriodStart, this.currentPeriodEnd));
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement du rapport:', error);
+            this.reportsUI.showError('Erreur lors du chargement du rapport');
+        }
+    }
+
+    /**
+     * Met à jour l'interface utilisateur des rapports
+     */
+    updateReportsUI() {
+        if (!this.currentReport) return;
+
+        // Mettre à jour le label de la période
+        const periodLabel = this.reportCalculator.formatDateRange(this.currentPeriodStart, this.currentPeriodEnd);
+        this.reportsUI.updatePeriodLabel(this.currentReportArchived
+            ? `${periodLabel} (archives, lecture seule)`
+            : periodLabel);
+
+        // Mettre à jour les statistiques globales (et le compteur d'heures à la fin de la période)
+        const overtime = this.overtime
+            ? summarizeOvertimePeriod(
+                this.overtime.history,
+                this.overtime.ledger.openingBalance,
+                formatDate(this.currentPeriodStart),
+                formatDate(this.currentPeriodEnd)
+            )
+            : null;
+        this.reportsUI.updateSummary(this.currentReport, overtime);
+
+        // Afficher le tableau hebdomadaire
+        this.reportsUI.renderWeeklyTable(this.currentReport, this.currentPeriodType);
+
+        // Dépassements du temps de travail
+        this.reportsUI.renderCompliance(this.currentCompliance);
+
+        // Mettre à jour le bouton actif
+        this.reportsUI.setActivePeriod(this.currentPeriodType);
+    }
+
+    /**
+     * Change le type de période (semaine/mois)
+     * @param {string} periodType - Type de période ('week' ou 'month')
+     */
+    async changePeriodType(periodType) {
+        this.currentPeriodType = periodType;
         // Réinitialiser les dates lors du changement de type
         this.currentPeriodStart = null;
         this.currentPeriodEnd = null;
@@ -1216,6 +1957,12 @@ class App {
             this.navigatePeriod(direction);
         };
 
+        // Filtre des projets archivés
+        this.reportsUI.onArchiveFilterChange = (archiveFilter) => {
+            this.reportArchiveFilter = archiveFilter;
+            this.loadCurrentReport();
+        };
+
         // Demande de timeline pour un jour spécifique
         this.reportsUI.onDayTimelineRequest = async (date) => {
             return await this.loadDayData(date);
@@ -1223,9 +1970,28 @@ class App {
 
         // Clic sur le temps de présence pour éditer les pointages
         this.reportsUI.onPresenceTimeClick = async (date) => {
+            if (this.archivedYears.includes(getDateYear(date))) {
+                this.ui.showError(`Année ${getDateYear(date)} archivée : consultation seule (réintégrez-la depuis Stockage pour la modifier)`);
+                return;
+            }
             await this.openDayEntriesManagement(date);
         };
 
+        // Historique et ajustements du compteur d'heures
+        this.reportsUI.onOvertimeHistoryRequest = () => {
+            this.openOvertimePopover();
+        };
+
+        // Règles du temps de travail (seuils contrôlés)
+        this.reportsUI.onComplianceRulesRequest = () => {
+            this.openComplianceRulesPopover();
+        };
+
+        // Arrondis de la présence et des projets
+        this.reportsUI.onRoundingRequest = () => {
+            this.openRoundingPopover();
+        };
+
         console.log('✅ Écouteurs d\'événements des rapports configurés');
     }
 
@@ -1245,6 +2011,78 @@ class App {
             });
         }
 
+        // Bouton pour configurer la synchronisation entre appareils
+        const syncBtn = document.getElementById('sync-btn');
+        if (syncBtn) {
+            syncBtn.addEventListener('click', () => {
+                this.openSyncPopover();
+            });
+        }
+
+        // Bouton pour ouvrir la popover d'import
+        const importBtn = document.getElementById('import-btn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => {
+                this.openImportPopover();
+            });
+        }
+
+        // Bouton pour ouvrir les sauvegardes automatiques
+        const backupsBtn = document.getElementById('backups-btn');
+        if (backupsBtn) {
+            backupsBtn.addEventListener('click', () => {
+                this.openBackupsPopover();
+            });
+        }
+
+        // Bouton pour ouvrir le panneau de stockage et d'archives
+        const storageBtn = document.getElementById('storage-btn');
+        if (storageBtn) {
+            storageBtn.addEventListener('click', () => {
+                this.openStoragePanel();
+            });
+        }
+
+        // Bouton pour configurer les horaires de travail
+        const scheduleBtn = document.getElementById('schedule-btn');
+        if (scheduleBtn) {
+            scheduleBtn.addEventListener('click', () => {
+                this.openWorkSchedulePopover();
+            });
+        }
+
+        // Bouton pour saisir les absences (congés, maladie, formation)
+        const absencesBtn = document.getElementById('absences-btn');
+        if (absencesBtn) {
+            absencesBtn.addEventListener('click', () => {
+                this.openAbsencesPopover();
+            });
+        }
+
+        // Bouton pour activer ou modifier le chiffrement
+        const encryptionBtn = document.getElementById('encryption-btn');
+        if (encryptionBtn) {
+            encryptionBtn.addEventListener('click', () => {
+                this.openEncryptionPopover();
+            });
+        }
+
+        // Bouton pour vérifier la cohérence des données
+        const checkDataBtn = document.getElementById('check-data-btn');
+        if (checkDataBtn) {
+            checkDataBtn.addEventListener('click', () => {
+                this.openIntegrityCheck();
+            });
+        }
+
+        // Bouton de recherche dans les notes
+        const searchNotesBtn = document.getElementById('search-notes-btn');
+        if (searchNotesBtn) {
+            searchNotesBtn.addEventListener('click', () => {
+                this.openNotesSearch();
+            });
+        }
+
         // Bouton pour ouvrir la vue de gestion (toutes les entrées)
         const manageEntriesBtn = document.getElementById('manage-entries-btn');
         if (manageEntriesBtn) {
@@ -1266,11 +2104,31 @@ class App {
             await this.loadAllEntries();
         };
 
+        // Charger la page d'entrées suivante
+        this.entriesManagementUI.onLoadMore = async () => {
+            await this.loadAllEntries({ more: true });
+        };
+
         // Modifier une entrée
         this.entriesManagementUI.onEditEntry = (entry) => {
             this.editEntry(entry);
         };
 
+        // Modifier la note d'une entrée
+        this.entriesManagementUI.onEditNote = async (entry) => {
+            await this.editEntryNote(entry);
+            await this.loadAllEntries();
+        };
+
+        // Modifier le lieu de travail d'une arrivée
+        this.entriesManagementUI.onChangeLocation = async (entry, location) => {
+            await this.changeEntryLocation(entry, location);
+            await this.loadAllEntries();
+        };
+
+        // Lieu proposé pour une arrivée ajoutée a posteriori
+        this.entriesManagementUI.onGetDefaultLocation = (date) => getDefaultLocation(this.locationSettings, date);
+
         // Supprimer une entrée
         this.entriesManagementUI.onDeleteEntry = async (entry) => {
             await this.deleteEntry(entry);
@@ -1278,11 +2136,19 @@ class App {
             await this.loadAllEntries();
         };
 
+        // Afficher le journal des modifications d'une entrée
+        this.entriesManagementUI.onShowHistory = async (entry) => {
+            await this.showEntryHistory(entry);
+        };
+
         // Ajouter une nouvelle entrée
         this.entriesManagementUI.onAddEntry = async (entryData) => {
-            await this.addEntry(entryData);
+            const added = await this.addEntry(entryData);
             // Recharger les entrées après ajout
-            await this.loadAllEntries();
+            if (added) {
+                await this.loadAllEntries();
+            }
+            return added;
         };
 
         // Callbacks pour la gestion des sessions de projet
@@ -1290,6 +2156,10 @@ class App {
             await this.loadAllSessions();
         };
 
+        this.sessionsManagementUI.onLoadMore = async () => {
+            await this.loadAllSessions({ more: true });
+        };
+
         this.sessionsManagementUI.onEditSession = async (session) => {
             await this.editSessionFromManagement(session);
         };
@@ -1356,14 +2226,40 @@ class App {
     }
 
     /**
-     * Charge toutes les entrées de la base de données
+     * Retourne les bornes (YYYY-MM-DD) d'un filtre de période des vues de gestion
+     * @param {Object|null} periodFilter - Filtre {startDate: Date, endDate: Date}
+     * @returns {{startDate: string|null, endDate: string|null}}
+     */
+    getPeriodFilterRange(periodFilter) {
+        if (!periodFilter) {
+            return { startDate: null, endDate: null };
+        }
+        return {
+            startDate: formatDate(periodFilter.startDate),
+            endDate: formatDate(periodFilter.endDate)
+        };
+    }
+
+    /**
+     * Charge les entrées pour la vue de gestion, page par page (plus récentes d'abord)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.more=false] - Ajouter la page suivante au lieu de recharger la première
      */
-    async loadAllEntries() {
+    async loadAllEntries({ more = false } = {}) {
         try {
-            const allEntries = await this.storage.getAllEntries();
-            this.entriesManagementUI.renderAllEntries(allEntries);
+            const page = await this.storage.getEntriesPage({
+                ...this.getPeriodFilterRange(this.entriesManagementUI.periodFilter),
+                cursor: more ? this.managedEntriesCursor : null
+            });
+
+            this.managedEntries = more ? [...this.managedEntries, ...page.items] : page.items;
+            this.managedEntriesCursor = page.nextCursor;
+
+            this.entriesManagementUI.renderAllEntries(this.managedEntries, {
+                hasMore: page.nextCursor !== null
+            });
 
-            console.log(`📋 ${allEntries.length} entrée(s) chargée(s) pour la gestion`);
+            console.log(`📋 ${this.managedEntries.length} entrée(s) chargée(s) pour la gestion`);
         } catch (error) {
             console.error('❌ Erreur lors du chargement de toutes les entrées:', error);
             this.entriesManagementUI.showError('Erreur lors du chargement des entrées');
@@ -1371,27 +2267,74 @@ class App {
     }
 
     /**
-     * Charge toutes les sessions de projet de la base de données
+     * Charge les sessions de projet pour la vue de gestion, page par page (plus récentes d'abord)
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.more=false] - Ajouter la page suivante au lieu de recharger la première
      */
-    async loadAllSessions() {
+    async loadAllSessions({ more = false } = {}) {
         try {
-            const allSessions = await this.storage.getAllSessions();
+            const page = await this.storage.getSessionsPage({
+                ...this.getPeriodFilterRange(this.sessionsManagementUI.periodFilter),
+                cursor: more ? this.managedSessionsCursor : null
+            });
+
+            this.managedSessions = more ? [...this.managedSessions, ...page.items] : page.items;
+            this.managedSessionsCursor = page.nextCursor;
 
             // Créer une Map des noms de projets
             const projectNames = new Map();
-            this.projects.forEach(project => {
+            this.getKnownProjects().forEach(project => {
                 projectNames.set(project.id, project.name);
             });
 
-            this.sessionsManagementUI.renderAllSessions(allSessions, projectNames);
+            this.sessionsManagementUI.renderAllSessions(this.managedSessions, projectNames, {
+                hasMore: page.nextCursor !== null
+            });
 
-            console.log(`📋 ${allSessions.length} session(s) chargée(s) pour la gestion`);
+            console.log(`📋 ${this.managedSessions.length} session(s) chargée(s) pour la gestion`);
         } catch (error) {
             console.error('❌ Erreur lors du chargement de toutes les sessions:', error);
             this.sessionsManagementUI.showError('Erreur lors du chargement des sessions');
         }
     }
 
+    // ======================
+    // Recherche dans les notes
+    // ======================
+
+    /**
+     * Ouvre la recherche dans les notes des pointages et des sessions
+     */
+    openNotesSearch() {
+        const popover = new NotesSearchPopover({
+            onSearch: (query) => this.searchNotes(query),
+            onOpenDay: (date) => this.reportsUI.showDayTimeline(date)
+        });
+        popover.show();
+    }
+
+    /**
+     * Recherche dans les notes de tout l'historique, archives annuelles comprises
+     * @param {string} query - Recherche (voir matchesNoteQuery)
+     * @returns {Promise<Object[]>} Résultats (voir searchNotes)
+     */
+    async searchNotes(query) {
+        const [entries, sessions] = await Promise.all([
+            this.storage.getAllEntries(),
+            this.storage.getAllSessions()
+        ]);
+
+        const archived = this.archivedYears.length > 0
+            ? await this.getArchivedPeriod(`${Math.min(...this.archivedYears)}-01-01`, `${Math.max(...this.archivedYears)}-12-31`)
+            : { entries: [], sessions: [], projects: this.getKnownProjects() };
+
+        return searchNotes({
+            entries: [...entries, ...archived.entries],
+            sessions: [...sessions, ...archived.sessions],
+            projects: archived.projects
+        }, query);
+    }
+
     // ======================
     // Export CSV
     // ======================
@@ -1400,12 +2343,57 @@ class App {
      * Ouvre la popover d'export
      */
     openExportPopover() {
-        const popover = new ExportPopover(async (startDate, endDate) => {
-            await this.exportSessionsToCSV(startDate, endDate);
-        });
+        const popover = new ExportPopover(
+            async (startDate, endDate) => {
+                await this.exportSessionsToCSV(startDate, endDate);
+            },
+            async (options) => {
+                await this.exportBackup(options);
+            }
+        );
         popover.show();
     }
 
+    /**
+     * Télécharge une sauvegarde complète (pointages, projets et sessions) en JSON
+     * @param {Object} [options] - Options de la sauvegarde
+     * @param {boolean} [options.includeAuditLog=false] - Ajouter le journal des modifications
+     * @param {string|null} [options.passphrase=null] - Phrase secrète pour chiffrer le fichier
+     */
+    async exportBackup({ includeAuditLog = false, passphrase = null } = {}) {
+        try {
+            const data = await this.storage.getAllData();
+            if (includeAuditLog) {
+                data.auditLog = await this.storage.getAllAuditLog();
+            }
+            if (this.archivedYears.length > 0) {
+                data.archives = await Promise.all(this.archivedYears.map(year => this.storage.getArchivePayload(year)));
+            }
+
+            if (passphrase) {
+                const content = await this.dataExporter.exportAllDataToEncryptedJSON(data, passphrase);
+                this.dataExporter.downloadFile(
+                    content,
+                    `claude_time_tracker_backup_${getTodayDateString()}.encrypted.json`,
+                    'application/json;charset=utf-8;'
+                );
+                this.ui.showSuccess('Sauvegarde chiffrée téléchargée');
+                return;
+            }
+
+            this.dataExporter.exportAndDownload({
+                type: ExportType.ALL_DATA,
+                format: ExportFormat.JSON,
+                data
+            });
+
+            this.ui.showSuccess('Sauvegarde téléchargée');
+        } catch (error) {
+            console.error('❌ Erreur lors de la sauvegarde:', error);
+            this.ui.showError('Erreur lors de la sauvegarde');
+        }
+    }
+
     /**
      * Exporte les sessions de projet en CSV
      * @param {string} startDate - Date de début (YYYY-MM-DD)
@@ -1413,22 +2401,8 @@ class App {
      */
     async exportSessionsToCSV(startDate, endDate) {
         try {
-            // Générer la liste des dates dans la plage
-            const dates = [];
-            const current = new Date(startDate);
-            const end = new Date(endDate);
-
-            while (current <= end) {
-                dates.push(current.toISOString().split('T')[0]);
-                current.setDate(current.getDate() + 1);
-            }
-
-            // Récupérer toutes les sessions pour ces dates
-            const allSessions = [];
-            for (const date of dates) {
-                const sessions = await this.storage.getSessionsByDate(date);
-                allSessions.push(...sessions);
-            }
+            // Récupérer toutes les sessions de la plage en une requête
+            const allSessions = await this.storage.getSessionsBetween(startDate, endDate);
 
             // Filtrer les sessions terminées (avec une date de fin)
             const completedSessions = allSessions.filter(session => session.endTime !== null);
@@ -1443,15 +2417,23 @@ class App {
 
             // Créer une Map des noms de projets
             const projectNames = new Map();
-            this.projects.forEach(project => {
+            this.getKnownProjects().forEach(project => {
                 projectNames.set(project.id, project.name);
             });
 
+            // Durées arrondies (facturation) à côté des durées brutes
+            const projectRounding = this.roundingSettings.projects;
+            const roundedDurations = isRoundingActive(projectRounding)
+                ? roundSessionDurations(completedSessions, projectRounding)
+                : null;
+
             // Générer le contenu CSV (format Excel avec séparateur ;)
             const csvLines = [];
-            csvLines.push('Date de début;Date de fin;Durée (heures);Durée (minutes);Projet');
+            csvLines.push(roundedDurations
+                ? 'Date de début;Date de fin;Durée (heures);Durée (minutes);Durée arrondie (heures);Durée arrondie (minutes);Projet;Note'
+                : 'Date de début;Date de fin;Durée (heures);Durée (minutes);Projet;Note');
 
-            for (const session of completedSessions) {
+            for (const [index, session] of completedSessions.entries()) {
                 const startDateTime = session.startTime;
                 const endDateTime = session.endTime;
 
@@ -1475,10 +2457,18 @@ class App {
                 // Durée en minutes décimales (format numérique alternatif)
                 const durationMinutes = Math.round(durationMs / (1000 * 60));
 
+                // Durée arrondie selon la règle des projets
+                const roundedColumns = roundedDurations
+                    ? `${(roundedDurations[index] / (1000 * 60 * 60)).toFixed(2)};${Math.round(roundedDurations[index] / (1000 * 60))};`
+                    : '';
+
                 // Nom du projet
                 const projectName = projectNames.get(session.projectId) || 'Projet inconnu';
 
-                csvLines.push(`${formatDateTime(startDateTime)};${formatDateTime(endDateTime)};${durationHours};${durationMinutes};${projectName}`);
+                // Note entre guillemets (peut contenir des ; ou des retours à la ligne)
+                const note = session.note ? `"${session.note.replace(/"/g, '""')}"` : '';
+
+                csvLines.push(`${formatDateTime(startDateTime)};${formatDateTime(endDateTime)};${durationHours};${durationMinutes};${roundedColumns}${projectName};${note}`);
             }
 
             const csvContent = csvLines.join('\n');
@@ -1503,6 +2493,1071 @@ class App {
         }
     }
 
+    // ======================
+    // Import d'une sauvegarde
+    // ======================
+
+    /**
+     * Ouvre la popover d'import
+     */
+    openImportPopover() {
+        const popover = new ImportPopover(
+            async (content, mode, passphrase, resolutions) => {
+                const plan = await this.planImport(content, mode, passphrase, resolutions);
+                return plan.summary;
+            },
+            async (content, mode, passphrase, resolutions) => {
+                await this.importBackup(content, mode, passphrase, resolutions);
+            }
+        );
+        popover.show();
+    }
+
+    /**
+     * Simule l'import d'une sauvegarde sans rien écrire
+     * @param {string} content - Contenu du fichier de sauvegarde
+     * @param {string} mode - Mode d'import (ImportMode)
+     * @param {string|null} [passphrase=null] - Phrase secrète d'une sauvegarde chiffrée
+     * @param {Object<string, string>} [resolutions={}] - Résolution des jours en conflit (ConflictResolution par jour)
+     * @returns {Promise<Object>} Plan d'import ({mode, records, summary})
+     * @throws {Error} Si la sauvegarde est invalide ou la phrase secrète incorrecte
+     */
+    async planImport(content, mode, passphrase = null, resolutions = {}) {
+        const backup = await this.dataImporter.readBackup(content, passphrase);
+        const existing = await this.storage.getAllData();
+        existing.archiveYears = (await this.storage.getArchives()).map(archive => archive.year);
+        return this.dataImporter.planImport(backup, existing, mode, { resolutions });
+    }
+
+    /**
+     * Importe une sauvegarde puis recharge toutes les données affichées
+     * @param {string} content - Contenu du fichier de sauvegarde
+     * @param {string} mode - Mode d'import (ImportMode)
+     * @param {string|null} [passphrase=null] - Phrase secrète d'une sauvegarde chiffrée
+     * @param {Object<string, string>} [resolutions={}] - Résolution des jours en conflit (ConflictResolution par jour)
+     */
+    async importBackup(content, mode, passphrase = null, resolutions = {}) {
+        try {
+            // Recalculer le plan au moment de l'écriture (la base a pu changer)
+            const plan = await this.planImport(content, mode, passphrase, resolutions);
+
+            await this.storage.importData(plan.records, {
+                replace: mode === ImportMode.REPLACE
+            });
+
+            // Recharger l'état de l'application
+            await this.timer.init();
+            await this.loadTodayData();
+            await this.loadProjects();
+            await this.loadTodaySessions();
+            await this.loadArchivedYears();
+            await this.updateAllDisplays();
+
+            const { timeEntries, projects, projectSessions, absences, conflicts } = plan.summary;
+            const added = timeEntries.added + projects.added + projectSessions.added + absences.added;
+            const updated = timeEntries.updated + projects.updated + projectSessions.updated + absences.updated;
+            const conflictsInfo = conflicts.length > 0 ? `, ${conflicts.length} jour(s) en conflit résolu(s)` : '';
+            this.ui.showSuccess(`Import terminé : ${added} ajout(s), ${updated} mise(s) à jour${conflictsInfo}`);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'import:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'import');
+        }
+    }
+
+    // ======================
+    // Horaires de travail
+    // ======================
+
+    /**
+     * Charge les horaires de travail dans le calculateur (objectifs du jour et des rapports)
+     * En cas d'erreur, l'objectif de 8h par jour reste appliqué.
+     */
+    async loadWorkSchedules() {
+        try {
+            this.calculator.setWorkSchedules(await this.storage.getWorkSchedules());
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des horaires:', error);
+        }
+    }
+
+    /**
+     * Ouvre la popover des horaires de travail
+     */
+    async openWorkSchedulePopover() {
+        try {
+            const [schedules, recoverySettings] = await Promise.all([
+                this.storage.getWorkSchedules(),
+                this.storage.getRecoverySettings()
+            ]);
+            const popover = new WorkSchedulePopover(schedules, {
+                onSave: async (schedule) => {
+                    await this.updateWorkSchedules(() => this.storage.saveWorkSchedule(schedule), 'Horaire enregistré');
+                },
+                onDelete: async (effectiveFrom) => {
+                    await this.updateWorkSchedules(() => this.storage.deleteWorkSchedule(effectiveFrom), 'Horaire supprimé');
+                },
+                onSaveRecovery: async (settings) => {
+                    try {
+                        const saved = await this.storage.saveRecoverySettings(settings);
+                        if (saved.usualLeaveTime) this.usualLeaveTime = saved.usualLeaveTime;
+                        this.ui.showSuccess('Paramètres des départs oubliés enregistrés');
+                    } catch (error) {
+                        console.error('❌ Erreur lors de l\'enregistrement des départs oubliés:', error);
+                        this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des départs oubliés');
+                    }
+                },
+                onSaveLocations: async (settings) => {
+                    await this.saveLocationSettings(settings);
+                }
+            }, recoverySettings, this.locationSettings);
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des horaires:', error);
+            this.ui.showError('Erreur lors du chargement des horaires');
+        }
+    }
+
+    /**
+     * Enregistre une modification des horaires puis recalcule les objectifs affichés
+     * @param {Function} write - Écriture à effectuer, retourne l'historique enregistré
+     * @param {string} message - Message de succès
+     */
+    async updateWorkSchedules(write, message) {
+        try {
+            this.calculator.setWorkSchedules(await write());
+            await this.updateAllDisplays();
+            this.ui.showSuccess(message);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des horaires:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des horaires');
+        }
+    }
+
+    // ======================
+    // Absences
+    // ======================
+
+    /**
+     * Ouvre la popover des absences (de l'an dernier à l'an prochain)
+     */
+    async openAbsencesPopover() {
+        try {
+            const year = Number(getTodayDateString().slice(0, 4));
+            const absences = await this.storage.getAbsencesBetween(`${year - 1}-01-01`, `${year + 1}-12-31`);
+            const popover = new AbsencesPopover(absences, {
+                onSave: async (input) => {
+                    await this.saveAbsences(input);
+                },
+                onDelete: async (id) => {
+                    await this.updateAbsences(() => this.storage.deleteAbsence(id), 'Absence supprimée');
+                }
+            });
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des absences:', error);
+            this.ui.showError('Erreur lors du chargement des absences');
+        }
+    }
+
+    /**
+     * Enregistre une absence sur chaque jour travaillé d'une plage
+     * @param {Object} input - Saisie de la popover
+     * @param {string} input.startDate - Premier jour (YYYY-MM-DD)
+     * @param {string} input.endDate - Dernier jour (YYYY-MM-DD)
+     * @param {string} input.type - Type d'absence (ABSENCE_TYPES)
+     * @param {string} input.note - Note
+     */
+    async saveAbsences({ startDate, endDate, type, note }) {
+        try {
+            const days = listAbsenceDays(startDate, endDate, date => this.calculator.getDailyTarget(date));
+            if (days.length === 0) {
+                this.ui.showError('Aucun jour travaillé dans cette plage');
+                return;
+            }
+
+            const absences = days.map(date => new Absence(date, type, note));
+            await this.updateAbsences(() => this.storage.saveAbsences(absences), `${absences.length} jour(s) d'absence enregistré(s)`);
+        } catch (error) {
+            console.error('❌ Erreur lors de la saisie des absences:', error);
+            this.ui.showError(error.message || 'Erreur lors de la saisie des absences');
+        }
+    }
+
+    /**
+     * Enregistre une modification des absences puis recalcule les rapports
+     * @param {Function} write - Écriture à effectuer
+     * @param {string} message - Message de succès
+     */
+    async updateAbsences(write, message) {
+        try {
+            await write();
+            await this.loadCurrentReport();
+            this.ui.showSuccess(message);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des absences:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des absences');
+        }
+    }
+
+    // ======================
+    // Compteur d'heures
+    // ======================
+
+    /**
+     * Calcule le compteur d'heures, de sa date de début jusqu'à la veille
+     * Sans date de début enregistrée, le compteur part du premier jour pointé (archives comprises).
+     * En cas d'erreur, le compteur n'est pas affiché.
+     */
+    async loadOvertime() {
+        try {
+            const ledger = await this.storage.getOvertimeLedger();
+            const startDate = ledger.startDate || await this.getFirstDataDate();
+            if (!startDate) {
+                this.overtime = null;
+                return;
+            }
+
+            const today = getTodayDateString();
+            const yesterday = addDays(today, -1);
+            let dailyStats = [];
+
+            if (startDate <= yesterday) {
+                // La veille du début est lue pour la présence qui passe minuit
+                const firstDate = addDays(startDate, -1);
+                const [liveEntries, absences, archived] = await Promise.all([
+                    // Pointages du jour compris : ils terminent un éventuel travail de nuit de la veille
+                this.storage.getEntriesBetween(firstDate, today),
+                    this.storage.getAbsencesBetween(startDate, yesterday),
+                    this.getArchivedPeriod(firstDate, yesterday)
+                ]);
+                const entries = [...liveEntries, ...archived.entries].sort((a, b) => a.timestamp - b.timestamp);
+
+                dailyStats = this.reportCalculator.calculatePeriodStats({
+                    startDate: getDayBounds(startDate).start,
+                    endDate: getDayBounds(yesterday).start,
+                    entries,
+                    sessions: [],
+                    projects: [],
+                    absences
+                }).dailyStats;
+            }
+
+            this.overtime = {
+                ledger,
+                startDate,
+                history: buildOvertimeHistory(dailyStats, { ...ledger, startDate }, today)
+            };
+        } catch (error) {
+            console.error('❌ Erreur lors du calcul du compteur d\'heures:', error);
+            this.overtime = null;
+        }
+    }
+
+    /**
+     * Retourne le premier jour pointé, archives annuelles comprises
+     * @returns {Promise<string|null>} Jour au format YYYY-MM-DD, null si aucune donnée
+     */
+    async getFirstDataDate() {
+        const { firstDate } = await this.storage.getDataDateRange();
+        if (this.archivedYears.length === 0) {
+            return firstDate;
+        }
+
+        const year = Math.min(...this.archivedYears);
+        const archived = await this.getArchivedPeriod(`${year}-01-01`, `${year}-12-31`);
+        const dates = [...archived.entries.map(entry => entry.date), firstDate].filter(Boolean).sort();
+        return dates.length > 0 ? dates[0] : null;
+    }
+
+    /**
+     * Ouvre la popover du compteur d'heures (paramètres, ajustements, historique)
+     */
+    async openOvertimePopover() {
+        if (!this.overtime) {
+            this.ui.showError('Aucun pointage : le compteur d\'heures démarrera au premier jour pointé');
+            return;
+        }
+
+        const popover = new OvertimeLedgerPopover(this.overtime, {
+            onSaveSettings: async (settings) => {
+                await this.updateOvertime(() => this.storage.saveOvertimeSettings(settings), 'Compteur d\'heures enregistré');
+            },
+            onAddAdjustment: async (adjustment) => {
+                await this.updateOvertime(() => this.storage.saveOvertimeAdjustment(adjustment), 'Ajustement enregistré');
+            },
+            onDeleteAdjustment: async (id) => {
+                await this.updateOvertime(() => this.storage.deleteOvertimeAdjustment(id), 'Ajustement supprimé');
+            }
+        });
+        popover.show();
+    }
+
+    /**
+     * Enregistre une modification du compteur puis recalcule les rapports
+     * @param {Function} write - Écriture à effectuer
+     * @param {string} message - Message de succès
+     */
+    async updateOvertime(write, message) {
+        try {
+            await write();
+            await this.loadCurrentReport();
+            this.ui.showSuccess(message);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement du compteur d\'heures:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement du compteur d\'heures');
+        }
+    }
+
+    // ======================
+    // Conformité au temps de travail
+    // ======================
+
+    /**
+     * Charge les seuils de conformité (pause, maximums, repos)
+     * En cas d'erreur, les seuils légaux restent appliqués.
+     */
+    async loadComplianceRules() {
+        try {
+            this.complianceChecker.setRules(await this.storage.getComplianceRules());
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des règles du temps de travail:', error);
+        }
+    }
+
+    /**
+     * Charge ce que les alertes en direct doivent savoir des jours précédents :
+     * présence de la semaine avant aujourd'hui et dernier départ de la veille
+     * @param {string} today - Jour courant (YYYY-MM-DD)
+     */
+    async loadComplianceContext(today) {
+        try {
+            const yesterday = addDays(today, -1);
+            const weekStart = formatDate(this.reportCalculator.getWeekStart(getDayBounds(today).start));
+            const firstDate = weekStart < yesterday ? weekStart : yesterday;
+            const entries = await this.storage.getEntriesBetween(firstDate, yesterday);
+
+            const weekPresence = weekStart < today
+                ? this.reportCalculator.calculatePeriodStats({
+                    startDate: getDayBounds(weekStart).start,
+                    endDate: getDayBounds(yesterday).start,
+                    entries,
+                    sessions: [],
+                    projects: []
+                }).time.totalPresence
+                : 0;
+            const shifts = this.calculator.getWorkShifts(entries.filter(entry => entry.date === yesterday));
+            const lastShift = shifts[shifts.length - 1];
+
+            this.complianceContext = { weekPresence, previousClockOut: lastShift ? lastShift.end : null };
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des jours précédents:', error);
+            this.complianceContext = { weekPresence: 0, previousClockOut: null };
+        }
+    }
+
+    /**
+     * Ouvre la popover des règles du temps de travail
+     */
+    openComplianceRulesPopover() {
+        const popover = new ComplianceRulesPopover(this.complianceChecker.rules, {
+            onSave: async (rules) => {
+                try {
+                    this.complianceChecker.setRules(await this.storage.saveComplianceRules(rules));
+                    this.updatePresenceDisplay();
+                    await this.loadCurrentReport();
+                    this.ui.showSuccess('Règles du temps de travail enregistrées');
+                } catch (error) {
+                    console.error('❌ Erreur lors de l\'enregistrement des règles:', error);
+                    this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des règles');
+                }
+            }
+        });
+        popover.show();
+    }
+
+    // ======================
+    // Arrondis
+    // ======================
+
+    /**
+     * Charge les règles d'arrondi des rapports et des exports
+     * En cas d'erreur, les durées ne sont pas arrondies.
+     */
+    async loadRoundingSettings() {
+        try {
+            this.roundingSettings = await this.storage.getRoundingSettings();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des arrondis:', error);
+            this.roundingSettings = DEFAULT_ROUNDING_SETTINGS;
+        }
+    }
+
+    /**
+     * Ouvre la popover des arrondis (présence et projets)
+     */
+    openRoundingPopover() {
+        const popover = new RoundingPopover(this.roundingSettings, {
+            onSave: async (settings) => {
+                try {
+                    this.roundingSettings = await this.storage.saveRoundingSettings(settings);
+                    await this.loadCurrentReport();
+                    this.ui.showSuccess('Arrondis enregistrés');
+                } catch (error) {
+                    console.error('❌ Erreur lors de l\'enregistrement des arrondis:', error);
+                    this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des arrondis');
+                }
+            }
+        });
+        popover.show();
+    }
+
+    // ======================
+    // Lieux de travail
+    // ======================
+
+    /**
+     * Charge les lieux de travail par défaut et présélectionne celui du jour pour l'arrivée
+     * En cas d'erreur, le bureau est proposé tous les jours.
+     */
+    async loadLocationSettings() {
+        try {
+            this.locationSettings = await this.storage.getLocationSettings();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des lieux de travail:', error);
+            this.locationSettings = DEFAULT_LOCATION_SETTINGS;
+        }
+        this.ui.setClockInLocation(getDefaultLocation(this.locationSettings));
+    }
+
+    /**
+     * Enregistre les lieux de travail par défaut (les arrivées déjà pointées gardent leur lieu)
+     * @param {Object} settings - Lieux {defaults} (voir DEFAULT_LOCATION_SETTINGS)
+     */
+    async saveLocationSettings(settings) {
+        try {
+            this.locationSettings = await this.storage.saveLocationSettings(settings);
+            this.ui.setClockInLocation(getDefaultLocation(this.locationSettings));
+            this.ui.showSuccess('Lieux de travail enregistrés');
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des lieux de travail:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des lieux de travail');
+        }
+    }
+
+    // ======================
+    // Journées oubliées
+    // ======================
+
+    /**
+     * Cherche les journées restées ouvertes ou dont un chronomètre tourne encore
+     * Si une fermeture automatique est configurée, ces journées sont fermées aussitôt.
+     * @returns {Promise<Object[]>} Journées à fermer par l'utilisateur (voir findUnfinishedDays)
+     */
+    async detectUnfinishedDays() {
+        try {
+            const today = getTodayDateString();
+            const yesterday = addDays(today, -1);
+            const firstDate = addDays(today, -RECOVERY_LOOKBACK_DAYS);
+            const [settings, entries, sessions, runningSessions] = await Promise.all([
+                this.storage.getRecoverySettings(),
+                // Pointages du jour compris : ils terminent un éventuel travail de nuit de la veille
+                this.storage.getEntriesBetween(firstDate, today),
+                this.storage.getSessionsBetween(firstDate, yesterday),
+                this.storage.getCurrentSessions()
+            ]);
+
+            // Sessions en cours commencées avant la période relue
+            const sessionIds = new Set(sessions.map(session => session.id));
+            const allSessions = [...sessions, ...runningSessions.filter(session => !sessionIds.has(session.id))];
+
+            const days = findUnfinishedDays(entries, allSessions, { staleAfter: settings.staleAfter });
+            this.usualLeaveTime = settings.usualLeaveTime ||
+                getUsualLeaveTime(entries.filter(entry => entry.date < today));
+            if (days.length === 0) return [];
+
+            console.log('🌙 Journée(s) non terminée(s):', days.map(day => day.date).join(', '));
+            if (!settings.autoClose) return days;
+
+            for (const day of days) {
+                const closingTime = getClosingTime(day, settings.autoClose, { usualLeaveTime: this.usualLeaveTime });
+                await this.closeUnfinishedDay(day, closingTime);
+            }
+            this.ui.showSuccess(`${days.length} journée(s) oubliée(s) fermée(s) ${getRecoveryStrategyLabel(settings.autoClose).toLowerCase()}`);
+            return [];
+        } catch (error) {
+            console.error('❌ Erreur lors de la recherche des journées oubliées:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Ferme une journée oubliée : départ ajouté et sessions en cours arrêtées
+     * Les écritures sont enregistrées dans l'historique (une seule annulation).
+     * @param {Object} day - Journée oubliée (voir findUnfinishedDays)
+     * @param {Date} closingTime - Heure de fermeture
+     */
+    async closeUnfinishedDay(day, closingTime) {
+        const action = 'Fermeture d\'une journée oubliée';
+
+        // Un autre onglet a pu fermer la journée entre-temps : relire son état
+        await this.tabSync.runExclusive('recovery', async () => {
+            const [entries, sessions] = await Promise.all([
+                this.storage.getEntriesBetween(addDays(day.date, -1), addDays(day.date, 1)),
+                Promise.all(day.runningSessions.map(session => this.storage.getSessionById(session.id)))
+            ]);
+            const current = findUnfinishedDays(entries, sessions.filter(Boolean), { staleAfter: 0 })
+                .find(unfinished => unfinished.date === day.date);
+            if (!current) return;
+
+            const sessionsBefore = current.runningSessions.map(session => session.toJSON());
+            const closed = closeUnfinishedDay(current, closingTime);
+            const changes = closed.sessions.map((session, i) =>
+                createChange(STORES.PROJECT_SESSIONS, sessionsBefore[i], session.toJSON()));
+
+            for (const session of closed.sessions) {
+                await this.storage.saveSession(session, { audit: action });
+            }
+            if (closed.entry) {
+                await this.storage.saveEntry(closed.entry, { audit: action });
+                changes.push(createChange(STORES.TIME_ENTRIES, null, closed.entry.toJSON()));
+            }
+
+            this.recordHistory(action, changes);
+            console.log(`🌙 Journée du ${day.date} fermée à`, closingTime.toISOString());
+        });
+    }
+
+    /**
+     * Demande comment fermer chaque journée oubliée (une popover par jour, la plus ancienne d'abord)
+     * Une journée dont un chronomètre tourne encore est redemandée tant qu'elle n'est pas fermée :
+     * le timer a repris ses sessions, qui compteraient sinon plusieurs jours.
+     * @param {Object[]} days - Journées oubliées (voir findUnfinishedDays)
+     */
+    openRecoveryPopover(days) {
+        if (days.length === 0) return;
+
+        const [day, ...remaining] = days;
+        let resolved = false;
+        const popover = new RecoveryPopover(day, this.usualLeaveTime, {
+            onResolve: async ({ closingTime, strategy, remember }) => {
+                resolved = true;
+                try {
+                    await this.closeUnfinishedDay(day, closingTime);
+                    if (remember) {
+                        const settings = await this.storage.getRecoverySettings();
+                        await this.storage.saveRecoverySettings({ ...settings, autoClose: strategy });
+                    }
+
+                    // Recharger l'état de l'application (sessions en cours comprises)
+                    await this.timer.sync();
+                    await this.loadTodayData();
+                    await this.loadTodaySessions();
+                    await this.updateAllDisplays();
+
+                    this.showUndoableSuccess('Journée fermée');
+                } catch (error) {
+                    console.error('❌ Erreur lors de la fermeture de la journée:', error);
+                    this.ui.showError('Erreur lors de la fermeture de la journée');
+                }
+            }
+        });
+        popover.onClose = () => {
+            this.openRecoveryPopover(resolved || day.runningSessions.length === 0 ? remaining : days);
+        };
+        popover.show();
+    }
+
+    // ======================
+    // Sauvegardes automatiques
+    // ======================
+
+    /**
+     * Lance la vérification des sauvegardes automatiques au démarrage puis à intervalle régulier
+     */
+    startBackupSchedule() {
+        this.runScheduledBackup();
+        this.backupInterval = setInterval(() => {
+            this.runScheduledBackup();
+        }, BACKUP_CHECK_INTERVAL);
+    }
+
+    /**
+     * Crée un instantané si la fréquence configurée l'exige
+     * Le verrou partagé évite que plusieurs onglets créent le même instantané.
+     */
+    async runScheduledBackup() {
+        try {
+            await this.tabSync.runExclusive('backups', async () => {
+                const settings = await this.storage.getBackupSettings();
+                const latest = await this.storage.getLatestBackupDate();
+                if (!isBackupDue(latest, settings.frequency)) return;
+
+                await this.createSnapshot(BackupTrigger.AUTO, settings.keep);
+            });
+        } catch (error) {
+            console.error('❌ Erreur lors de la sauvegarde automatique:', error);
+        }
+    }
+
+    /**
+     * Enregistre un instantané de toutes les données (pointages, projets, sessions)
+     * @param {string} trigger - Origine de l'instantané (BackupTrigger)
+     * @param {number} keep - Nombre d'instantanés à conserver
+     * @returns {Promise<boolean>} false si la base est vide (rien n'est enregistré)
+     */
+    async createSnapshot(trigger, keep) {
+        const data = await this.storage.getAllData();
+        if (data.entries.length === 0 && data.projects.length === 0 && data.sessions.length === 0) {
+            return false;
+        }
+
+        const content = this.dataExporter.exportAllDataToJSON(data);
+        await this.storage.saveBackup(createBackupRecord(content, { trigger }), { keep });
+        return true;
+    }
+
+    /**
+     * Ouvre la popover des sauvegardes automatiques
+     */
+    async openBackupsPopover() {
+        try {
+            const [backups, settings] = await Promise.all([
+                this.storage.getAllBackups(),
+                this.storage.getBackupSettings()
+            ]);
+
+            const popover = new BackupsPopover(backups, settings, {
+                onSaveSettings: async (next) => {
+                    await this.saveBackupSettings(next);
+                },
+                onCreate: async () => {
+                    await this.createManualSnapshot();
+                },
+                onPreview: (id) => this.previewSnapshot(id),
+                onRestore: async (id) => {
+                    await this.restoreSnapshot(id);
+                }
+            });
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement des sauvegardes:', error);
+            this.ui.showError('Erreur lors du chargement des sauvegardes');
+        }
+    }
+
+    /**
+     * Enregistre les paramètres des sauvegardes automatiques
+     * @param {{frequency: string, keep: number}} settings - Nouveaux paramètres
+     */
+    async saveBackupSettings(settings) {
+        try {
+            await this.storage.saveBackupSettings(settings);
+            this.ui.showSuccess('Paramètres de sauvegarde enregistrés');
+
+            // Une sauvegarde peut être due avec la nouvelle fréquence
+            await this.runScheduledBackup();
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des paramètres de sauvegarde:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des paramètres');
+        }
+    }
+
+    /**
+     * Crée immédiatement un instantané
+     */
+    async createManualSnapshot() {
+        try {
+            const { keep } = await this.storage.getBackupSettings();
+            const created = await this.tabSync.runExclusive('backups', () => this.createSnapshot(BackupTrigger.MANUAL, keep));
+
+            if (created) {
+                this.ui.showSuccess('Sauvegarde enregistrée');
+            } else {
+                this.ui.showError('Aucune donnée à sauvegarder');
+            }
+        } catch (error) {
+            console.error('❌ Erreur lors de la sauvegarde:', error);
+            this.ui.showError('Erreur lors de la sauvegarde');
+        }
+    }
+
+    /**
+     * Calcule les totaux d'un instantané pour l'aperçu
+     * @param {string} id - ID de l'instantané
+     * @returns {Promise<Object>} Totaux (voir summarizeBackup)
+     * @throws {Error} Si l'instantané est introuvable ou illisible
+     */
+    async previewSnapshot(id) {
+        const backup = await this.storage.getBackupById(id);
+        if (!backup) {
+            throw new Error('Sauvegarde introuvable');
+        }
+        return summarizeBackup(this.dataImporter.parseBackup(backup.content));
+    }
+
+    /**
+     * Remplace toutes les données par un instantané
+     * L'état actuel est d'abord sauvegardé pour pouvoir revenir en arrière.
+     * @param {string} id - ID de l'instantané
+     */
+    async restoreSnapshot(id) {
+        try {
+            const backup = await this.storage.getBackupById(id);
+            if (!backup) {
+                throw new Error('Sauvegarde introuvable');
+            }
+
+            const { keep } = await this.storage.getBackupSettings();
+            await this.tabSync.runExclusive('backups', () => this.createSnapshot(BackupTrigger.RESTORE, keep));
+
+            await this.importBackup(backup.content, ImportMode.REPLACE);
+        } catch (error) {
+            console.error('❌ Erreur lors de la restauration:', error);
+            this.ui.showError(error.message || 'Erreur lors de la restauration');
+        }
+    }
+
+    // ======================
+    // Synchronisation entre appareils
+    // ======================
+
+    /**
+     * Lance la synchronisation au démarrage puis à intervalle régulier
+     */
+    startSyncSchedule() {
+        this.runSync();
+        this.syncInterval = setInterval(() => {
+            this.runSync();
+        }, SYNC_INTERVAL);
+    }
+
+    /**
+     * Synchronise les données avec le serveur si la synchronisation est activée
+     * Le verrou partagé évite que plusieurs onglets synchronisent en même temps.
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.manual=false] - Demandée par l'utilisateur (le résultat est affiché)
+     */
+    async runSync({ manual = false } = {}) {
+        try {
+            const settings = await this.storage.getSyncSettings();
+            if (!settings.enabled) {
+                this.showSyncStatus(SyncStatus.DISABLED);
+                return;
+            }
+
+            this.showSyncStatus(SyncStatus.SYNCING);
+            const result = await this.tabSync.runExclusive('sync', () => this.syncEngine.sync());
+
+            // Modifications d'autres appareils : recharger l'état en mémoire
+            if (result.received > 0) {
+                await this.timer.sync();
+                await this.loadTodayData();
+                await this.loadProjects();
+                await this.loadTodaySessions();
+                await this.updateAllDisplays();
+            }
+
+            if (manual) {
+                this.ui.showSuccess(`Synchronisation terminée : ${result.received} reçue(s), ${result.sent} envoyée(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Erreur lors de la synchronisation:', error);
+            if (manual) {
+                this.ui.showError(error.message || 'Erreur lors de la synchronisation');
+            }
+        }
+        await this.refreshSyncStatus();
+    }
+
+    /**
+     * Affiche le statut enregistré de la synchronisation dans l'en-tête
+     */
+    async refreshSyncStatus() {
+        try {
+            const [settings, state] = await Promise.all([
+                this.storage.getSyncSettings(),
+                this.storage.getSyncState()
+            ]);
+            this.showSyncStatus(getSyncStatus(settings, state), state);
+        } catch (error) {
+            console.error('❌ Erreur lors de la lecture de l\'état de synchronisation:', error);
+        }
+    }
+
+    /**
+     * Met à jour le bouton de synchronisation de l'en-tête
+     * @param {string} status - Statut (SyncStatus)
+     * @param {Object} [state] - État de la synchronisation (dernier échange, dernière erreur)
+     */
+    showSyncStatus(status, state = {}) {
+        const statusEl = document.getElementById('sync-status');
+        if (!statusEl) return;
+
+        statusEl.textContent = getSyncStatusLabel(status, state);
+        statusEl.className = `header__sync-status header__sync-status--${status}`;
+        statusEl.parentElement.title = status === SyncStatus.ERROR
+            ? state.lastError
+            : 'Synchroniser avec un autre appareil';
+    }
+
+    /**
+     * Ouvre la popover de synchronisation
+     */
+    async openSyncPopover() {
+        try {
+            const [settings, state] = await Promise.all([
+                this.storage.getSyncSettings(),
+                this.storage.getSyncState()
+            ]);
+
+            const popover = new SyncPopover(settings, state, {
+                onSave: async (next) => {
+                    await this.saveSyncSettings(next);
+                },
+                onSyncNow: async () => {
+                    await this.runSync({ manual: true });
+                }
+            });
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement de la synchronisation:', error);
+            this.ui.showError('Erreur lors du chargement de la synchronisation');
+        }
+    }
+
+    /**
+     * Enregistre les paramètres de synchronisation puis synchronise si elle est activée
+     * @param {{enabled: boolean, endpoint: string, token: string}} settings - Nouveaux paramètres
+     */
+    async saveSyncSettings(settings) {
+        try {
+            const saved = await this.storage.saveSyncSettings(settings);
+            if (!saved.enabled) {
+                this.ui.showSuccess('Synchronisation désactivée');
+            }
+
+            await this.runSync({ manual: saved.enabled });
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des paramètres de synchronisation:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'enregistrement des paramètres');
+        }
+    }
+
+    // ======================
+    // Stockage et archives annuelles
+    // ======================
+
+    /**
+     * Charge la liste des années archivées et oublie les contenus déjà lus
+     */
+    async loadArchivedYears() {
+        const archives = await this.storage.getArchives();
+        this.archivedYears = archives.map(archive => archive.year);
+        this.archiveCache.clear();
+    }
+
+    /**
+     * Lit les pointages et sessions archivés d'une période (lecture seule)
+     * Chaque archive n'est décompressée qu'une fois ; les projets archivés inconnus
+     * (supprimés depuis) sont ajoutés aux projets connus pour l'affichage.
+     * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+     * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+     * @returns {Promise<{entries: TimeEntry[], sessions: ProjectSession[], projects: Project[]}>}
+     */
+    async getArchivedPeriod(startDate, endDate) {
+        const projects = new Map(this.getKnownProjects().map(project => [project.id, project]));
+        const entries = [];
+        const sessions = [];
+
+        for (const year of getArchivedYearsInRange(this.archivedYears, startDate, endDate)) {
+            if (!this.archiveCache.has(year)) {
+                this.archiveCache.set(year, await this.storage.getArchivePayload(year));
+            }
+            const payload = this.archiveCache.get(year);
+            if (!payload) continue;
+
+            const period = readArchivedPeriod(payload, startDate, endDate);
+            entries.push(...period.entries);
+            sessions.push(...period.sessions);
+            period.projects
+                .filter(project => !projects.has(project.id))
+                .forEach(project => projects.set(project.id, project));
+        }
+
+        return { entries, sessions, projects: [...projects.values()] };
+    }
+
+    /**
+     * Ouvre le panneau de stockage (espace utilisé, enregistrements, archives annuelles)
+     */
+    async openStoragePanel() {
+        try {
+            const [estimate, counts, archives, dateRange] = await Promise.all([
+                navigator.storage && navigator.storage.estimate ? navigator.storage.estimate() : null,
+                this.storage.getStoreCounts(),
+                this.storage.getArchives(),
+                this.storage.getDataDateRange()
+            ]);
+
+            const popover = new StoragePopover({
+                estimate,
+                counts,
+                archives,
+                archivableYears: getArchivableYears(dateRange)
+            }, {
+                onArchive: async (year) => {
+                    await this.archiveYear(year);
+                },
+                onUnarchive: async (year) => {
+                    await this.unarchiveYear(year);
+                }
+            });
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors du chargement du stockage:', error);
+            this.ui.showError('Erreur lors du chargement du stockage');
+        }
+    }
+
+    /**
+     * Archive les pointages et sessions d'une année passée
+     * @param {number} year - Année à archiver
+     */
+    async archiveYear(year) {
+        try {
+            const result = await this.tabSync.runExclusive('archives', () => this.storage.archiveYear(year));
+
+            // Les modifications archivées ne peuvent plus être annulées
+            this.history.clear();
+            await this.loadArchivedYears();
+            await this.updateAllDisplays();
+
+            this.ui.showSuccess(`Année ${year} archivée : ${result.timeEntries} pointage(s), ${result.projectSessions} session(s)`);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'archivage:', error);
+            this.ui.showError(error.message || 'Erreur lors de l\'archivage');
+        }
+    }
+
+    /**
+     * Réintègre une archive annuelle dans les données courantes
+     * @param {number} year - Année archivée
+     */
+    async unarchiveYear(year) {
+        try {
+            const result = await this.tabSync.runExclusive('archives', () => this.storage.unarchiveYear(year));
+
+            await this.loadArchivedYears();
+            await this.updateAllDisplays();
+
+            this.ui.showSuccess(`Année ${year} réintégrée : ${result.timeEntries} pointage(s), ${result.projectSessions} session(s)`);
+        } catch (error) {
+            console.error('❌ Erreur lors de la réintégration:', error);
+            this.ui.showError(error.message || 'Erreur lors de la réintégration');
+        }
+    }
+
+    // ======================
+    // Chiffrement
+    // ======================
+
+    /**
+     * N'enregistre l'historique d'annulation qu'en mémoire si les données sont chiffrées
+     * (il contient une copie en clair des enregistrements modifiés)
+     */
+    applyHistoryPersistence() {
+        if (!this.storage.isEncrypted()) return;
+
+        localStorage.removeItem(HISTORY_STORAGE_KEY);
+        this.history = new CommandHistory({ persistence: null });
+    }
+
+    /**
+     * Ouvre la popover de chiffrement
+     */
+    openEncryptionPopover() {
+        const popover = new EncryptionPopover(this.storage.isEncrypted(), async (passphrase) => {
+            await this.changeEncryption(passphrase);
+        });
+        popover.show();
+    }
+
+    /**
+     * Active, change ou désactive le chiffrement de toutes les données
+     * @param {string|null} passphrase - Nouvelle phrase secrète (null pour désactiver)
+     */
+    async changeEncryption(passphrase) {
+        try {
+            await this.storage.setPassphrase(passphrase);
+
+            // L'historique peut contenir des données en clair : il repart de zéro
+            this.history.clear();
+            this.applyHistoryPersistence();
+
+            this.ui.showSuccess(passphrase ? 'Données chiffrées' : 'Chiffrement désactivé');
+        } catch (error) {
+            console.error('❌ Erreur lors du changement de chiffrement:', error);
+            this.ui.showError(error.message || 'Erreur lors du changement de chiffrement');
+        }
+    }
+
+    // ======================
+    // Vérification des données
+    // ======================
+
+    /**
+     * Vérifie la cohérence de toutes les données et affiche les problèmes détectés
+     */
+    async openIntegrityCheck() {
+        try {
+            const data = await this.storage.getAllData({ raw: true });
+            const issues = checkIntegrity(data, {
+                multiProjectMode: this.timer ? this.timer.isMultiProjectMode() : false,
+                archivedTime: sumArchivedTime(await this.storage.getArchives())
+            });
+
+            console.log(`🩺 Vérification des données : ${issues.length} problème(s)`);
+
+            const popover = new IntegrityPopover(issues, async (selected) => {
+                await this.repairData(selected);
+            });
+            popover.show();
+        } catch (error) {
+            console.error('❌ Erreur lors de la vérification des données:', error);
+            this.ui.showError('Erreur lors de la vérification des données');
+        }
+    }
+
+    /**
+     * Applique les corrections sélectionnées en une seule transaction
+     * @param {Object[]} issues - Problèmes à corriger (voir checkIntegrity)
+     */
+    async repairData(issues) {
+        try {
+            const changes = issues.flatMap(issue => issue.changes);
+
+            // Chaque enregistrement doit être resté dans l'état vérifié (sinon rien n'est écrit)
+            await this.storage.applyChanges(changes, HistoryDirection.REDO, {
+                action: 'Réparation des données'
+            });
+            this.recordHistory('Réparation des données', changes);
+
+            // Recharger l'état de l'application (sessions en cours comprises)
+            await this.timer.init();
+            await this.loadTodayData();
+            await this.loadProjects();
+            await this.loadTodaySessions();
+            await this.updateAllDisplays();
+
+            this.showUndoableSuccess(`${issues.length} correction(s) appliquée(s)`);
+        } catch (error) {
+            console.error('❌ Erreur lors de la réparation des données:', error);
+            this.ui.showError(error.name === 'ConflictError'
+                ? 'Les données ont changé depuis la vérification : relancez-la'
+                : 'Erreur lors de la réparation des données');
+        }
+    }
+
 }
 
 // Démarrage de l'application au chargement du DOM
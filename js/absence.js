@@ -0,0 +1,194 @@
+'use strict';
+
+import { getPublicHolidayName } from './holidays.js';
+import { addDays } from './utils.js';
+
+/**
+ * Absences
+ * Une absence couvre une journée et crédite tout ou partie de l'objectif de présence
+ * de ce jour : un congé ou un arrêt maladie ne fait donc pas apparaître la journée
+ * comme incomplète. Les jours fériés sont calculés (voir holidays.js) et créditent
+ * l'objectif sans avoir à être saisis.
+ */
+
+/**
+ * Nombre maximal de jours d'une saisie d'absences (une année)
+ */
+export const MAX_ABSENCE_RANGE_DAYS = 366;
+
+/**
+ * Types d'absence valides
+ */
+export const ABSENCE_TYPES = {
+    PUBLIC_HOLIDAY: 'public-holiday',
+    PAID_LEAVE: 'paid-leave',
+    HALF_DAY_LEAVE: 'half-day-leave',
+    SICK: 'sick',
+    TRAINING: 'training'
+};
+
+/**
+ * Libellés et part de l'objectif créditée par type d'absence
+ */
+const ABSENCE_TYPE_INFO = Object.freeze({
+    [ABSENCE_TYPES.PUBLIC_HOLIDAY]: { label: 'Jour férié', credit: 1 },
+    [ABSENCE_TYPES.PAID_LEAVE]: { label: 'Congé payé', credit: 1 },
+    [ABSENCE_TYPES.HALF_DAY_LEAVE]: { label: 'Demi-journée de congé', credit: 0.5 },
+    [ABSENCE_TYPES.SICK]: { label: 'Arrêt maladie', credit: 1 },
+    [ABSENCE_TYPES.TRAINING]: { label: 'Formation', credit: 1 }
+});
+
+/**
+ * Retourne le libellé d'un type d'absence
+ * @param {string} type - Type d'absence
+ * @returns {string} Libellé en français
+ */
+export function getAbsenceTypeLabel(type) {
+    return ABSENCE_TYPE_INFO[type] ? ABSENCE_TYPE_INFO[type].label : type;
+}
+
+/**
+ * Classe représentant une absence sur une journée
+ */
+export class Absence {
+    /**
+     * Crée une nouvelle absence
+     * @param {string} date - Jour au format YYYY-MM-DD
+     * @param {string} type - Type d'absence (voir ABSENCE_TYPES)
+     * @param {string} note - Note optionnelle
+     * @throws {Error} Si la date ou le type est invalide
+     */
+    constructor(date, type, note = '') {
+        this.#validateDate(date);
+        this.#validateType(type);
+
+        this.id = crypto.randomUUID();
+        this.date = date;
+        this.type = type;
+        this.note = note;
+        this.updatedAt = null; // Dernière écriture (renseignée par StorageService)
+        this.version = 0; // Version de synchronisation (incrémentée à chaque écriture)
+    }
+
+    /**
+     * Valide le jour de l'absence
+     * @param {string} date - Jour à valider
+     * @throws {Error} Si le jour n'est pas au format YYYY-MM-DD
+     * @private
+     */
+    #validateDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Date d'absence invalide: ${date}`);
+        }
+    }
+
+    /**
+     * Valide le type d'absence
+     * @param {string} type - Type à valider
+     * @throws {Error} Si le type n'est pas valide
+     * @private
+     */
+    #validateType(type) {
+        const validTypes = Object.values(ABSENCE_TYPES);
+        if (!validTypes.includes(type)) {
+            throw new Error(
+                `Type d'absence invalide: ${type}. Types valides: ${validTypes.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Part de l'objectif du jour créditée par l'absence
+     * @returns {number} 1 pour une journée entière, 0.5 pour une demi-journée
+     */
+    getCreditRatio() {
+        return ABSENCE_TYPE_INFO[this.type].credit;
+    }
+
+    /**
+     * Convertit l'absence en objet sérialisable pour IndexedDB
+     * @returns {Object} Objet sérialisé
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            date: this.date,
+            type: this.type,
+            note: this.note,
+            updatedAt: this.updatedAt ? this.updatedAt.toISOString() : null,
+            version: this.version
+        };
+    }
+
+    /**
+     * Crée une Absence à partir d'un objet JSON (depuis IndexedDB)
+     * @param {Object} json - Objet JSON
+     * @returns {Absence} Instance d'Absence
+     * @throws {Error} Si les données sont invalides
+     */
+    static fromJSON(json) {
+        if (!json || typeof json !== 'object') {
+            throw new Error('Données JSON invalides');
+        }
+
+        const absence = new Absence(json.date, json.type, json.note || '');
+
+        // Préserver l'ID original
+        absence.id = json.id;
+        absence.updatedAt = json.updatedAt ? new Date(json.updatedAt) : null;
+        absence.version = json.version || 0;
+
+        return absence;
+    }
+}
+
+/**
+ * Décrit les absences d'une journée et le temps qu'elles créditent
+ * Un jour férié crédite l'objectif entier ; sinon les parts des absences s'additionnent
+ * (deux demi-journées font une journée) sans dépasser l'objectif.
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @param {number} targetTime - Objectif de présence du jour (ms)
+ * @param {Absence[]} absences - Absences enregistrées (tous jours confondus)
+ * @returns {{holiday: string|null, absences: Absence[], creditedTime: number}}
+ *   Jour férié éventuel, absences du jour et temps crédité (ms)
+ */
+export function describeAbsenceDay(date, targetTime, absences = []) {
+    const holiday = getPublicHolidayName(date);
+    const dayAbsences = absences.filter(absence => absence.date === date);
+
+    const ratio = holiday
+        ? 1
+        : Math.min(1, dayAbsences.reduce((sum, absence) => sum + absence.getCreditRatio(), 0));
+
+    return {
+        holiday,
+        absences: dayAbsences,
+        creditedTime: Math.round(targetTime * ratio)
+    };
+}
+
+/**
+ * Liste les jours d'une plage à enregistrer comme absences
+ * Les jours non travaillés (objectif nul) et les jours fériés sont écartés : ils ne
+ * demandent aucun crédit.
+ * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+ * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+ * @param {Function} getTarget - Objectif d'un jour en ms ((date) => number)
+ * @returns {string[]} Jours retenus, dans l'ordre
+ * @throws {Error} Si la plage est inversée ou dépasse MAX_ABSENCE_RANGE_DAYS
+ */
+export function listAbsenceDays(startDate, endDate, getTarget) {
+    if (endDate < startDate) {
+        throw new Error('La date de fin précède la date de début');
+    }
+
+    const days = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        if (days.length >= MAX_ABSENCE_RANGE_DAYS) {
+            throw new Error(`Une saisie d'absences ne peut pas dépasser ${MAX_ABSENCE_RANGE_DAYS} jours`);
+        }
+        days.push(date);
+    }
+
+    return days.filter(date => getTarget(date) > 0 && !getPublicHolidayName(date));
+}
@@ -10,6 +10,9 @@ import { initialModel } from './model/model.js';
 import { update } from './update/update.js';
 import { view } from './view/view.js';
 import { initDatabase, createStorageEffects } from './effects/storage.js';
+import { Msg } from './update/messages.js';
+import { STORES } from './migrations.js';
+import { TabSync, SyncMessageType } from './tab-sync.js';
 
 /**
  * Démarre l'application
@@ -30,7 +33,15 @@ const startApp = async () => {
         // 4. Initialiser le runtime (charge les données et démarre l'app)
         await runtime.init('#app');
 
-        // 5. Exposer le runtime pour debugging
+        // 5. Relire les horaires lorsqu'un autre onglet modifie les paramètres
+        const tabSync = new TabSync();
+        tabSync.onMessage = ({ type, payload }) => {
+            if (type === SyncMessageType.DATA_CHANGED && payload.stores.includes(STORES.SETTINGS)) {
+                runtime.dispatch(Msg.WorkSchedulesChanged());
+            }
+        };
+
+        // 6. Exposer le runtime pour debugging
         window.__RUNTIME__ = runtime;
         window.__DEBUG__ = {
             getModel: () => runtime.getModel(),
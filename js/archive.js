@@ -0,0 +1,209 @@
+'use strict';
+
+import { TimeEntry } from './time-entry.js';
+import { Project } from './project.js';
+import { ProjectSession } from './project-session.js';
+import { getTodayDateString } from './utils.js';
+
+/**
+ * Archives annuelles
+ * Les pointages et sessions d'une année passée quittent les stores courants pour une
+ * archive compressée (gzip) du store archives, ce qui allège les index et les lectures.
+ * Les rapports relisent une archive à la demande, en lecture seule ; une archive peut
+ * aussi être réintégrée aux données courantes.
+ */
+
+/**
+ * Version du contenu d'une archive
+ */
+export const ARCHIVE_FORMAT_VERSION = '1';
+
+// ======================
+// Années
+// ======================
+
+/**
+ * Retourne l'année d'un jour
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {number}
+ */
+export function getDateYear(date) {
+    return Number(date.slice(0, 4));
+}
+
+/**
+ * Retourne le premier et le dernier jour d'une année
+ * @param {number} year - Année
+ * @returns {{startDate: string, endDate: string}} Jours au format YYYY-MM-DD
+ */
+export function getYearBounds(year) {
+    return { startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+}
+
+/**
+ * Liste les années pouvant être archivées (années passées contenant des données)
+ * @param {{firstDate: string|null, lastDate: string|null}} range - Premier et dernier jour des données courantes
+ * @param {string} [today] - Jour courant (YYYY-MM-DD)
+ * @returns {number[]} Années, de la plus ancienne à la plus récente
+ */
+export function getArchivableYears({ firstDate, lastDate }, today = getTodayDateString()) {
+    if (!firstDate || !lastDate) {
+        return [];
+    }
+
+    const lastYear = Math.min(getDateYear(lastDate), getDateYear(today) - 1);
+    const years = [];
+    for (let year = getDateYear(firstDate); year <= lastYear; year++) {
+        years.push(year);
+    }
+    return years;
+}
+
+/**
+ * Liste les années archivées qui recoupent une période
+ * @param {number[]} archivedYears - Années archivées
+ * @param {string} startDate - Premier jour de la période (YYYY-MM-DD)
+ * @param {string} endDate - Dernier jour de la période (YYYY-MM-DD)
+ * @returns {number[]}
+ */
+export function getArchivedYearsInRange(archivedYears, startDate, endDate) {
+    const first = getDateYear(startDate);
+    const last = getDateYear(endDate);
+    return archivedYears.filter(year => year >= first && year <= last);
+}
+
+// ======================
+// Contenu d'une archive
+// ======================
+
+/**
+ * Crée le contenu d'une archive
+ * Les projets référencés par les sessions sont copiés : l'archive reste lisible
+ * même si un projet est supprimé par la suite.
+ * @param {number} year - Année archivée
+ * @param {Object} data - Enregistrements au format de stockage
+ * @param {Object[]} data.timeEntries - Pointages de l'année
+ * @param {Object[]} data.projectSessions - Sessions de l'année
+ * @param {Object[]} data.projects - Projets connus
+ * @param {string} [today] - Jour courant (YYYY-MM-DD)
+ * @returns {Object} Contenu ({version, year, timeEntries, projectSessions, projects})
+ * @throws {Error} Si l'année n'est pas passée, si elle est vide ou si une session est en cours
+ */
+export function createArchivePayload(year, { timeEntries, projectSessions, projects }, today = getTodayDateString()) {
+    if (!Number.isInteger(year) || year >= getDateYear(today)) {
+        throw new Error('Seules les années passées peuvent être archivées');
+    }
+    if (timeEntries.length === 0 && projectSessions.length === 0) {
+        throw new Error(`Aucune donnée à archiver pour ${year}`);
+    }
+    if (projectSessions.some(session => !session.endTime)) {
+        throw new Error(`Une session de ${year} est encore en cours : arrêtez-la avant d'archiver`);
+    }
+
+    const projectIds = new Set(projectSessions.map(session => session.projectId));
+
+    return {
+        version: ARCHIVE_FORMAT_VERSION,
+        year,
+        timeEntries,
+        projectSessions,
+        projects: projects.filter(project => projectIds.has(project.id))
+    };
+}
+
+/**
+ * Ajoute des enregistrements au contenu d'une archive existante (même ID : le plus récent l'emporte)
+ * @param {Object} payload - Contenu de l'archive existante
+ * @param {Object} addition - Contenu à ajouter (voir createArchivePayload)
+ * @returns {Object} Contenu fusionné
+ */
+export function mergeArchivePayloads(payload, addition) {
+    const mergeById = (current, added) => [
+        ...new Map([...current, ...added].map(record => [record.id, record])).values()
+    ];
+
+    return {
+        ...payload,
+        timeEntries: mergeById(payload.timeEntries, addition.timeEntries),
+        projectSessions: mergeById(payload.projectSessions, addition.projectSessions),
+        projects: mergeById(payload.projects, addition.projects)
+    };
+}
+
+/**
+ * Calcule le temps archivé par projet
+ * Même règle que la vérification des données : durée des sessions terminées.
+ * @param {Object[]} sessions - Sessions archivées (format de stockage)
+ * @returns {Object<string, number>} Durée en millisecondes par ID de projet
+ */
+export function summarizeArchivedTime(sessions) {
+    const totals = {};
+    sessions
+        .filter(session => session.endTime)
+        .forEach(session => {
+            const duration = Math.abs(new Date(session.endTime).getTime() - new Date(session.startTime).getTime());
+            totals[session.projectId] = (totals[session.projectId] || 0) + duration;
+        });
+    return totals;
+}
+
+/**
+ * Additionne le temps archivé par projet de plusieurs archives
+ * @param {Object[]} archives - Archives (métadonnées avec projectTime)
+ * @returns {Object<string, number>} Durée en millisecondes par ID de projet
+ */
+export function sumArchivedTime(archives) {
+    const totals = {};
+    archives.forEach(archive => {
+        Object.entries(archive.projectTime || {}).forEach(([projectId, duration]) => {
+            totals[projectId] = (totals[projectId] || 0) + duration;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Extrait d'une archive les pointages et sessions d'une période (lecture seule)
+ * @param {Object} payload - Contenu de l'archive
+ * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+ * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+ * @returns {{entries: TimeEntry[], sessions: ProjectSession[], projects: Project[]}}
+ */
+export function readArchivedPeriod(payload, startDate, endDate) {
+    const inRange = record => record.date >= startDate && record.date <= endDate;
+
+    return {
+        entries: payload.timeEntries.filter(inRange).map(data => TimeEntry.fromJSON(data)),
+        sessions: payload.projectSessions.filter(inRange).map(data => ProjectSession.fromJSON(data)),
+        projects: payload.projects.map(data => Project.fromJSON(data))
+    };
+}
+
+// ======================
+// Compression
+// ======================
+
+/**
+ * Compresse une valeur sérialisable en JSON (gzip)
+ * @param {*} value - Valeur à compresser
+ * @returns {Promise<Blob>}
+ */
+export async function compressJSON(value) {
+    const stream = new Blob([JSON.stringify(value)]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).blob();
+}
+
+/**
+ * Décompresse une valeur compressée par compressJSON
+ * @param {Blob} blob - Données compressées
+ * @returns {Promise<*>} Valeur d'origine
+ * @throws {Error} Si les données ne sont pas lisibles
+ */
+export async function decompressJSON(blob) {
+    try {
+        const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+        return JSON.parse(await new Response(stream).text());
+    } catch (error) {
+        throw new Error('Archive illisible');
+    }
+}
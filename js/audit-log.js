@@ -0,0 +1,114 @@
+'use strict';
+
+import { STORES } from './migrations.js';
+import { formatTime, getEntryTypeLabel } from './utils.js';
+
+/**
+ * Journal des modifications (audit)
+ * Trace chaque modification a posteriori d'un pointage ou d'une session : opération,
+ * état avant / après (format de stockage) et date. Le journal est en ajout seul :
+ * aucune méthode ne permet d'en modifier ou d'en supprimer un enregistrement.
+ */
+
+/**
+ * Opérations tracées
+ */
+export const AUDIT_OPERATIONS = Object.freeze({
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+});
+
+/**
+ * Libellés des opérations
+ */
+const OPERATION_LABELS = {
+    [AUDIT_OPERATIONS.CREATE]: 'Création',
+    [AUDIT_OPERATIONS.UPDATE]: 'Modification',
+    [AUDIT_OPERATIONS.DELETE]: 'Suppression'
+};
+
+/**
+ * Déduit l'opération à partir des états avant / après
+ * @param {Object|null} before - Enregistrement avant (null si créé)
+ * @param {Object|null} after - Enregistrement après (null si supprimé)
+ * @returns {string} Opération (AUDIT_OPERATIONS)
+ * @throws {Error} Si aucun des deux états n'est fourni
+ */
+export function getAuditOperation(before, after) {
+    if (!before && !after) {
+        throw new Error('Une entrée du journal doit avoir un état avant ou après');
+    }
+    if (!before) return AUDIT_OPERATIONS.CREATE;
+    if (!after) return AUDIT_OPERATIONS.DELETE;
+    return AUDIT_OPERATIONS.UPDATE;
+}
+
+/**
+ * Crée un enregistrement du journal
+ * @param {Object} options - Contenu de l'enregistrement
+ * @param {string} options.store - Store de l'enregistrement modifié (STORES)
+ * @param {string} options.action - Action de l'utilisateur (ex: "Modification du pointage")
+ * @param {Object|null} options.before - État avant la modification
+ * @param {Object|null} options.after - État après la modification
+ * @param {Date} [options.timestamp] - Date de la modification (maintenant par défaut)
+ * @returns {Object} Enregistrement au format de stockage
+ */
+export function createAuditRecord({ store, action, before, after, timestamp = new Date() }) {
+    const operation = getAuditOperation(before, after);
+
+    return {
+        id: `audit_${timestamp.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: timestamp.toISOString(),
+        store,
+        recordId: (after || before).id,
+        operation,
+        action,
+        before,
+        after
+    };
+}
+
+/**
+ * Compare deux enregistrements du journal dans l'ordre des modifications (date, puis numéro)
+ * Le numéro (seq) est attribué par le stockage à l'écriture ; les enregistrements antérieurs
+ * au numéro sont classés par date seulement.
+ * @param {Object} a - Enregistrement du journal
+ * @param {Object} b - Enregistrement du journal
+ * @returns {number} Négatif si a précède b
+ */
+export function compareAuditRecords(a, b) {
+    return a.timestamp.localeCompare(b.timestamp) || (a.seq || 0) - (b.seq || 0);
+}
+
+/**
+ * Retourne le libellé d'une opération
+ * @param {string} operation - Opération (AUDIT_OPERATIONS)
+ * @returns {string}
+ */
+export function getAuditOperationLabel(operation) {
+    return OPERATION_LABELS[operation] || operation;
+}
+
+/**
+ * Résume un état (avant ou après) d'un enregistrement du journal
+ * @param {string} store - Store de l'enregistrement (STORES)
+ * @param {Object|null} state - Enregistrement au format de stockage
+ * @returns {string} Ex: "Arrivée 09:00 (2025-11-13)" ou "09:00 → 12:00 (2025-11-13)"
+ */
+export function formatAuditState(store, state) {
+    if (!state) {
+        return '—';
+    }
+
+    if (store === STORES.TIME_ENTRIES) {
+        return `${getEntryTypeLabel(state.type)} ${formatTime(new Date(state.timestamp))} (${state.date})`;
+    }
+
+    if (store === STORES.PROJECT_SESSIONS) {
+        const end = state.endTime ? formatTime(new Date(state.endTime)) : 'en cours';
+        return `${formatTime(new Date(state.startTime))} → ${end} (${state.date})`;
+    }
+
+    return state.id;
+}
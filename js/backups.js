@@ -0,0 +1,183 @@
+'use strict';
+
+import { TimeCalculator, DayStatus } from './calculator.js';
+import { TimeEntry } from './time-entry.js';
+import { formatDate, addDays } from './utils.js';
+
+/**
+ * Sauvegardes automatiques (instantanés locaux)
+ * Un instantané est une sauvegarde complète au format de DataExporter.exportAllDataToJSON,
+ * conservée dans le store backups. Seuls les instantanés les plus récents sont gardés :
+ * au-delà du nombre configuré, les plus anciens sont supprimés à chaque écriture.
+ */
+
+/**
+ * Fréquences des instantanés automatiques
+ */
+export const BackupFrequency = Object.freeze({
+    OFF: 'off',
+    DAILY: 'daily',
+    WEEKLY: 'weekly'
+});
+
+/**
+ * Origine d'un instantané
+ */
+export const BackupTrigger = Object.freeze({
+    AUTO: 'auto',
+    MANUAL: 'manual',
+    RESTORE: 'restore'
+});
+
+/**
+ * Nombre maximal d'instantanés conservés
+ */
+export const MAX_BACKUPS_KEPT = 30;
+
+/**
+ * Paramètres par défaut : un instantané par jour, les 7 derniers conservés
+ */
+export const DEFAULT_BACKUP_SETTINGS = Object.freeze({
+    frequency: BackupFrequency.DAILY,
+    keep: 7
+});
+
+/**
+ * Intervalle de vérification de l'échéance pendant que l'application est ouverte (ms)
+ */
+export const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Écart minimal entre deux instantanés automatiques, en jours
+ */
+const FREQUENCY_DAYS = {
+    [BackupFrequency.DAILY]: 1,
+    [BackupFrequency.WEEKLY]: 7
+};
+
+/**
+ * Libellés des origines
+ */
+const TRIGGER_LABELS = {
+    [BackupTrigger.AUTO]: 'Automatique',
+    [BackupTrigger.MANUAL]: 'Manuel',
+    [BackupTrigger.RESTORE]: 'Avant restauration'
+};
+
+/**
+ * Complète et valide les paramètres des instantanés
+ * @param {Object|null} settings - Paramètres enregistrés (null pour les valeurs par défaut)
+ * @returns {{frequency: string, keep: number}} Paramètres complets
+ * @throws {Error} Si la fréquence est inconnue ou le nombre d'instantanés invalide
+ */
+export function normalizeBackupSettings(settings) {
+    const normalized = { ...DEFAULT_BACKUP_SETTINGS, ...(settings || {}) };
+
+    if (!Object.values(BackupFrequency).includes(normalized.frequency)) {
+        throw new Error(`Fréquence de sauvegarde inconnue: ${normalized.frequency}`);
+    }
+    if (!Number.isInteger(normalized.keep) || normalized.keep < 1 || normalized.keep > MAX_BACKUPS_KEPT) {
+        throw new Error(`Le nombre de sauvegardes conservées doit être compris entre 1 et ${MAX_BACKUPS_KEPT}`);
+    }
+
+    return { frequency: normalized.frequency, keep: normalized.keep };
+}
+
+/**
+ * Indique si un instantané automatique est dû
+ * L'échéance se compte en jours calendaires : un instantané quotidien est dû dès le lendemain
+ * du précédent, quelle que soit l'heure.
+ * @param {string|null} lastCreatedAt - Date ISO du dernier instantané (null si aucun)
+ * @param {string} frequency - Fréquence (BackupFrequency)
+ * @param {Date} [now] - Date courante
+ * @returns {boolean}
+ */
+export function isBackupDue(lastCreatedAt, frequency, now = new Date()) {
+    if (frequency === BackupFrequency.OFF) {
+        return false;
+    }
+    if (!lastCreatedAt) {
+        return true;
+    }
+
+    const nextDate = addDays(formatDate(new Date(lastCreatedAt)), FREQUENCY_DAYS[frequency]);
+    return formatDate(now) >= nextDate;
+}
+
+/**
+ * Crée un instantané à partir d'une sauvegarde complète
+ * @param {string} content - Contenu JSON produit par exportAllDataToJSON
+ * @param {Object} [options] - Options
+ * @param {string} [options.trigger=BackupTrigger.AUTO] - Origine de l'instantané (BackupTrigger)
+ * @param {Date} [options.now] - Date de création
+ * @returns {Object} Instantané au format de stockage
+ */
+export function createBackupRecord(content, { trigger = BackupTrigger.AUTO, now = new Date() } = {}) {
+    return {
+        id: `backup_${now.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
+        createdAt: now.toISOString(),
+        trigger,
+        size: content.length,
+        content
+    };
+}
+
+/**
+ * Calcule les totaux d'une sauvegarde pour l'aperçu avant restauration
+ * Seuls les jours terminés (départ pointé) et les sessions terminées sont comptés :
+ * un élément en cours dans l'instantané n'a pas de durée fixe.
+ * @param {Object} data - Données lues par DataImporter.parseBackup
+ * @returns {Object} Totaux ({timeEntries, projects, projectSessions, firstDate, lastDate, workedDays, presenceTime, projectTime})
+ */
+export function summarizeBackup({ timeEntries, projects, projectSessions }) {
+    const calculator = new TimeCalculator();
+
+    const entriesByDate = new Map();
+    timeEntries.forEach(record => {
+        if (!entriesByDate.has(record.date)) {
+            entriesByDate.set(record.date, []);
+        }
+        entriesByDate.get(record.date).push(TimeEntry.fromJSON(record));
+    });
+
+    let presenceTime = 0;
+    let workedDays = 0;
+    entriesByDate.forEach(entries => {
+        // Une journée en plusieurs fois n'est terminée que si sa dernière plage l'est
+        if (calculator.getDayStatus(entries) !== DayStatus.COMPLETED) return;
+
+        entries.sort((a, b) => a.timestamp - b.timestamp);
+        try {
+            presenceTime += calculator.calculatePresenceTime(entries);
+            workedDays++;
+        } catch (error) {
+            // Journée incohérente : ignorée dans les totaux (voir la vérification des données)
+        }
+    });
+
+    const projectTime = projectSessions
+        .filter(session => session.endTime)
+        .reduce((total, session) => total + (new Date(session.endTime) - new Date(session.startTime)), 0);
+
+    const dates = [...timeEntries, ...projectSessions].map(record => record.date).sort();
+
+    return {
+        timeEntries: timeEntries.length,
+        projects: projects.length,
+        projectSessions: projectSessions.length,
+        firstDate: dates.length > 0 ? dates[0] : null,
+        lastDate: dates.length > 0 ? dates[dates.length - 1] : null,
+        workedDays,
+        presenceTime,
+        projectTime
+    };
+}
+
+/**
+ * Retourne le libellé de l'origine d'un instantané
+ * @param {string} trigger - Origine (BackupTrigger)
+ * @returns {string}
+ */
+export function getBackupTriggerLabel(trigger) {
+    return TRIGGER_LABELS[trigger] || trigger;
+}
@@ -1,12 +1,12 @@
 'use strict';
 
 import { ENTRY_TYPES, isBreakStart, isBreakEnd } from './time-entry.js';
+import { clipIntervalToDay, getDayBounds, formatDate, getTodayDateString } from './utils.js';
+import { getDailyTarget } from './work-schedule.js';
 
 /**
  * Constantes pour les calculs
  */
-const WORK_DAY_HOURS = 8;
-const MILLISECONDS_PER_HOUR = 3600000;
 const MILLISECONDS_PER_MINUTE = 60000;
 
 /**
@@ -20,51 +20,116 @@ export const DayStatus = {
     COMPLETED: 'completed'
 };
 
+/**
+ * Calcule l'état de la journée après un pointage (les pointages impossibles sont ignorés)
+ * @param {string} status - État courant (DayStatus)
+ * @param {string} type - Type du pointage suivant
+ * @returns {string} Nouvel état
+ */
+function nextDayStatus(status, type) {
+    switch (status) {
+        case DayStatus.NOT_STARTED:
+            return type === ENTRY_TYPES.CLOCK_IN ? DayStatus.MORNING : status;
+        case DayStatus.MORNING:
+        case DayStatus.AFTERNOON:
+            if (isBreakStart(type)) return DayStatus.LUNCH; // Réutiliser LUNCH pour "en pause"
+            if (type === ENTRY_TYPES.CLOCK_OUT) return DayStatus.COMPLETED;
+            return status;
+        case DayStatus.LUNCH:
+            if (isBreakEnd(type)) return DayStatus.AFTERNOON;
+            if (type === ENTRY_TYPES.CLOCK_OUT) return DayStatus.COMPLETED;
+            return status;
+        case DayStatus.COMPLETED:
+            return type === ENTRY_TYPES.CLOCK_IN ? DayStatus.AFTERNOON : status;
+        default:
+            return status;
+    }
+}
+
 /**
  * Service de calcul des temps de travail
  */
 export class TimeCalculator {
+    /**
+     * @param {Object[]} [workSchedules=[]] - Horaires de travail (voir normalizeWorkSchedules)
+     */
+    constructor(workSchedules = []) {
+        this.workSchedules = workSchedules;
+    }
+
+    /**
+     * Remplace les horaires de travail utilisés pour les objectifs quotidiens
+     * @param {Object[]} workSchedules - Horaires triés (voir normalizeWorkSchedules)
+     */
+    setWorkSchedules(workSchedules) {
+        this.workSchedules = workSchedules;
+    }
+
+    /**
+     * Retourne l'objectif de présence d'un jour selon l'horaire en vigueur
+     * @param {string} [date] - Jour au format YYYY-MM-DD (aujourd'hui par défaut)
+     * @returns {number} Objectif en millisecondes (0 pour un jour non travaillé)
+     */
+    getDailyTarget(date = getTodayDateString()) {
+        return getDailyTarget(this.workSchedules, date);
+    }
+
     /**
      * Calcule le temps de présence à partir des pointages
-     * Formule: temps total - somme de toutes les pauses
-     * @param {TimeEntry[]} entries - Liste des pointages du jour (triés par timestamp)
+     * Formule: somme des plages de travail (chaque arrivée jusqu'à son départ, pauses exclues).
+     * L'intervalle entre un départ et une nouvelle arrivée (journée en plusieurs fois) n'est
+     * ni du travail ni une pause.
+     * @param {TimeEntry[]} entries - Liste des pointages du jour (dans n'importe quel ordre)
      * @returns {number} Durée en millisecondes
-     * @throws {Error} Si les pointages sont incomplets ou invalides
      */
     calculatePresenceTime(entries) {
-        if (!entries || entries.length === 0) {
-            return 0;
-        }
-
-        const clockIn = entries.find(e => e.type === ENTRY_TYPES.CLOCK_IN);
-        const clockOut = entries.find(e => e.type === ENTRY_TYPES.CLOCK_OUT);
+        return this.getPresenceIntervals(entries)
+            .reduce((total, interval) => total + (interval.end.getTime() - interval.start.getTime()), 0);
+    }
 
-        if (!clockIn) {
-            return 0;
+    /**
+     * Découpe les pointages en plages de travail (de chaque arrivée à son départ)
+     * Une journée en plusieurs fois (départ à 12:00, retour à 17:00) compte plusieurs plages.
+     * @param {TimeEntry[]} entries - Pointages (dans n'importe quel ordre)
+     * @returns {Array<{start: Date, end: Date|null}>} Plages triées, end null pour la plage en cours
+     */
+    getWorkShifts(entries) {
+        if (!entries || entries.length === 0) {
+            return [];
         }
 
-        // Calculer le temps total (du clock-in au clock-out ou maintenant)
-        const endTime = clockOut ? clockOut.timestamp.getTime() : Date.now();
-        let totalTime = endTime - clockIn.timestamp.getTime();
+        const sortedEntries = [...entries].sort((a, b) =>
+            a.timestamp.getTime() - b.timestamp.getTime()
+        );
 
-        // Trouver toutes les paires de pauses (start/end)
-        const breakPairs = this.#getBreakPairs(entries);
+        const shifts = [];
+        let current = null;
+        let lastTimestamp = null;
 
-        // Soustraire le temps de chaque pause complète
-        for (const pair of breakPairs) {
-            if (pair.end) {
-                totalTime -= (pair.end.timestamp.getTime() - pair.start.timestamp.getTime());
-            } else {
-                // Pause en cours: soustraire le temps jusqu'à maintenant
-                totalTime -= (Date.now() - pair.start.timestamp.getTime());
+        for (const entry of sortedEntries) {
+            if (entry.type === ENTRY_TYPES.CLOCK_IN) {
+                // Arrivée sans départ précédent : clore au dernier pointage connu
+                if (current) {
+                    shifts.push({ start: current, end: lastTimestamp });
+                }
+                current = entry.timestamp;
+            } else if (entry.type === ENTRY_TYPES.CLOCK_OUT && current) {
+                shifts.push({ start: current, end: entry.timestamp });
+                current = null;
             }
+            lastTimestamp = entry.timestamp;
+        }
+
+        if (current) {
+            shifts.push({ start: current, end: null });
         }
 
-        return Math.max(0, totalTime);
+        return shifts;
     }
 
     /**
      * Trouve toutes les paires de pauses (start/end) dans les pointages
+     * Une pause encore ouverte au départ se termine avec la plage de travail.
      * @param {TimeEntry[]} entries - Liste des pointages
      * @returns {Array<{start: TimeEntry, end: TimeEntry|null}>} Paires de pauses
      * @private
@@ -86,8 +151,8 @@ export class TimeCalculator {
                     pairs.push({ start: currentBreakStart, end: null });
                 }
                 currentBreakStart = entry;
-            } else if (isBreakEnd(entry.type) && currentBreakStart) {
-                // Fin de la pause en cours
+            } else if ((isBreakEnd(entry.type) || entry.type === ENTRY_TYPES.CLOCK_OUT) && currentBreakStart) {
+                // Fin de la pause en cours (ou départ pendant la pause)
                 pairs.push({ start: currentBreakStart, end: entry });
                 currentBreakStart = null;
             }
@@ -102,22 +167,77 @@ export class TimeCalculator {
     }
 
     /**
-     * Vérifie si l'objectif de 8h de travail est atteint
+     * Construit les intervalles de présence (travail hors pauses) à partir des pointages
+     * Les pointages peuvent couvrir plusieurs jours : une arrivée à 22:00 et un départ
+     * à 02:00 le lendemain forment un seul intervalle.
+     * @param {TimeEntry[]} entries - Pointages (dans n'importe quel ordre)
+     * @returns {Array<{start: Date, end: Date}>} Intervalles triés, le dernier se termine maintenant s'il est ouvert
+     */
+    getPresenceIntervals(entries) {
+        if (!entries || entries.length === 0) {
+            return [];
+        }
+
+        const sortedEntries = [...entries].sort((a, b) =>
+            a.timestamp.getTime() - b.timestamp.getTime()
+        );
+
+        const intervals = [];
+        let workStart = null;
+        let onBreak = false;
+        let lastTimestamp = null;
+
+        for (const entry of sortedEntries) {
+            if (entry.type === ENTRY_TYPES.CLOCK_IN) {
+                // Arrivée sans départ précédent : clore au dernier pointage connu
+                if (workStart) {
+                    intervals.push({ start: workStart, end: lastTimestamp });
+                }
+                workStart = entry.timestamp;
+                onBreak = false;
+            } else if (isBreakStart(entry.type) && workStart) {
+                intervals.push({ start: workStart, end: entry.timestamp });
+                workStart = null;
+                onBreak = true;
+            } else if (isBreakEnd(entry.type) && onBreak) {
+                workStart = entry.timestamp;
+                onBreak = false;
+            } else if (entry.type === ENTRY_TYPES.CLOCK_OUT) {
+                if (workStart) {
+                    intervals.push({ start: workStart, end: entry.timestamp });
+                }
+                workStart = null;
+                onBreak = false;
+            }
+            lastTimestamp = entry.timestamp;
+        }
+
+        // Journée en cours
+        if (workStart) {
+            intervals.push({ start: workStart, end: new Date(Math.max(Date.now(), workStart.getTime())) });
+        }
+
+        return intervals.filter(interval => interval.end > interval.start);
+    }
+
+    /**
+     * Vérifie si l'objectif de présence du jour est atteint
      * @param {number} duration - Durée en millisecondes
-     * @returns {boolean} true si >= 8h
+     * @param {string} [date] - Jour au format YYYY-MM-DD (aujourd'hui par défaut)
+     * @returns {boolean} true si la durée atteint l'objectif (toujours vrai un jour non travaillé)
      */
-    isWorkDayComplete(duration) {
-        return duration >= WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
+    isWorkDayComplete(duration, date = getTodayDateString()) {
+        return duration >= this.getDailyTarget(date);
     }
 
     /**
-     * Calcule le temps restant pour atteindre l'objectif de 8h
+     * Calcule le temps restant pour atteindre l'objectif du jour
      * @param {number} duration - Durée actuelle en millisecondes
+     * @param {string} [date] - Jour au format YYYY-MM-DD (aujourd'hui par défaut)
      * @returns {number} Temps restant en millisecondes (0 si objectif atteint)
      */
-    getRemainingTime(duration) {
-        const target = WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
-        return Math.max(0, target - duration);
+    getRemainingTime(duration, date = getTodayDateString()) {
+        return Math.max(0, this.getDailyTarget(date) - duration);
     }
 
     /**
@@ -153,7 +273,10 @@ export class TimeCalculator {
     }
 
     /**
-     * Détermine l'état actuel de la journée
+     * Détermine l'état actuel de la journée en rejouant les pointages dans l'ordre
+     * COMPLETED signifie qu'un départ clôt la dernière plage : une nouvelle arrivée reste
+     * possible (journée en plusieurs fois). Une reprise après une pause ou un départ
+     * compte comme l'après-midi.
      * @param {TimeEntry[]} entries - Liste des pointages du jour
      * @returns {string} État de la journée (DayStatus)
      */
@@ -162,29 +285,11 @@ export class TimeCalculator {
             return DayStatus.NOT_STARTED;
         }
 
-        const hasClockIn = entries.some(e => e.type === ENTRY_TYPES.CLOCK_IN);
-        const hasClockOut = entries.some(e => e.type === ENTRY_TYPES.CLOCK_OUT);
-
-        if (hasClockOut) {
-            return DayStatus.COMPLETED;
-        }
-
-        if (!hasClockIn) {
-            return DayStatus.NOT_STARTED;
-        }
-
-        // Vérifier si on est actuellement en pause
-        const breakPairs = this.#getBreakPairs(entries);
-        const hasOpenBreak = breakPairs.some(pair => pair.end === null);
-
-        if (hasOpenBreak) {
-            return DayStatus.LUNCH; // Réutiliser LUNCH pour "en pause"
-        }
+        const sortedEntries = [...entries].sort((a, b) =>
+            a.timestamp.getTime() - b.timestamp.getTime()
+        );
 
-        // On est en train de travailler (mais pas en pause)
-        // Garder MORNING ou AFTERNOON pour compatibilité
-        const hasAnyBreak = breakPairs.length > 0;
-        return hasAnyBreak ? DayStatus.AFTERNOON : DayStatus.MORNING;
+        return sortedEntries.reduce((status, entry) => nextDayStatus(status, entry.type), DayStatus.NOT_STARTED);
     }
 
     /**
@@ -225,7 +330,8 @@ export class TimeCalculator {
                 break;
 
             case DayStatus.COMPLETED:
-                // Journée terminée : aucun bouton
+                // Départ pointé : on peut revenir pour une nouvelle plage
+                enabled.push(ENTRY_TYPES.CLOCK_IN);
                 break;
         }
 
@@ -246,12 +352,17 @@ export class TimeCalculator {
     }
 
     /**
-     * Calcule le pourcentage de l'objectif de 8h atteint
+     * Calcule le pourcentage de l'objectif du jour atteint
+     * Un jour non travaillé est à 100% dès qu'il compte du temps de présence.
      * @param {number} duration - Durée actuelle en millisecondes
+     * @param {string} [date] - Jour au format YYYY-MM-DD (aujourd'hui par défaut)
      * @returns {number} Pourcentage (0-100, peut dépasser 100)
      */
-    getCompletionPercentage(duration) {
-        const target = WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
+    getCompletionPercentage(duration, date = getTodayDateString()) {
+        const target = this.getDailyTarget(date);
+        if (target === 0) {
+            return duration > 0 ? 100 : 0;
+        }
         return Math.round((duration / target) * 100);
     }
 
@@ -438,6 +549,29 @@ export class TimeCalculator {
             total + (period.end.getTime() - period.start.getTime()), 0);
     }
 
+    /**
+     * Découpe une session en parts journalières (minuit à minuit)
+     * @param {ProjectSession} session - Session à découper
+     * @returns {Object[]} Parts {date, start, end, duration, continuesFromPreviousDay, continuesNextDay}
+     */
+    splitSessionByDay(session) {
+        const start = session.startTime;
+        const end = session.endTime || new Date(Math.max(Date.now(), start.getTime()));
+        const parts = [];
+        let date = formatDate(start);
+
+        // Avancer jour par jour tant que la session se poursuit le lendemain
+        while (date) {
+            const clipped = clipIntervalToDay(start, end, date);
+            if (!clipped) break;
+
+            parts.push({ date, ...clipped });
+            date = clipped.continuesNextDay ? formatDate(getDayBounds(date).end) : null;
+        }
+
+        return parts;
+    }
+
     /**
      * Calcule le temps total de toutes les sessions
      * @param {ProjectSession[]} sessions - Liste des sessions
@@ -0,0 +1,376 @@
+'use strict';
+
+import { TimeCalculator, DayStatus } from './calculator.js';
+import { addDays, formatDate, formatDuration, formatTime } from './utils.js';
+import { getWeekday } from './work-schedule.js';
+
+/**
+ * Conformité au temps de travail (durées du Code du travail)
+ * Contrôle la présence pointée par rapport aux règles légales : pause après 6h de travail,
+ * durées maximales quotidienne et hebdomadaire, repos entre deux journées. Les seuils sont
+ * réglables (en minutes) ; un seuil à 0 désactive la règle.
+ */
+
+/**
+ * Règles contrôlées
+ */
+export const ComplianceRule = Object.freeze({
+    BREAK: 'break',             // Pause minimale au-delà d'une durée de travail
+    DAILY_MAX: 'daily-max',     // Durée maximale quotidienne
+    WEEKLY_MAX: 'weekly-max',   // Durée maximale hebdomadaire (semaine du lundi au dimanche)
+    DAILY_REST: 'daily-rest'    // Repos minimal entre deux journées
+});
+
+/**
+ * Gravité d'un signalement : limite bientôt atteinte ou déjà dépassée
+ */
+export const ComplianceLevel = Object.freeze({
+    WARNING: 'warning',
+    VIOLATION: 'violation'
+});
+
+/**
+ * Seuils légaux par défaut, en minutes
+ */
+export const DEFAULT_COMPLIANCE_RULES = Object.freeze({
+    breakAfter: 6 * 60,     // Pause due dès 6h de travail...
+    minBreak: 20,           // ... d'au moins 20 minutes
+    dailyMax: 10 * 60,      // 10h par jour
+    weeklyMax: 48 * 60,     // 48h par semaine
+    minRest: 11 * 60,       // 11h de repos entre deux journées
+    warningMargin: 30       // Avertissement dans la barre de présence 30 minutes avant une limite
+});
+
+/**
+ * Libellés des seuils (formulaire et messages d'erreur)
+ */
+export const COMPLIANCE_RULE_LABELS = Object.freeze({
+    breakAfter: 'Pause due après',
+    minBreak: 'Pause minimale',
+    dailyMax: 'Maximum par jour',
+    weeklyMax: 'Maximum par semaine',
+    minRest: 'Repos entre deux journées',
+    warningMargin: 'Avertir avant une limite'
+});
+
+/**
+ * Libellés des règles (section du rapport)
+ */
+const RULE_LABELS = Object.freeze({
+    [ComplianceRule.BREAK]: 'Pause',
+    [ComplianceRule.DAILY_MAX]: 'Maximum quotidien',
+    [ComplianceRule.WEEKLY_MAX]: 'Maximum hebdomadaire',
+    [ComplianceRule.DAILY_REST]: 'Repos quotidien'
+});
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Retourne le libellé d'une règle
+ * @param {string} rule - Règle (ComplianceRule)
+ * @returns {string} Libellé en français
+ */
+export function getComplianceRuleLabel(rule) {
+    return RULE_LABELS[rule] || rule;
+}
+
+/**
+ * Valide les seuils de conformité
+ * @param {Object|null} rules - Seuils enregistrés (minutes), null si aucun
+ * @returns {Object} Seuils complets (les seuils absents prennent la valeur légale)
+ * @throws {Error} Si un seuil n'est pas un nombre entier de minutes positif ou nul
+ */
+export function normalizeComplianceRules(rules) {
+    const merged = { ...DEFAULT_COMPLIANCE_RULES, ...(rules || {}) };
+
+    return Object.fromEntries(Object.keys(DEFAULT_COMPLIANCE_RULES).map(field => {
+        const value = merged[field];
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Le seuil « ${COMPLIANCE_RULE_LABELS[field]} » doit être un nombre de minutes positif ou nul`);
+        }
+        return [field, value];
+    }));
+}
+
+/**
+ * Formate un seuil en minutes (ex: "20 min", "10h 00m")
+ * @param {number} minutes - Seuil en minutes
+ * @returns {string}
+ */
+function formatLimit(minutes) {
+    return minutes < 60 ? `${minutes} min` : formatDuration(minutes * MINUTE);
+}
+
+/**
+ * Formate un jour au format court (ex: "13/11")
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {string}
+ */
+function formatDay(date) {
+    return `${date.slice(8, 10)}/${date.slice(5, 7)}`;
+}
+
+/**
+ * Contrôle de la conformité au temps de travail
+ * S'appuie sur le calculateur de présence (plages, pauses) et sur les statistiques quotidiennes
+ * des rapports (présence découpée à minuit).
+ */
+export class ComplianceChecker {
+    /**
+     * @param {TimeCalculator} [calculator] - Calculateur de présence
+     * @param {Object} [rules] - Seuils (voir DEFAULT_COMPLIANCE_RULES)
+     */
+    constructor(calculator = new TimeCalculator(), rules = DEFAULT_COMPLIANCE_RULES) {
+        this.calculator = calculator;
+        this.rules = normalizeComplianceRules(rules);
+    }
+
+    /**
+     * Remplace les seuils contrôlés
+     * @param {Object} rules - Seuils (voir DEFAULT_COMPLIANCE_RULES)
+     * @throws {Error} Si un seuil est invalide
+     */
+    setRules(rules) {
+        this.rules = normalizeComplianceRules(rules);
+    }
+
+    /**
+     * Calcule la plus longue interruption d'une journée prise à temps
+     * Une interruption est une pause ou l'intervalle entre deux plages (journée en plusieurs fois).
+     * La pause minimale doit être prise d'un seul tenant avant d'avoir cumulé la durée de travail
+     * qui la rend obligatoire : des pauses fractionnées ne s'additionnent pas, et une interruption
+     * qui commence au-delà de ce cumul ne compte pas.
+     * @param {TimeEntry[]} entries - Pointages du jour
+     * @param {Date} [now] - Instant courant (fin d'une pause en cours)
+     * @returns {number} Durée en millisecondes (0 si aucune)
+     */
+    getLongestBreak(entries, now = new Date()) {
+        const intervals = this.calculator.getPresenceIntervals(entries);
+        const limit = this.rules.breakAfter * MINUTE;
+        let worked = 0;
+        let longest = 0;
+
+        intervals.forEach((interval, index) => {
+            if (index > 0 && worked <= limit) {
+                longest = Math.max(longest, interval.start.getTime() - intervals[index - 1].end.getTime());
+            }
+            worked += interval.end.getTime() - interval.start.getTime();
+        });
+
+        // Pause en cours
+        const status = this.calculator.getDayStatus(entries);
+        if (status === DayStatus.LUNCH && intervals.length > 0 && worked <= limit) {
+            longest = Math.max(longest, now.getTime() - intervals[intervals.length - 1].end.getTime());
+        }
+
+        return longest;
+    }
+
+    // ======================
+    // Contrôle d'une période (rapports)
+    // ======================
+
+    /**
+     * Liste les dépassements d'une période, jour par jour
+     * @param {Object} params - Données de la période
+     * @param {TimeEntry[]} params.entries - Pointages de la période (et de la veille, pour le repos du premier jour)
+     * @param {Object[]} params.dailyStats - Statistiques quotidiennes (voir WeeklyReportCalculator.calculatePeriodStats)
+     * @returns {Object[]} Dépassements ({date, rule, message}) triés par jour
+     */
+    checkPeriod({ entries, dailyStats }) {
+        const entriesByDate = new Map();
+        entries.forEach(entry => {
+            const dayEntries = entriesByDate.get(entry.date) || [];
+            dayEntries.push(entry);
+            entriesByDate.set(entry.date, dayEntries);
+        });
+
+        const violations = [
+            ...dailyStats.flatMap(day => this.#checkDay(day, entriesByDate.get(day.date) || [])),
+            ...this.#checkWeeks(dailyStats),
+            ...this.#checkRest(entries, new Set(dailyStats.map(day => day.date)))
+        ];
+
+        return violations.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Contrôle la pause et le maximum d'un jour
+     * @param {Object} day - Statistiques du jour
+     * @param {TimeEntry[]} dayEntries - Pointages du jour
+     * @returns {Object[]} Dépassements du jour
+     * @private
+     */
+    #checkDay(day, dayEntries) {
+        const { breakAfter, minBreak, dailyMax } = this.rules;
+        const violations = [];
+
+        if (breakAfter > 0 && minBreak > 0 && day.presenceTime > breakAfter * MINUTE) {
+            const longestBreak = this.getLongestBreak(dayEntries);
+            if (longestBreak < minBreak * MINUTE) {
+                violations.push({
+                    date: day.date,
+                    rule: ComplianceRule.BREAK,
+                    message: `Pause de ${formatLimit(minBreak)} non prise pour ${formatDuration(day.presenceTime)} ` +
+                        `de travail (plus longue pause : ${formatDuration(longestBreak)})`
+                });
+            }
+        }
+
+        if (dailyMax > 0 && day.presenceTime > dailyMax * MINUTE) {
+            violations.push({
+                date: day.date,
+                rule: ComplianceRule.DAILY_MAX,
+                message: `${formatDuration(day.presenceTime)} de travail pour un maximum de ${formatLimit(dailyMax)}`
+            });
+        }
+
+        return violations;
+    }
+
+    /**
+     * Contrôle le maximum hebdomadaire, semaine par semaine (jours de la période uniquement)
+     * Le dépassement est daté du jour où le cumul de la semaine franchit le maximum.
+     * @param {Object[]} dailyStats - Statistiques quotidiennes
+     * @returns {Object[]} Dépassements
+     * @private
+     */
+    #checkWeeks(dailyStats) {
+        const { weeklyMax } = this.rules;
+        if (weeklyMax === 0) return [];
+
+        const weeks = new Map();
+        dailyStats.forEach(day => {
+            const weekday = getWeekday(day.date);
+            const weekStart = addDays(day.date, weekday === 0 ? -6 : 1 - weekday);
+            weeks.set(weekStart, [...(weeks.get(weekStart) || []), day]);
+        });
+
+        const violations = [];
+        weeks.forEach((days, weekStart) => {
+            const total = days.reduce((sum, day) => sum + day.presenceTime, 0);
+            if (total <= weeklyMax * MINUTE) return;
+
+            let cumulated = 0;
+            const crossing = days.find(day => {
+                cumulated += day.presenceTime;
+                return cumulated > weeklyMax * MINUTE;
+            });
+            violations.push({
+                date: crossing.date,
+                rule: ComplianceRule.WEEKLY_MAX,
+                message: `${formatDuration(total)} de travail la semaine du ${formatDay(weekStart)} ` +
+                    `pour un maximum de ${formatLimit(weeklyMax)}`
+            });
+        });
+
+        return violations;
+    }
+
+    /**
+     * Contrôle le repos entre la fin d'une journée et la première arrivée du jour suivant
+     * @param {TimeEntry[]} entries - Pointages (toutes dates)
+     * @param {Set<string>} dates - Jours contrôlés
+     * @returns {Object[]} Dépassements, datés du jour de la reprise
+     * @private
+     */
+    #checkRest(entries, dates) {
+        const { minRest } = this.rules;
+        if (minRest === 0) return [];
+
+        const shifts = this.calculator.getWorkShifts(entries);
+        const violations = [];
+
+        shifts.slice(1).forEach((shift, index) => {
+            const previousEnd = shifts[index].end;
+            const date = formatDate(shift.start);
+            if (!previousEnd || formatDate(previousEnd) === date || !dates.has(date)) return;
+
+            const rest = shift.start.getTime() - previousEnd.getTime();
+            if (rest < minRest * MINUTE) {
+                violations.push({
+                    date,
+                    rule: ComplianceRule.DAILY_REST,
+                    message: `${formatDuration(rest)} de repos entre le départ du ${formatDay(formatDate(previousEnd))} ` +
+                        `à ${formatTime(previousEnd)} et l'arrivée à ${formatTime(shift.start)} ` +
+                        `pour un minimum de ${formatLimit(minRest)}`
+                });
+            }
+        });
+
+        return violations;
+    }
+
+    // ======================
+    // Contrôle en direct (barre de présence)
+    // ======================
+
+    /**
+     * Signale en direct les limites bientôt atteintes ou dépassées aujourd'hui
+     * Un avertissement n'est donné que pendant le travail : la présence ne progresse pas pendant une pause.
+     * @param {TimeEntry[]} entries - Pointages du jour
+     * @param {Object} [context] - Jours précédents
+     * @param {number} [context.weekPresence=0] - Présence de la semaine avant aujourd'hui (ms)
+     * @param {Date|null} [context.previousClockOut=null] - Dernier départ de la veille
+     * @param {Date} [now] - Instant courant
+     * @returns {Object[]} Signalements ({rule, level, message}), dépassements en premier
+     */
+    getLiveWarnings(entries, { weekPresence = 0, previousClockOut = null } = {}, now = new Date()) {
+        const { breakAfter, minBreak, dailyMax, weeklyMax, minRest, warningMargin } = this.rules;
+        const presence = this.calculator.calculatePresenceTime(entries);
+        const status = this.calculator.getDayStatus(entries);
+        const working = status === DayStatus.MORNING || status === DayStatus.AFTERNOON;
+        const warnings = [];
+
+        /**
+         * Signale une durée qui approche ou dépasse sa limite
+         * @param {string} rule - Règle concernée
+         * @param {number} elapsed - Durée atteinte (ms)
+         * @param {number} limit - Limite (minutes, 0 si la règle est désactivée)
+         * @param {string} exceeded - Message de dépassement
+         * @param {string} approaching - Début du message d'avertissement (complété par le délai)
+         */
+        const checkLimit = (rule, elapsed, limit, exceeded, approaching) => {
+            if (limit === 0) return;
+            const remaining = limit * MINUTE - elapsed;
+            if (remaining < 0) {
+                warnings.push({ rule, level: ComplianceLevel.VIOLATION, message: exceeded });
+            } else if (working && remaining <= warningMargin * MINUTE) {
+                warnings.push({ rule, level: ComplianceLevel.WARNING, message: `${approaching} dans ${formatDuration(remaining)}` });
+            }
+        };
+
+        if (minBreak > 0 && this.getLongestBreak(entries, now) < minBreak * MINUTE) {
+            checkLimit(ComplianceRule.BREAK, presence, breakAfter,
+                `Pause de ${formatLimit(minBreak)} due après ${formatLimit(breakAfter)} de travail`,
+                `Pause de ${formatLimit(minBreak)} à prendre`);
+        }
+        checkLimit(ComplianceRule.DAILY_MAX, presence, dailyMax,
+            `Maximum de ${formatLimit(dailyMax)} par jour dépassé`,
+            `Maximum de ${formatLimit(dailyMax)} par jour atteint`);
+        checkLimit(ComplianceRule.WEEKLY_MAX, weekPresence + presence, weeklyMax,
+            `Maximum de ${formatLimit(weeklyMax)} par semaine dépassé`,
+            `Maximum de ${formatLimit(weeklyMax)} par semaine atteint`);
+
+        if (minRest > 0 && previousClockOut) {
+            const shifts = this.calculator.getWorkShifts(entries);
+            const restEnd = new Date(previousClockOut.getTime() + minRest * MINUTE);
+            if (shifts.length > 0 && shifts[0].start < restEnd) {
+                warnings.push({
+                    rule: ComplianceRule.DAILY_REST,
+                    level: ComplianceLevel.VIOLATION,
+                    message: `Repos de ${formatLimit(minRest)} non respecté : ` +
+                        `${formatDuration(shifts[0].start.getTime() - previousClockOut.getTime())} depuis le départ de la veille`
+                });
+            } else if (shifts.length === 0 && now < restEnd) {
+                warnings.push({
+                    rule: ComplianceRule.DAILY_REST,
+                    level: ComplianceLevel.WARNING,
+                    message: `Repos de ${formatLimit(minRest)} jusqu'à ${formatTime(restEnd)}`
+                });
+            }
+        }
+
+        return warnings.sort((a, b) => Number(a.level !== ComplianceLevel.VIOLATION) - Number(b.level !== ComplianceLevel.VIOLATION));
+    }
+}
@@ -185,6 +185,20 @@ export const createRuntime = (initialModel, update, view, effects = {}) => {
                 break;
             }
 
+            case 'WORK_SCHEDULES_CHANGED': {
+                // Relire les horaires : l'objectif du jour peut changer
+                storage.getWorkSchedules()
+                    .unsafePerformIO()
+                    .then(workSchedules => {
+                        dispatch({ type: 'WORK_SCHEDULES_LOADED', workSchedules });
+                    })
+                    .catch(error => {
+                        console.error('❌ Erreur chargement horaires:', error);
+                        dispatch({ type: 'ERROR', message: 'Erreur lors du chargement des horaires' });
+                    });
+                break;
+            }
+
             case 'CHANGE_DATE': {
                 // Charger les entrées du nouveau jour
                 dispatch({ type: 'SET_LOADING', isLoading: true });
@@ -224,18 +238,20 @@ export const createRuntime = (initialModel, update, view, effects = {}) => {
                 const storage = effectHandlers.storage;
 
                 // Charger en parallèle
-                const [entries, projects, sessions, currentSession] = await Promise.all([
+                const [entries, projects, sessions, currentSession, workSchedules] = await Promise.all([
                     storage.getEntriesByDate(currentModel.selectedDate).unsafePerformIO(),
                     storage.getAllProjects().unsafePerformIO(),
                     storage.getAllSessions().unsafePerformIO(),
-                    storage.getCurrentSession().unsafePerformIO()
+                    storage.getCurrentSession().unsafePerformIO(),
+                    storage.getWorkSchedules().unsafePerformIO()
                 ]);
 
                 console.log('✅ Données chargées:', {
                     entries: entries.length,
                     projects: projects.length,
                     sessions: sessions.length,
-                    currentSession: currentSession ? 'Oui' : 'Non'
+                    currentSession: currentSession ? 'Oui' : 'Non',
+                    workSchedules: workSchedules.length
                 });
 
                 // Mettre à jour le modèle avec les données
@@ -247,7 +263,8 @@ export const createRuntime = (initialModel, update, view, effects = {}) => {
                     currentSession
                 };
 
-                // Recalculer les stats
+                // Recalculer les stats (objectif du jour selon l'horaire en vigueur)
+                currentModel = update({ type: 'WORK_SCHEDULES_LOADED', workSchedules }, currentModel);
                 currentModel = update({ type: 'ENTRIES_LOADED', entries }, currentModel);
 
                 if (currentSession) {
@@ -1,7 +1,11 @@
 'use strict';
 
-import { formatDuration, formatTime, sanitizeForCSV } from './utils.js';
+import { formatDuration, formatTime, sanitizeForCSV, getTodayDateString } from './utils.js';
 import { ENTRY_TYPES } from './time-entry.js';
+import { encryptBackup } from './encryption.js';
+import { getAbsenceTypeLabel } from './absence.js';
+import { isRoundingActive, roundSessionDurations, describeRoundingPolicy } from './rounding.js';
+import { WorkLocation, getWorkLocationLabel } from './work-location.js';
 
 /**
  * Formats d'export disponibles
@@ -40,7 +44,7 @@ export class DataExporter {
         }
 
         // En-têtes
-        const headers = ['Date', 'Heure', 'Type', 'Note'];
+        const headers = ['Date', 'Heure', 'Type', 'Lieu', 'Note'];
         let csv = headers.join(',') + '\n';
 
         // Lignes de données
@@ -49,6 +53,7 @@ export class DataExporter {
                 sanitizeForCSV(entry.date),
                 sanitizeForCSV(formatTime(entry.timestamp)),
                 sanitizeForCSV(this.#getEntryTypeLabel(entry.type)),
+                sanitizeForCSV(entry.location ? getWorkLocationLabel(entry.location) : ''),
                 sanitizeForCSV(entry.note || '')
             ];
             csv += row.join(',') + '\n';
@@ -70,6 +75,8 @@ export class DataExporter {
             timestamp: entry.timestamp.toISOString(),
             type: entry.type,
             typeLabel: this.#getEntryTypeLabel(entry.type),
+            location: entry.location || null,
+            locationLabel: entry.location ? getWorkLocationLabel(entry.location) : null,
             note: entry.note || ''
         }));
 
@@ -84,19 +91,22 @@ export class DataExporter {
      * Exporte les sessions de projet en CSV
      * @param {ProjectSession[]} sessions - Sessions à exporter
      * @param {Project[]} projects - Projets pour récupérer les noms
+     * @param {Object|null} [rounding=null] - Règles d'arrondi (colonne « Durée arrondie » si les projets sont arrondis)
      * @returns {string} Données CSV
      */
-    exportProjectSessionsToCSV(sessions, projects) {
+    exportProjectSessionsToCSV(sessions, projects, rounding = null) {
         if (!sessions || sessions.length === 0) {
             return '';
         }
 
+        const rounded = isRoundingActive(rounding?.projects) ? roundSessionDurations(sessions, rounding.projects) : null;
+
         // En-têtes
-        const headers = ['Date', 'Projet', 'Début', 'Fin', 'Durée', 'Note'];
+        const headers = ['Date', 'Projet', 'Début', 'Fin', 'Durée', ...(rounded ? ['Durée arrondie'] : []), 'Note'];
         let csv = headers.join(',') + '\n';
 
         // Lignes de données
-        sessions.forEach(session => {
+        sessions.forEach((session, i) => {
             const project = projects.find(p => p.id === session.projectId);
             const row = [
                 sanitizeForCSV(session.date),
@@ -104,6 +114,7 @@ export class DataExporter {
                 sanitizeForCSV(formatTime(session.startTime)),
                 sanitizeForCSV(session.endTime ? formatTime(session.endTime) : 'En cours'),
                 sanitizeForCSV(formatDuration(session.getDuration())),
+                ...(rounded ? [sanitizeForCSV(formatDuration(rounded[i]))] : []),
                 sanitizeForCSV(session.note || '')
             ];
             csv += row.join(',') + '\n';
@@ -116,10 +127,13 @@ export class DataExporter {
      * Exporte les sessions de projet en JSON
      * @param {ProjectSession[]} sessions - Sessions à exporter
      * @param {Project[]} projects - Projets pour récupérer les noms
+     * @param {Object|null} [rounding=null] - Règles d'arrondi (durée arrondie ajoutée si les projets sont arrondis)
      * @returns {string} Données JSON
      */
-    exportProjectSessionsToJSON(sessions, projects) {
-        const data = sessions.map(session => {
+    exportProjectSessionsToJSON(sessions, projects, rounding = null) {
+        const rounded = isRoundingActive(rounding?.projects) ? roundSessionDurations(sessions, rounding.projects) : null;
+
+        const data = sessions.map((session, i) => {
             const project = projects.find(p => p.id === session.projectId);
             return {
                 id: session.id,
@@ -130,6 +144,10 @@ export class DataExporter {
                 endTime: session.endTime ? formatTime(session.endTime) : null,
                 duration: session.getDuration(),
                 durationFormatted: formatDuration(session.getDuration()),
+                ...(rounded ? {
+                    roundedDuration: rounded[i],
+                    roundedDurationFormatted: formatDuration(rounded[i])
+                } : {}),
                 note: session.note || '',
                 isRunning: session.isRunning()
             };
@@ -157,33 +175,67 @@ export class DataExporter {
         csv += `Jours travaillés,${report.period.workedDays}\n`;
         csv += `Jours complets,${report.period.completeDays}\n`;
         csv += `Jours incomplets,${report.period.incompleteDays}\n`;
+        csv += `Jours d'absence ou fériés,${report.period.absenceDays}\n`;
+        if (report.rounding) {
+            csv += `Arrondi présence,${sanitizeForCSV(describeRoundingPolicy(report.rounding.presence))}\n`;
+            csv += `Arrondi projets,${sanitizeForCSV(describeRoundingPolicy(report.rounding.projects))}\n`;
+        }
         csv += '\n';
 
-        // Section 2: Temps total
+        // Section 2: Jours par lieu de travail (déclaration du télétravail)
+        if (report.locationDays) {
+            csv += 'Jours par lieu de travail\n';
+            Object.values(WorkLocation).forEach(location => {
+                csv += `${sanitizeForCSV(getWorkLocationLabel(location))},${report.locationDays[location]}\n`;
+            });
+            csv += `Sans lieu renseigné,${report.locationDays.unspecified}\n`;
+            csv += '\n';
+        }
+
+        // Section 3: Temps total
         csv += 'Temps total\n';
         csv += `Présence,${sanitizeForCSV(formatDuration(report.time.totalPresence))}\n`;
         csv += `Projets,${sanitizeForCSV(formatDuration(report.time.totalProject))}\n`;
+        if (report.rounding) {
+            csv += `Présence arrondie,${sanitizeForCSV(formatDuration(report.time.totalPresenceRounded))}\n`;
+            csv += `Projets arrondis,${sanitizeForCSV(formatDuration(report.time.totalProjectRounded))}\n`;
+        }
+        csv += `Crédité (absences et fériés),${sanitizeForCSV(formatDuration(report.time.totalCredited))}\n`;
         csv += `Moyenne présence/jour,${sanitizeForCSV(formatDuration(report.time.averagePresencePerDay))}\n`;
         csv += `Moyenne projets/jour,${sanitizeForCSV(formatDuration(report.time.averageProjectPerDay))}\n`;
         csv += '\n';
 
-        // Section 3: Temps par projet
+        // Section 4: Temps par projet
         csv += 'Temps par projet\n';
-        csv += 'Projet,Durée,Pourcentage,Sessions\n';
+        csv += report.rounding ? 'Projet,Durée,Durée arrondie,Pourcentage,Sessions\n' : 'Projet,Durée,Pourcentage,Sessions\n';
         report.projectStats.forEach(stat => {
-            csv += `${sanitizeForCSV(stat.projectName)},${sanitizeForCSV(formatDuration(stat.duration))},${stat.percentage}%,${stat.sessionCount}\n`;
+            const rounded = report.rounding ? `,${sanitizeForCSV(formatDuration(stat.roundedDuration))}` : '';
+            csv += `${sanitizeForCSV(stat.projectName)},${sanitizeForCSV(formatDuration(stat.duration))}${rounded},${stat.percentage}%,${stat.sessionCount}\n`;
         });
         csv += '\n';
 
-        // Section 4: Statistiques quotidiennes
+        // Section 5: Statistiques quotidiennes
         csv += 'Statistiques quotidiennes\n';
-        csv += 'Date,Présence,Projets,Complet\n';
+        csv += report.rounding
+            ? 'Date,Présence,Présence arrondie,Projets,Projets arrondis,Crédité,Absence,Complet,Lieu\n'
+            : 'Date,Présence,Projets,Crédité,Absence,Complet,Lieu\n';
         report.dailyStats.forEach(day => {
-            csv += `${sanitizeForCSV(day.date)},${sanitizeForCSV(formatDuration(day.presenceTime))},${sanitizeForCSV(formatDuration(day.projectTime))},${day.isComplete ? 'Oui' : 'Non'}\n`;
+            const absence = [
+                ...(day.holiday ? [day.holiday] : []),
+                ...day.absences.map(a => getAbsenceTypeLabel(a.type))
+            ].join(' / ');
+            const location = (day.locations || []).map(getWorkLocationLabel).join(' / ');
+            const presence = report.rounding
+                ? `${sanitizeForCSV(formatDuration(day.presenceTime))},${sanitizeForCSV(formatDuration(day.roundedPresenceTime))}`
+                : sanitizeForCSV(formatDuration(day.presenceTime));
+            const project = report.rounding
+                ? `${sanitizeForCSV(formatDuration(day.projectTime))},${sanitizeForCSV(formatDuration(day.roundedProjectTime))}`
+                : sanitizeForCSV(formatDuration(day.projectTime));
+            csv += `${sanitizeForCSV(day.date)},${presence},${project},${sanitizeForCSV(formatDuration(day.creditedTime))},${sanitizeForCSV(absence)},${day.isComplete ? 'Oui' : 'Non'},${sanitizeForCSV(location)}\n`;
         });
         csv += '\n';
 
-        // Section 5: Jours incomplets
+        // Section 6: Jours incomplets
         if (report.incompleteDaysList.length > 0) {
             csv += 'Jours incomplets\n';
             csv += 'Date,Temps présence,Temps manquant\n';
@@ -204,6 +256,8 @@ export class DataExporter {
         // Formater les durées pour une meilleure lisibilité
         const formattedReport = {
             period: report.period,
+            rounding: report.rounding || null,
+            locationDays: report.locationDays || null,
             time: {
                 totalPresence: {
                     milliseconds: report.time.totalPresence,
@@ -213,6 +267,18 @@ export class DataExporter {
                     milliseconds: report.time.totalProject,
                     formatted: formatDuration(report.time.totalProject)
                 },
+                totalPresenceRounded: {
+                    milliseconds: report.time.totalPresenceRounded,
+                    formatted: formatDuration(report.time.totalPresenceRounded)
+                },
+                totalProjectRounded: {
+                    milliseconds: report.time.totalProjectRounded,
+                    formatted: formatDuration(report.time.totalProjectRounded)
+                },
+                totalCredited: {
+                    milliseconds: report.time.totalCredited,
+                    formatted: formatDuration(report.time.totalCredited)
+                },
                 averagePresencePerDay: {
                     milliseconds: report.time.averagePresencePerDay,
                     formatted: formatDuration(report.time.averagePresencePerDay)
@@ -225,12 +291,17 @@ export class DataExporter {
             projectStats: report.projectStats.map(stat => ({
                 ...stat,
                 durationFormatted: formatDuration(stat.duration),
+                roundedDurationFormatted: formatDuration(stat.roundedDuration),
                 averageSessionDurationFormatted: formatDuration(stat.averageSessionDuration)
             })),
             dailyStats: report.dailyStats.map(day => ({
                 ...day,
+                absences: day.absences.map(a => ({ ...a.toJSON(), label: getAbsenceTypeLabel(a.type) })),
                 presenceTimeFormatted: formatDuration(day.presenceTime),
-                projectTimeFormatted: formatDuration(day.projectTime)
+                projectTimeFormatted: formatDuration(day.projectTime),
+                roundedPresenceTimeFormatted: formatDuration(day.roundedPresenceTime),
+                roundedProjectTimeFormatted: formatDuration(day.roundedProjectTime),
+                creditedTimeFormatted: formatDuration(day.creditedTime)
             })),
             incompleteDays: report.incompleteDaysList.map(day => ({
                 ...day,
@@ -252,22 +323,46 @@ export class DataExporter {
      * @param {TimeEntry[]} data.entries - Tous les pointages
      * @param {Project[]} data.projects - Tous les projets
      * @param {ProjectSession[]} data.sessions - Toutes les sessions
+     * @param {Absence[]} [data.absences] - Toutes les absences
+     * @param {Object[]|null} [data.auditLog] - Journal des modifications (omis si null, ignoré à l'import)
+     * @param {Object[]|null} [data.archives] - Contenus des archives annuelles (omis si null)
      * @returns {string} Données JSON
      */
-    exportAllDataToJSON({ entries, projects, sessions }) {
+    exportAllDataToJSON({ entries, projects, sessions, absences = [], auditLog = null, archives = null }) {
         const exportData = {
             exportDate: new Date().toISOString(),
             version: '2.0.0',
             data: {
                 timeEntries: entries.map(e => e.toJSON()),
                 projects: projects.map(p => p.toJSON()),
-                projectSessions: sessions.map(s => s.toJSON())
+                projectSessions: sessions.map(s => s.toJSON()),
+                absences: absences.map(a => a.toJSON())
             }
         };
 
+        if (auditLog) {
+            exportData.data.auditLog = auditLog;
+        }
+
+        if (archives) {
+            exportData.data.archives = archives;
+        }
+
         return JSON.stringify(exportData, null, 2);
     }
 
+    /**
+     * Exporte toutes les données dans une sauvegarde JSON chiffrée (AES-GCM)
+     * Le fichier est une enveloppe autour de exportAllDataToJSON, avec sa propre phrase secrète.
+     * @param {Object} data - Données à exporter (voir exportAllDataToJSON)
+     * @param {string} passphrase - Phrase secrète de la sauvegarde
+     * @returns {Promise<string>} Enveloppe JSON chiffrée
+     * @throws {Error} Si la phrase secrète est trop courte
+     */
+    async exportAllDataToEncryptedJSON(data, passphrase) {
+        return encryptBackup(this.exportAllDataToJSON(data), passphrase);
+    }
+
     // ======================
     // Téléchargement de fichiers
     // ======================
@@ -295,7 +390,7 @@ export class DataExporter {
      * @param {Object} options - Options d'export
      * @param {string} options.type - Type d'export (ExportType)
      * @param {string} options.format - Format d'export (ExportFormat)
-     * @param {Object} options.data - Données à exporter
+     * @param {Object} options.data - Données à exporter (`rounding` : règles d'arrondi des sessions, facultatif)
      * @param {string} [options.filename] - Nom du fichier (optionnel)
      */
     exportAndDownload({ type, format, data, filename }) {
@@ -303,7 +398,7 @@ export class DataExporter {
         let defaultFilename = '';
         let mimeType = '';
 
-        const timestamp = new Date().toISOString().split('T')[0];
+        const timestamp = getTodayDateString();
 
         switch (type) {
             case ExportType.TIME_ENTRIES:
@@ -320,11 +415,11 @@ export class DataExporter {
 
             case ExportType.PROJECT_SESSIONS:
                 if (format === ExportFormat.CSV) {
-                    content = this.exportProjectSessionsToCSV(data.sessions, data.projects);
+                    content = this.exportProjectSessionsToCSV(data.sessions, data.projects, data.rounding);
                     defaultFilename = `sessions_${timestamp}.csv`;
                     mimeType = 'text/csv;charset=utf-8;';
                 } else {
-                    content = this.exportProjectSessionsToJSON(data.sessions, data.projects);
+                    content = this.exportProjectSessionsToJSON(data.sessions, data.projects, data.rounding);
                     defaultFilename = `sessions_${timestamp}.json`;
                     mimeType = 'application/json;charset=utf-8;';
                 }
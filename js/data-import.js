@@ -0,0 +1,698 @@
+'use strict';
+
+import {
+    validateId,
+    validateEntries,
+    validateProjects,
+    validateSessions
+} from './logic/validation.js';
+import { isEncryptedBackup, decryptBackup } from './encryption.js';
+import { Absence } from './absence.js';
+
+/**
+ * Modes d'import disponibles
+ */
+export const ImportMode = {
+    REPLACE: 'replace',
+    MERGE: 'merge'
+};
+
+/**
+ * Résolutions d'un conflit de pointages (fusion) : jour pointé sur les deux appareils
+ */
+export const ConflictResolution = Object.freeze({
+    KEEP_CURRENT: 'current',   // Garder les pointages de cet appareil (défaut)
+    USE_INCOMING: 'incoming',  // Remplacer les pointages du jour par ceux de la sauvegarde
+    KEEP_BOTH: 'both'          // Ajouter les pointages de la sauvegarde à ceux du jour
+});
+
+/**
+ * Version majeure des sauvegardes acceptées (voir DataExporter.exportAllDataToJSON)
+ */
+const SUPPORTED_BACKUP_MAJOR_VERSION = '2';
+
+/**
+ * Service d'import d'une sauvegarde complète
+ *
+ * L'import se déroule en deux temps : planification (simulation sans écriture,
+ * qui produit un résumé) puis écriture du plan via StorageService.importData.
+ */
+export class DataImporter {
+    // ======================
+    // Lecture de la sauvegarde
+    // ======================
+
+    /**
+     * Lit et valide le contenu d'un fichier de sauvegarde
+     * @param {string} content - Contenu JSON produit par exportAllDataToJSON
+     * @returns {{timeEntries: Object[], projects: Object[], projectSessions: Object[], absences: Object[], archives: Object[]|null}}
+     *   Données brutes validées (absences : vide pour une sauvegarde antérieure aux absences ;
+     *   archives : null si la sauvegarde n'en contient pas)
+     * @throws {Error} Si le fichier est illisible ou contient des données invalides
+     */
+    parseBackup(content) {
+        let backup;
+        try {
+            backup = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Le fichier n\'est pas un JSON valide');
+        }
+
+        if (!backup || typeof backup !== 'object' || !backup.data || typeof backup.data !== 'object') {
+            throw new Error('Le fichier n\'est pas une sauvegarde Claude Time Tracker');
+        }
+
+        const version = String(backup.version || '');
+        if (version.split('.')[0] !== SUPPORTED_BACKUP_MAJOR_VERSION) {
+            throw new Error(`Version de sauvegarde non supportée: ${version || 'inconnue'}`);
+        }
+
+        const data = {
+            timeEntries: backup.data.timeEntries || [],
+            projects: backup.data.projects || [],
+            projectSessions: backup.data.projectSessions || [],
+            absences: backup.data.absences || [],
+            archives: Array.isArray(backup.data.archives) ? backup.data.archives : null
+        };
+
+        this.#validate(data);
+        this.#validateAbsences(data.absences);
+        if (data.archives) {
+            this.#validateArchives(data.archives);
+        }
+
+        return data;
+    }
+
+    /**
+     * Lit une sauvegarde, chiffrée ou non
+     * @param {string} content - Contenu du fichier (exportAllDataToJSON ou exportAllDataToEncryptedJSON)
+     * @param {string|null} [passphrase=null] - Phrase secrète d'une sauvegarde chiffrée
+     * @returns {Promise<Object>} Données brutes validées (voir parseBackup)
+     * @throws {Error} Si la phrase secrète manque ou est incorrecte, ou si le fichier est invalide
+     */
+    async readBackup(content, passphrase = null) {
+        if (isEncryptedBackup(content)) {
+            return this.parseBackup(await decryptBackup(content, passphrase));
+        }
+        return this.parseBackup(content);
+    }
+
+    // ======================
+    // Planification (dry-run)
+    // ======================
+
+    /**
+     * Calcule ce que l'import va ajouter, mettre à jour ou ignorer, sans rien écrire
+     * @param {Object} backup - Données retournées par parseBackup
+     * @param {Object} existing - Données actuelles de la base
+     * @param {TimeEntry[]} existing.entries - Pointages existants
+     * @param {Project[]} existing.projects - Projets existants (actifs et inactifs)
+     * @param {ProjectSession[]} existing.sessions - Sessions existantes
+     * @param {Absence[]} [existing.absences] - Absences existantes
+     * @param {number[]} [existing.archiveYears] - Années déjà archivées
+     * @param {string} mode - Mode d'import (ImportMode)
+     * @param {Object} [options] - Options de fusion
+     * @param {Object<string, string>} [options.resolutions={}] - Résolution choisie par jour en conflit
+     *   (ConflictResolution, KEEP_CURRENT par défaut)
+     * @returns {Object} Plan d'import ({mode, records, summary}) ; summary.conflicts liste les jours
+     *   pointés sur les deux appareils ({date, current, incoming, resolution})
+     * @throws {Error} Si le mode ou une résolution est inconnu
+     */
+    planImport(backup, existing, mode, { resolutions = {} } = {}) {
+        if (!Object.values(ImportMode).includes(mode)) {
+            throw new Error(`Mode d'import inconnu: ${mode}`);
+        }
+
+        const existingAbsences = existing.absences || [];
+        const current = mode === ImportMode.MERGE
+            ? {
+                entries: existing.entries.map(e => e.toJSON()),
+                projects: existing.projects.map(p => p.toJSON()),
+                sessions: existing.sessions.map(s => s.toJSON()),
+                absences: existingAbsences.map(a => a.toJSON())
+            }
+            : { entries: [], projects: [], sessions: [], absences: [] };
+
+        const projectsPlan = this.#planProjects(backup.projects, current.projects);
+        const entriesPlan = this.#planEntries(backup.timeEntries, current.entries, resolutions);
+        const sessionsPlan = this.#planSessions(
+            backup.projectSessions,
+            current.sessions,
+            projectsPlan.idMap,
+            projectsPlan.knownIds
+        );
+        const absencesPlan = this.#planAbsences(backup.absences || [], current.absences);
+        const archiveYears = existing.archiveYears || [];
+        const archivesPlan = this.#planArchives(
+            backup.archives || null,
+            mode === ImportMode.MERGE ? archiveYears : [],
+            projectsPlan.idMap
+        );
+
+        const projectRecords = this.#planTimeSpent(
+            projectsPlan.records,
+            current,
+            sessionsPlan.records,
+            archivesPlan.records || []
+        );
+
+        return {
+            mode,
+            records: {
+                timeEntries: entriesPlan.records,
+                removedTimeEntries: entriesPlan.removed,
+                projects: projectRecords,
+                projectSessions: sessionsPlan.records,
+                absences: absencesPlan.records,
+                archives: archivesPlan.records
+            },
+            summary: {
+                timeEntries: entriesPlan.counts,
+                projects: projectsPlan.counts,
+                projectSessions: sessionsPlan.counts,
+                absences: absencesPlan.counts,
+                archives: archivesPlan.counts,
+                conflicts: entriesPlan.conflicts,
+                removed: {
+                    timeEntries: mode === ImportMode.REPLACE ? existing.entries.length : entriesPlan.removed.length,
+                    projects: mode === ImportMode.REPLACE ? existing.projects.length : 0,
+                    projectSessions: mode === ImportMode.REPLACE ? existing.sessions.length : 0,
+                    absences: mode === ImportMode.REPLACE ? existingAbsences.length : 0,
+                    // Sans archives dans la sauvegarde, les archives locales sont conservées
+                    archives: mode === ImportMode.REPLACE && backup.archives ? archiveYears.length : 0
+                }
+            }
+        };
+    }
+
+    // ======================
+    // Méthodes privées - Validation
+    // ======================
+
+    /**
+     * Valide les trois collections de la sauvegarde
+     * @param {Object} data - Données brutes de la sauvegarde
+     * @throws {Error} Si une collection est invalide ou contient des ID en double
+     * @private
+     */
+    #validate(data) {
+        const checks = [
+            validateEntries(Array.isArray(data.timeEntries)
+                ? data.timeEntries.map(e => ({ ...e, timestamp: new Date(e.timestamp) }))
+                : data.timeEntries),
+            validateProjects(Array.isArray(data.projects)
+                ? data.projects.map(p => ({
+                    ...p,
+                    createdAt: new Date(p.createdAt),
+                    updatedAt: new Date(p.updatedAt)
+                }))
+                : data.projects),
+            validateSessions(Array.isArray(data.projectSessions)
+                ? data.projectSessions.map(s => ({
+                    ...s,
+                    startTime: new Date(s.startTime),
+                    endTime: s.endTime ? new Date(s.endTime) : null
+                }))
+                : data.projectSessions)
+        ];
+
+        const failure = checks.find(result => result.isLeft());
+        if (failure) {
+            throw new Error(`Sauvegarde invalide - ${failure._value}`);
+        }
+
+        // validateSession ne contrôle pas l'ID de la session elle-même
+        data.projectSessions.forEach((session, i) => {
+            const result = validateId(session.id);
+            if (result.isLeft()) {
+                throw new Error(`Sauvegarde invalide - Session ${i}: ${result._value}`);
+            }
+        });
+
+        this.#assertUniqueIds(data.timeEntries, 'pointage');
+        this.#assertUniqueIds(data.projects, 'projet');
+        this.#assertUniqueIds(data.projectSessions, 'session');
+    }
+
+    /**
+     * Valide les absences de la sauvegarde
+     * @param {Object[]} absences - Absences (JSON)
+     * @throws {Error} Si une absence est invalide ou si un ID apparaît deux fois
+     * @private
+     */
+    #validateAbsences(absences) {
+        if (!Array.isArray(absences)) {
+            throw new Error('Sauvegarde invalide - Les absences doivent être un tableau');
+        }
+
+        absences.forEach((absence, i) => {
+            const result = validateId(absence && absence.id);
+            if (result.isLeft()) {
+                throw new Error(`Sauvegarde invalide - Absence ${i}: ${result._value}`);
+            }
+            try {
+                Absence.fromJSON(absence);
+            } catch (error) {
+                throw new Error(`Sauvegarde invalide - Absence ${i}: ${error.message}`);
+            }
+        });
+
+        this.#assertUniqueIds(absences, 'absence');
+    }
+
+    /**
+     * Valide les archives annuelles de la sauvegarde
+     * @param {Object[]} archives - Contenus d'archives (voir createArchivePayload)
+     * @throws {Error} Si une archive est invalide ou si une année apparaît deux fois
+     * @private
+     */
+    #validateArchives(archives) {
+        const years = new Set();
+
+        archives.forEach((archive, i) => {
+            if (!archive || !Number.isInteger(archive.year)) {
+                throw new Error(`Sauvegarde invalide - Archive ${i}: année manquante`);
+            }
+            if (years.has(archive.year)) {
+                throw new Error(`Sauvegarde invalide - Archive de ${archive.year} en double`);
+            }
+            years.add(archive.year);
+
+            this.#validate({
+                timeEntries: archive.timeEntries || [],
+                projects: archive.projects || [],
+                projectSessions: archive.projectSessions || []
+            });
+        });
+    }
+
+    /**
+     * Vérifie qu'une collection ne contient pas deux fois le même ID
+     * @param {Object[]} records - Enregistrements à vérifier
+     * @param {string} label - Libellé utilisé dans le message d'erreur
+     * @throws {Error} Si un ID est dupliqué
+     * @private
+     */
+    #assertUniqueIds(records, label) {
+        const seen = new Set();
+        records.forEach(record => {
+            if (seen.has(record.id)) {
+                throw new Error(`Sauvegarde invalide - ID de ${label} en double: ${record.id}`);
+            }
+            seen.add(record.id);
+        });
+    }
+
+    // ======================
+    // Méthodes privées - Planification
+    // ======================
+
+    /**
+     * Planifie l'import des projets
+     * Un projet de la sauvegarde portant le nom d'un projet existant (ID différent)
+     * est rattaché au projet existant : ses sessions seront réaffectées.
+     * @param {Object[]} incoming - Projets de la sauvegarde
+     * @param {Object[]} current - Projets existants (JSON)
+     * @returns {{records: Object[], counts: Object, idMap: Map, knownIds: Set}}
+     * @private
+     */
+    #planProjects(incoming, current) {
+        const counts = this.#emptyCounts();
+        const records = [];
+        const idMap = new Map();
+        const byId = new Map(current.map(p => [p.id, p]));
+        const byName = new Map(current.map(p => [this.#normalizeName(p.name), p]));
+        const knownIds = new Set(byId.keys());
+
+        incoming.forEach(project => {
+            const existing = byId.get(project.id);
+
+            if (existing) {
+                const unchanged = existing.name === project.name
+                    && existing.active === project.active
+                    && existing.timeSpent === project.timeSpent;
+
+                if (unchanged || new Date(project.updatedAt) <= new Date(existing.updatedAt)) {
+                    counts.skipped++;
+                } else {
+                    records.push(project);
+                    counts.updated++;
+                }
+                return;
+            }
+
+            const homonym = byName.get(this.#normalizeName(project.name));
+            if (homonym) {
+                idMap.set(project.id, homonym.id);
+                counts.skipped++;
+                return;
+            }
+
+            records.push(project);
+            knownIds.add(project.id);
+            counts.added++;
+        });
+
+        return { records, counts, idMap, knownIds };
+    }
+
+    /**
+     * Planifie l'import des pointages
+     * Un pointage de même type et de même horodatage qu'un pointage existant est
+     * considéré comme un doublon. Un jour qui a déjà des pointages et dont la sauvegarde
+     * change les pointages (ajout, type ou heure modifiés) est en conflit : il est traité
+     * selon la résolution choisie pour ce jour. Une note ou un lieu de travail modifiés
+     * seuls ne sont pas un conflit.
+     * @param {Object[]} incoming - Pointages de la sauvegarde
+     * @param {Object[]} current - Pointages existants (JSON)
+     * @param {Object<string, string>} resolutions - Résolution par jour (ConflictResolution)
+     * @returns {{records: Object[], removed: string[], counts: Object, conflicts: Object[]}}
+     *   Pointages à écrire, ID des pointages existants à supprimer, compteurs et jours en conflit
+     * @private
+     */
+    #planEntries(incoming, current, resolutions) {
+        const counts = this.#emptyCounts();
+        const writes = [];
+        const byId = new Map(current.map(e => [e.id, e]));
+        const signatures = new Set(current.map(e => this.#entrySignature(e)));
+
+        incoming.forEach(entry => {
+            const existing = byId.get(entry.id);
+
+            if (existing) {
+                const unchanged = this.#entrySignature(existing) === this.#entrySignature(entry)
+                    && (existing.note || '') === (entry.note || '')
+                    && (existing.location || null) === (entry.location || null);
+
+                if (unchanged) {
+                    counts.skipped++;
+                } else {
+                    const clockChanged = this.#entrySignature(existing) !== this.#entrySignature(entry);
+                    writes.push({ entry, operation: 'updated', clockChanged });
+                }
+                return;
+            }
+
+            if (signatures.has(this.#entrySignature(entry))) {
+                counts.skipped++;
+                return;
+            }
+
+            writes.push({ entry, operation: 'added', clockChanged: true });
+            signatures.add(this.#entrySignature(entry));
+        });
+
+        // Jours pointés sur les deux appareils : résolution manuelle
+        const conflicts = [...new Set(writes.filter(write => write.clockChanged).map(({ entry }) => entry.date))]
+            .filter(date => current.some(e => e.date === date))
+            .sort()
+            .map(date => {
+                const resolution = resolutions[date] || ConflictResolution.KEEP_CURRENT;
+                if (!Object.values(ConflictResolution).includes(resolution)) {
+                    throw new Error(`Résolution de conflit inconnue: ${resolution}`);
+                }
+                return {
+                    date,
+                    current: this.#sortEntries(current.filter(e => e.date === date)),
+                    incoming: this.#sortEntries(incoming.filter(e => e.date === date)),
+                    resolution
+                };
+            });
+        const resolutionByDate = new Map(conflicts.map(conflict => [conflict.date, conflict.resolution]));
+
+        const records = [];
+        writes.forEach(({ entry, operation, clockChanged }) => {
+            // Garder le jour existant n'écarte que les pointages ajoutés ou déplacés (les notes sont reprises)
+            if (clockChanged && resolutionByDate.get(entry.date) === ConflictResolution.KEEP_CURRENT) {
+                counts.skipped++;
+                return;
+            }
+            records.push(entry);
+            counts[operation]++;
+        });
+
+        // Remplacer un jour : retirer les pointages existants absents de la sauvegarde
+        const removed = [];
+        conflicts
+            .filter(conflict => conflict.resolution === ConflictResolution.USE_INCOMING)
+            .forEach(conflict => {
+                const ids = new Set(conflict.incoming.map(e => e.id));
+                const kept = new Set(conflict.incoming.map(e => this.#entrySignature(e)));
+                conflict.current
+                    .filter(e => !ids.has(e.id) && !kept.has(this.#entrySignature(e)))
+                    .forEach(e => removed.push(e.id));
+            });
+
+        return { records, removed, counts, conflicts };
+    }
+
+    /**
+     * Planifie l'import des sessions
+     * Les sessions sont réaffectées selon idMap ; celles dont le projet est
+     * introuvable sont ignorées.
+     * @param {Object[]} incoming - Sessions de la sauvegarde
+     * @param {Object[]} current - Sessions existantes (JSON)
+     * @param {Map<string, string>} idMap - Correspondance ID projet sauvegarde → ID existant
+     * @param {Set<string>} knownIds - ID des projets présents après import
+     * @returns {{records: Object[], counts: Object}}
+     * @private
+     */
+    #planSessions(incoming, current, idMap, knownIds) {
+        const counts = this.#emptyCounts();
+        const records = [];
+        const byId = new Map(current.map(s => [s.id, s]));
+        const signatures = new Set(current.map(s => this.#sessionSignature(s)));
+
+        incoming.forEach(original => {
+            const session = { ...original, projectId: idMap.get(original.projectId) || original.projectId };
+
+            if (!knownIds.has(session.projectId)) {
+                counts.skipped++;
+                return;
+            }
+
+            const existing = byId.get(session.id);
+
+            if (existing) {
+                const unchanged = this.#sessionSignature(existing) === this.#sessionSignature(session)
+                    && (existing.endTime || null) === (session.endTime || null);
+
+                if (unchanged) {
+                    counts.skipped++;
+                } else {
+                    records.push(session);
+                    counts.updated++;
+                }
+                return;
+            }
+
+            if (signatures.has(this.#sessionSignature(session))) {
+                counts.skipped++;
+                return;
+            }
+
+            records.push(session);
+            signatures.add(this.#sessionSignature(session));
+            counts.added++;
+        });
+
+        return { records, counts };
+    }
+
+    /**
+     * Planifie l'import des absences
+     * Une absence de même jour et de même type qu'une absence existante est un doublon.
+     * @param {Object[]} incoming - Absences de la sauvegarde
+     * @param {Object[]} current - Absences existantes (JSON)
+     * @returns {{records: Object[], counts: Object}}
+     * @private
+     */
+    #planAbsences(incoming, current) {
+        const counts = this.#emptyCounts();
+        const records = [];
+        const byId = new Map(current.map(a => [a.id, a]));
+        const signatures = new Set(current.map(a => `${a.date}|${a.type}`));
+
+        incoming.forEach(absence => {
+            const existing = byId.get(absence.id);
+
+            if (existing) {
+                const unchanged = existing.date === absence.date
+                    && existing.type === absence.type
+                    && (existing.note || '') === (absence.note || '');
+
+                if (unchanged) {
+                    counts.skipped++;
+                } else {
+                    records.push(absence);
+                    counts.updated++;
+                }
+                return;
+            }
+
+            const signature = `${absence.date}|${absence.type}`;
+            if (signatures.has(signature)) {
+                counts.skipped++;
+                return;
+            }
+
+            records.push(absence);
+            signatures.add(signature);
+            counts.added++;
+        });
+
+        return { records, counts };
+    }
+
+    /**
+     * Planifie l'import des archives annuelles
+     * Une année déjà archivée localement est ignorée ; les sessions sont réaffectées selon idMap.
+     * @param {Object[]|null} incoming - Archives de la sauvegarde (null si absentes)
+     * @param {number[]} archiveYears - Années déjà archivées (vide pour un remplacement)
+     * @param {Map<string, string>} idMap - Correspondance ID projet sauvegarde → ID existant
+     * @returns {{records: Object[]|null, counts: Object}} Archives à écrire (null : archives locales inchangées)
+     * @private
+     */
+    #planArchives(incoming, archiveYears, idMap) {
+        const counts = this.#emptyCounts();
+        if (!incoming) {
+            return { records: null, counts };
+        }
+
+        const records = [];
+        incoming.forEach(archive => {
+            if (archiveYears.includes(archive.year)) {
+                counts.skipped++;
+                return;
+            }
+
+            records.push({
+                ...archive,
+                timeEntries: archive.timeEntries || [],
+                projects: archive.projects || [],
+                projectSessions: (archive.projectSessions || []).map(session => ({
+                    ...session,
+                    projectId: idMap.get(session.projectId) || session.projectId
+                }))
+            });
+            counts.added++;
+        });
+
+        return { records, counts };
+    }
+
+    /**
+     * Reporte le temps des sessions importées sur le temps passé des projets existants
+     * Un projet existant (même ID ou homonyme) garde son temps passé local, augmenté de la
+     * durée des sessions terminées ajoutées (archives comprises) ou de l'écart des sessions
+     * modifiées ; le temps passé de la sauvegarde ne vaut que pour les projets ajoutés.
+     * @param {Object[]} projectRecords - Projets à écrire (voir #planProjects)
+     * @param {Object} current - Données existantes (JSON : projects, sessions)
+     * @param {Object[]} sessionRecords - Sessions à écrire (voir #planSessions)
+     * @param {Object[]} archiveRecords - Archives à écrire (voir #planArchives)
+     * @returns {Object[]} Projets à écrire, temps passé recalculé
+     * @private
+     */
+    #planTimeSpent(projectRecords, current, sessionRecords, archiveRecords) {
+        const existingById = new Map(current.projects.map(p => [p.id, p]));
+        const sessionsById = new Map(current.sessions.map(s => [s.id, s]));
+        const deltas = new Map();
+        const addDelta = (projectId, duration) => {
+            if (existingById.has(projectId) && duration !== 0) {
+                deltas.set(projectId, (deltas.get(projectId) || 0) + duration);
+            }
+        };
+
+        sessionRecords.forEach(session => {
+            const previous = sessionsById.get(session.id);
+            if (previous) {
+                addDelta(previous.projectId, -this.#sessionDuration(previous));
+            }
+            addDelta(session.projectId, this.#sessionDuration(session));
+        });
+        archiveRecords.forEach(archive => {
+            archive.projectSessions.forEach(session => addDelta(session.projectId, this.#sessionDuration(session)));
+        });
+
+        const records = projectRecords.map(project => {
+            const existing = existingById.get(project.id);
+            return existing
+                ? { ...project, timeSpent: Math.max(0, (existing.timeSpent || 0) + (deltas.get(project.id) || 0)) }
+                : project;
+        });
+        const written = new Set(records.map(project => project.id));
+        deltas.forEach((delta, projectId) => {
+            if (written.has(projectId)) return;
+            const existing = existingById.get(projectId);
+            records.push({ ...existing, timeSpent: Math.max(0, (existing.timeSpent || 0) + delta) });
+        });
+
+        return records;
+    }
+
+    // ======================
+    // Méthodes utilitaires privées
+    // ======================
+
+    /**
+     * Calcule la durée d'une session au format de stockage (0 si elle est en cours)
+     * @param {Object} session - Session (JSON)
+     * @returns {number} Durée en millisecondes
+     * @private
+     */
+    #sessionDuration(session) {
+        return session.endTime
+            ? new Date(session.endTime).getTime() - new Date(session.startTime).getTime()
+            : 0;
+    }
+
+    /**
+     * Crée un compteur vide
+     * @returns {{added: number, updated: number, skipped: number}}
+     * @private
+     */
+    #emptyCounts() {
+        return { added: 0, updated: 0, skipped: 0 };
+    }
+
+    /**
+     * Normalise un nom de projet pour la comparaison
+     * @param {string} name - Nom du projet
+     * @returns {string}
+     * @private
+     */
+    #normalizeName(name) {
+        return (name || '').trim().toLocaleLowerCase('fr');
+    }
+
+    /**
+     * Clé identifiant un pointage indépendamment de son ID
+     * @param {Object} entry - Pointage (JSON)
+     * @returns {string}
+     * @private
+     */
+    #entrySignature(entry) {
+        return `${entry.type}|${new Date(entry.timestamp).getTime()}`;
+    }
+
+    /**
+     * Trie des pointages par horodatage
+     * @param {Object[]} entries - Pointages (JSON)
+     * @returns {Object[]} Nouveau tableau trié
+     * @private
+     */
+    #sortEntries(entries) {
+        return [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Clé identifiant une session indépendamment de son ID
+     * @param {Object} session - Session (JSON)
+     * @returns {string}
+     * @private
+     */
+    #sessionSignature(session) {
+        return `${session.projectId}|${new Date(session.startTime).getTime()}`;
+    }
+}
@@ -1,7 +1,8 @@
 'use strict';
 
 import { ENTRY_TYPES, isBreakStart, isBreakEnd } from './time-entry.js';
-import { formatTime } from './utils.js';
+import { formatTime, getTodayDateString, getDayBounds, clipSessionsToDay, getOffShiftPeriods } from './utils.js';
+import { formatWorkLocation } from './work-location.js';
 
 /**
  * Classe pour gérer l'affichage de la ligne de temps de la journée
@@ -48,15 +49,18 @@ export class DayTimeline {
 
     /**
      * Met à jour la ligne de temps avec les données du jour
+     * Les sessions qui passent minuit (commencées la veille ou poursuivies le lendemain)
+     * sont limitées à la part comprise dans le jour affiché.
      * @param {Object[]} entries - Pointages du jour
-     * @param {Object[]} sessions - Sessions de projet du jour
+     * @param {Object[]} sessions - Sessions de projet du jour (et de la veille si elles débordent)
      * @param {Object[]} projects - Liste des projets
+     * @param {string} [date] - Jour affiché au format YYYY-MM-DD (aujourd'hui par défaut)
      */
-    update(entries, sessions, projects) {
+    update(entries, sessions, projects, date = getTodayDateString()) {
         if (!this.elements.container) return;
 
         // Sauvegarder les données pour les détails
-        this.currentDayData = { entries, sessions, projects };
+        this.currentDayData = { entries, sessions, projects, date };
 
         // Vérifier s'il y a des données (pointages OU sessions)
         if ((!entries || entries.length === 0) && (!sessions || sessions.length === 0)) {
@@ -64,8 +68,8 @@ export class DayTimeline {
             return;
         }
 
-        // Trouver l'heure de début et de fin
-        const { startTime, endTime } = this.#getTimeRange(entries, sessions);
+        // Trouver l'heure de début et de fin (dans les bornes du jour)
+        const { startTime, endTime } = this.#getTimeRange(entries, clipSessionsToDay(sessions, date), date);
 
         if (!startTime) {
             this.elements.container.innerHTML = '<p class="day-timeline__empty">Aucun pointage pour aujourd\'hui</p>';
@@ -73,17 +77,18 @@ export class DayTimeline {
         }
 
         // Créer la ligne de temps
-        this.#renderTimeline(startTime, endTime, entries, sessions, projects);
+        this.#renderTimeline(startTime, endTime, entries, sessions, projects, date);
     }
 
     /**
      * Détermine les bornes de temps pour la journée
      * @param {Object[]} entries - Pointages du jour
-     * @param {Object[]} sessions - Sessions de projet du jour
+     * @param {Object[]} sessions - Sessions de projet du jour (déjà limitées au jour)
+     * @param {string} date - Jour au format YYYY-MM-DD
      * @returns {Object} { startTime, endTime }
      * @private
      */
-    #getTimeRange(entries, sessions) {
+    #getTimeRange(entries, sessions, date) {
         let startTime = null;
         let endTime = null;
 
@@ -111,11 +116,11 @@ export class DayTimeline {
             return { startTime: null, endTime: null };
         }
 
-        // Trouver le pointage de départ (CLOCK_OUT)
-        const clockOutEntry = entries?.find(e => e.type === ENTRY_TYPES.CLOCK_OUT);
+        // Trouver le départ qui clôt la journée (le dernier, sans nouvelle arrivée après lui)
+        const { lastClockOut } = getOffShiftPeriods(entries);
 
-        if (clockOutEntry) {
-            endTime = new Date(clockOutEntry.timestamp);
+        if (lastClockOut) {
+            endTime = new Date(lastClockOut);
         } else if (sessions && sessions.length > 0) {
             // Si pas de CLOCK_OUT, chercher la dernière session terminée
             const sortedSessions = [...sessions].sort((a, b) =>
@@ -147,6 +152,12 @@ export class DayTimeline {
             endTime.setHours(18, 0, 0, 0);
         }
 
+        // Ne jamais dépasser minuit : la suite appartient au lendemain
+        const dayEnd = getDayBounds(date).end;
+        if (endTime > dayEnd) {
+            endTime = dayEnd;
+        }
+
         return { startTime, endTime };
     }
 
@@ -157,14 +168,15 @@ export class DayTimeline {
      * @param {Object[]} entries - Pointages
      * @param {Object[]} sessions - Sessions de projet
      * @param {Object[]} projects - Projets
+     * @param {string} date - Jour au format YYYY-MM-DD
      * @private
      */
-    #renderTimeline(startTime, endTime, entries, sessions, projects) {
+    #renderTimeline(startTime, endTime, entries, sessions, projects, date) {
         // Calculer la durée totale en minutes
         const totalDuration = (endTime - startTime) / (1000 * 60);
 
         // Construire les segments
-        const segments = this.#buildSegments(startTime, endTime, entries, sessions, projects);
+        const segments = this.#buildSegments(startTime, endTime, entries, sessions, projects, date);
 
         // Créer le HTML
         const html = `
@@ -187,15 +199,22 @@ export class DayTimeline {
      * @param {Object[]} entries - Pointages
      * @param {Object[]} sessions - Sessions de projet
      * @param {Object[]} projects - Projets
+     * @param {string} date - Jour au format YYYY-MM-DD
      * @returns {Object[]} Segments
      * @private
      */
-    #buildSegments(startTime, endTime, entries, sessions, projects) {
-        // Collecter les pauses
-        const breaks = this.#collectBreaks(entries);
-
-        // Collecter les sessions de projet avec leurs infos
-        const projectSessions = this.#collectProjectSessions(sessions, projects);
+    #buildSegments(startTime, endTime, entries, sessions, projects, date) {
+        // Collecter les pauses et les intervalles hors présence (entre un départ et un retour)
+        const breaks = [...this.#collectBreaks(entries), ...this.#collectOffShiftPeriods(entries)];
+
+        // Collecter les sessions de projet avec leurs infos (limitées à la plage affichée)
+        const projectSessions = this.#collectProjectSessions(sessions, projects, date)
+            .map(s => ({
+                ...s,
+                start: new Date(Math.max(s.start, startTime)),
+                end: new Date(Math.min(s.end, endTime))
+            }))
+            .filter(s => s.end > s.start);
 
         // Construire les segments avec détection des chevauchements
         const segments = this.#buildSegmentsWithOverlaps(startTime, endTime, breaks, projectSessions);
@@ -219,7 +238,8 @@ export class DayTimeline {
         sortedEntries.forEach(entry => {
             if (isBreakStart(entry.type)) {
                 currentBreakStart = new Date(entry.timestamp);
-            } else if (isBreakEnd(entry.type) && currentBreakStart) {
+            } else if ((isBreakEnd(entry.type) || entry.type === ENTRY_TYPES.CLOCK_OUT) && currentBreakStart) {
+                // Fin de la pause (un départ pendant la pause la termine aussi)
                 breaks.push({
                     type: 'break',
                     start: currentBreakStart,
@@ -244,21 +264,40 @@ export class DayTimeline {
     }
 
     /**
-     * Collecte les sessions de projet
+     * Collecte les intervalles hors présence d'une journée en plusieurs fois
+     * Ils ne sont pas des pauses : ni travail ni pause n'y est compté.
+     * @param {Object[]} entries - Pointages
+     * @returns {Object[]} Liste des intervalles
+     * @private
+     */
+    #collectOffShiftPeriods(entries) {
+        return getOffShiftPeriods(entries).gaps.map(gap => ({
+            type: 'off',
+            start: gap.start,
+            end: gap.end,
+            label: 'Hors présence'
+        }));
+    }
+
+    /**
+     * Collecte les sessions de projet (part comprise dans le jour)
      * @param {Object[]} sessions - Sessions
      * @param {Object[]} projects - Projets
+     * @param {string} date - Jour au format YYYY-MM-DD
      * @returns {Object[]} Sessions avec infos projet
      * @private
      */
-    #collectProjectSessions(sessions, projects) {
-        return sessions.map(session => {
-            const project = projects.find(p => p.id === session.projectId);
+    #collectProjectSessions(sessions, projects, date) {
+        return clipSessionsToDay(sessions, date).map(clipped => {
+            const project = projects.find(p => p.id === clipped.projectId);
             return {
-                start: new Date(session.startTime),
-                end: session.endTime ? new Date(session.endTime) : new Date(),
-                projectId: session.projectId,
+                start: clipped.startTime,
+                end: clipped.endTime || new Date(),
+                projectId: clipped.projectId,
                 projectName: project?.name || 'Projet inconnu',
-                projectColor: project?.color || '#3b82f6'
+                projectColor: project?.color || '#3b82f6',
+                continuesFromPreviousDay: clipped.continuesFromPreviousDay,
+                continuesNextDay: clipped.continuesNextDay
             };
         });
     }
@@ -267,7 +306,7 @@ export class DayTimeline {
      * Construit les segments avec détection des chevauchements multi-projets
      * @param {Date} startTime - Heure de début
      * @param {Date} endTime - Heure de fin
-     * @param {Object[]} breaks - Pauses
+     * @param {Object[]} breaks - Pauses et intervalles hors présence
      * @param {Object[]} projectSessions - Sessions de projet
      * @returns {Object[]} Segments
      * @private
@@ -302,7 +341,7 @@ export class DayTimeline {
             // Ignorer les segments de durée nulle
             if (segStart.getTime() === segEnd.getTime()) continue;
 
-            // Vérifier si c'est une pause
+            // Vérifier si c'est une pause (ou un intervalle hors présence)
             const isBreak = breaks.some(b =>
                 segStart >= b.start && segEnd <= b.end
             );
@@ -310,7 +349,7 @@ export class DayTimeline {
             if (isBreak) {
                 const breakInfo = breaks.find(b => segStart >= b.start && segEnd <= b.end);
                 segments.push({
-                    type: 'break',
+                    type: breakInfo?.type || 'break',
                     start: segStart,
                     end: segEnd,
                     label: breakInfo?.label || 'Pause'
@@ -339,7 +378,11 @@ export class DayTimeline {
                     end: segEnd,
                     label: activeProjects[0].projectName,
                     projectId: activeProjects[0].projectId,
-                    projectColor: activeProjects[0].projectColor
+                    projectColor: activeProjects[0].projectColor,
+                    continuesFromPreviousDay: activeProjects[0].continuesFromPreviousDay &&
+                        segStart.getTime() === activeProjects[0].start.getTime(),
+                    continuesNextDay: activeProjects[0].continuesNextDay &&
+                        segEnd.getTime() === activeProjects[0].end.getTime()
                 });
             } else {
                 // Multi-projets !
@@ -380,6 +423,7 @@ export class DayTimeline {
             if (canMerge) {
                 // Étendre le segment courant
                 current.end = next.end;
+                current.continuesNextDay = next.continuesNextDay;
             } else {
                 // Sauvegarder et commencer un nouveau segment
                 merged.push(current);
@@ -417,7 +461,7 @@ export class DayTimeline {
             return ids1.every((id, idx) => id === ids2[idx]);
         }
 
-        // Pour idle et break, toujours fusionnable
+        // Pour idle, break et off, toujours fusionnable
         return true;
     }
 
@@ -499,6 +543,8 @@ export class DayTimeline {
             ${segment.label}<br>
             ${timeRange}<br>
             ${duration}
+            ${segment.continuesFromPreviousDay ? '<br>↩ Commencée la veille' : ''}
+            ${segment.continuesNextDay ? '<br>↪ Se poursuit le lendemain' : ''}
         `;
     }
 
@@ -551,10 +597,10 @@ export class DayTimeline {
     #showDayDetails() {
         if (!this.currentDayData || !this.elements.modal) return;
 
-        const { entries, sessions, projects } = this.currentDayData;
+        const { entries, sessions, projects, date } = this.currentDayData;
 
         // Créer le contenu de la modal
-        const html = this.#renderDayDetails(entries, sessions, projects);
+        const html = this.#renderDayDetails(entries, clipSessionsToDay(sessions, date), projects);
         this.elements.detailsList.innerHTML = html;
 
         // Afficher la modal
@@ -576,7 +622,7 @@ export class DayTimeline {
     /**
      * Rend le détail textuel de la journée
      * @param {Object[]} entries - Pointages
-     * @param {Object[]} sessions - Sessions de projet
+     * @param {Object[]} sessions - Sessions de projet limitées au jour (clipSessionsToDay)
      * @param {Object[]} projects - Projets
      * @returns {string} HTML du détail
      * @private
@@ -595,28 +641,38 @@ export class DayTimeline {
             timeline.push({
                 time: new Date(entry.timestamp),
                 type: 'entry',
-                label: type,
+                label: entry.location ? `${type} · ${formatWorkLocation(entry.location)}` : type,
                 subtype: entry.type
             });
         });
 
-        // Ajouter les sessions
+        // Ajouter les sessions (part du jour uniquement)
         sessions.forEach(session => {
             const project = projects.find(p => p.id === session.projectId);
+            const projectName = project?.name || 'Projet inconnu';
             const duration = this.#formatDuration((new Date(session.endTime || new Date()) - new Date(session.startTime)) / (1000 * 60));
 
             timeline.push({
                 time: new Date(session.startTime),
                 type: 'session',
-                label: `Début session: ${project?.name || 'Projet inconnu'}`,
+                label: session.continuesFromPreviousDay
+                    ? `Suite de la session de la veille: ${projectName}`
+                    : `Début session: ${projectName}`,
                 duration: duration
             });
 
-            if (session.endTime) {
+            if (session.continuesNextDay) {
+                timeline.push({
+                    time: new Date(session.endTime),
+                    type: 'session',
+                    label: `↪ Session ${projectName} poursuivie le lendemain`,
+                    duration: null
+                });
+            } else if (session.endTime) {
                 timeline.push({
                     time: new Date(session.endTime),
                     type: 'session',
-                    label: `Fin session: ${project?.name || 'Projet inconnu'}`,
+                    label: `Fin session: ${projectName}`,
                     duration: null
                 });
             }
@@ -4,18 +4,9 @@ import { IO } from '../core/monads.js';
 import { TimeEntry } from '../model/entry.js';
 import { Project } from '../model/project.js';
 import { ProjectSession } from '../model/session.js';
-
-/**
- * Configuration de la base de données
- */
-const DB_NAME = 'TimeTrackerDB';
-const DB_VERSION = 1;
-
-const STORES = Object.freeze({
-    TIME_ENTRIES: 'timeEntries',
-    PROJECTS: 'projects',
-    PROJECT_SESSIONS: 'projectSessions'
-});
+import { STORES, openDatabase } from '../migrations.js';
+import { WORK_SCHEDULES_SETTING_KEY } from '../storage.js';
+import { normalizeWorkSchedules } from '../work-schedule.js';
 
 /**
  * Fonctions pures de transformation (pas d'effets de bord)
@@ -59,6 +50,8 @@ const projectToStorageFormat = (project) => ({
     name: project.name,
     timeSpent: project.timeSpent,
     active: project.active,
+    archivedAt: project.archivedAt ? project.archivedAt.toISOString() : null,
+    color: project.color,
     createdAt: project.createdAt.toISOString(),
     updatedAt: project.updatedAt.toISOString()
 });
@@ -81,7 +74,8 @@ const sessionToStorageFormat = (session) => ({
     projectId: session.projectId,
     startTime: session.startTime.toISOString(),
     endTime: session.endTime ? session.endTime.toISOString() : null,
-    date: session.date
+    date: session.date,
+    note: session.note || ''
 });
 
 /**
@@ -385,6 +379,31 @@ export const createStorageEffects = (db) => {
         });
     });
 
+    // ======================
+    // Effets pour les paramètres
+    // ======================
+
+    /**
+     * Récupère l'historique des horaires de travail
+     * @returns {IO<Array>} IO qui retourne les horaires, du plus ancien au plus récent (vide si aucun)
+     */
+    const getWorkSchedules = () => new IO(() => {
+        const transaction = db.transaction([STORES.SETTINGS], 'readonly');
+        const store = transaction.objectStore(STORES.SETTINGS);
+
+        return new Promise((resolve, reject) => {
+            const request = store.get(WORK_SCHEDULES_SETTING_KEY);
+            request.onsuccess = () => {
+                try {
+                    resolve(normalizeWorkSchedules(request.result ? request.result.value : null));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = () => reject(new Error('Erreur lors de la récupération des horaires'));
+        });
+    });
+
     // Retourner toutes les fonctions d'effet
     return Object.freeze({
         // TimeEntries
@@ -404,7 +423,10 @@ export const createStorageEffects = (db) => {
         getSessionsByDate,
         getAllSessions,
         getCurrentSession,
-        deleteSession
+        deleteSession,
+
+        // Paramètres
+        getWorkSchedules
     });
 };
 
@@ -412,53 +434,15 @@ export const createStorageEffects = (db) => {
  * Initialise la base de données (effet de bord)
  * @returns {IO<IDBDatabase>} IO qui retourne l'instance de la DB
  */
-export const initDatabase = () => new IO(() => {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onerror = () => {
-            reject(new Error('Erreur lors de l\'ouverture de la base de données'));
-        };
-
-        request.onsuccess = (event) => {
-            const db = event.target.result;
-            console.log('✅ Base de données initialisée');
-            resolve(db);
-        };
-
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-
-            // Créer le store pour les pointages
-            if (!db.objectStoreNames.contains(STORES.TIME_ENTRIES)) {
-                const timeEntriesStore = db.createObjectStore(STORES.TIME_ENTRIES, {
-                    keyPath: 'id'
-                });
-                timeEntriesStore.createIndex('date', 'date', { unique: false });
-                timeEntriesStore.createIndex('timestamp', 'timestamp', { unique: false });
-                console.log('✅ Store timeEntries créé');
+export const initDatabase = () => new IO(() =>
+    openDatabase({
+        onMigrated: ({ changedDays }) => {
+            if (changedDays.length > 0) {
+                console.log('🔧 Jours recalculés lors de la migration:', changedDays.join(', '));
             }
-
-            // Créer le store pour les projets
-            if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
-                const projectsStore = db.createObjectStore(STORES.PROJECTS, {
-                    keyPath: 'id'
-                });
-                projectsStore.createIndex('name', 'name', { unique: false });
-                projectsStore.createIndex('active', 'active', { unique: false });
-                console.log('✅ Store projects créé');
-            }
-
-            // Créer le store pour les sessions
-            if (!db.objectStoreNames.contains(STORES.PROJECT_SESSIONS)) {
-                const sessionsStore = db.createObjectStore(STORES.PROJECT_SESSIONS, {
-                    keyPath: 'id'
-                });
-                sessionsStore.createIndex('projectId', 'projectId', { unique: false });
-                sessionsStore.createIndex('date', 'date', { unique: false });
-                sessionsStore.createIndex('startTime', 'startTime', { unique: false });
-                console.log('✅ Store projectSessions créé');
-            }
-        };
-    });
-});
+        }
+    }).then(db => {
+        console.log('✅ Base de données initialisée');
+        return db;
+    })
+);
@@ -0,0 +1,424 @@
+'use strict';
+
+import { STORES } from './migrations.js';
+
+/**
+ * Chiffrement au repos (WebCrypto)
+ * La clé AES-GCM est dérivée de la phrase secrète de l'utilisateur (PBKDF2-SHA256) et ne
+ * quitte jamais la mémoire de l'onglet. Seuls l'ID et les champs indexés restent en clair :
+ * les requêtes par jour, par horodatage et par projet fonctionnent sans déchiffrer.
+ */
+
+/**
+ * Nombre d'itérations PBKDF2 par défaut
+ */
+export const KDF_ITERATIONS = 310000;
+
+/**
+ * Longueur minimale d'une phrase secrète
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Format des sauvegardes chiffrées (enveloppe autour de exportAllDataToJSON)
+ */
+export const ENCRYPTED_BACKUP_FORMAT = 'claude-time-tracker-encrypted';
+
+/**
+ * Champs conservés en clair, par store (ID et champs des index utilisés par StorageService)
+ * La version et la date de modification (js/sync.js) restent en clair : elles sont
+ * incrémentées dans la transaction d'écriture, sans déchiffrer.
+ * Le contenu d'une archive (`data`) est un Blob chiffré à part par encryptBlob.
+ */
+export const CLEAR_FIELDS = Object.freeze({
+    [STORES.TIME_ENTRIES]: ['id', 'date', 'timestamp', 'version', 'updatedAt'],
+    [STORES.PROJECTS]: ['id', 'version', 'updatedAt'],
+    [STORES.PROJECT_SESSIONS]: ['id', 'projectId', 'date', 'startTime', 'version', 'updatedAt'],
+    [STORES.ABSENCES]: ['id', 'date', 'version', 'updatedAt'],
+    [STORES.BACKUPS]: ['id', 'createdAt'],
+    [STORES.ARCHIVES]: ['year', 'data']
+});
+
+/**
+ * Message d'erreur d'une lecture chiffrée sans clé
+ */
+const LOCKED_MESSAGE = 'Données chiffrées : déverrouillez l\'application';
+
+/**
+ * Valeur chiffrée dans l'en-tête pour vérifier la phrase secrète
+ */
+const KEY_CHECK_VALUE = 'claude-time-tracker';
+
+/**
+ * Taille du sel PBKDF2 et du vecteur d'initialisation AES-GCM (octets)
+ */
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// ======================
+// Clés
+// ======================
+
+/**
+ * Dérive une clé AES-GCM d'une phrase secrète
+ * @param {string} passphrase - Phrase secrète
+ * @param {string} salt - Sel (base64)
+ * @param {number} [iterations=KDF_ITERATIONS] - Nombre d'itérations PBKDF2
+ * @returns {Promise<CryptoKey>} Clé non exportable
+ */
+export async function deriveKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Vérifie qu'une phrase secrète est assez longue
+ * @param {string} passphrase - Phrase secrète
+ * @throws {Error} Si la phrase secrète est trop courte
+ */
+export function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`La phrase secrète doit contenir au moins ${MIN_PASSPHRASE_LENGTH} caractères`);
+    }
+}
+
+/**
+ * Crée l'en-tête de chiffrement d'une nouvelle phrase secrète
+ * L'en-tête ne contient pas la clé : seulement de quoi la dériver et la vérifier.
+ * @param {string} passphrase - Phrase secrète
+ * @param {Object} [options] - Options de dérivation
+ * @param {number} [options.iterations=KDF_ITERATIONS] - Nombre d'itérations PBKDF2
+ * @returns {Promise<{header: Object, key: CryptoKey}>} En-tête ({salt, iterations, check}) et clé
+ * @throws {Error} Si la phrase secrète est trop courte
+ */
+export async function createEncryptionHeader(passphrase, { iterations = KDF_ITERATIONS } = {}) {
+    validatePassphrase(passphrase);
+
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_LENGTH)));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const check = await encryptJSON(key, KEY_CHECK_VALUE);
+
+    return { header: { salt, iterations, check }, key };
+}
+
+/**
+ * Dérive la clé d'un en-tête existant et vérifie la phrase secrète
+ * @param {Object} header - En-tête créé par createEncryptionHeader
+ * @param {string} passphrase - Phrase secrète saisie
+ * @returns {Promise<CryptoKey>} Clé de déchiffrement
+ * @throws {Error} Si la phrase secrète est incorrecte
+ */
+export async function unlockEncryptionHeader(header, passphrase) {
+    const key = await deriveKey(passphrase, header.salt, header.iterations);
+
+    try {
+        if (await decryptJSON(key, header.check) === KEY_CHECK_VALUE) {
+            return key;
+        }
+    } catch (error) {
+        // Clé incorrecte : même message que ci-dessous
+    }
+    throw new Error('Phrase secrète incorrecte');
+}
+
+// ======================
+// Valeurs
+// ======================
+
+/**
+ * Chiffre une valeur sérialisable en JSON
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {*} value - Valeur à chiffrer
+ * @returns {Promise<{iv: string, data: string}>} Vecteur d'initialisation et données chiffrées (base64)
+ */
+export async function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+    );
+
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Déchiffre une valeur chiffrée par encryptJSON
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {{iv: string, data: string}} payload - Valeur chiffrée
+ * @returns {Promise<*>} Valeur d'origine
+ * @throws {Error} Si la clé est incorrecte ou si les données ont été altérées
+ */
+export async function decryptJSON(key, payload) {
+    let data;
+    try {
+        data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+            key,
+            base64ToBytes(payload.data)
+        );
+    } catch (error) {
+        throw new Error('Déchiffrement impossible : clé incorrecte ou données altérées');
+    }
+
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Chiffre un Blob (ex: archive compressée) sans passer par JSON ni base64
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {Blob} blob - Données à chiffrer
+ * @returns {Promise<Blob>} Vecteur d'initialisation suivi des données chiffrées
+ */
+export async function encryptBlob(key, blob) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+
+    return new Blob([iv, data]);
+}
+
+/**
+ * Déchiffre un Blob chiffré par encryptBlob
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {Blob} blob - Données chiffrées
+ * @returns {Promise<Blob>} Données d'origine
+ * @throws {Error} Si la clé est incorrecte ou si les données ont été altérées
+ */
+export async function decryptBlob(key, blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+
+    try {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH) },
+            key,
+            bytes.slice(IV_LENGTH)
+        );
+        return new Blob([data]);
+    } catch (error) {
+        throw new Error('Déchiffrement impossible : clé incorrecte ou données altérées');
+    }
+}
+
+// ======================
+// Enregistrements
+// ======================
+
+/**
+ * Indique si une valeur a été chiffrée par encryptJSON
+ * @param {*} value - Valeur à tester
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+    return Boolean(value) && typeof value === 'object'
+        && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Déchiffre une valeur si elle est chiffrée (retournée telle quelle sinon)
+ * @param {CryptoKey|null} key - Clé AES-GCM
+ * @param {*} value - Valeur lue dans la base
+ * @returns {Promise<*>} Valeur en clair
+ * @throws {Error} Si la valeur est chiffrée et que la clé manque ou est incorrecte
+ */
+export async function decryptValue(key, value) {
+    if (!isEncryptedValue(value)) {
+        return value;
+    }
+    if (!key) {
+        throw new Error(LOCKED_MESSAGE);
+    }
+    return decryptJSON(key, value);
+}
+
+/**
+ * Indique si un enregistrement est stocké chiffré
+ * @param {Object|null} record - Enregistrement lu dans la base
+ * @returns {boolean}
+ */
+export function isEncryptedRecord(record) {
+    return Boolean(record) && isEncryptedValue(record.cipher);
+}
+
+/**
+ * Chiffre un enregistrement au format de stockage
+ * Les champs de CLEAR_FIELDS restent en clair, tous les autres sont chiffrés dans `cipher`.
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {string} storeName - Store de l'enregistrement (STORES)
+ * @param {Object} record - Enregistrement en clair
+ * @returns {Promise<Object>} Enregistrement chiffré
+ * @throws {Error} Si le store ne se chiffre pas
+ */
+export async function encryptRecord(key, storeName, record) {
+    const clearFields = CLEAR_FIELDS[storeName];
+    if (!clearFields) {
+        throw new Error(`Store non chiffrable: ${storeName}`);
+    }
+
+    const clear = {};
+    const secret = {};
+    Object.entries(record).forEach(([field, value]) => {
+        if (clearFields.includes(field)) {
+            clear[field] = value;
+        } else {
+            secret[field] = value;
+        }
+    });
+
+    return { ...clear, cipher: await encryptJSON(key, secret) };
+}
+
+/**
+ * Déchiffre un enregistrement (retourné tel quel s'il est en clair)
+ * Les champs en clair font foi : ils peuvent être réécrits sans déchiffrer (ex: recalcul des jours).
+ * @param {CryptoKey|null} key - Clé AES-GCM
+ * @param {Object|null} record - Enregistrement lu dans la base
+ * @returns {Promise<Object|null>} Enregistrement en clair
+ * @throws {Error} Si l'enregistrement est chiffré et que la clé manque ou est incorrecte
+ */
+export async function decryptRecord(key, record) {
+    if (!isEncryptedRecord(record)) {
+        return record;
+    }
+    if (!key) {
+        throw new Error(LOCKED_MESSAGE);
+    }
+
+    const { cipher, ...clear } = record;
+    return { ...await decryptJSON(key, cipher), ...clear };
+}
+
+/**
+ * Chiffre les champs sensibles d'un enregistrement du journal (action, états avant / après)
+ * @param {CryptoKey} key - Clé AES-GCM
+ * @param {Object} record - Enregistrement du journal en clair (voir createAuditRecord)
+ * @returns {Promise<Object>} Enregistrement du journal chiffré
+ */
+export async function encryptAuditRecord(key, record) {
+    return {
+        ...record,
+        action: await encryptJSON(key, record.action),
+        before: record.before && await encryptRecord(key, record.store, record.before),
+        after: record.after && await encryptRecord(key, record.store, record.after)
+    };
+}
+
+/**
+ * Déchiffre un enregistrement du journal (champs en clair retournés tels quels)
+ * @param {CryptoKey|null} key - Clé AES-GCM
+ * @param {Object} record - Enregistrement du journal lu dans la base
+ * @returns {Promise<Object>} Enregistrement du journal en clair
+ * @throws {Error} Si un champ est chiffré et que la clé manque ou est incorrecte
+ */
+export async function decryptAuditRecord(key, record) {
+    return {
+        ...record,
+        action: await decryptValue(key, record.action),
+        before: await decryptRecord(key, record.before),
+        after: await decryptRecord(key, record.after)
+    };
+}
+
+// ======================
+// Sauvegardes
+// ======================
+
+/**
+ * Indique si un fichier de sauvegarde est chiffré
+ * @param {string} content - Contenu du fichier
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(content) {
+    try {
+        const envelope = JSON.parse(content);
+        return Boolean(envelope) && envelope.format === ENCRYPTED_BACKUP_FORMAT;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Chiffre le contenu d'une sauvegarde avec sa propre phrase secrète
+ * La sauvegarde a son propre sel : elle se restaure sur un autre poste avec cette seule phrase.
+ * @param {string} content - Sauvegarde JSON en clair
+ * @param {string} passphrase - Phrase secrète de la sauvegarde
+ * @param {Object} [options] - Options de dérivation
+ * @param {number} [options.iterations=KDF_ITERATIONS] - Nombre d'itérations PBKDF2
+ * @returns {Promise<string>} Enveloppe JSON chiffrée
+ * @throws {Error} Si la phrase secrète est trop courte
+ */
+export async function encryptBackup(content, passphrase, { iterations = KDF_ITERATIONS } = {}) {
+    const { header, key } = await createEncryptionHeader(passphrase, { iterations });
+
+    return JSON.stringify({
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: '1',
+        exportDate: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: header.salt, iterations: header.iterations },
+        cipher: await encryptJSON(key, content)
+    }, null, 2);
+}
+
+/**
+ * Déchiffre une sauvegarde produite par encryptBackup
+ * @param {string} content - Enveloppe JSON chiffrée
+ * @param {string} passphrase - Phrase secrète de la sauvegarde
+ * @returns {Promise<string>} Sauvegarde JSON en clair
+ * @throws {Error} Si le fichier n'est pas une sauvegarde chiffrée ou si la phrase secrète est incorrecte
+ */
+export async function decryptBackup(content, passphrase) {
+    if (!isEncryptedBackup(content)) {
+        throw new Error('Le fichier n\'est pas une sauvegarde chiffrée');
+    }
+    if (!passphrase) {
+        throw new Error('Cette sauvegarde est chiffrée : saisissez sa phrase secrète');
+    }
+
+    const { kdf, cipher } = JSON.parse(content);
+    const key = await deriveKey(passphrase, kdf.salt, kdf.iterations);
+
+    try {
+        return await decryptJSON(key, cipher);
+    } catch (error) {
+        throw new Error('Phrase secrète de la sauvegarde incorrecte');
+    }
+}
+
+// ======================
+// Encodage base64
+// ======================
+
+/**
+ * Encode des octets en base64
+ * @param {Uint8Array} bytes - Octets
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    // Par tranches : String.fromCharCode(...bytes) dépasse la pile sur une grosse sauvegarde
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Décode une chaîne base64 en octets
+ * @param {string} base64 - Chaîne base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -1,7 +1,8 @@
 'use strict';
 
-import { formatTime } from './utils.js';
+import { formatTime, formatDate, escapeHtml } from './utils.js';
 import { ENTRY_TYPES } from './time-entry.js';
+import { WorkLocation, formatWorkLocation } from './work-location.js';
 
 /**
  * UI pour la gestion de toutes les entrées
@@ -25,9 +26,14 @@ export class EntriesManagementUI {
 
         // Callbacks
         this.onEditEntry = null;
+        this.onEditNote = null; // Callback pour modifier la note d'une entrée
+        this.onChangeLocation = null; // Callback pour modifier le lieu de travail d'une arrivée
+        this.onGetDefaultLocation = null; // Retourne le lieu proposé pour une arrivée d'un jour (YYYY-MM-DD)
         this.onDeleteEntry = null;
-        this.onAddEntry = null;
+        this.onShowHistory = null; // Callback pour afficher le journal des modifications d'une entrée
+        this.onAddEntry = null; // Callback d'ajout, résout false si le pointage est refusé
         this.onRefresh = null;
+        this.onLoadMore = null; // Callback pour charger la page suivante
     }
 
     /**
@@ -81,6 +87,16 @@ export class EntriesManagementUI {
             });
         }
 
+        // Lieu de travail : proposé pour une arrivée uniquement, selon le jour choisi
+        const typeSelect = document.getElementById('entry-type');
+        const dateInput = document.getElementById('entry-date');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => this.updateLocationField());
+        }
+        if (dateInput) {
+            dateInput.addEventListener('change', () => this.updateLocationField());
+        }
+
         // Soumission du formulaire d'ajout
         if (this.addEntryForm) {
             this.addEntryForm.addEventListener('submit', (e) => {
@@ -161,22 +177,18 @@ export class EntriesManagementUI {
     }
 
     /**
-     * Affiche toutes les entrées
+     * Affiche les entrées chargées (déjà filtrées sur la période par le stockage)
      * @param {TimeEntry[]} entries - Liste des entrées à afficher
+     * @param {Object} [options] - Options d'affichage
+     * @param {boolean} [options.hasMore=false] - D'autres entrées plus anciennes peuvent être chargées
      */
-    renderAllEntries(entries) {
+    renderAllEntries(entries, { hasMore = false } = {}) {
         if (!this.listContainer) return;
 
         // Vider le conteneur
         this.listContainer.innerHTML = '';
 
-        // Appliquer le filtre de période si défini
-        let filteredEntries = entries;
-        if (this.periodFilter) {
-            filteredEntries = this.filterEntriesByPeriod(entries, this.periodFilter.startDate, this.periodFilter.endDate);
-        }
-
-        if (filteredEntries.length === 0) {
+        if (entries.length === 0) {
             const message = this.periodFilter
                 ? 'Aucune entrée de pointage pour cette période'
                 : 'Aucune entrée de pointage enregistrée';
@@ -189,33 +201,36 @@ export class EntriesManagementUI {
         }
 
         // Grouper les entrées par date
-        const entriesByDate = this.groupEntriesByDate(filteredEntries);
+        const entriesByDate = this.groupEntriesByDate(entries);
 
         // Créer les éléments pour chaque date
         Object.keys(entriesByDate).forEach(date => {
             const dateGroup = this.createDateGroup(date, entriesByDate[date]);
             this.listContainer.appendChild(dateGroup);
         });
+
+        if (hasMore) {
+            this.listContainer.appendChild(this.createLoadMoreButton());
+        }
     }
 
     /**
-     * Filtre les entrées par période
-     * @param {TimeEntry[]} entries - Liste des entrées
-     * @param {Date} startDate - Date de début
-     * @param {Date} endDate - Date de fin
-     * @returns {TimeEntry[]} Entrées filtrées
+     * Crée le bouton de chargement des entrées plus anciennes
+     * @returns {HTMLElement} Bouton
      */
-    filterEntriesByPeriod(entries, startDate, endDate) {
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-
-        return entries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            return entryDate >= start && entryDate <= end;
+    createLoadMoreButton() {
+        const button = document.createElement('button');
+        button.className = 'btn btn--secondary all-entries-list__more';
+        button.textContent = 'Charger les entrées plus anciennes';
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            if (this.onLoadMore) {
+                this.onLoadMore();
+            }
         });
+
+        return button;
     }
 
     /**
@@ -289,9 +304,17 @@ export class EntriesManagementUI {
                 <div class="entry-item__info">
                     <span class="entry-item__label">${label}</span>
                     <span class="entry-item__time">${time}</span>
+                    ${entry.type === ENTRY_TYPES.CLOCK_IN ? this.createLocationSelect(entry.location) : ''}
+                    ${entry.note ? `<span class="entry-item__note">${escapeHtml(entry.note)}</span>` : ''}
                 </div>
             </div>
             <div class="entry-item__actions">
+                <button class="entry-item__btn entry-item__btn--history" data-action="history" title="Historique des modifications">
+                    🕓
+                </button>
+                <button class="entry-item__btn entry-item__btn--note" data-action="note" title="${entry.note ? 'Modifier la note' : 'Ajouter une note'}">
+                    📝
+                </button>
                 <button class="entry-item__btn entry-item__btn--edit" data-action="edit" title="Modifier">
                     ✏️
                 </button>
@@ -304,6 +327,27 @@ export class EntriesManagementUI {
         // Ajouter les écouteurs d'événements
         const editBtn = entryDiv.querySelector('[data-action="edit"]');
         const deleteBtn = entryDiv.querySelector('[data-action="delete"]');
+        const historyBtn = entryDiv.querySelector('[data-action="history"]');
+        const noteBtn = entryDiv.querySelector('[data-action="note"]');
+        const locationSelect = entryDiv.querySelector('[data-action="location"]');
+
+        if (historyBtn && this.onShowHistory) {
+            historyBtn.addEventListener('click', () => {
+                this.onShowHistory(entry);
+            });
+        }
+
+        if (noteBtn && this.onEditNote) {
+            noteBtn.addEventListener('click', () => {
+                this.onEditNote(entry);
+            });
+        }
+
+        if (locationSelect && this.onChangeLocation) {
+            locationSelect.addEventListener('change', () => {
+                this.onChangeLocation(entry, locationSelect.value || null);
+            });
+        }
 
         if (editBtn && this.onEditEntry) {
             editBtn.addEventListener('click', () => {
@@ -320,6 +364,19 @@ export class EntriesManagementUI {
         return entryDiv;
     }
 
+    /**
+     * Crée le sélecteur du lieu de travail d'une arrivée
+     * @param {string|null} location - Lieu actuel (WorkLocation), null si non renseigné
+     * @returns {string} HTML du sélecteur
+     */
+    createLocationSelect(location) {
+        const options = [['', 'Lieu non renseigné'], ...Object.values(WorkLocation).map(value => [value, formatWorkLocation(value)])]
+            .map(([value, label]) => `<option value="${value}"${value === (location || '') ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        return `<select class="entry-item__location" data-action="location" title="Lieu de travail">${options}</select>`;
+    }
+
     /**
      * Formate une date pour l'en-tête
      * @param {string} dateStr - Date au format YYYY-MM-DD
@@ -336,8 +393,8 @@ export class EntriesManagementUI {
         const formatted = date.toLocaleDateString('fr-FR', options);
 
         // Ajouter "Aujourd'hui" ou "Hier" si applicable
-        const todayStr = today.toISOString().split('T')[0];
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
+        const todayStr = formatDate(today);
+        const yesterdayStr = formatDate(yesterday);
 
         if (dateStr === todayStr) {
             return `Aujourd'hui - ${formatted}`;
@@ -440,8 +497,8 @@ export class EntriesManagementUI {
         if (dateInput) {
             // Définir la date par défaut à aujourd'hui
             const today = new Date();
-            dateInput.value = today.toISOString().split('T')[0];
-            dateInput.max = today.toISOString().split('T')[0]; // Empêcher les dates futures
+            dateInput.value = formatDate(today);
+            dateInput.max = formatDate(today); // Empêcher les dates futures
         }
 
         if (timeInput) {
@@ -455,11 +512,30 @@ export class EntriesManagementUI {
         if (typeSelect) {
             typeSelect.value = '';
         }
+        this.updateLocationField();
 
         // Afficher le modal
         this.addEntryModal.classList.add('modal--visible');
     }
 
+    /**
+     * Affiche le lieu de travail pour une arrivée et le présélectionne selon le jour choisi
+     */
+    updateLocationField() {
+        const field = document.getElementById('entry-location-field');
+        const locationSelect = document.getElementById('entry-location');
+        const typeSelect = document.getElementById('entry-type');
+        const dateInput = document.getElementById('entry-date');
+        if (!field || !locationSelect || !typeSelect) return;
+
+        const isClockIn = typeSelect.value === ENTRY_TYPES.CLOCK_IN;
+        field.classList.toggle('entry-form__field--hidden', !isClockIn);
+
+        if (isClockIn && dateInput?.value && this.onGetDefaultLocation) {
+            locationSelect.value = this.onGetDefaultLocation(dateInput.value);
+        }
+    }
+
     /**
      * Cache le modal d'ajout de pointage
      */
@@ -476,11 +552,14 @@ export class EntriesManagementUI {
 
     /**
      * Gère l'ajout d'un nouveau pointage
+     * Le modal reste ouvert si le pointage est refusé (séquence de la journée incohérente)
      */
-    handleAddEntry() {
+    async handleAddEntry() {
         const dateInput = document.getElementById('entry-date');
         const timeInput = document.getElementById('entry-time');
         const typeSelect = document.getElementById('entry-type');
+        const noteInput = document.getElementById('entry-note');
+        const locationSelect = document.getElementById('entry-location');
 
         if (!dateInput || !timeInput || !typeSelect) {
             this.showError('Formulaire invalide');
@@ -507,10 +586,13 @@ export class EntriesManagementUI {
 
         // Appeler le callback avec les données
         if (this.onAddEntry) {
-            this.onAddEntry({
+            const added = await this.onAddEntry({
                 type: typeValue,
-                timestamp: timestamp
+                timestamp: timestamp,
+                note: noteInput ? noteInput.value.trim() : '',
+                location: typeValue === ENTRY_TYPES.CLOCK_IN && locationSelect ? locationSelect.value || null : null
             });
+            if (added === false) return;
         }
 
         // Fermer le modal
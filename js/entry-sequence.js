@@ -0,0 +1,198 @@
+'use strict';
+
+import { ENTRY_TYPES, isBreakStart, isBreakEnd } from './time-entry.js';
+import { formatTime, getEntryTypeLabel } from './utils.js';
+
+/**
+ * Séquence des pointages
+ * Règles d'enchaînement des pointages (arrivée, pauses, départ), communes aux contrôles
+ * a posteriori (ajout, modification, suppression), à la vérification de l'intégrité et aux journées
+ * oubliées. Une plage restée ouverte à minuit se poursuit le lendemain (travail de nuit) :
+ * le lendemain reprend alors dans l'état de la veille, sauf s'il commence par une arrivée.
+ */
+
+/**
+ * États de la séquence de pointages d'une journée
+ */
+export const SequenceState = Object.freeze({
+    OFF: 'off',
+    WORKING: 'working',
+    ON_BREAK: 'on-break',
+    DONE: 'done'
+});
+
+/**
+ * Libellés des états de séquence (messages d'erreur)
+ */
+export const SEQUENCE_STATE_LABELS = Object.freeze({
+    [SequenceState.OFF]: 'avant l\'arrivée',
+    [SequenceState.WORKING]: 'pendant le travail',
+    [SequenceState.ON_BREAK]: 'pendant une pause',
+    [SequenceState.DONE]: 'après le départ'
+});
+
+/**
+ * Libellés des pointages suggérés pour rétablir la séquence
+ */
+const MISSING_ENTRY_LABELS = Object.freeze({
+    [ENTRY_TYPES.CLOCK_IN]: 'une arrivée',
+    [ENTRY_TYPES.BREAK_START]: 'un début de pause',
+    [ENTRY_TYPES.BREAK_END]: 'une fin de pause',
+    [ENTRY_TYPES.CLOCK_OUT]: 'un départ'
+});
+
+/**
+ * Calcule l'état suivant de la séquence de pointages
+ * Un départ pendant une pause est toléré : la pause se termine avec la plage de travail.
+ * Une arrivée après un départ ouvre une nouvelle plage (journée en plusieurs fois).
+ * @param {string} state - État courant (SequenceState)
+ * @param {string} type - Type du pointage suivant
+ * @returns {string|null} Nouvel état, null si le pointage est impossible dans cet état
+ */
+export function nextSequenceState(state, type) {
+    switch (state) {
+        case SequenceState.OFF:
+            return type === ENTRY_TYPES.CLOCK_IN ? SequenceState.WORKING : null;
+        case SequenceState.WORKING:
+            if (isBreakStart(type)) return SequenceState.ON_BREAK;
+            if (type === ENTRY_TYPES.CLOCK_OUT) return SequenceState.DONE;
+            return null;
+        case SequenceState.ON_BREAK:
+            if (isBreakEnd(type)) return SequenceState.WORKING;
+            if (type === ENTRY_TYPES.CLOCK_OUT) return SequenceState.DONE;
+            return null;
+        case SequenceState.DONE:
+            return type === ENTRY_TYPES.CLOCK_IN ? SequenceState.WORKING : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Vérifie si un état correspond à une plage de travail ouverte (au travail ou en pause)
+ * @param {string} state - État (SequenceState)
+ * @returns {boolean}
+ */
+export function isShiftOpen(state) {
+    return state === SequenceState.WORKING || state === SequenceState.ON_BREAK;
+}
+
+/**
+ * Trie des pointages dans l'ordre chronologique (timestamp Date ou ISO8601)
+ * @param {Object[]} entries - Pointages ({type, timestamp})
+ * @returns {Object[]} Nouvelle liste triée
+ */
+export function sortEntries(entries) {
+    return [...entries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Rejoue des pointages et retourne l'état final (les pointages impossibles sont ignorés)
+ * @param {Object[]} entries - Pointages ({type, timestamp}), dans n'importe quel ordre
+ * @param {string} [initialState=SequenceState.OFF] - État de départ (voir getInitialState)
+ * @returns {string} État final (SequenceState)
+ */
+export function replaySequence(entries, initialState = SequenceState.OFF) {
+    return sortEntries(entries)
+        .reduce((state, entry) => nextSequenceState(state, entry.type) || state, initialState);
+}
+
+/**
+ * Calcule l'état de départ d'une journée à partir de l'état final de la veille
+ * Une plage ouverte la veille se poursuit si la journée commence par un autre pointage
+ * qu'une arrivée (départ ou pause d'un travail de nuit) ; sinon la journée part de zéro.
+ * @param {string} carriedState - État final de la veille (SequenceState)
+ * @param {Object[]} entries - Pointages de la journée ({type, timestamp})
+ * @returns {string} État de départ (SequenceState)
+ */
+export function getInitialState(carriedState, entries) {
+    const [first] = sortEntries(entries);
+    return isShiftOpen(carriedState) && first && first.type !== ENTRY_TYPES.CLOCK_IN
+        ? carriedState
+        : SequenceState.OFF;
+}
+
+/**
+ * Vérifie si une plage ouverte en fin de journée se poursuit le lendemain
+ * @param {string} finalState - État final de la journée (SequenceState)
+ * @param {Object[]} nextEntries - Pointages du lendemain ({type, timestamp})
+ * @returns {boolean}
+ */
+export function continuesNextDay(finalState, nextEntries) {
+    return isShiftOpen(finalState) && getInitialState(finalState, nextEntries) === finalState;
+}
+
+/**
+ * Retourne le pointage qui manque avant un pointage impossible dans l'état courant
+ * @param {string} state - État courant (SequenceState)
+ * @param {string} type - Type du pointage refusé
+ * @returns {string} Type du pointage manquant
+ * @private
+ */
+function getMissingEntryType(state, type) {
+    switch (state) {
+        case SequenceState.WORKING:
+            return isBreakEnd(type) ? ENTRY_TYPES.BREAK_START : ENTRY_TYPES.CLOCK_OUT;
+        case SequenceState.ON_BREAK:
+            return isBreakStart(type) ? ENTRY_TYPES.BREAK_END : ENTRY_TYPES.CLOCK_OUT;
+        default:
+            return ENTRY_TYPES.CLOCK_IN;
+    }
+}
+
+/**
+ * Rejoue les pointages d'une journée et retourne la première règle de séquence enfreinte
+ * Sert à refuser un ajout ou une modification a posteriori qui rendrait la journée incohérente.
+ * La plage ouverte la veille est prise en compte : le départ d'un travail de nuit est accepté.
+ * @param {Object[]} entries - Pointages de la journée ({type, timestamp}), dans n'importe quel ordre
+ * @param {Object[]} [previousEntries=[]] - Pointages de la veille
+ * @returns {{entry: Object, message: string, suggestion: string}|null} Pointage refusé, règle
+ *   enfreinte et correction suggérée, null si la séquence est valide
+ */
+export function findSequenceViolation(entries, previousEntries = []) {
+    const sorted = sortEntries(entries);
+    let state = getInitialState(replaySequence(previousEntries), sorted);
+    let previous = null;
+
+    for (const entry of sorted) {
+        const next = nextSequenceState(state, entry.type);
+        if (!next) {
+            const time = formatTime(new Date(entry.timestamp));
+            const missing = MISSING_ENTRY_LABELS[getMissingEntryType(state, entry.type)];
+            return {
+                entry,
+                message: `Pointage « ${getEntryTypeLabel(entry.type)} » de ${time} impossible ` +
+                    `${SEQUENCE_STATE_LABELS[state]}`,
+                suggestion: previous
+                    ? `Ajouter ${missing} entre ${formatTime(new Date(previous.timestamp))} et ${time} ?`
+                    : `Ajouter ${missing} avant ${time} ?`
+            };
+        }
+        state = next;
+        previous = entry;
+    }
+
+    return null;
+}
+
+/**
+ * Vérifie une journée modifiée a posteriori et le lendemain, qui reprend la plage restée ouverte
+ * Supprimer l'arrivée d'un travail de nuit, ou fermer la plage, rend impossible le départ du
+ * lendemain. Un lendemain déjà incohérent avant la modification n'est pas reproché.
+ * @param {Object[]} entries - Pointages de la journée après la modification ({type, timestamp})
+ * @param {Object} [days] - Journées voisines
+ * @param {Object[]} [days.before=[]] - Pointages de la journée avant la modification
+ * @param {Object[]} [days.previous=[]] - Pointages de la veille
+ * @param {Object[]} [days.next=[]] - Pointages du lendemain
+ * @returns {{entry: Object, message: string, suggestion: string}|null} Pointage refusé, règle
+ *   enfreinte et correction suggérée (voir findSequenceViolation), null si la modification est valide
+ */
+export function findChangeViolation(entries, { before = [], previous = [], next = [] } = {}) {
+    const violation = findSequenceViolation(entries, previous);
+    if (violation || findSequenceViolation(next, before)) {
+        return violation;
+    }
+
+    const nextViolation = findSequenceViolation(next, entries);
+    return nextViolation && { ...nextViolation, message: `${nextViolation.message} le lendemain` };
+}
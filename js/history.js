@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * Historique des modifications (annuler / rétablir)
+ * Chaque commande enregistre, pour chaque enregistrement modifié, son état avant et après
+ * au format de stockage : annuler réécrit « avant », rétablir réécrit « après ».
+ * Les commandes sont de simples objets JSON, ce qui permet de les conserver après un rechargement.
+ */
+
+/**
+ * Nombre de commandes conservées par défaut
+ */
+export const HISTORY_LIMIT = 20;
+
+/**
+ * Clé localStorage de l'historique
+ */
+export const HISTORY_STORAGE_KEY = 'commandHistory';
+
+/**
+ * Sens d'application d'une commande
+ */
+export const HistoryDirection = Object.freeze({
+    UNDO: 'undo',
+    REDO: 'redo'
+});
+
+/**
+ * Décrit la modification d'un enregistrement
+ * @param {string} store - Nom du store (STORES)
+ * @param {Object|null} before - Enregistrement avant la modification (null s'il a été créé)
+ * @param {Object|null} after - Enregistrement après la modification (null s'il a été supprimé)
+ * @returns {{store: string, id: string, before: Object|null, after: Object|null}}
+ * @throws {Error} Si aucun des deux états n'est fourni
+ */
+export function createChange(store, before, after) {
+    const record = after || before;
+    if (!record) {
+        throw new Error('Une modification doit avoir un état avant ou après');
+    }
+    return { store, id: record.id, before, after };
+}
+
+/**
+ * Compare deux enregistrements au format de stockage (ordre des clés indifférent)
+ * @param {Object|null} a - Premier enregistrement
+ * @param {Object|null} b - Second enregistrement
+ * @returns {boolean}
+ */
+export function recordsEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined).sort();
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined).sort();
+    if (keysA.length !== keysB.length || keysA.some((key, i) => key !== keysB[i])) {
+        return false;
+    }
+
+    return keysA.every(key => recordsEqual(a[key], b[key]));
+}
+
+/**
+ * Pile d'annulation / rétablissement persistée
+ */
+export class CommandHistory {
+    #undoStack = [];
+    #redoStack = [];
+
+    /**
+     * @param {Object} [options] - Options de l'historique
+     * @param {Storage|null} [options.persistence] - Stockage clé/valeur (localStorage par défaut, null pour désactiver)
+     * @param {number} [options.limit=HISTORY_LIMIT] - Nombre maximal de commandes conservées
+     * @param {string} [options.key=HISTORY_STORAGE_KEY] - Clé de persistance
+     */
+    constructor({
+        persistence = typeof localStorage !== 'undefined' ? localStorage : null,
+        limit = HISTORY_LIMIT,
+        key = HISTORY_STORAGE_KEY
+    } = {}) {
+        this.persistence = persistence;
+        this.limit = limit;
+        this.key = key;
+        this.#load();
+    }
+
+    /**
+     * Enregistre une commande ; la pile de rétablissement est vidée
+     * @param {string} label - Libellé affiché à l'utilisateur (ex: "Suppression du pointage")
+     * @param {Object[]} changes - Modifications (voir createChange)
+     * @returns {Object|null} Commande enregistrée, null si aucune modification
+     */
+    record(label, changes) {
+        const effective = changes.filter(change => !recordsEqual(change.before, change.after));
+        if (effective.length === 0) {
+            return null;
+        }
+
+        const command = { label, timestamp: new Date().toISOString(), changes: effective };
+
+        this.#undoStack.push(command);
+        if (this.#undoStack.length > this.limit) {
+            this.#undoStack.splice(0, this.#undoStack.length - this.limit);
+        }
+        this.#redoStack = [];
+        this.#save();
+
+        return command;
+    }
+
+    /**
+     * Indique si une commande peut être annulée
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * Indique si une commande peut être rétablie
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Retourne la prochaine commande à annuler sans la retirer
+     * @returns {Object|null}
+     */
+    peekUndo() {
+        return this.#undoStack[this.#undoStack.length - 1] || null;
+    }
+
+    /**
+     * Retourne la prochaine commande à rétablir sans la retirer
+     * @returns {Object|null}
+     */
+    peekRedo() {
+        return this.#redoStack[this.#redoStack.length - 1] || null;
+    }
+
+    /**
+     * Annule la dernière commande
+     * La commande ne change de pile que si apply réussit.
+     * @param {Function} apply - Fonction async (changes, direction) qui écrit les données
+     * @returns {Promise<Object|null>} Commande annulée, null si l'historique est vide
+     */
+    async undo(apply) {
+        return this.#move(this.#undoStack, this.#redoStack, HistoryDirection.UNDO, apply);
+    }
+
+    /**
+     * Rétablit la dernière commande annulée
+     * @param {Function} apply - Fonction async (changes, direction) qui écrit les données
+     * @returns {Promise<Object|null>} Commande rétablie, null si rien à rétablir
+     */
+    async redo(apply) {
+        return this.#move(this.#redoStack, this.#undoStack, HistoryDirection.REDO, apply);
+    }
+
+    /**
+     * Retire la prochaine commande de la pile indiquée (commande devenue inapplicable)
+     * @param {string} direction - Pile concernée (HistoryDirection)
+     * @returns {Object|null} Commande retirée
+     */
+    discard(direction) {
+        const stack = direction === HistoryDirection.UNDO ? this.#undoStack : this.#redoStack;
+        const command = stack.pop() || null;
+        this.#save();
+        return command;
+    }
+
+    /**
+     * Vide l'historique
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#save();
+    }
+
+    // ======================
+    // Méthodes privées
+    // ======================
+
+    /**
+     * Applique la commande du sommet d'une pile et la déplace vers l'autre
+     * @param {Object[]} from - Pile source
+     * @param {Object[]} to - Pile destination
+     * @param {string} direction - Sens d'application
+     * @param {Function} apply - Fonction d'écriture
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async #move(from, to, direction, apply) {
+        const command = from[from.length - 1];
+        if (!command) {
+            return null;
+        }
+
+        await apply(command.changes, direction);
+
+        from.pop();
+        to.push(command);
+        this.#save();
+
+        return command;
+    }
+
+    /**
+     * Charge l'historique persisté
+     * @private
+     */
+    #load() {
+        if (!this.persistence) return;
+
+        try {
+            const saved = JSON.parse(this.persistence.getItem(this.key) || 'null');
+            if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                this.#undoStack = saved.undo.slice(-this.limit);
+                this.#redoStack = saved.redo.slice(-this.limit);
+            }
+        } catch (error) {
+            console.warn('⚠️ Historique illisible, il est réinitialisé:', error.message);
+        }
+    }
+
+    /**
+     * Persiste l'historique
+     * @private
+     */
+    #save() {
+        if (!this.persistence) return;
+
+        try {
+            this.persistence.setItem(this.key, JSON.stringify({
+                undo: this.#undoStack,
+                redo: this.#redoStack
+            }));
+        } catch (error) {
+            // Quota dépassé : l'historique reste disponible pour la session en cours
+            console.warn('⚠️ Impossible de sauvegarder l\'historique:', error.message);
+        }
+    }
+}
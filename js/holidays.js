@@ -0,0 +1,80 @@
+'use strict';
+
+import { addDays } from './utils.js';
+
+/**
+ * Jours fériés français (calculés, jamais enregistrés)
+ * Les fêtes mobiles dépendent du dimanche de Pâques : lundi de Pâques (+1),
+ * Ascension (+39) et lundi de Pentecôte (+50).
+ */
+
+/**
+ * Fêtes à date fixe : [MM-JJ, nom]
+ */
+const FIXED_HOLIDAYS = Object.freeze([
+    ['01-01', 'Jour de l\'an'],
+    ['05-01', 'Fête du Travail'],
+    ['05-08', 'Victoire 1945'],
+    ['07-14', 'Fête nationale'],
+    ['08-15', 'Assomption'],
+    ['11-01', 'Toussaint'],
+    ['11-11', 'Armistice 1918'],
+    ['12-25', 'Noël']
+]);
+
+/**
+ * Fêtes mobiles : [jours après le dimanche de Pâques, nom]
+ */
+const EASTER_HOLIDAYS = Object.freeze([
+    [1, 'Lundi de Pâques'],
+    [39, 'Ascension'],
+    [50, 'Lundi de Pentecôte']
+]);
+
+/**
+ * Calcule le dimanche de Pâques (calendrier grégorien, algorithme de Meeus/Jones/Butcher)
+ * @param {number} year - Année
+ * @returns {string} Jour au format YYYY-MM-DD
+ */
+export function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Liste les jours fériés d'une année
+ * @param {number} year - Année
+ * @returns {Array<{date: string, name: string}>} Jours fériés triés par date
+ */
+export function getFrenchPublicHolidays(year) {
+    const easter = getEasterSunday(year);
+
+    return [
+        ...FIXED_HOLIDAYS.map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name })),
+        ...EASTER_HOLIDAYS.map(([offset, name]) => ({ date: addDays(easter, offset), name }))
+    ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Retourne le nom du jour férié d'une date
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {string|null} Nom du jour férié, ou null si le jour est ouvré
+ */
+export function getPublicHolidayName(date) {
+    const holiday = getFrenchPublicHolidays(Number(date.slice(0, 4))).find(h => h.date === date);
+    return holiday ? holiday.name : null;
+}
@@ -0,0 +1,290 @@
+'use strict';
+
+import { STORES } from './migrations.js';
+import { createChange } from './history.js';
+import { Project } from './project.js';
+import { SequenceState, SEQUENCE_STATE_LABELS, nextSequenceState, getInitialState } from './entry-sequence.js';
+import { addDays, formatDate, formatTime, getEntryTypeLabel, getProjectColor } from './utils.js';
+
+/**
+ * Vérification de l'intégrité des données
+ * Parcourt les enregistrements au format de stockage et propose, pour chaque problème,
+ * une correction sous forme de modifications (voir createChange) : les corrections
+ * retenues s'appliquent en une seule transaction et peuvent être annulées.
+ */
+
+/**
+ * Types de problèmes détectés
+ */
+export const IntegrityIssueType = Object.freeze({
+    ORPHAN_SESSIONS: 'orphan-sessions',
+    CONCURRENT_RUNNING_SESSION: 'concurrent-running-session',
+    INVERTED_SESSION: 'inverted-session',
+    ENTRY_SEQUENCE: 'entry-sequence',
+    TIME_SPENT_MISMATCH: 'time-spent-mismatch'
+});
+
+/**
+ * Nom donné aux projets recréés pour des sessions orphelines
+ */
+export const RECOVERED_PROJECT_NAME = 'Projet récupéré';
+
+// ======================
+// Détection des problèmes
+// ======================
+
+/**
+ * Détecte les sessions rattachées à un projet inexistant
+ * Correction proposée : recréer le projet manquant (un par ID) pour ne perdre aucun temps.
+ * @param {Object[]} sessions - Sessions au format de stockage
+ * @param {Object[]} projects - Projets au format de stockage (archivés compris)
+ * @returns {Object[]} Problèmes détectés
+ */
+export function findOrphanSessions(sessions, projects) {
+    const knownIds = new Set(projects.map(project => project.id));
+    const usedNames = new Set(projects.map(project => project.name));
+
+    const orphansByProject = new Map();
+    sessions
+        .filter(session => !knownIds.has(session.projectId))
+        .forEach(session => {
+            const orphans = orphansByProject.get(session.projectId) || [];
+            orphans.push(session);
+            orphansByProject.set(session.projectId, orphans);
+        });
+
+    return [...orphansByProject.entries()].map(([projectId, orphans]) => {
+        const name = getAvailableName(RECOVERED_PROJECT_NAME, usedNames);
+        usedNames.add(name);
+
+        const project = new Project(name, sumCompletedDurations(orphans));
+        project.id = projectId;
+        project.color = getProjectColor(projectId);
+
+        return {
+            id: `${IntegrityIssueType.ORPHAN_SESSIONS}:${projectId}`,
+            type: IntegrityIssueType.ORPHAN_SESSIONS,
+            message: `${orphans.length} session(s) rattachée(s) à un projet inexistant (${projectId})`,
+            fix: `Recréer le projet sous le nom « ${name} »`,
+            changes: [createChange(STORES.PROJECTS, null, project.toJSON())]
+        };
+    });
+}
+
+/**
+ * Détecte les sessions en cours qui n'auraient pas dû l'être
+ * En mode mono-projet une seule session peut être en cours ; en mode multi-projet,
+ * une seule par projet. Correction proposée : terminer chaque session au démarrage de la suivante.
+ * @param {Object[]} sessions - Sessions au format de stockage
+ * @param {Object[]} projects - Projets au format de stockage (pour les libellés)
+ * @param {Object} [options] - Options de vérification
+ * @param {boolean} [options.multiProjectMode=false] - Mode multi-projet actif
+ * @returns {Object[]} Problèmes détectés
+ */
+export function findConcurrentRunningSessions(sessions, projects, { multiProjectMode = false } = {}) {
+    const groups = new Map();
+    sessions
+        .filter(session => session.endTime === null)
+        .forEach(session => {
+            const key = multiProjectMode ? session.projectId : 'all';
+            const group = groups.get(key) || [];
+            group.push(session);
+            groups.set(key, group);
+        });
+
+    const issues = [];
+    groups.forEach(group => {
+        const sorted = [...group].sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+        sorted.slice(0, -1).forEach((session, i) => {
+            const startTime = new Date(session.startTime);
+            const endTime = new Date(sorted[i + 1].startTime);
+
+            issues.push({
+                id: `${IntegrityIssueType.CONCURRENT_RUNNING_SESSION}:${session.id}`,
+                type: IntegrityIssueType.CONCURRENT_RUNNING_SESSION,
+                message: `Session « ${getProjectName(projects, session.projectId)} » du ${session.date} ` +
+                    `(${formatTime(startTime)}) toujours en cours alors qu'une autre a démarré ensuite`,
+                fix: `Terminer la session à ${formatTime(endTime)} (${formatDate(endTime)})`,
+                changes: [createChange(STORES.PROJECT_SESSIONS, session, {
+                    ...session,
+                    endTime: endTime.toISOString(),
+                    duration: endTime.getTime() - startTime.getTime()
+                })]
+            });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Détecte les sessions dont la fin précède le début
+ * Correction proposée : inverser le début et la fin (saisie inversée).
+ * @param {Object[]} sessions - Sessions au format de stockage
+ * @param {Object[]} projects - Projets au format de stockage (pour les libellés)
+ * @returns {Object[]} Problèmes détectés
+ */
+export function findInvertedSessions(sessions, projects) {
+    return sessions
+        .filter(session => session.endTime !== null && session.endTime < session.startTime)
+        .map(session => {
+            const startTime = new Date(session.endTime);
+            const endTime = new Date(session.startTime);
+
+            return {
+                id: `${IntegrityIssueType.INVERTED_SESSION}:${session.id}`,
+                type: IntegrityIssueType.INVERTED_SESSION,
+                message: `Session « ${getProjectName(projects, session.projectId)} » du ${session.date} : ` +
+                    `fin (${formatTime(startTime)}) avant le début (${formatTime(endTime)})`,
+                fix: 'Inverser le début et la fin',
+                changes: [createChange(STORES.PROJECT_SESSIONS, session, {
+                    ...session,
+                    startTime: startTime.toISOString(),
+                    endTime: endTime.toISOString(),
+                    duration: endTime.getTime() - startTime.getTime(),
+                    date: formatDate(startTime)
+                })]
+            };
+        });
+}
+
+/**
+ * Détecte les pointages hors séquence (fin de pause sans début, deux arrivées...)
+ * Chaque jour est rejoué dans l'ordre chronologique, en reprenant la plage restée ouverte la
+ * veille ; un pointage impossible dans l'état courant est signalé et ignoré pour la suite.
+ * Correction proposée : le supprimer.
+ * @param {Object[]} entries - Pointages au format de stockage
+ * @returns {Object[]} Problèmes détectés
+ */
+export function findEntrySequenceIssues(entries) {
+    const entriesByDate = new Map();
+    entries.forEach(entry => {
+        const dayEntries = entriesByDate.get(entry.date) || [];
+        dayEntries.push(entry);
+        entriesByDate.set(entry.date, dayEntries);
+    });
+
+    const issues = [];
+    const finalStates = new Map();
+    [...entriesByDate.keys()].sort().forEach(date => {
+        const sorted = [...entriesByDate.get(date)].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        // Une plage ouverte la veille se poursuit (départ d'un travail de nuit)
+        let state = getInitialState(finalStates.get(addDays(date, -1)) || SequenceState.OFF, sorted);
+
+        sorted.forEach(entry => {
+            const next = nextSequenceState(state, entry.type);
+            if (next) {
+                state = next;
+                return;
+            }
+
+            issues.push({
+                id: `${IntegrityIssueType.ENTRY_SEQUENCE}:${entry.id}`,
+                type: IntegrityIssueType.ENTRY_SEQUENCE,
+                message: `${date} : pointage « ${getEntryTypeLabel(entry.type)} » de ` +
+                    `${formatTime(new Date(entry.timestamp))} impossible ${SEQUENCE_STATE_LABELS[state]}`,
+                fix: 'Supprimer ce pointage',
+                changes: [createChange(STORES.TIME_ENTRIES, entry, null)]
+            });
+        });
+        finalStates.set(date, state);
+    });
+
+    return issues;
+}
+
+/**
+ * Détecte les projets dont le temps passé diffère de la somme de leurs sessions terminées
+ * (sessions archivées comprises). Correction proposée : recalculer le temps passé.
+ * @param {Object[]} projects - Projets au format de stockage
+ * @param {Object[]} sessions - Sessions au format de stockage
+ * @param {Object} [options] - Options de vérification
+ * @param {Date} [options.now] - Date de mise à jour des projets corrigés
+ * @param {Object<string, number>} [options.archivedTime] - Temps des sessions archivées par ID de projet
+ * @returns {Object[]} Problèmes détectés
+ */
+export function findTimeSpentMismatches(projects, sessions, { now = new Date(), archivedTime = {} } = {}) {
+    return projects
+        .map(project => ({
+            project,
+            expected: sumCompletedDurations(sessions.filter(session => session.projectId === project.id))
+                + (archivedTime[project.id] || 0)
+        }))
+        .filter(({ project, expected }) => (project.timeSpent || 0) !== expected)
+        .map(({ project, expected }) => ({
+            id: `${IntegrityIssueType.TIME_SPENT_MISMATCH}:${project.id}`,
+            type: IntegrityIssueType.TIME_SPENT_MISMATCH,
+            message: `Projet « ${project.name} » : temps enregistré différent du total de ses sessions`,
+            fix: 'Recalculer le temps passé à partir des sessions',
+            changes: [createChange(STORES.PROJECTS, project, {
+                ...project,
+                timeSpent: expected,
+                updatedAt: now.toISOString()
+            })]
+        }));
+}
+
+/**
+ * Vérifie l'ensemble des données
+ * @param {Object} data - Enregistrements au format de stockage
+ * @param {Object[]} data.entries - Pointages
+ * @param {Object[]} data.projects - Projets (archivés compris)
+ * @param {Object[]} data.sessions - Sessions
+ * @param {Object} [options] - Options de vérification
+ * @param {boolean} [options.multiProjectMode=false] - Mode multi-projet actif
+ * @param {Date} [options.now] - Date de mise à jour des enregistrements corrigés
+ * @param {Object<string, number>} [options.archivedTime] - Temps des sessions archivées par ID de projet
+ * @returns {Object[]} Problèmes {id, type, message, fix, changes}
+ */
+export function checkIntegrity({ entries, projects, sessions }, { multiProjectMode = false, now = new Date(), archivedTime = {} } = {}) {
+    return [
+        ...findOrphanSessions(sessions, projects),
+        ...findConcurrentRunningSessions(sessions, projects, { multiProjectMode }),
+        ...findInvertedSessions(sessions, projects),
+        ...findEntrySequenceIssues(entries),
+        ...findTimeSpentMismatches(projects, sessions, { now, archivedTime })
+    ];
+}
+
+// ======================
+// Fonctions utilitaires
+// ======================
+
+/**
+ * Additionne la durée des sessions terminées (une session inversée compte pour sa durée réelle)
+ * @param {Object[]} sessions - Sessions au format de stockage
+ * @returns {number} Durée totale en millisecondes
+ */
+function sumCompletedDurations(sessions) {
+    return sessions
+        .filter(session => session.endTime !== null)
+        .reduce((total, session) => {
+            return total + Math.abs(new Date(session.endTime).getTime() - new Date(session.startTime).getTime());
+        }, 0);
+}
+
+/**
+ * Retourne le nom d'un projet pour les messages
+ * @param {Object[]} projects - Projets au format de stockage
+ * @param {string} projectId - ID du projet
+ * @returns {string}
+ */
+function getProjectName(projects, projectId) {
+    const project = projects.find(p => p.id === projectId);
+    return project ? project.name : 'projet inconnu';
+}
+
+/**
+ * Retourne un nom non utilisé ("Nom", puis "Nom 2", "Nom 3"...)
+ * @param {string} baseName - Nom souhaité
+ * @param {Set<string>} usedNames - Noms déjà pris
+ * @returns {string}
+ */
+function getAvailableName(baseName, usedNames) {
+    let name = baseName;
+    for (let i = 2; usedNames.has(name); i++) {
+        name = `${baseName} ${i}`;
+    }
+    return name;
+}
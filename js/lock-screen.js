@@ -0,0 +1,109 @@
+'use strict';
+
+import { createElement } from './utils.js';
+
+/**
+ * Écran de verrouillage affiché au démarrage lorsque les données sont chiffrées
+ * Il recouvre toute la page et ne se ferme qu'une fois la phrase secrète acceptée.
+ */
+export class LockScreen {
+    /**
+     * @param {Function} onUnlock - Fonction async (passphrase) qui lève une erreur si la phrase est refusée
+     */
+    constructor(onUnlock) {
+        this.onUnlock = onUnlock;
+        this.element = null;
+    }
+
+    /**
+     * Affiche l'écran et attend le déverrouillage
+     * @returns {Promise<void>} Résolue une fois la phrase secrète acceptée
+     */
+    show() {
+        return new Promise((resolve) => {
+            this.element = this.#createElement(resolve);
+            document.body.appendChild(this.element);
+            this.element.querySelector('input').focus();
+        });
+    }
+
+    /**
+     * Retire l'écran
+     */
+    close() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    // ======================
+    // Méthodes privées
+    // ======================
+
+    /**
+     * Crée l'écran et son formulaire
+     * @param {Function} onUnlocked - Appelée après un déverrouillage réussi
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createElement(onUnlocked) {
+        const passphraseInput = createElement('input', {
+            type: 'password',
+            id: 'lock-screen-passphrase',
+            class: 'form-input',
+            autocomplete: 'current-password',
+            required: true
+        });
+
+        const errorMessage = createElement('p', {
+            class: 'lock-screen__error',
+            role: 'alert'
+        });
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Déverrouiller');
+
+        const form = createElement('form', {
+            class: 'lock-screen__form'
+        }, [
+            createElement('h2', { class: 'lock-screen__title' }, '🔒 Données chiffrées'),
+            createElement('p', {
+                class: 'lock-screen__text'
+            }, 'Saisissez la phrase secrète pour accéder à vos pointages et projets.'),
+            createElement('label', {
+                class: 'form-label',
+                for: 'lock-screen-passphrase'
+            }, 'Phrase secrète'),
+            passphraseInput,
+            errorMessage,
+            submitBtn
+        ]);
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            // La dérivation de clé prend un moment : éviter les doubles envois
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Déverrouillage…';
+            errorMessage.textContent = '';
+
+            try {
+                await this.onUnlock(passphraseInput.value);
+                this.close();
+                onUnlocked();
+            } catch (error) {
+                errorMessage.textContent = error.message;
+                passphraseInput.select();
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Déverrouiller';
+            }
+        });
+
+        return createElement('div', {
+            class: 'lock-screen'
+        }, form);
+    }
+}
@@ -2,12 +2,11 @@
 
 import { ENTRY_TYPES, isBreakStart, isBreakEnd } from '../model/entry.js';
 import { pipe, reduce } from '../core/fp.js';
+import { DEFAULT_DAILY_TARGET } from '../work-schedule.js';
 
 /**
  * Constantes pour les calculs
  */
-const WORK_DAY_HOURS = 8;
-const MILLISECONDS_PER_HOUR = 3600000;
 const MILLISECONDS_PER_MINUTE = 60000;
 
 /**
@@ -21,18 +20,22 @@ export const DayStatus = Object.freeze({
     COMPLETED: 'completed'
 });
 
+/**
+ * Trie les pointages par heure
+ * @param {Array} entries - Liste des pointages
+ * @returns {Array} Copie triée
+ */
+const sortByTimestamp = (entries) =>
+    [...entries].sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+
 /**
  * Trouve toutes les paires de pauses (start/end) dans les pointages
- * Version fonctionnelle avec reduce
+ * Version fonctionnelle avec reduce ; une pause encore ouverte au départ se termine avec lui
  * @param {Array} entries - Liste des pointages
  * @returns {Array} Paires de pauses
  */
 export const getBreakPairs = (entries) => {
-    const sortedEntries = [...entries].sort((a, b) =>
-        a.timestamp.getTime() - b.timestamp.getTime()
-    );
-
-    const result = sortedEntries.reduce(
+    const result = sortByTimestamp(entries).reduce(
         ({ pairs, currentStart }, entry) => {
             if (isBreakStart(entry.type)) {
                 // Début d'une nouvelle pause
@@ -44,8 +47,8 @@ export const getBreakPairs = (entries) => {
                 };
             }
 
-            if (isBreakEnd(entry.type) && currentStart) {
-                // Fin de la pause en cours
+            if ((isBreakEnd(entry.type) || entry.type === ENTRY_TYPES.CLOCK_OUT) && currentStart) {
+                // Fin de la pause en cours (ou départ pendant la pause)
                 return {
                     pairs: [...pairs, { start: currentStart, end: entry }],
                     currentStart: null
@@ -90,26 +93,61 @@ export const calculateBreaksDuration = (entries) =>
     )(entries);
 
 /**
- * Calcule le temps de présence à partir des pointages
- * Formule: temps total - somme de toutes les pauses
- * @param {Array} entries - Liste des pointages du jour
- * @returns {number} Durée en millisecondes
+ * Découpe les pointages en plages de travail (de chaque arrivée à son départ)
+ * Une journée en plusieurs fois (départ à 12:00, retour à 17:00) compte plusieurs plages ;
+ * une arrivée sans départ précédent clôt la plage au dernier pointage connu.
+ * @param {Array} entries - Liste des pointages
+ * @returns {Array<{start: Date, end: Date|null}>} Plages triées, end null pour la plage en cours
  */
-export const calculatePresenceTime = (entries) => {
+export const getWorkShifts = (entries) => {
     if (!entries || entries.length === 0) {
-        return 0;
+        return [];
     }
 
-    const clockIn = entries.find(e => e.type === ENTRY_TYPES.CLOCK_IN);
-    const clockOut = entries.find(e => e.type === ENTRY_TYPES.CLOCK_OUT);
+    const result = sortByTimestamp(entries).reduce(
+        ({ shifts, current, last }, entry) => {
+            if (entry.type === ENTRY_TYPES.CLOCK_IN) {
+                return {
+                    shifts: current ? [...shifts, { start: current, end: last }] : shifts,
+                    current: entry.timestamp,
+                    last: entry.timestamp
+                };
+            }
 
-    if (!clockIn) {
+            if (entry.type === ENTRY_TYPES.CLOCK_OUT && current) {
+                return {
+                    shifts: [...shifts, { start: current, end: entry.timestamp }],
+                    current: null,
+                    last: entry.timestamp
+                };
+            }
+
+            return { shifts, current, last: entry.timestamp };
+        },
+        { shifts: [], current: null, last: null }
+    );
+
+    return result.current
+        ? [...result.shifts, { start: result.current, end: null }]
+        : result.shifts;
+};
+
+/**
+ * Calcule le temps de présence à partir des pointages
+ * Formule: somme des plages de travail - somme de toutes les pauses
+ * (l'intervalle entre un départ et une nouvelle arrivée n'est pas une pause)
+ * @param {Array} entries - Liste des pointages du jour
+ * @returns {number} Durée en millisecondes
+ */
+export const calculatePresenceTime = (entries) => {
+    const shifts = getWorkShifts(entries);
+    if (shifts.length === 0) {
         return 0;
     }
 
-    // Calculer le temps total (du clock-in au clock-out ou maintenant)
-    const endTime = clockOut ? clockOut.timestamp.getTime() : Date.now();
-    const totalTime = endTime - clockIn.timestamp.getTime();
+    // Temps total des plages (la plage en cours court jusqu'à maintenant)
+    const totalTime = shifts.reduce((sum, shift) =>
+        sum + ((shift.end ? shift.end.getTime() : Date.now()) - shift.start.getTime()), 0);
 
     // Soustraire les pauses
     const breaksDuration = calculateBreaksDuration(entries);
@@ -118,30 +156,34 @@ export const calculatePresenceTime = (entries) => {
 };
 
 /**
- * Vérifie si l'objectif de 8h de travail est atteint
+ * Vérifie si l'objectif de présence du jour est atteint
  * @param {number} duration - Durée en millisecondes
- * @returns {boolean} true si >= 8h
+ * @param {number} [target=DEFAULT_DAILY_TARGET] - Objectif du jour en millisecondes (voir getDailyTarget)
+ * @returns {boolean} true si la durée atteint l'objectif
  */
-export const isWorkDayComplete = (duration) =>
-    duration >= WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
+export const isWorkDayComplete = (duration, target = DEFAULT_DAILY_TARGET) =>
+    duration >= target;
 
 /**
- * Calcule le temps restant pour atteindre l'objectif de 8h
+ * Calcule le temps restant pour atteindre l'objectif du jour
  * @param {number} duration - Durée actuelle en millisecondes
+ * @param {number} [target=DEFAULT_DAILY_TARGET] - Objectif du jour en millisecondes
  * @returns {number} Temps restant en millisecondes (0 si objectif atteint)
  */
-export const getRemainingTime = (duration) => {
-    const target = WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
-    return Math.max(0, target - duration);
-};
+export const getRemainingTime = (duration, target = DEFAULT_DAILY_TARGET) =>
+    Math.max(0, target - duration);
 
 /**
- * Calcule le pourcentage de l'objectif de 8h atteint
+ * Calcule le pourcentage de l'objectif du jour atteint
+ * Un jour non travaillé (objectif nul) est à 100% dès qu'il compte du temps de présence.
  * @param {number} duration - Durée actuelle en millisecondes
+ * @param {number} [target=DEFAULT_DAILY_TARGET] - Objectif du jour en millisecondes
  * @returns {number} Pourcentage (0-100, peut dépasser 100)
  */
-export const getCompletionPercentage = (duration) => {
-    const target = WORK_DAY_HOURS * MILLISECONDS_PER_HOUR;
+export const getCompletionPercentage = (duration, target = DEFAULT_DAILY_TARGET) => {
+    if (target === 0) {
+        return duration > 0 ? 100 : 0;
+    }
     return Math.round((duration / target) * 100);
 };
 
@@ -159,7 +201,34 @@ export const msToHoursMinutes = (milliseconds) => {
 };
 
 /**
- * Détermine l'état actuel de la journée
+ * Calcule l'état de la journée après un pointage (les pointages impossibles sont ignorés)
+ * @param {string} status - État courant (DayStatus)
+ * @param {string} type - Type du pointage suivant
+ * @returns {string} Nouvel état
+ */
+const nextDayStatus = (status, type) => {
+    switch (status) {
+        case DayStatus.NOT_STARTED:
+            return type === ENTRY_TYPES.CLOCK_IN ? DayStatus.MORNING : status;
+        case DayStatus.MORNING:
+        case DayStatus.AFTERNOON:
+            if (isBreakStart(type)) return DayStatus.LUNCH; // Réutiliser LUNCH pour "en pause"
+            if (type === ENTRY_TYPES.CLOCK_OUT) return DayStatus.COMPLETED;
+            return status;
+        case DayStatus.LUNCH:
+            if (isBreakEnd(type)) return DayStatus.AFTERNOON;
+            if (type === ENTRY_TYPES.CLOCK_OUT) return DayStatus.COMPLETED;
+            return status;
+        case DayStatus.COMPLETED:
+            return type === ENTRY_TYPES.CLOCK_IN ? DayStatus.AFTERNOON : status;
+        default:
+            return status;
+    }
+};
+
+/**
+ * Détermine l'état actuel de la journée en rejouant les pointages dans l'ordre
+ * COMPLETED signifie qu'un départ clôt la dernière plage : une nouvelle arrivée reste possible.
  * @param {Array} entries - Liste des pointages du jour
  * @returns {string} État de la journée (DayStatus)
  */
@@ -168,28 +237,8 @@ export const getDayStatus = (entries) => {
         return DayStatus.NOT_STARTED;
     }
 
-    const hasClockIn = entries.some(e => e.type === ENTRY_TYPES.CLOCK_IN);
-    const hasClockOut = entries.some(e => e.type === ENTRY_TYPES.CLOCK_OUT);
-
-    if (hasClockOut) {
-        return DayStatus.COMPLETED;
-    }
-
-    if (!hasClockIn) {
-        return DayStatus.NOT_STARTED;
-    }
-
-    // Vérifier si on est actuellement en pause
-    const breakPairs = getBreakPairs(entries);
-    const hasOpenBreak = breakPairs.some(pair => pair.end === null);
-
-    if (hasOpenBreak) {
-        return DayStatus.LUNCH; // Réutiliser LUNCH pour "en pause"
-    }
-
-    // On est en train de travailler (mais pas en pause)
-    const hasAnyBreak = breakPairs.length > 0;
-    return hasAnyBreak ? DayStatus.AFTERNOON : DayStatus.MORNING;
+    return sortByTimestamp(entries)
+        .reduce((status, entry) => nextDayStatus(status, entry.type), DayStatus.NOT_STARTED);
 };
 
 /**
@@ -219,7 +268,8 @@ export const getEnabledButtons = (entries) => {
             break;
 
         case DayStatus.COMPLETED:
-            // Journée terminée : aucun bouton
+            // Départ pointé : on peut revenir pour une nouvelle plage
+            enabled.push(ENTRY_TYPES.CLOCK_IN);
             break;
     }
 
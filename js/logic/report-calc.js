@@ -2,6 +2,7 @@
 
 import { formatDate } from '../utils.js';
 import { calculatePresenceTime, calculateTotalProjectTime, isWorkDayComplete } from './calculator.js';
+import { getDailyTarget } from '../work-schedule.js';
 
 /**
  * Constantes pour les périodes
@@ -158,20 +159,23 @@ export const getNextMonth = (date = new Date()) => {
  * @param {string} date - Date au format YYYY-MM-DD
  * @param {Array} allEntries - Toutes les entrées
  * @param {Array} allSessions - Toutes les sessions
+ * @param {Array} workSchedules - Horaires de travail (voir normalizeWorkSchedules)
  * @returns {Object} Statistiques du jour
  */
-const calculateDayStats = (date, allEntries, allSessions) => {
+const calculateDayStats = (date, allEntries, allSessions, workSchedules) => {
     const dayEntries = allEntries.filter(e => e.date === date);
     const daySessions = allSessions.filter(s => s.date === date);
 
     const presenceTime = calculatePresenceTime(dayEntries);
     const projectTime = calculateTotalProjectTime(daySessions);
-    const isComplete = isWorkDayComplete(presenceTime);
+    const targetTime = getDailyTarget(workSchedules, date);
+    const isComplete = presenceTime > 0 && isWorkDayComplete(presenceTime, targetTime);
 
     return {
         date,
         presenceTime,
         projectTime,
+        targetTime,
         isComplete,
         hasEntries: dayEntries.length > 0
     };
@@ -229,14 +233,15 @@ const calculateProjectStatsForPeriod = (sessions, projects) => {
  * @param {Array} options.entries - Toutes les entrées de pointage
  * @param {Array} options.sessions - Toutes les sessions de projet
  * @param {Array} options.projects - Tous les projets
+ * @param {Array} [options.workSchedules=[]] - Horaires de travail (objectif de 8h par jour sans horaire)
  * @returns {Object} Statistiques de la période
  */
-export const calculatePeriodStats = ({ startDate, endDate, entries, sessions, projects }) => {
+export const calculatePeriodStats = ({ startDate, endDate, entries, sessions, projects, workSchedules = [] }) => {
     const dateRange = generateDateRange(startDate, endDate);
 
     // Calculer les stats par jour
     const dailyStats = dateRange.map(date =>
-        calculateDayStats(date, entries, sessions)
+        calculateDayStats(date, entries, sessions, workSchedules)
     );
 
     // Calculer les totaux
@@ -247,10 +252,9 @@ export const calculatePeriodStats = ({ startDate, endDate, entries, sessions, pr
     const workedDays = dailyStats.filter(day => day.hasEntries);
 
     // Calculer les stats par projet pour toute la période
-    const periodSessions = sessions.filter(s => {
-        const sessionDate = new Date(s.date);
-        return sessionDate >= startDate && sessionDate <= endDate;
-    });
+    const periodSessions = sessions.filter(s =>
+        s.date >= formatDate(startDate) && s.date <= formatDate(endDate)
+    );
     const projectStats = calculateProjectStatsForPeriod(periodSessions, projects);
 
     return {
@@ -277,7 +281,7 @@ export const calculatePeriodStats = ({ startDate, endDate, entries, sessions, pr
         incompleteDaysList: incompleteDays.map(day => ({
             date: day.date,
             presenceTime: day.presenceTime,
-            missing: 28800000 - day.presenceTime // 8h en ms
+            missing: Math.max(0, day.targetTime - day.presenceTime)
         }))
     };
 };
@@ -288,9 +292,10 @@ export const calculatePeriodStats = ({ startDate, endDate, entries, sessions, pr
  * @param {Array} entries - Toutes les entrées
  * @param {Array} sessions - Toutes les sessions
  * @param {Array} projects - Tous les projets
+ * @param {Array} [workSchedules=[]] - Horaires de travail
  * @returns {Object} Statistiques de la semaine
  */
-export const calculateWeekStats = (date, entries, sessions, projects) => {
+export const calculateWeekStats = (date, entries, sessions, projects, workSchedules = []) => {
     const startDate = getWeekStart(date);
     const endDate = getWeekEnd(date);
 
@@ -299,7 +304,8 @@ export const calculateWeekStats = (date, entries, sessions, projects) => {
         endDate,
         entries,
         sessions,
-        projects
+        projects,
+        workSchedules
     });
 };
 
@@ -309,9 +315,10 @@ export const calculateWeekStats = (date, entries, sessions, projects) => {
  * @param {Array} entries - Toutes les entrées
  * @param {Array} sessions - Toutes les sessions
  * @param {Array} projects - Tous les projets
+ * @param {Array} [workSchedules=[]] - Horaires de travail
  * @returns {Object} Statistiques du mois
  */
-export const calculateMonthStats = (date, entries, sessions, projects) => {
+export const calculateMonthStats = (date, entries, sessions, projects, workSchedules = []) => {
     const startDate = getMonthStart(date);
     const endDate = getMonthEnd(date);
 
@@ -320,7 +327,8 @@ export const calculateMonthStats = (date, entries, sessions, projects) => {
         endDate,
         entries,
         sessions,
-        projects
+        projects,
+        workSchedules
     });
 };
 
@@ -2,6 +2,7 @@
 
 import { Either } from '../core/monads.js';
 import { ENTRY_TYPES } from '../model/entry.js';
+import { findSequenceViolation } from '../entry-sequence.js';
 
 /**
  * Validations fonctionnelles avec Either monad
@@ -289,3 +290,22 @@ export const validateSessions = (sessions) => {
 
     return Either.right(sessions);
 };
+
+/**
+ * Valide la séquence des pointages d'une journée (après un ajout ou une modification)
+ * Les règles sont celles de findSequenceViolation (js/entry-sequence.js) : le message d'erreur
+ * indique le pointage refusé et suggère le pointage manquant.
+ * @param {Array} entries - Pointages de la journée, dans n'importe quel ordre
+ * @param {Array} [previousEntries=[]] - Pointages de la veille (plage de nuit encore ouverte)
+ * @returns {Either} Either.left(error) ou Either.right(entries)
+ */
+export const validateDaySequence = (entries, previousEntries = []) => {
+    if (!Array.isArray(entries)) {
+        return Either.left('Les entrées doivent être un tableau');
+    }
+
+    const violation = findSequenceViolation(entries, previousEntries);
+    return violation
+        ? Either.left(`${violation.message}. ${violation.suggestion}`)
+        : Either.right(entries);
+};
@@ -0,0 +1,423 @@
+'use strict';
+
+import { getProjectColor, formatDate } from './utils.js';
+
+/**
+ * Schéma IndexedDB et migrations versionnées
+ * Partagé par StorageService (js/storage.js) et initDatabase (js/effects/storage.js)
+ */
+
+/**
+ * Nom de la base de données
+ */
+export const DB_NAME = 'TimeTrackerDB';
+
+/**
+ * Noms des object stores
+ */
+export const STORES = Object.freeze({
+    TIME_ENTRIES: 'timeEntries',
+    PROJECTS: 'projects',
+    PROJECT_SESSIONS: 'projectSessions',
+    AUDIT_LOG: 'auditLog',
+    SETTINGS: 'settings',
+    BACKUPS: 'backups',
+    ARCHIVES: 'archives',
+    TOMBSTONES: 'tombstones',
+    ABSENCES: 'absences'
+});
+
+// ======================
+// Transformations d'enregistrements (pures)
+// ======================
+
+/**
+ * Ajoute une couleur à un projet qui n'en a pas
+ * @param {Object} record - Projet au format de stockage
+ * @returns {Object} Projet avec une couleur
+ */
+export function backfillProjectColor(record) {
+    if (record.color) {
+        return record;
+    }
+    return { ...record, color: getProjectColor(record.id) };
+}
+
+/**
+ * Ajoute une note vide à une session qui n'en a pas
+ * @param {Object} record - Session au format de stockage
+ * @returns {Object} Session avec une note
+ */
+export function backfillSessionNote(record) {
+    if (typeof record.note === 'string') {
+        return record;
+    }
+    return { ...record, note: '' };
+}
+
+/**
+ * Recalcule le jour d'un pointage à partir de son horodatage (fuseau local)
+ * @param {Object} record - Pointage au format de stockage
+ * @returns {Object} Pointage avec le bon jour
+ */
+export function rekeyEntryDate(record) {
+    const date = formatDate(new Date(record.timestamp));
+    if (!date || date === record.date) {
+        return record;
+    }
+    return { ...record, date };
+}
+
+/**
+ * Recalcule le jour d'une session à partir de son début (fuseau local)
+ * @param {Object} record - Session au format de stockage
+ * @returns {Object} Session avec le bon jour
+ */
+export function rekeySessionDate(record) {
+    const date = formatDate(new Date(record.startTime));
+    if (!date || date === record.date) {
+        return record;
+    }
+    return { ...record, date };
+}
+
+// ======================
+// Registre des migrations
+// ======================
+
+/**
+ * Migrations, dans l'ordre strict des versions
+ * Chaque étape reçoit la base, la transaction de mise à jour (versionchange) et le
+ * rapport de migration (report.changedDays : jours dont les données ont changé).
+ * Une étape ne doit jamais être modifiée une fois publiée : ajouter une nouvelle version.
+ * Si le chiffrement est activé (js/encryption.js), seuls l'ID et les champs indexés
+ * des enregistrements sont lisibles dans une étape : les autres sont dans `cipher`.
+ */
+export const MIGRATIONS = Object.freeze([
+    {
+        version: 1,
+        description: 'Création des stores timeEntries, projects et projectSessions',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.TIME_ENTRIES)) {
+                const timeEntriesStore = db.createObjectStore(STORES.TIME_ENTRIES, {
+                    keyPath: 'id'
+                });
+                timeEntriesStore.createIndex('date', 'date', { unique: false });
+                timeEntriesStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
+                const projectsStore = db.createObjectStore(STORES.PROJECTS, {
+                    keyPath: 'id'
+                });
+                projectsStore.createIndex('name', 'name', { unique: false });
+                projectsStore.createIndex('active', 'active', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.PROJECT_SESSIONS)) {
+                const sessionsStore = db.createObjectStore(STORES.PROJECT_SESSIONS, {
+                    keyPath: 'id'
+                });
+                sessionsStore.createIndex('projectId', 'projectId', { unique: false });
+                sessionsStore.createIndex('date', 'date', { unique: false });
+                sessionsStore.createIndex('startTime', 'startTime', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Couleur des projets et note des sessions',
+        upgrade: (db, transaction) => {
+            updateRecords(transaction, STORES.PROJECTS, backfillProjectColor);
+            updateRecords(transaction, STORES.PROJECT_SESSIONS, backfillSessionNote);
+        }
+    },
+    {
+        version: 3,
+        description: 'Jours des pointages et sessions recalculés en heure locale (et non UTC)',
+        upgrade: (db, transaction, report) => {
+            const collect = (before, after) => {
+                report.changedDays.add(before.date);
+                report.changedDays.add(after.date);
+            };
+            updateRecords(transaction, STORES.TIME_ENTRIES, rekeyEntryDate, collect);
+            updateRecords(transaction, STORES.PROJECT_SESSIONS, rekeySessionDate, collect);
+        }
+    },
+    {
+        version: 4,
+        description: 'Journal des modifications (auditLog, ajout seul)',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.AUDIT_LOG)) {
+                const auditStore = db.createObjectStore(STORES.AUDIT_LOG, {
+                    keyPath: 'id'
+                });
+                auditStore.createIndex('recordId', 'recordId', { unique: false });
+                auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Paramètres de la base (settings : en-tête de chiffrement)',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+                db.createObjectStore(STORES.SETTINGS, {
+                    keyPath: 'key'
+                });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Sauvegardes automatiques (backups : instantanés complets)',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.BACKUPS)) {
+                const backupsStore = db.createObjectStore(STORES.BACKUPS, {
+                    keyPath: 'id'
+                });
+                backupsStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Archives annuelles (archives : pointages et sessions compressés par année)',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.ARCHIVES)) {
+                db.createObjectStore(STORES.ARCHIVES, {
+                    keyPath: 'year'
+                });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Synchronisation (tombstones : suppressions à transmettre aux autres appareils)',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.TOMBSTONES)) {
+                db.createObjectStore(STORES.TOMBSTONES, {
+                    keyPath: 'id'
+                });
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Absences (congés, arrêts maladie, formations) créditant l\'objectif du jour',
+        upgrade: (db) => {
+            if (!db.objectStoreNames.contains(STORES.ABSENCES)) {
+                const absencesStore = db.createObjectStore(STORES.ABSENCES, {
+                    keyPath: 'id'
+                });
+                absencesStore.createIndex('date', 'date', { unique: false });
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Ordre du journal des modifications (auditLog : index seq)',
+        upgrade: (db, transaction) => {
+            ensureIndex(transaction, STORES.AUDIT_LOG, 'seq', 'seq');
+        }
+    }
+]);
+
+/**
+ * Version courante du schéma (dernière migration)
+ */
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ======================
+// Outils pour écrire une migration
+// ======================
+
+/**
+ * Ajoute un index s'il n'existe pas déjà
+ * @param {IDBTransaction} transaction - Transaction de mise à jour
+ * @param {string} storeName - Nom du store
+ * @param {string} indexName - Nom de l'index
+ * @param {string|string[]} keyPath - Chemin de la clé indexée
+ * @param {Object} [options] - Options de l'index (unique, multiEntry)
+ */
+export function ensureIndex(transaction, storeName, indexName, keyPath, options = { unique: false }) {
+    const store = transaction.objectStore(storeName);
+    if (!store.indexNames.contains(indexName)) {
+        store.createIndex(indexName, keyPath, options);
+    }
+}
+
+/**
+ * Réécrit tous les enregistrements d'un store avec une fonction de transformation
+ * Les enregistrements renvoyés à l'identique (même référence) ne sont pas réécrits.
+ * Utilisable dans une migration comme dans une transaction readwrite ordinaire.
+ * @param {IDBTransaction} transaction - Transaction en écriture
+ * @param {string} storeName - Nom du store
+ * @param {Function} transform - Fonction pure (record) => record
+ * @param {Function} [onChange] - Appelée avec (avant, après) pour chaque enregistrement réécrit
+ */
+export function updateRecords(transaction, storeName, transform, onChange = null) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const updated = transform(cursor.value);
+        if (updated !== cursor.value) {
+            cursor.update(updated);
+            if (onChange) {
+                onChange(cursor.value, updated);
+            }
+        }
+        cursor.continue();
+    };
+}
+
+// ======================
+// Exécution des migrations
+// ======================
+
+/**
+ * Vérifie qu'une liste de migrations est exploitable
+ * @param {Object[]} migrations - Migrations à vérifier
+ * @throws {Error} Si les versions ne se suivent pas (1, 2, 3...) ou si une étape est incomplète
+ */
+export function validateMigrations(migrations) {
+    if (!Array.isArray(migrations) || migrations.length === 0) {
+        throw new Error('Aucune migration définie');
+    }
+
+    migrations.forEach((migration, i) => {
+        if (migration.version !== i + 1) {
+            throw new Error(
+                `Migration ${i}: version ${migration.version} attendue ${i + 1} (versions consécutives requises)`
+            );
+        }
+        if (typeof migration.upgrade !== 'function') {
+            throw new Error(`Migration ${migration.version}: fonction upgrade manquante`);
+        }
+    });
+}
+
+/**
+ * Retourne les migrations à appliquer pour passer d'une version à une autre
+ * @param {number} oldVersion - Version actuelle de la base (0 si nouvelle)
+ * @param {number} newVersion - Version cible
+ * @param {Object[]} [migrations=MIGRATIONS] - Registre de migrations
+ * @returns {Object[]} Migrations triées par version croissante
+ * @throws {Error} Si la version cible est inférieure à la version actuelle
+ */
+export function getPendingMigrations(oldVersion, newVersion, migrations = MIGRATIONS) {
+    if (newVersion < oldVersion) {
+        throw new Error(
+            `Retour à une version antérieure impossible (base v${oldVersion}, application v${newVersion})`
+        );
+    }
+
+    return migrations.filter(m => m.version > oldVersion && m.version <= newVersion);
+}
+
+/**
+ * Crée un rapport de migration vide
+ * @param {number} fromVersion - Version de départ
+ * @param {number} toVersion - Version cible
+ * @returns {{fromVersion: number, toVersion: number, applied: number[], changedDays: Set<string>}}
+ */
+export function createMigrationReport(fromVersion, toVersion) {
+    return { fromVersion, toVersion, applied: [], changedDays: new Set() };
+}
+
+/**
+ * Applique les migrations nécessaires dans la transaction de mise à jour
+ * @param {IDBDatabase} db - Base en cours de mise à jour
+ * @param {IDBTransaction} transaction - Transaction versionchange
+ * @param {number} oldVersion - Version actuelle de la base
+ * @param {number} newVersion - Version cible
+ * @param {Object[]} [migrations=MIGRATIONS] - Registre de migrations
+ * @param {Object} [report] - Rapport de migration complété par les étapes
+ * @returns {number[]} Versions appliquées
+ */
+export function runMigrations(db, transaction, oldVersion, newVersion, migrations = MIGRATIONS,
+    report = createMigrationReport(oldVersion, newVersion)) {
+    const pending = getPendingMigrations(oldVersion, newVersion, migrations);
+
+    pending.forEach(migration => {
+        console.log(`🔧 Migration v${migration.version}: ${migration.description}`);
+        migration.upgrade(db, transaction, report);
+        report.applied.push(migration.version);
+    });
+
+    return pending.map(m => m.version);
+}
+
+/**
+ * Ouvre la base de données et applique les migrations en attente
+ * @param {Object} [options] - Options d'ouverture
+ * @param {string} [options.name=DB_NAME] - Nom de la base
+ * @param {Object[]} [options.migrations=MIGRATIONS] - Registre de migrations
+ * @param {Function} [options.onMigrated] - Appelée avec le rapport si des migrations ont été appliquées
+ *   ({fromVersion, toVersion, applied, changedDays: string[]})
+ * @returns {Promise<IDBDatabase>} Base ouverte à la dernière version
+ * @throws {Error} Si la base a été créée par une version plus récente de l'application
+ */
+export function openDatabase({ name = DB_NAME, migrations = MIGRATIONS, onMigrated = null } = {}) {
+    validateMigrations(migrations);
+    const version = migrations[migrations.length - 1].version;
+    let report = null;
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onerror = () => {
+            if (request.error && request.error.name === 'VersionError') {
+                reject(new Error(
+                    'La base de données a été créée par une version plus récente de l\'application. ' +
+                    'Rechargez la page ou mettez à jour l\'application.'
+                ));
+                return;
+            }
+            reject(new Error('Erreur lors de l\'ouverture de la base de données'));
+        };
+
+        request.onblocked = () => {
+            console.warn('⚠️ Mise à jour de la base bloquée : fermez les autres onglets de l\'application');
+        };
+
+        request.onupgradeneeded = (event) => {
+            try {
+                report = createMigrationReport(event.oldVersion, event.newVersion);
+                const applied = runMigrations(
+                    request.result,
+                    request.transaction,
+                    event.oldVersion,
+                    event.newVersion,
+                    migrations,
+                    report
+                );
+                console.log(`✅ Base migrée de v${event.oldVersion} à v${event.newVersion} (${applied.length} étape(s))`);
+            } catch (error) {
+                // Annuler la transaction : la base reste à son ancienne version
+                console.error('❌ Échec de la migration:', error);
+                request.transaction.abort();
+                reject(error);
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Libérer la base si un autre onglet lance une migration
+            db.onversionchange = () => {
+                db.close();
+                console.warn('⚠️ Base fermée : une version plus récente de l\'application est ouverte');
+            };
+
+            if (report && onMigrated) {
+                onMigrated({ ...report, changedDays: [...report.changedDays].filter(Boolean).sort() });
+            }
+
+            resolve(db);
+        };
+    });
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 import { getTodayDateString } from '../utils.js';
+import { DEFAULT_DAILY_TARGET } from '../work-schedule.js';
 
 /**
  * État global de l'application - Immutable
@@ -44,6 +45,12 @@ export const initialModel = Object.freeze({
      */
     multiProjectMode: false,
 
+    /**
+     * Horaires de travail (objectif de présence par jour de la semaine, avec date d'effet)
+     * @type {Array<{effectiveFrom: string, targets: Array<number>}>}
+     */
+    workSchedules: [],
+
     // ===== État UI =====
 
     /**
@@ -91,16 +98,22 @@ export const initialModel = Object.freeze({
     presenceTime: 0,
 
     /**
-     * Pourcentage de l'objectif de 8h atteint
+     * Objectif de présence du jour selon l'horaire en vigueur (en millisecondes, 0 si non travaillé)
+     * @type {number}
+     */
+    dailyTarget: DEFAULT_DAILY_TARGET,
+
+    /**
+     * Pourcentage de l'objectif du jour atteint
      * @type {number}
      */
     presencePercentage: 0,
 
     /**
-     * Temps restant pour atteindre 8h (en millisecondes)
+     * Temps restant pour atteindre l'objectif du jour (en millisecondes)
      * @type {number}
      */
-    remainingTime: 28800000, // 8 heures en ms
+    remainingTime: DEFAULT_DAILY_TARGET,
 
     /**
      * Statut du jour
@@ -280,7 +293,7 @@ export const selectors = Object.freeze({
         model.currentSessions && model.currentSessions.some(s => s.projectId === projectId),
 
     /**
-     * Vérifie si l'objectif de 8h est atteint
+     * Vérifie si l'objectif du jour est atteint
      * @param {Object} model - Modèle
      * @returns {boolean}
      */
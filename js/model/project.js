@@ -1,5 +1,7 @@
 'use strict';
 
+import { getProjectColor } from '../utils.js';
+
 /**
  * Project - Type immutable pour les projets
  * Toutes les fonctions retournent de nouveaux objets
@@ -21,11 +23,15 @@ export const Project = Object.freeze({
             throw new Error('Le temps ne peut pas être négatif');
         }
 
+        const id = `project_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
         return Object.freeze({
-            id: `project_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id,
             name: name.trim(),
             timeSpent,
             active: true,
+            archivedAt: null,
+            color: getProjectColor(id),
             createdAt: new Date(),
             updatedAt: new Date()
         });
@@ -87,7 +93,7 @@ export const Project = Object.freeze({
     },
 
     /**
-     * Désactive un projet (soft delete)
+     * Désactive un projet (archivage, ses sessions sont conservées)
      * @param {Object} project - Projet existant
      * @returns {Object} Nouveau projet désactivé
      */
@@ -95,6 +101,7 @@ export const Project = Object.freeze({
         Object.freeze({
             ...project,
             active: false,
+            archivedAt: new Date(),
             updatedAt: new Date()
         }),
 
@@ -107,6 +114,7 @@ export const Project = Object.freeze({
         Object.freeze({
             ...project,
             active: true,
+            archivedAt: null,
             updatedAt: new Date()
         }),
 
@@ -120,6 +128,8 @@ export const Project = Object.freeze({
         name: project.name,
         timeSpent: project.timeSpent,
         active: project.active,
+        archivedAt: project.archivedAt ? project.archivedAt.toISOString() : null,
+        color: project.color,
         createdAt: project.createdAt.toISOString(),
         updatedAt: project.updatedAt.toISOString()
     }),
@@ -139,6 +149,8 @@ export const Project = Object.freeze({
             name: data.name,
             timeSpent: data.timeSpent || 0,
             active: data.active !== undefined ? data.active : true,
+            archivedAt: data.archivedAt ? new Date(data.archivedAt) : null,
+            color: data.color || getProjectColor(data.id),
             createdAt: new Date(data.createdAt),
             updatedAt: new Date(data.updatedAt)
         });
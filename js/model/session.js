@@ -28,7 +28,8 @@ export const ProjectSession = Object.freeze({
             projectId,
             startTime,
             endTime: null,
-            date: formatDate(startTime)
+            date: formatDate(startTime),
+            note: ''
         });
     },
 
@@ -138,7 +139,8 @@ export const ProjectSession = Object.freeze({
         projectId: session.projectId,
         startTime: session.startTime.toISOString(),
         endTime: session.endTime ? session.endTime.toISOString() : null,
-        date: session.date
+        date: session.date,
+        note: session.note || ''
     }),
 
     /**
@@ -156,7 +158,8 @@ export const ProjectSession = Object.freeze({
             projectId: data.projectId,
             startTime: new Date(data.startTime),
             endTime: data.endTime ? new Date(data.endTime) : null,
-            date: data.date
+            date: data.date,
+            note: data.note || ''
         });
 
         return session;
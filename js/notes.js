@@ -0,0 +1,97 @@
+'use strict';
+
+import { getEntryTypeLabel } from './utils.js';
+
+/**
+ * Notes des pointages et des sessions
+ * Une note libre accompagne un pointage (ex: "Rendez-vous médecin") ou une session
+ * (ex: "Revue du ticket 42") ; la recherche parcourt tout l'historique, archives comprises.
+ */
+
+/**
+ * Longueur maximale d'une note
+ */
+export const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Nombre maximal de résultats affichés par recherche
+ */
+export const MAX_SEARCH_RESULTS = 200;
+
+/**
+ * Nettoie une note saisie
+ * @param {string|null|undefined} note - Note saisie
+ * @returns {string} Note sans espaces superflus ('' si vide)
+ * @throws {Error} Si la note dépasse MAX_NOTE_LENGTH caractères
+ */
+export function normalizeNote(note) {
+    const trimmed = (note || '').trim();
+    if (trimmed.length > MAX_NOTE_LENGTH) {
+        throw new Error(`La note ne peut pas dépasser ${MAX_NOTE_LENGTH} caractères`);
+    }
+    return trimmed;
+}
+
+/**
+ * Prépare un texte pour la recherche : minuscules, sans accents
+ * @param {string} text - Texte à préparer
+ * @returns {string}
+ * @private
+ */
+function foldText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Vérifie si une note contient tous les mots recherchés (sans tenir compte de la casse ni des accents)
+ * @param {string} note - Note à tester
+ * @param {string} query - Recherche (mots séparés par des espaces)
+ * @returns {boolean} false si la note ou la recherche est vide
+ */
+export function matchesNoteQuery(note, query) {
+    const terms = foldText(query || '').split(/\s+/).filter(Boolean);
+    if (!note || terms.length === 0) {
+        return false;
+    }
+
+    const folded = foldText(note);
+    return terms.every(term => folded.includes(term));
+}
+
+/**
+ * Recherche dans les notes des pointages et des sessions
+ * @param {Object} data - Enregistrements à parcourir
+ * @param {TimeEntry[]} data.entries - Pointages
+ * @param {ProjectSession[]} data.sessions - Sessions
+ * @param {Project[]} [data.projects=[]] - Projets (noms des sessions)
+ * @param {string} query - Recherche (voir matchesNoteQuery)
+ * @returns {Object[]} Résultats {kind: 'entry'|'session', record, date, timestamp, label, note}, plus récent en premier
+ */
+export function searchNotes({ entries, sessions, projects = [] }, query) {
+    const projectNames = new Map(projects.map(project => [project.id, project.name]));
+
+    const results = [
+        ...entries
+            .filter(entry => matchesNoteQuery(entry.note, query))
+            .map(entry => ({
+                kind: 'entry',
+                record: entry,
+                date: entry.date,
+                timestamp: entry.timestamp,
+                label: getEntryTypeLabel(entry.type),
+                note: entry.note
+            })),
+        ...sessions
+            .filter(session => matchesNoteQuery(session.note, query))
+            .map(session => ({
+                kind: 'session',
+                record: session,
+                date: session.date,
+                timestamp: session.startTime,
+                label: projectNames.get(session.projectId) || 'Projet inconnu',
+                note: session.note
+            }))
+    ];
+
+    return results.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
+}
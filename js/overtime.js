@@ -0,0 +1,262 @@
+'use strict';
+
+import { addDays, formatDuration } from './utils.js';
+import { getWeekday } from './work-schedule.js';
+
+/**
+ * Compteur d'heures
+ * Le solde cumule, jour après jour, l'écart entre le temps compté (présence + temps crédité
+ * par les absences et jours fériés) et l'objectif de l'horaire de travail. Il part d'une date
+ * de début avec un solde d'ouverture, et des ajustements manuels le corrigent (heures récupérées,
+ * heures supplémentaires payées, correction). Le jour en cours n'est compté qu'une fois terminé.
+ */
+
+/**
+ * Types d'ajustement du compteur
+ */
+export const OvertimeAdjustmentType = Object.freeze({
+    RECOVERED: 'recovered',   // Heures récupérées (retirées du solde)
+    PAID: 'paid',             // Heures supplémentaires payées (retirées du solde)
+    CORRECTION: 'correction'  // Correction libre (positive ou négative)
+});
+
+/**
+ * Libellés et sens des ajustements (-1 : la durée saisie est retirée du solde)
+ */
+const ADJUSTMENT_TYPE_INFO = Object.freeze({
+    [OvertimeAdjustmentType.RECOVERED]: { label: 'Heures récupérées', sign: -1 },
+    [OvertimeAdjustmentType.PAID]: { label: 'Heures supplémentaires payées', sign: -1 },
+    [OvertimeAdjustmentType.CORRECTION]: { label: 'Correction', sign: 1 }
+});
+
+/**
+ * Type d'un mouvement quotidien dans l'historique du compteur
+ */
+export const DAY_MOVEMENT = 'day';
+
+/**
+ * Compteur sans paramètre : départ au premier jour de données, solde d'ouverture nul
+ */
+export const DEFAULT_OVERTIME_LEDGER = Object.freeze({
+    startDate: null,
+    openingBalance: 0,
+    adjustments: []
+});
+
+/**
+ * Retourne le libellé d'un type d'ajustement
+ * @param {string} type - Type d'ajustement (OvertimeAdjustmentType)
+ * @returns {string} Libellé en français
+ */
+export function getAdjustmentTypeLabel(type) {
+    return ADJUSTMENT_TYPE_INFO[type] ? ADJUSTMENT_TYPE_INFO[type].label : type;
+}
+
+/**
+ * Formate un écart de temps signé (ex: "+1h 30m", "-0h 45m")
+ * @param {number} milliseconds - Écart en ms
+ * @returns {string} Écart formaté, "0h 00m" s'il est nul
+ */
+export function formatSignedDuration(milliseconds) {
+    if (milliseconds === 0) {
+        return formatDuration(0);
+    }
+    return `${milliseconds > 0 ? '+' : '-'}${formatDuration(Math.abs(milliseconds))}`;
+}
+
+/**
+ * Vérifie le format d'un jour
+ * @param {*} date - Valeur à vérifier
+ * @returns {boolean}
+ */
+function isDateString(date) {
+    return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+}
+
+/**
+ * Valide un ajustement du compteur
+ * @param {Object} adjustment - Ajustement ({id, date, type, amount, note})
+ * @param {string} adjustment.date - Jour de l'ajustement (YYYY-MM-DD)
+ * @param {string} adjustment.type - Type (OvertimeAdjustmentType)
+ * @param {number} adjustment.amount - Durée en ms (positive, sauf pour une correction)
+ * @returns {{id: string, date: string, type: string, amount: number, note: string}} Ajustement validé
+ * @throws {Error} Si la date, le type ou la durée est invalide
+ */
+export function normalizeOvertimeAdjustment(adjustment) {
+    const { id, date, type, amount, note = '' } = adjustment || {};
+
+    if (!isDateString(date)) {
+        throw new Error('La date de l\'ajustement est invalide');
+    }
+    if (!ADJUSTMENT_TYPE_INFO[type]) {
+        throw new Error(`Type d'ajustement invalide: ${type}`);
+    }
+    if (!Number.isInteger(amount) || amount === 0) {
+        throw new Error('La durée de l\'ajustement doit être un nombre de millisecondes non nul');
+    }
+    if (amount < 0 && type !== OvertimeAdjustmentType.CORRECTION) {
+        throw new Error('Seule une correction peut avoir une durée négative');
+    }
+
+    return {
+        id: typeof id === 'string' && id !== '' ? id : crypto.randomUUID(),
+        date,
+        type,
+        amount,
+        note: String(note)
+    };
+}
+
+/**
+ * Valide les paramètres du compteur
+ * @param {Object|null} ledger - Paramètres enregistrés ({startDate, openingBalance, adjustments}), null si aucun
+ * @returns {{startDate: string|null, openingBalance: number, adjustments: Object[]}}
+ *   Paramètres validés, ajustements triés par jour
+ * @throws {Error} Si la date de début, le solde d'ouverture ou un ajustement est invalide
+ */
+export function normalizeOvertimeLedger(ledger) {
+    const { startDate = null, openingBalance = 0, adjustments = [] } = ledger || {};
+
+    if (startDate !== null && !isDateString(startDate)) {
+        throw new Error('La date de début du compteur est invalide');
+    }
+    if (!Number.isInteger(openingBalance)) {
+        throw new Error('Le solde d\'ouverture doit être un nombre de millisecondes');
+    }
+
+    return {
+        startDate,
+        openingBalance,
+        adjustments: adjustments
+            .map(normalizeOvertimeAdjustment)
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * Ajoute un ajustement au compteur
+ * @param {Object} ledger - Paramètres validés (voir normalizeOvertimeLedger)
+ * @param {Object} adjustment - Nouvel ajustement ({date, type, amount, note})
+ * @returns {Object} Nouveaux paramètres
+ * @throws {Error} Si l'ajustement est invalide
+ */
+export function addOvertimeAdjustment(ledger, adjustment) {
+    return normalizeOvertimeLedger({
+        ...ledger,
+        adjustments: [...ledger.adjustments, normalizeOvertimeAdjustment(adjustment)]
+    });
+}
+
+/**
+ * Retire un ajustement du compteur
+ * @param {Object} ledger - Paramètres validés (voir normalizeOvertimeLedger)
+ * @param {string} id - Identifiant de l'ajustement
+ * @returns {Object} Nouveaux paramètres
+ */
+export function removeOvertimeAdjustment(ledger, id) {
+    return {
+        ...ledger,
+        adjustments: ledger.adjustments.filter(adjustment => adjustment.id !== id)
+    };
+}
+
+/**
+ * Retourne la variation du solde produite par un ajustement
+ * @param {Object} adjustment - Ajustement validé
+ * @returns {number} Variation en ms (négative pour des heures récupérées ou payées)
+ */
+export function getAdjustmentDelta(adjustment) {
+    return ADJUSTMENT_TYPE_INFO[adjustment.type].sign * adjustment.amount;
+}
+
+/**
+ * Retourne l'écart d'un jour à son objectif
+ * @param {Object} day - Statistiques du jour (voir WeeklyReportCalculator.calculatePeriodStats)
+ * @returns {number} Écart en ms (positif : heures supplémentaires)
+ */
+export function getDayBalance(day) {
+    return day.presenceTime + (day.creditedTime || 0) - day.targetTime;
+}
+
+/**
+ * Construit l'historique du compteur : un mouvement par jour écoulé puis par ajustement
+ * @param {Object[]} dailyStats - Statistiques quotidiennes depuis la date de début
+ * @param {Object} ledger - Paramètres validés (voir normalizeOvertimeLedger), startDate renseignée
+ * @param {string} today - Jour courant (YYYY-MM-DD) : seuls les jours précédents sont comptés
+ * @returns {{balance: number, movements: Object[]}} Solde courant et mouvements chronologiques
+ *   ({date, type, delta, balance, note}), type valant DAY_MOVEMENT ou un OvertimeAdjustmentType
+ */
+export function buildOvertimeHistory(dailyStats, ledger, today) {
+    const { startDate, openingBalance, adjustments } = ledger;
+
+    const days = dailyStats
+        .filter(day => day.date >= startDate && day.date < today)
+        .map(day => ({ date: day.date, type: DAY_MOVEMENT, delta: getDayBalance(day), note: '' }));
+    const corrections = adjustments
+        .filter(adjustment => adjustment.date >= startDate)
+        .map(adjustment => ({
+            id: adjustment.id,
+            date: adjustment.date,
+            type: adjustment.type,
+            delta: getAdjustmentDelta(adjustment),
+            note: adjustment.note
+        }));
+
+    // Un jour d'abord, puis les ajustements datés de ce jour
+    const ordered = [...days, ...corrections].sort((a, b) => a.date.localeCompare(b.date)
+        || Number(a.type !== DAY_MOVEMENT) - Number(b.type !== DAY_MOVEMENT));
+
+    let balance = openingBalance;
+    const movements = ordered.map(movement => {
+        balance += movement.delta;
+        return { ...movement, balance };
+    });
+
+    return { balance, movements };
+}
+
+/**
+ * Résume le compteur pour une période de rapport (report des périodes précédentes compris)
+ * @param {Object} history - Historique (voir buildOvertimeHistory)
+ * @param {number} openingBalance - Solde d'ouverture du compteur (ms)
+ * @param {string} startDate - Premier jour de la période (YYYY-MM-DD)
+ * @param {string} endDate - Dernier jour de la période (YYYY-MM-DD)
+ * @returns {{carriedOver: number, periodDelta: number, balance: number}}
+ *   Solde reporté à l'entrée de la période, variation dans la période et solde à sa fin
+ */
+export function summarizeOvertimePeriod(history, openingBalance, startDate, endDate) {
+    const before = history.movements.filter(movement => movement.date < startDate);
+    const during = history.movements.filter(movement => movement.date >= startDate && movement.date <= endDate);
+
+    const carriedOver = before.length > 0 ? before[before.length - 1].balance : openingBalance;
+    const periodDelta = during.reduce((sum, movement) => sum + movement.delta, 0);
+
+    return { carriedOver, periodDelta, balance: carriedOver + periodDelta };
+}
+
+/**
+ * Regroupe l'historique par semaine (lundi), de la plus récente à la plus ancienne
+ * @param {Object[]} movements - Mouvements chronologiques (voir buildOvertimeHistory)
+ * @returns {Object[]} Semaines ({weekStart, workedDelta, adjustments, balance})
+ */
+export function groupOvertimeByWeek(movements) {
+    const weeks = new Map();
+
+    movements.forEach(movement => {
+        const weekday = getWeekday(movement.date);
+        const weekStart = addDays(movement.date, weekday === 0 ? -6 : 1 - weekday);
+
+        if (!weeks.has(weekStart)) {
+            weeks.set(weekStart, { weekStart, workedDelta: 0, adjustments: [], balance: 0 });
+        }
+        const week = weeks.get(weekStart);
+        if (movement.type === DAY_MOVEMENT) {
+            week.workedDelta += movement.delta;
+        } else {
+            week.adjustments.push(movement);
+        }
+        week.balance = movement.balance;
+    });
+
+    return [...weeks.values()].reverse();
+}
@@ -1,6 +1,40 @@
 'use strict';
 
-import { createElement } from './utils.js';
+import {
+    createElement,
+    formatDate,
+    formatTime,
+    formatDuration,
+    formatBytes,
+    getTodayDateString,
+    getEntryTypeLabel
+} from './utils.js';
+import { ImportMode, ConflictResolution } from './data-import.js';
+import { formatAuditState, getAuditOperationLabel } from './audit-log.js';
+import { isEncryptedBackup, validatePassphrase, MIN_PASSPHRASE_LENGTH } from './encryption.js';
+import { BackupFrequency, MAX_BACKUPS_KEPT, getBackupTriggerLabel } from './backups.js';
+import { WEEKDAYS, DEFAULT_WEEKLY_TARGETS, getScheduleForDate, getWeeklyTarget } from './work-schedule.js';
+import { ABSENCE_TYPES, getAbsenceTypeLabel } from './absence.js';
+import { getFrenchPublicHolidays } from './holidays.js';
+import {
+    OvertimeAdjustmentType,
+    getAdjustmentTypeLabel,
+    getAdjustmentDelta,
+    groupOvertimeByWeek,
+    formatSignedDuration
+} from './overtime.js';
+import { STORES } from './migrations.js';
+import { DEFAULT_COMPLIANCE_RULES, COMPLIANCE_RULE_LABELS } from './compliance.js';
+import { RecoveryStrategy, getRecoveryStrategyLabel, getClosingTime } from './recovery.js';
+import { WorkLocation, formatWorkLocation } from './work-location.js';
+import {
+    RoundingMode,
+    RoundingScope,
+    ROUNDING_INCREMENTS,
+    getRoundingModeLabel,
+    getRoundingScopeLabel
+} from './rounding.js';
+import { MAX_NOTE_LENGTH, MAX_SEARCH_RESULTS } from './notes.js';
 
 /**
  * Classe pour gérer les popovers
@@ -314,7 +348,7 @@ export class AddRetroactiveTimePopover extends Popover {
             type: 'date',
             id: 'retroactive-date',
             class: 'form-input',
-            value: new Date().toISOString().split('T')[0],
+            value: getTodayDateString(),
             required: true
         });
         dateGroup.appendChild(dateLabel);
@@ -458,6 +492,24 @@ export class AddRetroactiveTimePopover extends Popover {
         durationRadio.addEventListener('change', toggleInputType);
         endTimeRadio.addEventListener('change', toggleInputType);
 
+        // Champ note
+        const noteGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const noteLabel = createElement('label', {
+            class: 'form-label',
+            for: 'retroactive-note'
+        }, 'Note');
+        const noteInput = createElement('input', {
+            type: 'text',
+            id: 'retroactive-note',
+            class: 'form-input',
+            maxlength: MAX_NOTE_LENGTH,
+            placeholder: 'Optionnel'
+        });
+        noteGroup.appendChild(noteLabel);
+        noteGroup.appendChild(noteInput);
+
         // Boutons d'action
         const actionsGroup = createElement('div', {
             class: 'form-actions'
@@ -484,12 +536,13 @@ export class AddRetroactiveTimePopover extends Popover {
         form.appendChild(durationOrEndGroup);
         form.appendChild(durationInputGroup);
         form.appendChild(endTimeInputGroup);
+        form.appendChild(noteGroup);
         form.appendChild(actionsGroup);
 
         // Gérer la soumission du formulaire
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.#handleSubmit(projectSelect, dateInput, startTimeInput, hoursInput, minutesInput, endTimeInput, durationRadio);
+            this.#handleSubmit(projectSelect, dateInput, startTimeInput, hoursInput, minutesInput, endTimeInput, durationRadio, noteInput);
         });
 
         return form;
@@ -499,7 +552,7 @@ export class AddRetroactiveTimePopover extends Popover {
      * Gère la soumission du formulaire
      * @private
      */
-    #handleSubmit(projectSelect, dateInput, startTimeInput, hoursInput, minutesInput, endTimeInput, durationRadio) {
+    #handleSubmit(projectSelect, dateInput, startTimeInput, hoursInput, minutesInput, endTimeInput, durationRadio, noteInput) {
         // Récupérer l'ID du projet sélectionné
         let projectId;
         if (projectSelect.tagName === 'SELECT') {
@@ -551,7 +604,8 @@ export class AddRetroactiveTimePopover extends Popover {
             projectId: projectId,
             startTime: startDateTime,
             endTime: endDateTime,
-            date: date
+            date: date,
+            note: noteInput.value.trim()
         };
 
         // Appeler le callback
@@ -621,7 +675,7 @@ export class EditSessionPopover extends Popover {
         const dateLabel = createElement('label', {
             class: 'form-label'
         }, 'Date');
-        const dateString = this.session.startTime.toISOString().split('T')[0];
+        const dateString = formatDate(this.session.startTime);
         const dateInput = createElement('input', {
             type: 'text',
             class: 'form-input',
@@ -669,6 +723,25 @@ export class EditSessionPopover extends Popover {
         endTimeGroup.appendChild(endTimeLabel);
         endTimeGroup.appendChild(endTimeInput);
 
+        // Champ note
+        const noteGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const noteLabel = createElement('label', {
+            class: 'form-label',
+            for: 'edit-session-note'
+        }, 'Note');
+        const noteInput = createElement('input', {
+            type: 'text',
+            id: 'edit-session-note',
+            class: 'form-input',
+            value: this.session.note || '',
+            maxlength: MAX_NOTE_LENGTH,
+            placeholder: 'Optionnel'
+        });
+        noteGroup.appendChild(noteLabel);
+        noteGroup.appendChild(noteInput);
+
         // Boutons d'action
         const actionsGroup = createElement('div', {
             class: 'form-actions'
@@ -693,12 +766,13 @@ export class EditSessionPopover extends Popover {
         form.appendChild(dateGroup);
         form.appendChild(startTimeGroup);
         form.appendChild(endTimeGroup);
+        form.appendChild(noteGroup);
         form.appendChild(actionsGroup);
 
         // Gérer la soumission du formulaire
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.#handleSubmit(startTimeInput, endTimeInput, dateString);
+            this.#handleSubmit(startTimeInput, endTimeInput, noteInput, dateString);
         });
 
         return form;
@@ -708,7 +782,7 @@ export class EditSessionPopover extends Popover {
      * Gère la soumission du formulaire
      * @private
      */
-    #handleSubmit(startTimeInput, endTimeInput, date) {
+    #handleSubmit(startTimeInput, endTimeInput, noteInput, date) {
         const startTime = startTimeInput.value;
         const endTime = endTimeInput.value;
 
@@ -725,7 +799,8 @@ export class EditSessionPopover extends Popover {
         const data = {
             sessionId: this.session.id,
             startTime: startDateTime,
-            endTime: endDateTime
+            endTime: endDateTime,
+            note: noteInput.value.trim()
         };
 
         // Appeler le callback
@@ -746,16 +821,243 @@ export class EditSessionPopover extends Popover {
     }
 }
 
+/**
+ * Popover d'arrêt d'un chronomètre : note de la session avant l'arrêt
+ */
+export class StopTimerPopover extends Popover {
+    /**
+     * @param {ProjectSession} session - Session en cours
+     * @param {string} projectName - Nom du projet
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onStop - Appelé avec la note saisie
+     */
+    constructor(session, projectName, { onStop }) {
+        super('Arrêter le chronomètre');
+        this.session = session;
+        this.projectName = projectName;
+        this.onStop = onStop;
+    }
+
+    /**
+     * Crée le formulaire d'arrêt
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, `${this.projectName} : commencé à ${formatTime(this.session.startTime)}, ${formatDuration(this.session.getDuration())}.`);
+
+        const noteInput = createElement('input', {
+            type: 'text',
+            id: 'stop-timer-note',
+            class: 'form-input',
+            value: this.session.note || '',
+            maxlength: MAX_NOTE_LENGTH,
+            placeholder: 'Ce qui a été fait (optionnel)'
+        });
+        const noteGroup = createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', { class: 'form-label', for: 'stop-timer-note' }, 'Note'),
+            noteInput
+        ]);
+
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        }, [
+            cancelBtn,
+            createElement('button', {
+                type: 'submit',
+                class: 'btn btn--primary'
+            }, 'Arrêter')
+        ]);
+
+        form.appendChild(intro);
+        form.appendChild(noteGroup);
+        form.appendChild(actionsGroup);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.onStop(noteInput.value.trim());
+            this.close();
+        });
+
+        // Saisie directe de la note
+        setTimeout(() => noteInput.focus(), 50);
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        super.show(this.#createForm());
+    }
+}
+
+/**
+ * Popover de recherche dans les notes des pointages et des sessions
+ */
+export class NotesSearchPopover extends Popover {
+    /**
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSearch - Appelé avec la recherche, résout les résultats (voir searchNotes)
+     * @param {Function} handlers.onOpenDay - Appelé avec le jour d'un résultat (YYYY-MM-DD)
+     */
+    constructor({ onSearch, onOpenDay }) {
+        super('Rechercher dans les notes');
+        this.onSearch = onSearch;
+        this.onOpenDay = onOpenDay;
+        this.resultsContainer = null;
+    }
+
+    /**
+     * Crée le formulaire de recherche et la zone des résultats
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createContent() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const queryInput = createElement('input', {
+            type: 'search',
+            id: 'notes-search-query',
+            class: 'form-input',
+            placeholder: 'Mots à rechercher (accents et majuscules ignorés)'
+        });
+        const queryGroup = createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', { class: 'form-label', for: 'notes-search-query' }, 'Recherche'),
+            queryInput
+        ]);
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        }, createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Rechercher'));
+
+        form.appendChild(queryGroup);
+        form.appendChild(actionsGroup);
+
+        this.resultsContainer = createElement('div', {
+            class: 'notes-search__results'
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const query = queryInput.value.trim();
+            if (!query) return;
+
+            this.#renderMessage('Recherche en cours...');
+            try {
+                this.#renderResults(await this.onSearch(query));
+            } catch (error) {
+                this.#renderMessage(error.message || 'Erreur lors de la recherche');
+            }
+        });
+
+        setTimeout(() => queryInput.focus(), 50);
+
+        return createElement('div', {
+            class: 'backups'
+        }, [form, this.resultsContainer]);
+    }
+
+    /**
+     * Affiche un message à la place des résultats
+     * @param {string} message - Message à afficher
+     * @private
+     */
+    #renderMessage(message) {
+        this.resultsContainer.innerHTML = '';
+        this.resultsContainer.appendChild(createElement('p', {
+            class: 'import-summary'
+        }, message));
+    }
+
+    /**
+     * Affiche les résultats (plus récents en premier)
+     * @param {Object[]} results - Résultats (voir searchNotes)
+     * @private
+     */
+    #renderResults(results) {
+        if (results.length === 0) {
+            this.#renderMessage('Aucune note ne correspond à cette recherche.');
+            return;
+        }
+
+        this.#renderMessage(results.length > MAX_SEARCH_RESULTS
+            ? `${results.length} notes trouvées, les ${MAX_SEARCH_RESULTS} plus récentes sont affichées.`
+            : `${results.length} note(s) trouvée(s).`);
+
+        const list = createElement('ul', {
+            class: 'audit-log'
+        });
+
+        results.slice(0, MAX_SEARCH_RESULTS).forEach(result => {
+            const item = createElement('li', {
+                class: 'audit-log__item notes-search__item',
+                title: 'Voir le détail de la journée'
+            }, [
+                createElement('div', {
+                    class: 'audit-log__date'
+                }, `${formatDate(result.timestamp)} ${formatTime(result.timestamp)}`),
+                createElement('div', {
+                    class: 'audit-log__action'
+                }, result.kind === 'session' ? `⏱️ ${result.label}` : result.label),
+                createElement('div', {
+                    class: 'audit-log__change'
+                }, result.note)
+            ]);
+            item.addEventListener('click', () => {
+                this.onOpenDay(result.date);
+                this.close();
+            });
+
+            list.appendChild(item);
+        });
+
+        this.resultsContainer.appendChild(list);
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        super.show(this.#createContent());
+    }
+}
+
 /**
  * Popover pour exporter les sessions de projet en CSV
  */
 export class ExportPopover extends Popover {
     /**
      * @param {Function} onExport - Callback appelé lors de l'export (reçoit startDate, endDate)
+     * @param {Function} [onBackup] - Callback appelé pour télécharger une sauvegarde complète
+     *   (reçoit {includeAuditLog, passphrase} ; passphrase null pour une sauvegarde en clair)
      */
-    constructor(onExport) {
+    constructor(onExport, onBackup = null) {
         super('Exporter les sessions');
         this.onExport = onExport;
+        this.onBackup = onBackup;
     }
 
     /**
@@ -770,7 +1072,7 @@ export class ExportPopover extends Popover {
         const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
         const monday = new Date(now);
         monday.setDate(now.getDate() - daysToMonday);
-        return monday.toISOString().split('T')[0];
+        return formatDate(monday);
     }
 
     /**
@@ -785,7 +1087,7 @@ export class ExportPopover extends Popover {
         const daysToSunday = dayOfWeek === 0 ? 0 : 7 - dayOfWeek;
         const sunday = new Date(now);
         sunday.setDate(now.getDate() + daysToSunday);
-        return sunday.toISOString().split('T')[0];
+        return formatDate(sunday);
     }
 
     /**
@@ -850,12 +1152,74 @@ export class ExportPopover extends Popover {
             class: 'btn btn--primary'
         }, 'Exporter');
 
+        // Sauvegarde complète (pointages, projets et sessions)
+        let auditLogGroup = null;
+        if (this.onBackup) {
+            auditLogGroup = createElement('div', {
+                class: 'form-group'
+            });
+            const auditLogCheckbox = createElement('input', {
+                type: 'checkbox',
+                id: 'export-include-audit-log'
+            });
+            auditLogGroup.appendChild(createElement('label', {
+                class: 'form-checkbox',
+                for: 'export-include-audit-log'
+            }, [auditLogCheckbox, 'Inclure le journal des modifications dans la sauvegarde']));
+
+            // Sauvegarde chiffrée : phrase secrète propre au fichier
+            const encryptCheckbox = createElement('input', {
+                type: 'checkbox',
+                id: 'export-encrypt'
+            });
+            auditLogGroup.appendChild(createElement('label', {
+                class: 'form-checkbox',
+                for: 'export-encrypt'
+            }, [encryptCheckbox, 'Chiffrer la sauvegarde avec une phrase secrète']));
+
+            const passphraseInput = createElement('input', {
+                type: 'password',
+                id: 'export-passphrase',
+                class: 'form-input',
+                autocomplete: 'new-password',
+                placeholder: `Phrase secrète (${MIN_PASSPHRASE_LENGTH} caractères minimum)`
+            });
+            passphraseInput.hidden = true;
+            auditLogGroup.appendChild(passphraseInput);
+            encryptCheckbox.addEventListener('change', () => {
+                passphraseInput.hidden = !encryptCheckbox.checked;
+            });
+
+            const backupBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Sauvegarde complète (JSON)');
+            backupBtn.addEventListener('click', () => {
+                const passphrase = encryptCheckbox.checked ? passphraseInput.value : null;
+                if (passphrase !== null) {
+                    try {
+                        validatePassphrase(passphrase);
+                    } catch (error) {
+                        alert(error.message);
+                        return;
+                    }
+                }
+
+                this.onBackup({ includeAuditLog: auditLogCheckbox.checked, passphrase });
+                this.close();
+            });
+            actionsGroup.appendChild(backupBtn);
+        }
+
         actionsGroup.appendChild(cancelBtn);
         actionsGroup.appendChild(submitBtn);
 
         // Assembler le formulaire
         form.appendChild(startDateGroup);
         form.appendChild(endDateGroup);
+        if (auditLogGroup) {
+            form.appendChild(auditLogGroup);
+        }
         form.appendChild(actionsGroup);
 
         // Gérer la soumission du formulaire
@@ -886,3 +1250,2716 @@ export class ExportPopover extends Popover {
         super.show(form);
     }
 }
+
+/**
+ * Popover pour restaurer une sauvegarde complète (JSON)
+ */
+export class ImportPopover extends Popover {
+    /**
+     * @param {Function} onPreview - Callback de simulation (reçoit content, mode, passphrase, resolutions ; retourne le résumé)
+     * @param {Function} onImport - Callback appelé lors de la confirmation (reçoit content, mode, passphrase, resolutions)
+     */
+    constructor(onPreview, onImport) {
+        super('Restaurer une sauvegarde');
+        this.onPreview = onPreview;
+        this.onImport = onImport;
+        this.content = null;
+        this.resolutions = {}; // Résolution choisie par jour en conflit (fusion)
+    }
+
+    /**
+     * Crée le formulaire d'import
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        // Champ fichier
+        const fileGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const fileLabel = createElement('label', {
+            class: 'form-label',
+            for: 'import-file'
+        }, 'Fichier de sauvegarde (.json)');
+        const fileInput = createElement('input', {
+            type: 'file',
+            id: 'import-file',
+            class: 'form-input',
+            accept: '.json,application/json',
+            required: true
+        });
+        fileGroup.appendChild(fileLabel);
+        fileGroup.appendChild(fileInput);
+
+        // Phrase secrète (affichée pour une sauvegarde chiffrée)
+        const passphraseGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const passphraseInput = createElement('input', {
+            type: 'password',
+            id: 'import-passphrase',
+            class: 'form-input',
+            autocomplete: 'off'
+        });
+        passphraseGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'import-passphrase'
+        }, 'Phrase secrète de la sauvegarde'));
+        passphraseGroup.appendChild(passphraseInput);
+        passphraseGroup.hidden = true;
+
+        // Choix du mode
+        const modeGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const modeLabel = createElement('label', {
+            class: 'form-label'
+        }, 'Mode d\'import');
+
+        const radioGroup = createElement('div', {
+            class: 'radio-group'
+        });
+
+        const mergeRadio = createElement('input', {
+            type: 'radio',
+            id: 'import-mode-merge',
+            name: 'import-mode',
+            value: ImportMode.MERGE,
+            checked: true
+        });
+        const mergeRadioLabel = createElement('label', {
+            for: 'import-mode-merge',
+            class: 'radio-label'
+        }, 'Fusionner');
+
+        const replaceRadio = createElement('input', {
+            type: 'radio',
+            id: 'import-mode-replace',
+            name: 'import-mode',
+            value: ImportMode.REPLACE
+        });
+        const replaceRadioLabel = createElement('label', {
+            for: 'import-mode-replace',
+            class: 'radio-label'
+        }, 'Tout remplacer');
+
+        radioGroup.appendChild(mergeRadio);
+        radioGroup.appendChild(mergeRadioLabel);
+        radioGroup.appendChild(replaceRadio);
+        radioGroup.appendChild(replaceRadioLabel);
+
+        modeGroup.appendChild(modeLabel);
+        modeGroup.appendChild(radioGroup);
+
+        // Résumé de la simulation
+        const summary = createElement('div', {
+            class: 'import-summary'
+        }, 'Sélectionnez un fichier pour voir ce qui sera importé.');
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary',
+            disabled: true
+        }, 'Importer');
+
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        // Assembler le formulaire
+        form.appendChild(fileGroup);
+        form.appendChild(passphraseGroup);
+        form.appendChild(modeGroup);
+        form.appendChild(summary);
+        form.appendChild(actionsGroup);
+
+        const getMode = () => (replaceRadio.checked ? ImportMode.REPLACE : ImportMode.MERGE);
+        const getPassphrase = () => (passphraseGroup.hidden ? null : passphraseInput.value);
+
+        // Relancer la simulation à chaque changement de fichier, de phrase secrète ou de mode
+        const refreshPreview = async () => {
+            submitBtn.disabled = true;
+            if (!this.content) return;
+
+            try {
+                const result = await this.onPreview(this.content, getMode(), getPassphrase(), this.resolutions);
+                this.#renderSummary(summary, result, getMode(), refreshPreview);
+                submitBtn.disabled = false;
+            } catch (error) {
+                summary.className = 'import-summary import-summary--error';
+                summary.textContent = error.message;
+            }
+        };
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            this.content = file ? await file.text() : null;
+            this.resolutions = {};
+            passphraseGroup.hidden = !this.content || !isEncryptedBackup(this.content);
+            await refreshPreview();
+        });
+        passphraseInput.addEventListener('change', refreshPreview);
+        mergeRadio.addEventListener('change', refreshPreview);
+        replaceRadio.addEventListener('change', refreshPreview);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!this.content) return;
+
+            if (getMode() === ImportMode.REPLACE
+                && !confirm('Toutes les données actuelles seront supprimées. Continuer ?')) {
+                return;
+            }
+
+            if (this.onImport) {
+                this.onImport(this.content, getMode(), getPassphrase(), this.resolutions);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche le résumé de la simulation
+     * @param {HTMLElement} container - Conteneur du résumé
+     * @param {Object} summary - Résumé retourné par DataImporter.planImport
+     * @param {string} mode - Mode d'import (ImportMode)
+     * @param {Function} onResolve - Appelée après le choix d'une résolution (relance la simulation)
+     * @private
+     */
+    #renderSummary(container, summary, mode, onResolve) {
+        container.className = 'import-summary';
+        container.innerHTML = '';
+
+        const rows = [
+            ['Pointages', summary.timeEntries, summary.removed.timeEntries],
+            ['Projets', summary.projects, summary.removed.projects],
+            ['Sessions', summary.projectSessions, summary.removed.projectSessions],
+            ['Absences', summary.absences, summary.removed.absences]
+        ];
+
+        // Les archives annuelles ne sont mentionnées que si la sauvegarde en contient ou en supprime
+        if (summary.archives && (summary.archives.added + summary.archives.skipped + summary.removed.archives) > 0) {
+            rows.push(['Années archivées', summary.archives, summary.removed.archives]);
+        }
+
+        rows.forEach(([label, counts, removed]) => {
+            const parts = [
+                `${counts.added} ajouté(s)`,
+                `${counts.updated} mis à jour`,
+                `${counts.skipped} ignoré(s)`
+            ];
+            if (mode === ImportMode.REPLACE) {
+                parts.push(`${removed} supprimé(s)`);
+            }
+
+            container.appendChild(createElement('p', {
+                class: 'import-summary__row'
+            }, [
+                createElement('strong', {}, `${label} : `),
+                parts.join(', ')
+            ]));
+        });
+
+        if (summary.conflicts.length > 0) {
+            container.appendChild(this.#createConflictList(summary.conflicts, onResolve));
+        }
+    }
+
+    /**
+     * Crée la liste des jours pointés sur les deux appareils, avec le choix de leur résolution
+     * @param {Object[]} conflicts - Jours en conflit ({date, current, incoming, resolution})
+     * @param {Function} onResolve - Appelée après le choix d'une résolution
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createConflictList(conflicts, onResolve) {
+        const describe = entries => entries
+            .map(entry => `${getEntryTypeLabel(entry.type)} ${formatTime(new Date(entry.timestamp))}`)
+            .join(', ');
+
+        const list = createElement('div', {
+            class: 'import-conflicts'
+        }, createElement('p', {
+            class: 'import-summary__row import-summary--error'
+        }, `${conflicts.length} jour(s) pointé(s) différemment sur les deux appareils : choisissez les pointages à garder.`));
+
+        conflicts.forEach(conflict => {
+            const select = createElement('select', {
+                class: 'form-input',
+                'aria-label': `Résolution du ${conflict.date}`
+            });
+            [
+                [ConflictResolution.KEEP_CURRENT, 'Garder cet appareil'],
+                [ConflictResolution.USE_INCOMING, 'Prendre la sauvegarde'],
+                [ConflictResolution.KEEP_BOTH, 'Garder les deux']
+            ].forEach(([value, label]) => {
+                select.appendChild(createElement('option', { value }, label));
+            });
+            select.value = conflict.resolution;
+            select.addEventListener('change', () => {
+                this.resolutions[conflict.date] = select.value;
+                onResolve();
+            });
+
+            list.appendChild(createElement('div', {
+                class: 'import-conflicts__item'
+            }, [
+                createElement('strong', {}, conflict.date),
+                createElement('span', {}, `Cet appareil : ${describe(conflict.current)}`),
+                createElement('span', {}, `Sauvegarde : ${describe(conflict.incoming)}`),
+                select
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const form = this.#createForm();
+        super.show(form);
+    }
+}
+
+/**
+ * Popover pour supprimer définitivement un projet archivé
+ */
+export class PurgeProjectPopover extends Popover {
+    /**
+     * @param {Project} project - Projet à supprimer
+     * @param {Project[]} targets - Projets pouvant recevoir les sessions
+     * @param {Function} onSubmit - Callback appelé lors de la confirmation (reçoit {projectId, reassignTo})
+     */
+    constructor(project, targets, onSubmit) {
+        super('Supprimer définitivement le projet');
+        this.project = project;
+        this.targets = targets.filter(target => target.id !== project.id);
+        this.onSubmit = onSubmit;
+    }
+
+    /**
+     * Crée le formulaire de suppression
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const warning = createElement('p', {
+            class: 'import-summary import-summary--error'
+        }, `Le projet "${this.project.name}" sera supprimé. Cette action est irréversible.`);
+
+        // Choix du sort des sessions
+        const modeGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const modeLabel = createElement('label', {
+            class: 'form-label'
+        }, 'Sessions du projet');
+
+        const radioGroup = createElement('div', {
+            class: 'radio-group'
+        });
+
+        const deleteRadio = createElement('input', {
+            type: 'radio',
+            id: 'purge-mode-delete',
+            name: 'purge-mode',
+            value: 'delete',
+            checked: true
+        });
+        const deleteRadioLabel = createElement('label', {
+            for: 'purge-mode-delete',
+            class: 'radio-label'
+        }, 'Les supprimer');
+
+        const reassignRadio = createElement('input', {
+            type: 'radio',
+            id: 'purge-mode-reassign',
+            name: 'purge-mode',
+            value: 'reassign'
+        });
+        const reassignRadioLabel = createElement('label', {
+            for: 'purge-mode-reassign',
+            class: 'radio-label'
+        }, 'Les réattribuer');
+
+        radioGroup.appendChild(deleteRadio);
+        radioGroup.appendChild(deleteRadioLabel);
+        radioGroup.appendChild(reassignRadio);
+        radioGroup.appendChild(reassignRadioLabel);
+
+        modeGroup.appendChild(modeLabel);
+        modeGroup.appendChild(radioGroup);
+
+        // Projet de destination
+        const targetGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const targetLabel = createElement('label', {
+            class: 'form-label',
+            for: 'purge-target'
+        }, 'Réattribuer au projet');
+        const targetSelect = createElement('select', {
+            id: 'purge-target',
+            class: 'form-input'
+        });
+        this.targets.forEach(target => {
+            const suffix = target.isArchived() ? ' (archivé)' : '';
+            targetSelect.appendChild(createElement('option', {
+                value: target.id
+            }, `${target.name}${suffix}`));
+        });
+        targetSelect.disabled = true;
+        targetGroup.appendChild(targetLabel);
+        targetGroup.appendChild(targetSelect);
+
+        // Sans autre projet, la réattribution est impossible
+        if (this.targets.length === 0) {
+            reassignRadio.disabled = true;
+        }
+
+        const updateTarget = () => {
+            targetSelect.disabled = !reassignRadio.checked;
+        };
+        deleteRadio.addEventListener('change', updateTarget);
+        reassignRadio.addEventListener('change', updateTarget);
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--danger'
+        }, 'Supprimer définitivement');
+
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        // Assembler le formulaire
+        form.appendChild(warning);
+        form.appendChild(modeGroup);
+        form.appendChild(targetGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const reassignTo = reassignRadio.checked ? targetSelect.value : null;
+            if (!reassignTo && !confirm('Les sessions de ce projet seront supprimées. Continuer ?')) {
+                return;
+            }
+
+            if (this.onSubmit) {
+                this.onSubmit({ projectId: this.project.id, reassignTo });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const form = this.#createForm();
+        super.show(form);
+    }
+}
+
+/**
+ * Popover affichant le journal des modifications d'un enregistrement
+ */
+export class AuditLogPopover extends Popover {
+    /**
+     * @param {string} title - Titre de la popover
+     * @param {Object[]} records - Enregistrements du journal (ordre chronologique)
+     */
+    constructor(title, records) {
+        super(title);
+        this.records = records;
+    }
+
+    /**
+     * Crée la liste des modifications
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createContent() {
+        if (this.records.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucune modification enregistrée pour cet élément.');
+        }
+
+        const list = createElement('ul', {
+            class: 'audit-log'
+        });
+
+        // Plus récente en premier
+        [...this.records].reverse().forEach(record => {
+            const timestamp = new Date(record.timestamp);
+            const item = createElement('li', {
+                class: 'audit-log__item'
+            });
+
+            item.appendChild(createElement('div', {
+                class: 'audit-log__date'
+            }, `${formatDate(timestamp)} ${formatTime(timestamp)}`));
+            item.appendChild(createElement('div', {
+                class: 'audit-log__action'
+            }, record.action || getAuditOperationLabel(record.operation)));
+            item.appendChild(createElement('div', {
+                class: 'audit-log__change'
+            }, `${formatAuditState(record.store, record.before)} → ${formatAuditState(record.store, record.after)}`));
+
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        super.show(this.#createContent());
+    }
+}
+
+/**
+ * Popover de vérification des données : liste les problèmes et applique les corrections cochées
+ */
+export class IntegrityPopover extends Popover {
+    /**
+     * @param {Object[]} issues - Problèmes détectés ({id, message, fix, changes})
+     * @param {Function} onRepair - Callback appelé avec les problèmes à corriger
+     */
+    constructor(issues, onRepair) {
+        super('Vérifier mes données');
+        this.issues = issues;
+        this.onRepair = onRepair;
+    }
+
+    /**
+     * Crée le formulaire de correction
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        if (this.issues.length === 0) {
+            const closeBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--primary'
+            }, 'Fermer');
+            closeBtn.addEventListener('click', () => this.close());
+            actionsGroup.appendChild(closeBtn);
+
+            form.appendChild(createElement('p', {
+                class: 'import-summary'
+            }, 'Aucun problème détecté : vos données sont cohérentes.'));
+            form.appendChild(actionsGroup);
+            return form;
+        }
+
+        const summary = createElement('p', {
+            class: 'import-summary import-summary--error'
+        }, `${this.issues.length} problème(s) détecté(s). Décochez les corrections à ne pas appliquer.`);
+
+        // Un problème par ligne, coché par défaut
+        const list = createElement('ul', {
+            class: 'integrity-issues'
+        });
+        const checkboxes = this.issues.map((issue, i) => {
+            const checkbox = createElement('input', {
+                type: 'checkbox',
+                id: `integrity-issue-${i}`,
+                checked: true
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'integrity-issues__item'
+            }, [
+                checkbox,
+                createElement('label', {
+                    class: 'integrity-issues__label',
+                    for: `integrity-issue-${i}`
+                }, [
+                    createElement('span', { class: 'integrity-issues__message' }, issue.message),
+                    createElement('span', { class: 'integrity-issues__fix' }, `→ ${issue.fix}`)
+                ])
+            ]));
+
+            return checkbox;
+        });
+
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Appliquer les corrections');
+
+        const updateSubmit = () => {
+            submitBtn.disabled = !checkboxes.some(checkbox => checkbox.checked);
+        };
+        checkboxes.forEach(checkbox => checkbox.addEventListener('change', updateSubmit));
+
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        // Assembler le formulaire
+        form.appendChild(summary);
+        form.appendChild(list);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const selected = this.issues.filter((issue, i) => checkboxes[i].checked);
+            if (selected.length === 0) return;
+
+            if (this.onRepair) {
+                this.onRepair(selected);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const form = this.#createForm();
+        super.show(form);
+    }
+}
+
+/**
+ * Popover pour activer, changer ou désactiver le chiffrement des données
+ */
+export class EncryptionPopover extends Popover {
+    /**
+     * @param {boolean} encrypted - Les données sont-elles déjà chiffrées
+     * @param {Function} onSave - Callback appelé avec la nouvelle phrase secrète (null pour désactiver)
+     */
+    constructor(encrypted, onSave) {
+        super('Chiffrement des données');
+        this.encrypted = encrypted;
+        this.onSave = onSave;
+    }
+
+    /**
+     * Crée le formulaire de phrase secrète
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, this.encrypted
+            ? 'Vos données sont chiffrées. Saisissez une nouvelle phrase secrète pour la changer.'
+            : 'Les pointages, projets, sessions, sauvegardes automatiques et le journal seront chiffrés. La phrase secrète sera demandée à chaque ouverture de l\'application.');
+
+        const warning = createElement('p', {
+            class: 'import-summary import-summary--error'
+        }, 'Sans la phrase secrète, les données sont irrécupérables : conservez-la en lieu sûr.');
+
+        // Nouvelle phrase secrète et confirmation
+        const passphraseGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const passphraseInput = createElement('input', {
+            type: 'password',
+            id: 'encryption-passphrase',
+            class: 'form-input',
+            autocomplete: 'new-password',
+            required: true
+        });
+        passphraseGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'encryption-passphrase'
+        }, `Nouvelle phrase secrète (${MIN_PASSPHRASE_LENGTH} caractères minimum)`));
+        passphraseGroup.appendChild(passphraseInput);
+
+        const confirmGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const confirmInput = createElement('input', {
+            type: 'password',
+            id: 'encryption-passphrase-confirm',
+            class: 'form-input',
+            autocomplete: 'new-password',
+            required: true
+        });
+        confirmGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'encryption-passphrase-confirm'
+        }, 'Confirmer la phrase secrète'));
+        confirmGroup.appendChild(confirmInput);
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        if (this.encrypted) {
+            const disableBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--danger'
+            }, 'Désactiver le chiffrement');
+            disableBtn.addEventListener('click', () => {
+                if (!confirm('Les données seront de nouveau stockées en clair. Continuer ?')) {
+                    return;
+                }
+                this.onSave(null);
+                this.close();
+            });
+            actionsGroup.appendChild(disableBtn);
+        }
+
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, this.encrypted ? 'Changer la phrase secrète' : 'Activer le chiffrement');
+
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        // Assembler le formulaire
+        form.appendChild(intro);
+        form.appendChild(warning);
+        form.appendChild(passphraseGroup);
+        form.appendChild(confirmGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const passphrase = passphraseInput.value;
+
+            try {
+                validatePassphrase(passphrase);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+
+            if (passphrase !== confirmInput.value) {
+                alert('Les deux phrases secrètes sont différentes.');
+                return;
+            }
+
+            if (this.onSave) {
+                this.onSave(passphrase);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const form = this.#createForm();
+        super.show(form);
+    }
+}
+
+/**
+ * Popover des sauvegardes automatiques : paramètres, liste des instantanés, aperçu et restauration
+ */
+export class BackupsPopover extends Popover {
+    /**
+     * @param {Object[]} backups - Instantanés, du plus récent au plus ancien
+     * @param {{frequency: string, keep: number}} settings - Paramètres actuels
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSaveSettings - Appelé avec les nouveaux paramètres ({frequency, keep})
+     * @param {Function} handlers.onCreate - Appelé pour créer un instantané immédiatement
+     * @param {Function} handlers.onPreview - Reçoit l'ID d'un instantané, retourne ses totaux (voir summarizeBackup)
+     * @param {Function} handlers.onRestore - Appelé avec l'ID de l'instantané à restaurer
+     */
+    constructor(backups, settings, { onSaveSettings, onCreate, onPreview, onRestore }) {
+        super('Sauvegardes automatiques');
+        this.backups = backups;
+        this.settings = settings;
+        this.onSaveSettings = onSaveSettings;
+        this.onCreate = onCreate;
+        this.onPreview = onPreview;
+        this.onRestore = onRestore;
+    }
+
+    /**
+     * Crée le formulaire des paramètres
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createSettingsForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        // Fréquence
+        const frequencyGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const frequencySelect = createElement('select', {
+            id: 'backup-frequency',
+            class: 'form-input'
+        });
+        [
+            [BackupFrequency.DAILY, 'Tous les jours'],
+            [BackupFrequency.WEEKLY, 'Toutes les semaines'],
+            [BackupFrequency.OFF, 'Désactivées']
+        ].forEach(([value, label]) => {
+            frequencySelect.appendChild(createElement('option', { value }, label));
+        });
+        frequencySelect.value = this.settings.frequency;
+        frequencyGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'backup-frequency'
+        }, 'Fréquence'));
+        frequencyGroup.appendChild(frequencySelect);
+
+        // Nombre d'instantanés conservés
+        const keepGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const keepInput = createElement('input', {
+            type: 'number',
+            id: 'backup-keep',
+            class: 'form-input',
+            min: '1',
+            max: String(MAX_BACKUPS_KEPT),
+            step: '1',
+            value: String(this.settings.keep),
+            required: true
+        });
+        keepGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'backup-keep'
+        }, 'Nombre de sauvegardes conservées'));
+        keepGroup.appendChild(keepInput);
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        const createBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Sauvegarder maintenant');
+        createBtn.addEventListener('click', () => {
+            if (this.onCreate) {
+                this.onCreate();
+            }
+            this.close();
+        });
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+
+        actionsGroup.appendChild(createBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(frequencyGroup);
+        form.appendChild(keepGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const keep = Number(keepInput.value);
+            if (keep > 0 && keep < this.backups.length
+                && !confirm(`Les ${this.backups.length - keep} sauvegarde(s) les plus anciennes seront supprimées. Continuer ?`)) {
+                return;
+            }
+
+            if (this.onSaveSettings) {
+                this.onSaveSettings({ frequency: frequencySelect.value, keep });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée la liste des instantanés
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createList() {
+        if (this.backups.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucune sauvegarde pour le moment.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        this.backups.forEach(backup => {
+            const createdAt = new Date(backup.createdAt);
+            const preview = createElement('div', {
+                class: 'import-summary'
+            });
+            preview.hidden = true;
+
+            const previewBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Aperçu');
+            previewBtn.addEventListener('click', async () => {
+                if (!preview.hidden) {
+                    preview.hidden = true;
+                    return;
+                }
+
+                try {
+                    this.#renderPreview(preview, await this.onPreview(backup.id));
+                } catch (error) {
+                    preview.className = 'import-summary import-summary--error';
+                    preview.textContent = error.message;
+                }
+                preview.hidden = false;
+            });
+
+            const restoreBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--primary'
+            }, 'Restaurer');
+            restoreBtn.addEventListener('click', () => {
+                if (!confirm('Toutes les données actuelles seront remplacées par cette sauvegarde (l\'état actuel est sauvegardé avant). Continuer ?')) {
+                    return;
+                }
+                if (this.onRestore) {
+                    this.onRestore(backup.id);
+                }
+                this.close();
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__header'
+                }, [
+                    createElement('div', {
+                        class: 'backups-list__info'
+                    }, [
+                        createElement('span', {
+                            class: 'backups-list__date'
+                        }, `${formatDate(createdAt)} ${formatTime(createdAt)}`),
+                        createElement('span', {
+                            class: 'backups-list__meta'
+                        }, `${getBackupTriggerLabel(backup.trigger)} · ${formatBytes(backup.size)}`)
+                    ]),
+                    createElement('div', {
+                        class: 'backups-list__actions'
+                    }, [previewBtn, restoreBtn])
+                ]),
+                preview
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Affiche les totaux d'un instantané
+     * @param {HTMLElement} container - Conteneur de l'aperçu
+     * @param {Object} totals - Totaux retournés par summarizeBackup
+     * @private
+     */
+    #renderPreview(container, totals) {
+        container.className = 'import-summary';
+        container.innerHTML = '';
+
+        const rows = [
+            ['Période', totals.firstDate ? `du ${totals.firstDate} au ${totals.lastDate}` : 'aucune donnée'],
+            ['Pointages', `${totals.timeEntries} (${totals.workedDays} jour(s) terminé(s))`],
+            ['Présence', formatDuration(totals.presenceTime)],
+            ['Projets', String(totals.projects)],
+            ['Sessions', `${totals.projectSessions} (${formatDuration(totals.projectTime)})`]
+        ];
+
+        rows.forEach(([label, value]) => {
+            container.appendChild(createElement('p', {
+                class: 'import-summary__row'
+            }, [
+                createElement('strong', {}, `${label} : `),
+                value
+            ]));
+        });
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createSettingsForm(),
+            this.#createList()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Libellés des stores affichés dans le panneau de stockage
+ */
+const STORE_LABELS = {
+    [STORES.TIME_ENTRIES]: 'Pointages',
+    [STORES.PROJECTS]: 'Projets',
+    [STORES.PROJECT_SESSIONS]: 'Sessions',
+    [STORES.AUDIT_LOG]: 'Journal des modifications',
+    [STORES.SETTINGS]: 'Paramètres',
+    [STORES.BACKUPS]: 'Sauvegardes automatiques',
+    [STORES.ARCHIVES]: 'Archives annuelles',
+    [STORES.TOMBSTONES]: 'Suppressions à synchroniser',
+    [STORES.ABSENCES]: 'Absences'
+};
+
+/**
+ * Popover du stockage : espace utilisé, enregistrements par store et archives annuelles
+ */
+export class StoragePopover extends Popover {
+    /**
+     * @param {Object} info - État du stockage
+     * @param {{usage: number, quota: number}|null} info.estimate - Estimation du navigateur (null si indisponible)
+     * @param {Object<string, number>} info.counts - Nombre d'enregistrements par store
+     * @param {Object[]} info.archives - Archives annuelles ({year, counts, size})
+     * @param {number[]} info.archivableYears - Années passées pouvant être archivées
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onArchive - Appelé avec l'année à archiver
+     * @param {Function} handlers.onUnarchive - Appelé avec l'année à réintégrer
+     */
+    constructor({ estimate, counts, archives, archivableYears }, { onArchive, onUnarchive }) {
+        super('Stockage');
+        this.estimate = estimate;
+        this.counts = counts;
+        this.archives = archives;
+        this.archivableYears = archivableYears;
+        this.onArchive = onArchive;
+        this.onUnarchive = onUnarchive;
+    }
+
+    /**
+     * Crée le résumé de l'espace utilisé et des enregistrements
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createUsage() {
+        const usage = createElement('div', {
+            class: 'import-summary'
+        });
+
+        const estimate = this.estimate
+            ? `${formatBytes(this.estimate.usage)} sur ${formatBytes(this.estimate.quota)} disponibles`
+                + ` (${(this.estimate.usage / this.estimate.quota * 100).toLocaleString('fr-FR', { maximumFractionDigits: 1 })} %)`
+            : 'estimation indisponible dans ce navigateur';
+        usage.appendChild(createElement('p', {
+            class: 'import-summary__row'
+        }, [createElement('strong', {}, 'Espace utilisé : '), estimate]));
+
+        Object.entries(STORE_LABELS).forEach(([storeName, label]) => {
+            usage.appendChild(createElement('p', {
+                class: 'import-summary__row'
+            }, [createElement('strong', {}, `${label} : `), String(this.counts[storeName] || 0)]));
+        });
+
+        return usage;
+    }
+
+    /**
+     * Crée le formulaire d'archivage d'une année
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createArchiveForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        if (this.archivableYears.length === 0) {
+            form.appendChild(createElement('p', {
+                class: 'import-summary'
+            }, 'Aucune année passée à archiver.'));
+            return form;
+        }
+
+        const yearGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const yearSelect = createElement('select', {
+            id: 'archive-year',
+            class: 'form-input'
+        });
+        this.archivableYears.forEach(year => {
+            yearSelect.appendChild(createElement('option', { value: String(year) }, String(year)));
+        });
+        yearGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'archive-year'
+        }, 'Archiver une année passée'));
+        yearGroup.appendChild(yearSelect);
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        actionsGroup.appendChild(createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Archiver l\'année'));
+
+        form.appendChild(yearGroup);
+        form.appendChild(createElement('p', {
+            class: 'import-summary'
+        }, 'Les pointages et sessions de l\'année sont compressés et retirés des données courantes. Les rapports les relisent en consultation seule.'));
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const year = Number(yearSelect.value);
+
+            if (!confirm(`Archiver les pointages et sessions de ${year} ? Ils ne seront plus modifiables sans réintégrer l'archive.`)) {
+                return;
+            }
+
+            if (this.onArchive) {
+                this.onArchive(year);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée la liste des archives annuelles
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createArchiveList() {
+        if (this.archives.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucune année archivée.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        this.archives.forEach(archive => {
+            const unarchiveBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Réintégrer');
+            unarchiveBtn.addEventListener('click', () => {
+                if (!confirm(`Réintégrer les données de ${archive.year} dans les données courantes ?`)) {
+                    return;
+                }
+                if (this.onUnarchive) {
+                    this.onUnarchive(archive.year);
+                }
+                this.close();
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, createElement('div', {
+                class: 'backups-list__header'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__info'
+                }, [
+                    createElement('span', {
+                        class: 'backups-list__date'
+                    }, `Année ${archive.year}`),
+                    createElement('span', {
+                        class: 'backups-list__meta'
+                    }, `${archive.counts.timeEntries} pointage(s), ${archive.counts.projectSessions} session(s) · ${formatBytes(archive.size)}`)
+                ]),
+                createElement('div', {
+                    class: 'backups-list__actions'
+                }, unarchiveBtn)
+            ])));
+        });
+
+        return list;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createUsage(),
+            this.#createArchiveForm(),
+            this.#createArchiveList()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Popover de la synchronisation : serveur, jeton, activation et dernier échange
+ */
+export class SyncPopover extends Popover {
+    /**
+     * @param {{enabled: boolean, endpoint: string, token: string}} settings - Paramètres actuels
+     * @param {Object} state - État de la synchronisation (voir INITIAL_SYNC_STATE)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSave - Appelé avec les nouveaux paramètres ({enabled, endpoint, token})
+     * @param {Function} handlers.onSyncNow - Appelé pour synchroniser immédiatement
+     */
+    constructor(settings, state, { onSave, onSyncNow }) {
+        super('Synchronisation');
+        this.settings = settings;
+        this.state = state;
+        this.onSave = onSave;
+        this.onSyncNow = onSyncNow;
+    }
+
+    /**
+     * Crée le résumé du dernier échange
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createStatus() {
+        const status = createElement('div', {
+            class: 'import-summary'
+        });
+
+        const lastSyncAt = this.state.lastSyncAt ? new Date(this.state.lastSyncAt) : null;
+        status.appendChild(createElement('p', {
+            class: 'import-summary__row'
+        }, [
+            createElement('strong', {}, 'Dernière synchronisation : '),
+            lastSyncAt ? `${formatDate(lastSyncAt)} ${formatTime(lastSyncAt)}` : 'jamais'
+        ]));
+
+        if (this.state.lastError) {
+            status.appendChild(createElement('p', {
+                class: 'import-summary__row import-summary--error'
+            }, [createElement('strong', {}, 'Dernière erreur : '), this.state.lastError]));
+        }
+
+        return status;
+    }
+
+    /**
+     * Crée le formulaire des paramètres
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Les pointages, projets et sessions sont échangés avec votre serveur de synchronisation (voir docs/sync-api.md). Les archives annuelles restent sur cet appareil.');
+
+        // Adresse du serveur
+        const endpointGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const endpointInput = createElement('input', {
+            type: 'url',
+            id: 'sync-endpoint',
+            class: 'form-input',
+            placeholder: 'https://sync.example.org',
+            value: this.settings.endpoint
+        });
+        endpointGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'sync-endpoint'
+        }, 'Adresse du serveur'));
+        endpointGroup.appendChild(endpointInput);
+
+        // Jeton d'accès
+        const tokenGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const tokenInput = createElement('input', {
+            type: 'password',
+            id: 'sync-token',
+            class: 'form-input',
+            autocomplete: 'off',
+            value: this.settings.token
+        });
+        tokenGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'sync-token'
+        }, 'Jeton d\'accès'));
+        tokenGroup.appendChild(tokenInput);
+
+        // Activation
+        const enabledGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const enabledCheckbox = createElement('input', {
+            type: 'checkbox',
+            id: 'sync-enabled'
+        });
+        enabledCheckbox.checked = this.settings.enabled;
+        enabledGroup.appendChild(createElement('label', {
+            class: 'form-checkbox',
+            for: 'sync-enabled'
+        }, [enabledCheckbox, 'Synchroniser automatiquement toutes les 5 minutes']));
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+
+        if (this.settings.enabled) {
+            const syncBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Synchroniser maintenant');
+            syncBtn.addEventListener('click', () => {
+                if (this.onSyncNow) {
+                    this.onSyncNow();
+                }
+                this.close();
+            });
+            actionsGroup.appendChild(syncBtn);
+        }
+
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(intro);
+        form.appendChild(endpointGroup);
+        form.appendChild(tokenGroup);
+        form.appendChild(enabledGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.onSave) {
+                this.onSave({
+                    enabled: enabledCheckbox.checked,
+                    endpoint: endpointInput.value,
+                    token: tokenInput.value
+                });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createStatus(),
+            this.#createForm()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Popover des horaires de travail : objectif de chaque jour de la semaine à partir d'une date
+ */
+export class WorkSchedulePopover extends Popover {
+    /**
+     * @param {Object[]} schedules - Historique des horaires, du plus ancien au plus récent
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSave - Appelé avec le nouvel horaire ({effectiveFrom, targets})
+     * @param {Function} handlers.onDelete - Appelé avec la date d'effet de l'horaire à supprimer
+     * @param {Function} [handlers.onSaveRecovery] - Appelé avec les paramètres des journées oubliées
+     * @param {Function} [handlers.onSaveLocations] - Appelé avec les lieux de travail par défaut ({defaults})
+     * @param {Object|null} [recoverySettings] - Paramètres des journées oubliées (voir DEFAULT_RECOVERY_SETTINGS)
+     * @param {Object|null} [locationSettings] - Lieux de travail par défaut (voir DEFAULT_LOCATION_SETTINGS)
+     */
+    constructor(schedules, { onSave, onDelete, onSaveRecovery = null, onSaveLocations = null }, recoverySettings = null, locationSettings = null) {
+        super('Horaires de travail');
+        this.schedules = schedules;
+        this.onSave = onSave;
+        this.onDelete = onDelete;
+        this.onSaveRecovery = onSaveRecovery;
+        this.onSaveLocations = onSaveLocations;
+        this.recoverySettings = recoverySettings;
+        this.locationSettings = locationSettings;
+    }
+
+    /**
+     * Crée le formulaire d'un nouvel horaire (prérempli avec l'horaire en vigueur)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const today = getTodayDateString();
+        const current = getScheduleForDate(this.schedules, today);
+        const targets = current ? current.targets : DEFAULT_WEEKLY_TARGETS;
+
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Objectif de présence de chaque jour (0 pour un jour non travaillé). Les jours antérieurs à la date d\'effet gardent l\'horaire précédent.');
+
+        // Date d'effet
+        const dateGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const dateInput = createElement('input', {
+            type: 'date',
+            id: 'schedule-effective-from',
+            class: 'form-input',
+            value: today,
+            required: true
+        });
+        dateGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'schedule-effective-from'
+        }, 'À partir du'));
+        dateGroup.appendChild(dateInput);
+
+        // Objectif de chaque jour, en heures
+        const grid = createElement('div', {
+            class: 'schedule-grid'
+        });
+        const inputs = WEEKDAYS.map(([weekday, label]) => {
+            const input = createElement('input', {
+                type: 'number',
+                id: `schedule-day-${weekday}`,
+                class: 'form-input',
+                min: '0',
+                max: '24',
+                step: '0.25',
+                value: String(targets[weekday] / 60),
+                required: true
+            });
+            grid.appendChild(createElement('div', {
+                class: 'form-group'
+            }, [
+                createElement('label', {
+                    class: 'form-label',
+                    for: `schedule-day-${weekday}`
+                }, `${label} (h)`),
+                input
+            ]));
+            return [weekday, input];
+        });
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(intro);
+        form.appendChild(dateGroup);
+        form.appendChild(grid);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const nextTargets = new Array(7).fill(0);
+            inputs.forEach(([weekday, input]) => {
+                nextTargets[weekday] = Math.round(Number(input.value) * 60);
+            });
+
+            if (this.onSave) {
+                this.onSave({ effectiveFrom: dateInput.value, targets: nextTargets });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée la liste des horaires enregistrés (le plus récent en premier)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createList() {
+        if (this.schedules.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucun horaire enregistré : l\'objectif est de 8h par jour.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        [...this.schedules].reverse().forEach(schedule => {
+            const days = WEEKDAYS
+                .filter(([weekday]) => schedule.targets[weekday] > 0)
+                .map(([weekday, label]) => `${label.slice(0, 3)} ${formatDuration(schedule.targets[weekday] * 60 * 1000)}`)
+                .join(', ');
+
+            const deleteBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Supprimer');
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`Supprimer l'horaire du ${schedule.effectiveFrom} ? Les jours concernés reprendront l'horaire précédent.`)) {
+                    return;
+                }
+                if (this.onDelete) {
+                    this.onDelete(schedule.effectiveFrom);
+                }
+                this.close();
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__header'
+                }, [
+                    createElement('div', {
+                        class: 'backups-list__info'
+                    }, [
+                        createElement('span', {
+                            class: 'backups-list__date'
+                        }, `Depuis le ${schedule.effectiveFrom} · ${formatDuration(getWeeklyTarget(schedule))} par semaine`),
+                        createElement('span', {
+                            class: 'backups-list__meta'
+                        }, days)
+                    ]),
+                    createElement('div', {
+                        class: 'backups-list__actions'
+                    }, [deleteBtn])
+                ])
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Crée le formulaire des journées oubliées (départ non pointé)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createRecoveryForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Départs oubliés : une journée restée ouverte est signalée au démarrage suivant, ou fermée automatiquement.');
+
+        // Fermeture automatique
+        const autoCloseGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const autoCloseSelect = createElement('select', {
+            id: 'recovery-auto-close',
+            class: 'form-input'
+        });
+        [
+            ['', 'Demander à chaque fois'],
+            [RecoveryStrategy.LAST_ACTIVITY, getRecoveryStrategyLabel(RecoveryStrategy.LAST_ACTIVITY)],
+            [RecoveryStrategy.USUAL_LEAVE, getRecoveryStrategyLabel(RecoveryStrategy.USUAL_LEAVE)]
+        ].forEach(([value, label]) => {
+            autoCloseSelect.appendChild(createElement('option', { value }, label));
+        });
+        autoCloseSelect.value = this.recoverySettings.autoClose || '';
+        autoCloseGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'recovery-auto-close'
+        }, 'Fermeture'));
+        autoCloseGroup.appendChild(autoCloseSelect);
+
+        // Heure de départ habituelle (vide : déduite des derniers départs)
+        const leaveGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const leaveInput = createElement('input', {
+            type: 'time',
+            id: 'recovery-usual-leave',
+            class: 'form-input',
+            value: this.recoverySettings.usualLeaveTime || ''
+        });
+        leaveGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'recovery-usual-leave'
+        }, 'Heure de départ habituelle (vide : déduite des derniers départs)'));
+        leaveGroup.appendChild(leaveInput);
+
+        // Délai sans activité
+        const staleGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const staleInput = createElement('input', {
+            type: 'number',
+            id: 'recovery-stale-after',
+            class: 'form-input',
+            min: '1',
+            max: '24',
+            step: '1',
+            value: String(this.recoverySettings.staleAfter / 60),
+            required: true
+        });
+        staleGroup.appendChild(createElement('label', {
+            class: 'form-label',
+            for: 'recovery-stale-after'
+        }, 'Journée oubliée après (h sans activité)'));
+        staleGroup.appendChild(staleInput);
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        actionsGroup.appendChild(createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer'));
+
+        form.appendChild(intro);
+        form.appendChild(autoCloseGroup);
+        form.appendChild(leaveGroup);
+        form.appendChild(staleGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.onSaveRecovery) {
+                this.onSaveRecovery({
+                    autoClose: autoCloseSelect.value || null,
+                    usualLeaveTime: leaveInput.value || null,
+                    staleAfter: Math.round(Number(staleInput.value) * 60)
+                });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée le formulaire des lieux de travail proposés à l'arrivée
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createLocationForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Lieu de travail proposé à l\'arrivée selon le jour. Il reste modifiable à chaque pointage.');
+
+        const grid = createElement('div', {
+            class: 'schedule-grid'
+        });
+        const selects = WEEKDAYS.map(([weekday, label]) => {
+            const select = createElement('select', {
+                id: `location-day-${weekday}`,
+                class: 'form-input'
+            });
+            Object.values(WorkLocation).forEach(location => {
+                select.appendChild(createElement('option', { value: location }, formatWorkLocation(location)));
+            });
+            select.value = this.locationSettings.defaults[weekday];
+            grid.appendChild(createElement('div', {
+                class: 'form-group'
+            }, [
+                createElement('label', {
+                    class: 'form-label',
+                    for: `location-day-${weekday}`
+                }, label),
+                select
+            ]));
+            return [weekday, select];
+        });
+
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        actionsGroup.appendChild(createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer'));
+
+        form.appendChild(intro);
+        form.appendChild(grid);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const defaults = new Array(7).fill(WorkLocation.OFFICE);
+            selects.forEach(([weekday, select]) => {
+                defaults[weekday] = select.value;
+            });
+
+            if (this.onSaveLocations) {
+                this.onSaveLocations({ defaults });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createForm(),
+            this.#createList(),
+            ...(this.recoverySettings ? [this.#createRecoveryForm()] : []),
+            ...(this.locationSettings ? [this.#createLocationForm()] : [])
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Popover des absences (congés, arrêts maladie, formations) et des jours fériés
+ */
+export class AbsencesPopover extends Popover {
+    /**
+     * @param {Absence[]} absences - Absences enregistrées, triées par jour
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSave - Appelé avec la saisie ({startDate, endDate, type, note})
+     * @param {Function} handlers.onDelete - Appelé avec l'ID de l'absence à supprimer
+     */
+    constructor(absences, { onSave, onDelete }) {
+        super('Absences et jours fériés');
+        this.absences = absences;
+        this.onSave = onSave;
+        this.onDelete = onDelete;
+    }
+
+    /**
+     * Crée le formulaire de saisie d'une absence sur une plage de jours
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const today = getTodayDateString();
+
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Une absence crédite l\'objectif du jour. Les jours non travaillés et les jours fériés de la plage sont ignorés.');
+        form.appendChild(intro);
+
+        // Plage de jours
+        const dateInputs = [['absence-start', 'Du'], ['absence-end', 'Au']].map(([id, label]) => {
+            const input = createElement('input', {
+                type: 'date',
+                id,
+                class: 'form-input',
+                value: today,
+                required: true
+            });
+            form.appendChild(createElement('div', {
+                class: 'form-group'
+            }, [
+                createElement('label', { class: 'form-label', for: id }, label),
+                input
+            ]));
+            return input;
+        });
+        const [startInput, endInput] = dateInputs;
+
+        // Type d'absence
+        const typeSelect = createElement('select', {
+            id: 'absence-type',
+            class: 'form-input',
+            required: true
+        });
+        Object.values(ABSENCE_TYPES).forEach(type => {
+            typeSelect.appendChild(createElement('option', { value: type }, getAbsenceTypeLabel(type)));
+        });
+        typeSelect.value = ABSENCE_TYPES.PAID_LEAVE;
+        const typeGroup = createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', { class: 'form-label', for: 'absence-type' }, 'Type'),
+            typeSelect
+        ]);
+
+        // Note
+        const noteInput = createElement('input', {
+            type: 'text',
+            id: 'absence-note',
+            class: 'form-input',
+            placeholder: 'Optionnel'
+        });
+        const noteGroup = createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', { class: 'form-label', for: 'absence-note' }, 'Note'),
+            noteInput
+        ]);
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(typeGroup);
+        form.appendChild(noteGroup);
+        form.appendChild(actionsGroup);
+
+        // Une seule journée par défaut : la fin suit le début tant qu'elle le précède
+        startInput.addEventListener('change', () => {
+            if (endInput.value < startInput.value) {
+                endInput.value = startInput.value;
+            }
+        });
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.onSave) {
+                this.onSave({
+                    startDate: startInput.value,
+                    endDate: endInput.value,
+                    type: typeSelect.value,
+                    note: noteInput.value.trim()
+                });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée la liste des absences enregistrées (la plus récente en premier)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createList() {
+        if (this.absences.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucune absence enregistrée.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        [...this.absences].reverse().forEach(absence => {
+            const deleteBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Supprimer');
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`Supprimer l'absence du ${absence.date} ?`)) {
+                    return;
+                }
+                if (this.onDelete) {
+                    this.onDelete(absence.id);
+                }
+                this.close();
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__header'
+                }, [
+                    createElement('div', {
+                        class: 'backups-list__info'
+                    }, [
+                        createElement('span', {
+                            class: 'backups-list__date'
+                        }, `${absence.date} · ${getAbsenceTypeLabel(absence.type)}`),
+                        createElement('span', {
+                            class: 'backups-list__meta'
+                        }, absence.note || '-')
+                    ]),
+                    createElement('div', {
+                        class: 'backups-list__actions'
+                    }, [deleteBtn])
+                ])
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Crée le rappel des jours fériés à venir dans l'année
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createHolidays() {
+        const today = getTodayDateString();
+        const upcoming = getFrenchPublicHolidays(Number(today.slice(0, 4)))
+            .filter(holiday => holiday.date >= today)
+            .map(holiday => `${holiday.date.slice(8)}/${holiday.date.slice(5, 7)} ${holiday.name}`);
+
+        return createElement('p', {
+            class: 'import-summary'
+        }, upcoming.length > 0
+            ? `Jours fériés à venir (crédités automatiquement) : ${upcoming.join(', ')}`
+            : 'Plus de jour férié cette année.');
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createForm(),
+            this.#createHolidays(),
+            this.#createList()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Popover du compteur d'heures : paramètres, ajustements manuels et historique par semaine
+ */
+export class OvertimeLedgerPopover extends Popover {
+    /**
+     * @param {Object} overtime - Compteur calculé
+     * @param {Object} overtime.ledger - Paramètres enregistrés ({startDate, openingBalance, adjustments})
+     * @param {string} overtime.startDate - Premier jour compté (date enregistrée ou premier jour de données)
+     * @param {Object} overtime.history - Historique ({balance, movements}, voir buildOvertimeHistory)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSaveSettings - Appelé avec les paramètres ({startDate, openingBalance})
+     * @param {Function} handlers.onAddAdjustment - Appelé avec l'ajustement ({date, type, amount, note})
+     * @param {Function} handlers.onDeleteAdjustment - Appelé avec l'ID de l'ajustement à supprimer
+     */
+    constructor(overtime, { onSaveSettings, onAddAdjustment, onDeleteAdjustment }) {
+        super('Compteur d\'heures');
+        this.overtime = overtime;
+        this.onSaveSettings = onSaveSettings;
+        this.onAddAdjustment = onAddAdjustment;
+        this.onDeleteAdjustment = onDeleteAdjustment;
+    }
+
+    /**
+     * Crée un champ de formulaire libellé
+     * @param {string} id - ID du champ
+     * @param {string} label - Libellé
+     * @param {HTMLElement} input - Champ
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createGroup(id, label, input) {
+        return createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', { class: 'form-label', for: id }, label),
+            input
+        ]);
+    }
+
+    /**
+     * Crée les boutons Annuler / Enregistrer d'un formulaire
+     * @param {string} submitLabel - Libellé du bouton de validation
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createActions(submitLabel) {
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+
+        return createElement('div', {
+            class: 'form-actions'
+        }, [
+            cancelBtn,
+            createElement('button', {
+                type: 'submit',
+                class: 'btn btn--primary'
+            }, submitLabel)
+        ]);
+    }
+
+    /**
+     * Crée le formulaire de la date de début et du solde d'ouverture
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createSettingsForm() {
+        const { ledger, startDate, history } = this.overtime;
+
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        form.appendChild(createElement('p', {
+            class: 'import-summary'
+        }, `Solde : ${formatSignedDuration(history.balance)} (depuis le ${startDate}, jours terminés uniquement). Le solde d'ouverture reporte un compteur tenu ailleurs.`));
+
+        const startInput = createElement('input', {
+            type: 'date',
+            id: 'overtime-start',
+            class: 'form-input',
+            value: ledger.startDate || ''
+        });
+        const openingInput = createElement('input', {
+            type: 'number',
+            id: 'overtime-opening',
+            class: 'form-input',
+            step: '0.25',
+            value: String(ledger.openingBalance / 3600000),
+            required: true
+        });
+
+        form.appendChild(this.#createGroup('overtime-start', 'Compter à partir du (vide : premier jour pointé)', startInput));
+        form.appendChild(this.#createGroup('overtime-opening', 'Solde d\'ouverture (h, négatif si dû)', openingInput));
+        form.appendChild(this.#createActions('Enregistrer'));
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.onSaveSettings) {
+                this.onSaveSettings({
+                    startDate: startInput.value || null,
+                    openingBalance: Math.round(Number(openingInput.value) * 3600000)
+                });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée le formulaire d'ajustement manuel (heures récupérées, payées ou correction)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createAdjustmentForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        form.appendChild(createElement('p', {
+            class: 'import-summary'
+        }, 'Les heures récupérées ou payées sont retirées du solde. Une correction peut être négative.'));
+
+        const dateInput = createElement('input', {
+            type: 'date',
+            id: 'overtime-adjustment-date',
+            class: 'form-input',
+            value: getTodayDateString(),
+            required: true
+        });
+        const typeSelect = createElement('select', {
+            id: 'overtime-adjustment-type',
+            class: 'form-input',
+            required: true
+        });
+        Object.values(OvertimeAdjustmentType).forEach(type => {
+            typeSelect.appendChild(createElement('option', { value: type }, getAdjustmentTypeLabel(type)));
+        });
+        const hoursInput = createElement('input', {
+            type: 'number',
+            id: 'overtime-adjustment-hours',
+            class: 'form-input',
+            step: '0.25',
+            required: true
+        });
+        const noteInput = createElement('input', {
+            type: 'text',
+            id: 'overtime-adjustment-note',
+            class: 'form-input',
+            placeholder: 'Optionnel'
+        });
+
+        form.appendChild(this.#createGroup('overtime-adjustment-date', 'Date', dateInput));
+        form.appendChild(this.#createGroup('overtime-adjustment-type', 'Type', typeSelect));
+        form.appendChild(this.#createGroup('overtime-adjustment-hours', 'Durée (h)', hoursInput));
+        form.appendChild(this.#createGroup('overtime-adjustment-note', 'Note', noteInput));
+        form.appendChild(this.#createActions('Ajouter'));
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.onAddAdjustment) {
+                this.onAddAdjustment({
+                    date: dateInput.value,
+                    type: typeSelect.value,
+                    amount: Math.round(Number(hoursInput.value) * 3600000),
+                    note: noteInput.value.trim()
+                });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Crée la liste des ajustements enregistrés (le plus récent en premier)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createAdjustmentList() {
+        const { adjustments } = this.overtime.ledger;
+        if (adjustments.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucun ajustement enregistré.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        [...adjustments].reverse().forEach(adjustment => {
+            const deleteBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Supprimer');
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`Supprimer l'ajustement du ${adjustment.date} ?`)) {
+                    return;
+                }
+                if (this.onDeleteAdjustment) {
+                    this.onDeleteAdjustment(adjustment.id);
+                }
+                this.close();
+            });
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__header'
+                }, [
+                    createElement('div', {
+                        class: 'backups-list__info'
+                    }, [
+                        createElement('span', {
+                            class: 'backups-list__date'
+                        }, `${adjustment.date} · ${getAdjustmentTypeLabel(adjustment.type)} · ${formatSignedDuration(getAdjustmentDelta(adjustment))}`),
+                        createElement('span', {
+                            class: 'backups-list__meta'
+                        }, adjustment.note || '-')
+                    ]),
+                    createElement('div', {
+                        class: 'backups-list__actions'
+                    }, [deleteBtn])
+                ])
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Crée l'historique du solde par semaine (la plus récente en premier)
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createHistory() {
+        const weeks = groupOvertimeByWeek(this.overtime.history.movements);
+        if (weeks.length === 0) {
+            return createElement('p', {
+                class: 'import-summary'
+            }, 'Aucun jour terminé depuis le début du compteur.');
+        }
+
+        const list = createElement('ul', {
+            class: 'backups-list'
+        });
+
+        weeks.forEach(week => {
+            const details = [`Travail : ${formatSignedDuration(week.workedDelta)}`,
+                ...week.adjustments.map(adjustment =>
+                    `${getAdjustmentTypeLabel(adjustment.type)} : ${formatSignedDuration(adjustment.delta)}`)];
+
+            list.appendChild(createElement('li', {
+                class: 'backups-list__item'
+            }, [
+                createElement('div', {
+                    class: 'backups-list__info'
+                }, [
+                    createElement('span', {
+                        class: 'backups-list__date'
+                    }, `Semaine du ${week.weekStart} · solde ${formatSignedDuration(week.balance)}`),
+                    createElement('span', {
+                        class: 'backups-list__meta'
+                    }, details.join(' · '))
+                ])
+            ]));
+        });
+
+        return list;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createSettingsForm(),
+            this.#createAdjustmentForm(),
+            this.#createAdjustmentList(),
+            this.#createHistory()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Seuils de conformité saisis en heures (les autres le sont en minutes)
+ */
+const COMPLIANCE_HOUR_FIELDS = ['breakAfter', 'dailyMax', 'weeklyMax', 'minRest'];
+
+/**
+ * Popover des seuils de conformité au temps de travail
+ */
+export class ComplianceRulesPopover extends Popover {
+    /**
+     * @param {Object} rules - Seuils enregistrés, en minutes (voir DEFAULT_COMPLIANCE_RULES)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSave - Appelé avec les nouveaux seuils (minutes)
+     */
+    constructor(rules, { onSave }) {
+        super('Règles du temps de travail');
+        this.rules = rules;
+        this.onSave = onSave;
+    }
+
+    /**
+     * Crée le formulaire des seuils
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Durées légales contrôlées dans la barre de présence et dans les rapports. Un seuil à 0 désactive la règle.');
+
+        const grid = createElement('div', {
+            class: 'schedule-grid'
+        });
+        const inputs = Object.keys(DEFAULT_COMPLIANCE_RULES).map(field => {
+            const inHours = COMPLIANCE_HOUR_FIELDS.includes(field);
+            const input = createElement('input', {
+                type: 'number',
+                id: `compliance-${field}`,
+                class: 'form-input',
+                min: '0',
+                step: inHours ? '0.25' : '1',
+                value: String(inHours ? this.rules[field] / 60 : this.rules[field]),
+                required: true
+            });
+            grid.appendChild(createElement('div', {
+                class: 'form-group'
+            }, [
+                createElement('label', {
+                    class: 'form-label',
+                    for: `compliance-${field}`
+                }, `${COMPLIANCE_RULE_LABELS[field]} (${inHours ? 'h' : 'min'})`),
+                input
+            ]));
+            return [field, input, inHours];
+        });
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        const resetBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Valeurs légales');
+        resetBtn.addEventListener('click', () => {
+            inputs.forEach(([field, input, inHours]) => {
+                const value = DEFAULT_COMPLIANCE_RULES[field];
+                input.value = String(inHours ? value / 60 : value);
+            });
+        });
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+        actionsGroup.appendChild(resetBtn);
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(intro);
+        form.appendChild(grid);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const rules = Object.fromEntries(inputs.map(([field, input, inHours]) =>
+                [field, Math.round(Number(input.value) * (inHours ? 60 : 1))]));
+
+            if (this.onSave) {
+                this.onSave(rules);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createForm()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Popover de fermeture d'une journée oubliée (départ non pointé, chronomètre non arrêté)
+ */
+export class RecoveryPopover extends Popover {
+    /**
+     * @param {Object} day - Journée oubliée (voir findUnfinishedDays)
+     * @param {string} usualLeaveTime - Heure de départ habituelle (HH:MM)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onResolve - Appelé avec {closingTime, strategy, remember}
+     */
+    constructor(day, usualLeaveTime, { onResolve }) {
+        super('Journée non terminée');
+        this.day = day;
+        this.usualLeaveTime = usualLeaveTime;
+        this.onResolve = onResolve;
+    }
+
+    /**
+     * Décrit ce qui est resté ouvert
+     * @returns {string}
+     * @private
+     */
+    #describeDay() {
+        const dayLabel = this.day.lastActivity.toLocaleDateString('fr-FR', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long'
+        });
+        const parts = [];
+        if (this.day.open) {
+            parts.push('aucun départ n\'a été pointé');
+        }
+        const running = this.day.runningSessions.length;
+        if (running > 0) {
+            parts.push(running > 1 ? `${running} chronomètres tournent encore` : 'un chronomètre tourne encore');
+        }
+
+        return `Le ${dayLabel}, ${parts.join(' et ')}. Dernière activité à ${formatTime(this.day.lastActivity)}.`;
+    }
+
+    /**
+     * Crée le formulaire de fermeture
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, this.#describeDay());
+
+        // Heure de fermeture
+        const strategyGroup = createElement('div', {
+            class: 'form-group'
+        });
+        strategyGroup.appendChild(createElement('label', {
+            class: 'form-label'
+        }, 'Fermer la journée'));
+
+        const hints = {
+            [RecoveryStrategy.LAST_ACTIVITY]: ` (${formatTime(getClosingTime(this.day, RecoveryStrategy.LAST_ACTIVITY))})`,
+            [RecoveryStrategy.USUAL_LEAVE]: ` (${formatTime(getClosingTime(this.day, RecoveryStrategy.USUAL_LEAVE, {
+                usualLeaveTime: this.usualLeaveTime
+            }))})`,
+            [RecoveryStrategy.CUSTOM]: ''
+        };
+        const radioGroup = createElement('div', {
+            class: 'radio-group'
+        });
+        const radios = Object.values(RecoveryStrategy).map(strategy => {
+            const radio = createElement('input', {
+                type: 'radio',
+                id: `recovery-${strategy}`,
+                name: 'recovery-strategy',
+                value: strategy
+            });
+            radio.checked = strategy === RecoveryStrategy.LAST_ACTIVITY;
+            radioGroup.appendChild(radio);
+            radioGroup.appendChild(createElement('label', {
+                for: `recovery-${strategy}`,
+                class: 'radio-label'
+            }, `${getRecoveryStrategyLabel(strategy)}${hints[strategy]}`));
+            return radio;
+        });
+        strategyGroup.appendChild(radioGroup);
+
+        const customTimeInput = createElement('input', {
+            type: 'time',
+            id: 'recovery-custom-time',
+            class: 'form-input',
+            value: this.usualLeaveTime
+        });
+        customTimeInput.hidden = true;
+        strategyGroup.appendChild(customTimeInput);
+
+        // Règle de fermeture automatique (l'heure saisie ne vaut que pour ce jour)
+        const rememberGroup = createElement('div', {
+            class: 'form-group'
+        });
+        const rememberCheckbox = createElement('input', {
+            type: 'checkbox',
+            id: 'recovery-remember'
+        });
+        rememberGroup.appendChild(createElement('label', {
+            class: 'form-checkbox',
+            for: 'recovery-remember'
+        }, [rememberCheckbox, 'Fermer ainsi les prochaines journées oubliées sans demander']));
+
+        radios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                const custom = radio.value === RecoveryStrategy.CUSTOM && radio.checked;
+                customTimeInput.hidden = !custom;
+                rememberCheckbox.disabled = custom;
+                if (custom) rememberCheckbox.checked = false;
+            });
+        });
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        // Un chronomètre resté en cours ne peut pas être laissé ouvert : il continuerait à tourner
+        if (this.day.runningSessions.length === 0) {
+            const laterBtn = createElement('button', {
+                type: 'button',
+                class: 'btn btn--secondary'
+            }, 'Laisser ouverte');
+            laterBtn.addEventListener('click', () => this.close());
+            actionsGroup.appendChild(laterBtn);
+        }
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Fermer la journée');
+        actionsGroup.appendChild(submitBtn);
+
+        form.appendChild(intro);
+        form.appendChild(strategyGroup);
+        form.appendChild(rememberGroup);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const strategy = radios.find(radio => radio.checked).value;
+            let closingTime;
+            try {
+                closingTime = getClosingTime(this.day, strategy, {
+                    usualLeaveTime: this.usualLeaveTime,
+                    customTime: customTimeInput.value
+                });
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+
+            if (this.onResolve) {
+                this.onResolve({ closingTime, strategy, remember: rememberCheckbox.checked });
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createForm()
+        ]);
+        super.show(content);
+    }
+}
+
+/**
+ * Règles d'arrondi affichées dans la popover : [clé, titre]
+ */
+const ROUNDING_POLICIES = [
+    ['presence', 'Présence (paie)'],
+    ['projects', 'Projets (facturation)']
+];
+
+/**
+ * Popover des arrondis des rapports et des exports
+ */
+export class RoundingPopover extends Popover {
+    /**
+     * @param {Object} settings - Règles enregistrées {presence, projects} (voir DEFAULT_ROUNDING_SETTINGS)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onSave - Appelé avec les nouvelles règles
+     */
+    constructor(settings, { onSave }) {
+        super('Arrondis');
+        this.settings = settings;
+        this.onSave = onSave;
+    }
+
+    /**
+     * Crée une liste déroulante
+     * @param {string} id - ID du champ
+     * @param {string} label - Libellé
+     * @param {Array[]} options - Options [valeur, libellé]
+     * @param {string|number} value - Valeur sélectionnée
+     * @returns {{group: HTMLElement, select: HTMLSelectElement}}
+     * @private
+     */
+    #createSelect(id, label, options, value) {
+        const select = createElement('select', {
+            id,
+            class: 'form-input'
+        });
+        options.forEach(([optionValue, optionLabel]) => {
+            select.appendChild(createElement('option', { value: String(optionValue) }, optionLabel));
+        });
+        select.value = String(value);
+
+        const group = createElement('div', {
+            class: 'form-group'
+        }, [
+            createElement('label', {
+                class: 'form-label',
+                for: id
+            }, label),
+            select
+        ]);
+
+        return { group, select };
+    }
+
+    /**
+     * Crée le formulaire des deux règles
+     * @returns {HTMLElement}
+     * @private
+     */
+    #createForm() {
+        const form = createElement('form', {
+            class: 'retroactive-time-form'
+        });
+
+        const intro = createElement('p', {
+            class: 'import-summary'
+        }, 'Les durées arrondies sont affichées à côté des durées brutes dans les rapports et ajoutées aux exports. Les pointages et les sessions ne sont pas modifiés.');
+        form.appendChild(intro);
+
+        const fields = ROUNDING_POLICIES.map(([key, title]) => {
+            const policy = this.settings[key];
+            const mode = this.#createSelect(`rounding-${key}-mode`, `${title} : sens`,
+                Object.values(RoundingMode).map(value => [value, getRoundingModeLabel(value)]), policy.mode);
+            const increment = this.#createSelect(`rounding-${key}-increment`, 'Pas',
+                ROUNDING_INCREMENTS.map(value => [value, `${value} min`]), policy.increment);
+            const scope = this.#createSelect(`rounding-${key}-scope`, 'Durée arrondie',
+                Object.values(RoundingScope).map(value => [value, getRoundingScopeLabel(value)]), policy.scope);
+
+            const grid = createElement('div', {
+                class: 'schedule-grid'
+            }, [mode.group, increment.group, scope.group]);
+            form.appendChild(grid);
+
+            return [key, mode.select, increment.select, scope.select];
+        });
+
+        // Boutons d'action
+        const actionsGroup = createElement('div', {
+            class: 'form-actions'
+        });
+        const cancelBtn = createElement('button', {
+            type: 'button',
+            class: 'btn btn--secondary'
+        }, 'Annuler');
+        cancelBtn.addEventListener('click', () => this.close());
+        const submitBtn = createElement('button', {
+            type: 'submit',
+            class: 'btn btn--primary'
+        }, 'Enregistrer');
+        actionsGroup.appendChild(cancelBtn);
+        actionsGroup.appendChild(submitBtn);
+        form.appendChild(actionsGroup);
+
+        // Gérer la soumission du formulaire
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const settings = Object.fromEntries(fields.map(([key, mode, increment, scope]) => [key, {
+                mode: mode.value,
+                increment: Number(increment.value),
+                scope: scope.value
+            }]));
+
+            if (this.onSave) {
+                this.onSave(settings);
+            }
+            this.close();
+        });
+
+        return form;
+    }
+
+    /**
+     * Affiche la popover
+     */
+    show() {
+        const content = createElement('div', {
+            class: 'backups'
+        }, [
+            this.#createForm()
+        ]);
+        super.show(content);
+    }
+}
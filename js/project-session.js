@@ -1,5 +1,7 @@
 'use strict';
 
+import { formatDate } from './utils.js';
+
 /**
  * Classe représentant une session de travail sur un projet
  */
@@ -15,6 +17,9 @@ export class ProjectSession {
         this.startTime = startTime;
         this.endTime = endTime;
         this.date = this.#getDateString(startTime);
+        this.note = '';
+        this.updatedAt = null; // Dernière écriture (renseignée par StorageService)
+        this.version = 0; // Version de synchronisation (incrémentée à chaque écriture)
     }
 
     /**
@@ -33,7 +38,7 @@ export class ProjectSession {
      * @private
      */
     #getDateString(date) {
-        return date.toISOString().split('T')[0];
+        return formatDate(date);
     }
 
     /**
@@ -84,7 +89,10 @@ export class ProjectSession {
             startTime: this.startTime.toISOString(),
             endTime: this.endTime ? this.endTime.toISOString() : null,
             duration: this.getDuration(),
-            date: this.date
+            date: this.date,
+            note: this.note,
+            updatedAt: this.updatedAt ? this.updatedAt.toISOString() : null,
+            version: this.version
         };
     }
 
@@ -100,6 +108,9 @@ export class ProjectSession {
         session.startTime = new Date(data.startTime);
         session.endTime = data.endTime ? new Date(data.endTime) : null;
         session.date = data.date;
+        session.note = data.note || '';
+        session.updatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
+        session.version = data.version || 0;
         return session;
     }
 }
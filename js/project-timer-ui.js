@@ -135,6 +135,18 @@ export class ProjectTimerUI {
         console.log('✅ ProjectTimerUI initialisée');
     }
 
+    /**
+     * Applique un mode multi-projet changé ailleurs (autre onglet) sans déclencher le callback
+     * @param {boolean} enabled - true si le mode multi-projet est actif
+     */
+    setMultiProjectMode(enabled) {
+        this.multiProjectMode = enabled;
+        if (this.elements.multiProjectToggle) {
+            this.elements.multiProjectToggle.checked = enabled;
+        }
+        this.#updateMultiProjectModeUI();
+    }
+
     /**
      * Met à jour l'UI selon le mode multi-projet
      * @private
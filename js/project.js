@@ -1,5 +1,7 @@
 'use strict';
 
+import { getProjectColor } from './utils.js';
+
 /**
  * Classe représentant un projet
  */
@@ -13,8 +15,11 @@ export class Project {
         this.name = name;
         this.timeSpent = timeSpent; // en millisecondes
         this.active = true;
+        this.archivedAt = null;
+        this.color = getProjectColor(this.id);
         this.createdAt = new Date();
         this.updatedAt = new Date();
+        this.version = 0; // Version de synchronisation (incrémentée à chaque écriture)
     }
 
     /**
@@ -62,6 +67,32 @@ export class Project {
         this.updatedAt = new Date();
     }
 
+    /**
+     * Indique si le projet est archivé
+     * @returns {boolean}
+     */
+    isArchived() {
+        return !this.active;
+    }
+
+    /**
+     * Archive le projet : il disparaît de la liste mais ses sessions sont conservées
+     */
+    archive() {
+        this.active = false;
+        this.archivedAt = new Date();
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Restaure un projet archivé
+     */
+    unarchive() {
+        this.active = true;
+        this.archivedAt = null;
+        this.updatedAt = new Date();
+    }
+
     /**
      * Convertit le projet en objet JSON pour le stockage
      * @returns {Object}
@@ -72,8 +103,11 @@ export class Project {
             name: this.name,
             timeSpent: this.timeSpent,
             active: this.active,
+            archivedAt: this.archivedAt ? this.archivedAt.toISOString() : null,
+            color: this.color,
             createdAt: this.createdAt.toISOString(),
-            updatedAt: this.updatedAt.toISOString()
+            updatedAt: this.updatedAt.toISOString(),
+            version: this.version
         };
     }
 
@@ -88,8 +122,11 @@ export class Project {
         project.name = data.name;
         project.timeSpent = data.timeSpent || 0;
         project.active = data.active !== undefined ? data.active : true;
+        project.archivedAt = data.archivedAt ? new Date(data.archivedAt) : null;
+        project.color = data.color || getProjectColor(data.id);
         project.createdAt = new Date(data.createdAt);
         project.updatedAt = new Date(data.updatedAt);
+        project.version = data.version || 0;
         return project;
     }
 }
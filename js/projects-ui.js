@@ -1,7 +1,7 @@
 'use strict';
 
 import { formatDuration, createElement } from './utils.js';
-import { AddRetroactiveTimePopover, AddProjectPopover } from './popover.js';
+import { AddRetroactiveTimePopover, AddProjectPopover, PurgeProjectPopover } from './popover.js';
 
 /**
  * Gestion de l'interface utilisateur pour les projets
@@ -10,6 +10,8 @@ export class ProjectsUI {
     constructor() {
         this.elements = {
             projectsList: null,
+            archivedList: null,
+            archivedCount: null,
             addProjectBtn: null,
             addTimeBtn: null
         };
@@ -17,11 +19,16 @@ export class ProjectsUI {
         // Liste des projets (pour la popover de temps)
         this.projects = [];
 
+        // Projets archivés (pour la réattribution des sessions)
+        this.archivedProjects = [];
+
         // Callbacks
         this.onAddProject = null;
         this.onUpdateName = null;
         this.onUpdateTime = null;
-        this.onDeleteProject = null;
+        this.onArchiveProject = null;
+        this.onUnarchiveProject = null;
+        this.onPurgeProject = null;
         this.onStartProject = null;
         this.onAddRetroactiveTime = null;
     }
@@ -31,6 +38,8 @@ export class ProjectsUI {
      */
     init() {
         this.elements.projectsList = document.getElementById('projects-list');
+        this.elements.archivedList = document.getElementById('archived-projects-list');
+        this.elements.archivedCount = document.getElementById('archived-projects-count');
         this.elements.addProjectBtn = document.getElementById('add-project-btn');
         this.elements.addTimeBtn = document.getElementById('add-time-btn');
 
@@ -191,20 +200,115 @@ export class ProjectsUI {
             this.#handleAddRetroactiveTime(project);
         });
 
-        // Bouton supprimer
-        const deleteBtn = createElement('button', {
-            class: 'projects-table__btn projects-table__btn--delete',
-            title: 'Supprimer le projet'
-        }, '🗑️');
-        deleteBtn.addEventListener('click', () => {
-            this.#handleDelete(project);
+        // Bouton archiver
+        const archiveBtn = createElement('button', {
+            class: 'projects-table__btn projects-table__btn--archive',
+            title: 'Archiver le projet'
+        }, '📦');
+        archiveBtn.addEventListener('click', () => {
+            this.#handleArchive(project);
         });
 
         actionsContainer.appendChild(timeDisplay);
         actionsContainer.appendChild(startBtn);
         actionsContainer.appendChild(editNameBtn);
         actionsContainer.appendChild(addRetroactiveBtn);
-        actionsContainer.appendChild(deleteBtn);
+        actionsContainer.appendChild(archiveBtn);
+        actionsCell.appendChild(actionsContainer);
+
+        row.appendChild(nameCell);
+        row.appendChild(actionsCell);
+
+        return row;
+    }
+
+    /**
+     * Affiche la liste des projets archivés
+     * @param {Project[]} archivedProjects - Projets archivés
+     */
+    renderArchivedProjects(archivedProjects) {
+        this.archivedProjects = archivedProjects || [];
+
+        if (this.elements.archivedCount) {
+            this.elements.archivedCount.textContent = this.archivedProjects.length;
+        }
+
+        if (!this.elements.archivedList) return;
+
+        this.elements.archivedList.innerHTML = '';
+
+        if (this.archivedProjects.length === 0) {
+            const emptyRow = createElement('tr', {
+                class: 'projects-table__empty'
+            });
+            const emptyCell = createElement('td', {
+                colspan: '2'
+            }, 'Aucun projet archivé');
+            emptyRow.appendChild(emptyCell);
+            this.elements.archivedList.appendChild(emptyRow);
+            return;
+        }
+
+        this.archivedProjects.forEach(project => {
+            this.elements.archivedList.appendChild(this.#createArchivedProjectRow(project));
+        });
+    }
+
+    /**
+     * Crée une ligne du tableau pour un projet archivé
+     * @param {Project} project - Projet archivé
+     * @returns {HTMLElement} Élément tr
+     * @private
+     */
+    #createArchivedProjectRow(project) {
+        const row = createElement('tr', {
+            class: 'projects-table__row',
+            dataset: { projectId: project.id }
+        });
+
+        const nameCell = createElement('td', {
+            class: 'projects-table__cell projects-table__cell--name'
+        });
+        nameCell.appendChild(createElement('div', {
+            class: 'projects-table__name'
+        }, project.name));
+
+        // Les projets archivés avant l'ajout de la date n'en ont pas
+        if (project.archivedAt) {
+            nameCell.appendChild(createElement('div', {
+                class: 'projects-table__archived-date'
+            }, `Archivé le ${project.archivedAt.toLocaleDateString('fr-FR')}`));
+        }
+
+        const actionsCell = createElement('td', {
+            class: 'projects-table__cell projects-table__cell--actions'
+        });
+        const actionsContainer = createElement('div', {
+            class: 'projects-table__actions'
+        });
+
+        // Bouton restaurer
+        const restoreBtn = createElement('button', {
+            class: 'projects-table__btn projects-table__btn--restore',
+            title: 'Restaurer le projet'
+        }, '♻️');
+        restoreBtn.addEventListener('click', () => {
+            if (this.onUnarchiveProject) {
+                this.onUnarchiveProject(project.id);
+            }
+        });
+
+        // Bouton supprimer définitivement
+        const purgeBtn = createElement('button', {
+            class: 'projects-table__btn projects-table__btn--delete',
+            title: 'Supprimer définitivement'
+        }, '🗑️');
+        purgeBtn.addEventListener('click', () => {
+            this.#handlePurge(project);
+        });
+
+        actionsContainer.appendChild(restoreBtn);
+        actionsContainer.appendChild(purgeBtn);
         actionsCell.appendChild(actionsContainer);
 
         row.appendChild(nameCell);
@@ -239,17 +343,35 @@ export class ProjectsUI {
     }
 
     /**
-     * Gère la suppression d'un projet
-     * @param {Project} project - Projet à supprimer
+     * Gère l'archivage d'un projet
+     * @param {Project} project - Projet à archiver
      * @private
      */
-    #handleDelete(project) {
-        const confirm = window.confirm(`Êtes-vous sûr de vouloir supprimer le projet "${project.name}" ?`);
-        if (confirm && this.onDeleteProject) {
-            this.onDeleteProject(project.id);
+    #handleArchive(project) {
+        const confirm = window.confirm(
+            `Archiver le projet "${project.name}" ? Ses sessions restent dans les rapports et il pourra être restauré.`
+        );
+        if (confirm && this.onArchiveProject) {
+            this.onArchiveProject(project.id);
         }
     }
 
+    /**
+     * Gère la suppression définitive d'un projet archivé
+     * @param {Project} project - Projet à supprimer
+     * @private
+     */
+    #handlePurge(project) {
+        const targets = [...this.projects, ...this.archivedProjects];
+        const popover = new PurgeProjectPopover(project, targets, (data) => {
+            if (this.onPurgeProject) {
+                this.onPurgeProject(data);
+            }
+        });
+
+        popover.show();
+    }
+
     /**
      * Gère l'ajout de temps rétroactif
      * @param {Project} project - Projet auquel ajouter du temps
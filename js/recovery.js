@@ -0,0 +1,248 @@
+'use strict';
+
+import { SequenceState, replaySequence, getInitialState, isShiftOpen, continuesNextDay } from './entry-sequence.js';
+import { TimeEntry, ENTRY_TYPES } from './time-entry.js';
+import { addDays, formatDate, formatTime, getDayBounds } from './utils.js';
+
+/**
+ * Journées oubliées
+ * Un départ non pointé laisse la journée ouverte et un chronomètre non arrêté continue de
+ * tourner : au démarrage suivant, ces journées sont détectées puis fermées (départ ajouté,
+ * sessions arrêtées) à la dernière activité, à l'heure de départ habituelle ou à une heure saisie.
+ */
+
+/**
+ * Heures de fermeture proposées
+ */
+export const RecoveryStrategy = Object.freeze({
+    LAST_ACTIVITY: 'last-activity', // Dernier pointage ou dernière session de la journée
+    USUAL_LEAVE: 'usual-leave',     // Heure de départ habituelle
+    CUSTOM: 'custom'                // Heure saisie
+});
+
+/**
+ * Libellés des heures de fermeture
+ */
+const STRATEGY_LABELS = Object.freeze({
+    [RecoveryStrategy.LAST_ACTIVITY]: 'À la dernière activité',
+    [RecoveryStrategy.USUAL_LEAVE]: 'À l\'heure de départ habituelle',
+    [RecoveryStrategy.CUSTOM]: 'À une heure choisie'
+});
+
+/**
+ * Paramètres par défaut
+ */
+export const DEFAULT_RECOVERY_SETTINGS = Object.freeze({
+    autoClose: null,        // Fermeture automatique (LAST_ACTIVITY ou USUAL_LEAVE), null pour demander
+    usualLeaveTime: null,   // Heure de départ habituelle ("HH:MM"), null pour la déduire des départs récents
+    staleAfter: 12 * 60     // Minutes sans activité avant de considérer une journée comme oubliée
+});
+
+/**
+ * Heure de départ proposée sans départ récent
+ */
+export const FALLBACK_LEAVE_TIME = '18:00';
+
+/**
+ * Nombre de jours relus au démarrage pour chercher les journées oubliées
+ */
+export const RECOVERY_LOOKBACK_DAYS = 31;
+
+const MINUTE = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Retourne le libellé d'une heure de fermeture
+ * @param {string} strategy - Heure de fermeture (RecoveryStrategy)
+ * @returns {string} Libellé en français
+ */
+export function getRecoveryStrategyLabel(strategy) {
+    return STRATEGY_LABELS[strategy] || strategy;
+}
+
+/**
+ * Valide les paramètres des journées oubliées
+ * @param {Object|null} settings - Paramètres enregistrés, null si aucun
+ * @returns {Object} Paramètres complets
+ * @throws {Error} Si la fermeture automatique, l'heure habituelle ou le délai est invalide
+ */
+export function normalizeRecoverySettings(settings) {
+    const merged = { ...DEFAULT_RECOVERY_SETTINGS, ...(settings || {}) };
+
+    if (merged.autoClose !== null &&
+        merged.autoClose !== RecoveryStrategy.LAST_ACTIVITY &&
+        merged.autoClose !== RecoveryStrategy.USUAL_LEAVE) {
+        throw new Error(`Fermeture automatique invalide: ${merged.autoClose}`);
+    }
+    if (merged.usualLeaveTime !== null && !TIME_PATTERN.test(merged.usualLeaveTime)) {
+        throw new Error('L\'heure de départ habituelle doit être au format HH:MM');
+    }
+    if (!Number.isInteger(merged.staleAfter) || merged.staleAfter < 60) {
+        throw new Error('Le délai avant une journée oubliée doit être d\'au moins 60 minutes');
+    }
+
+    return {
+        autoClose: merged.autoClose,
+        usualLeaveTime: merged.usualLeaveTime,
+        staleAfter: merged.staleAfter
+    };
+}
+
+/**
+ * Crée l'instant correspondant à une heure d'un jour
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @param {string} time - Heure au format HH:MM
+ * @returns {Date}
+ * @private
+ */
+function atTime(date, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const timestamp = new Date(getDayBounds(date).start);
+    timestamp.setHours(hours, minutes, 0, 0);
+    return timestamp;
+}
+
+/**
+ * Détecte les journées passées restées ouvertes ou dont un chronomètre tourne encore
+ * Une journée n'est retenue qu'après `staleAfter` minutes sans activité : une journée
+ * de nuit commencée la veille et toujours en cours n'est pas une journée oubliée.
+ * Une plage ouverte le soir et terminée le lendemain (travail de nuit) ne laisse pas la
+ * journée ouverte : les pointages du lendemain doivent donc être fournis.
+ * @param {TimeEntry[]} entries - Pointages des jours précédents et du jour
+ * @param {ProjectSession[]} sessions - Sessions des jours précédents et sessions en cours
+ * @param {Object} [options] - Options de détection
+ * @param {Date} [options.now] - Instant de référence (par défaut: maintenant)
+ * @param {number} [options.staleAfter] - Minutes sans activité (voir DEFAULT_RECOVERY_SETTINGS)
+ * @returns {Object[]} Journées {date, entries, runningSessions, open, lastActivity}, plus ancienne en premier
+ */
+export function findUnfinishedDays(entries, sessions, {
+    now = new Date(),
+    staleAfter = DEFAULT_RECOVERY_SETTINGS.staleAfter
+} = {}) {
+    const today = formatDate(now);
+    const entriesByDate = new Map();
+    entries.forEach(entry => {
+        const dayEntries = entriesByDate.get(entry.date) || [];
+        dayEntries.push(entry);
+        entriesByDate.set(entry.date, dayEntries);
+    });
+
+    // État en fin de journée, en reprenant la plage ouverte la veille
+    const finalStates = new Map();
+    [...entriesByDate.keys()].sort().forEach(date => {
+        const dayEntries = entriesByDate.get(date);
+        const carried = finalStates.get(addDays(date, -1)) || SequenceState.OFF;
+        finalStates.set(date, replaySequence(dayEntries, getInitialState(carried, dayEntries)));
+    });
+
+    const dates = new Set([
+        ...entriesByDate.keys(),
+        ...sessions.filter(session => session.isRunning()).map(session => session.date)
+    ]);
+
+    return [...dates]
+        .filter(date => date < today)
+        .sort()
+        .map(date => {
+            const dayEntries = (entriesByDate.get(date) || [])
+                .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+            const daySessions = sessions.filter(session => session.date === date);
+            const finalState = finalStates.get(date) || SequenceState.OFF;
+            const activity = [
+                ...dayEntries.map(entry => entry.timestamp.getTime()),
+                ...daySessions.map(session => (session.endTime || session.startTime).getTime())
+            ];
+
+            return {
+                date,
+                entries: dayEntries,
+                runningSessions: daySessions.filter(session => session.isRunning()),
+                open: isShiftOpen(finalState) &&
+                    !continuesNextDay(finalState, entriesByDate.get(addDays(date, 1)) || []),
+                lastActivity: new Date(Math.max(...activity))
+            };
+        })
+        .filter(day => (day.open || day.runningSessions.length > 0) &&
+            now.getTime() - day.lastActivity.getTime() >= staleAfter * MINUTE);
+}
+
+/**
+ * Calcule l'heure de départ habituelle : médiane du dernier départ des journées terminées
+ * @param {TimeEntry[]} entries - Pointages des jours précédents
+ * @returns {string} Heure au format HH:MM (FALLBACK_LEAVE_TIME sans départ)
+ */
+export function getUsualLeaveTime(entries) {
+    const lastClockOuts = new Map();
+    entries
+        .filter(entry => entry.type === ENTRY_TYPES.CLOCK_OUT)
+        .forEach(entry => {
+            const previous = lastClockOuts.get(entry.date);
+            if (!previous || entry.timestamp > previous) {
+                lastClockOuts.set(entry.date, entry.timestamp);
+            }
+        });
+
+    const minutes = [...lastClockOuts.values()]
+        .map(timestamp => timestamp.getHours() * 60 + timestamp.getMinutes())
+        .sort((a, b) => a - b);
+    if (minutes.length === 0) return FALLBACK_LEAVE_TIME;
+
+    const median = minutes[Math.floor((minutes.length - 1) / 2)];
+    return `${String(Math.floor(median / 60)).padStart(2, '0')}:${String(median % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Calcule l'heure de fermeture d'une journée oubliée
+ * L'heure habituelle est reportée à la dernière activité si celle-ci est plus tardive.
+ * @param {Object} day - Journée oubliée (voir findUnfinishedDays)
+ * @param {string} strategy - Heure de fermeture (RecoveryStrategy)
+ * @param {Object} [options] - Heures à utiliser
+ * @param {string} [options.usualLeaveTime] - Heure de départ habituelle (HH:MM)
+ * @param {string} [options.customTime] - Heure saisie (HH:MM), pour RecoveryStrategy.CUSTOM
+ * @returns {Date} Heure de fermeture
+ * @throws {Error} Si l'heure saisie est invalide ou précède la dernière activité
+ */
+export function getClosingTime(day, strategy, { usualLeaveTime = FALLBACK_LEAVE_TIME, customTime = null } = {}) {
+    // Une seconde après la dernière activité : le départ doit rester le dernier pointage du jour
+    const earliest = new Date(day.lastActivity.getTime() + 1000);
+
+    switch (strategy) {
+        case RecoveryStrategy.LAST_ACTIVITY:
+            return earliest;
+        case RecoveryStrategy.USUAL_LEAVE: {
+            const usual = atTime(day.date, usualLeaveTime);
+            return usual > earliest ? usual : earliest;
+        }
+        case RecoveryStrategy.CUSTOM: {
+            if (!customTime || !TIME_PATTERN.test(customTime)) {
+                throw new Error('L\'heure de départ doit être au format HH:MM');
+            }
+            const closingTime = atTime(day.date, customTime);
+            if (closingTime < earliest) {
+                throw new Error(`L'heure de départ doit suivre la dernière activité (${formatTime(day.lastActivity)})`);
+            }
+            return closingTime;
+        }
+        default:
+            throw new Error(`Heure de fermeture inconnue: ${strategy}`);
+    }
+}
+
+/**
+ * Ferme une journée oubliée : départ à l'heure de fermeture si la journée est ouverte,
+ * sessions en cours arrêtées juste avant (comme lors d'un départ pointé)
+ * Les sessions de la journée sont modifiées sur place.
+ * @param {Object} day - Journée oubliée (voir findUnfinishedDays)
+ * @param {Date} closingTime - Heure de fermeture (voir getClosingTime)
+ * @returns {{entry: TimeEntry|null, sessions: ProjectSession[]}} Départ créé et sessions arrêtées
+ */
+export function closeUnfinishedDay(day, closingTime) {
+    const entry = day.open ? new TimeEntry(ENTRY_TYPES.CLOCK_OUT, closingTime) : null;
+    const sessionEndTime = new Date(closingTime.getTime() - 1000);
+
+    day.runningSessions.forEach(session => {
+        session.stop(sessionEndTime > session.startTime ? sessionEndTime : session.startTime);
+    });
+
+    return { entry, sessions: day.runningSessions };
+}
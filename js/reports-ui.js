@@ -1,7 +1,12 @@
 'use strict';
 
-import { formatDuration, createElement } from './utils.js';
+import { formatDuration, createElement, clipSessionsToDay, getOffShiftPeriods } from './utils.js';
 import { ENTRY_TYPES } from './time-entry.js';
+import { getAbsenceTypeLabel } from './absence.js';
+import { formatSignedDuration } from './overtime.js';
+import { getComplianceRuleLabel } from './compliance.js';
+import { isRoundingActive, describeRoundingPolicy } from './rounding.js';
+import { WorkLocation, formatWorkLocation, describeLocationDays } from './work-location.js';
 
 /**
  * Gestion de l'interface utilisateur des rapports
@@ -12,23 +17,41 @@ export class ReportsUI {
         this.periodLabel = null;
         this.reportTotalPresence = null;
         this.reportTotalProject = null;
+        this.reportTotalPresenceRounded = null;
+        this.reportTotalProjectRounded = null;
+        this.roundingBtn = null;
         this.reportWorkedDays = null;
+        this.reportLocationDays = null;
+        this.reportCreditedTime = null;
+        this.reportOvertimeBalance = null;
+        this.reportOvertimeDetail = null;
+        this.overtimeHistoryBtn = null;
         this.weeklyTable = null;
+        this.complianceList = null;
+        this.complianceRulesBtn = null;
         this.periodWeekBtn = null;
         this.periodMonthBtn = null;
         this.periodPrevBtn = null;
         this.periodNextBtn = null;
+        this.archiveFilterSelect = null;
         this.dayTimelineModal = null;
         this.dayTimelineModalTitle = null;
         this.dayTimelineModalContent = null;
         this.closeDayTimelineModalBtn = null;
         this.dayTimelineModalOverlay = null;
 
+        // Règles d'arrondi du rapport affiché (null sans arrondi)
+        this.rounding = null;
+
         // Callbacks
         this.onPeriodTypeChange = null;
         this.onPeriodNavigate = null;
+        this.onArchiveFilterChange = null; // Callback appelé avec le filtre des projets archivés
         this.onDayTimelineRequest = null; // Callback pour charger les données d'un jour
         this.onPresenceTimeClick = null; // Callback pour gérer le clic sur le temps de présence
+        this.onOvertimeHistoryRequest = null; // Callback pour ouvrir l'historique du compteur d'heures
+        this.onComplianceRulesRequest = null; // Callback pour ouvrir les règles du temps de travail
+        this.onRoundingRequest = null; // Callback pour ouvrir les arrondis
     }
 
     /**
@@ -39,12 +62,23 @@ export class ReportsUI {
         this.periodLabel = document.getElementById('period-label');
         this.reportTotalPresence = document.getElementById('report-total-presence');
         this.reportTotalProject = document.getElementById('report-total-project');
+        this.reportTotalPresenceRounded = document.getElementById('report-total-presence-rounded');
+        this.reportTotalProjectRounded = document.getElementById('report-total-project-rounded');
+        this.roundingBtn = document.getElementById('report-rounding-btn');
         this.reportWorkedDays = document.getElementById('report-worked-days');
+        this.reportLocationDays = document.getElementById('report-location-days');
+        this.reportCreditedTime = document.getElementById('report-credited-time');
+        this.reportOvertimeBalance = document.getElementById('report-overtime-balance');
+        this.reportOvertimeDetail = document.getElementById('report-overtime-detail');
+        this.overtimeHistoryBtn = document.getElementById('report-overtime-history-btn');
         this.weeklyTable = document.getElementById('weekly-table');
+        this.complianceList = document.getElementById('report-compliance-list');
+        this.complianceRulesBtn = document.getElementById('report-compliance-rules-btn');
         this.periodWeekBtn = document.getElementById('period-week-btn');
         this.periodMonthBtn = document.getElementById('period-month-btn');
         this.periodPrevBtn = document.getElementById('period-prev-btn');
         this.periodNextBtn = document.getElementById('period-next-btn');
+        this.archiveFilterSelect = document.getElementById('report-archive-filter');
         this.dayTimelineModal = document.getElementById('day-timeline-modal');
         this.dayTimelineModalTitle = document.getElementById('day-timeline-modal-title');
         this.dayTimelineModalContent = document.getElementById('day-timeline-modal-content');
@@ -74,8 +108,10 @@ export class ReportsUI {
     /**
      * Met à jour les statistiques globales
      * @param {Object} stats - Statistiques de la période
+     * @param {Object|null} [overtime=null] - Compteur d'heures de la période
+     *   ({carriedOver, periodDelta, balance}), null si le compteur n'a pas de point de départ
      */
-    updateSummary(stats) {
+    updateSummary(stats, overtime = null) {
         if (this.reportTotalPresence) {
             this.reportTotalPresence.textContent = formatDuration(stats.time.totalPresence);
         }
@@ -84,10 +120,120 @@ export class ReportsUI {
             this.reportTotalProject.textContent = formatDuration(stats.time.totalProject);
         }
 
+        // Durées arrondies à côté des durées brutes
+        this.#updateRoundedDetail(this.reportTotalPresenceRounded, stats.rounding?.presence, stats.time.totalPresenceRounded);
+        this.#updateRoundedDetail(this.reportTotalProjectRounded, stats.rounding?.projects, stats.time.totalProjectRounded);
+
         if (this.reportWorkedDays) {
             this.reportWorkedDays.textContent = stats.period.workedDays;
         }
 
+        // Jours par lieu de travail (déclaration du télétravail)
+        if (this.reportLocationDays) {
+            this.reportLocationDays.textContent = describeLocationDays(stats.locationDays);
+            this.reportLocationDays.title = Object.values(WorkLocation)
+                .map(location => `${formatWorkLocation(location)} : ${stats.locationDays[location]} j`)
+                .join('\n');
+        }
+
+        if (this.reportCreditedTime) {
+            this.reportCreditedTime.textContent = stats.period.absenceDays > 0
+                ? `${formatDuration(stats.time.totalCredited)} (${stats.period.absenceDays} j)`
+                : '-';
+        }
+
+        this.#updateOvertimeCard(overtime);
+    }
+
+    /**
+     * Affiche une durée arrondie sous la durée brute d'une carte (vide sans arrondi)
+     * @param {HTMLElement|null} element - Détail de la carte
+     * @param {Object|undefined} policy - Règle d'arrondi
+     * @param {number} rounded - Durée arrondie en millisecondes
+     * @private
+     */
+    #updateRoundedDetail(element, policy, rounded) {
+        if (!element) return;
+
+        element.textContent = isRoundingActive(policy) ? `Arrondi : ${formatDuration(rounded)}` : '';
+        element.title = isRoundingActive(policy) ? describeRoundingPolicy(policy) : '';
+    }
+
+    /**
+     * Ajoute la durée arrondie sous une durée brute du tableau (si la règle est active)
+     * @param {HTMLElement} element - Cellule ou bloc de la durée brute
+     * @param {string} key - Règle concernée ('presence' ou 'projects')
+     * @param {number} rounded - Durée arrondie en millisecondes
+     * @returns {HTMLElement} L'élément reçu
+     * @private
+     */
+    #appendRounded(element, key, rounded) {
+        const policy = this.rounding?.[key];
+        if (isRoundingActive(policy)) {
+            element.appendChild(createElement('span', {
+                class: 'weekly-table__rounded',
+                title: describeRoundingPolicy(policy)
+            }, `≈ ${formatDuration(rounded)}`));
+        }
+        return element;
+    }
+
+    /**
+     * Met à jour la carte du compteur d'heures (solde en fin de période et variation)
+     * @param {Object|null} overtime - Compteur de la période, null si indisponible
+     * @private
+     */
+    #updateOvertimeCard(overtime) {
+        if (!this.reportOvertimeBalance) return;
+
+        this.reportOvertimeBalance.classList.remove('report-summary__value--positive', 'report-summary__value--negative');
+
+        if (!overtime) {
+            this.reportOvertimeBalance.textContent = '-';
+            if (this.reportOvertimeDetail) {
+                this.reportOvertimeDetail.textContent = '';
+            }
+            return;
+        }
+
+        this.reportOvertimeBalance.textContent = formatSignedDuration(overtime.balance);
+        if (overtime.balance !== 0) {
+            this.reportOvertimeBalance.classList.add(overtime.balance > 0
+                ? 'report-summary__value--positive'
+                : 'report-summary__value--negative');
+        }
+
+        if (this.reportOvertimeDetail) {
+            this.reportOvertimeDetail.textContent =
+                `Reporté : ${formatSignedDuration(overtime.carriedOver)} · Période : ${formatSignedDuration(overtime.periodDelta)}`;
+        }
+    }
+
+    /**
+     * Affiche la section de conformité : un dépassement par ligne, jour par jour
+     * @param {Object[]} violations - Dépassements de la période ({date, rule, message})
+     */
+    renderCompliance(violations) {
+        if (!this.complianceList) return;
+
+        this.complianceList.innerHTML = '';
+
+        if (violations.length === 0) {
+            this.complianceList.appendChild(createElement('li', {
+                class: 'report-compliance__item report-compliance__item--empty'
+            }, 'Aucun dépassement sur la période'));
+            return;
+        }
+
+        violations.forEach(violation => {
+            this.complianceList.appendChild(createElement('li', {
+                class: 'report-compliance__item'
+            }, [
+                createElement('span', { class: 'report-compliance__date' }, this.#formatDate(violation.date)),
+                createElement('span', { class: 'report-compliance__rule' }, getComplianceRuleLabel(violation.rule)),
+                createElement('span', {}, violation.message)
+            ]));
+        });
     }
 
     /**
@@ -100,6 +246,7 @@ export class ReportsUI {
 
         // Vider le tableau
         this.weeklyTable.innerHTML = '';
+        this.rounding = report?.rounding || null;
 
         if (!report || !report.dailyStats || report.dailyStats.length === 0) {
             const emptyRow = createElement('tr');
@@ -147,13 +294,19 @@ export class ReportsUI {
 
         // Colonnes pour chaque jour (lundi à vendredi)
         weekDays.forEach(day => {
-            const dayHeader = createElement('th', { class: 'weekly-table__header' });
+            const absenceLabel = this.#getAbsenceLabel(day);
+            const dayHeader = createElement('th', {
+                class: absenceLabel ? 'weekly-table__header weekly-table__header--absence' : 'weekly-table__header'
+            });
 
             // Créer un conteneur pour la date et le bouton
             const headerContent = createElement('div', { class: 'weekly-table__header-content' });
 
-            // Ajouter la date
+            // Ajouter la date (et le jour férié ou l'absence)
             const dateText = createElement('span', { class: 'weekly-table__header-date' }, this.#formatDateShort(day.date));
+            if (absenceLabel) {
+                dateText.appendChild(createElement('span', { class: 'weekly-table__absence', title: absenceLabel }, absenceLabel));
+            }
             headerContent.appendChild(dateText);
 
             // Ajouter le bouton de timeline
@@ -310,8 +463,12 @@ export class ReportsUI {
                 projectId: projectStat.projectId,
                 projectName: projectStat.projectName,
                 projectColor: projectStat.projectColor,
+                archived: projectStat.archived || false,
                 totalDuration: projectStat.duration,
-                dailyDurations: projectStat.dailyDurations || {}
+                roundedDuration: projectStat.roundedDuration,
+                dailyDurations: projectStat.dailyDurations || {},
+                dailyRoundedDurations: projectStat.dailyRoundedDurations || {},
+                continuedDays: projectStat.continuedDays || []
             };
         });
 
@@ -336,14 +493,24 @@ export class ReportsUI {
         });
         nameCell.appendChild(colorIndicator);
         nameCell.appendChild(document.createTextNode(projectData.projectName));
+        if (projectData.archived) {
+            nameCell.appendChild(createElement('span', { class: 'weekly-table__archived' }, 'archivé'));
+        }
         row.appendChild(nameCell);
 
-        // Colonnes pour chaque jour
+        // Colonnes pour chaque jour (seule la part du jour est comptée pour une session après minuit)
         weekDays.forEach(day => {
             const duration = projectData.dailyDurations[day.date] || 0;
-            const cell = createElement('td', {
-                class: 'weekly-table__cell weekly-table__cell--time'
-            }, duration > 0 ? formatDuration(duration) : '-');
+            const continues = projectData.continuedDays.includes(day.date);
+            const attributes = { class: 'weekly-table__cell weekly-table__cell--time' };
+            if (continues) {
+                attributes.title = 'Une session se poursuit le lendemain';
+            }
+            const cell = createElement('td', attributes,
+                duration > 0 ? `${formatDuration(duration)}${continues ? ' ↪' : ''}` : '-');
+            if (duration > 0) {
+                this.#appendRounded(cell, 'projects', projectData.dailyRoundedDurations[day.date] || 0);
+            }
             row.appendChild(cell);
         });
 
@@ -351,6 +518,7 @@ export class ReportsUI {
         const totalCell = createElement('td', {
             class: 'weekly-table__cell weekly-table__cell--total'
         }, formatDuration(projectData.totalDuration));
+        this.#appendRounded(totalCell, 'projects', projectData.roundedDuration);
         row.appendChild(totalCell);
 
         return row;
@@ -396,17 +564,24 @@ export class ReportsUI {
 
         // Colonnes pour chaque jour avec temps projet et temps présence
         weekDays.forEach(day => {
-            const cell = createElement('td', { class: 'weekly-table__cell weekly-table__cell--total-time' });
+            const cell = createElement('td', {
+                class: day.creditedTime > 0
+                    ? 'weekly-table__cell weekly-table__cell--total-time weekly-table__cell--absence'
+                    : 'weekly-table__cell weekly-table__cell--total-time'
+            });
 
-            const projectTimeDiv = createElement('div', {
+            const projectTimeDiv = this.#appendRounded(createElement('div', {
                 class: 'weekly-table__total-project'
-            }, formatDuration(day.projectTime));
+            }, formatDuration(day.projectTime)), 'projects', day.roundedProjectTime);
 
             const presenceTimeDiv = createElement('div', {
                 class: 'weekly-table__total-presence weekly-table__total-presence--clickable',
                 'data-date': day.date,
-                title: 'Cliquez pour modifier les pointages de ce jour'
-            }, formatDuration(day.presenceTime));
+                title: day.continuesNextDay
+                    ? 'Cliquez pour modifier les pointages de ce jour (se poursuit le lendemain)'
+                    : 'Cliquez pour modifier les pointages de ce jour'
+            }, `${formatDuration(day.presenceTime)}${day.continuesNextDay ? ' ↪' : ''}`);
+            this.#appendRounded(presenceTimeDiv, 'presence', day.roundedPresenceTime);
 
             // Ajouter un event listener pour rendre le temps de présence cliquable
             presenceTimeDiv.addEventListener('click', () => {
@@ -417,6 +592,12 @@ export class ReportsUI {
 
             cell.appendChild(projectTimeDiv);
             cell.appendChild(presenceTimeDiv);
+            if (day.creditedTime > 0) {
+                cell.appendChild(createElement('div', {
+                    class: 'weekly-table__total-credit',
+                    title: 'Temps crédité par le jour férié ou l\'absence'
+                }, `+${formatDuration(day.creditedTime)}`));
+            }
             row.appendChild(cell);
         });
 
@@ -427,6 +608,20 @@ export class ReportsUI {
         return row;
     }
 
+    /**
+     * Construit le libellé du jour férié et des absences d'un jour
+     * @param {Object} day - Statistiques du jour (voir WeeklyReportCalculator.calculatePeriodStats)
+     * @returns {string|null} Libellé (ex: "Congé payé"), ou null si le jour n'a ni férié ni absence
+     * @private
+     */
+    #getAbsenceLabel(day) {
+        const labels = [
+            ...(day.holiday ? [day.holiday] : []),
+            ...(day.absences || []).map(absence => getAbsenceTypeLabel(absence.type))
+        ];
+        return labels.length > 0 ? labels.join(', ') : null;
+    }
+
     /**
      * Groupe les jours par semaine
      * @param {Object[]} dailyStats - Statistiques quotidiennes
@@ -452,7 +647,10 @@ export class ReportsUI {
                     weeks.push({
                         days: currentWeek,
                         projectTime: currentWeek.reduce((sum, d) => sum + d.projectTime, 0),
-                        presenceTime: currentWeek.reduce((sum, d) => sum + d.presenceTime, 0)
+                        presenceTime: currentWeek.reduce((sum, d) => sum + d.presenceTime, 0),
+                        roundedProjectTime: currentWeek.reduce((sum, d) => sum + d.roundedProjectTime, 0),
+                        roundedPresenceTime: currentWeek.reduce((sum, d) => sum + d.roundedPresenceTime, 0),
+                        creditedTime: currentWeek.reduce((sum, d) => sum + (d.creditedTime || 0), 0)
                     });
                     currentWeek = [];
                 }
@@ -480,6 +678,9 @@ export class ReportsUI {
         });
         nameCell.appendChild(colorIndicator);
         nameCell.appendChild(document.createTextNode(projectData.projectName));
+        if (projectData.archived) {
+            nameCell.appendChild(createElement('span', { class: 'weekly-table__archived' }, 'archivé'));
+        }
         row.appendChild(nameCell);
 
         // Colonnes pour chaque semaine
@@ -488,10 +689,16 @@ export class ReportsUI {
             const weekDuration = week.days.reduce((sum, day) => {
                 return sum + (projectData.dailyDurations[day.date] || 0);
             }, 0);
+            const weekRoundedDuration = week.days.reduce((sum, day) => {
+                return sum + (projectData.dailyRoundedDurations[day.date] || 0);
+            }, 0);
 
             const cell = createElement('td', {
                 class: 'weekly-table__cell weekly-table__cell--time'
             }, weekDuration > 0 ? formatDuration(weekDuration) : '-');
+            if (weekDuration > 0) {
+                this.#appendRounded(cell, 'projects', weekRoundedDuration);
+            }
             row.appendChild(cell);
         });
 
@@ -499,6 +706,7 @@ export class ReportsUI {
         const totalCell = createElement('td', {
             class: 'weekly-table__cell weekly-table__cell--total'
         }, formatDuration(projectData.totalDuration));
+        this.#appendRounded(totalCell, 'projects', projectData.roundedDuration);
         row.appendChild(totalCell);
 
         return row;
@@ -546,19 +754,25 @@ export class ReportsUI {
         weeks.forEach(week => {
             const cell = createElement('td', { class: 'weekly-table__cell weekly-table__cell--total-time' });
 
-            const projectTimeDiv = createElement('div', {
+            const projectTimeDiv = this.#appendRounded(createElement('div', {
                 class: 'weekly-table__total-project'
-            }, formatDuration(week.projectTime));
+            }, formatDuration(week.projectTime)), 'projects', week.roundedProjectTime);
 
-            const presenceTimeDiv = createElement('div', {
+            const presenceTimeDiv = this.#appendRounded(createElement('div', {
                 class: 'weekly-table__total-presence'
-            }, formatDuration(week.presenceTime));
+            }, formatDuration(week.presenceTime)), 'presence', week.roundedPresenceTime);
 
             // Note: Pour la vue mensuelle, on ne rend pas le temps de présence cliquable
             // car il représente une semaine entière, pas un jour spécifique
 
             cell.appendChild(projectTimeDiv);
             cell.appendChild(presenceTimeDiv);
+            if (week.creditedTime > 0) {
+                cell.appendChild(createElement('div', {
+                    class: 'weekly-table__total-credit',
+                    title: 'Temps crédité par les jours fériés et les absences'
+                }, `+${formatDuration(week.creditedTime)}`));
+            }
             row.appendChild(cell);
         });
 
@@ -604,6 +818,34 @@ export class ReportsUI {
             }
         });
 
+        // Filtre des projets archivés
+        this.archiveFilterSelect?.addEventListener('change', () => {
+            if (this.onArchiveFilterChange) {
+                this.onArchiveFilterChange(this.archiveFilterSelect.value);
+            }
+        });
+
+        // Historique du compteur d'heures
+        this.overtimeHistoryBtn?.addEventListener('click', () => {
+            if (this.onOvertimeHistoryRequest) {
+                this.onOvertimeHistoryRequest();
+            }
+        });
+
+        // Règles du temps de travail
+        this.complianceRulesBtn?.addEventListener('click', () => {
+            if (this.onComplianceRulesRequest) {
+                this.onComplianceRulesRequest();
+            }
+        });
+
+        // Arrondis de la présence et des projets
+        this.roundingBtn?.addEventListener('click', () => {
+            if (this.onRoundingRequest) {
+                this.onRoundingRequest();
+            }
+        });
+
         // Boutons de la modale de timeline
         this.closeDayTimelineModalBtn?.addEventListener('click', () => {
             this.#closeDayTimelineModal();
@@ -731,13 +973,15 @@ export class ReportsUI {
 
     /**
      * Rend la timeline d'un jour dans la modale
-     * @param {Object} dayData - Données du jour (entries, sessions, projects)
+     * Les sessions qui passent minuit sont limitées à leur part dans ce jour.
+     * @param {Object} dayData - Données du jour (date, entries, sessions, projects)
      * @private
      */
     #renderDayTimelineInModal(dayData) {
         if (!this.dayTimelineModalContent) return;
 
-        const { entries, sessions, projects } = dayData;
+        const { date, entries, projects } = dayData;
+        const sessions = date ? clipSessionsToDay(dayData.sessions, date) : dayData.sessions;
 
         // Vérifier s'il y a des données
         if ((!entries || entries.length === 0) && (!sessions || sessions.length === 0)) {
@@ -781,11 +1025,11 @@ export class ReportsUI {
             startTime = new Date(sortedSessions[0].startTime);
         }
 
-        // Trouver l'heure de fin
-        const clockOutEntry = entries?.find(e => e.type === ENTRY_TYPES.CLOCK_OUT);
+        // Trouver l'heure de fin (le départ qui clôt la journée, sans nouvelle arrivée après lui)
+        const { lastClockOut } = getOffShiftPeriods(entries);
 
-        if (clockOutEntry) {
-            endTime = new Date(clockOutEntry.timestamp);
+        if (lastClockOut) {
+            endTime = lastClockOut;
         } else if (sessions && sessions.length > 0) {
             // Utiliser la fin de la dernière session
             const sortedSessions = [...sessions].sort((a, b) =>
@@ -915,7 +1159,8 @@ export class ReportsUI {
                     }
                     inBreak = true;
                     lastTime = eventTime;
-                } else if (event.type === ENTRY_TYPES.BREAK_END) {
+                } else if (event.type === ENTRY_TYPES.BREAK_END || event.type === ENTRY_TYPES.CLOCK_OUT) {
+                    // Fin de pause (un départ pendant la pause la termine aussi)
                     if (inBreak) {
                         segments.push({
                             start: lastTime,
@@ -938,7 +1183,9 @@ export class ReportsUI {
                         end: eventTime,
                         type: 'project',
                         label: project?.name || 'Projet',
-                        color: project?.color
+                        color: project?.color,
+                        continuesFromPreviousDay: currentSession.continuesFromPreviousDay,
+                        continuesNextDay: currentSession.continuesNextDay
                     });
                     currentSession = null;
                 }
@@ -967,6 +1214,16 @@ export class ReportsUI {
             });
         }
 
+        // Intervalles hors présence d'une journée en plusieurs fois (ni travail ni pause)
+        getOffShiftPeriods(entries).gaps.forEach(gap => {
+            segments.push({
+                start: gap.start,
+                end: gap.end,
+                type: 'off',
+                label: 'Hors présence'
+            });
+        });
+
         return segments;
     }
 
@@ -979,7 +1236,16 @@ export class ReportsUI {
         const widthPercent = ((segment.end - segment.start) / totalDuration) * 100;
 
         const duration = formatDuration(segment.end - segment.start);
-        const tooltip = `${segment.label}\n${formatTime(segment.start)} - ${formatTime(segment.end)}\n${duration}`;
+        const continuation = [
+            segment.continuesFromPreviousDay ? '↩ Commencée la veille' : '',
+            segment.continuesNextDay ? '↪ Se poursuit le lendemain' : ''
+        ].filter(Boolean);
+        const tooltip = [
+            segment.label,
+            `${formatTime(segment.start)} - ${formatTime(segment.end)}`,
+            duration,
+            ...continuation
+        ].join('\n');
 
         const style = segment.color ? `background-color: ${segment.color}` : '';
 
@@ -991,6 +1257,7 @@ export class ReportsUI {
                     ${segment.label}<br>
                     ${formatTime(segment.start)} - ${formatTime(segment.end)}<br>
                     ${duration}
+                    ${continuation.map(text => `<br>${text}`).join('')}
                 </div>
                 ${widthPercent > 8 ? `<span class="day-timeline__segment-label">${segment.label}</span>` : ''}
             </div>
@@ -1021,7 +1288,7 @@ export class ReportsUI {
                 timeline.push({
                     time: new Date(entry.timestamp),
                     type: 'entry',
-                    label: type,
+                    label: entry.location ? `${type} · ${formatWorkLocation(entry.location)}` : type,
                     subtype: entry.type
                 });
             });
@@ -1041,12 +1308,21 @@ export class ReportsUI {
                 timeline.push({
                     time: sessionStart,
                     type: 'session-start',
-                    label: `Début session: ${project?.name || 'Projet inconnu'}`,
+                    label: session.continuesFromPreviousDay
+                        ? `Suite de la session de la veille: ${project?.name || 'Projet inconnu'}`
+                        : `Début session: ${project?.name || 'Projet inconnu'}`,
                     duration: duration,
                     projectColor: project?.color
                 });
 
-                if (session.endTime) {
+                if (session.continuesNextDay) {
+                    timeline.push({
+                        time: sessionEnd,
+                        type: 'session-end',
+                        label: `↪ Session ${project?.name || 'Projet inconnu'} poursuivie le lendemain`,
+                        projectColor: project?.color
+                    });
+                } else if (session.endTime) {
                     timeline.push({
                         time: sessionEnd,
                         type: 'session-end',
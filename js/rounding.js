@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Arrondis des durées (facturation, paie)
+ * Les durées sont arrondies à l'affichage et à l'export uniquement : les pointages et les
+ * sessions enregistrés ne sont jamais modifiés. Deux règles indépendantes : la présence
+ * (paie) et les projets (facturation).
+ */
+
+/**
+ * Sens de l'arrondi
+ */
+export const RoundingMode = Object.freeze({
+    NONE: 'none',       // Pas d'arrondi
+    NEAREST: 'nearest', // Au plus proche (la moitié est arrondie au-dessus)
+    UP: 'up',           // Au-dessus
+    DOWN: 'down'        // Au-dessous
+});
+
+/**
+ * Durée arrondie : chaque session (ou plage de présence), ou le total du jour (par projet pour les sessions)
+ */
+export const RoundingScope = Object.freeze({
+    SESSION: 'session',
+    DAY: 'day'
+});
+
+/**
+ * Pas d'arrondi proposés, en minutes
+ */
+export const ROUNDING_INCREMENTS = Object.freeze([1, 5, 6, 10, 15, 30]);
+
+/**
+ * Règles par défaut : aucun arrondi
+ */
+export const DEFAULT_ROUNDING_SETTINGS = Object.freeze({
+    presence: Object.freeze({ mode: RoundingMode.NONE, increment: 5, scope: RoundingScope.DAY }),
+    projects: Object.freeze({ mode: RoundingMode.NONE, increment: 15, scope: RoundingScope.SESSION })
+});
+
+/**
+ * Libellés des sens d'arrondi
+ */
+const MODE_LABELS = Object.freeze({
+    [RoundingMode.NONE]: 'Pas d\'arrondi',
+    [RoundingMode.NEAREST]: 'Au plus proche',
+    [RoundingMode.UP]: 'Au-dessus',
+    [RoundingMode.DOWN]: 'Au-dessous'
+});
+
+/**
+ * Libellés des durées arrondies
+ */
+const SCOPE_LABELS = Object.freeze({
+    [RoundingScope.SESSION]: 'à l\'unité',
+    [RoundingScope.DAY]: 'par jour'
+});
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Retourne le libellé d'un sens d'arrondi
+ * @param {string} mode - Sens d'arrondi (RoundingMode)
+ * @returns {string} Libellé en français
+ */
+export function getRoundingModeLabel(mode) {
+    return MODE_LABELS[mode] || mode;
+}
+
+/**
+ * Retourne le libellé d'une durée arrondie
+ * @param {string} scope - Durée arrondie (RoundingScope)
+ * @returns {string} Libellé en français
+ */
+export function getRoundingScopeLabel(scope) {
+    return SCOPE_LABELS[scope] || scope;
+}
+
+/**
+ * Décrit une règle d'arrondi (ex: "Au-dessus, 15 min à l'unité")
+ * @param {Object} policy - Règle {mode, increment, scope}
+ * @returns {string}
+ */
+export function describeRoundingPolicy(policy) {
+    if (!isRoundingActive(policy)) {
+        return getRoundingModeLabel(RoundingMode.NONE);
+    }
+    return `${getRoundingModeLabel(policy.mode)}, ${policy.increment} min ${getRoundingScopeLabel(policy.scope)}`;
+}
+
+/**
+ * Vérifie si une règle arrondit effectivement les durées
+ * @param {Object|null} policy - Règle {mode, increment, scope}
+ * @returns {boolean}
+ */
+export function isRoundingActive(policy) {
+    return Boolean(policy) && policy.mode !== RoundingMode.NONE;
+}
+
+/**
+ * Valide une règle d'arrondi
+ * @param {Object} policy - Règle à valider
+ * @param {Object} defaults - Valeurs par défaut de la règle
+ * @param {string} label - Nom de la règle (messages d'erreur)
+ * @returns {Object} Règle complète
+ * @throws {Error} Si le sens, le pas ou la durée arrondie est inconnu
+ * @private
+ */
+function normalizePolicy(policy, defaults, label) {
+    const merged = { ...defaults, ...(policy || {}) };
+
+    if (!Object.values(RoundingMode).includes(merged.mode)) {
+        throw new Error(`Arrondi ${label} : sens inconnu (${merged.mode})`);
+    }
+    if (!ROUNDING_INCREMENTS.includes(merged.increment)) {
+        throw new Error(`Arrondi ${label} : le pas doit être de ${ROUNDING_INCREMENTS.join(', ')} minutes`);
+    }
+    if (!Object.values(RoundingScope).includes(merged.scope)) {
+        throw new Error(`Arrondi ${label} : durée arrondie inconnue (${merged.scope})`);
+    }
+
+    return { mode: merged.mode, increment: merged.increment, scope: merged.scope };
+}
+
+/**
+ * Valide les règles d'arrondi
+ * @param {Object|null} settings - Règles enregistrées, null si aucune
+ * @returns {Object} Règles complètes {presence, projects}
+ * @throws {Error} Si une règle est invalide
+ */
+export function normalizeRoundingSettings(settings) {
+    return {
+        presence: normalizePolicy(settings?.presence, DEFAULT_ROUNDING_SETTINGS.presence, 'de la présence'),
+        projects: normalizePolicy(settings?.projects, DEFAULT_ROUNDING_SETTINGS.projects, 'des projets')
+    };
+}
+
+/**
+ * Arrondit une durée selon une règle (la durée arrondie est ignorée)
+ * @param {number} duration - Durée en millisecondes
+ * @param {Object|null} policy - Règle {mode, increment}
+ * @returns {number} Durée arrondie en millisecondes
+ * @example
+ * roundDuration(52 * 60000, { mode: 'up', increment: 15 }) // 60 minutes
+ */
+export function roundDuration(duration, policy) {
+    if (!isRoundingActive(policy)) {
+        return duration;
+    }
+
+    const step = policy.increment * MINUTE;
+    switch (policy.mode) {
+        case RoundingMode.UP:
+            return Math.ceil(duration / step) * step;
+        case RoundingMode.DOWN:
+            return Math.floor(duration / step) * step;
+        default:
+            return Math.round(duration / step) * step;
+    }
+}
+
+/**
+ * Arrondit une liste de durées selon une règle
+ * Par session, chaque durée est arrondie. Par jour, c'est le total de chaque groupe
+ * (jour, ou jour et projet) qui est arrondi : l'écart est porté par la dernière durée
+ * du groupe (puis les précédentes), pour que la somme des durées arrondies reste égale
+ * au total arrondi.
+ * @param {number[]} durations - Durées en millisecondes
+ * @param {Object|null} policy - Règle {mode, increment, scope}
+ * @param {string[]} groups - Groupe de chaque durée (ex: "2025-11-13" ou "2025-11-13|project_1")
+ * @returns {number[]} Durées arrondies, dans le même ordre
+ */
+export function roundDurations(durations, policy, groups) {
+    if (!isRoundingActive(policy)) {
+        return [...durations];
+    }
+    if (policy.scope === RoundingScope.SESSION) {
+        return durations.map(duration => roundDuration(duration, policy));
+    }
+
+    const indexesByGroup = new Map();
+    durations.forEach((duration, i) => {
+        indexesByGroup.set(groups[i], [...(indexesByGroup.get(groups[i]) || []), i]);
+    });
+
+    const rounded = [...durations];
+    indexesByGroup.forEach(indexes => {
+        const total = indexes.reduce((sum, i) => sum + durations[i], 0);
+        let delta = roundDuration(total, policy) - total;
+
+        // Un arrondi au-dessous ne rend aucune durée négative : le reste passe aux précédentes
+        for (let k = indexes.length - 1; k >= 0 && delta !== 0; k--) {
+            const i = indexes[k];
+            const applied = Math.max(delta, -rounded[i]);
+            rounded[i] += applied;
+            delta -= applied;
+        }
+    });
+
+    return rounded;
+}
+
+/**
+ * Arrondit la durée de chaque session (par jour : total de chaque projet sur chaque jour)
+ * @param {ProjectSession[]} sessions - Sessions à arrondir
+ * @param {Object|null} policy - Règle d'arrondi des projets
+ * @returns {number[]} Durées arrondies en millisecondes, dans l'ordre des sessions
+ */
+export function roundSessionDurations(sessions, policy) {
+    return roundDurations(
+        sessions.map(session => session.getDuration()),
+        policy,
+        sessions.map(session => `${session.date}|${session.projectId}`)
+    );
+}
@@ -1,6 +1,6 @@
 'use strict';
 
-import { formatDuration } from './utils.js';
+import { formatDuration, formatDate, escapeHtml } from './utils.js';
 
 /**
  * UI pour la gestion de toutes les sessions de projet
@@ -20,6 +20,7 @@ export class SessionsManagementUI {
         this.onEditSession = null;
         this.onDeleteSession = null;
         this.onRefresh = null;
+        this.onLoadMore = null; // Callback pour charger la page suivante
     }
 
     /**
@@ -114,23 +115,19 @@ export class SessionsManagementUI {
     }
 
     /**
-     * Affiche toutes les sessions
+     * Affiche les sessions chargées (déjà filtrées sur la période par le stockage)
      * @param {ProjectSession[]} sessions - Liste des sessions à afficher
      * @param {Map<string, string>} projectNames - Map des noms de projets par ID
+     * @param {Object} [options] - Options d'affichage
+     * @param {boolean} [options.hasMore=false] - D'autres sessions plus anciennes peuvent être chargées
      */
-    renderAllSessions(sessions, projectNames) {
+    renderAllSessions(sessions, projectNames, { hasMore = false } = {}) {
         if (!this.listContainer) return;
 
         // Vider le conteneur
         this.listContainer.innerHTML = '';
 
-        // Appliquer le filtre de période si défini
-        let filteredSessions = sessions;
-        if (this.periodFilter) {
-            filteredSessions = this.filterSessionsByPeriod(sessions, this.periodFilter.startDate, this.periodFilter.endDate);
-        }
-
-        if (filteredSessions.length === 0) {
+        if (sessions.length === 0) {
             const message = this.periodFilter
                 ? 'Aucune session de travail pour cette période'
                 : 'Aucune session de travail enregistrée';
@@ -143,33 +140,36 @@ export class SessionsManagementUI {
         }
 
         // Grouper les sessions par date
-        const sessionsByDate = this.groupSessionsByDate(filteredSessions);
+        const sessionsByDate = this.groupSessionsByDate(sessions);
 
         // Créer les éléments pour chaque date
         Object.keys(sessionsByDate).forEach(date => {
             const dateGroup = this.createDateGroup(date, sessionsByDate[date], projectNames);
             this.listContainer.appendChild(dateGroup);
         });
+
+        if (hasMore) {
+            this.listContainer.appendChild(this.createLoadMoreButton());
+        }
     }
 
     /**
-     * Filtre les sessions par période
-     * @param {ProjectSession[]} sessions - Liste des sessions
-     * @param {Date} startDate - Date de début
-     * @param {Date} endDate - Date de fin
-     * @returns {ProjectSession[]} Sessions filtrées
+     * Crée le bouton de chargement des sessions plus anciennes
+     * @returns {HTMLElement} Bouton
      */
-    filterSessionsByPeriod(sessions, startDate, endDate) {
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-
-        return sessions.filter(session => {
-            const sessionDate = new Date(session.startTime);
-            return sessionDate >= start && sessionDate <= end;
+    createLoadMoreButton() {
+        const button = document.createElement('button');
+        button.className = 'btn btn--secondary all-entries-list__more';
+        button.textContent = 'Charger les sessions plus anciennes';
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            if (this.onLoadMore) {
+                this.onLoadMore();
+            }
         });
+
+        return button;
     }
 
     /**
@@ -246,6 +246,7 @@ export class SessionsManagementUI {
                 <div class="entry-item__info">
                     <span class="entry-item__label">${projectName}</span>
                     <span class="entry-item__time">${startTime} - ${endTime} (${duration})</span>
+                    ${session.note ? `<span class="entry-item__note">${escapeHtml(session.note)}</span>` : ''}
                 </div>
             </div>
             <div class="entry-item__actions">
@@ -307,8 +308,8 @@ export class SessionsManagementUI {
         const formatted = date.toLocaleDateString('fr-FR', options);
 
         // Ajouter "Aujourd'hui" ou "Hier" si applicable
-        const todayStr = today.toISOString().split('T')[0];
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
+        const todayStr = formatDate(today);
+        const yesterdayStr = formatDate(yesterday);
 
         if (dateStr === todayStr) {
             return `Aujourd'hui - ${formatted}`;
@@ -3,90 +3,159 @@
 import { TimeEntry } from './time-entry.js';
 import { Project } from './project.js';
 import { ProjectSession } from './project-session.js';
+import { Absence } from './absence.js';
+import { STORES, openDatabase, updateRecords, rekeyEntryDate, rekeySessionDate } from './migrations.js';
+import { getDayBounds } from './utils.js';
+import { HistoryDirection, recordsEqual } from './history.js';
+import { createAuditRecord, compareAuditRecords } from './audit-log.js';
+import { normalizeBackupSettings } from './backups.js';
+import { normalizeWorkSchedules, addWorkSchedule } from './work-schedule.js';
+import { normalizeOvertimeLedger, addOvertimeAdjustment, removeOvertimeAdjustment } from './overtime.js';
+import { normalizeComplianceRules } from './compliance.js';
+import { normalizeRecoverySettings } from './recovery.js';
+import { normalizeRoundingSettings } from './rounding.js';
+import { normalizeLocationSettings } from './work-location.js';
+import {
+    SYNCED_STORES,
+    INITIAL_SYNC_STATE,
+    ENCRYPTED_SYNC_ERROR,
+    normalizeSyncSettings,
+    createVersionStamp,
+    createTombstone,
+    getTombstoneId,
+    withoutSyncFields,
+    compareVersions
+} from './sync.js';
+import {
+    createArchivePayload,
+    mergeArchivePayloads,
+    summarizeArchivedTime,
+    compressJSON,
+    decompressJSON,
+    getYearBounds
+} from './archive.js';
+import {
+    createEncryptionHeader,
+    unlockEncryptionHeader,
+    encryptJSON,
+    encryptRecord,
+    decryptRecord,
+    encryptAuditRecord,
+    decryptAuditRecord,
+    encryptBlob,
+    decryptBlob,
+    isEncryptedRecord
+} from './encryption.js';
 
 /**
- * Configuration de la base de données
+ * Taille de page par défaut pour la lecture paginée
  */
-const DB_NAME = 'TimeTrackerDB';
-const DB_VERSION = 1;
+export const DEFAULT_PAGE_SIZE = 100;
 
-const STORES = {
-    TIME_ENTRIES: 'timeEntries',
-    PROJECTS: 'projects',
-    PROJECT_SESSIONS: 'projectSessions'
-};
+/**
+ * Stores dont les modifications sont tracées dans le journal (auditLog)
+ */
+export const AUDITED_STORES = Object.freeze([STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS]);
 
 /**
- * Service de gestion du stockage IndexedDB
+ * Clé de l'en-tête de chiffrement dans le store settings
  */
-export class StorageService {
-    constructor() {
-        this.db = null;
-    }
+export const ENCRYPTION_SETTING_KEY = 'encryption';
 
-    /**
-     * Initialise la base de données
-     * @returns {Promise<void>}
-     * @throws {Error} Si l'initialisation échoue
-     */
-    async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+/**
+ * Clé des paramètres des sauvegardes automatiques dans le store settings
+ */
+export const BACKUP_SETTING_KEY = 'backups';
 
-            request.onerror = () => {
-                reject(new Error('Erreur lors de l\'ouverture de la base de données'));
-            };
+/**
+ * Clés des paramètres et de l'état de la synchronisation dans le store settings
+ */
+export const SYNC_SETTING_KEY = 'sync';
+export const SYNC_STATE_KEY = 'syncState';
 
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                console.log('✅ Base de données initialisée');
-                resolve();
-            };
+/**
+ * Clé de l'historique des horaires de travail dans le store settings
+ */
+export const WORK_SCHEDULES_SETTING_KEY = 'workSchedules';
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+/**
+ * Clé des paramètres du compteur d'heures dans le store settings
+ */
+export const OVERTIME_SETTING_KEY = 'overtime';
 
-                // Créer le store pour les pointages (timeEntries)
-                if (!db.objectStoreNames.contains(STORES.TIME_ENTRIES)) {
-                    const timeEntriesStore = db.createObjectStore(STORES.TIME_ENTRIES, {
-                        keyPath: 'id'
-                    });
+/**
+ * Clé des seuils de conformité au temps de travail dans le store settings
+ */
+export const COMPLIANCE_SETTING_KEY = 'compliance';
 
-                    // Index pour filtrer par date
-                    timeEntriesStore.createIndex('date', 'date', { unique: false });
+/**
+ * Clé des paramètres des journées oubliées dans le store settings
+ */
+export const RECOVERY_SETTING_KEY = 'recovery';
 
-                    // Index pour trier par timestamp
-                    timeEntriesStore.createIndex('timestamp', 'timestamp', { unique: false });
+/**
+ * Clé des règles d'arrondi des rapports et des exports dans le store settings
+ */
+export const ROUNDING_SETTING_KEY = 'rounding';
 
-                    console.log('✅ Store timeEntries créé');
-                }
+/**
+ * Clé des lieux de travail par défaut dans le store settings
+ */
+export const LOCATION_SETTING_KEY = 'locations';
 
-                // Créer le store pour les projets (projects)
-                if (!db.objectStoreNames.contains(STORES.PROJECTS)) {
-                    const projectsStore = db.createObjectStore(STORES.PROJECTS, {
-                        keyPath: 'id'
-                    });
+/**
+ * Stores de données dont le contenu est chiffré (le journal est chiffré champ par champ)
+ */
+const ENCRYPTED_STORES = Object.freeze([
+    STORES.TIME_ENTRIES,
+    STORES.PROJECTS,
+    STORES.PROJECT_SESSIONS,
+    STORES.ABSENCES,
+    STORES.BACKUPS
+]);
 
-                    projectsStore.createIndex('name', 'name', { unique: false });
-                    projectsStore.createIndex('active', 'active', { unique: false });
+/**
+ * Numérotation du journal par transaction d'écriture ({next, pending})
+ */
+const auditSequences = new WeakMap();
 
-                    console.log('✅ Store projects créé');
-                }
+/**
+ * Crée l'erreur d'un enregistrement modifié depuis sa lecture
+ * @returns {Error} Erreur nommée 'ConflictError'
+ */
+function createConflictError() {
+    const error = new Error('Les données ont été modifiées depuis, cette action ne peut plus être appliquée');
+    error.name = 'ConflictError';
+    return error;
+}
 
-                // Créer le store pour les sessions de projet (projectSessions)
-                if (!db.objectStoreNames.contains(STORES.PROJECT_SESSIONS)) {
-                    const sessionsStore = db.createObjectStore(STORES.PROJECT_SESSIONS, {
-                        keyPath: 'id'
-                    });
+/**
+ * Service de gestion du stockage IndexedDB
+ */
+export class StorageService {
+    constructor() {
+        this.db = null;
+        this.migrationReport = null; // Rapport de la dernière migration (null si aucune)
+        this.encryptionHeader = null; // En-tête de chiffrement (null si les données sont en clair)
+        this.encryptionKey = null; // Clé AES-GCM, en mémoire uniquement (null tant que verrouillé)
 
-                    sessionsStore.createIndex('projectId', 'projectId', { unique: false });
-                    sessionsStore.createIndex('date', 'date', { unique: false });
-                    sessionsStore.createIndex('startTime', 'startTime', { unique: false });
+        // Callback appelé après chaque écriture validée (reçoit les noms des stores modifiés)
+        this.onChange = null;
+    }
 
-                    console.log('✅ Store projectSessions créé');
-                }
-            };
+    /**
+     * Initialise la base de données
+     * @returns {Promise<void>}
+     * @throws {Error} Si l'initialisation échoue
+     */
+    async init() {
+        this.db = await openDatabase({
+            onMigrated: (report) => {
+                this.migrationReport = report;
+            }
         });
+        this.encryptionHeader = await this.#getSetting(ENCRYPTION_SETTING_KEY);
+        console.log('✅ Base de données initialisée' + (this.encryptionHeader ? ' (chiffrée)' : ''));
     }
 
     // ======================
@@ -96,27 +165,33 @@ export class StorageService {
     /**
      * Sauvegarde une entrée de pointage
      * @param {TimeEntry} entry - Entrée à sauvegarder
+     * @param {Object} [options] - Options d'écriture
+     * @param {string|null} [options.audit=null] - Action tracée dans le journal (ex: "Modification du pointage")
      * @returns {Promise<string>} ID de l'entrée sauvegardée
      * @throws {Error} Si la sauvegarde échoue
      */
-    async saveEntry(entry) {
+    async saveEntry(entry, { audit = null } = {}) {
         if (!(entry instanceof TimeEntry)) {
             throw new Error('L\'entrée doit être une instance de TimeEntry');
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.TIME_ENTRIES], 'readwrite');
-            const store = transaction.objectStore(STORES.TIME_ENTRIES);
+        if (audit) {
+            await this.#writeAudited(STORES.TIME_ENTRIES, entry.id, entry.toJSON(), audit);
+            return entry.id;
+        }
 
-            const data = entry.toJSON();
-            const request = store.put(data);
+        const data = await this.#encode(STORES.TIME_ENTRIES, entry.toJSON());
 
-            request.onsuccess = () => {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.TIME_ENTRIES, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.TIME_ENTRIES, entry.id, data);
+
+            transaction.oncomplete = () => {
                 console.log('✅ Entrée sauvegardée:', entry.type, entry.timestamp);
                 resolve(entry.id);
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Erreur lors de la sauvegarde de l\'entrée'));
             };
         });
@@ -137,12 +212,16 @@ export class StorageService {
             const request = index.getAll(date);
 
             request.onsuccess = () => {
-                const entries = request.result.map(data => TimeEntry.fromJSON(data));
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const entries = records.map(data => TimeEntry.fromJSON(data));
 
-                // Trier par timestamp croissant
-                entries.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+                        // Trier par timestamp croissant
+                        entries.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
 
-                resolve(entries);
+                        resolve(entries);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -165,11 +244,9 @@ export class StorageService {
             const request = store.get(id);
 
             request.onsuccess = () => {
-                if (request.result) {
-                    resolve(TimeEntry.fromJSON(request.result));
-                } else {
-                    resolve(null);
-                }
+                this.#decode(request.result)
+                    .then(data => resolve(data ? TimeEntry.fromJSON(data) : null))
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -181,22 +258,26 @@ export class StorageService {
     /**
      * Supprime une entrée par son ID
      * @param {string} id - ID de l'entrée à supprimer
+     * @param {Object} [options] - Options d'écriture
+     * @param {string|null} [options.audit=null] - Action tracée dans le journal (ex: "Suppression du pointage")
      * @returns {Promise<void>}
      * @throws {Error} Si la suppression échoue
      */
-    async deleteEntry(id) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.TIME_ENTRIES], 'readwrite');
-            const store = transaction.objectStore(STORES.TIME_ENTRIES);
+    async deleteEntry(id, { audit = null } = {}) {
+        if (audit) {
+            return this.#writeAudited(STORES.TIME_ENTRIES, id, null, audit);
+        }
 
-            const request = store.delete(id);
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.TIME_ENTRIES, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.TIME_ENTRIES, id, null);
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('✅ Entrée supprimée:', id);
                 resolve();
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Erreur lors de la suppression de l\'entrée'));
             };
         });
@@ -215,12 +296,16 @@ export class StorageService {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                const entries = request.result.map(data => TimeEntry.fromJSON(data));
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const entries = records.map(data => TimeEntry.fromJSON(data));
 
-                // Trier par timestamp décroissant (plus récent en premier)
-                entries.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
+                        // Trier par timestamp décroissant (plus récent en premier)
+                        entries.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
 
-                resolve(entries);
+                        resolve(entries);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -229,21 +314,53 @@ export class StorageService {
         });
     }
 
+    /**
+     * Récupère les entrées d'une plage de jours (index date)
+     * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+     * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+     * @returns {Promise<TimeEntry[]>} Entrées triées par timestamp croissant
+     * @throws {Error} Si la récupération échoue
+     */
+    async getEntriesBetween(startDate, endDate) {
+        const entries = await this.#getAllInRange(
+            STORES.TIME_ENTRIES,
+            'date',
+            IDBKeyRange.bound(startDate, endDate),
+            data => TimeEntry.fromJSON(data)
+        );
+
+        return entries.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    }
+
+    /**
+     * Récupère une page d'entrées, de la plus récente à la plus ancienne (index timestamp)
+     * @param {Object} [options] - Options de pagination
+     * @param {string} [options.startDate] - Premier jour inclus (YYYY-MM-DD)
+     * @param {string} [options.endDate] - Dernier jour inclus (YYYY-MM-DD)
+     * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Nombre maximal d'entrées
+     * @param {Object|null} [options.cursor] - Curseur renvoyé par la page précédente
+     * @returns {Promise<{items: TimeEntry[], nextCursor: Object|null}>} Page et curseur de la suivante (null si fin)
+     * @throws {Error} Si la récupération échoue
+     */
+    async getEntriesPage(options = {}) {
+        return this.#getPage(STORES.TIME_ENTRIES, 'timestamp', data => TimeEntry.fromJSON(data), options);
+    }
+
     /**
      * Supprime toutes les données de la base (pour les tests)
+     * L'en-tête de chiffrement est conservé : les écritures suivantes restent chiffrées.
      * @returns {Promise<void>}
      * @throws {Error} Si la suppression échoue
      */
     async clearAll() {
+        const storeNames = Object.values(STORES).filter(storeName => storeName !== STORES.SETTINGS);
+
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(
-                [STORES.TIME_ENTRIES, STORES.PROJECTS, STORES.PROJECT_SESSIONS],
-                'readwrite'
-            );
+            const transaction = this.#writeTransaction(storeNames);
 
             const clearPromises = [];
 
-            Object.values(STORES).forEach(storeName => {
+            storeNames.forEach(storeName => {
                 const store = transaction.objectStore(storeName);
                 clearPromises.push(
                     new Promise((res, rej) => {
@@ -280,19 +397,18 @@ export class StorageService {
             throw new Error('Le projet doit être une instance de Project');
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.PROJECTS], 'readwrite');
-            const store = transaction.objectStore(STORES.PROJECTS);
+        const data = await this.#encode(STORES.PROJECTS, project.toJSON());
 
-            const data = project.toJSON();
-            const request = store.put(data);
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.PROJECTS, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.PROJECTS, project.id, data);
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('✅ Projet sauvegardé:', project.name);
                 resolve(project.id);
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Erreur lors de la sauvegarde du projet'));
             };
         });
@@ -311,14 +427,18 @@ export class StorageService {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                const projects = request.result
-                    .map(data => Project.fromJSON(data))
-                    .filter(project => project.active);
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const projects = records
+                            .map(data => Project.fromJSON(data))
+                            .filter(project => project.active);
 
-                // Trier par date de création (plus récent en premier)
-                projects.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+                        // Trier par date de création (plus récent en premier)
+                        projects.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
 
-                resolve(projects);
+                        resolve(projects);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -341,11 +461,9 @@ export class StorageService {
             const request = store.get(id);
 
             request.onsuccess = () => {
-                if (request.result) {
-                    resolve(Project.fromJSON(request.result));
-                } else {
-                    resolve(null);
-                }
+                this.#decode(request.result)
+                    .then(data => resolve(data ? Project.fromJSON(data) : null))
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -355,39 +473,160 @@ export class StorageService {
     }
 
     /**
-     * Supprime un projet (marque comme inactif)
+     * Récupère les projets archivés
+     * @returns {Promise<Project[]>} Projets archivés (archivage le plus récent en premier)
+     * @throws {Error} Si la récupération échoue
+     */
+    async getArchivedProjects() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.PROJECTS], 'readonly');
+            const store = transaction.objectStore(STORES.PROJECTS);
+
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const projects = records
+                            .map(data => Project.fromJSON(data))
+                            .filter(project => project.isArchived());
+
+                        // Les projets archivés avant l'ajout de archivedAt viennent en dernier
+                        projects.sort((a, b) => (b.archivedAt?.getTime() ?? 0) - (a.archivedAt?.getTime() ?? 0));
+
+                        resolve(projects);
+                    })
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des projets archivés'));
+            };
+        });
+    }
+
+    /**
+     * Archive un projet (ses sessions sont conservées)
+     * @param {string} id - ID du projet à archiver
+     * @returns {Promise<Project>} Projet archivé
+     * @throws {Error} Si le projet n'existe pas ou si l'archivage échoue
+     */
+    async archiveProject(id) {
+        const project = await this.getProjectById(id);
+        if (!project) {
+            throw new Error('Projet non trouvé');
+        }
+
+        project.archive();
+        await this.saveProject(project);
+
+        console.log('✅ Projet archivé:', id);
+        return project;
+    }
+
+    /**
+     * Restaure un projet archivé
+     * @param {string} id - ID du projet à restaurer
+     * @returns {Promise<Project>} Projet restauré
+     * @throws {Error} Si le projet n'existe pas ou si la restauration échoue
+     */
+    async unarchiveProject(id) {
+        const project = await this.getProjectById(id);
+        if (!project) {
+            throw new Error('Projet non trouvé');
+        }
+
+        project.unarchive();
+        await this.saveProject(project);
+
+        console.log('✅ Projet restauré:', id);
+        return project;
+    }
+
+    /**
+     * Supprime définitivement un projet et traite ses sessions dans une transaction unique
+     * Sans projet de destination, les sessions sont supprimées ; sinon elles lui sont réattribuées
+     * et la durée des sessions terminées s'ajoute à son temps passé.
      * @param {string} id - ID du projet à supprimer
-     * @returns {Promise<void>}
-     * @throws {Error} Si la suppression échoue
+     * @param {Object} [options] - Options de suppression
+     * @param {string|null} [options.reassignTo=null] - ID du projet qui reçoit les sessions
+     * @returns {Promise<{deleted: number, reassigned: number}>} Nombre de sessions traitées
+     * @throws {Error} Si un projet n'existe pas ou si la suppression échoue
      */
-    async deleteProject(id) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const project = await this.getProjectById(id);
-                if (!project) {
-                    reject(new Error('Projet non trouvé'));
-                    return;
-                }
+    async purgeProject(id, { reassignTo = null } = {}) {
+        if (reassignTo === id) {
+            throw new Error('Les sessions ne peuvent pas être réattribuées au projet supprimé');
+        }
 
-                project.active = false;
-                project.updatedAt = new Date();
+        const [project, target] = await Promise.all([
+            this.getProjectById(id),
+            reassignTo ? this.getProjectById(reassignTo) : null
+        ]);
+        if (!project) {
+            throw new Error('Projet non trouvé');
+        }
+        if (reassignTo && !target) {
+            throw new Error('Projet de destination non trouvé');
+        }
 
-                const transaction = this.db.transaction([STORES.PROJECTS], 'readwrite');
-                const store = transaction.objectStore(STORES.PROJECTS);
+        const action = await this.#encodeAction(`Suppression définitive du projet "${project.name}"`);
+
+        // Temps des sessions réattribuées, encodé avant la transaction (le chiffrement est asynchrone)
+        let targetData = null;
+        if (target) {
+            const movedTime = (await this.getSessionsByProject(id))
+                .filter(session => !session.isRunning())
+                .reduce((total, session) => total + session.getDuration(), 0);
+            if (movedTime > 0) {
+                target.addTime(movedTime);
+                targetData = await this.#encode(STORES.PROJECTS, target.toJSON());
+            }
+        }
 
-                const request = store.put(project.toJSON());
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(
+                [STORES.PROJECTS, STORES.PROJECT_SESSIONS, STORES.AUDIT_LOG, STORES.TOMBSTONES]
+            );
+            const sessionsStore = transaction.objectStore(STORES.PROJECT_SESSIONS);
+            const counts = { deleted: 0, reassigned: 0 };
 
-                request.onsuccess = () => {
-                    console.log('✅ Projet supprimé:', id);
-                    resolve();
-                };
+            const request = sessionsStore.index('projectId').openCursor(IDBKeyRange.only(id));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                // projectId et la version sont en clair dans une session chiffrée : la réattribution se fait sans déchiffrer
+                const stamp = createVersionStamp(cursor.value);
+                const after = target ? { ...cursor.value, projectId: target.id, ...stamp } : null;
+                if (after) {
+                    cursor.update(after);
+                    counts.reassigned++;
+                } else {
+                    cursor.delete();
+                    transaction.objectStore(STORES.TOMBSTONES).put(
+                        createTombstone(STORES.PROJECT_SESSIONS, cursor.value.id, stamp)
+                    );
+                    counts.deleted++;
+                }
+                this.#addAuditRecord(transaction, createAuditRecord({
+                    store: STORES.PROJECT_SESSIONS, action, before: cursor.value, after
+                }));
+                cursor.continue();
+            };
 
-                request.onerror = () => {
-                    reject(new Error('Erreur lors de la suppression du projet'));
-                };
-            } catch (error) {
-                reject(error);
+            this.#writeVersioned(transaction, STORES.PROJECTS, id, null);
+            if (targetData) {
+                this.#writeVersioned(transaction, STORES.PROJECTS, target.id, targetData);
             }
+
+            transaction.oncomplete = () => {
+                console.log('✅ Projet supprimé définitivement:', id, counts);
+                resolve(counts);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la suppression définitive du projet'));
+            };
         });
     }
 
@@ -398,27 +637,33 @@ export class StorageService {
     /**
      * Sauvegarde une session de projet
      * @param {ProjectSession} session - Session à sauvegarder
+     * @param {Object} [options] - Options d'écriture
+     * @param {string|null} [options.audit=null] - Action tracée dans le journal (ex: "Modification de la session")
      * @returns {Promise<string>} ID de la session sauvegardée
      * @throws {Error} Si la sauvegarde échoue
      */
-    async saveSession(session) {
+    async saveSession(session, { audit = null } = {}) {
         if (!(session instanceof ProjectSession)) {
             throw new Error('La session doit être une instance de ProjectSession');
         }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.PROJECT_SESSIONS], 'readwrite');
-            const store = transaction.objectStore(STORES.PROJECT_SESSIONS);
+        if (audit) {
+            await this.#writeAudited(STORES.PROJECT_SESSIONS, session.id, session.toJSON(), audit);
+            return session.id;
+        }
 
-            const data = session.toJSON();
-            const request = store.put(data);
+        const data = await this.#encode(STORES.PROJECT_SESSIONS, session.toJSON());
 
-            request.onsuccess = () => {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.PROJECT_SESSIONS, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.PROJECT_SESSIONS, session.id, data);
+
+            transaction.oncomplete = () => {
                 console.log('✅ Session sauvegardée:', session.id);
                 resolve(session.id);
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Erreur lors de la sauvegarde de la session'));
             };
         });
@@ -439,12 +684,16 @@ export class StorageService {
             const request = index.getAll(projectId);
 
             request.onsuccess = () => {
-                const sessions = request.result.map(data => ProjectSession.fromJSON(data));
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const sessions = records.map(data => ProjectSession.fromJSON(data));
 
-                // Trier par date de début (plus récent en premier)
-                sessions.sort((a, b) => b.startTime.getTime() - a.startTime.getTime());
+                        // Trier par date de début (plus récent en premier)
+                        sessions.sort((a, b) => b.startTime.getTime() - a.startTime.getTime());
 
-                resolve(sessions);
+                        resolve(sessions);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -468,12 +717,16 @@ export class StorageService {
             const request = index.getAll(date);
 
             request.onsuccess = () => {
-                const sessions = request.result.map(data => ProjectSession.fromJSON(data));
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const sessions = records.map(data => ProjectSession.fromJSON(data));
 
-                // Trier par date de début (plus ancien en premier)
-                sessions.sort((a, b) => a.startTime.getTime() - b.startTime.getTime());
+                        // Trier par date de début (plus ancien en premier)
+                        sessions.sort((a, b) => a.startTime.getTime() - b.startTime.getTime());
 
-                resolve(sessions);
+                        resolve(sessions);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -496,11 +749,9 @@ export class StorageService {
             const request = store.get(id);
 
             request.onsuccess = () => {
-                if (request.result) {
-                    resolve(ProjectSession.fromJSON(request.result));
-                } else {
-                    resolve(null);
-                }
+                this.#decode(request.result)
+                    .then(data => resolve(data ? ProjectSession.fromJSON(data) : null))
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -522,11 +773,15 @@ export class StorageService {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                const sessions = request.result
-                    .map(data => ProjectSession.fromJSON(data))
-                    .filter(session => session.isRunning());
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const sessions = records
+                            .map(data => ProjectSession.fromJSON(data))
+                            .filter(session => session.isRunning());
 
-                resolve(sessions);
+                        resolve(sessions);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -548,22 +803,26 @@ export class StorageService {
     /**
      * Supprime une session par son ID
      * @param {string} id - ID de la session à supprimer
+     * @param {Object} [options] - Options d'écriture
+     * @param {string|null} [options.audit=null] - Action tracée dans le journal (ex: "Suppression de la session")
      * @returns {Promise<void>}
      * @throws {Error} Si la suppression échoue
      */
-    async deleteSession(id) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORES.PROJECT_SESSIONS], 'readwrite');
-            const store = transaction.objectStore(STORES.PROJECT_SESSIONS);
+    async deleteSession(id, { audit = null } = {}) {
+        if (audit) {
+            return this.#writeAudited(STORES.PROJECT_SESSIONS, id, null, audit);
+        }
 
-            const request = store.delete(id);
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.PROJECT_SESSIONS, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.PROJECT_SESSIONS, id, null);
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('✅ Session supprimée:', id);
                 resolve();
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 reject(new Error('Erreur lors de la suppression de la session'));
             };
         });
@@ -582,12 +841,16 @@ export class StorageService {
             const request = store.getAll();
 
             request.onsuccess = () => {
-                const sessions = request.result.map(data => ProjectSession.fromJSON(data));
+                this.#decodeAll(request.result)
+                    .then(records => {
+                        const sessions = records.map(data => ProjectSession.fromJSON(data));
 
-                // Trier par date de début (plus récent en premier)
-                sessions.sort((a, b) => b.startTime.getTime() - a.startTime.getTime());
+                        // Trier par date de début (plus récent en premier)
+                        sessions.sort((a, b) => b.startTime.getTime() - a.startTime.getTime());
 
-                resolve(sessions);
+                        resolve(sessions);
+                    })
+                    .catch(reject);
             };
 
             request.onerror = () => {
@@ -595,4 +858,1729 @@ export class StorageService {
             };
         });
     }
+
+    /**
+     * Récupère les sessions d'une plage de jours (index date)
+     * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+     * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+     * @returns {Promise<ProjectSession[]>} Sessions triées par date de début croissante
+     * @throws {Error} Si la récupération échoue
+     */
+    async getSessionsBetween(startDate, endDate) {
+        const sessions = await this.#getAllInRange(
+            STORES.PROJECT_SESSIONS,
+            'date',
+            IDBKeyRange.bound(startDate, endDate),
+            data => ProjectSession.fromJSON(data)
+        );
+
+        return sessions.sort((a, b) => a.startTime.getTime() - b.startTime.getTime());
+    }
+
+    /**
+     * Récupère une page de sessions, de la plus récente à la plus ancienne (index startTime)
+     * @param {Object} [options] - Options de pagination (voir getEntriesPage)
+     * @returns {Promise<{items: ProjectSession[], nextCursor: Object|null}>} Page et curseur de la suivante
+     * @throws {Error} Si la récupération échoue
+     */
+    async getSessionsPage(options = {}) {
+        return this.#getPage(STORES.PROJECT_SESSIONS, 'startTime', data => ProjectSession.fromJSON(data), options);
+    }
+
+    // ======================
+    // Méthodes publiques - Sauvegarde et restauration
+    // ======================
+
+    /**
+     * Récupère l'intégralité des données (projets inactifs compris)
+     * @param {Object} [options] - Options de lecture
+     * @param {boolean} [options.raw=false] - Retourner les enregistrements au format de stockage (déchiffrés)
+     * @returns {Promise<{entries: TimeEntry[], projects: Project[], sessions: ProjectSession[], absences: Absence[]}>}
+     * @throws {Error} Si la récupération échoue
+     */
+    async getAllData({ raw = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [STORES.TIME_ENTRIES, STORES.PROJECTS, STORES.PROJECT_SESSIONS, STORES.ABSENCES],
+                'readonly'
+            );
+
+            const entriesRequest = transaction.objectStore(STORES.TIME_ENTRIES).getAll();
+            const projectsRequest = transaction.objectStore(STORES.PROJECTS).getAll();
+            const sessionsRequest = transaction.objectStore(STORES.PROJECT_SESSIONS).getAll();
+            const absencesRequest = transaction.objectStore(STORES.ABSENCES).getAll();
+
+            transaction.oncomplete = () => {
+                Promise.all([
+                    this.#decodeAll(entriesRequest.result),
+                    this.#decodeAll(projectsRequest.result),
+                    this.#decodeAll(sessionsRequest.result),
+                    this.#decodeAll(absencesRequest.result)
+                ])
+                    .then(([entries, projects, sessions, absences]) => {
+                        if (raw) {
+                            resolve({ entries, projects, sessions, absences });
+                            return;
+                        }
+
+                        resolve({
+                            entries: entries.map(data => TimeEntry.fromJSON(data)),
+                            projects: projects.map(data => Project.fromJSON(data)),
+                            sessions: sessions.map(data => ProjectSession.fromJSON(data)),
+                            absences: absences.map(data => Absence.fromJSON(data))
+                        });
+                    })
+                    .catch(reject);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des données'));
+            };
+        });
+    }
+
+    /**
+     * Recalcule le jour (champ date) des pointages et sessions dans le fuseau courant
+     * À appeler lorsque le fuseau horaire change : les horodatages ne bougent pas,
+     * seul le rattachement à un jour est corrigé.
+     * @returns {Promise<{changedDays: string[], entries: number, sessions: number}>}
+     *   Jours concernés (ancien et nouveau) et nombre d'enregistrements corrigés
+     * @throws {Error} Si la correction échoue
+     */
+    async rekeyDates() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(
+                [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS]
+            );
+
+            const changedDays = new Set();
+            const counts = { entries: 0, sessions: 0 };
+
+            updateRecords(transaction, STORES.TIME_ENTRIES, rekeyEntryDate, (before, after) => {
+                changedDays.add(before.date);
+                changedDays.add(after.date);
+                counts.entries++;
+            });
+            updateRecords(transaction, STORES.PROJECT_SESSIONS, rekeySessionDate, (before, after) => {
+                changedDays.add(before.date);
+                changedDays.add(after.date);
+                counts.sessions++;
+            });
+
+            transaction.oncomplete = () => {
+                resolve({ changedDays: [...changedDays].filter(Boolean).sort(), ...counts });
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors du recalcul des dates'));
+            };
+        });
+    }
+
+    /**
+     * Écrit des données importées dans une transaction unique
+     * Si une écriture échoue, la transaction est annulée et la base reste inchangée.
+     * Chaque pointage ou session créé, modifié ou supprimé est tracé dans le journal
+     * (action « Import de sauvegarde »).
+     * @param {Object} records - Enregistrements au format JSON de stockage
+     * @param {Object[]} records.timeEntries - Pointages à écrire
+     * @param {Object[]} records.projects - Projets à écrire
+     * @param {Object[]} records.projectSessions - Sessions à écrire
+     * @param {Object[]} [records.absences] - Absences à écrire
+     * @param {string[]} [records.removedTimeEntries] - ID des pointages existants à supprimer (conflits résolus en fusion)
+     * @param {Object[]|null} [records.archives] - Contenus d'archives annuelles (null pour ne pas toucher aux archives)
+     * @param {Object} [options] - Options d'import
+     * @param {boolean} [options.replace=false] - Vider les stores avant l'écriture (les suppressions sont tracées pour la synchronisation)
+     * @returns {Promise<void>}
+     * @throws {Error} Si l'import échoue
+     */
+    async importData({ timeEntries = [], projects = [], projectSessions = [], absences = [], removedTimeEntries = [], archives = null }, { replace = false } = {}) {
+        // Chiffrer (et compresser les archives) avant d'ouvrir la transaction (WebCrypto est asynchrone)
+        const writes = await Promise.all([
+            [STORES.TIME_ENTRIES, timeEntries],
+            [STORES.PROJECTS, projects],
+            [STORES.PROJECT_SESSIONS, projectSessions],
+            [STORES.ABSENCES, absences]
+        ].map(async ([storeName, records]) => [storeName, await this.#encodeAll(storeName, records)]));
+
+        if (archives) {
+            writes.push([STORES.ARCHIVES, await Promise.all(archives.map(payload => this.#createArchiveRecord(payload)))]);
+        }
+        const action = await this.#encodeAction('Import de sauvegarde');
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(
+                [...writes.map(([storeName]) => storeName), STORES.TOMBSTONES, STORES.AUDIT_LOG]
+            );
+            // Pointages et sessions créés, modifiés ou supprimés : tracés dans le journal
+            const write = (storeName, id, record) => {
+                this.#writeVersioned(transaction, storeName, id, record, AUDITED_STORES.includes(storeName)
+                    ? (before, after) => this.#addAuditRecord(transaction, createAuditRecord({ store: storeName, action, before, after }))
+                    : null);
+            };
+
+            writes.forEach(([storeName, records]) => {
+                const store = transaction.objectStore(storeName);
+
+                // Archives : locales, non synchronisées
+                if (!SYNCED_STORES.includes(storeName)) {
+                    if (replace) {
+                        store.clear();
+                    }
+                    records.forEach(record => store.put(record));
+                    return;
+                }
+
+                // Enregistrements synchronisés : nouvelle version, et suppressions tracées en cas de remplacement
+                records.forEach(record => write(storeName, record.id, record));
+                if (replace) {
+                    const imported = new Set(records.map(record => record.id));
+                    const request = store.getAllKeys();
+                    request.onsuccess = () => {
+                        request.result
+                            .filter(id => !imported.has(id))
+                            .forEach(id => write(storeName, id, null));
+                    };
+                }
+            });
+
+            // Conflits résolus en faveur de la sauvegarde : pointages du jour remplacés
+            removedTimeEntries.forEach(id => write(STORES.TIME_ENTRIES, id, null));
+
+            transaction.oncomplete = () => {
+                console.log('✅ Import terminé:',
+                    `${timeEntries.length} pointage(s), ${projects.length} projet(s), ${projectSessions.length} session(s), ${absences.length} absence(s)`);
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'import des données'));
+            };
+
+            transaction.onabort = () => {
+                reject(new Error('Import annulé, aucune donnée n\'a été modifiée'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Sauvegardes automatiques
+    // ======================
+
+    /**
+     * Récupère les paramètres des sauvegardes automatiques
+     * @returns {Promise<{frequency: string, keep: number}>} Paramètres (valeurs par défaut si absents)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getBackupSettings() {
+        return normalizeBackupSettings(await this.#getSetting(BACKUP_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les paramètres des sauvegardes automatiques
+     * Les instantanés en trop sont supprimés dans la même transaction.
+     * @param {Object} settings - Paramètres ({frequency, keep})
+     * @returns {Promise<{frequency: string, keep: number}>} Paramètres enregistrés
+     * @throws {Error} Si les paramètres sont invalides ou si l'écriture échoue
+     */
+    async saveBackupSettings(settings) {
+        const value = normalizeBackupSettings(settings);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.SETTINGS, STORES.BACKUPS]);
+
+            transaction.objectStore(STORES.SETTINGS).put({ key: BACKUP_SETTING_KEY, value });
+            this.#pruneBackups(transaction, value.keep);
+
+            transaction.oncomplete = () => {
+                resolve(value);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'enregistrement des paramètres de sauvegarde'));
+            };
+        });
+    }
+
+    /**
+     * Enregistre un instantané et supprime les plus anciens au-delà de la limite
+     * @param {Object} backup - Instantané (voir createBackupRecord)
+     * @param {Object} [options] - Options
+     * @param {number} [options.keep] - Nombre d'instantanés à conserver (tous par défaut)
+     * @returns {Promise<string>} ID de l'instantané
+     * @throws {Error} Si les données sont verrouillées ou si l'écriture échoue
+     */
+    async saveBackup(backup, { keep = Infinity } = {}) {
+        const record = await this.#encode(STORES.BACKUPS, backup);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.BACKUPS]);
+
+            const request = transaction.objectStore(STORES.BACKUPS).put(record);
+            request.onsuccess = () => {
+                this.#pruneBackups(transaction, keep);
+            };
+
+            transaction.oncomplete = () => {
+                console.log('💾 Sauvegarde automatique enregistrée:', backup.createdAt);
+                resolve(backup.id);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'enregistrement de la sauvegarde'));
+            };
+        });
+    }
+
+    /**
+     * Récupère tous les instantanés
+     * @returns {Promise<Object[]>} Instantanés, du plus récent au plus ancien
+     * @throws {Error} Si la récupération échoue
+     */
+    async getAllBackups() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.BACKUPS], 'readonly');
+            const request = transaction.objectStore(STORES.BACKUPS).index('createdAt').getAll();
+
+            request.onsuccess = () => {
+                this.#decodeAll(request.result)
+                    .then(backups => resolve(backups.reverse()))
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des sauvegardes'));
+            };
+        });
+    }
+
+    /**
+     * Récupère un instantané par son ID
+     * @param {string} id - ID de l'instantané
+     * @returns {Promise<Object|null>} Instantané ou null si non trouvé
+     * @throws {Error} Si la récupération échoue
+     */
+    async getBackupById(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.BACKUPS], 'readonly');
+            const request = transaction.objectStore(STORES.BACKUPS).get(id);
+
+            request.onsuccess = () => {
+                this.#decode(request.result).then(resolve).catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération de la sauvegarde'));
+            };
+        });
+    }
+
+    /**
+     * Récupère la date du dernier instantané, sans le déchiffrer
+     * @returns {Promise<string|null>} Date ISO (null si aucun instantané)
+     * @throws {Error} Si la récupération échoue
+     */
+    async getLatestBackupDate() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.BACKUPS], 'readonly');
+            const request = transaction.objectStore(STORES.BACKUPS).index('createdAt').openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.value.createdAt : null);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des sauvegardes'));
+            };
+        });
+    }
+
+    /**
+     * Supprime un instantané
+     * @param {string} id - ID de l'instantané
+     * @returns {Promise<void>}
+     * @throws {Error} Si la suppression échoue
+     */
+    async deleteBackup(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.BACKUPS]);
+            const request = transaction.objectStore(STORES.BACKUPS).delete(id);
+
+            request.onsuccess = () => {
+                console.log('✅ Sauvegarde supprimée:', id);
+                resolve();
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la suppression de la sauvegarde'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Stockage et archives annuelles
+    // ======================
+
+    /**
+     * Compte les enregistrements de chaque store
+     * @returns {Promise<Object<string, number>>} Nombre d'enregistrements par nom de store
+     * @throws {Error} Si le comptage échoue
+     */
+    async getStoreCounts() {
+        return new Promise((resolve, reject) => {
+            const storeNames = Object.values(STORES);
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const requests = storeNames.map(storeName => transaction.objectStore(storeName).count());
+
+            transaction.oncomplete = () => {
+                resolve(Object.fromEntries(storeNames.map((storeName, i) => [storeName, requests[i].result])));
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors du comptage des enregistrements'));
+            };
+        });
+    }
+
+    /**
+     * Récupère le premier et le dernier jour des pointages et sessions courants (index date)
+     * @returns {Promise<{firstDate: string|null, lastDate: string|null}>}
+     * @throws {Error} Si la lecture échoue
+     */
+    async getDataDateRange() {
+        return new Promise((resolve, reject) => {
+            const storeNames = [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS];
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const dates = [];
+
+            storeNames.forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('date');
+                ['next', 'prev'].forEach(direction => {
+                    const request = index.openKeyCursor(null, direction);
+                    request.onsuccess = () => {
+                        if (request.result) {
+                            dates.push(request.result.key);
+                        }
+                    };
+                });
+            });
+
+            transaction.oncomplete = () => {
+                dates.sort();
+                resolve({
+                    firstDate: dates.length > 0 ? dates[0] : null,
+                    lastDate: dates.length > 0 ? dates[dates.length - 1] : null
+                });
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la lecture des dates'));
+            };
+        });
+    }
+
+    /**
+     * Récupère la description des archives annuelles (sans leur contenu)
+     * @returns {Promise<Object[]>} Archives ({year, createdAt, counts, projectTime, size}), par année
+     * @throws {Error} Si la récupération échoue
+     */
+    async getArchives() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.ARCHIVES], 'readonly');
+            const request = transaction.objectStore(STORES.ARCHIVES).getAll();
+
+            request.onsuccess = () => {
+                // Le contenu compressé n'est lu qu'à la demande (getArchivePayload)
+                this.#decodeAll(request.result)
+                    .then(archives => resolve(archives.map(({ data, ...archive }) => archive)))
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des archives'));
+            };
+        });
+    }
+
+    /**
+     * Lit le contenu d'une archive annuelle
+     * @param {number} year - Année archivée
+     * @returns {Promise<Object|null>} Contenu (voir createArchivePayload) ou null si l'année n'est pas archivée
+     * @throws {Error} Si la lecture ou la décompression échoue
+     */
+    async getArchivePayload(year) {
+        const [[stored]] = await this.#getAllStored([STORES.ARCHIVES], IDBKeyRange.only(year));
+        if (!stored) {
+            return null;
+        }
+        return this.#readArchivePayload(stored);
+    }
+
+    /**
+     * Déplace les pointages et sessions d'une année passée dans une archive compressée
+     * Si l'année est déjà archivée (données ajoutées depuis), l'archive est complétée.
+     * @param {number} year - Année à archiver
+     * @returns {Promise<{year: number, timeEntries: number, projectSessions: number}>} Enregistrements déplacés
+     * @throws {Error} Si l'année ne peut pas être archivée ou si les données ont changé pendant l'opération
+     */
+    async archiveYear(year) {
+        const { startDate, endDate } = getYearBounds(year);
+        const range = IDBKeyRange.bound(startDate, endDate);
+        const [storedEntries, storedSessions] = await this.#getAllStored(
+            [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS],
+            range,
+            'date'
+        );
+
+        const { projects } = await this.getAllData({ raw: true });
+        let payload = createArchivePayload(year, {
+            timeEntries: await this.#decodeAll(storedEntries),
+            projectSessions: await this.#decodeAll(storedSessions),
+            projects
+        });
+
+        const existing = await this.getArchivePayload(year);
+        if (existing) {
+            payload = mergeArchivePayloads(existing, payload);
+        }
+        const record = await this.#createArchiveRecord(payload);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(
+                [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS, STORES.ARCHIVES]
+            );
+            const snapshot = [storedEntries, storedSessions];
+            let changed = false;
+            let pending = snapshot.length;
+
+            // Un autre onglet a pu écrire dans l'année entre la lecture et la transaction
+            [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS].forEach((storeName, i) => {
+                const request = transaction.objectStore(storeName).index('date').getAll(range);
+                request.onsuccess = () => {
+                    if (!recordsEqual(request.result, snapshot[i])) {
+                        changed = true;
+                    }
+                    pending--;
+                    if (pending > 0) return;
+
+                    if (changed) {
+                        transaction.abort();
+                        return;
+                    }
+
+                    transaction.objectStore(STORES.ARCHIVES).put(record);
+                    storedEntries.forEach(entry => transaction.objectStore(STORES.TIME_ENTRIES).delete(entry.id));
+                    storedSessions.forEach(session => transaction.objectStore(STORES.PROJECT_SESSIONS).delete(session.id));
+                };
+            });
+
+            transaction.oncomplete = () => {
+                console.log(`🗄️ Année ${year} archivée:`, `${storedEntries.length} pointage(s), ${storedSessions.length} session(s)`);
+                resolve({ year, timeEntries: storedEntries.length, projectSessions: storedSessions.length });
+            };
+
+            transaction.onabort = () => {
+                reject(new Error(changed
+                    ? 'Les données ont changé pendant l\'opération, réessayez'
+                    : 'Erreur lors de l\'archivage'));
+            };
+        });
+    }
+
+    /**
+     * Réintègre une archive annuelle dans les données courantes et supprime l'archive
+     * @param {number} year - Année archivée
+     * @returns {Promise<{year: number, timeEntries: number, projectSessions: number}>} Enregistrements réintégrés
+     * @throws {Error} Si l'année n'est pas archivée ou si la réintégration échoue
+     */
+    async unarchiveYear(year) {
+        const payload = await this.getArchivePayload(year);
+        if (!payload) {
+            throw new Error(`L'année ${year} n'est pas archivée`);
+        }
+
+        const entries = await this.#encodeAll(STORES.TIME_ENTRIES, payload.timeEntries);
+        const sessions = await this.#encodeAll(STORES.PROJECT_SESSIONS, payload.projectSessions);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(
+                [STORES.TIME_ENTRIES, STORES.PROJECT_SESSIONS, STORES.ARCHIVES]
+            );
+
+            entries.forEach(entry => transaction.objectStore(STORES.TIME_ENTRIES).put(entry));
+            sessions.forEach(session => transaction.objectStore(STORES.PROJECT_SESSIONS).put(session));
+            transaction.objectStore(STORES.ARCHIVES).delete(year);
+
+            transaction.oncomplete = () => {
+                console.log(`🗄️ Année ${year} réintégrée:`, `${entries.length} pointage(s), ${sessions.length} session(s)`);
+                resolve({ year, timeEntries: entries.length, projectSessions: sessions.length });
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la réintégration de l\'archive'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Horaires de travail
+    // ======================
+
+    /**
+     * Récupère l'historique des horaires de travail
+     * @returns {Promise<Object[]>} Horaires, du plus ancien au plus récent (vide si aucun)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getWorkSchedules() {
+        return normalizeWorkSchedules(await this.#getSetting(WORK_SCHEDULES_SETTING_KEY));
+    }
+
+    /**
+     * Ajoute un horaire de travail à l'historique
+     * Les horaires précédents sont conservés : les jours antérieurs à la date d'effet gardent leur objectif.
+     * Un horaire de même date d'effet est remplacé.
+     * @param {Object} schedule - Horaire ({effectiveFrom, targets})
+     * @returns {Promise<Object[]>} Historique enregistré
+     * @throws {Error} Si l'horaire est invalide ou si l'écriture échoue
+     */
+    async saveWorkSchedule(schedule) {
+        const schedules = addWorkSchedule(await this.getWorkSchedules(), schedule);
+        await this.#putSetting(WORK_SCHEDULES_SETTING_KEY, schedules);
+        return schedules;
+    }
+
+    /**
+     * Supprime un horaire de travail de l'historique
+     * Les jours concernés reprennent l'horaire précédent (ou l'objectif de 8h s'il n'y en a pas).
+     * @param {string} effectiveFrom - Date d'effet de l'horaire (YYYY-MM-DD)
+     * @returns {Promise<Object[]>} Historique enregistré
+     * @throws {Error} Si l'écriture échoue
+     */
+    async deleteWorkSchedule(effectiveFrom) {
+        const schedules = (await this.getWorkSchedules())
+            .filter(schedule => schedule.effectiveFrom !== effectiveFrom);
+        await this.#putSetting(WORK_SCHEDULES_SETTING_KEY, schedules);
+        return schedules;
+    }
+
+    // ======================
+    // Méthodes publiques - Compteur d'heures
+    // ======================
+
+    /**
+     * Récupère les paramètres du compteur d'heures
+     * @returns {Promise<{startDate: string|null, openingBalance: number, adjustments: Object[]}>}
+     *   Paramètres (départ au premier jour de données et solde nul par défaut)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getOvertimeLedger() {
+        return normalizeOvertimeLedger(await this.#getSetting(OVERTIME_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre la date de début et le solde d'ouverture du compteur (les ajustements sont conservés)
+     * @param {Object} settings - Paramètres ({startDate, openingBalance})
+     * @param {string|null} settings.startDate - Premier jour compté (YYYY-MM-DD), null pour le premier jour de données
+     * @param {number} settings.openingBalance - Solde reporté au début du compteur (ms)
+     * @returns {Promise<Object>} Paramètres enregistrés
+     * @throws {Error} Si les paramètres sont invalides ou si l'écriture échoue
+     */
+    async saveOvertimeSettings({ startDate, openingBalance }) {
+        const current = await this.getOvertimeLedger();
+        const ledger = normalizeOvertimeLedger({ ...current, startDate, openingBalance });
+        await this.#putSetting(OVERTIME_SETTING_KEY, ledger);
+        return ledger;
+    }
+
+    /**
+     * Ajoute un ajustement manuel au compteur (heures récupérées, payées ou correction)
+     * @param {Object} adjustment - Ajustement ({date, type, amount, note})
+     * @returns {Promise<Object>} Paramètres enregistrés
+     * @throws {Error} Si l'ajustement est invalide ou si l'écriture échoue
+     */
+    async saveOvertimeAdjustment(adjustment) {
+        const ledger = addOvertimeAdjustment(await this.getOvertimeLedger(), adjustment);
+        await this.#putSetting(OVERTIME_SETTING_KEY, ledger);
+        return ledger;
+    }
+
+    /**
+     * Supprime un ajustement du compteur
+     * @param {string} id - Identifiant de l'ajustement
+     * @returns {Promise<Object>} Paramètres enregistrés
+     * @throws {Error} Si l'écriture échoue
+     */
+    async deleteOvertimeAdjustment(id) {
+        const ledger = removeOvertimeAdjustment(await this.getOvertimeLedger(), id);
+        await this.#putSetting(OVERTIME_SETTING_KEY, ledger);
+        return ledger;
+    }
+
+    // ======================
+    // Méthodes publiques - Conformité au temps de travail
+    // ======================
+
+    /**
+     * Récupère les seuils de conformité au temps de travail
+     * @returns {Promise<Object>} Seuils en minutes (valeurs légales par défaut)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getComplianceRules() {
+        return normalizeComplianceRules(await this.#getSetting(COMPLIANCE_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les seuils de conformité au temps de travail
+     * @param {Object} rules - Seuils en minutes (voir DEFAULT_COMPLIANCE_RULES), 0 pour désactiver une règle
+     * @returns {Promise<Object>} Seuils enregistrés
+     * @throws {Error} Si un seuil est invalide ou si l'écriture échoue
+     */
+    async saveComplianceRules(rules) {
+        const value = normalizeComplianceRules(rules);
+        await this.#putSetting(COMPLIANCE_SETTING_KEY, value);
+        return value;
+    }
+
+    // ======================
+    // Méthodes publiques - Journées oubliées
+    // ======================
+
+    /**
+     * Récupère les paramètres des journées oubliées (fermeture automatique, heure habituelle)
+     * @returns {Promise<Object>} Paramètres (voir DEFAULT_RECOVERY_SETTINGS)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getRecoverySettings() {
+        return normalizeRecoverySettings(await this.#getSetting(RECOVERY_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les paramètres des journées oubliées
+     * @param {Object} settings - Paramètres (voir DEFAULT_RECOVERY_SETTINGS)
+     * @returns {Promise<Object>} Paramètres enregistrés
+     * @throws {Error} Si un paramètre est invalide ou si l'écriture échoue
+     */
+    async saveRecoverySettings(settings) {
+        const value = normalizeRecoverySettings(settings);
+        await this.#putSetting(RECOVERY_SETTING_KEY, value);
+        return value;
+    }
+
+    // ======================
+    // Méthodes publiques - Arrondis
+    // ======================
+
+    /**
+     * Récupère les règles d'arrondi de la présence et des projets
+     * @returns {Promise<Object>} Règles {presence, projects} (aucun arrondi par défaut)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getRoundingSettings() {
+        return normalizeRoundingSettings(await this.#getSetting(ROUNDING_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les règles d'arrondi (les données enregistrées ne sont jamais arrondies)
+     * @param {Object} settings - Règles {presence, projects} (voir DEFAULT_ROUNDING_SETTINGS)
+     * @returns {Promise<Object>} Règles enregistrées
+     * @throws {Error} Si une règle est invalide ou si l'écriture échoue
+     */
+    async saveRoundingSettings(settings) {
+        const value = normalizeRoundingSettings(settings);
+        await this.#putSetting(ROUNDING_SETTING_KEY, value);
+        return value;
+    }
+
+    // ======================
+    // Méthodes publiques - Lieux de travail
+    // ======================
+
+    /**
+     * Récupère le lieu de travail proposé pour chaque jour de la semaine
+     * @returns {Promise<Object>} Lieux {defaults} (bureau tous les jours par défaut)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getLocationSettings() {
+        return normalizeLocationSettings(await this.#getSetting(LOCATION_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les lieux de travail par défaut (les arrivées déjà pointées gardent leur lieu)
+     * @param {Object} settings - Lieux {defaults} (voir DEFAULT_LOCATION_SETTINGS)
+     * @returns {Promise<Object>} Lieux enregistrés
+     * @throws {Error} Si un lieu est inconnu ou si l'écriture échoue
+     */
+    async saveLocationSettings(settings) {
+        const value = normalizeLocationSettings(settings);
+        await this.#putSetting(LOCATION_SETTING_KEY, value);
+        return value;
+    }
+
+    // ======================
+    // Méthodes publiques - Absences
+    // ======================
+
+    /**
+     * Sauvegarde des absences dans une transaction unique (une plage de congés par exemple)
+     * @param {Absence[]} absences - Absences à sauvegarder
+     * @returns {Promise<string[]>} ID des absences sauvegardées
+     * @throws {Error} Si la sauvegarde échoue
+     */
+    async saveAbsences(absences) {
+        if (!absences.every(absence => absence instanceof Absence)) {
+            throw new Error('Les absences doivent être des instances de Absence');
+        }
+
+        const records = await this.#encodeAll(STORES.ABSENCES, absences.map(absence => absence.toJSON()));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.ABSENCES, STORES.TOMBSTONES]);
+            records.forEach(record => this.#writeVersioned(transaction, STORES.ABSENCES, record.id, record));
+
+            transaction.oncomplete = () => {
+                console.log('✅ Absences sauvegardées:', absences.length);
+                resolve(absences.map(absence => absence.id));
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la sauvegarde des absences'));
+            };
+        });
+    }
+
+    /**
+     * Supprime une absence par son ID
+     * @param {string} id - ID de l'absence à supprimer
+     * @returns {Promise<void>}
+     * @throws {Error} Si la suppression échoue
+     */
+    async deleteAbsence(id) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.ABSENCES, STORES.TOMBSTONES]);
+            this.#writeVersioned(transaction, STORES.ABSENCES, id, null);
+
+            transaction.oncomplete = () => {
+                console.log('✅ Absence supprimée:', id);
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la suppression de l\'absence'));
+            };
+        });
+    }
+
+    /**
+     * Récupère les absences d'une plage de jours (index date)
+     * @param {string} startDate - Premier jour inclus (YYYY-MM-DD)
+     * @param {string} endDate - Dernier jour inclus (YYYY-MM-DD)
+     * @returns {Promise<Absence[]>} Absences triées par jour
+     * @throws {Error} Si la récupération échoue
+     */
+    async getAbsencesBetween(startDate, endDate) {
+        return this.#getAllInRange(
+            STORES.ABSENCES,
+            'date',
+            IDBKeyRange.bound(startDate, endDate),
+            data => Absence.fromJSON(data)
+        );
+    }
+
+    // ======================
+    // Méthodes publiques - Synchronisation
+    // ======================
+
+    /**
+     * Récupère les paramètres de synchronisation
+     * @returns {Promise<{enabled: boolean, endpoint: string, token: string}>} Paramètres (désactivée par défaut)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getSyncSettings() {
+        return normalizeSyncSettings(await this.#getSetting(SYNC_SETTING_KEY));
+    }
+
+    /**
+     * Enregistre les paramètres de synchronisation
+     * Avec un autre serveur, l'échange reprend depuis le début : tout est renvoyé et récupéré.
+     * La synchronisation ne peut pas être activée sur une base chiffrée (envoi en clair).
+     * @param {Object} settings - Paramètres ({enabled, endpoint, token})
+     * @returns {Promise<{enabled: boolean, endpoint: string, token: string}>} Paramètres enregistrés
+     * @throws {Error} Si les paramètres sont invalides, si les données sont chiffrées ou si l'écriture échoue
+     */
+    async saveSyncSettings(settings) {
+        const value = normalizeSyncSettings(settings);
+        if (value.enabled && this.isEncrypted()) {
+            throw new Error(ENCRYPTED_SYNC_ERROR);
+        }
+        const previous = await this.getSyncSettings();
+
+        await this.#putSetting(SYNC_SETTING_KEY, value);
+        if (previous.endpoint !== value.endpoint) {
+            const { deviceId } = await this.getSyncState();
+            await this.saveSyncState({ deviceId });
+        }
+        return value;
+    }
+
+    /**
+     * Récupère l'état de la synchronisation (appareil, position dans le flux du serveur, dernier échange)
+     * @returns {Promise<Object>} État (voir INITIAL_SYNC_STATE)
+     * @throws {Error} Si la lecture échoue
+     */
+    async getSyncState() {
+        return { ...INITIAL_SYNC_STATE, ...(await this.#getSetting(SYNC_STATE_KEY)) };
+    }
+
+    /**
+     * Enregistre l'état de la synchronisation
+     * @param {Object} state - État (voir INITIAL_SYNC_STATE)
+     * @returns {Promise<void>}
+     * @throws {Error} Si l'écriture échoue
+     */
+    async saveSyncState(state) {
+        await this.#putSetting(SYNC_STATE_KEY, { ...INITIAL_SYNC_STATE, ...state });
+    }
+
+    /**
+     * Récupère les pierres tombales (suppressions à transmettre aux autres appareils)
+     * @returns {Promise<Object[]>}
+     * @throws {Error} Si la récupération échoue
+     */
+    async getTombstones() {
+        const [tombstones] = await this.#getAllStored([STORES.TOMBSTONES]);
+        return tombstones;
+    }
+
+    /**
+     * Applique les modifications reçues des autres appareils dans une transaction unique
+     * Une modification n'est écrite que si elle l'emporte sur l'état local (enregistrement ou
+     * pierre tombale, voir compareVersions) ; elle garde sa version. Les pointages et sessions
+     * réécrits sont tracés dans le journal des modifications.
+     * @param {Object[]} changes - Modifications validées ({store, id, version, updatedAt, deleted, record})
+     * @returns {Promise<number>} Nombre de modifications appliquées
+     * @throws {Error} Si l'écriture échoue
+     */
+    async applyRemoteChanges(changes) {
+        if (changes.length === 0) {
+            return 0;
+        }
+
+        // Chiffrer avant d'ouvrir la transaction (WebCrypto est asynchrone)
+        const records = await Promise.all(changes.map(change => (change.deleted
+            ? null
+            : this.#encode(change.store, { ...change.record, version: change.version, updatedAt: change.updatedAt }))));
+        const action = await this.#encodeAction('Synchronisation');
+
+        return new Promise((resolve, reject) => {
+            const storeNames = [...new Set([...changes.map(change => change.store), STORES.TOMBSTONES, STORES.AUDIT_LOG])];
+            const transaction = this.#writeTransaction(storeNames);
+            const tombstones = transaction.objectStore(STORES.TOMBSTONES);
+            let applied = 0;
+
+            changes.forEach((change, i) => {
+                const store = transaction.objectStore(change.store);
+                const tombstoneId = getTombstoneId(change.store, change.id);
+
+                const currentRequest = store.get(change.id);
+                const tombstoneRequest = tombstones.get(tombstoneId);
+                tombstoneRequest.onsuccess = () => {
+                    const before = currentRequest.result || null;
+                    if (compareVersions(change, before || tombstoneRequest.result) <= 0) return;
+
+                    if (records[i]) {
+                        store.put(records[i]);
+                        tombstones.delete(tombstoneId);
+                    } else {
+                        store.delete(change.id);
+                        tombstones.put(createTombstone(change.store, change.id, change));
+                    }
+                    applied++;
+
+                    if (AUDITED_STORES.includes(change.store) && (before || records[i])) {
+                        this.#addAuditRecord(transaction, createAuditRecord({
+                            store: change.store, action, before, after: records[i]
+                        }));
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                console.log('🔄 Modifications reçues appliquées:', applied);
+                resolve(applied);
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'application des modifications reçues'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Chiffrement
+    // ======================
+
+    /**
+     * Indique si les données sont chiffrées par une phrase secrète
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return this.encryptionHeader !== null;
+    }
+
+    /**
+     * Indique si les données sont chiffrées et que la phrase secrète n'a pas encore été saisie
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.isEncrypted() && this.encryptionKey === null;
+    }
+
+    /**
+     * Indique si le chiffrement a été modifié depuis le chargement (par un autre onglet)
+     * @returns {Promise<boolean>}
+     * @throws {Error} Si la lecture échoue
+     */
+    async hasEncryptionChanged() {
+        const header = await this.#getSetting(ENCRYPTION_SETTING_KEY);
+        return !recordsEqual(header, this.encryptionHeader);
+    }
+
+    /**
+     * Déverrouille les données avec la phrase secrète
+     * @param {string} passphrase - Phrase secrète
+     * @returns {Promise<void>}
+     * @throws {Error} Si les données ne sont pas chiffrées ou si la phrase secrète est incorrecte
+     */
+    async unlock(passphrase) {
+        if (!this.isEncrypted()) {
+            throw new Error('Les données ne sont pas chiffrées');
+        }
+
+        this.encryptionKey = await unlockEncryptionHeader(this.encryptionHeader, passphrase);
+        console.log('🔓 Données déverrouillées');
+    }
+
+    /**
+     * Active, change ou désactive le chiffrement
+     * Tous les pointages, projets, sessions, sauvegardes, archives et le journal sont réécrits avec la nouvelle clé
+     * (ou en clair) dans une transaction unique, avec le nouvel en-tête.
+     * @param {string|null} passphrase - Nouvelle phrase secrète (null pour déchiffrer)
+     * @returns {Promise<{records: number}>} Nombre d'enregistrements réécrits
+     * @throws {Error} Si les données sont verrouillées, si la phrase secrète est trop courte
+     *   ou si les données ont changé pendant l'opération
+     */
+    async setPassphrase(passphrase) {
+        if (this.isLocked()) {
+            throw new Error('Application verrouillée : saisissez la phrase secrète');
+        }
+
+        const storeNames = [...ENCRYPTED_STORES, STORES.AUDIT_LOG, STORES.ARCHIVES];
+        const snapshot = await this.#getAllStored(storeNames);
+        const next = passphrase ? await createEncryptionHeader(passphrase) : null;
+        const nextKey = next ? next.key : null;
+
+        // Déchiffrer avec la clé actuelle puis chiffrer avec la nouvelle, hors transaction
+        const rewritten = await Promise.all(storeNames.map(async (storeName, i) => {
+            if (storeName === STORES.AUDIT_LOG) {
+                const records = await this.#decodeAuditLog(snapshot[i]);
+                return nextKey ? Promise.all(records.map(record => encryptAuditRecord(nextKey, record))) : records;
+            }
+            if (storeName === STORES.ARCHIVES) {
+                const records = await Promise.all(snapshot[i].map(record => this.#decodeArchive(record)));
+                return Promise.all(records.map(record => this.#encodeArchive(record, nextKey)));
+            }
+            const records = await this.#decodeAll(snapshot[i]);
+            return this.#encodeAll(storeName, records, nextKey);
+        }));
+
+        const count = rewritten.reduce((total, records) => total + records.length, 0);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([...storeNames, STORES.SETTINGS]);
+            let changed = false;
+            let pending = storeNames.length;
+
+            // Tout réécrire, y compris le journal (son contenu est inchangé, seul son chiffrement change)
+            const writeAll = () => {
+                storeNames.forEach((storeName, i) => {
+                    const store = transaction.objectStore(storeName);
+                    store.clear();
+                    rewritten[i].forEach(record => store.put(record));
+                });
+
+                const settings = transaction.objectStore(STORES.SETTINGS);
+                if (next) {
+                    settings.put({ key: ENCRYPTION_SETTING_KEY, value: next.header });
+                } else {
+                    settings.delete(ENCRYPTION_SETTING_KEY);
+                }
+            };
+
+            // Un autre onglet a pu écrire entre la lecture et la transaction
+            storeNames.forEach((storeName, i) => {
+                const request = transaction.objectStore(storeName).getAll();
+                request.onsuccess = () => {
+                    if (!recordsEqual(request.result, snapshot[i])) {
+                        changed = true;
+                    }
+                    pending--;
+                    if (pending > 0) return;
+
+                    if (changed) {
+                        transaction.abort();
+                    } else {
+                        writeAll();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                this.encryptionHeader = next ? next.header : null;
+                this.encryptionKey = nextKey;
+                console.log(next ? '🔒 Chiffrement activé' : '🔓 Chiffrement désactivé', `(${count} enregistrement(s))`);
+                resolve({ records: count });
+            };
+
+            transaction.onabort = () => {
+                reject(new Error(changed
+                    ? 'Les données ont changé pendant l\'opération, réessayez'
+                    : 'Erreur lors du changement de chiffrement'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Historique (annuler / rétablir)
+    // ======================
+
+    /**
+     * Applique une commande de l'historique dans une transaction unique
+     * Chaque enregistrement doit encore être dans l'état attendu (« après » pour annuler,
+     * « avant » pour rétablir) : sinon rien n'est écrit et l'erreur a pour nom 'ConflictError'.
+     * Les pointages et sessions réécrits sont tracés dans le journal des modifications.
+     * @param {Object[]} changes - Modifications {store, id, before, after}
+     * @param {string} direction - Sens d'application (HistoryDirection)
+     * @param {Object} [options] - Options d'écriture
+     * @param {string} [options.action] - Action tracée dans le journal (ex: "Annulation : Suppression du pointage")
+     * @returns {Promise<void>}
+     * @throws {Error} Si un enregistrement a changé depuis (ConflictError) ou si l'écriture échoue
+     */
+    async applyChanges(changes, direction, { action = null } = {}) {
+        const undo = direction === HistoryDirection.UNDO;
+        const storeNames = [...new Set([...changes.map(change => change.store), STORES.AUDIT_LOG, STORES.TOMBSTONES])];
+        const auditAction = await this.#encodeAction(action || (undo ? 'Annulation' : 'Rétablissement'));
+
+        // Vérifier l'état attendu sur les enregistrements déchiffrés, puis chiffrer les écritures :
+        // la transaction d'écriture ne peut pas attendre WebCrypto. La version est ignorée :
+        // elle est attribuée à l'écriture, après la capture de l'état par l'historique.
+        const stored = await this.#getStoredRecords(changes);
+        const current = await this.#decodeAll(stored);
+        if (changes.some((change, i) => !recordsEqual(
+            withoutSyncFields(current[i]), withoutSyncFields(undo ? change.after : change.before)
+        ))) {
+            throw createConflictError();
+        }
+        const targets = await Promise.all(changes.map(change => {
+            const target = undo ? change.before : change.after;
+            return target ? this.#encode(change.store, target) : null;
+        }));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction(storeNames);
+            let conflict = false;
+            let pending = changes.length;
+
+            // Lire tous les enregistrements avant d'écrire quoi que ce soit
+            const writeAll = () => {
+                changes.forEach((change, i) => {
+                    this.#writeVersioned(transaction, change.store, change.id, targets[i], (before, after) => {
+                        if (AUDITED_STORES.includes(change.store)) {
+                            this.#addAuditRecord(transaction, createAuditRecord({
+                                store: change.store, action: auditAction, before, after
+                            }));
+                        }
+                    });
+                });
+            };
+
+            changes.forEach((change, i) => {
+                const request = transaction.objectStore(change.store).get(change.id);
+                request.onsuccess = () => {
+                    // L'enregistrement ne doit pas avoir changé depuis la vérification
+                    if (!recordsEqual(request.result || null, stored[i])) {
+                        conflict = true;
+                    }
+                    pending--;
+                    if (pending > 0) return;
+
+                    if (conflict) {
+                        transaction.abort();
+                    } else {
+                        writeAll();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => {
+                console.log(`✅ Historique appliqué (${direction}):`, `${changes.length} enregistrement(s)`);
+                resolve();
+            };
+
+            transaction.onabort = () => {
+                if (conflict) {
+                    reject(createConflictError());
+                    return;
+                }
+                reject(new Error('Erreur lors de l\'application de l\'historique'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes publiques - Journal des modifications
+    // ======================
+
+    /**
+     * Récupère l'historique des modifications d'un enregistrement
+     * @param {string} recordId - ID du pointage ou de la session
+     * @returns {Promise<Object[]>} Entrées du journal (plus ancienne en premier)
+     * @throws {Error} Si la récupération échoue
+     */
+    async getAuditLog(recordId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUDIT_LOG], 'readonly');
+            const request = transaction.objectStore(STORES.AUDIT_LOG).index('recordId').getAll(recordId);
+
+            request.onsuccess = () => {
+                this.#decodeAuditLog(request.result)
+                    .then(records => resolve(records.sort(compareAuditRecords)))
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération du journal des modifications'));
+            };
+        });
+    }
+
+    /**
+     * Récupère tout le journal des modifications
+     * @returns {Promise<Object[]>} Entrées du journal (plus ancienne en premier)
+     * @throws {Error} Si la récupération échoue
+     */
+    async getAllAuditLog() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.AUDIT_LOG], 'readonly');
+            const request = transaction.objectStore(STORES.AUDIT_LOG).index('timestamp').getAll();
+
+            request.onsuccess = () => {
+                this.#decodeAuditLog(request.result)
+                    .then(records => resolve(records.sort(compareAuditRecords)))
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération du journal des modifications'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes privées - Chiffrement
+    // ======================
+
+    /**
+     * Prépare un enregistrement pour l'écriture (chiffré si une clé est définie)
+     * @param {string} storeName - Nom du store
+     * @param {Object} record - Enregistrement au format de stockage
+     * @param {CryptoKey|null} [key] - Clé à utiliser (clé courante par défaut)
+     * @returns {Promise<Object>} Enregistrement à écrire
+     * @throws {Error} Si les données sont verrouillées
+     * @private
+     */
+    async #encode(storeName, record, key = this.encryptionKey) {
+        if (this.isLocked()) {
+            throw new Error('Application verrouillée : saisissez la phrase secrète');
+        }
+        return key ? encryptRecord(key, storeName, record) : record;
+    }
+
+    /**
+     * Prépare plusieurs enregistrements pour l'écriture
+     * @param {string} storeName - Nom du store
+     * @param {Object[]} records - Enregistrements au format de stockage
+     * @param {CryptoKey|null} [key] - Clé à utiliser (clé courante par défaut)
+     * @returns {Promise<Object[]>}
+     * @private
+     */
+    async #encodeAll(storeName, records, key = this.encryptionKey) {
+        return Promise.all(records.map(record => this.#encode(storeName, record, key)));
+    }
+
+    /**
+     * Prépare l'action d'un enregistrement du journal (chiffrée si une clé est définie)
+     * @param {string} action - Action de l'utilisateur
+     * @returns {Promise<string|Object>}
+     * @private
+     */
+    async #encodeAction(action) {
+        if (this.isLocked()) {
+            throw new Error('Application verrouillée : saisissez la phrase secrète');
+        }
+        return this.encryptionKey ? encryptJSON(this.encryptionKey, action) : action;
+    }
+
+    /**
+     * Déchiffre un enregistrement lu dans la base (null et enregistrements en clair inchangés)
+     * @param {Object|undefined|null} record - Enregistrement stocké
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async #decode(record) {
+        return decryptRecord(this.encryptionKey, record || null);
+    }
+
+    /**
+     * Déchiffre des enregistrements lus dans la base
+     * @param {Object[]} records - Enregistrements stockés
+     * @returns {Promise<Object[]>}
+     * @private
+     */
+    async #decodeAll(records) {
+        return Promise.all(records.map(record => this.#decode(record)));
+    }
+
+    /**
+     * Déchiffre des enregistrements du journal
+     * @param {Object[]} records - Enregistrements du journal stockés
+     * @returns {Promise<Object[]>}
+     * @private
+     */
+    async #decodeAuditLog(records) {
+        return Promise.all(records.map(record => decryptAuditRecord(this.encryptionKey, record)));
+    }
+
+    /**
+     * Lit une valeur du store settings
+     * @param {string} key - Clé du paramètre
+     * @returns {Promise<*>} Valeur (null si absente)
+     * @private
+     */
+    #getSetting(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORES.SETTINGS], 'readonly');
+            const request = transaction.objectStore(STORES.SETTINGS).get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.value : null);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la lecture des paramètres'));
+            };
+        });
+    }
+
+    /**
+     * Enregistre un paramètre du store settings
+     * @param {string} key - Clé du paramètre
+     * @param {*} value - Valeur
+     * @returns {Promise<void>}
+     * @private
+     */
+    #putSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([STORES.SETTINGS]);
+            transaction.objectStore(STORES.SETTINGS).put({ key, value });
+
+            transaction.oncomplete = () => {
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'enregistrement des paramètres'));
+            };
+        });
+    }
+
+    /**
+     * Lit les enregistrements stockés (non déchiffrés) visés par des modifications
+     * @param {Object[]} changes - Modifications {store, id}
+     * @returns {Promise<Array<Object|null>>} Enregistrements, dans l'ordre des modifications
+     * @private
+     */
+    #getStoredRecords(changes) {
+        if (changes.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise((resolve, reject) => {
+            const storeNames = [...new Set(changes.map(change => change.store))];
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const requests = changes.map(change => transaction.objectStore(change.store).get(change.id));
+
+            transaction.oncomplete = () => {
+                resolve(requests.map(request => request.result || null));
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la lecture des enregistrements'));
+            };
+        });
+    }
+
+    /**
+     * Lit tous les enregistrements stockés (non déchiffrés) de plusieurs stores
+     * @param {string[]} storeNames - Stores à lire
+     * @param {IDBKeyRange|null} [range=null] - Plage de clés (toutes par défaut)
+     * @param {string|null} [indexName=null] - Index auquel s'applique la plage (clé primaire par défaut)
+     * @returns {Promise<Object[][]>} Enregistrements, dans l'ordre des stores
+     * @private
+     */
+    #getAllStored(storeNames, range = null, indexName = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const requests = storeNames.map(storeName => {
+                const store = transaction.objectStore(storeName);
+                return (indexName ? store.index(indexName) : store).getAll(range);
+            });
+
+            transaction.oncomplete = () => {
+                resolve(requests.map(request => request.result));
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de la lecture des données'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes privées - Sauvegardes automatiques
+    // ======================
+
+    /**
+     * Supprime les instantanés les plus anciens au-delà d'une limite
+     * @param {IDBTransaction} transaction - Transaction en écriture sur le store backups
+     * @param {number} keep - Nombre d'instantanés à conserver
+     * @private
+     */
+    #pruneBackups(transaction, keep) {
+        const store = transaction.objectStore(STORES.BACKUPS);
+
+        // Clés triées par date de création (clair, même chiffré) : les premières sont les plus anciennes
+        const request = store.index('createdAt').getAllKeys();
+        request.onsuccess = () => {
+            const expired = request.result.slice(0, Math.max(0, request.result.length - keep));
+            expired.forEach(id => store.delete(id));
+        };
+    }
+
+    // ======================
+    // Méthodes privées - Archives annuelles
+    // ======================
+
+    /**
+     * Compresse le contenu d'une archive et prépare son enregistrement
+     * @param {Object} payload - Contenu de l'archive (voir createArchivePayload)
+     * @returns {Promise<Object>} Enregistrement à écrire (chiffré si une clé est définie)
+     * @private
+     */
+    async #createArchiveRecord(payload) {
+        const data = await compressJSON(payload);
+
+        return this.#encodeArchive({
+            year: payload.year,
+            createdAt: new Date().toISOString(),
+            counts: {
+                timeEntries: payload.timeEntries.length,
+                projectSessions: payload.projectSessions.length
+            },
+            projectTime: summarizeArchivedTime(payload.projectSessions),
+            size: data.size,
+            data
+        });
+    }
+
+    /**
+     * Prépare une archive pour l'écriture : description chiffrée comme un enregistrement,
+     * contenu compressé chiffré à part (Blob)
+     * @param {Object} record - Archive en clair
+     * @param {CryptoKey|null} [key] - Clé à utiliser (clé courante par défaut)
+     * @returns {Promise<Object>} Archive à écrire
+     * @throws {Error} Si les données sont verrouillées
+     * @private
+     */
+    async #encodeArchive(record, key = this.encryptionKey) {
+        if (!key) {
+            return this.#encode(STORES.ARCHIVES, record, key);
+        }
+        return this.#encode(STORES.ARCHIVES, { ...record, data: await encryptBlob(key, record.data) }, key);
+    }
+
+    /**
+     * Déchiffre une archive lue dans la base (description et contenu compressé)
+     * @param {Object} stored - Archive stockée
+     * @returns {Promise<Object>} Archive en clair
+     * @private
+     */
+    async #decodeArchive(stored) {
+        const record = await this.#decode(stored);
+        if (!isEncryptedRecord(stored)) {
+            return record;
+        }
+        return { ...record, data: await decryptBlob(this.encryptionKey, stored.data) };
+    }
+
+    /**
+     * Lit le contenu d'une archive stockée
+     * @param {Object} stored - Archive stockée
+     * @returns {Promise<Object>} Contenu décompressé
+     * @private
+     */
+    async #readArchivePayload(stored) {
+        const { data } = await this.#decodeArchive(stored);
+        return decompressJSON(data);
+    }
+
+    // ======================
+    // Méthodes privées - Transactions
+    // ======================
+
+    /**
+     * Ouvre une transaction en écriture qui signale les stores modifiés une fois validée
+     * @param {string|string[]} storeNames - Stores concernés
+     * @returns {IDBTransaction}
+     * @private
+     */
+    #writeTransaction(storeNames) {
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+
+        transaction.addEventListener('complete', () => {
+            if (this.onChange) {
+                this.onChange([].concat(storeNames));
+            }
+        });
+
+        return transaction;
+    }
+
+    // ======================
+    // Méthodes privées - Synchronisation
+    // ======================
+
+    /**
+     * Écrit (ou supprime) un enregistrement synchronisé en lui attribuant une nouvelle version
+     * La version suit celle de l'enregistrement remplacé (ou de sa suppression) : une
+     * suppression laisse une trace (tombstone) pour être transmise aux autres appareils.
+     * La transaction doit inclure le store tombstones.
+     * @param {IDBTransaction} transaction - Transaction en écriture
+     * @param {string} storeName - Nom du store
+     * @param {string} id - ID de l'enregistrement
+     * @param {Object|null} record - Nouvel état au format de stockage (null pour supprimer)
+     * @param {Function} [onWritten] - Appelée avec (before, after) une fois l'écriture demandée
+     * @private
+     */
+    #writeVersioned(transaction, storeName, id, record, onWritten = null) {
+        const store = transaction.objectStore(storeName);
+        const tombstones = transaction.objectStore(STORES.TOMBSTONES);
+        const tombstoneId = getTombstoneId(storeName, id);
+
+        const currentRequest = store.get(id);
+        const tombstoneRequest = tombstones.get(tombstoneId);
+        tombstoneRequest.onsuccess = () => {
+            const before = currentRequest.result || null;
+            const stamp = createVersionStamp(before || tombstoneRequest.result);
+
+            // Supprimer un enregistrement inexistant ne modifie rien
+            if (!record && !before) return;
+
+            let after = null;
+            if (record) {
+                after = { ...record, ...stamp };
+                store.put(after);
+                tombstones.delete(tombstoneId);
+            } else {
+                store.delete(id);
+                tombstones.put(createTombstone(storeName, id, stamp));
+            }
+
+            if (onWritten) {
+                onWritten(before, after);
+            }
+        };
+    }
+
+    // ======================
+    // Méthodes privées - Journal des modifications
+    // ======================
+
+    /**
+     * Ajoute un enregistrement au journal dans une transaction d'écriture
+     * Son numéro (seq) suit le plus grand numéro déjà stocké : les transactions d'écriture
+     * sur le journal s'exécutent l'une après l'autre, d'un onglet à l'autre comme entre
+     * deux démarrages. Les ajouts faits avant la lecture de ce numéro sont mis en attente.
+     * @param {IDBTransaction} transaction - Transaction d'écriture incluant le journal
+     * @param {Object} record - Enregistrement du journal (voir createAuditRecord)
+     * @private
+     */
+    #addAuditRecord(transaction, record) {
+        const store = transaction.objectStore(STORES.AUDIT_LOG);
+        let sequence = auditSequences.get(transaction);
+
+        if (!sequence) {
+            sequence = { next: null, pending: [] };
+            auditSequences.set(transaction, sequence);
+
+            const request = store.index('seq').openCursor(null, 'prev');
+            request.onsuccess = () => {
+                sequence.next = request.result ? request.result.key + 1 : 1;
+                sequence.pending.forEach(pending => store.add({ ...pending, seq: sequence.next++ }));
+                sequence.pending = [];
+            };
+        }
+
+        if (sequence.next === null) {
+            sequence.pending.push(record);
+            return;
+        }
+        store.add({ ...record, seq: sequence.next++ });
+    }
+
+    /**
+     * Écrit (ou supprime) un enregistrement et trace la modification dans la même transaction
+     * L'état « avant » est relu dans la transaction : il reflète exactement ce qui est remplacé
+     * (tel qu'il est stocké, chiffré ou non). L'enregistrement reçoit une nouvelle version.
+     * @param {string} storeName - Nom du store
+     * @param {string} id - ID de l'enregistrement
+     * @param {Object|null} plainRecord - Nouvel état en clair (null pour supprimer)
+     * @param {string} plainAction - Action tracée dans le journal
+     * @returns {Promise<void>}
+     * @private
+     */
+    async #writeAudited(storeName, id, plainRecord, plainAction) {
+        const record = plainRecord ? await this.#encode(storeName, plainRecord) : null;
+        const action = await this.#encodeAction(plainAction);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.#writeTransaction([storeName, STORES.AUDIT_LOG, STORES.TOMBSTONES]);
+
+            this.#writeVersioned(transaction, storeName, id, record, (before, after) => {
+                this.#addAuditRecord(transaction, createAuditRecord({ store: storeName, action, before, after }));
+            });
+
+            transaction.oncomplete = () => {
+                console.log('✅ Modification tracée:', plainAction, id);
+                resolve();
+            };
+
+            transaction.onerror = () => {
+                reject(new Error('Erreur lors de l\'enregistrement de la modification'));
+            };
+        });
+    }
+
+    // ======================
+    // Méthodes privées - Requêtes par plage
+    // ======================
+
+    /**
+     * Lit tous les enregistrements d'un index compris dans une plage
+     * @param {string} storeName - Nom du store
+     * @param {string} indexName - Nom de l'index
+     * @param {IDBKeyRange} range - Plage de clés
+     * @param {Function} fromJSON - Conversion d'un enregistrement en modèle
+     * @returns {Promise<Object[]>} Modèles (ordre de l'index)
+     * @private
+     */
+    #getAllInRange(storeName, indexName, range, fromJSON) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).getAll(range);
+
+            request.onsuccess = () => {
+                this.#decodeAll(request.result)
+                    .then(records => resolve(records.map(fromJSON)))
+                    .catch(reject);
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la récupération des données de la période'));
+            };
+        });
+    }
+
+    /**
+     * Lit une page d'un index horodaté (ISO 8601), de la clé la plus récente à la plus ancienne
+     * Le curseur {key, primaryKey} désigne le dernier enregistrement renvoyé : la page suivante
+     * reprend juste après lui, même si plusieurs enregistrements partagent le même horodatage.
+     * @param {string} storeName - Nom du store
+     * @param {string} indexName - Nom de l'index (timestamp ou startTime)
+     * @param {Function} fromJSON - Conversion d'un enregistrement en modèle
+     * @param {Object} options - Options de pagination
+     * @returns {Promise<{items: Object[], nextCursor: Object|null}>}
+     * @private
+     */
+    async #getPage(storeName, indexName, fromJSON, { startDate = null, endDate = null, limit = DEFAULT_PAGE_SIZE, cursor = null }) {
+        // Bornes ISO de la période (fin exclue) : les chaînes ISO se comparent dans l'ordre chronologique
+        const lower = startDate ? getDayBounds(startDate).start.toISOString() : null;
+        let upper = endDate ? getDayBounds(endDate).end.toISOString() : null;
+        let upperOpen = true;
+
+        if (cursor && (upper === null || cursor.key < upper)) {
+            upper = cursor.key;
+            upperOpen = false; // Inclure la clé du curseur : d'autres enregistrements peuvent la partager
+        }
+
+        let range = null;
+        if (lower !== null && upper !== null) {
+            if (lower > upper) {
+                return { items: [], nextCursor: null };
+            }
+            range = IDBKeyRange.bound(lower, upper, false, upperOpen);
+        } else if (lower !== null) {
+            range = IDBKeyRange.lowerBound(lower);
+        } else if (upper !== null) {
+            range = IDBKeyRange.upperBound(upper, upperOpen);
+        }
+
+        // Lire les enregistrements stockés, puis les déchiffrer une fois le curseur terminé
+        const page = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).index(indexName).openCursor(range, 'prev');
+
+            const records = [];
+            let nextCursor = null;
+
+            request.onsuccess = () => {
+                const current = request.result;
+                if (!current) {
+                    resolve({ records, nextCursor: null });
+                    return;
+                }
+
+                // Ignorer les enregistrements déjà renvoyés (même clé, identifiant supérieur ou égal)
+                if (cursor && current.key === cursor.key && current.primaryKey >= cursor.primaryKey) {
+                    current.continue();
+                    return;
+                }
+
+                if (records.length === limit) {
+                    resolve({ records, nextCursor });
+                    return;
+                }
+
+                records.push(current.value);
+                nextCursor = { key: current.key, primaryKey: current.primaryKey };
+                current.continue();
+            };
+
+            request.onerror = () => {
+                reject(new Error('Erreur lors de la lecture paginée'));
+            };
+        });
+
+        const records = await this.#decodeAll(page.records);
+        return { items: records.map(fromJSON), nextCursor: page.nextCursor };
+    }
 }
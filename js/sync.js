@@ -0,0 +1,460 @@
+'use strict';
+
+import { STORES } from './migrations.js';
+import { formatTime } from './utils.js';
+
+/**
+ * Synchronisation entre appareils
+ * Chaque pointage, projet et session porte une version, incrémentée à chaque écriture locale,
+ * et la date de sa dernière écriture. Une suppression laisse une pierre tombale (store
+ * tombstones) qui porte la version suivante. Un appareil envoie ses modifications à un point
+ * d'accès HTTP et récupère celles des autres appareils (contrat : docs/sync-api.md, serveur
+ * de référence : server/sync-server.js).
+ *
+ * Règle de conflit, identique sur le serveur et les clients : la version la plus élevée
+ * l'emporte, puis la date d'écriture la plus récente ; à égalité, l'état déjà connu est conservé.
+ */
+
+/**
+ * Stores synchronisés
+ */
+export const SYNCED_STORES = Object.freeze([STORES.TIME_ENTRIES, STORES.PROJECTS, STORES.PROJECT_SESSIONS, STORES.ABSENCES]);
+
+/**
+ * Champs de synchronisation présents sur chaque enregistrement synchronisé
+ */
+export const SYNC_FIELDS = Object.freeze(['version', 'updatedAt']);
+
+/**
+ * État de la synchronisation affiché dans l'en-tête
+ */
+export const SyncStatus = Object.freeze({
+    DISABLED: 'disabled',
+    IDLE: 'idle',
+    SYNCING: 'syncing',
+    ERROR: 'error'
+});
+
+/**
+ * Intervalle de synchronisation automatique pendant que l'application est ouverte (ms)
+ */
+export const SYNC_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Paramètres par défaut : synchronisation désactivée
+ */
+export const DEFAULT_SYNC_SETTINGS = Object.freeze({
+    enabled: false,
+    endpoint: '',
+    token: ''
+});
+
+/**
+ * État initial : rien n'a encore été échangé avec le serveur
+ */
+export const INITIAL_SYNC_STATE = Object.freeze({
+    deviceId: null,
+    lastSeq: 0,
+    lastPushAt: null,
+    lastSyncAt: null,
+    lastError: null
+});
+
+/**
+ * Refus de synchroniser une base chiffrée : les données partiraient déchiffrées vers le serveur
+ */
+export const ENCRYPTED_SYNC_ERROR = 'Synchronisation impossible avec le chiffrement activé : ' +
+    'les données seraient envoyées en clair au serveur';
+
+// ======================
+// Paramètres
+// ======================
+
+/**
+ * Complète et valide les paramètres de synchronisation
+ * @param {Object|null} settings - Paramètres enregistrés (null pour les valeurs par défaut)
+ * @returns {{enabled: boolean, endpoint: string, token: string}} Paramètres complets
+ * @throws {Error} Si la synchronisation est activée sans adresse HTTP(S) valide
+ */
+export function normalizeSyncSettings(settings) {
+    const normalized = { ...DEFAULT_SYNC_SETTINGS, ...(settings || {}) };
+    const endpoint = String(normalized.endpoint || '').trim().replace(/\/+$/, '');
+
+    if (normalized.enabled) {
+        let url = null;
+        try {
+            url = new URL(endpoint);
+        } catch (error) {
+            // Adresse invalide : même message que ci-dessous
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new Error('L\'adresse du serveur de synchronisation doit commencer par http:// ou https://');
+        }
+    }
+
+    return {
+        enabled: Boolean(normalized.enabled),
+        endpoint,
+        token: String(normalized.token || '').trim()
+    };
+}
+
+// ======================
+// Statut
+// ======================
+
+/**
+ * Déduit le statut affiché des paramètres et du dernier échange
+ * @param {{enabled: boolean}} settings - Paramètres de synchronisation
+ * @param {{lastError: string|null}} state - État de la synchronisation
+ * @returns {string} Statut (SyncStatus)
+ */
+export function getSyncStatus(settings, state) {
+    if (!settings.enabled) return SyncStatus.DISABLED;
+    if (state.lastError) return SyncStatus.ERROR;
+    return SyncStatus.IDLE;
+}
+
+/**
+ * Retourne le libellé court d'un statut (bouton de l'en-tête)
+ * @param {string} status - Statut (SyncStatus)
+ * @param {{lastSyncAt: string|null}} state - État de la synchronisation
+ * @returns {string}
+ */
+export function getSyncStatusLabel(status, state) {
+    switch (status) {
+        case SyncStatus.DISABLED:
+            return 'Synchro désactivée';
+        case SyncStatus.SYNCING:
+            return 'Synchronisation…';
+        case SyncStatus.ERROR:
+            return 'Erreur de synchro';
+        default:
+            return state.lastSyncAt ? `Synchro ${formatTime(new Date(state.lastSyncAt))}` : 'Synchro activée';
+    }
+}
+
+// ======================
+// Versions et pierres tombales
+// ======================
+
+/**
+ * Calcule la version d'une écriture locale
+ * @param {Object|null} previous - Enregistrement remplacé ou pierre tombale (null si aucun)
+ * @param {Date} [now] - Date de l'écriture
+ * @returns {{version: number, updatedAt: string}}
+ */
+export function createVersionStamp(previous, now = new Date()) {
+    return {
+        version: ((previous && previous.version) || 0) + 1,
+        updatedAt: now.toISOString()
+    };
+}
+
+/**
+ * Retourne la clé de la pierre tombale d'un enregistrement
+ * @param {string} storeName - Store de l'enregistrement supprimé
+ * @param {string} recordId - ID de l'enregistrement supprimé
+ * @returns {string}
+ */
+export function getTombstoneId(storeName, recordId) {
+    return `${storeName}:${recordId}`;
+}
+
+/**
+ * Crée la pierre tombale d'un enregistrement supprimé
+ * @param {string} storeName - Store de l'enregistrement supprimé
+ * @param {string} recordId - ID de l'enregistrement supprimé
+ * @param {{version: number, updatedAt: string}} stamp - Version de la suppression
+ * @returns {Object} Pierre tombale ({id, store, recordId, version, updatedAt})
+ */
+export function createTombstone(storeName, recordId, { version, updatedAt }) {
+    return { id: getTombstoneId(storeName, recordId), store: storeName, recordId, version, updatedAt };
+}
+
+/**
+ * Retire les champs de synchronisation d'un enregistrement
+ * Deux états de même contenu restent égaux après une réécriture (ex: annulation).
+ * @param {Object|null} record - Enregistrement au format de stockage
+ * @returns {Object|null}
+ */
+export function withoutSyncFields(record) {
+    if (!record) {
+        return record;
+    }
+    const copy = { ...record };
+    SYNC_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+/**
+ * Compare deux états d'un même enregistrement selon la règle de conflit
+ * @param {{version: number, updatedAt: string|null}|null} a - Premier état (modification, enregistrement ou pierre tombale)
+ * @param {{version: number, updatedAt: string|null}|null} b - Second état
+ * @returns {number} Positif si a l'emporte, négatif si b l'emporte, 0 à égalité
+ */
+export function compareVersions(a, b) {
+    const versionA = (a && a.version) || 0;
+    const versionB = (b && b.version) || 0;
+    if (versionA !== versionB) {
+        return versionA - versionB;
+    }
+
+    const dateA = (a && a.updatedAt) || '';
+    const dateB = (b && b.updatedAt) || '';
+    if (dateA === dateB) {
+        return 0;
+    }
+    return dateA > dateB ? 1 : -1;
+}
+
+// ======================
+// Modifications échangées
+// ======================
+
+/**
+ * Crée la modification transmise pour un enregistrement
+ * @param {string} storeName - Store de l'enregistrement
+ * @param {Object} record - Enregistrement au format de stockage (déchiffré)
+ * @returns {Object} Modification ({store, id, version, updatedAt, deleted, record})
+ */
+export function recordToChange(storeName, record) {
+    return {
+        store: storeName,
+        id: record.id,
+        version: record.version || 0,
+        updatedAt: record.updatedAt || null,
+        deleted: false,
+        record
+    };
+}
+
+/**
+ * Crée la modification transmise pour une suppression
+ * @param {Object} tombstone - Pierre tombale (voir createTombstone)
+ * @returns {Object} Modification ({store, id, version, updatedAt, deleted, record})
+ */
+export function tombstoneToChange(tombstone) {
+    return {
+        store: tombstone.store,
+        id: tombstone.recordId,
+        version: tombstone.version,
+        updatedAt: tombstone.updatedAt,
+        deleted: true,
+        record: null
+    };
+}
+
+/**
+ * Liste les modifications locales à envoyer
+ * @param {Object} data - Données au format de stockage (voir StorageService.getAllData)
+ * @param {Object[]} data.entries - Pointages
+ * @param {Object[]} data.projects - Projets
+ * @param {Object[]} data.sessions - Sessions
+ * @param {Object[]} [data.absences] - Absences
+ * @param {Object[]} tombstones - Pierres tombales
+ * @param {string|null} since - Date ISO du dernier envoi (null : tout envoyer)
+ * @returns {Object[]} Modifications (projets en premier : les sessions y font référence)
+ */
+export function collectLocalChanges({ entries, projects, sessions, absences = [] }, tombstones, since) {
+    const isPending = item => since === null || (item.updatedAt !== null && item.updatedAt >= since);
+
+    return [
+        ...projects.filter(isPending).map(record => recordToChange(STORES.PROJECTS, record)),
+        ...entries.filter(isPending).map(record => recordToChange(STORES.TIME_ENTRIES, record)),
+        ...sessions.filter(isPending).map(record => recordToChange(STORES.PROJECT_SESSIONS, record)),
+        ...absences.filter(isPending).map(record => recordToChange(STORES.ABSENCES, record)),
+        ...tombstones.filter(isPending).map(tombstone => tombstoneToChange(tombstone))
+    ];
+}
+
+/**
+ * Vérifie la forme d'une modification reçue
+ * @param {Object} change - Modification
+ * @throws {Error} Si la modification est incomplète ou vise un store non synchronisé
+ */
+export function validateChange(change) {
+    if (!change || typeof change !== 'object') {
+        throw new Error('Modification invalide');
+    }
+    if (!SYNCED_STORES.includes(change.store)) {
+        throw new Error(`Modification invalide: store inconnu ${change.store}`);
+    }
+    if (typeof change.id !== 'string' || change.id === '') {
+        throw new Error('Modification invalide: ID manquant');
+    }
+    if (!Number.isInteger(change.version) || change.version < 0) {
+        throw new Error(`Modification invalide: version incorrecte pour ${change.id}`);
+    }
+    if (change.deleted !== true && (!change.record || change.record.id !== change.id)) {
+        throw new Error(`Modification invalide: enregistrement manquant pour ${change.id}`);
+    }
+}
+
+/**
+ * Indique si une modification concerne une année archivée localement
+ * Les archives restent propres à l'appareil : leurs pointages et sessions ne reviennent pas
+ * dans les stores courants. Les absences ne sont pas archivées.
+ * @param {Object} change - Modification
+ * @param {number[]} archivedYears - Années archivées
+ * @returns {boolean}
+ */
+export function isArchivedChange(change, archivedYears) {
+    if (change.store === STORES.ABSENCES) {
+        return false;
+    }
+    const date = change.record && change.record.date;
+    return Boolean(date) && archivedYears.includes(Number(date.slice(0, 4)));
+}
+
+// ======================
+// Client
+// ======================
+
+/**
+ * Client de synchronisation
+ * Récupère les modifications des autres appareils, puis envoie les modifications locales.
+ */
+export class SyncEngine {
+    /**
+     * @param {StorageService} storage - Service de stockage
+     * @param {Object} [options] - Options
+     * @param {Function} [options.fetch] - Implémentation de fetch (celle du navigateur par défaut)
+     */
+    constructor(storage, { fetch = (...args) => globalThis.fetch(...args) } = {}) {
+        this.storage = storage;
+        this.fetch = fetch;
+    }
+
+    /**
+     * Synchronise les données avec le serveur
+     * @returns {Promise<{received: number, sent: number, conflicts: number, state: Object}>}
+     *   Modifications appliquées localement, acceptées par le serveur, refusées (version du serveur gardée)
+     * @throws {Error} Si la synchronisation est désactivée, si les données sont chiffrées,
+     *   si le serveur est injoignable ou refuse la requête
+     */
+    async sync() {
+        const settings = await this.storage.getSyncSettings();
+        if (!settings.enabled) {
+            throw new Error('Synchronisation désactivée');
+        }
+
+        let state = await this.storage.getSyncState();
+        if (!state.deviceId) {
+            state = { ...state, deviceId: crypto.randomUUID() };
+        }
+
+        // Chiffrement activé après la synchronisation : rien n'est envoyé
+        if (this.storage.isEncrypted()) {
+            await this.storage.saveSyncState({ ...state, lastError: ENCRYPTED_SYNC_ERROR });
+            throw new Error(ENCRYPTED_SYNC_ERROR);
+        }
+
+        try {
+            const startedAt = new Date().toISOString();
+            const archivedYears = (await this.storage.getArchives()).map(archive => archive.year);
+
+            // 1. Modifications des autres appareils
+            const pulled = await this.#request(settings, 'GET', `/changes?since=${state.lastSeq}`);
+            if (!Number.isInteger(pulled.seq)) {
+                throw new Error('Réponse du serveur de synchronisation invalide');
+            }
+            const remote = this.#readChanges(pulled.changes, archivedYears);
+            let received = await this.storage.applyRemoteChanges(remote);
+
+            // 2. Modifications locales (sauf celles qui viennent d'être reçues)
+            const known = new Set(remote.map(change => `${change.store}:${change.id}:${change.version}`));
+            const local = collectLocalChanges(
+                await this.storage.getAllData({ raw: true }),
+                await this.storage.getTombstones(),
+                state.lastPushAt
+            ).filter(change => !known.has(`${change.store}:${change.id}:${change.version}`));
+
+            let conflicts = 0;
+            if (local.length > 0) {
+                const pushed = await this.#request(settings, 'POST', '/changes', {
+                    deviceId: state.deviceId,
+                    changes: local
+                });
+                // Versions du serveur plus récentes que les nôtres : elles remplacent l'état local
+                const rejected = this.#readChanges(pushed.rejected, archivedYears);
+                received += await this.storage.applyRemoteChanges(rejected);
+                conflicts = rejected.length;
+            }
+
+            state = {
+                ...state,
+                lastSeq: pulled.seq,
+                lastPushAt: startedAt,
+                lastSyncAt: new Date().toISOString(),
+                lastError: null
+            };
+            await this.storage.saveSyncState(state);
+
+            console.log(`🔄 Synchronisation : ${received} reçue(s), ${local.length - conflicts} envoyée(s), ${conflicts} conflit(s)`);
+            return { received, sent: local.length - conflicts, conflicts, state };
+        } catch (error) {
+            await this.storage.saveSyncState({ ...state, lastError: error.message });
+            throw error;
+        }
+    }
+
+    // ======================
+    // Méthodes privées
+    // ======================
+
+    /**
+     * Envoie une requête au serveur de synchronisation
+     * @param {Object} settings - Paramètres ({endpoint, token})
+     * @param {string} method - Méthode HTTP
+     * @param {string} path - Chemin relatif au point d'accès
+     * @param {Object} [body] - Corps JSON
+     * @returns {Promise<Object>} Réponse JSON
+     * @throws {Error} Si le serveur est injoignable, refuse le jeton ou répond en erreur
+     * @private
+     */
+    async #request(settings, method, path, body = undefined) {
+        const headers = { Accept: 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (settings.token) {
+            headers.Authorization = `Bearer ${settings.token}`;
+        }
+
+        let response;
+        try {
+            response = await this.fetch(`${settings.endpoint}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error('Serveur de synchronisation injoignable');
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('Jeton de synchronisation refusé');
+        }
+        if (!response.ok) {
+            throw new Error(`Erreur du serveur de synchronisation (${response.status})`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Valide les modifications reçues et écarte celles des années archivées
+     * @param {Object[]} changes - Modifications reçues
+     * @param {number[]} archivedYears - Années archivées localement
+     * @returns {Object[]}
+     * @throws {Error} Si la réponse du serveur est invalide
+     * @private
+     */
+    #readChanges(changes, archivedYears) {
+        if (!Array.isArray(changes)) {
+            throw new Error('Réponse du serveur de synchronisation invalide');
+        }
+        changes.forEach(change => validateChange(change));
+        return changes.filter(change => !isArchivedChange(change, archivedYears));
+    }
+}
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Synchronisation entre onglets
+ * Les onglets ouverts sur l'application partagent la même base IndexedDB mais pas leur état
+ * en mémoire : chaque onglet annonce ses écritures sur un BroadcastChannel, et les opérations
+ * de lecture-écriture sensibles (chronomètre) passent par un verrou Web Locks commun.
+ * Sans BroadcastChannel ni Web Locks, l'onglet fonctionne seul (aucune erreur).
+ */
+
+/**
+ * Nom du canal de diffusion
+ */
+export const SYNC_CHANNEL_NAME = 'time-tracker-sync';
+
+/**
+ * Préfixe des verrous Web Locks
+ */
+export const SYNC_LOCK_PREFIX = 'time-tracker-';
+
+/**
+ * Délai de regroupement des rechargements (ms) : une rafale d'écritures
+ * (ex: arrêt de plusieurs chronomètres) ne provoque qu'un seul rechargement
+ */
+export const SYNC_REFRESH_DELAY = 150;
+
+/**
+ * Types de messages échangés entre onglets
+ */
+export const SyncMessageType = Object.freeze({
+    DATA_CHANGED: 'data-changed',
+    MULTI_PROJECT_MODE: 'multi-project-mode'
+});
+
+/**
+ * Canal de communication et verrous partagés entre onglets
+ */
+export class TabSync {
+    /**
+     * @param {Object} [options] - Options de synchronisation
+     * @param {string} [options.channelName=SYNC_CHANNEL_NAME] - Nom du canal
+     * @param {Function|null} [options.createChannel] - Fabrique (name) => BroadcastChannel (null pour désactiver)
+     * @param {LockManager|null} [options.locks] - Gestionnaire de verrous (navigator.locks par défaut)
+     */
+    constructor({
+        channelName = SYNC_CHANNEL_NAME,
+        createChannel = typeof BroadcastChannel !== 'undefined' ? (name) => new BroadcastChannel(name) : null,
+        locks = typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null
+    } = {}) {
+        this.tabId = crypto.randomUUID();
+        this.channel = createChannel ? createChannel(channelName) : null;
+        this.locks = locks;
+
+        // Callback appelé pour chaque message d'un autre onglet (reçoit {type, payload, tabId})
+        this.onMessage = null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.#handleMessage(event.data);
+        }
+    }
+
+    /**
+     * Indique si la communication entre onglets est disponible
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.channel !== null;
+    }
+
+    /**
+     * Diffuse un message aux autres onglets
+     * @param {string} type - Type de message (SyncMessageType)
+     * @param {Object} [payload] - Contenu du message (clonable)
+     */
+    publish(type, payload = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ type, payload, tabId: this.tabId });
+        } catch (error) {
+            // Canal fermé (onglet en cours de fermeture) : les autres onglets relisent au prochain message
+            console.warn('⚠️ Message non diffusé aux autres onglets:', error.message);
+        }
+    }
+
+    /**
+     * Exécute une tâche sous un verrou exclusif partagé par tous les onglets
+     * Les tâches d'un même verrou s'exécutent l'une après l'autre ; le verrou n'est pas réentrant.
+     * @param {string} name - Nom du verrou
+     * @param {Function} task - Fonction async à exécuter
+     * @returns {Promise<*>} Résultat de la tâche
+     */
+    async runExclusive(name, task) {
+        if (!this.locks) {
+            return task();
+        }
+        return this.locks.request(`${SYNC_LOCK_PREFIX}${name}`, () => task());
+    }
+
+    /**
+     * Ferme le canal
+     */
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    // ======================
+    // Méthodes privées
+    // ======================
+
+    /**
+     * Transmet un message reçu s'il est valide et provient d'un autre onglet
+     * @param {Object} message - Message reçu
+     * @private
+     */
+    #handleMessage(message) {
+        if (!message || typeof message.type !== 'string' || message.tabId === this.tabId) {
+            return;
+        }
+
+        if (this.onMessage) {
+            this.onMessage(message);
+        }
+    }
+}
@@ -1,6 +1,7 @@
 'use strict';
 
 import { formatDate } from './utils.js';
+import { isWorkLocation, WorkLocation } from './work-location.js';
 
 /**
  * Types de pointage valides
@@ -42,18 +43,24 @@ export class TimeEntry {
      * @param {string} type - Type de pointage (clock-in, lunch-start, lunch-end, clock-out)
      * @param {Date} timestamp - Date et heure du pointage (par défaut: maintenant)
      * @param {string} note - Note optionnelle
+     * @param {string|null} location - Lieu de travail d'une arrivée (WorkLocation), null si non renseigné
      * @throws {Error} Si le type de pointage est invalide
      * @throws {Error} Si le timestamp n'est pas une Date valide
+     * @throws {Error} Si le lieu est inconnu ou porté par un autre pointage qu'une arrivée
      */
-    constructor(type, timestamp = new Date(), note = '') {
+    constructor(type, timestamp = new Date(), note = '', location = null) {
         this.#validateType(type);
         this.#validateTimestamp(timestamp);
+        this.#validateLocation(type, location);
 
         this.id = crypto.randomUUID();
         this.type = type;
         this.timestamp = timestamp;
         this.date = formatDate(timestamp);
         this.note = note;
+        this.location = location;
+        this.updatedAt = null; // Dernière écriture (renseignée par StorageService)
+        this.version = 0; // Version de synchronisation (incrémentée à chaque écriture)
     }
 
     /**
@@ -88,6 +95,37 @@ export class TimeEntry {
         }
     }
 
+    /**
+     * Valide le lieu de travail
+     * @param {string} type - Type de pointage
+     * @param {string|null} location - Lieu à valider
+     * @throws {Error} Si le lieu est inconnu ou si le pointage n'est pas une arrivée
+     * @private
+     */
+    #validateLocation(type, location) {
+        if (location === null) {
+            return;
+        }
+        if (!isWorkLocation(location)) {
+            throw new Error(
+                `Lieu de travail invalide: ${location}. Lieux valides: ${Object.values(WorkLocation).join(', ')}`
+            );
+        }
+        if (type !== ENTRY_TYPES.CLOCK_IN) {
+            throw new Error('Seule une arrivée peut porter un lieu de travail');
+        }
+    }
+
+    /**
+     * Met à jour le lieu de travail d'une arrivée
+     * @param {string|null} location - Nouveau lieu (WorkLocation), null pour l'effacer
+     * @throws {Error} Si le lieu est invalide
+     */
+    updateLocation(location) {
+        this.#validateLocation(this.type, location);
+        this.location = location;
+    }
+
     /**
      * Met à jour le timestamp du pointage
      * @param {Date} newTimestamp - Nouveau timestamp
@@ -109,7 +147,10 @@ export class TimeEntry {
             type: this.type,
             timestamp: this.timestamp.toISOString(),
             date: this.date,
-            note: this.note
+            note: this.note,
+            location: this.location,
+            updatedAt: this.updatedAt ? this.updatedAt.toISOString() : null,
+            version: this.version
         };
     }
 
@@ -127,11 +168,14 @@ export class TimeEntry {
         const entry = new TimeEntry(
             json.type,
             new Date(json.timestamp),
-            json.note || ''
+            json.note || '',
+            json.location || null
         );
 
         // Préserver l'ID original
         entry.id = json.id;
+        entry.updatedAt = json.updatedAt ? new Date(json.updatedAt) : null;
+        entry.version = json.version || 0;
 
         return entry;
     }
@@ -13,6 +13,9 @@ export class ProjectTimer {
         this.updateInterval = null;
         this.multiProjectMode = false; // Mode multi-projet désactivé par défaut
 
+        // Verrou partagé entre onglets (async (task) => résultat) : une modification à la fois
+        this.exclusive = null;
+
         // Callbacks
         this.onTick = null; // Callback appelé chaque seconde
         this.onStart = null; // Callback appelé au démarrage
@@ -47,6 +50,35 @@ export class ProjectTimer {
         }
     }
 
+    /**
+     * Recharge les sessions en cours depuis la base (modifiées par un autre onglet)
+     * Déclenche onStart / onStop pour les sessions apparues ou disparues.
+     * @returns {Promise<void>}
+     */
+    async sync() {
+        const sessions = await this.storage.getCurrentSessions();
+
+        const previousIds = new Set(this.currentSessions.map(s => s.id));
+        const currentIds = new Set(sessions.map(s => s.id));
+        const stopped = this.currentSessions.filter(s => !currentIds.has(s.id));
+        const started = sessions.filter(s => !previousIds.has(s.id));
+
+        this.currentSessions = sessions;
+
+        if (sessions.length === 0) {
+            this.#stopUpdateLoop();
+        } else if (!this.updateInterval) {
+            this.#startUpdateLoop();
+        }
+
+        if (this.onStop) {
+            stopped.forEach(session => this.onStop(session.projectId, session.getDuration()));
+        }
+        if (this.onStart) {
+            started.forEach(session => this.onStart(session.projectId, session.getDuration()));
+        }
+    }
+
     /**
      * Active ou désactive le mode multi-projet
      * @param {boolean} enabled - true pour activer, false pour désactiver
@@ -77,94 +109,25 @@ export class ProjectTimer {
      * @throws {Error} Si le mode mono-projet et qu'un chronomètre est déjà en cours
      */
     async start(projectId) {
-        try {
-            // Vérifier si ce projet a déjà une session en cours
-            const existingSession = this.currentSessions.find(s => s.projectId === projectId);
-            if (existingSession) {
-                console.log('⚠️ Une session existe déjà pour ce projet');
-                return;
-            }
-
-            // En mode mono-projet, vérifier qu'il n'y a pas déjà un chronomètre en cours
-            if (!this.multiProjectMode && this.currentSessions.length > 0) {
-                throw new Error('Un chronomètre est déjà en cours. Activez le mode multi-projet ou arrêtez-le avant d\'en démarrer un nouveau.');
-            }
-
-            // Créer une nouvelle session
-            const newSession = new ProjectSession(projectId);
-
-            // Sauvegarder dans IndexedDB
-            await this.storage.saveSession(newSession);
-
-            // Ajouter à la liste des sessions actives
-            this.currentSessions.push(newSession);
-
-            // Démarrer la boucle de mise à jour si c'est la première session
-            if (this.currentSessions.length === 1) {
-                this.#startUpdateLoop();
-            }
-
-            // Callback
-            if (this.onStart) {
-                this.onStart(projectId, 0);
-            }
-
-            console.log('▶️ Chronomètre démarré pour le projet:', projectId);
-        } catch (error) {
-            console.error('❌ Erreur lors du démarrage du chronomètre:', error);
-            throw error;
-        }
+        return this.#runExclusive(async () => {
+            await this.sync();
+            await this.#start(projectId);
+        });
     }
 
     /**
      * Arrête le chronomètre pour un projet spécifique
      * @param {string} projectId - ID du projet (optionnel, si non fourni arrête la première session)
      * @param {Date} endTime - Heure de fin optionnelle (par défaut: maintenant)
+     * @param {string|null} [note=null] - Note de la session (null pour conserver la note actuelle)
      * @returns {Promise<ProjectSession|null>} Session terminée ou null
      */
-    async stop(projectId = null, endTime = new Date()) {
-        try {
-            let sessionToStop;
-
-            if (projectId) {
-                // Trouver la session du projet spécifié
-                sessionToStop = this.currentSessions.find(s => s.projectId === projectId);
-            } else {
-                // Prendre la première session (comportement par défaut)
-                sessionToStop = this.currentSessions[0];
-            }
-
-            if (!sessionToStop) {
-                throw new Error('Aucun chronomètre n\'est en cours' + (projectId ? ' pour ce projet' : ''));
-            }
-
-            // Arrêter la session avec l'heure spécifiée
-            sessionToStop.stop(endTime);
-
-            // Sauvegarder dans IndexedDB
-            await this.storage.saveSession(sessionToStop);
-
-            // Retirer de la liste des sessions actives
-            this.currentSessions = this.currentSessions.filter(s => s.id !== sessionToStop.id);
-
-            // Arrêter la boucle de mise à jour s'il n'y a plus de sessions
-            if (this.currentSessions.length === 0) {
-                this.#stopUpdateLoop();
-            }
-
-            // Callback
-            if (this.onStop) {
-                this.onStop(sessionToStop.projectId, sessionToStop.getDuration());
-            }
-
-            console.log('⏹️ Chronomètre arrêté pour le projet:', sessionToStop.projectId);
-            console.log(`   Durée: ${Math.floor(sessionToStop.getDuration() / 1000)} secondes`);
-
-            return sessionToStop;
-        } catch (error) {
-            console.error('❌ Erreur lors de l\'arrêt du chronomètre:', error);
-            throw error;
-        }
+    async stop(projectId = null, endTime = new Date(), note = null) {
+        return this.#runExclusive(async () => {
+            // Relire la base : la session a pu être arrêtée par un autre onglet
+            await this.sync();
+            return this.#stop(projectId, endTime, note);
+        });
     }
 
     /**
@@ -173,16 +136,19 @@ export class ProjectTimer {
      * @returns {Promise<ProjectSession[]>} Sessions terminées
      */
     async stopAll(endTime = new Date()) {
-        const stoppedSessions = [];
-
-        while (this.currentSessions.length > 0) {
-            const session = await this.stop(null, endTime);
-            if (session) {
-                stoppedSessions.push(session);
+        return this.#runExclusive(async () => {
+            await this.sync();
+
+            const stoppedSessions = [];
+            while (this.currentSessions.length > 0) {
+                const session = await this.#stop(null, endTime);
+                if (session) {
+                    stoppedSessions.push(session);
+                }
             }
-        }
 
-        return stoppedSessions;
+            return stoppedSessions;
+        });
     }
 
     /**
@@ -193,18 +159,17 @@ export class ProjectTimer {
      */
     async switchTo(newProjectId) {
         try {
-            if (this.multiProjectMode) {
-                // En mode multi-projet, juste démarrer le nouveau projet
-                await this.start(newProjectId);
-            } else {
+            await this.#runExclusive(async () => {
+                await this.sync();
+
                 // En mode mono-projet, arrêter d'abord le chronomètre actuel
-                if (this.currentSessions.length > 0) {
-                    await this.stop();
+                if (!this.multiProjectMode && this.currentSessions.length > 0) {
+                    await this.#stop();
                 }
 
-                // Démarrer un nouveau chronomètre
-                await this.start(newProjectId);
-            }
+                // Démarrer le nouveau chronomètre
+                await this.#start(newProjectId);
+            });
 
             console.log('🔄 Basculé vers le projet:', newProjectId);
         } catch (error) {
@@ -292,6 +257,120 @@ export class ProjectTimer {
         return this.currentSessions.length;
     }
 
+    /**
+     * Démarre une session (sous verrou, sessions en cours à jour)
+     * @param {string} projectId - ID du projet
+     * @returns {Promise<void>}
+     * @throws {Error} Si le mode mono-projet et qu'un chronomètre est déjà en cours
+     * @private
+     */
+    async #start(projectId) {
+        try {
+            // Vérifier si ce projet a déjà une session en cours
+            const existingSession = this.currentSessions.find(s => s.projectId === projectId);
+            if (existingSession) {
+                console.log('⚠️ Une session existe déjà pour ce projet');
+                return;
+            }
+
+            // En mode mono-projet, vérifier qu'il n'y a pas déjà un chronomètre en cours
+            if (!this.multiProjectMode && this.currentSessions.length > 0) {
+                throw new Error('Un chronomètre est déjà en cours. Activez le mode multi-projet ou arrêtez-le avant d\'en démarrer un nouveau.');
+            }
+
+            // Créer une nouvelle session
+            const newSession = new ProjectSession(projectId);
+
+            // Sauvegarder dans IndexedDB
+            await this.storage.saveSession(newSession);
+
+            // Ajouter à la liste des sessions actives
+            this.currentSessions.push(newSession);
+
+            // Démarrer la boucle de mise à jour si c'est la première session
+            if (this.currentSessions.length === 1) {
+                this.#startUpdateLoop();
+            }
+
+            // Callback
+            if (this.onStart) {
+                this.onStart(projectId, 0);
+            }
+
+            console.log('▶️ Chronomètre démarré pour le projet:', projectId);
+        } catch (error) {
+            console.error('❌ Erreur lors du démarrage du chronomètre:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Arrête une session (sous verrou, sessions en cours à jour)
+     * @param {string|null} [projectId] - ID du projet (première session si non fourni)
+     * @param {Date} [endTime] - Heure de fin (par défaut: maintenant)
+     * @param {string|null} [note] - Note de la session (null pour conserver la note actuelle)
+     * @returns {Promise<ProjectSession>} Session terminée
+     * @throws {Error} Si aucune session n'est en cours (pour ce projet)
+     * @private
+     */
+    async #stop(projectId = null, endTime = new Date(), note = null) {
+        try {
+            let sessionToStop;
+
+            if (projectId) {
+                // Trouver la session du projet spécifié
+                sessionToStop = this.currentSessions.find(s => s.projectId === projectId);
+            } else {
+                // Prendre la première session (comportement par défaut)
+                sessionToStop = this.currentSessions[0];
+            }
+
+            if (!sessionToStop) {
+                throw new Error('Aucun chronomètre n\'est en cours' + (projectId ? ' pour ce projet' : ''));
+            }
+
+            // Arrêter la session avec l'heure spécifiée
+            sessionToStop.stop(endTime);
+            if (note !== null) {
+                sessionToStop.note = note;
+            }
+
+            // Sauvegarder dans IndexedDB
+            await this.storage.saveSession(sessionToStop);
+
+            // Retirer de la liste des sessions actives
+            this.currentSessions = this.currentSessions.filter(s => s.id !== sessionToStop.id);
+
+            // Arrêter la boucle de mise à jour s'il n'y a plus de sessions
+            if (this.currentSessions.length === 0) {
+                this.#stopUpdateLoop();
+            }
+
+            // Callback
+            if (this.onStop) {
+                this.onStop(sessionToStop.projectId, sessionToStop.getDuration());
+            }
+
+            console.log('⏹️ Chronomètre arrêté pour le projet:', sessionToStop.projectId);
+            console.log(`   Durée: ${Math.floor(sessionToStop.getDuration() / 1000)} secondes`);
+
+            return sessionToStop;
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'arrêt du chronomètre:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exécute une tâche sous le verrou partagé entre onglets (s'il est configuré)
+     * @param {Function} task - Fonction async
+     * @returns {Promise<*>} Résultat de la tâche
+     * @private
+     */
+    async #runExclusive(task) {
+        return this.exclusive ? this.exclusive(task) : task();
+    }
+
     /**
      * Démarre la boucle de mise à jour (appelée chaque seconde)
      * @private
@@ -3,6 +3,7 @@
 import { formatTime, formatDuration, getEntryTypeLabel, createElement } from './utils.js';
 import { ENTRY_TYPES } from './time-entry.js';
 import { DayStatus } from './calculator.js';
+import { WorkLocation, formatWorkLocation } from './work-location.js';
 
 /**
  * Gestion de l'interface utilisateur
@@ -12,6 +13,7 @@ export class TimeTrackerUI {
         // Cache des éléments DOM
         this.elements = {
             clockInBtn: null,
+            clockInLocation: null,
             breakStartBtn: null,
             breakEndBtn: null,
             lunchStartBtn: null,
@@ -19,9 +21,11 @@ export class TimeTrackerUI {
             clockOutBtn: null,
             presenceTime: null,
             presencePercentage: null,
+            presenceTarget: null,
             remainingTime: null,
             entriesList: null,
-            dayStatus: null
+            dayStatus: null,
+            complianceWarning: null
         };
 
         // Callbacks
@@ -34,6 +38,7 @@ export class TimeTrackerUI {
      */
     init() {
         this.elements.clockInBtn = document.getElementById('clock-in-btn');
+        this.elements.clockInLocation = document.getElementById('clock-in-location');
         this.elements.breakStartBtn = document.getElementById('break-start-btn');
         this.elements.breakEndBtn = document.getElementById('break-end-btn');
         this.elements.lunchStartBtn = document.getElementById('lunch-start-btn');
@@ -41,9 +46,19 @@ export class TimeTrackerUI {
         this.elements.clockOutBtn = document.getElementById('clock-out-btn');
         this.elements.presenceTime = document.getElementById('presence-time');
         this.elements.presencePercentage = document.getElementById('presence-percentage');
+        this.elements.presenceTarget = document.getElementById('presence-target');
         this.elements.remainingTime = document.getElementById('remaining-time');
         this.elements.entriesList = document.getElementById('entries-list');
         this.elements.dayStatus = document.getElementById('day-status');
+        this.elements.complianceWarning = document.getElementById('compliance-warning');
+
+        if (this.elements.clockInLocation) {
+            Object.values(WorkLocation).forEach(location => {
+                this.elements.clockInLocation.appendChild(
+                    createElement('option', { value: location }, formatWorkLocation(location))
+                );
+            });
+        }
 
         console.log('✅ UI initialisée');
     }
@@ -88,6 +103,11 @@ export class TimeTrackerUI {
                 buttons[entryType].classList.add('presence-btn--active');
             }
         });
+
+        // Le lieu ne se choisit qu'au moment de l'arrivée
+        if (this.elements.clockInLocation) {
+            this.elements.clockInLocation.disabled = !enabledButtons.includes(ENTRY_TYPES.CLOCK_IN);
+        }
     }
 
     /**
@@ -111,6 +131,28 @@ export class TimeTrackerUI {
         }
     }
 
+    // ======================
+    // Méthodes publiques - Lieu de travail
+    // ======================
+
+    /**
+     * Sélectionne le lieu proposé pour la prochaine arrivée
+     * @param {string} location - Lieu (WorkLocation)
+     */
+    setClockInLocation(location) {
+        if (this.elements.clockInLocation) {
+            this.elements.clockInLocation.value = location;
+        }
+    }
+
+    /**
+     * Retourne le lieu choisi pour la prochaine arrivée
+     * @returns {string|null} Lieu (WorkLocation), null si le sélecteur est absent
+     */
+    getClockInLocation() {
+        return this.elements.clockInLocation ? this.elements.clockInLocation.value : null;
+    }
+
     // ======================
     // Méthodes publiques - Affichage du temps
     // ======================
@@ -120,8 +162,9 @@ export class TimeTrackerUI {
      * @param {number} duration - Durée en millisecondes
      * @param {number} percentage - Pourcentage de l'objectif atteint
      * @param {number} remaining - Temps restant en millisecondes
+     * @param {number|null} [target=null] - Objectif du jour en millisecondes (0 : jour non travaillé)
      */
-    updatePresenceDisplay(duration, percentage, remaining) {
+    updatePresenceDisplay(duration, percentage, remaining, target = null) {
         // Temps de présence
         if (this.elements.presenceTime) {
             this.elements.presenceTime.textContent = formatDuration(duration);
@@ -146,9 +189,16 @@ export class TimeTrackerUI {
             }
         }
 
+        // Objectif du jour (horaire de travail)
+        if (this.elements.presenceTarget && target !== null) {
+            this.elements.presenceTarget.textContent = target > 0 ? `/ ${formatDuration(target)}` : '';
+        }
+
         // Temps restant
         if (this.elements.remainingTime) {
-            if (remaining > 0) {
+            if (target === 0) {
+                this.elements.remainingTime.textContent = 'Jour non travaillé';
+            } else if (remaining > 0) {
                 this.elements.remainingTime.textContent = `Reste: ${formatDuration(remaining)}`;
             } else {
                 this.elements.remainingTime.textContent = 'Objectif atteint!';
@@ -156,6 +206,27 @@ export class TimeTrackerUI {
         }
     }
 
+    /**
+     * Affiche les alertes de conformité au temps de travail (la plus grave en premier)
+     * @param {Object[]} warnings - Signalements ({rule, level, message}), vide pour masquer l'alerte
+     */
+    updateComplianceWarnings(warnings) {
+        const element = this.elements.complianceWarning;
+        if (!element) return;
+
+        if (warnings.length === 0) {
+            element.textContent = '';
+            element.title = '';
+            element.className = 'daily-presence-bar__compliance daily-presence-bar__compliance--hidden';
+            return;
+        }
+
+        const [first] = warnings;
+        element.textContent = `⚠️ ${first.message}${warnings.length > 1 ? ` (+${warnings.length - 1})` : ''}`;
+        element.title = warnings.map(warning => warning.message).join('\n');
+        element.className = `daily-presence-bar__compliance daily-presence-bar__compliance--${first.level}`;
+    }
+
     /**
      * Met à jour l'affichage du statut de la journée
      * @param {string} status - Statut de la journée (DayStatus)
@@ -168,7 +239,7 @@ export class TimeTrackerUI {
             [DayStatus.MORNING]: 'Matinée en cours',
             [DayStatus.LUNCH]: 'Pause déjeuner',
             [DayStatus.AFTERNOON]: 'Après-midi en cours',
-            [DayStatus.COMPLETED]: 'Journée terminée'
+            [DayStatus.COMPLETED]: 'Départ pointé'
         };
 
         this.elements.dayStatus.textContent = statusLabels[status] || status;
@@ -229,7 +300,7 @@ export class TimeTrackerUI {
 
         const labelSpan = createElement('span', {
             class: 'entries-list__label'
-        }, label);
+        }, entry.location ? `${label} · ${formatWorkLocation(entry.location)}` : label);
 
         const timeSpan = createElement('span', {
             class: 'entries-list__time'
@@ -297,9 +368,12 @@ export class TimeTrackerUI {
     /**
      * Affiche un message de succès temporaire
      * @param {string} message - Message à afficher
+     * @param {Object} [action] - Action proposée dans le toast
+     * @param {string} action.label - Libellé du bouton (ex: "Annuler")
+     * @param {Function} action.onClick - Appelée au clic (le toast est alors fermé)
      */
-    showSuccess(message) {
-        this.#showToast(message, 'success');
+    showSuccess(message, action = null) {
+        this.#showToast(message, 'success', action);
     }
 
     /**
@@ -314,9 +388,10 @@ export class TimeTrackerUI {
      * Affiche un toast (notification temporaire)
      * @param {string} message - Message à afficher
      * @param {string} type - Type de toast (success, error)
+     * @param {Object|null} [action] - Action proposée {label, onClick}
      * @private
      */
-    #showToast(message, type) {
+    #showToast(message, type, action = null) {
         const existingToast = document.querySelector('.toast');
         if (existingToast) {
             existingToast.remove();
@@ -326,6 +401,23 @@ export class TimeTrackerUI {
             class: `toast toast--${type}`
         }, message);
 
+        const hide = () => {
+            toast.classList.remove('toast--visible');
+            setTimeout(() => toast.remove(), 300);
+        };
+
+        if (action) {
+            const actionBtn = createElement('button', {
+                type: 'button',
+                class: 'toast__action'
+            }, action.label);
+            actionBtn.addEventListener('click', () => {
+                hide();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
         document.body.appendChild(toast);
 
         // Animation d'apparition
@@ -333,10 +425,7 @@ export class TimeTrackerUI {
             toast.classList.add('toast--visible');
         }, 10);
 
-        // Suppression après 3 secondes
-        setTimeout(() => {
-            toast.classList.remove('toast--visible');
-            setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        // Suppression après 3 secondes (6 secondes pour laisser le temps de cliquer sur l'action)
+        setTimeout(hide, action ? 6000 : 3000);
     }
 }
@@ -32,8 +32,12 @@ export const Msg = Object.freeze({
     EntriesLoaded: (entries) => ({ type: 'ENTRIES_LOADED', entries }),
     ProjectsLoaded: (projects) => ({ type: 'PROJECTS_LOADED', projects }),
     SessionsLoaded: (sessions) => ({ type: 'SESSIONS_LOADED', sessions }),
+    WorkSchedulesLoaded: (workSchedules) => ({ type: 'WORK_SCHEDULES_LOADED', workSchedules }),
     CurrentSessionLoaded: (session) => ({ type: 'CURRENT_SESSION_LOADED', session }),
 
+    // ===== Paramètres =====
+    WorkSchedulesChanged: () => ({ type: 'WORK_SCHEDULES_CHANGED' }),
+
     // ===== Timer =====
     TimerTick: (elapsed) => ({ type: 'TIMER_TICK', elapsed }),
 
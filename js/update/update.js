@@ -10,6 +10,9 @@ import {
     getEnabledButtons,
     calculateBreaksDuration
 } from '../logic/calculator.js';
+import { validateDaySequence } from '../logic/validation.js';
+import { getDailyTarget } from '../work-schedule.js';
+import { addDays } from '../utils.js';
 
 /**
  * Fonction Update (pure) - Le cœur de l'architecture Elm
@@ -160,6 +163,23 @@ export const update = (msg, model) => {
             };
         }
 
+        case 'WORK_SCHEDULES_LOADED': {
+            return recalculatePresence({
+                ...model,
+                workSchedules: msg.workSchedules,
+                isLoading: false
+            });
+        }
+
+        // ===== Paramètres =====
+        case 'WORK_SCHEDULES_CHANGED': {
+            // Les horaires sont relus par le runtime (WORK_SCHEDULES_LOADED)
+            return {
+                ...model,
+                isLoading: true
+            };
+        }
+
         case 'CURRENT_SESSION_LOADED': {
             return {
                 ...model,
@@ -191,10 +211,17 @@ export const update = (msg, model) => {
                     ? TimeEntry.updateTimestamp(e, msg.timestamp)
                     : e
             );
-            return recalculatePresence({
-                ...model,
-                entries: newEntries
-            });
+            // Refuser une heure qui casserait la séquence de la journée
+            const edited = newEntries.find(e => e.id === msg.entryId);
+            const dayEntries = edited ? newEntries.filter(e => e.date === edited.date) : [];
+            const previousEntries = edited ? newEntries.filter(e => e.date === addDays(edited.date, -1)) : [];
+            return validateDaySequence(dayEntries, previousEntries).fold(
+                error => ({ ...model, errorMessage: error, successMessage: null }),
+                () => recalculatePresence({
+                    ...model,
+                    entries: newEntries
+                })
+            );
         }
 
         // ===== Gestion des sessions =====
@@ -315,8 +342,9 @@ const recalculatePresence = (model) => {
     const todayEntries = model.entries.filter(e => e.date === model.selectedDate);
 
     const presenceTime = calculatePresenceTime(todayEntries);
-    const presencePercentage = getCompletionPercentage(presenceTime);
-    const remainingTime = getRemainingTime(presenceTime);
+    const dailyTarget = getDailyTarget(model.workSchedules, model.selectedDate);
+    const presencePercentage = getCompletionPercentage(presenceTime, dailyTarget);
+    const remainingTime = getRemainingTime(presenceTime, dailyTarget);
     const dayStatus = getDayStatus(todayEntries);
     const enabledButtons = getEnabledButtons(todayEntries);
     const breaksDuration = calculateBreaksDuration(todayEntries);
@@ -324,6 +352,7 @@ const recalculatePresence = (model) => {
     return {
         ...model,
         presenceTime,
+        dailyTarget,
         presencePercentage,
         remainingTime,
         dayStatus,
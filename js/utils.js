@@ -24,6 +24,28 @@ export function formatDuration(milliseconds) {
     return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
 }
 
+/**
+ * Formate une taille en octets (o, Ko, Mo, Go)
+ * @param {number} bytes - Taille en octets
+ * @returns {string} Taille lisible
+ * @example
+ * formatBytes(1536) // "1,5 Ko"
+ */
+export function formatBytes(bytes) {
+    if (!bytes || bytes < 1024) {
+        return `${bytes || 0} o`;
+    }
+
+    const units = ['Ko', 'Mo', 'Go'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} ${units[unit]}`;
+}
+
 /**
  * Formate un objet Date en heure locale (HH:MM)
  * @param {Date} date - Date à formater
@@ -42,8 +64,40 @@ export function formatTime(date) {
     });
 }
 
+/**
+ * Fuseau horaire utilisé pour calculer les jours (null = fuseau du navigateur)
+ */
+let configuredTimeZone = null;
+
+/**
+ * Définit le fuseau horaire utilisé pour calculer les jours (clés `date`)
+ * @param {string|null} timeZone - Identifiant IANA (ex: "Europe/Paris") ou null pour le fuseau du navigateur
+ * @throws {Error} Si le fuseau horaire est inconnu
+ */
+export function setTimeZone(timeZone) {
+    if (timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-CA', { timeZone });
+        } catch (error) {
+            throw new Error(`Fuseau horaire inconnu: ${timeZone}`);
+        }
+    }
+
+    configuredTimeZone = timeZone || null;
+}
+
+/**
+ * Retourne le fuseau horaire utilisé pour calculer les jours
+ * @returns {string} Identifiant IANA du fuseau configuré ou du navigateur
+ */
+export function getTimeZone() {
+    return configuredTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
 /**
  * Formate un objet Date en date locale (YYYY-MM-DD)
+ * Le jour est celui du fuseau configuré (setTimeZone) ou, à défaut, du navigateur :
+ * un pointage à 00:30 heure de Paris appartient bien à ce jour-là, pas à la veille UTC.
  * @param {Date} date - Date à formater
  * @returns {string} Format "YYYY-MM-DD"
  * @example
@@ -54,7 +108,179 @@ export function formatDate(date) {
         return '';
     }
 
-    return date.toISOString().split('T')[0];
+    if (configuredTimeZone) {
+        // Le format en-CA produit directement "YYYY-MM-DD"
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: configuredTimeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Calcule le décalage du fuseau configuré par rapport à UTC à un instant donné
+ * @param {number} time - Instant en millisecondes
+ * @returns {number} Décalage en millisecondes (ex: +3600000 pour Paris en hiver)
+ * @private
+ */
+function getTimeZoneOffset(time) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: configuredTimeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(time));
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    const asUTC = Date.UTC(value('year'), value('month') - 1, value('day'),
+        value('hour'), value('minute'), value('second'));
+
+    return asUTC - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Retourne l'instant de minuit d'un jour dans le fuseau utilisé par formatDate
+ * @param {number} year - Année
+ * @param {number} monthIndex - Mois (0-11)
+ * @param {number} day - Jour du mois (peut déborder, ex: 32 = 1er du mois suivant)
+ * @returns {Date} Minuit du jour
+ * @private
+ */
+function getMidnight(year, monthIndex, day) {
+    if (!configuredTimeZone) {
+        return new Date(year, monthIndex, day);
+    }
+
+    // Deux passes pour tenir compte d'un changement d'heure autour de minuit
+    const utcMidnight = Date.UTC(year, monthIndex, day);
+    const firstGuess = utcMidnight - getTimeZoneOffset(utcMidnight);
+    return new Date(utcMidnight - getTimeZoneOffset(firstGuess));
+}
+
+/**
+ * Retourne les bornes d'un jour (début inclus, fin exclue)
+ * @param {string} dateString - Jour au format YYYY-MM-DD
+ * @returns {{start: Date, end: Date}} Minuit du jour et minuit du lendemain
+ * @example
+ * getDayBounds('2025-11-13') // { start: 13/11 00:00, end: 14/11 00:00 }
+ */
+export function getDayBounds(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return {
+        start: getMidnight(year, month - 1, day),
+        end: getMidnight(year, month - 1, day + 1)
+    };
+}
+
+/**
+ * Décale un jour d'un nombre de jours
+ * @param {string} dateString - Jour au format YYYY-MM-DD
+ * @param {number} days - Nombre de jours (négatif pour reculer)
+ * @returns {string} Jour décalé au format YYYY-MM-DD
+ * @example
+ * addDays('2025-11-01', -1) // "2025-10-31"
+ */
+export function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return formatDate(getMidnight(year, month - 1, day + days));
+}
+
+/**
+ * Découpe un intervalle de temps sur les bornes d'un jour
+ * @param {Date} start - Début de l'intervalle
+ * @param {Date} end - Fin de l'intervalle
+ * @param {string} dateString - Jour au format YYYY-MM-DD
+ * @returns {{start: Date, end: Date, duration: number, continuesFromPreviousDay: boolean, continuesNextDay: boolean}|null}
+ *   Part de l'intervalle comprise dans le jour, ou null si l'intervalle est hors du jour
+ * @example
+ * // Session 22:00 → 02:00 : le 13 reçoit 22:00 → 00:00 (continuesNextDay = true)
+ * clipIntervalToDay(new Date('2025-11-13T22:00'), new Date('2025-11-14T02:00'), '2025-11-13')
+ */
+export function clipIntervalToDay(start, end, dateString) {
+    const bounds = getDayBounds(dateString);
+    const clippedStart = Math.max(start.getTime(), bounds.start.getTime());
+    const clippedEnd = Math.min(end.getTime(), bounds.end.getTime());
+
+    if (clippedEnd <= clippedStart) {
+        return null;
+    }
+
+    return {
+        start: new Date(clippedStart),
+        end: new Date(clippedEnd),
+        duration: clippedEnd - clippedStart,
+        continuesFromPreviousDay: start.getTime() < bounds.start.getTime(),
+        continuesNextDay: end.getTime() > bounds.end.getTime()
+    };
+}
+
+/**
+ * Limite des sessions de projet à leur part comprise dans un jour
+ * Les sessions hors du jour sont écartées.
+ * @param {Object[]} sessions - Sessions ({projectId, startTime, endTime|null})
+ * @param {string} dateString - Jour au format YYYY-MM-DD
+ * @returns {Object[]} Sessions découpées {session, id, projectId, startTime, endTime, continuesFromPreviousDay, continuesNextDay}
+ *   (endTime reste null pour une session en cours qui ne déborde pas sur le lendemain)
+ */
+export function clipSessionsToDay(sessions, dateString) {
+    if (!sessions) return [];
+
+    return sessions
+        .map(session => {
+            const start = new Date(session.startTime);
+            const end = session.endTime ? new Date(session.endTime) : new Date(Math.max(Date.now(), start.getTime()));
+            const clipped = clipIntervalToDay(start, end, dateString);
+            if (!clipped) return null;
+
+            return {
+                session,
+                id: session.id,
+                projectId: session.projectId,
+                startTime: clipped.start,
+                endTime: !session.endTime && !clipped.continuesNextDay ? null : clipped.end,
+                continuesFromPreviousDay: clipped.continuesFromPreviousDay,
+                continuesNextDay: clipped.continuesNextDay
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Retrouve les intervalles hors présence d'une journée en plusieurs fois
+ * (d'un départ à l'arrivée suivante) et le départ qui clôt la journée
+ * @param {Object[]} entries - Pointages ({type, timestamp}, timestamp Date ou chaîne ISO)
+ * @returns {{gaps: Array<{start: Date, end: Date}>, lastClockOut: Date|null}}
+ *   Intervalles triés, et dernier départ (null si une plage est encore ouverte ou s'il n'y a pas de départ)
+ */
+export function getOffShiftPeriods(entries) {
+    const sorted = [...(entries || [])]
+        .filter(entry => entry.type === ENTRY_TYPES.CLOCK_IN || entry.type === ENTRY_TYPES.CLOCK_OUT)
+        .map(entry => ({ type: entry.type, time: new Date(entry.timestamp) }))
+        .sort((a, b) => a.time - b.time);
+
+    const gaps = [];
+    let clockOut = null;
+    sorted.forEach(entry => {
+        if (entry.type === ENTRY_TYPES.CLOCK_OUT) {
+            clockOut = entry.time;
+        } else if (clockOut) {
+            gaps.push({ start: clockOut, end: entry.time });
+            clockOut = null;
+        }
+    });
+
+    return { gaps, lastClockOut: clockOut };
 }
 
 /**
@@ -163,3 +389,35 @@ export function sanitizeForCSV(str) {
 
     return stringValue;
 }
+
+/**
+ * Palette de couleurs attribuées aux projets
+ */
+export const PROJECT_COLORS = [
+    '#3b82f6',
+    '#10b981',
+    '#f59e0b',
+    '#ef4444',
+    '#8b5cf6',
+    '#ec4899',
+    '#14b8a6',
+    '#f97316'
+];
+
+/**
+ * Retourne la couleur par défaut d'un projet (stable pour un même ID)
+ * @param {string} id - ID du projet
+ * @returns {string} Couleur hexadécimale de PROJECT_COLORS
+ * @example
+ * getProjectColor('project_1731488400000_abc123def') // "#8b5cf6" (toujours la même)
+ */
+export function getProjectColor(id) {
+    const str = String(id || '');
+    let hash = 0;
+
+    for (let i = 0; i < str.length; i++) {
+        hash = (hash * 31 + str.charCodeAt(i)) >>> 0;
+    }
+
+    return PROJECT_COLORS[hash % PROJECT_COLORS.length];
+}
@@ -276,7 +276,7 @@ const getDayStatusLabel = (status) => {
         'morning': 'Matinée',
         'lunch': 'En pause',
         'afternoon': 'Après-midi',
-        'completed': 'Terminé'
+        'completed': 'Parti'
     };
     return labels[status] || status;
 };
@@ -1,6 +1,10 @@
 'use strict';
 
 import { TimeCalculator } from './calculator.js';
+import { formatDate, clipIntervalToDay } from './utils.js';
+import { describeAbsenceDay } from './absence.js';
+import { normalizeRoundingSettings, roundDurations, isRoundingActive } from './rounding.js';
+import { getDayLocations, countLocationDays } from './work-location.js';
 
 /**
  * Constantes pour les périodes
@@ -11,12 +15,24 @@ export const PeriodType = {
     CUSTOM: 'custom'
 };
 
+/**
+ * Filtres des rapports selon l'archivage des projets
+ */
+export const ArchiveFilter = {
+    ALL: 'all',
+    ACTIVE: 'active',
+    ARCHIVED: 'archived'
+};
+
 /**
  * Service de calcul des rapports hebdomadaires et mensuels
  */
 export class WeeklyReportCalculator {
-    constructor() {
-        this.calculator = new TimeCalculator();
+    /**
+     * @param {TimeCalculator} [calculator] - Calculateur partagé (porte les horaires de travail)
+     */
+    constructor(calculator = new TimeCalculator()) {
+        this.calculator = calculator;
     }
 
     // ======================
@@ -76,7 +92,7 @@ export class WeeklyReportCalculator {
         const current = new Date(startDate);
 
         while (current <= endDate) {
-            dates.push(this.#formatDate(current));
+            dates.push(formatDate(current));
             current.setDate(current.getDate() + 1);
         }
 
@@ -89,121 +105,241 @@ export class WeeklyReportCalculator {
 
     /**
      * Calcule les statistiques pour une période donnée
+     * Les sessions et la présence qui passent minuit sont réparties entre les jours :
+     * chaque jour ne reçoit que sa part (inclure la veille de la période dans les données).
+     * Chaque jour est comparé à l'objectif de l'horaire de travail en vigueur ce jour-là ;
+     * les jours fériés et les absences créditent tout ou partie de cet objectif.
      * @param {Object} options - Options de calcul
      * @param {Date} options.startDate - Date de début
      * @param {Date} options.endDate - Date de fin
      * @param {TimeEntry[]} options.entries - Toutes les entrées de pointage
      * @param {ProjectSession[]} options.sessions - Toutes les sessions de projet
-     * @param {Project[]} options.projects - Tous les projets
-     * @returns {Object} Statistiques de la période
+     * @param {Project[]} options.projects - Tous les projets (archivés compris)
+     * @param {Absence[]} [options.absences=[]] - Absences de la période
+     * @param {string} [options.archiveFilter=ArchiveFilter.ALL] - Projets dont les sessions sont comptées
+     * @param {Object|null} [options.rounding=null] - Règles d'arrondi {presence, projects} (voir js/rounding.js) ;
+     *   les durées brutes sont conservées, les durées arrondies sont ajoutées à côté
+     * @returns {Object} Statistiques de la période (dont locationDays : jours travaillés par lieu,
+     *   voir countLocationDays)
      */
-    calculatePeriodStats({ startDate, endDate, entries, sessions, projects }) {
+    calculatePeriodStats({ startDate, endDate, entries, sessions, projects, absences = [], archiveFilter = ArchiveFilter.ALL, rounding = null }) {
         const dateRange = this.generateDateRange(startDate, endDate);
+        sessions = this.filterSessionsByArchive(sessions, projects, archiveFilter);
+        rounding = rounding ? normalizeRoundingSettings(rounding) : null;
+
+        // Parts journalières de chaque session et intervalles de présence (découpés à minuit)
+        const sessionParts = this.#roundSessionParts(sessions.map(session => ({
+            session,
+            parts: this.calculator.splitSessionByDay(session)
+        })), rounding?.projects);
+        const presenceIntervals = this.calculator.getPresenceIntervals(entries);
 
         // Calculer les stats par jour
         const dailyStats = dateRange.map(date => {
             const dayEntries = entries.filter(e => e.date === date);
-            const daySessions = sessions.filter(s => s.date === date);
-
-            const presenceTime = this.calculator.calculatePresenceTime(dayEntries);
-            const projectTime = this.calculator.calculateTotalProjectTime(daySessions);
-            const isComplete = this.calculator.isWorkDayComplete(presenceTime);
+            const dayParts = sessionParts.flatMap(({ parts }) => parts.filter(part => part.date === date));
+            const presenceParts = presenceIntervals
+                .map(interval => clipIntervalToDay(interval.start, interval.end, date))
+                .filter(Boolean);
+
+            const presenceTime = presenceParts.reduce((sum, part) => sum + part.duration, 0);
+            const projectTime = dayParts.reduce((sum, part) => sum + part.duration, 0);
+            const roundedPresenceTime = roundDurations(
+                presenceParts.map(part => part.duration),
+                rounding?.presence,
+                presenceParts.map(() => date)
+            ).reduce((sum, duration) => sum + duration, 0);
+            const roundedProjectTime = dayParts.reduce((sum, part) => sum + part.roundedDuration, 0);
+            const targetTime = this.calculator.getDailyTarget(date);
+            const { holiday, absences: dayAbsences, creditedTime } = describeAbsenceDay(date, targetTime, absences);
+            // Un jour non travaillé n'est complet que s'il a été pointé (ou crédité)
+            const countedTime = presenceTime + creditedTime;
+            const isComplete = countedTime > 0 && this.calculator.isWorkDayComplete(countedTime, date);
 
             return {
                 date,
                 presenceTime,
                 projectTime,
+                roundedPresenceTime,
+                roundedProjectTime,
+                targetTime,
+                creditedTime,
+                holiday,
+                absences: dayAbsences,
+                locations: getDayLocations(dayEntries),
                 isComplete,
-                hasEntries: dayEntries.length > 0
+                hasEntries: dayEntries.length > 0 || presenceTime > 0,
+                continuesNextDay: dayParts.some(part => part.continuesNextDay) ||
+                    presenceParts.some(part => part.continuesNextDay)
             };
         });
 
         // Calculer les totaux
         const totalPresenceTime = dailyStats.reduce((sum, day) => sum + day.presenceTime, 0);
         const totalProjectTime = dailyStats.reduce((sum, day) => sum + day.projectTime, 0);
+        const totalPresenceRounded = dailyStats.reduce((sum, day) => sum + day.roundedPresenceTime, 0);
+        const totalProjectRounded = dailyStats.reduce((sum, day) => sum + day.roundedProjectTime, 0);
+        const totalTargetTime = dailyStats.reduce((sum, day) => sum + day.targetTime, 0);
+        const totalCreditedTime = dailyStats.reduce((sum, day) => sum + day.creditedTime, 0);
         const incompleteDays = dailyStats.filter(day => day.hasEntries && !day.isComplete);
         const completeDays = dailyStats.filter(day => day.isComplete);
         const workedDays = dailyStats.filter(day => day.hasEntries);
+        const absenceDays = dailyStats.filter(day => day.creditedTime > 0);
 
-        // Calculer les stats par projet
-        const projectStats = this.#calculateProjectStatsForPeriod(sessions, projects);
+        // Calculer les stats par projet (parts comprises dans la période uniquement)
+        const periodParts = sessionParts
+            .map(({ session, parts }) => ({
+                session,
+                parts: parts.filter(part => dateRange.includes(part.date))
+            }))
+            .filter(({ parts }) => parts.length > 0);
+        const projectStats = this.#calculateProjectStatsForPeriod(periodParts, projects);
 
         return {
             period: {
-                startDate: this.#formatDate(startDate),
-                endDate: this.#formatDate(endDate),
+                startDate: formatDate(startDate),
+                endDate: formatDate(endDate),
                 totalDays: dateRange.length,
                 workedDays: workedDays.length,
                 completeDays: completeDays.length,
-                incompleteDays: incompleteDays.length
+                incompleteDays: incompleteDays.length,
+                absenceDays: absenceDays.length
             },
             time: {
                 totalPresence: totalPresenceTime,
                 totalProject: totalProjectTime,
+                totalPresenceRounded,
+                totalProjectRounded,
+                totalTarget: totalTargetTime,
+                totalCredited: totalCreditedTime,
                 averagePresencePerDay: workedDays.length > 0 ? totalPresenceTime / workedDays.length : 0,
                 averageProjectPerDay: workedDays.length > 0 ? totalProjectTime / workedDays.length : 0
             },
             dailyStats,
             projectStats,
+            locationDays: countLocationDays(dailyStats),
+            rounding: rounding && (isRoundingActive(rounding.presence) || isRoundingActive(rounding.projects))
+                ? rounding
+                : null, // Règles appliquées, null sans arrondi
             incompleteDaysList: incompleteDays.map(day => ({
                 date: day.date,
                 presenceTime: day.presenceTime,
-                missingTime: this.calculator.getRemainingTime(day.presenceTime)
+                missingTime: this.calculator.getRemainingTime(day.presenceTime + day.creditedTime, day.date)
             }))
         };
     }
 
+    /**
+     * Filtre les sessions selon l'archivage de leur projet
+     * Une session dont le projet est introuvable est traitée comme active.
+     * @param {ProjectSession[]} sessions - Sessions à filtrer
+     * @param {Project[]} projects - Tous les projets (archivés compris)
+     * @param {string} archiveFilter - Filtre (ArchiveFilter)
+     * @returns {ProjectSession[]} Sessions retenues
+     * @throws {Error} Si le filtre est inconnu
+     */
+    filterSessionsByArchive(sessions, projects, archiveFilter) {
+        if (!Object.values(ArchiveFilter).includes(archiveFilter)) {
+            throw new Error(`Filtre d'archivage inconnu: ${archiveFilter}`);
+        }
+        if (archiveFilter === ArchiveFilter.ALL) {
+            return sessions;
+        }
+
+        const archivedIds = new Set(projects.filter(p => p.isArchived()).map(p => p.id));
+        const wantArchived = archiveFilter === ArchiveFilter.ARCHIVED;
+
+        return sessions.filter(session => archivedIds.has(session.projectId) === wantArchived);
+    }
+
+    /**
+     * Ajoute la durée arrondie de chaque part journalière (par session, ou par jour et par projet)
+     * @param {Object[]} sessionParts - Sessions avec leurs parts journalières ({session, parts})
+     * @param {Object|null} policy - Règle d'arrondi des projets
+     * @returns {Object[]} Sessions avec leurs parts complétées de `roundedDuration`
+     * @private
+     */
+    #roundSessionParts(sessionParts, policy) {
+        const flat = sessionParts.flatMap(({ session, parts }) => parts.map(part => ({ session, part })));
+        const rounded = roundDurations(
+            flat.map(({ part }) => part.duration),
+            policy,
+            flat.map(({ session, part }) => `${part.date}|${session.projectId}`)
+        );
+
+        let index = 0;
+        return sessionParts.map(({ session, parts }) => ({
+            session,
+            parts: parts.map(part => ({ ...part, roundedDuration: rounded[index++] }))
+        }));
+    }
+
     /**
      * Calcule les statistiques par projet pour une période
-     * @param {ProjectSession[]} sessions - Sessions de la période
+     * @param {Object[]} sessionParts - Sessions de la période avec leurs parts journalières ({session, parts})
      * @param {Project[]} projects - Tous les projets
      * @returns {Object[]} Stats par projet
      * @private
      */
-    #calculateProjectStatsForPeriod(sessions, projects) {
-        if (!sessions || sessions.length === 0) {
+    #calculateProjectStatsForPeriod(sessionParts, projects) {
+        if (!sessionParts || sessionParts.length === 0) {
             return [];
         }
 
         // Grouper les sessions par projet
         const sessionsByProject = {};
 
-        sessions.forEach(session => {
-            if (!sessionsByProject[session.projectId]) {
-                sessionsByProject[session.projectId] = [];
+        sessionParts.forEach(item => {
+            const projectId = item.session.projectId;
+            if (!sessionsByProject[projectId]) {
+                sessionsByProject[projectId] = [];
             }
-            sessionsByProject[session.projectId].push(session);
+            sessionsByProject[projectId].push(item);
         });
 
+        // Durée d'une session dans la période (somme de ses parts)
+        const durationOf = ({ parts }) => parts.reduce((sum, part) => sum + part.duration, 0);
+        const roundedDurationOf = ({ parts }) => parts.reduce((sum, part) => sum + part.roundedDuration, 0);
+
         // Calculer le temps total
-        const totalTime = sessions.reduce((sum, session) => sum + session.getDuration(), 0);
+        const totalTime = sessionParts.reduce((sum, item) => sum + durationOf(item), 0);
 
         // Créer les statistiques par projet
         const stats = Object.keys(sessionsByProject).map(projectId => {
             const project = projects.find(p => p.id === projectId);
             const projectSessions = sessionsByProject[projectId];
-            const duration = projectSessions.reduce((sum, s) => sum + s.getDuration(), 0);
+            const duration = projectSessions.reduce((sum, item) => sum + durationOf(item), 0);
+            const roundedDuration = projectSessions.reduce((sum, item) => sum + roundedDurationOf(item), 0);
             const percentage = totalTime > 0 ? Math.round((duration / totalTime) * 100) : 0;
             const sessionCount = projectSessions.length;
 
-            // Calculer les durées quotidiennes
+            // Calculer les durées quotidiennes (chaque jour reçoit sa part)
             const dailyDurations = {};
-            projectSessions.forEach(session => {
-                if (!dailyDurations[session.date]) {
-                    dailyDurations[session.date] = 0;
-                }
-                dailyDurations[session.date] += session.getDuration();
+            const dailyRoundedDurations = {};
+            const continuedDays = [];
+            projectSessions.forEach(({ parts }) => {
+                parts.forEach(part => {
+                    dailyDurations[part.date] = (dailyDurations[part.date] || 0) + part.duration;
+                    dailyRoundedDurations[part.date] = (dailyRoundedDurations[part.date] || 0) + part.roundedDuration;
+                    if (part.continuesNextDay && !continuedDays.includes(part.date)) {
+                        continuedDays.push(part.date);
+                    }
+                });
             });
 
             return {
                 projectId,
                 projectName: project ? project.name : 'Projet inconnu',
                 projectColor: project ? project.color : '#6b7280',
+                archived: project ? project.isArchived() : false,
                 duration,
+                roundedDuration,
                 percentage,
                 sessionCount,
                 averageSessionDuration: sessionCount > 0 ? duration / sessionCount : 0,
-                dailyDurations
+                dailyDurations,
+                dailyRoundedDurations,
+                continuedDays // Jours dont une session se poursuit le lendemain
             };
         });
 
@@ -220,7 +356,7 @@ export class WeeklyReportCalculator {
      */
     generateDailyChart(dailyStats) {
         return {
-            labels: dailyStats.map(day => this.#formatDateShort(new Date(day.date))),
+            labels: dailyStats.map(day => this.#formatDateShort(new Date(day.date + 'T12:00:00'))),
             presenceData: dailyStats.map(day => day.presenceTime / (1000 * 60 * 60)), // En heures
             projectData: dailyStats.map(day => day.projectTime / (1000 * 60 * 60)), // En heures
             completionStatus: dailyStats.map(day => day.isComplete)
@@ -245,16 +381,6 @@ export class WeeklyReportCalculator {
     // Méthodes utilitaires
     // ======================
 
-    /**
-     * Formate une date en YYYY-MM-DD
-     * @param {Date} date - Date à formater
-     * @returns {string} Date formatée
-     * @private
-     */
-    #formatDate(date) {
-        return date.toISOString().split('T')[0];
-    }
-
     /**
      * Formate une date en format court (ex: "Lun 13")
      * @param {Date} date - Date à formater
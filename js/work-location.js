@@ -0,0 +1,171 @@
+'use strict';
+
+import { formatDate } from './utils.js';
+
+/**
+ * Lieux de travail (déclaration mensuelle du télétravail)
+ * Chaque arrivée porte le lieu où la journée (ou la demi-journée) est travaillée ; le lieu
+ * proposé dépend du jour de la semaine. Le rapport compte les jours par lieu : un jour
+ * travaillé à deux endroits compte pour chacun d'eux.
+ */
+
+/**
+ * Lieux de travail
+ */
+export const WorkLocation = Object.freeze({
+    OFFICE: 'office', // Bureau (locaux de l'entreprise)
+    HOME: 'home',     // Télétravail
+    CLIENT: 'client'  // Chez le client
+});
+
+/**
+ * Libellés des lieux de travail
+ */
+const LOCATION_LABELS = Object.freeze({
+    [WorkLocation.OFFICE]: 'Bureau',
+    [WorkLocation.HOME]: 'Télétravail',
+    [WorkLocation.CLIENT]: 'Chez le client'
+});
+
+/**
+ * Icônes des lieux de travail
+ */
+const LOCATION_ICONS = Object.freeze({
+    [WorkLocation.OFFICE]: '🏢',
+    [WorkLocation.HOME]: '🏠',
+    [WorkLocation.CLIENT]: '🤝'
+});
+
+/**
+ * Lieux par défaut : bureau tous les jours, indexés comme Date.getDay() (0 = dimanche)
+ */
+export const DEFAULT_LOCATION_SETTINGS = Object.freeze({
+    defaults: Object.freeze(new Array(7).fill(WorkLocation.OFFICE))
+});
+
+/**
+ * Vérifie si une valeur est un lieu de travail connu
+ * @param {*} location - Valeur à tester
+ * @returns {boolean}
+ */
+export function isWorkLocation(location) {
+    return Object.values(WorkLocation).includes(location);
+}
+
+/**
+ * Retourne le libellé d'un lieu de travail
+ * @param {string} location - Lieu (WorkLocation)
+ * @returns {string} Libellé en français
+ */
+export function getWorkLocationLabel(location) {
+    return LOCATION_LABELS[location] || location;
+}
+
+/**
+ * Retourne l'icône d'un lieu de travail
+ * @param {string} location - Lieu (WorkLocation)
+ * @returns {string} Emoji ('' si inconnu)
+ */
+export function getWorkLocationIcon(location) {
+    return LOCATION_ICONS[location] || '';
+}
+
+/**
+ * Décrit un lieu de travail avec son icône (ex: "🏠 Télétravail")
+ * @param {string} location - Lieu (WorkLocation)
+ * @returns {string}
+ */
+export function formatWorkLocation(location) {
+    return `${getWorkLocationIcon(location)} ${getWorkLocationLabel(location)}`.trim();
+}
+
+/**
+ * Valide les lieux par défaut
+ * @param {Object|null} settings - Paramètres enregistrés, null si aucun
+ * @returns {{defaults: string[]}} Lieu par défaut de chaque jour, indexé comme Date.getDay()
+ * @throws {Error} Si la liste n'a pas 7 jours ou si un lieu est inconnu
+ */
+export function normalizeLocationSettings(settings) {
+    const defaults = settings?.defaults ?? DEFAULT_LOCATION_SETTINGS.defaults;
+
+    if (!Array.isArray(defaults) || defaults.length !== 7) {
+        throw new Error('Les lieux par défaut doivent couvrir les 7 jours de la semaine');
+    }
+    defaults.forEach(location => {
+        if (!isWorkLocation(location)) {
+            throw new Error(`Lieu de travail inconnu: ${location}`);
+        }
+    });
+
+    return { defaults: [...defaults] };
+}
+
+/**
+ * Retourne le lieu proposé pour une arrivée
+ * @param {Object|null} settings - Lieux par défaut (voir DEFAULT_LOCATION_SETTINGS)
+ * @param {Date|string} [date=new Date()] - Jour de l'arrivée (Date ou YYYY-MM-DD)
+ * @returns {string} Lieu (WorkLocation)
+ */
+export function getDefaultLocation(settings, date = new Date()) {
+    const day = typeof date === 'string' ? date : formatDate(date);
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    const weekday = new Date(year, month - 1, dayOfMonth).getDay();
+
+    return (settings?.defaults || DEFAULT_LOCATION_SETTINGS.defaults)[weekday];
+}
+
+/**
+ * Retourne les lieux d'une journée, dans l'ordre des arrivées
+ * @param {TimeEntry[]} entries - Pointages de la journée
+ * @returns {string[]} Lieux distincts (vide si aucune arrivée ne porte de lieu)
+ */
+export function getDayLocations(entries) {
+    const locations = [...entries]
+        .filter(entry => entry.location)
+        .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime())
+        .map(entry => entry.location);
+
+    return [...new Set(locations)];
+}
+
+/**
+ * Compte les jours travaillés par lieu
+ * @param {Object[]} dailyStats - Statistiques journalières ({hasEntries, locations})
+ * @returns {{office: number, home: number, client: number, unspecified: number}}
+ *   Jours par lieu ; unspecified compte les jours travaillés sans lieu renseigné
+ */
+export function countLocationDays(dailyStats) {
+    const counts = { unspecified: 0 };
+    Object.values(WorkLocation).forEach(location => {
+        counts[location] = 0;
+    });
+
+    dailyStats
+        .filter(day => day.hasEntries)
+        .forEach(day => {
+            if (day.locations.length === 0) {
+                counts.unspecified++;
+                return;
+            }
+            day.locations.forEach(location => {
+                counts[location]++;
+            });
+        });
+
+    return counts;
+}
+
+/**
+ * Décrit les jours par lieu (ex: "🏢 3 j · 🏠 2 j"), lieux sans jour omis
+ * @param {Object} counts - Jours par lieu (voir countLocationDays)
+ * @returns {string} '' si aucun jour travaillé
+ */
+export function describeLocationDays(counts) {
+    const parts = Object.values(WorkLocation)
+        .filter(location => counts[location] > 0)
+        .map(location => `${getWorkLocationIcon(location)} ${counts[location]} j`);
+    if (counts.unspecified > 0) {
+        parts.push(`sans lieu ${counts.unspecified} j`);
+    }
+    return parts.join(' · ');
+}
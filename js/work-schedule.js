@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Horaires de travail
+ * Un horaire fixe l'objectif de présence de chaque jour de la semaine (0 = jour non travaillé)
+ * à partir d'une date d'effet. Les horaires successifs forment un historique : un jour est
+ * évalué avec l'horaire en vigueur à cette date, un changement ne réécrit donc pas le passé.
+ * Avant le premier horaire (ou sans horaire), l'objectif historique de 8h par jour s'applique.
+ */
+
+/**
+ * Objectif quotidien sans horaire configuré (ms)
+ */
+export const DEFAULT_DAILY_TARGET = 8 * 60 * 60 * 1000;
+
+/**
+ * Nombre de minutes dans une journée (objectif maximal d'un jour)
+ */
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Objectifs proposés pour un premier horaire, en minutes, indexés comme Date.getDay() (0 = dimanche)
+ */
+export const DEFAULT_WEEKLY_TARGETS = Object.freeze([0, 480, 480, 480, 480, 480, 0]);
+
+/**
+ * Jours dans l'ordre d'affichage (lundi en premier) : [index Date.getDay(), libellé]
+ */
+export const WEEKDAYS = Object.freeze([
+    [1, 'Lundi'],
+    [2, 'Mardi'],
+    [3, 'Mercredi'],
+    [4, 'Jeudi'],
+    [5, 'Vendredi'],
+    [6, 'Samedi'],
+    [0, 'Dimanche']
+]);
+
+/**
+ * Retourne le jour de la semaine d'un jour calendaire
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {number} Index comme Date.getDay() (0 = dimanche)
+ */
+export function getWeekday(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Valide un horaire
+ * @param {Object} schedule - Horaire ({effectiveFrom, targets})
+ * @param {string} schedule.effectiveFrom - Premier jour d'application (YYYY-MM-DD)
+ * @param {number[]} schedule.targets - Objectif de chaque jour en minutes, indexé comme Date.getDay()
+ * @returns {{effectiveFrom: string, targets: number[]}} Horaire validé
+ * @throws {Error} Si la date d'effet ou un objectif est invalide
+ */
+export function normalizeWorkSchedule(schedule) {
+    const { effectiveFrom, targets } = schedule || {};
+
+    if (typeof effectiveFrom !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+        throw new Error('La date d\'effet de l\'horaire est invalide');
+    }
+    if (!Array.isArray(targets) || targets.length !== 7) {
+        throw new Error('L\'horaire doit définir un objectif pour chacun des 7 jours');
+    }
+    if (targets.some(target => !Number.isInteger(target) || target < 0 || target > MINUTES_PER_DAY)) {
+        throw new Error('Chaque objectif doit être compris entre 0 et 24h');
+    }
+    if (targets.every(target => target === 0)) {
+        throw new Error('L\'horaire doit comporter au moins un jour travaillé');
+    }
+
+    return { effectiveFrom, targets: [...targets] };
+}
+
+/**
+ * Valide et trie un historique d'horaires
+ * @param {Object[]|null} schedules - Horaires enregistrés (null si aucun)
+ * @returns {Object[]} Horaires validés, du plus ancien au plus récent
+ * @throws {Error} Si un horaire est invalide ou si deux horaires ont la même date d'effet
+ */
+export function normalizeWorkSchedules(schedules) {
+    const normalized = (schedules || [])
+        .map(normalizeWorkSchedule)
+        .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+    normalized.forEach((schedule, index) => {
+        if (index > 0 && normalized[index - 1].effectiveFrom === schedule.effectiveFrom) {
+            throw new Error(`Deux horaires commencent le ${schedule.effectiveFrom}`);
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Ajoute un horaire à l'historique (un horaire de même date d'effet est remplacé)
+ * @param {Object[]} schedules - Horaires existants
+ * @param {Object} schedule - Nouvel horaire ({effectiveFrom, targets})
+ * @returns {Object[]} Nouvel historique trié
+ * @throws {Error} Si l'horaire est invalide
+ */
+export function addWorkSchedule(schedules, schedule) {
+    const added = normalizeWorkSchedule(schedule);
+    return normalizeWorkSchedules([
+        ...schedules.filter(existing => existing.effectiveFrom !== added.effectiveFrom),
+        added
+    ]);
+}
+
+/**
+ * Retourne l'horaire en vigueur un jour donné
+ * @param {Object[]} schedules - Horaires triés (voir normalizeWorkSchedules)
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {Object|null} Horaire, ou null si le jour précède le premier horaire
+ */
+export function getScheduleForDate(schedules, date) {
+    let current = null;
+    for (const schedule of schedules) {
+        if (schedule.effectiveFrom > date) break;
+        current = schedule;
+    }
+    return current;
+}
+
+/**
+ * Retourne l'objectif de présence d'un jour
+ * @param {Object[]} schedules - Horaires triés (voir normalizeWorkSchedules)
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {number} Objectif en millisecondes (0 pour un jour non travaillé)
+ */
+export function getDailyTarget(schedules, date) {
+    const schedule = getScheduleForDate(schedules, date);
+    if (!schedule) {
+        return DEFAULT_DAILY_TARGET;
+    }
+    return schedule.targets[getWeekday(date)] * 60 * 1000;
+}
+
+/**
+ * Indique si un jour est travaillé selon l'horaire en vigueur
+ * @param {Object[]} schedules - Horaires triés (voir normalizeWorkSchedules)
+ * @param {string} date - Jour au format YYYY-MM-DD
+ * @returns {boolean}
+ */
+export function isWorkingDay(schedules, date) {
+    return getDailyTarget(schedules, date) > 0;
+}
+
+/**
+ * Calcule l'objectif hebdomadaire d'un horaire
+ * @param {Object} schedule - Horaire ({effectiveFrom, targets})
+ * @returns {number} Objectif en millisecondes
+ */
+export function getWeeklyTarget(schedule) {
+    return schedule.targets.reduce((sum, target) => sum + target, 0) * 60 * 1000;
+}
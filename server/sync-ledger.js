@@ -0,0 +1,84 @@
+'use strict';
+
+import { validateChange, compareVersions, getTombstoneId } from '../js/sync.js';
+
+/**
+ * Registre du serveur de synchronisation
+ * Conserve la dernière version connue de chaque enregistrement (ou de sa suppression),
+ * numérotée dans un flux croissant (seq) : un appareil récupère tout ce qui suit la
+ * dernière position qu'il a lue. Même règle de conflit que les clients (compareVersions).
+ * Sans dépendance : utilisable par server/sync-server.js comme par les tests.
+ */
+export class SyncLedger {
+    /**
+     * @param {Object} [data] - Contenu sauvegardé (voir toJSON)
+     * @param {number} [data.seq=0] - Dernière position du flux
+     * @param {Object[]} [data.changes=[]] - Modifications retenues, avec leur position
+     */
+    constructor({ seq = 0, changes = [] } = {}) {
+        this.seq = seq;
+        this.changes = new Map(changes.map(change => [getTombstoneId(change.store, change.id), change]));
+    }
+
+    /**
+     * Liste les modifications retenues après une position du flux
+     * @param {number} since - Dernière position lue par l'appareil (0 : tout)
+     * @returns {{seq: number, changes: Object[]}} Position actuelle et modifications, dans l'ordre du flux
+     */
+    getChangesSince(since) {
+        const changes = [...this.changes.values()]
+            .filter(change => change.seq > since)
+            .sort((a, b) => a.seq - b.seq)
+            .map(({ seq, ...change }) => change);
+
+        return { seq: this.seq, changes };
+    }
+
+    /**
+     * Enregistre les modifications envoyées par un appareil
+     * Une modification plus ancienne que celle retenue est refusée : la version retenue est
+     * renvoyée pour que l'appareil l'applique. Une modification identique est acceptée sans
+     * avancer le flux.
+     * @param {Object[]} changes - Modifications ({store, id, version, updatedAt, deleted, record})
+     * @returns {{seq: number, accepted: number, rejected: Object[]}} Position, nombre de modifications
+     *   acceptées et versions retenues à la place des modifications refusées
+     * @throws {Error} Si une modification est invalide (rien n'est enregistré)
+     */
+    push(changes) {
+        if (!Array.isArray(changes)) {
+            throw new Error('Modifications manquantes');
+        }
+        changes.forEach(change => validateChange(change));
+
+        let accepted = 0;
+        const rejected = [];
+
+        changes.forEach(({ store, id, version, updatedAt = null, deleted = false, record = null }) => {
+            const change = { store, id, version, updatedAt, deleted, record: deleted ? null : record };
+            const key = getTombstoneId(store, id);
+            const existing = this.changes.get(key);
+            const comparison = existing ? compareVersions(change, existing) : 1;
+
+            if (comparison < 0) {
+                const { seq, ...kept } = existing;
+                rejected.push(kept);
+                return;
+            }
+            if (comparison > 0) {
+                this.seq++;
+                this.changes.set(key, { ...change, seq: this.seq });
+            }
+            accepted++;
+        });
+
+        return { seq: this.seq, accepted, rejected };
+    }
+
+    /**
+     * Sérialise le registre (voir le constructeur)
+     * @returns {{seq: number, changes: Object[]}}
+     */
+    toJSON() {
+        return { seq: this.seq, changes: [...this.changes.values()] };
+    }
+}
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Serveur de synchronisation de référence
+ * Implémente le contrat décrit dans docs/sync-api.md, sans dépendance (Node.js 22 ou plus).
+ * Les modifications sont conservées dans un fichier JSON, réécrit après chaque envoi.
+ *
+ * Variables d'environnement :
+ * - PORT : port d'écoute (8787 par défaut)
+ * - SYNC_TOKEN : jeton exigé dans l'en-tête Authorization (obligatoire, sauf option --insecure)
+ * - SYNC_DATA_FILE : fichier de données (sync-data.json par défaut)
+ *
+ * Lancement : node server/sync-server.js
+ * Sans jeton (tests en local uniquement) : node server/sync-server.js --insecure
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { SyncLedger } from './sync-ledger.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const DATA_FILE = process.env.SYNC_DATA_FILE || 'sync-data.json';
+const INSECURE = process.argv.includes('--insecure');
+
+// Sans jeton, n'importe quelle page (CORS ouvert) pourrait lire et écrire les données
+if (!TOKEN && !INSECURE) {
+    console.error('❌ SYNC_TOKEN non défini : le serveur refuse de démarrer (option --insecure pour accepter toutes les requêtes)');
+    process.exit(1);
+}
+
+/**
+ * Taille maximale d'un envoi (octets)
+ */
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * En-têtes CORS : l'application est servie depuis une autre origine
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+/**
+ * Charge le registre depuis le fichier de données (registre vide si le fichier n'existe pas)
+ * @returns {Promise<SyncLedger>}
+ */
+async function loadLedger() {
+    try {
+        return new SyncLedger(JSON.parse(await readFile(DATA_FILE, 'utf8')));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return new SyncLedger();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Enregistre le registre (fichier temporaire puis renommage : pas de fichier tronqué)
+ * @param {SyncLedger} ledger - Registre
+ * @returns {Promise<void>}
+ */
+async function saveLedger(ledger) {
+    const tmpFile = `${DATA_FILE}.tmp`;
+    await writeFile(tmpFile, JSON.stringify(ledger));
+    await rename(tmpFile, DATA_FILE);
+}
+
+/**
+ * Envoie une réponse JSON
+ * @param {http.ServerResponse} response - Réponse
+ * @param {number} status - Code HTTP
+ * @param {Object} body - Corps
+ */
+function sendJSON(response, status, body) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Lit le corps JSON d'une requête
+ * @param {http.IncomingMessage} request - Requête
+ * @returns {Promise<Object>}
+ * @throws {Error} Si le corps est trop volumineux ou n'est pas du JSON
+ */
+async function readJSON(request) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw new Error('Envoi trop volumineux');
+        }
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+const ledger = await loadLedger();
+
+// Les envois sont traités l'un après l'autre : chaque écriture du fichier voit le registre complet
+let queue = Promise.resolve();
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+    if (url.pathname !== '/changes') {
+        sendJSON(response, 404, { error: 'Ressource inconnue' });
+        return;
+    }
+    if (TOKEN && request.headers.authorization !== `Bearer ${TOKEN}`) {
+        sendJSON(response, 401, { error: 'Jeton invalide' });
+        return;
+    }
+
+    if (request.method === 'GET') {
+        const since = Number(url.searchParams.get('since') || 0);
+        if (!Number.isInteger(since) || since < 0) {
+            sendJSON(response, 400, { error: 'Paramètre since invalide' });
+            return;
+        }
+        sendJSON(response, 200, ledger.getChangesSince(since));
+        return;
+    }
+
+    if (request.method === 'POST') {
+        let body;
+        try {
+            body = await readJSON(request);
+        } catch (error) {
+            sendJSON(response, 400, { error: error.message });
+            return;
+        }
+
+        const task = queue.then(async () => {
+            let result;
+            try {
+                result = ledger.push(body && body.changes);
+            } catch (error) {
+                return { status: 400, body: { error: error.message } };
+            }
+            await saveLedger(ledger);
+            console.log(`🔄 ${(body && body.deviceId) || 'appareil inconnu'} : ${result.accepted} acceptée(s), ${result.rejected.length} refusée(s)`);
+            return { status: 200, body: result };
+        });
+        queue = task.catch(() => {});
+
+        try {
+            const { status, body: result } = await task;
+            sendJSON(response, status, result);
+        } catch (error) {
+            console.error('❌ Erreur lors de l\'enregistrement des données:', error);
+            sendJSON(response, 500, { error: 'Erreur lors de l\'enregistrement des données' });
+        }
+        return;
+    }
+
+    sendJSON(response, 405, { error: 'Méthode non autorisée' });
+});
+
+server.listen(PORT, () => {
+    console.log(`✅ Serveur de synchronisation à l'écoute sur le port ${PORT} (données : ${DATA_FILE})`);
+    if (!TOKEN) {
+        console.warn('⚠️ SYNC_TOKEN non défini : le serveur accepte toutes les requêtes');
+    }
+});
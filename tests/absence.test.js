@@ -0,0 +1,96 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { getEasterSunday, getFrenchPublicHolidays, getPublicHolidayName } from '../js/holidays.js';
+import {
+    Absence,
+    ABSENCE_TYPES,
+    getAbsenceTypeLabel,
+    describeAbsenceDay,
+    listAbsenceDays
+} from '../js/absence.js';
+import { getDailyTarget } from '../js/work-schedule.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+// ======================
+// Tests des jours fériés
+// ======================
+
+runner.test('Calcule le dimanche de Pâques', () => {
+    Assert.equal(getEasterSunday(2024), '2024-03-31');
+    Assert.equal(getEasterSunday(2025), '2025-04-20');
+    Assert.equal(getEasterSunday(2026), '2026-04-05');
+});
+
+runner.test('Liste les 11 jours fériés d\'une année, fêtes mobiles comprises', () => {
+    const holidays = getFrenchPublicHolidays(2025);
+
+    Assert.equal(holidays.length, 11);
+    Assert.equal(holidays[0].date, '2025-01-01', 'Triés par date');
+    Assert.contains(holidays.map(h => h.date), '2025-04-21', 'Lundi de Pâques');
+    Assert.contains(holidays.map(h => h.date), '2025-05-29', 'Ascension');
+    Assert.contains(holidays.map(h => h.date), '2025-06-09', 'Lundi de Pentecôte');
+});
+
+runner.test('Retrouve le nom du jour férié d\'une date', () => {
+    Assert.equal(getPublicHolidayName('2025-07-14'), 'Fête nationale');
+    Assert.equal(getPublicHolidayName('2026-05-14'), 'Ascension');
+    Assert.isNull(getPublicHolidayName('2025-11-13'));
+});
+
+// ======================
+// Tests des absences
+// ======================
+
+runner.test('Crée une absence et la restaure depuis JSON', () => {
+    const absence = new Absence('2025-11-13', ABSENCE_TYPES.TRAINING, 'Formation sécurité');
+    const restored = Absence.fromJSON(absence.toJSON());
+
+    Assert.equal(restored.id, absence.id);
+    Assert.equal(restored.type, ABSENCE_TYPES.TRAINING);
+    Assert.equal(restored.note, 'Formation sécurité');
+    Assert.equal(getAbsenceTypeLabel(ABSENCE_TYPES.TRAINING), 'Formation');
+});
+
+runner.test('Refuse une date ou un type d\'absence invalide', () => {
+    Assert.throws(() => new Absence('13/11/2025', ABSENCE_TYPES.SICK));
+    Assert.throws(() => new Absence('2025-11-13', 'holiday'));
+});
+
+runner.test('Crédite l\'objectif selon le type d\'absence', () => {
+    const absences = [
+        new Absence('2025-11-13', ABSENCE_TYPES.HALF_DAY_LEAVE),
+        new Absence('2025-11-14', ABSENCE_TYPES.HALF_DAY_LEAVE),
+        new Absence('2025-11-14', ABSENCE_TYPES.PAID_LEAVE)
+    ];
+
+    Assert.equal(describeAbsenceDay('2025-11-13', 8 * HOUR, absences).creditedTime, 4 * HOUR, 'Demi-journée');
+    Assert.equal(describeAbsenceDay('2025-11-14', 8 * HOUR, absences).creditedTime, 8 * HOUR,
+        'Le crédit ne dépasse pas l\'objectif');
+    Assert.equal(describeAbsenceDay('2025-11-12', 8 * HOUR, absences).creditedTime, 0, 'Jour sans absence');
+});
+
+runner.test('Crédite un jour férié sans saisie, dans la limite de l\'objectif du jour', () => {
+    const day = describeAbsenceDay('2025-11-11', 7 * HOUR, []);
+
+    Assert.equal(day.holiday, 'Armistice 1918');
+    Assert.equal(day.creditedTime, 7 * HOUR);
+    Assert.equal(describeAbsenceDay('2025-11-01', 0, []).creditedTime, 0, 'Férié un jour non travaillé');
+});
+
+runner.test('Saisit une plage de congés sur les seuls jours travaillés', () => {
+    const schedules = [{ effectiveFrom: '2025-01-01', targets: [0, 480, 480, 480, 480, 480, 0] }];
+
+    // Du vendredi 7 au mercredi 12 novembre : week-end et 11 novembre écartés
+    const days = listAbsenceDays('2025-11-07', '2025-11-12', date => getDailyTarget(schedules, date));
+
+    Assert.deepEqual(days, ['2025-11-07', '2025-11-10', '2025-11-12']);
+    Assert.throws(() => listAbsenceDays('2025-11-12', '2025-11-07', () => HOUR));
+    Assert.throws(() => listAbsenceDays('2025-01-01', '2026-12-31', () => HOUR), Error, 'Plage de plus d\'un an');
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,192 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    ARCHIVE_FORMAT_VERSION,
+    getYearBounds,
+    getArchivableYears,
+    getArchivedYearsInRange,
+    createArchivePayload,
+    mergeArchivePayloads,
+    summarizeArchivedTime,
+    sumArchivedTime,
+    readArchivedPeriod,
+    compressJSON,
+    decompressJSON
+} from '../js/archive.js';
+import { TimeEntry, ENTRY_TYPES } from '../js/time-entry.js';
+import { ProjectSession } from '../js/project-session.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Crée un pointage au format de stockage (heure locale)
+ * @param {string} date - Jour (YYYY-MM-DD)
+ * @param {string} time - Heure (HH:MM)
+ * @param {string} type - Type de pointage
+ * @returns {Object}
+ */
+function createStoredEntry(date, time, type) {
+    return {
+        id: `entry_${date}_${time}`,
+        type,
+        timestamp: new Date(`${date}T${time}:00`).toISOString(),
+        date,
+        note: ''
+    };
+}
+
+/**
+ * Crée une session au format de stockage (heure locale)
+ * @param {string} id - ID de la session
+ * @param {string} projectId - ID du projet
+ * @param {string} date - Jour (YYYY-MM-DD)
+ * @param {string} start - Heure de début (HH:MM)
+ * @param {string|null} end - Heure de fin (HH:MM, null si en cours)
+ * @returns {Object}
+ */
+function createStoredSession(id, projectId, date, start, end) {
+    return {
+        id,
+        projectId,
+        startTime: new Date(`${date}T${start}:00`).toISOString(),
+        endTime: end ? new Date(`${date}T${end}:00`).toISOString() : null,
+        date
+    };
+}
+
+const PROJECTS = [
+    { id: 'p1', name: 'Projet A', timeSpent: 0, active: true },
+    { id: 'p2', name: 'Projet B', timeSpent: 0, active: true }
+];
+
+// ======================
+// Tests des années
+// ======================
+
+runner.test('Liste les années passées pouvant être archivées', () => {
+    Assert.deepEqual(
+        getArchivableYears({ firstDate: '2022-03-01', lastDate: '2025-06-10' }, '2025-06-10'),
+        [2022, 2023, 2024]
+    );
+    Assert.deepEqual(getArchivableYears({ firstDate: '2025-01-02', lastDate: '2025-06-10' }, '2025-06-10'), []);
+    Assert.deepEqual(getArchivableYears({ firstDate: null, lastDate: null }, '2025-06-10'), []);
+});
+
+runner.test('Retrouve les années archivées recoupant une période', () => {
+    Assert.deepEqual(getYearBounds(2024), { startDate: '2024-01-01', endDate: '2024-12-31' });
+    Assert.deepEqual(getArchivedYearsInRange([2022, 2023, 2024], '2023-12-25', '2024-01-07'), [2023, 2024]);
+    Assert.deepEqual(getArchivedYearsInRange([2022], '2025-01-01', '2025-01-31'), []);
+});
+
+// ======================
+// Tests du contenu
+// ======================
+
+runner.test('Crée une archive avec les seuls projets référencés', () => {
+    const payload = createArchivePayload(2024, {
+        timeEntries: [createStoredEntry('2024-03-04', '09:00', ENTRY_TYPES.CLOCK_IN)],
+        projectSessions: [createStoredSession('s1', 'p1', '2024-03-04', '09:00', '11:00')],
+        projects: PROJECTS
+    }, '2025-06-10');
+
+    Assert.equal(payload.version, ARCHIVE_FORMAT_VERSION);
+    Assert.equal(payload.year, 2024);
+    Assert.equal(payload.timeEntries.length, 1);
+    Assert.equal(payload.projectSessions.length, 1);
+    Assert.deepEqual(payload.projects.map(project => project.id), ['p1']);
+});
+
+runner.test('Refuse d\'archiver l\'année en cours, une année vide ou une session en cours', () => {
+    const data = {
+        timeEntries: [createStoredEntry('2025-03-04', '09:00', ENTRY_TYPES.CLOCK_IN)],
+        projectSessions: [],
+        projects: PROJECTS
+    };
+
+    Assert.throws(() => createArchivePayload(2025, data, '2025-06-10'));
+    Assert.throws(() => createArchivePayload(2024, { timeEntries: [], projectSessions: [], projects: PROJECTS }, '2025-06-10'));
+    Assert.throws(() => createArchivePayload(2024, {
+        timeEntries: [],
+        projectSessions: [createStoredSession('s1', 'p1', '2024-12-31', '22:00', null)],
+        projects: PROJECTS
+    }, '2025-06-10'));
+});
+
+runner.test('Complète une archive existante sans doublon', () => {
+    const existing = createArchivePayload(2024, {
+        timeEntries: [createStoredEntry('2024-03-04', '09:00', ENTRY_TYPES.CLOCK_IN)],
+        projectSessions: [createStoredSession('s1', 'p1', '2024-03-04', '09:00', '11:00')],
+        projects: PROJECTS
+    }, '2025-06-10');
+    const addition = createArchivePayload(2024, {
+        timeEntries: [
+            createStoredEntry('2024-03-04', '09:00', ENTRY_TYPES.CLOCK_IN),
+            createStoredEntry('2024-03-04', '17:00', ENTRY_TYPES.CLOCK_OUT)
+        ],
+        projectSessions: [createStoredSession('s2', 'p2', '2024-03-05', '09:00', '10:00')],
+        projects: PROJECTS
+    }, '2025-06-10');
+
+    const merged = mergeArchivePayloads(existing, addition);
+
+    Assert.equal(merged.timeEntries.length, 2);
+    Assert.equal(merged.projectSessions.length, 2);
+    Assert.deepEqual(merged.projects.map(project => project.id).sort(), ['p1', 'p2']);
+});
+
+runner.test('Calcule le temps archivé par projet', () => {
+    const time2023 = summarizeArchivedTime([
+        createStoredSession('s1', 'p1', '2023-03-04', '09:00', '11:00'),
+        createStoredSession('s2', 'p1', '2023-03-05', '14:00', '14:30'),
+        createStoredSession('s3', 'p2', '2023-03-05', '09:00', '10:00')
+    ]);
+
+    Assert.deepEqual(time2023, { p1: 2.5 * HOUR, p2: HOUR });
+    Assert.deepEqual(
+        sumArchivedTime([{ projectTime: time2023 }, { projectTime: { p1: HOUR } }, {}]),
+        { p1: 3.5 * HOUR, p2: HOUR }
+    );
+});
+
+runner.test('Lit les pointages et sessions archivés d\'une période', () => {
+    const payload = createArchivePayload(2024, {
+        timeEntries: [
+            createStoredEntry('2024-03-04', '09:00', ENTRY_TYPES.CLOCK_IN),
+            createStoredEntry('2024-03-04', '17:00', ENTRY_TYPES.CLOCK_OUT),
+            createStoredEntry('2024-04-01', '09:00', ENTRY_TYPES.CLOCK_IN)
+        ],
+        projectSessions: [createStoredSession('s1', 'p1', '2024-03-04', '09:00', '11:00')],
+        projects: PROJECTS
+    }, '2025-06-10');
+
+    const period = readArchivedPeriod(payload, '2024-03-04', '2024-03-10');
+
+    Assert.equal(period.entries.length, 2);
+    Assert.instanceOf(period.entries[0], TimeEntry);
+    Assert.equal(period.sessions.length, 1);
+    Assert.instanceOf(period.sessions[0], ProjectSession);
+    Assert.equal(period.projects[0].name, 'Projet A');
+});
+
+// ======================
+// Tests de la compression
+// ======================
+
+runner.test('Compresse puis décompresse une archive à l\'identique', async () => {
+    const payload = createArchivePayload(2024, {
+        timeEntries: [createStoredEntry('2024-03-04', '09:00', ENTRY_TYPES.CLOCK_IN)],
+        projectSessions: [createStoredSession('s1', 'p1', '2024-03-04', '09:00', '11:00')],
+        projects: PROJECTS
+    }, '2025-06-10');
+
+    const blob = await compressJSON(payload);
+
+    Assert.deepEqual(await decompressJSON(blob), payload);
+    await Assert.rejects(decompressJSON(new Blob(['pas une archive'])));
+});
+
+// Exécuter les tests
+runner.run();
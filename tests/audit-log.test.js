@@ -0,0 +1,123 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    AUDIT_OPERATIONS,
+    getAuditOperation,
+    createAuditRecord,
+    compareAuditRecords,
+    getAuditOperationLabel,
+    formatAuditState
+} from '../js/audit-log.js';
+import { STORES } from '../js/migrations.js';
+
+const runner = new TestRunner();
+
+/**
+ * Crée un pointage au format de stockage
+ * @param {Object} [overrides] - Champs à remplacer
+ * @returns {Object}
+ */
+function createStoredEntry(overrides = {}) {
+    return {
+        id: 'entry_1',
+        type: 'clock-in',
+        timestamp: new Date(2025, 10, 13, 9, 0).toISOString(),
+        date: '2025-11-13',
+        ...overrides
+    };
+}
+
+// ======================
+// Tests des opérations
+// ======================
+
+runner.test('Déduit une création sans état avant', () => {
+    Assert.equal(getAuditOperation(null, createStoredEntry()), AUDIT_OPERATIONS.CREATE);
+});
+
+runner.test('Déduit une suppression sans état après', () => {
+    Assert.equal(getAuditOperation(createStoredEntry(), null), AUDIT_OPERATIONS.DELETE);
+});
+
+runner.test('Déduit une modification avec les deux états', () => {
+    const before = createStoredEntry();
+    const after = createStoredEntry({ timestamp: new Date(2025, 10, 13, 9, 30).toISOString() });
+    Assert.equal(getAuditOperation(before, after), AUDIT_OPERATIONS.UPDATE);
+});
+
+runner.test('Refuse une entrée du journal sans aucun état', () => {
+    Assert.throws(() => getAuditOperation(null, null));
+});
+
+// ======================
+// Tests des enregistrements
+// ======================
+
+runner.test('Crée un enregistrement horodaté avec l\'ID de l\'élément modifié', () => {
+    const timestamp = new Date('2025-11-13T10:00:00.000Z');
+    const before = createStoredEntry();
+
+    const record = createAuditRecord({
+        store: STORES.TIME_ENTRIES,
+        action: 'Suppression du pointage',
+        before,
+        after: null,
+        timestamp
+    });
+
+    Assert.isTrue(record.id.startsWith('audit_'));
+    Assert.equal(record.timestamp, '2025-11-13T10:00:00.000Z');
+    Assert.equal(record.recordId, 'entry_1');
+    Assert.equal(record.operation, AUDIT_OPERATIONS.DELETE);
+    Assert.equal(record.action, 'Suppression du pointage');
+    Assert.deepEqual(record.before, before);
+    Assert.isNull(record.after);
+});
+
+runner.test('Donne un ID différent à chaque enregistrement', () => {
+    const options = { store: STORES.TIME_ENTRIES, action: 'Ajout', before: null, after: createStoredEntry() };
+    Assert.isFalse(createAuditRecord(options).id === createAuditRecord(options).id);
+});
+
+runner.test('Classe les modifications d\'une même milliseconde selon leur numéro d\'écriture', () => {
+    const timestamp = new Date('2025-11-13T10:00:00Z');
+    const before = createStoredEntry();
+    // Numéros attribués par le stockage à l'écriture
+    const update = { ...createAuditRecord({ store: STORES.TIME_ENTRIES, action: 'Modification', before, after: before, timestamp }), seq: 41 };
+    const remove = { ...createAuditRecord({ store: STORES.TIME_ENTRIES, action: 'Suppression', before, after: null, timestamp }), seq: 42 };
+
+    Assert.deepEqual([remove, update].sort(compareAuditRecords).map(record => record.operation),
+        [AUDIT_OPERATIONS.UPDATE, AUDIT_OPERATIONS.DELETE]);
+    Assert.isTrue(compareAuditRecords({ timestamp: '2025-11-13T09:00:00.000Z' }, update) < 0, 'Ancien enregistrement sans numéro');
+});
+
+// ======================
+// Tests des libellés
+// ======================
+
+runner.test('Traduit les opérations en français', () => {
+    Assert.equal(getAuditOperationLabel(AUDIT_OPERATIONS.UPDATE), 'Modification');
+    Assert.equal(getAuditOperationLabel('inconnue'), 'inconnue');
+});
+
+runner.test('Résume un pointage par son type, son heure et son jour', () => {
+    Assert.equal(formatAuditState(STORES.TIME_ENTRIES, createStoredEntry()), 'Arrivée 09:00 (2025-11-13)');
+});
+
+runner.test('Résume une session en cours', () => {
+    const session = {
+        id: 'session_1',
+        startTime: new Date(2025, 10, 13, 14, 0).toISOString(),
+        endTime: null,
+        date: '2025-11-13'
+    };
+    Assert.equal(formatAuditState(STORES.PROJECT_SESSIONS, session), '14:00 → en cours (2025-11-13)');
+});
+
+runner.test('Résume un état absent par un tiret', () => {
+    Assert.equal(formatAuditState(STORES.TIME_ENTRIES, null), '—');
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,146 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    BackupFrequency,
+    BackupTrigger,
+    DEFAULT_BACKUP_SETTINGS,
+    MAX_BACKUPS_KEPT,
+    normalizeBackupSettings,
+    isBackupDue,
+    createBackupRecord,
+    summarizeBackup,
+    getBackupTriggerLabel
+} from '../js/backups.js';
+import { ENTRY_TYPES } from '../js/time-entry.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Crée un pointage au format de stockage (heure locale)
+ * @param {string} date - Jour (YYYY-MM-DD)
+ * @param {string} time - Heure (HH:MM)
+ * @param {string} type - Type de pointage
+ * @returns {Object}
+ */
+function createStoredEntry(date, time, type) {
+    return {
+        id: `entry_${date}_${time}`,
+        type,
+        timestamp: new Date(`${date}T${time}:00`).toISOString(),
+        date,
+        note: ''
+    };
+}
+
+// ======================
+// Tests des paramètres
+// ======================
+
+runner.test('Garde le nombre de sauvegardes par défaut quand seule la fréquence est choisie', () => {
+    Assert.deepEqual(normalizeBackupSettings(null), { ...DEFAULT_BACKUP_SETTINGS });
+    Assert.deepEqual(
+        normalizeBackupSettings({ frequency: BackupFrequency.WEEKLY }),
+        { frequency: BackupFrequency.WEEKLY, keep: DEFAULT_BACKUP_SETTINGS.keep }
+    );
+});
+
+runner.test('Refuse une fréquence inconnue ou un nombre de sauvegardes invalide', () => {
+    Assert.throws(() => normalizeBackupSettings({ frequency: 'hourly' }));
+    Assert.throws(() => normalizeBackupSettings({ keep: 0 }));
+    Assert.throws(() => normalizeBackupSettings({ keep: 2.5 }));
+    Assert.throws(() => normalizeBackupSettings({ keep: MAX_BACKUPS_KEPT + 1 }));
+});
+
+// ======================
+// Tests de l'échéance
+// ======================
+
+runner.test('Une première sauvegarde est toujours due, sauf si désactivée', () => {
+    Assert.isTrue(isBackupDue(null, BackupFrequency.DAILY));
+    Assert.isTrue(isBackupDue(null, BackupFrequency.WEEKLY));
+    Assert.isFalse(isBackupDue(null, BackupFrequency.OFF));
+});
+
+runner.test('Sauvegarde quotidienne due dès le lendemain, quelle que soit l\'heure', () => {
+    const last = new Date('2025-11-13T23:30:00').toISOString();
+
+    Assert.isFalse(isBackupDue(last, BackupFrequency.DAILY, new Date('2025-11-13T23:59:00')));
+    Assert.isTrue(isBackupDue(last, BackupFrequency.DAILY, new Date('2025-11-14T00:05:00')));
+});
+
+runner.test('Sauvegarde hebdomadaire due sept jours après la précédente', () => {
+    const last = new Date('2025-11-13T09:00:00').toISOString();
+
+    Assert.isFalse(isBackupDue(last, BackupFrequency.WEEKLY, new Date('2025-11-19T18:00:00')));
+    Assert.isTrue(isBackupDue(last, BackupFrequency.WEEKLY, new Date('2025-11-20T08:00:00')));
+});
+
+// ======================
+// Tests des instantanés
+// ======================
+
+runner.test('Crée un instantané avec sa date, son origine et sa taille', () => {
+    const now = new Date('2025-11-13T12:00:00');
+    const record = createBackupRecord('{"data":{}}', { trigger: BackupTrigger.MANUAL, now });
+
+    Assert.isTrue(record.id.startsWith('backup_'));
+    Assert.equal(record.createdAt, now.toISOString());
+    Assert.equal(record.trigger, BackupTrigger.MANUAL);
+    Assert.equal(record.size, 11);
+    Assert.equal(record.content, '{"data":{}}');
+    Assert.equal(getBackupTriggerLabel(BackupTrigger.RESTORE), 'Avant restauration');
+});
+
+runner.test('Calcule les totaux d\'une sauvegarde', () => {
+    const totals = summarizeBackup({
+        timeEntries: [
+            createStoredEntry('2025-11-12', '09:00', ENTRY_TYPES.CLOCK_IN),
+            createStoredEntry('2025-11-12', '12:00', ENTRY_TYPES.BREAK_START),
+            createStoredEntry('2025-11-12', '13:00', ENTRY_TYPES.BREAK_END),
+            createStoredEntry('2025-11-12', '17:00', ENTRY_TYPES.CLOCK_OUT),
+            // Journée en cours : non comptée
+            createStoredEntry('2025-11-13', '09:00', ENTRY_TYPES.CLOCK_IN)
+        ],
+        projects: [{ id: 'p1', name: 'Projet' }],
+        projectSessions: [
+            {
+                id: 's1',
+                projectId: 'p1',
+                startTime: new Date('2025-11-11T09:00:00').toISOString(),
+                endTime: new Date('2025-11-11T11:30:00').toISOString(),
+                date: '2025-11-11'
+            },
+            {
+                id: 's2',
+                projectId: 'p1',
+                startTime: new Date('2025-11-13T09:00:00').toISOString(),
+                endTime: null,
+                date: '2025-11-13'
+            }
+        ]
+    });
+
+    Assert.equal(totals.timeEntries, 5);
+    Assert.equal(totals.projects, 1);
+    Assert.equal(totals.projectSessions, 2);
+    Assert.equal(totals.firstDate, '2025-11-11');
+    Assert.equal(totals.lastDate, '2025-11-13');
+    Assert.equal(totals.workedDays, 1);
+    Assert.equal(totals.presenceTime, 7 * HOUR);
+    Assert.equal(totals.projectTime, 2.5 * HOUR);
+});
+
+runner.test('Calcule les totaux d\'une sauvegarde vide', () => {
+    const totals = summarizeBackup({ timeEntries: [], projects: [], projectSessions: [] });
+
+    Assert.isNull(totals.firstDate);
+    Assert.isNull(totals.lastDate);
+    Assert.equal(totals.presenceTime, 0);
+    Assert.equal(totals.projectTime, 0);
+});
+
+// Exécuter les tests
+runner.run();
@@ -89,6 +89,35 @@ runner.test('Calcule le temps de l\'après-midi en cours', () => {
     Assert.equal(hours, 5);
 });
 
+runner.test('Construit les intervalles de présence sur plusieurs jours', () => {
+    const entries = [
+        new TimeEntry(ENTRY_TYPES.CLOCK_OUT, new Date('2025-11-14T02:00:00')),
+        new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T20:00:00')),
+        new TimeEntry(ENTRY_TYPES.BREAK_START, new Date('2025-11-13T23:00:00')),
+        new TimeEntry(ENTRY_TYPES.BREAK_END, new Date('2025-11-13T23:30:00'))
+    ];
+
+    const intervals = calculator.getPresenceIntervals(entries);
+
+    Assert.equal(intervals.length, 2, 'Devrait avoir 2 intervalles (avant et après la pause)');
+    Assert.equal(intervals[1].start.getTime(), new Date('2025-11-13T23:30:00').getTime());
+    Assert.equal(intervals[1].end.getTime(), new Date('2025-11-14T02:00:00').getTime());
+});
+
+runner.test('Découpe une session de nuit en parts journalières', () => {
+    const session = {
+        startTime: new Date('2025-11-13T22:00:00'),
+        endTime: new Date('2025-11-15T01:00:00')
+    };
+
+    const parts = calculator.splitSessionByDay(session);
+
+    Assert.deepEqual(parts.map(p => p.date), ['2025-11-13', '2025-11-14', '2025-11-15']);
+    Assert.equal(parts[1].duration, 24 * 60 * 60 * 1000, 'Le 14 est couvert entièrement');
+    Assert.isTrue(parts[0].continuesNextDay);
+    Assert.isFalse(parts[2].continuesNextDay);
+});
+
 // ======================
 // Tests de vérification de journée complète
 // ======================
@@ -111,6 +140,21 @@ runner.test('Accepte une journée de plus de 8h', () => {
     Assert.isTrue(isComplete);
 });
 
+runner.test('Compare la journée à l\'objectif de l\'horaire de travail', () => {
+    const partTime = new TimeCalculator([
+        { effectiveFrom: '2025-11-01', targets: [0, 420, 420, 420, 420, 240, 0] }
+    ]);
+    const duration = 5 * 60 * 60 * 1000; // 5 heures
+
+    Assert.isFalse(partTime.isWorkDayComplete(duration, '2025-11-13'), 'Jeudi : objectif de 7h');
+    Assert.isTrue(partTime.isWorkDayComplete(duration, '2025-11-14'), 'Vendredi : objectif de 4h');
+    Assert.equal(partTime.getRemainingTime(duration, '2025-11-13'), 2 * 60 * 60 * 1000);
+    Assert.equal(partTime.getCompletionPercentage(duration, '2025-11-14'), 125);
+    Assert.equal(partTime.getCompletionPercentage(0, '2025-11-15'), 0, 'Samedi non travaillé, sans pointage');
+    Assert.equal(partTime.getRemainingTime(0, '2025-11-15'), 0);
+    Assert.isFalse(partTime.isWorkDayComplete(duration, '2025-10-31'), 'Avant l\'horaire : 8h');
+});
+
 // ======================
 // Tests de calcul du temps restant
 // ======================
@@ -252,7 +296,7 @@ runner.test('Après lunch-end, clock-out est attendu', () => {
     Assert.equal(nextEntry, ENTRY_TYPES.CLOCK_OUT);
 });
 
-runner.test('Après clock-out, aucun pointage n\'est attendu', () => {
+runner.test('Après clock-out, seule une nouvelle arrivée est possible', () => {
     const entries = [
         new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00')),
         new TimeEntry(ENTRY_TYPES.LUNCH_START, new Date('2025-11-13T12:00:00')),
@@ -260,8 +304,38 @@ runner.test('Après clock-out, aucun pointage n\'est attendu', () => {
         new TimeEntry(ENTRY_TYPES.CLOCK_OUT, new Date('2025-11-13T18:00:00'))
     ];
 
-    const nextEntry = calculator.getNextExpectedEntry(entries);
-    Assert.isNull(nextEntry);
+    Assert.deepEqual(calculator.getEnabledButtons(entries), [ENTRY_TYPES.CLOCK_IN]);
+});
+
+// ======================
+// Tests des journées en plusieurs fois
+// ======================
+
+// Départ à midi, retour de 17:00 à 18:30 pour une réunion
+const SPLIT_SHIFT_ENTRIES = [
+    new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T08:00:00')),
+    new TimeEntry(ENTRY_TYPES.BREAK_START, new Date('2025-11-13T10:00:00')),
+    new TimeEntry(ENTRY_TYPES.BREAK_END, new Date('2025-11-13T10:15:00')),
+    new TimeEntry(ENTRY_TYPES.CLOCK_OUT, new Date('2025-11-13T12:00:00')),
+    new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T17:00:00')),
+    new TimeEntry(ENTRY_TYPES.CLOCK_OUT, new Date('2025-11-13T18:30:00'))
+];
+
+runner.test('Additionne les plages sans compter l\'intervalle comme une pause', () => {
+    const hours = calculator.calculatePresenceTime(SPLIT_SHIFT_ENTRIES) / (1000 * 60 * 60);
+
+    Assert.equal(hours, 5.25); // 3h45 le matin + 1h30 le soir
+    Assert.equal(calculator.calculateBreaksDuration(SPLIT_SHIFT_ENTRIES), 15 * 60 * 1000);
+    Assert.equal(calculator.getWorkShifts(SPLIT_SHIFT_ENTRIES).length, 2);
+});
+
+runner.test('Une deuxième arrivée rouvre la journée', () => {
+    const entries = SPLIT_SHIFT_ENTRIES.slice(0, 5);
+
+    Assert.equal(calculator.getDayStatus(entries), DayStatus.AFTERNOON);
+    Assert.deepEqual(calculator.getEnabledButtons(entries), [ENTRY_TYPES.BREAK_START, ENTRY_TYPES.CLOCK_OUT]);
+    Assert.isNull(calculator.getWorkShifts(entries)[1].end, 'La deuxième plage est en cours');
+    Assert.equal(calculator.getDayStatus(SPLIT_SHIFT_ENTRIES), DayStatus.COMPLETED);
 });
 
 // ======================
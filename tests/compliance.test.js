@@ -0,0 +1,205 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { createNovemberEntry } from './fixtures.js';
+import {
+    ComplianceRule,
+    ComplianceLevel,
+    DEFAULT_COMPLIANCE_RULES,
+    ComplianceChecker,
+    normalizeComplianceRules
+} from '../js/compliance.js';
+import { TimeEntry } from '../js/time-entry.js';
+
+const runner = new TestRunner();
+const checker = new ComplianceChecker();
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ * Crée les statistiques d'un jour (voir WeeklyReportCalculator.calculatePeriodStats)
+ */
+function dayStats(date, presenceTime) {
+    return { date, presenceTime };
+}
+
+// ======================
+// Tests de validation
+// ======================
+
+runner.test('Applique les seuils légaux aux règles non renseignées', () => {
+    const rules = normalizeComplianceRules({ dailyMax: 9 * 60 });
+
+    Assert.equal(rules.dailyMax, 540);
+    Assert.equal(rules.weeklyMax, DEFAULT_COMPLIANCE_RULES.weeklyMax);
+    Assert.deepEqual(normalizeComplianceRules(null), { ...DEFAULT_COMPLIANCE_RULES });
+});
+
+runner.test('Refuse un seuil négatif ou non entier', () => {
+    Assert.throws(() => normalizeComplianceRules({ minRest: -1 }), Error);
+    Assert.throws(() => normalizeComplianceRules({ minBreak: 12.5 }), Error);
+});
+
+// ======================
+// Tests d'une période
+// ======================
+
+runner.test('Signale une pause trop courte après 6h de travail', () => {
+    const entries = [
+        createNovemberEntry('clock-in', 13, 8),
+        createNovemberEntry('break-start', 13, 12),
+        createNovemberEntry('break-end', 13, 12, 10),
+        createNovemberEntry('clock-out', 13, 15)
+    ];
+
+    const violations = checker.checkPeriod({ entries, dailyStats: [dayStats('2025-11-13', 6 * HOUR + 50 * MINUTE)] });
+
+    Assert.equal(violations.length, 1);
+    Assert.equal(violations[0].rule, ComplianceRule.BREAK);
+    Assert.equal(violations[0].date, '2025-11-13');
+});
+
+runner.test('L\'intervalle entre deux plages compte comme une pause', () => {
+    const entries = [
+        createNovemberEntry('clock-in', 13, 8),
+        createNovemberEntry('clock-out', 13, 12),
+        createNovemberEntry('clock-in', 13, 12, 30),
+        createNovemberEntry('clock-out', 13, 15, 30)
+    ];
+
+    const violations = checker.checkPeriod({ entries, dailyStats: [dayStats('2025-11-13', 7 * HOUR)] });
+
+    Assert.equal(violations.length, 0);
+});
+
+runner.test('Des pauses fractionnées ne remplacent pas une pause d\'un seul tenant', () => {
+    // 2 × 15 min de pause : 30 min au total, mais aucune de 20 min
+    const entries = [
+        createNovemberEntry('clock-in', 13, 8),
+        createNovemberEntry('break-start', 13, 10),
+        createNovemberEntry('break-end', 13, 10, 15),
+        createNovemberEntry('break-start', 13, 12),
+        createNovemberEntry('break-end', 13, 12, 15),
+        createNovemberEntry('clock-out', 13, 15)
+    ];
+
+    const violations = checker.checkPeriod({ entries, dailyStats: [dayStats('2025-11-13', 6.5 * HOUR)] });
+
+    Assert.equal(violations.length, 1);
+    Assert.equal(violations[0].rule, ComplianceRule.BREAK);
+    Assert.equal(checker.getLongestBreak(entries), 15 * MINUTE);
+});
+
+runner.test('Une pause commencée après 6h de travail arrive trop tard', () => {
+    const entries = [
+        createNovemberEntry('clock-in', 13, 8),
+        createNovemberEntry('break-start', 13, 14, 30),
+        createNovemberEntry('break-end', 13, 15),
+        createNovemberEntry('clock-out', 13, 16)
+    ];
+
+    const violations = checker.checkPeriod({ entries, dailyStats: [dayStats('2025-11-13', 7.5 * HOUR)] });
+
+    Assert.equal(violations.length, 1);
+    Assert.equal(violations[0].rule, ComplianceRule.BREAK);
+    Assert.equal(checker.getLongestBreak(entries.slice(0, 3)), 0);
+});
+
+runner.test('Signale le maximum quotidien et date le maximum hebdomadaire du jour où il est franchi', () => {
+    // Semaine du lundi 10 novembre : 5 jours de 10h30 (la pause est respectée)
+    const dailyStats = ['10', '11', '12', '13', '14'].map(day => dayStats(`2025-11-${day}`, 10.5 * HOUR));
+    const entries = ['10', '11', '12', '13', '14'].flatMap(day => [
+        createNovemberEntry('clock-in', Number(day), 7),
+        createNovemberEntry('break-start', Number(day), 12),
+        createNovemberEntry('break-end', Number(day), 12, 30),
+        createNovemberEntry('clock-out', Number(day), 18)
+    ]);
+
+    const violations = checker.checkPeriod({ entries, dailyStats });
+    const daily = violations.filter(violation => violation.rule === ComplianceRule.DAILY_MAX);
+    const weekly = violations.filter(violation => violation.rule === ComplianceRule.WEEKLY_MAX);
+
+    Assert.equal(daily.length, 5);
+    Assert.equal(weekly.length, 1);
+    Assert.equal(weekly[0].date, '2025-11-14', '52h30 cumulées le vendredi (42h la veille)');
+});
+
+runner.test('Signale un repos de moins de 11h entre deux journées', () => {
+    const entries = [
+        createNovemberEntry('clock-in', 12, 14),
+        createNovemberEntry('break-start', 12, 18),
+        createNovemberEntry('break-end', 12, 18, 30),
+        createNovemberEntry('clock-out', 12, 22),
+        createNovemberEntry('clock-in', 13, 6),
+        createNovemberEntry('clock-out', 13, 12)
+    ];
+    const dailyStats = [dayStats('2025-11-12', 7.5 * HOUR), dayStats('2025-11-13', 6 * HOUR)];
+
+    const violations = checker.checkPeriod({ entries, dailyStats });
+
+    Assert.equal(violations.length, 1);
+    Assert.equal(violations[0].rule, ComplianceRule.DAILY_REST);
+    Assert.equal(violations[0].date, '2025-11-13');
+});
+
+runner.test('Une règle à 0 est désactivée', () => {
+    const relaxed = new ComplianceChecker(undefined, { ...DEFAULT_COMPLIANCE_RULES, dailyMax: 0 });
+    const entries = [
+        createNovemberEntry('clock-in', 13, 7),
+        createNovemberEntry('break-start', 13, 12),
+        createNovemberEntry('break-end', 13, 13),
+        createNovemberEntry('clock-out', 13, 19)
+    ];
+
+    Assert.equal(relaxed.checkPeriod({ entries, dailyStats: [dayStats('2025-11-13', 11 * HOUR)] }).length, 0);
+});
+
+// ======================
+// Tests des alertes en direct
+// ======================
+
+runner.test('Avertit avant la pause due et signale le repos non respecté', () => {
+    const start = new Date(Date.now() - (5 * HOUR + 45 * MINUTE));
+    const entries = [new TimeEntry('clock-in', start)];
+    const previousClockOut = new Date(start.getTime() - 9 * HOUR);
+
+    const warnings = checker.getLiveWarnings(entries, { previousClockOut });
+
+    Assert.equal(warnings[0].rule, ComplianceRule.DAILY_REST, 'Le dépassement passe avant l\'avertissement');
+    Assert.equal(warnings[0].level, ComplianceLevel.VIOLATION);
+    Assert.equal(warnings[1].rule, ComplianceRule.BREAK);
+    Assert.equal(warnings[1].level, ComplianceLevel.WARNING);
+});
+
+runner.test('Avertit malgré plusieurs pauses courtes déjà prises', () => {
+    const now = Date.now();
+    const entries = [
+        new TimeEntry('clock-in', new Date(now - 6 * HOUR - 10 * MINUTE)),
+        new TimeEntry('break-start', new Date(now - 4 * HOUR)),
+        new TimeEntry('break-end', new Date(now - 4 * HOUR + 10 * MINUTE)),
+        new TimeEntry('break-start', new Date(now - 2 * HOUR)),
+        new TimeEntry('break-end', new Date(now - 2 * HOUR + 10 * MINUTE))
+    ];
+
+    const warnings = checker.getLiveWarnings(entries);
+
+    Assert.equal(warnings.length, 1);
+    Assert.equal(warnings[0].rule, ComplianceRule.BREAK);
+    Assert.equal(warnings[0].level, ComplianceLevel.WARNING, '5h50 de travail : pause due dans 10 min');
+});
+
+runner.test('N\'avertit pas pendant une pause ni loin des limites', () => {
+    const now = Date.now();
+    const onBreak = [
+        new TimeEntry('clock-in', new Date(now - 6 * HOUR)),
+        new TimeEntry('break-start', new Date(now - 15 * MINUTE))
+    ];
+    const early = [new TimeEntry('clock-in', new Date(now - 2 * HOUR))];
+
+    Assert.equal(checker.getLiveWarnings(onBreak).length, 0);
+    Assert.equal(checker.getLiveWarnings(early, { weekPresence: 30 * HOUR }).length, 0);
+});
+
+// Exécuter les tests
+runner.run();
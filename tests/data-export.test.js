@@ -5,6 +5,8 @@ import { DataExporter } from '../js/data-export.js';
 import { TimeEntry } from '../js/time-entry.js';
 import { Project } from '../js/project.js';
 import { ProjectSession } from '../js/project-session.js';
+import { Absence, ABSENCE_TYPES } from '../js/absence.js';
+import { WeeklyReportCalculator } from '../js/weekly-report.js';
 
 const runner = new TestRunner();
 const exporter = new DataExporter();
@@ -134,6 +136,25 @@ runner.test('Exporte un rapport hebdomadaire en JSON', () => {
     Assert.isTrue(data.time.totalPresence.formatted !== undefined, 'Devrait avoir une durée formatée');
 });
 
+runner.test('Exporte les jours fériés et les absences du rapport', () => {
+    const report = new WeeklyReportCalculator().calculatePeriodStats({
+        startDate: new Date('2025-11-10T00:00:00'),
+        endDate: new Date('2025-11-11T00:00:00'),
+        entries: [],
+        sessions: [],
+        projects: [],
+        absences: [new Absence('2025-11-10', ABSENCE_TYPES.PAID_LEAVE)]
+    });
+
+    const csv = exporter.exportWeeklyReportToCSV(report);
+    const data = JSON.parse(exporter.exportWeeklyReportToJSON(report));
+
+    Assert.isTrue(csv.includes('2025-11-10,0h 00m,0h 00m,8h 00m,Congé payé,Oui'), 'Congé crédité dans le CSV');
+    Assert.isTrue(csv.includes('Armistice 1918'), 'Jour férié nommé dans le CSV');
+    Assert.equal(data.dailyStats[0].absences[0].label, 'Congé payé');
+    Assert.equal(data.time.totalCredited.formatted, '16h 00m');
+});
+
 // ======================
 // Tests d'export complet
 // ======================
@@ -146,7 +167,8 @@ runner.test('Exporte toutes les données en JSON', () => {
     const json = exporter.exportAllDataToJSON({
         entries: [entry],
         projects: [project],
-        sessions: [session]
+        sessions: [session],
+        absences: [new Absence('2025-11-14', ABSENCE_TYPES.SICK)]
     });
 
     const data = JSON.parse(json);
@@ -156,6 +178,17 @@ runner.test('Exporte toutes les données en JSON', () => {
     Assert.equal(data.data.timeEntries.length, 1, 'Devrait contenir 1 entrée');
     Assert.equal(data.data.projects.length, 1, 'Devrait contenir 1 projet');
     Assert.equal(data.data.projectSessions.length, 1, 'Devrait contenir 1 session');
+    Assert.equal(data.data.absences.length, 1, 'Devrait contenir 1 absence');
+});
+
+runner.test('Inclut le journal des modifications seulement s\'il est fourni', () => {
+    const auditLog = [{ id: 'audit_1', recordId: 'entry_1', operation: 'delete' }];
+
+    const withLog = JSON.parse(exporter.exportAllDataToJSON({ entries: [], projects: [], sessions: [], auditLog }));
+    const withoutLog = JSON.parse(exporter.exportAllDataToJSON({ entries: [], projects: [], sessions: [] }));
+
+    Assert.deepEqual(withLog.data.auditLog, auditLog);
+    Assert.isTrue(withoutLog.data.auditLog === undefined, 'Le journal ne devrait pas être exporté');
 });
 
 // Exécuter les tests
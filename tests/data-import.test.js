@@ -0,0 +1,305 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { DataImporter, ImportMode, ConflictResolution } from '../js/data-import.js';
+import { DataExporter } from '../js/data-export.js';
+import { TimeEntry } from '../js/time-entry.js';
+import { Project } from '../js/project.js';
+import { ProjectSession } from '../js/project-session.js';
+import { Absence, ABSENCE_TYPES } from '../js/absence.js';
+import { findTimeSpentMismatches } from '../js/integrity.js';
+
+const runner = new TestRunner();
+const importer = new DataImporter();
+const exporter = new DataExporter();
+
+/**
+ * Crée un jeu de données de test (1 pointage, 1 projet, 1 session terminée)
+ * @returns {{entries: TimeEntry[], projects: Project[], sessions: ProjectSession[]}}
+ */
+function createData() {
+    const entry = new TimeEntry('clock-in', new Date('2025-11-13T09:00:00'));
+    const project = new Project('Projet A');
+    const session = new ProjectSession(
+        project.id,
+        new Date('2025-11-13T09:00:00'),
+        new Date('2025-11-13T10:00:00')
+    );
+
+    return { entries: [entry], projects: [project], sessions: [session] };
+}
+
+const emptyData = { entries: [], projects: [], sessions: [] };
+
+// ======================
+// Tests de lecture de la sauvegarde
+// ======================
+
+runner.test('Relit une sauvegarde produite par exportAllDataToJSON', () => {
+    const data = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+
+    Assert.equal(data.timeEntries.length, 1, 'Devrait contenir 1 pointage');
+    Assert.equal(data.projects.length, 1, 'Devrait contenir 1 projet');
+    Assert.equal(data.projectSessions.length, 1, 'Devrait contenir 1 session');
+});
+
+runner.test('Relit une sauvegarde chiffrée avec sa phrase secrète', async () => {
+    const content = await exporter.exportAllDataToEncryptedJSON(createData(), 'phrase secrète');
+
+    const data = await importer.readBackup(content, 'phrase secrète');
+    Assert.equal(data.projects.length, 1, 'Devrait contenir 1 projet');
+    await Assert.rejects(importer.readBackup(content, 'mauvaise phrase'));
+});
+
+runner.test('Lance une erreur si le fichier n\'est pas du JSON', () => {
+    Assert.throws(() => importer.parseBackup('pas du json'));
+});
+
+runner.test('Lance une erreur si la version n\'est pas supportée', () => {
+    const content = JSON.stringify({ version: '1.0.0', data: {} });
+    Assert.throws(() => importer.parseBackup(content));
+});
+
+runner.test('Lance une erreur si un pointage est invalide', () => {
+    const backup = JSON.parse(exporter.exportAllDataToJSON(createData()));
+    backup.data.timeEntries[0].type = 'inconnu';
+
+    Assert.throws(() => importer.parseBackup(JSON.stringify(backup)));
+});
+
+runner.test('Lance une erreur si un ID est en double', () => {
+    const backup = JSON.parse(exporter.exportAllDataToJSON(createData()));
+    backup.data.timeEntries.push({ ...backup.data.timeEntries[0] });
+
+    Assert.throws(() => importer.parseBackup(JSON.stringify(backup)));
+});
+
+// ======================
+// Tests de planification
+// ======================
+
+runner.test('Mode remplacement: tout est ajouté et l\'existant est compté comme supprimé', () => {
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+    const plan = importer.planImport(backup, createData(), ImportMode.REPLACE);
+
+    Assert.equal(plan.summary.timeEntries.added, 1);
+    Assert.equal(plan.summary.projectSessions.added, 1);
+    Assert.equal(plan.summary.removed.projects, 1);
+});
+
+runner.test('Mode fusion: les enregistrements identiques sont ignorés', () => {
+    const existing = createData();
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(existing));
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.timeEntries.skipped, 1);
+    Assert.equal(plan.summary.projects.skipped, 1);
+    Assert.equal(plan.summary.projectSessions.skipped, 1);
+    Assert.equal(plan.records.timeEntries.length, 0, 'Rien ne devrait être écrit');
+});
+
+runner.test('Mode fusion: un pointage modifié est mis à jour', () => {
+    const existing = createData();
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(existing));
+    backup.timeEntries[0].note = 'Note restaurée';
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.timeEntries.updated, 1);
+    Assert.equal(plan.records.timeEntries[0].note, 'Note restaurée');
+});
+
+runner.test('Mode fusion: un projet homonyme est rattaché au projet existant', () => {
+    const existing = createData();
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+    backup.projectSessions[0].startTime = new Date('2025-11-13T14:00:00').toISOString();
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.projects.skipped, 1, 'Le projet ne devrait pas être dupliqué');
+    Assert.equal(plan.summary.projectSessions.added, 1);
+    Assert.equal(
+        plan.records.projectSessions[0].projectId,
+        existing.projects[0].id,
+        'La session devrait pointer vers le projet existant'
+    );
+});
+
+runner.test('Mode fusion: le projet homonyme reprend le temps des sessions réaffectées', () => {
+    const existing = createData();
+    existing.projects[0].addTime(existing.sessions[0].getDuration());
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+    backup.projectSessions[0].startTime = new Date('2025-11-13T14:00:00').toISOString();
+    backup.projectSessions[0].endTime = new Date('2025-11-13T16:00:00').toISOString();
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    const [project] = plan.records.projects;
+    Assert.equal(plan.records.projects.length, 1);
+    Assert.equal(project.id, existing.projects[0].id);
+    Assert.equal(project.timeSpent, 3 * 60 * 60 * 1000, '1h locale + 2h importées');
+    Assert.equal(findTimeSpentMismatches(
+        [project],
+        [...existing.sessions.map(session => session.toJSON()), ...plan.records.projectSessions]
+    ).length, 0, 'Le temps passé reste cohérent avec les sessions');
+});
+
+runner.test('Mode fusion: un pointage de même type et même heure est un doublon', () => {
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+    const plan = importer.planImport(backup, createData(), ImportMode.MERGE);
+
+    Assert.equal(plan.summary.timeEntries.skipped, 1);
+});
+
+runner.test('Mode fusion: les absences sont ajoutées sans doublon', () => {
+    const existing = { ...createData(), absences: [new Absence('2025-11-10', ABSENCE_TYPES.PAID_LEAVE)] };
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON({
+        ...createData(),
+        absences: [
+            new Absence('2025-11-10', ABSENCE_TYPES.PAID_LEAVE),
+            new Absence('2025-11-12', ABSENCE_TYPES.TRAINING)
+        ]
+    }));
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.absences.skipped, 1, 'Même jour, même type : doublon');
+    Assert.equal(plan.summary.absences.added, 1);
+    Assert.equal(plan.records.absences[0].date, '2025-11-12');
+});
+
+runner.test('Lance une erreur si une absence est invalide', () => {
+    const backup = JSON.parse(exporter.exportAllDataToJSON({
+        ...emptyData,
+        absences: [new Absence('2025-11-10', ABSENCE_TYPES.SICK)]
+    }));
+    backup.data.absences[0].type = 'vacances';
+
+    Assert.throws(() => importer.parseBackup(JSON.stringify(backup)));
+    Assert.equal(importer.parseBackup(exporter.exportAllDataToJSON(emptyData)).absences.length, 0,
+        'Une sauvegarde sans absences reste lisible');
+});
+
+runner.test('Mode fusion: un jour pointé sur les deux appareils est signalé sans être modifié', () => {
+    const existing = createData();
+    const other = createData();
+    other.entries[0].updateTimestamp(new Date('2025-11-13T09:05:00'));
+    other.entries.push(new TimeEntry('clock-out', new Date('2025-11-13T17:00:00')));
+    other.entries.push(new TimeEntry('clock-in', new Date('2025-11-14T08:30:00')));
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(other));
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.conflicts.length, 1);
+    Assert.equal(plan.summary.conflicts[0].date, '2025-11-13');
+    Assert.equal(plan.summary.conflicts[0].resolution, ConflictResolution.KEEP_CURRENT);
+    Assert.equal(plan.summary.conflicts[0].current.length, 1);
+    Assert.equal(plan.summary.conflicts[0].incoming.length, 2);
+    Assert.deepEqual(plan.records.timeEntries.map(entry => entry.date), ['2025-11-14'], 'Seul le jour sans conflit est importé');
+});
+
+runner.test('Mode fusion: un jour en conflit est remplacé ou complété selon la résolution', () => {
+    const existing = createData();
+    const other = createData();
+    other.entries[0].updateTimestamp(new Date('2025-11-13T09:05:00'));
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(other));
+
+    const replaced = importer.planImport(backup, existing, ImportMode.MERGE, {
+        resolutions: { '2025-11-13': ConflictResolution.USE_INCOMING }
+    });
+    Assert.equal(replaced.records.timeEntries.length, 1);
+    Assert.deepEqual(replaced.records.removedTimeEntries, [existing.entries[0].id]);
+    Assert.equal(replaced.summary.removed.timeEntries, 1);
+
+    const both = importer.planImport(backup, existing, ImportMode.MERGE, {
+        resolutions: { '2025-11-13': ConflictResolution.KEEP_BOTH }
+    });
+    Assert.equal(both.summary.timeEntries.added, 1);
+    Assert.equal(both.records.removedTimeEntries.length, 0);
+
+    Assert.throws(() => importer.planImport(backup, existing, ImportMode.MERGE, {
+        resolutions: { '2025-11-13': 'inconnue' }
+    }));
+});
+
+runner.test('Mode fusion: garder le jour existant reprend quand même les notes modifiées', () => {
+    const existing = createData();
+    const edited = TimeEntry.fromJSON({ ...existing.entries[0].toJSON(), note: 'Réunion client' });
+    const other = { ...createData(), entries: [edited, new TimeEntry('clock-out', new Date('2025-11-13T17:00:00'))] };
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(other));
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.conflicts[0].resolution, ConflictResolution.KEEP_CURRENT);
+    Assert.deepEqual(plan.records.timeEntries.map(entry => entry.note), ['Réunion client'], 'Le départ ajouté est écarté');
+    Assert.equal(plan.summary.timeEntries.updated, 1);
+});
+
+runner.test('Mode fusion: un pointage en double garde l\'existant quand la sauvegarde remplace le jour', () => {
+    const existing = createData();
+    existing.entries.push(new TimeEntry('clock-out', new Date('2025-11-13T17:00:00')));
+    const other = createData();
+    other.entries.push(new TimeEntry('clock-out', new Date('2025-11-13T18:00:00')));
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(other));
+
+    const plan = importer.planImport(backup, existing, ImportMode.MERGE, {
+        resolutions: { '2025-11-13': ConflictResolution.USE_INCOMING }
+    });
+
+    Assert.equal(plan.records.timeEntries.length, 1, 'L\'arrivée en double n\'est pas réécrite');
+    Assert.deepEqual(plan.records.removedTimeEntries, [existing.entries[1].id], 'Seul le départ de 17:00 est retiré');
+});
+
+runner.test('Ignore les sessions dont le projet est introuvable', () => {
+    const data = createData();
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON({ ...data, projects: [] }));
+
+    const plan = importer.planImport(backup, emptyData, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.projectSessions.skipped, 1);
+    Assert.equal(plan.records.projectSessions.length, 0);
+});
+
+runner.test('Mode fusion: les archives d\'une année déjà archivée sont ignorées', () => {
+    const existing = createData();
+    const saved = createData();
+    const archive = {
+        version: '1',
+        year: 2024,
+        timeEntries: [],
+        projectSessions: saved.sessions.map(session => session.toJSON()),
+        projects: saved.projects.map(project => project.toJSON())
+    };
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON({
+        ...saved,
+        archives: [archive, { ...archive, year: 2023 }]
+    }));
+
+    Assert.equal(backup.archives.length, 2);
+
+    const plan = importer.planImport(backup, { ...existing, archiveYears: [2024] }, ImportMode.MERGE);
+
+    Assert.equal(plan.summary.archives.skipped, 1);
+    Assert.equal(plan.summary.archives.added, 1);
+    Assert.equal(plan.records.archives[0].year, 2023);
+    Assert.equal(
+        plan.records.archives[0].projectSessions[0].projectId,
+        existing.projects[0].id,
+        'La session archivée devrait pointer vers le projet homonyme existant'
+    );
+});
+
+runner.test('Lance une erreur si une année archivée est en double', () => {
+    const archive = { version: '1', year: 2024, timeEntries: [], projectSessions: [], projects: [] };
+    const content = exporter.exportAllDataToJSON({ ...emptyData, archives: [archive, archive] });
+
+    Assert.throws(() => importer.parseBackup(content));
+});
+
+runner.test('Lance une erreur avec un mode inconnu', () => {
+    const backup = importer.parseBackup(exporter.exportAllDataToJSON(createData()));
+    Assert.throws(() => importer.planImport(backup, emptyData, 'inconnu'));
+});
+
+// Exécuter les tests
+runner.run();
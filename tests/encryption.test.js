@@ -0,0 +1,213 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    deriveKey,
+    validatePassphrase,
+    createEncryptionHeader,
+    unlockEncryptionHeader,
+    encryptJSON,
+    decryptJSON,
+    encryptBlob,
+    decryptBlob,
+    decryptValue,
+    isEncryptedRecord,
+    encryptRecord,
+    decryptRecord,
+    encryptAuditRecord,
+    decryptAuditRecord,
+    isEncryptedBackup,
+    encryptBackup,
+    decryptBackup
+} from '../js/encryption.js';
+import { STORES } from '../js/migrations.js';
+import { recordsEqual } from '../js/history.js';
+import { createAuditRecord } from '../js/audit-log.js';
+
+const runner = new TestRunner();
+
+// Peu d'itérations : les tests vérifient le format, pas la résistance de la dérivation
+const ITERATIONS = 1000;
+const SALT = 'AAAAAAAAAAAAAAAAAAAAAA==';
+
+/**
+ * Crée une session au format de stockage
+ * @param {Object} [overrides] - Champs à remplacer
+ * @returns {Object}
+ */
+function createStoredSession(overrides = {}) {
+    return {
+        id: 'session_1',
+        projectId: 'project_1',
+        startTime: '2025-11-13T08:00:00.000Z',
+        endTime: '2025-11-13T10:00:00.000Z',
+        duration: 7200000,
+        date: '2025-11-13',
+        note: 'Réunion client ACME',
+        ...overrides
+    };
+}
+
+// ======================
+// Tests des valeurs
+// ======================
+
+runner.test('Déchiffre une valeur chiffrée', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const payload = await encryptJSON(key, { name: 'ACME', hours: 3 });
+
+    Assert.deepEqual(await decryptJSON(key, payload), { name: 'ACME', hours: 3 });
+});
+
+runner.test('Utilise un vecteur d\'initialisation différent à chaque chiffrement', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const first = await encryptJSON(key, 'ACME');
+    const second = await encryptJSON(key, 'ACME');
+
+    Assert.notEqual(first.iv, second.iv);
+});
+
+runner.test('Refuse de déchiffrer avec une autre clé', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const otherKey = await deriveKey('autre phrase', SALT, ITERATIONS);
+    const payload = await encryptJSON(key, 'ACME');
+
+    await Assert.rejects(decryptJSON(otherKey, payload));
+});
+
+runner.test('Chiffre et déchiffre un Blob à l\'identique', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const otherKey = await deriveKey('autre phrase', SALT, ITERATIONS);
+    const encrypted = await encryptBlob(key, new Blob(['archive 2024']));
+
+    Assert.isFalse((await encrypted.text()).includes('archive 2024'));
+    Assert.equal(await (await decryptBlob(key, encrypted)).text(), 'archive 2024');
+    await Assert.rejects(decryptBlob(otherKey, encrypted));
+});
+
+runner.test('Retourne une valeur en clair telle quelle', async () => {
+    Assert.equal(await decryptValue(null, 'Modification du pointage'), 'Modification du pointage');
+});
+
+// ======================
+// Tests des enregistrements
+// ======================
+
+runner.test('Garde en clair uniquement l\'ID et les champs indexés', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const stored = await encryptRecord(key, STORES.PROJECT_SESSIONS, createStoredSession());
+
+    Assert.deepEqual(
+        Object.keys(stored).sort(),
+        ['cipher', 'date', 'id', 'projectId', 'startTime']
+    );
+    Assert.isFalse(JSON.stringify(stored).includes('ACME'), 'La note ne doit pas apparaître en clair');
+    Assert.isTrue(isEncryptedRecord(stored));
+});
+
+runner.test('Déchiffre un enregistrement à l\'identique', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const project = { id: 'project_1', name: 'ACME', color: '#2563eb', active: true };
+    const stored = await encryptRecord(key, STORES.PROJECTS, project);
+
+    Assert.isTrue(recordsEqual(await decryptRecord(key, stored), project));
+});
+
+runner.test('Les champs en clair font foi au déchiffrement', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const stored = await encryptRecord(key, STORES.PROJECT_SESSIONS, createStoredSession());
+
+    // Réattribution ou recalcul du jour effectués sans déchiffrer
+    const record = await decryptRecord(key, { ...stored, projectId: 'project_2', date: '2025-11-14' });
+
+    Assert.equal(record.projectId, 'project_2');
+    Assert.equal(record.date, '2025-11-14');
+    Assert.equal(record.note, 'Réunion client ACME');
+});
+
+runner.test('Retourne un enregistrement en clair sans clé', async () => {
+    const session = createStoredSession();
+
+    Assert.equal(await decryptRecord(null, session), session);
+    Assert.isNull(await decryptRecord(null, null));
+});
+
+runner.test('Refuse de lire un enregistrement chiffré sans clé', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const stored = await encryptRecord(key, STORES.PROJECT_SESSIONS, createStoredSession());
+
+    await Assert.rejects(decryptRecord(null, stored));
+});
+
+runner.test('Refuse de chiffrer un store sans champs déclarés', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+
+    await Assert.rejects(encryptRecord(key, STORES.SETTINGS, { key: 'encryption' }));
+});
+
+runner.test('Chiffre l\'action et les états d\'un enregistrement du journal', async () => {
+    const key = await deriveKey('phrase secrète', SALT, ITERATIONS);
+    const record = createAuditRecord({
+        store: STORES.PROJECT_SESSIONS,
+        action: 'Suppression définitive du projet "ACME"',
+        before: createStoredSession(),
+        after: null
+    });
+
+    const stored = await encryptAuditRecord(key, record);
+
+    Assert.isFalse(JSON.stringify(stored).includes('ACME'));
+    Assert.equal(stored.recordId, 'session_1');
+    Assert.isTrue(recordsEqual(await decryptAuditRecord(key, stored), record));
+});
+
+// ======================
+// Tests de la phrase secrète
+// ======================
+
+runner.test('Refuse une phrase secrète trop courte', () => {
+    Assert.throws(() => validatePassphrase('court'));
+});
+
+runner.test('Déverrouille un en-tête avec la bonne phrase secrète', async () => {
+    const { header, key } = await createEncryptionHeader('phrase secrète', { iterations: ITERATIONS });
+    const unlocked = await unlockEncryptionHeader(header, 'phrase secrète');
+    const payload = await encryptJSON(key, 'ACME');
+
+    Assert.equal(await decryptJSON(unlocked, payload), 'ACME');
+    Assert.equal(header.iterations, ITERATIONS);
+});
+
+runner.test('Refuse une phrase secrète incorrecte', async () => {
+    const { header } = await createEncryptionHeader('phrase secrète', { iterations: ITERATIONS });
+
+    await Assert.rejects(unlockEncryptionHeader(header, 'mauvaise phrase'));
+});
+
+// ======================
+// Tests des sauvegardes
+// ======================
+
+runner.test('Déchiffre une sauvegarde chiffrée', async () => {
+    const content = JSON.stringify({ version: '2.0.0', data: { projects: [{ name: 'ACME' }] } });
+    const encrypted = await encryptBackup(content, 'phrase secrète', { iterations: ITERATIONS });
+
+    Assert.isTrue(isEncryptedBackup(encrypted));
+    Assert.isFalse(encrypted.includes('ACME'));
+    Assert.equal(await decryptBackup(encrypted, 'phrase secrète'), content);
+});
+
+runner.test('Reconnaît une sauvegarde en clair', () => {
+    Assert.isFalse(isEncryptedBackup(JSON.stringify({ version: '2.0.0', data: {} })));
+    Assert.isFalse(isEncryptedBackup('pas du JSON'));
+});
+
+runner.test('Refuse une sauvegarde chiffrée sans phrase secrète ou avec une mauvaise', async () => {
+    const encrypted = await encryptBackup('{}', 'phrase secrète', { iterations: ITERATIONS });
+
+    await Assert.rejects(decryptBackup(encrypted, null));
+    await Assert.rejects(decryptBackup(encrypted, 'mauvaise phrase'));
+});
+
+// Exécuter les tests
+runner.run();
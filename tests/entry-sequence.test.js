@@ -0,0 +1,177 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    SequenceState,
+    findSequenceViolation,
+    findChangeViolation,
+    replaySequence,
+    getInitialState,
+    continuesNextDay
+} from '../js/entry-sequence.js';
+import { validateDaySequence } from '../js/logic/validation.js';
+
+const runner = new TestRunner();
+
+/**
+ * Crée un pointage au format de stockage (novembre 2025)
+ * @param {string} id - ID du pointage
+ * @param {string} type - Type de pointage
+ * @param {number} day - Jour du mois
+ * @param {number} hour - Heure
+ * @returns {Object}
+ */
+function createStoredEntry(id, type, day, hour) {
+    const timestamp = new Date(2025, 10, day, hour, 0);
+    return { id, type, timestamp: timestamp.toISOString(), date: `2025-11-${day}`, note: '' };
+}
+
+// Travail de nuit : arrivée le 12 à 22:00, pause à minuit passé, départ le 13 à 06:00
+const NIGHT_SHIFT = [
+    createStoredEntry('n1', 'clock-in', 12, 22),
+    createStoredEntry('n2', 'break-start', 13, 1),
+    createStoredEntry('n3', 'break-end', 13, 2),
+    createStoredEntry('n4', 'clock-out', 13, 6)
+];
+
+// ======================
+// Tests des règles et des suggestions
+// ======================
+
+runner.test('Suggère la fin de pause manquante entre deux débuts de pause', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 13, 8),
+        createStoredEntry('e2', 'break-start', 13, 12),
+        createStoredEntry('e3', 'break-start', 13, 13)
+    ];
+
+    const violation = findSequenceViolation(entries);
+
+    Assert.equal(violation.entry.id, 'e3');
+    Assert.isTrue(violation.message.includes('pendant une pause'));
+    Assert.equal(violation.suggestion, 'Ajouter une fin de pause entre 12:00 et 13:00 ?');
+});
+
+runner.test('Suggère une arrivée avant un départ qui précède l\'arrivée', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 13, 9),
+        createStoredEntry('e2', 'clock-out', 13, 8)
+    ];
+
+    const violation = findSequenceViolation(entries);
+
+    Assert.equal(violation.entry.id, 'e2');
+    Assert.isTrue(violation.message.includes('avant l\'arrivée'));
+    Assert.equal(violation.suggestion, 'Ajouter une arrivée avant 08:00 ?');
+    Assert.isNull(findSequenceViolation([entries[0]]), 'Une journée en cours est valide');
+});
+
+runner.test('La validation fonctionnelle applique les mêmes règles', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 13, 8),
+        createStoredEntry('e2', 'break-start', 13, 12),
+        createStoredEntry('e3', 'break-start', 13, 13)
+    ];
+
+    const result = validateDaySequence(entries);
+
+    Assert.isTrue(result.isLeft());
+    Assert.equal(
+        result.fold(error => error, () => null),
+        `${findSequenceViolation(entries).message}. Ajouter une fin de pause entre 12:00 et 13:00 ?`
+    );
+    Assert.isTrue(validateDaySequence(entries.slice(0, 2)).isRight());
+});
+
+// ======================
+// Tests du travail de nuit
+// ======================
+
+runner.test('Accepte le départ et la pause d\'une plage ouverte la veille', () => {
+    const previous = NIGHT_SHIFT.slice(0, 1);
+    const day = NIGHT_SHIFT.slice(1);
+
+    Assert.isNull(findSequenceViolation(day, previous));
+    Assert.isTrue(validateDaySequence(day, previous).isRight(), 'Validation fonctionnelle');
+    Assert.isNotNull(findSequenceViolation(day), 'Sans la veille, le départ précède l\'arrivée');
+});
+
+runner.test('Une journée qui commence par une arrivée ne reprend pas la veille', () => {
+    const previous = NIGHT_SHIFT.slice(0, 1);
+    const day = [
+        createStoredEntry('e1', 'clock-in', 13, 8),
+        createStoredEntry('e2', 'clock-out', 13, 17)
+    ];
+
+    Assert.equal(getInitialState(replaySequence(previous), day), SequenceState.OFF);
+    Assert.isNull(findSequenceViolation(day, previous));
+    Assert.isFalse(continuesNextDay(replaySequence(previous), day));
+    Assert.isTrue(continuesNextDay(replaySequence(previous), NIGHT_SHIFT.slice(1)));
+});
+
+runner.test('Une plage terminée la veille ne se poursuit pas', () => {
+    const previous = [
+        createStoredEntry('e1', 'clock-in', 12, 8),
+        createStoredEntry('e2', 'clock-out', 12, 17)
+    ];
+    const day = [createStoredEntry('e3', 'clock-out', 13, 6)];
+
+    Assert.equal(replaySequence(previous), SequenceState.DONE);
+    Assert.isNotNull(findSequenceViolation(day, previous));
+});
+
+// ======================
+// Tests des modifications a posteriori
+// ======================
+
+runner.test('Refuse la suppression de l\'arrivée d\'un travail de nuit terminé le lendemain', () => {
+    const before = NIGHT_SHIFT.slice(0, 1);
+    const next = NIGHT_SHIFT.slice(1);
+
+    const violation = findChangeViolation([], { before, next });
+
+    Assert.equal(violation.entry.id, 'n2');
+    Assert.isTrue(violation.message.endsWith('avant l\'arrivée le lendemain'));
+    Assert.isNull(findChangeViolation(before, { before, next }), 'Journée inchangée');
+});
+
+runner.test('Refuse un départ ajouté la veille d\'un départ de travail de nuit', () => {
+    const before = NIGHT_SHIFT.slice(0, 1);
+    const entries = [...before, createStoredEntry('e1', 'clock-out', 12, 23)];
+
+    const violation = findChangeViolation(entries, { before, next: NIGHT_SHIFT.slice(1) });
+
+    Assert.equal(violation.entry.id, 'n2');
+    Assert.isTrue(violation.message.endsWith('le lendemain'));
+    Assert.equal(violation.suggestion, 'Ajouter une arrivée avant 01:00 ?');
+});
+
+runner.test('Refuse la suppression d\'une arrivée suivie d\'un départ le même jour', () => {
+    const before = [
+        createStoredEntry('e1', 'clock-in', 13, 8),
+        createStoredEntry('e2', 'break-start', 13, 12),
+        createStoredEntry('e3', 'break-end', 13, 13),
+        createStoredEntry('e4', 'clock-out', 13, 17)
+    ];
+
+    const violation = findChangeViolation(before.slice(1), { before });
+
+    Assert.equal(violation.entry.id, 'e2');
+    Assert.isNull(findChangeViolation(before.slice(0, 3), { before }), 'Supprimer le départ laisse la journée ouverte');
+});
+
+runner.test('Ne reproche pas au lendemain une incohérence antérieure à la modification', () => {
+    const before = [
+        createStoredEntry('e1', 'clock-in', 12, 8),
+        createStoredEntry('e2', 'clock-out', 12, 17)
+    ];
+    const next = [createStoredEntry('e3', 'clock-out', 13, 6)];
+
+    const edited = [before[0], createStoredEntry('e2', 'clock-out', 12, 18)];
+
+    Assert.isNotNull(findSequenceViolation(next, before), 'Lendemain déjà incohérent');
+    Assert.isNull(findChangeViolation(edited, { before, next }));
+});
+
+// Exécuter les tests
+runner.run();
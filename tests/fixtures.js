@@ -0,0 +1,28 @@
+'use strict';
+
+import { TimeEntry } from '../js/time-entry.js';
+
+/**
+ * Données de test partagées entre plusieurs fichiers de tests
+ */
+
+/**
+ * Crée un pointage à une heure locale d'un jour de novembre 2025
+ * @param {string} type - Type de pointage
+ * @param {number} day - Jour du mois
+ * @param {number} hour - Heure
+ * @param {number} [minute=0] - Minutes
+ * @returns {TimeEntry}
+ */
+export function createNovemberEntry(type, day, hour, minute = 0) {
+    return new TimeEntry(type, new Date(2025, 10, day, hour, minute));
+}
+
+/**
+ * Horaire à temps partiel à partir du 1er novembre 2025 : 7h du lundi au jeudi, 4h le vendredi
+ * (minutes, indexées comme Date.getDay())
+ */
+export const PART_TIME_SCHEDULE = Object.freeze({
+    effectiveFrom: '2025-11-01',
+    targets: Object.freeze([0, 420, 420, 420, 420, 240, 0])
+});
@@ -0,0 +1,144 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    CommandHistory,
+    HistoryDirection,
+    createChange,
+    recordsEqual
+} from '../js/history.js';
+
+const runner = new TestRunner();
+
+/**
+ * Stockage clé/valeur en mémoire (même interface que localStorage)
+ * @returns {{getItem: Function, setItem: Function}}
+ */
+function createMemoryStorage() {
+    const values = new Map();
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+}
+
+/**
+ * Crée la modification d'un pointage dont l'heure passe de 09:00 à 09:30
+ * @returns {Object}
+ */
+function createEditChange() {
+    const before = { id: 'entry_1', type: 'clock-in', timestamp: '2025-11-13T08:00:00.000Z', date: '2025-11-13' };
+    const after = { ...before, timestamp: '2025-11-13T08:30:00.000Z' };
+    return createChange('timeEntries', before, after);
+}
+
+// ======================
+// Tests des modifications
+// ======================
+
+runner.test('Une modification prend l\'ID de l\'enregistrement', () => {
+    const change = createChange('timeEntries', null, { id: 'entry_1' });
+
+    Assert.equal(change.id, 'entry_1');
+    Assert.isNull(change.before, 'Une création n\'a pas d\'état avant');
+});
+
+runner.test('Refuse une modification sans état avant ni après', () => {
+    Assert.throws(() => createChange('timeEntries', null, null));
+});
+
+runner.test('Compare les enregistrements sans tenir compte de l\'ordre des clés', () => {
+    Assert.isTrue(recordsEqual({ id: 'a', color: '#fff' }, { color: '#fff', id: 'a' }));
+    Assert.isFalse(recordsEqual({ id: 'a', color: '#fff' }, { id: 'a', color: '#000' }));
+    Assert.isFalse(recordsEqual({ id: 'a' }, null));
+});
+
+// ======================
+// Tests des piles
+// ======================
+
+runner.test('Annule puis rétablit une commande', async () => {
+    const history = new CommandHistory({ persistence: null });
+    history.record('Modification du pointage', [createEditChange()]);
+
+    const applied = [];
+    const apply = async (changes, direction) => applied.push(direction);
+
+    const undone = await history.undo(apply);
+    Assert.equal(undone.label, 'Modification du pointage');
+    Assert.isFalse(history.canUndo());
+    Assert.isTrue(history.canRedo());
+
+    await history.redo(apply);
+    Assert.deepEqual(applied, [HistoryDirection.UNDO, HistoryDirection.REDO]);
+    Assert.isTrue(history.canUndo());
+});
+
+runner.test('Une nouvelle commande vide la pile de rétablissement', async () => {
+    const history = new CommandHistory({ persistence: null });
+    history.record('Première', [createEditChange()]);
+    await history.undo(async () => {});
+
+    history.record('Seconde', [createEditChange()]);
+
+    Assert.isFalse(history.canRedo());
+});
+
+runner.test('Ignore une commande sans modification effective', () => {
+    const history = new CommandHistory({ persistence: null });
+    const record = { id: 'entry_1', type: 'clock-in' };
+
+    Assert.isNull(history.record('Rien', [createChange('timeEntries', record, { ...record })]));
+    Assert.isFalse(history.canUndo());
+});
+
+runner.test('Ne déplace pas la commande si l\'écriture échoue', async () => {
+    const history = new CommandHistory({ persistence: null });
+    history.record('Modification du pointage', [createEditChange()]);
+
+    await Assert.rejects(history.undo(async () => {
+        throw new Error('Écriture impossible');
+    }));
+
+    Assert.isTrue(history.canUndo(), 'La commande devrait rester annulable');
+    Assert.isFalse(history.canRedo());
+});
+
+runner.test('Ne conserve que les dernières commandes', () => {
+    const history = new CommandHistory({ persistence: null, limit: 2 });
+    ['Une', 'Deux', 'Trois'].forEach(label => history.record(label, [createEditChange()]));
+
+    Assert.equal(history.peekUndo().label, 'Trois');
+    history.discard(HistoryDirection.UNDO);
+    history.discard(HistoryDirection.UNDO);
+    Assert.isFalse(history.canUndo(), 'La première commande devrait avoir été oubliée');
+});
+
+// ======================
+// Tests de persistance
+// ======================
+
+runner.test('Retrouve l\'historique après un rechargement', async () => {
+    const persistence = createMemoryStorage();
+    const first = new CommandHistory({ persistence });
+    first.record('Une', [createEditChange()]);
+    first.record('Deux', [createEditChange()]);
+    await first.undo(async () => {});
+
+    const reloaded = new CommandHistory({ persistence });
+
+    Assert.equal(reloaded.peekUndo().label, 'Une');
+    Assert.equal(reloaded.peekRedo().label, 'Deux');
+});
+
+runner.test('Réinitialise un historique persisté illisible', () => {
+    const persistence = createMemoryStorage();
+    persistence.setItem('commandHistory', '{pas du json');
+
+    const history = new CommandHistory({ persistence });
+
+    Assert.isFalse(history.canUndo());
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,274 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    IntegrityIssueType,
+    RECOVERED_PROJECT_NAME,
+    checkIntegrity,
+    findOrphanSessions,
+    findConcurrentRunningSessions,
+    findInvertedSessions,
+    findEntrySequenceIssues,
+    findTimeSpentMismatches
+} from '../js/integrity.js';
+import { STORES } from '../js/migrations.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Crée un projet au format de stockage
+ * @param {string} id - ID du projet
+ * @param {Object} [overrides] - Champs à remplacer
+ * @returns {Object}
+ */
+function createStoredProject(id, overrides = {}) {
+    return {
+        id,
+        name: `Projet ${id}`,
+        timeSpent: 0,
+        active: true,
+        archivedAt: null,
+        color: '#2563eb',
+        createdAt: '2025-11-01T08:00:00.000Z',
+        updatedAt: '2025-11-01T08:00:00.000Z',
+        ...overrides
+    };
+}
+
+/**
+ * Crée une session au format de stockage (heures locales du 13 novembre 2025)
+ * @param {string} id - ID de la session
+ * @param {string} projectId - ID du projet
+ * @param {number} startHour - Heure de début
+ * @param {number|null} endHour - Heure de fin (null si en cours)
+ * @returns {Object}
+ */
+function createStoredSession(id, projectId, startHour, endHour) {
+    const startTime = new Date(2025, 10, 13, startHour, 0);
+    const endTime = endHour === null ? null : new Date(2025, 10, 13, endHour, 0);
+    return {
+        id,
+        projectId,
+        startTime: startTime.toISOString(),
+        endTime: endTime ? endTime.toISOString() : null,
+        duration: endTime ? endTime - startTime : 0,
+        date: '2025-11-13',
+        note: ''
+    };
+}
+
+/**
+ * Crée un pointage au format de stockage (13 novembre 2025, heure locale)
+ * @param {string} id - ID du pointage
+ * @param {string} type - Type de pointage
+ * @param {number} hour - Heure du pointage
+ * @returns {Object}
+ */
+function createStoredEntry(id, type, hour) {
+    return {
+        id,
+        type,
+        timestamp: new Date(2025, 10, 13, hour, 0).toISOString(),
+        date: '2025-11-13',
+        note: ''
+    };
+}
+
+// ======================
+// Tests des sessions orphelines
+// ======================
+
+runner.test('Propose de recréer le projet des sessions orphelines', () => {
+    const sessions = [
+        createStoredSession('s1', 'project_lost', 9, 10),
+        createStoredSession('s2', 'project_lost', 11, 13)
+    ];
+
+    const issues = findOrphanSessions(sessions, [createStoredProject('p1')]);
+
+    Assert.equal(issues.length, 1, 'Un seul problème par projet manquant');
+    const [change] = issues[0].changes;
+    Assert.equal(change.store, STORES.PROJECTS);
+    Assert.isNull(change.before);
+    Assert.equal(change.after.id, 'project_lost');
+    Assert.equal(change.after.name, RECOVERED_PROJECT_NAME);
+    Assert.equal(change.after.timeSpent, 3 * HOUR);
+});
+
+runner.test('Donne un nom libre au projet recréé', () => {
+    const projects = [createStoredProject('p1', { name: RECOVERED_PROJECT_NAME })];
+    const issues = findOrphanSessions([createStoredSession('s1', 'project_lost', 9, 10)], projects);
+
+    Assert.equal(issues[0].changes[0].after.name, `${RECOVERED_PROJECT_NAME} 2`);
+});
+
+// ======================
+// Tests des sessions en cours
+// ======================
+
+runner.test('Termine une session en cours au démarrage de la suivante (mono-projet)', () => {
+    const sessions = [
+        createStoredSession('s1', 'p1', 9, null),
+        createStoredSession('s2', 'p2', 11, null)
+    ];
+
+    const issues = findConcurrentRunningSessions(sessions, [], { multiProjectMode: false });
+
+    Assert.equal(issues.length, 1);
+    const { before, after } = issues[0].changes[0];
+    Assert.equal(before.id, 's1');
+    Assert.equal(after.endTime, sessions[1].startTime);
+    Assert.equal(after.duration, 2 * HOUR);
+});
+
+runner.test('Accepte une session en cours par projet en mode multi-projet', () => {
+    const sessions = [
+        createStoredSession('s1', 'p1', 9, null),
+        createStoredSession('s2', 'p2', 11, null),
+        createStoredSession('s3', 'p2', 12, null)
+    ];
+
+    const issues = findConcurrentRunningSessions(sessions, [], { multiProjectMode: true });
+
+    Assert.equal(issues.length, 1);
+    Assert.equal(issues[0].changes[0].id, 's2');
+});
+
+// ======================
+// Tests des sessions inversées
+// ======================
+
+runner.test('Propose d\'inverser une session dont la fin précède le début', () => {
+    const session = createStoredSession('s1', 'p1', 12, 10);
+
+    const issues = findInvertedSessions([session, createStoredSession('s2', 'p1', 13, 14)], []);
+
+    Assert.equal(issues.length, 1);
+    const { after } = issues[0].changes[0];
+    Assert.equal(after.startTime, session.endTime);
+    Assert.equal(after.endTime, session.startTime);
+    Assert.equal(after.duration, 2 * HOUR);
+});
+
+// ======================
+// Tests de la séquence des pointages
+// ======================
+
+runner.test('Accepte une journée complète avec plusieurs pauses', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 8),
+        createStoredEntry('e2', 'break-start', 10),
+        createStoredEntry('e3', 'break-end', 11),
+        createStoredEntry('e4', 'lunch-start', 12),
+        createStoredEntry('e5', 'lunch-end', 13),
+        createStoredEntry('e6', 'clock-out', 17)
+    ];
+    Assert.equal(findEntrySequenceIssues(entries).length, 0);
+});
+
+runner.test('Signale une fin de pause sans début et une deuxième arrivée', () => {
+    const entries = [
+        createStoredEntry('e3', 'clock-in', 10),
+        createStoredEntry('e1', 'clock-in', 8),
+        createStoredEntry('e2', 'break-end', 9)
+    ];
+
+    const issues = findEntrySequenceIssues(entries);
+
+    Assert.deepEqual(issues.map(issue => issue.changes[0].id), ['e2', 'e3']);
+    Assert.isNull(issues[0].changes[0].after, 'La correction supprime le pointage');
+});
+
+runner.test('Signale un pointage après le départ', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 8),
+        createStoredEntry('e2', 'clock-out', 17),
+        createStoredEntry('e3', 'break-start', 18)
+    ];
+
+    const issues = findEntrySequenceIssues(entries);
+
+    Assert.equal(issues.length, 1);
+    Assert.equal(issues[0].type, IntegrityIssueType.ENTRY_SEQUENCE);
+    Assert.isTrue(issues[0].message.includes('après le départ'));
+});
+
+runner.test('Accepte une nouvelle arrivée après le départ (journée en plusieurs fois)', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 8),
+        createStoredEntry('e2', 'clock-out', 12),
+        createStoredEntry('e3', 'clock-in', 17),
+        createStoredEntry('e4', 'clock-out', 19)
+    ];
+    Assert.equal(findEntrySequenceIssues(entries).length, 0);
+});
+
+runner.test('Accepte le départ d\'un travail de nuit pointé le lendemain', () => {
+    const entries = [
+        createStoredEntry('e1', 'clock-in', 22),
+        { id: 'e2', type: 'clock-out', timestamp: new Date(2025, 10, 14, 6, 0).toISOString(), date: '2025-11-14', note: '' },
+        { id: 'e3', type: 'clock-out', timestamp: new Date(2025, 10, 15, 7, 0).toISOString(), date: '2025-11-15', note: '' }
+    ];
+
+    const issues = findEntrySequenceIssues(entries);
+
+    Assert.deepEqual(issues.map(issue => issue.changes[0].id), ['e3'], 'Seul le départ sans plage ouverte est signalé');
+});
+
+// ======================
+// Tests du temps passé
+// ======================
+
+runner.test('Recalcule le temps passé à partir des sessions terminées', () => {
+    const projects = [createStoredProject('p1', { timeSpent: HOUR })];
+    const sessions = [
+        createStoredSession('s1', 'p1', 9, 11),
+        createStoredSession('s2', 'p1', 14, null)
+    ];
+    const now = new Date('2025-11-14T08:00:00.000Z');
+
+    const issues = findTimeSpentMismatches(projects, sessions, { now });
+
+    Assert.equal(issues.length, 1);
+    Assert.equal(issues[0].changes[0].after.timeSpent, 2 * HOUR);
+    Assert.equal(issues[0].changes[0].after.updatedAt, now.toISOString());
+});
+
+runner.test('Compte le temps des sessions archivées dans le temps passé', () => {
+    const projects = [createStoredProject('p1', { timeSpent: 5 * HOUR })];
+    const sessions = [createStoredSession('s1', 'p1', 9, 11)];
+
+    Assert.equal(findTimeSpentMismatches(projects, sessions).length, 1);
+    Assert.equal(findTimeSpentMismatches(projects, sessions, { archivedTime: { p1: 3 * HOUR } }).length, 0);
+});
+
+runner.test('Ne signale rien sur des données cohérentes', () => {
+    const data = {
+        entries: [createStoredEntry('e1', 'clock-in', 8), createStoredEntry('e2', 'clock-out', 17)],
+        projects: [createStoredProject('p1', { timeSpent: 2 * HOUR })],
+        sessions: [createStoredSession('s1', 'p1', 9, 11), createStoredSession('s2', 'p1', 14, null)]
+    };
+    Assert.equal(checkIntegrity(data).length, 0);
+});
+
+runner.test('Chaque correction touche des enregistrements distincts', () => {
+    const data = {
+        entries: [createStoredEntry('e1', 'break-end', 8)],
+        projects: [createStoredProject('p1', { timeSpent: HOUR })],
+        sessions: [
+            createStoredSession('s1', 'p1', 12, 10),
+            createStoredSession('s2', 'lost', 9, null),
+            createStoredSession('s3', 'p1', 13, null)
+        ]
+    };
+
+    const changes = checkIntegrity(data).flatMap(issue => issue.changes);
+    const keys = changes.map(change => `${change.store}:${change.id}`);
+
+    Assert.equal(new Set(keys).size, keys.length);
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,187 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    MIGRATIONS,
+    DB_VERSION,
+    STORES,
+    validateMigrations,
+    getPendingMigrations,
+    runMigrations,
+    openDatabase,
+    backfillProjectColor,
+    backfillSessionNote,
+    rekeyEntryDate,
+    rekeySessionDate
+} from '../js/migrations.js';
+import { PROJECT_COLORS, setTimeZone } from '../js/utils.js';
+
+const runner = new TestRunner();
+
+// Base dédiée aux tests d'ouverture (supprimée à la fin)
+const TEST_DB_NAME = 'TimeTrackerDB_migrations_test';
+
+/**
+ * Supprime la base de test
+ * @returns {Promise<void>}
+ */
+function deleteTestDatabase() {
+    return new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(TEST_DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+    });
+}
+
+/**
+ * Crée un registre de migrations factice qui trace les étapes exécutées
+ * @param {number} count - Nombre de migrations
+ * @param {number[]} calls - Tableau recevant les versions exécutées
+ * @returns {Object[]}
+ */
+function createFakeMigrations(count, calls) {
+    return Array.from({ length: count }, (_, i) => ({
+        version: i + 1,
+        description: `Étape ${i + 1}`,
+        upgrade: () => calls.push(i + 1)
+    }));
+}
+
+// ======================
+// Tests du registre
+// ======================
+
+runner.test('Le registre de l\'application est valide', () => {
+    validateMigrations(MIGRATIONS);
+    Assert.equal(DB_VERSION, MIGRATIONS[MIGRATIONS.length - 1].version);
+});
+
+runner.test('Refuse des versions non consécutives', () => {
+    const migrations = [
+        { version: 1, upgrade: () => {} },
+        { version: 3, upgrade: () => {} }
+    ];
+    Assert.throws(() => validateMigrations(migrations));
+});
+
+runner.test('Refuse une migration sans fonction upgrade', () => {
+    Assert.throws(() => validateMigrations([{ version: 1 }]));
+});
+
+runner.test('Sélectionne uniquement les migrations en attente', () => {
+    const pending = getPendingMigrations(1, 3, createFakeMigrations(4, []));
+    Assert.deepEqual(pending.map(m => m.version), [2, 3]);
+});
+
+runner.test('Détecte un retour à une version antérieure', () => {
+    Assert.throws(() => getPendingMigrations(3, 2, createFakeMigrations(3, [])));
+});
+
+runner.test('Exécute les migrations dans l\'ordre à partir d\'une base vide', () => {
+    const calls = [];
+    const applied = runMigrations(null, null, 0, 3, createFakeMigrations(3, calls));
+
+    Assert.deepEqual(calls, [1, 2, 3]);
+    Assert.deepEqual(applied, [1, 2, 3]);
+});
+
+// ======================
+// Tests des transformations
+// ======================
+
+runner.test('Ajoute une couleur de la palette à un projet sans couleur', () => {
+    const record = backfillProjectColor({ id: 'project_1', name: 'Projet' });
+    Assert.contains(PROJECT_COLORS, record.color);
+});
+
+runner.test('Conserve la couleur existante d\'un projet', () => {
+    const original = { id: 'project_1', color: '#000000' };
+    Assert.equal(backfillProjectColor(original), original, 'Le même objet devrait être retourné');
+});
+
+runner.test('Ajoute une note vide à une session sans note', () => {
+    Assert.equal(backfillSessionNote({ id: 'session_1' }).note, '');
+});
+
+runner.test('Recalcule le jour UTC d\'un pointage en jour local', () => {
+    setTimeZone('Europe/Paris');
+    try {
+        // Pointage à 00:30 heure de Paris, enregistré avec la date UTC de la veille
+        const record = rekeyEntryDate({
+            id: 'entry_1',
+            timestamp: '2025-11-12T23:30:00.000Z',
+            date: '2025-11-12'
+        });
+        Assert.equal(record.date, '2025-11-13');
+    } finally {
+        setTimeZone(null);
+    }
+});
+
+runner.test('Conserve une session déjà rattachée au bon jour', () => {
+    const original = {
+        id: 'session_1',
+        startTime: new Date(2025, 10, 13, 9, 0).toISOString(),
+        date: '2025-11-13'
+    };
+    Assert.equal(rekeySessionDate(original), original, 'Le même objet devrait être retourné');
+});
+
+runner.test('Transmet le rapport de migration aux étapes', () => {
+    const migrations = [{ version: 1, upgrade: (db, transaction, report) => report.changedDays.add('2025-11-13') }];
+    const report = { applied: [], changedDays: new Set() };
+
+    runMigrations(null, null, 0, 1, migrations, report);
+
+    Assert.deepEqual(report.applied, [1]);
+    Assert.isTrue(report.changedDays.has('2025-11-13'));
+});
+
+// ======================
+// Tests d'ouverture (IndexedDB)
+// ======================
+
+runner.test('Crée tous les stores sur une base neuve', async () => {
+    await deleteTestDatabase();
+    const db = await openDatabase({ name: TEST_DB_NAME, migrations: MIGRATIONS });
+
+    Object.values(STORES).forEach(storeName => {
+        Assert.isTrue(db.objectStoreNames.contains(storeName), `Store ${storeName} manquant`);
+    });
+    db.close();
+
+    // Repartir d'une base vide pour les tests de migration suivants
+    await deleteTestDatabase();
+});
+
+runner.test('Complète les projets existants lors de la migration v2', async () => {
+    const v1 = await openDatabase({ name: TEST_DB_NAME, migrations: MIGRATIONS.slice(0, 1) });
+    await new Promise((resolve) => {
+        const transaction = v1.transaction([STORES.PROJECTS], 'readwrite');
+        transaction.objectStore(STORES.PROJECTS).put({ id: 'project_old', name: 'Ancien', active: true });
+        transaction.oncomplete = resolve;
+    });
+    v1.close();
+
+    const v2 = await openDatabase({ name: TEST_DB_NAME, migrations: MIGRATIONS.slice(0, 2) });
+    const project = await new Promise((resolve) => {
+        const request = v2.transaction([STORES.PROJECTS]).objectStore(STORES.PROJECTS).get('project_old');
+        request.onsuccess = () => resolve(request.result);
+    });
+    v2.close();
+
+    Assert.contains(PROJECT_COLORS, project.color);
+});
+
+runner.test('Refuse d\'ouvrir une base créée par une version plus récente', async () => {
+    const newer = [...MIGRATIONS, { version: MIGRATIONS.length + 1, description: 'Future', upgrade: () => {} }];
+    const db = await openDatabase({ name: TEST_DB_NAME, migrations: newer });
+    db.close();
+
+    await Assert.rejects(openDatabase({ name: TEST_DB_NAME, migrations: MIGRATIONS }));
+
+    await deleteTestDatabase();
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,60 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { MAX_NOTE_LENGTH, normalizeNote, matchesNoteQuery, searchNotes } from '../js/notes.js';
+import { TimeEntry } from '../js/time-entry.js';
+import { Project } from '../js/project.js';
+import { ProjectSession } from '../js/project-session.js';
+
+const runner = new TestRunner();
+
+// ======================
+// Tests de saisie
+// ======================
+
+runner.test('Nettoie la note et refuse une note trop longue', () => {
+    Assert.equal(normalizeNote('  Rendez-vous médecin  '), 'Rendez-vous médecin');
+    Assert.equal(normalizeNote(null), '');
+    Assert.throws(() => normalizeNote('x'.repeat(MAX_NOTE_LENGTH + 1)), Error);
+});
+
+// ======================
+// Tests de recherche
+// ======================
+
+runner.test('Ignore la casse et les accents, exige tous les mots', () => {
+    const note = 'Réunion client : revue du ticket 42';
+
+    Assert.isTrue(matchesNoteQuery(note, 'reunion'));
+    Assert.isTrue(matchesNoteQuery(note, 'TICKET réunion'));
+    Assert.isFalse(matchesNoteQuery(note, 'réunion interne'));
+    Assert.isFalse(matchesNoteQuery(note, '   '));
+    Assert.isFalse(matchesNoteQuery('', 'réunion'));
+});
+
+runner.test('Trouve les pointages et les sessions, plus récents en premier', () => {
+    const project = new Project('Client A');
+    const entry = new TimeEntry('clock-in', new Date(2025, 10, 12, 9), 'Arrivée tardive, train en retard');
+    const session = new ProjectSession(project.id, new Date(2025, 10, 13, 10), new Date(2025, 10, 13, 11));
+    session.note = 'Appel avec le client, retard de livraison';
+    const other = new TimeEntry('clock-out', new Date(2025, 10, 13, 18), 'Départ normal');
+
+    const results = searchNotes({ entries: [entry, other], sessions: [session], projects: [project] }, 'retard');
+
+    Assert.equal(results.length, 2);
+    Assert.equal(results[0].kind, 'session');
+    Assert.equal(results[0].label, 'Client A');
+    Assert.equal(results[1].kind, 'entry');
+    Assert.equal(results[1].label, 'Arrivée');
+    Assert.equal(results[1].date, '2025-11-12');
+});
+
+runner.test('La note d\'une session est conservée par toJSON et fromJSON', () => {
+    const session = new ProjectSession('project_1', new Date(2025, 10, 13, 10), new Date(2025, 10, 13, 11));
+    session.note = 'Revue du ticket 42';
+
+    Assert.equal(ProjectSession.fromJSON(session.toJSON()).note, 'Revue du ticket 42');
+});
+
+// Exécuter les tests
+runner.run();
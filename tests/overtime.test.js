@@ -0,0 +1,150 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    OvertimeAdjustmentType,
+    DAY_MOVEMENT,
+    formatSignedDuration,
+    normalizeOvertimeLedger,
+    addOvertimeAdjustment,
+    removeOvertimeAdjustment,
+    getDayBalance,
+    buildOvertimeHistory,
+    summarizeOvertimePeriod,
+    groupOvertimeByWeek
+} from '../js/overtime.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Crée les statistiques d'un jour (voir WeeklyReportCalculator.calculatePeriodStats)
+ */
+function day(date, presenceTime, targetTime = 8 * HOUR, creditedTime = 0) {
+    return { date, presenceTime, targetTime, creditedTime };
+}
+
+// Semaine du lundi 10 novembre 2025 (le 11 est férié et crédité), puis le lundi suivant
+const DAILY_STATS = [
+    day('2025-11-10', 9 * HOUR),
+    day('2025-11-11', 0, 8 * HOUR, 8 * HOUR),
+    day('2025-11-12', 7 * HOUR),
+    day('2025-11-13', 8.5 * HOUR),
+    day('2025-11-14', 8 * HOUR),
+    day('2025-11-15', 0, 0),
+    day('2025-11-16', 0, 0),
+    day('2025-11-17', 10 * HOUR)
+];
+
+// ======================
+// Tests de validation
+// ======================
+
+runner.test('Valide le compteur et trie les ajustements', () => {
+    const ledger = normalizeOvertimeLedger({
+        startDate: '2025-11-10',
+        openingBalance: 2 * HOUR,
+        adjustments: [
+            { id: 'b', date: '2025-11-14', type: OvertimeAdjustmentType.PAID, amount: HOUR },
+            { id: 'a', date: '2025-11-12', type: OvertimeAdjustmentType.CORRECTION, amount: -HOUR }
+        ]
+    });
+
+    Assert.deepEqual(ledger.adjustments.map(a => a.id), ['a', 'b']);
+    Assert.deepEqual(normalizeOvertimeLedger(null), { startDate: null, openingBalance: 0, adjustments: [] });
+});
+
+runner.test('Refuse des paramètres ou un ajustement invalides', () => {
+    Assert.throws(() => normalizeOvertimeLedger({ startDate: '10/11/2025' }), Error);
+    Assert.throws(() => normalizeOvertimeLedger({ openingBalance: 1.5 }), Error);
+
+    const ledger = normalizeOvertimeLedger(null);
+    Assert.throws(() => addOvertimeAdjustment(ledger, { date: '2025-11-12', type: 'bonus', amount: HOUR }), Error);
+    Assert.throws(() => addOvertimeAdjustment(ledger, { date: '2025-11-12', type: OvertimeAdjustmentType.RECOVERED, amount: 0 }), Error);
+    Assert.throws(() => addOvertimeAdjustment(ledger, { date: '2025-11-12', type: OvertimeAdjustmentType.RECOVERED, amount: -HOUR }), Error,
+        'Seule une correction peut être négative');
+});
+
+runner.test('Ajoute puis retire un ajustement', () => {
+    const ledger = addOvertimeAdjustment(normalizeOvertimeLedger(null), {
+        date: '2025-11-12',
+        type: OvertimeAdjustmentType.RECOVERED,
+        amount: 2 * HOUR,
+        note: 'Après-midi'
+    });
+
+    Assert.equal(ledger.adjustments.length, 1);
+    Assert.isTrue(ledger.adjustments[0].id.length > 0, 'Un identifiant est attribué');
+    Assert.equal(removeOvertimeAdjustment(ledger, ledger.adjustments[0].id).adjustments.length, 0);
+});
+
+// ======================
+// Tests du solde
+// ======================
+
+runner.test('L\'écart d\'un jour compte la présence et le temps crédité', () => {
+    Assert.equal(getDayBalance(day('2025-11-10', 9 * HOUR)), HOUR);
+    Assert.equal(getDayBalance(day('2025-11-11', 0, 8 * HOUR, 8 * HOUR)), 0, 'Jour férié neutre');
+    Assert.equal(getDayBalance(day('2025-11-15', 2 * HOUR, 0)), 2 * HOUR, 'Samedi travaillé');
+    Assert.equal(formatSignedDuration(-1.5 * HOUR), '-1h 30m');
+    Assert.equal(formatSignedDuration(0), '0h 00m');
+});
+
+runner.test('Cumule le solde depuis la date de début, sans le jour en cours', () => {
+    const ledger = normalizeOvertimeLedger({ startDate: '2025-11-10', openingBalance: HOUR });
+    const history = buildOvertimeHistory(DAILY_STATS, ledger, '2025-11-17');
+
+    // +1h, 0, -1h, +0h30, 0, 0, 0 ; le 17 (aujourd'hui) n'est pas compté
+    Assert.equal(history.movements.length, 7);
+    Assert.equal(history.balance, 1.5 * HOUR);
+    Assert.equal(history.movements[2].balance, HOUR, 'Solde au soir du mercredi');
+});
+
+runner.test('Applique les ajustements après les jours de même date', () => {
+    const ledger = normalizeOvertimeLedger({
+        startDate: '2025-11-10',
+        openingBalance: 0,
+        adjustments: [
+            { date: '2025-11-13', type: OvertimeAdjustmentType.RECOVERED, amount: 30 * 60 * 1000 },
+            { date: '2025-11-09', type: OvertimeAdjustmentType.CORRECTION, amount: 5 * HOUR }
+        ]
+    });
+    const history = buildOvertimeHistory(DAILY_STATS, ledger, '2025-11-18');
+
+    const recovered = history.movements.findIndex(m => m.type === OvertimeAdjustmentType.RECOVERED);
+    Assert.equal(history.movements[recovered - 1].date, '2025-11-13');
+    Assert.equal(history.movements[recovered - 1].type, DAY_MOVEMENT);
+    Assert.equal(history.balance, 2 * HOUR, 'L\'ajustement antérieur au début est ignoré');
+});
+
+runner.test('Reporte le solde des périodes précédentes', () => {
+    const ledger = normalizeOvertimeLedger({ startDate: '2025-11-10', openingBalance: HOUR });
+    const history = buildOvertimeHistory(DAILY_STATS, ledger, '2025-11-18');
+
+    const week = summarizeOvertimePeriod(history, ledger.openingBalance, '2025-11-17', '2025-11-23');
+    Assert.equal(week.carriedOver, 1.5 * HOUR);
+    Assert.equal(week.periodDelta, 2 * HOUR);
+    Assert.equal(week.balance, 3.5 * HOUR);
+
+    const before = summarizeOvertimePeriod(history, ledger.openingBalance, '2025-11-03', '2025-11-09');
+    Assert.deepEqual(before, { carriedOver: HOUR, periodDelta: 0, balance: HOUR }, 'Avant le début : solde d\'ouverture');
+});
+
+runner.test('Regroupe l\'historique par semaine, la plus récente en premier', () => {
+    const ledger = normalizeOvertimeLedger({
+        startDate: '2025-11-10',
+        openingBalance: 0,
+        adjustments: [{ date: '2025-11-16', type: OvertimeAdjustmentType.PAID, amount: HOUR }]
+    });
+    const weeks = groupOvertimeByWeek(buildOvertimeHistory(DAILY_STATS, ledger, '2025-11-18').movements);
+
+    Assert.deepEqual(weeks.map(w => w.weekStart), ['2025-11-17', '2025-11-10']);
+    Assert.equal(weeks[1].workedDelta, 0.5 * HOUR);
+    Assert.equal(weeks[1].adjustments.length, 1, 'Le dimanche appartient à la semaine du lundi précédent');
+    Assert.equal(weeks[1].balance, -0.5 * HOUR);
+    Assert.equal(weeks[0].balance, 1.5 * HOUR);
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,138 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { createNovemberEntry } from './fixtures.js';
+import {
+    RecoveryStrategy,
+    DEFAULT_RECOVERY_SETTINGS,
+    FALLBACK_LEAVE_TIME,
+    normalizeRecoverySettings,
+    findUnfinishedDays,
+    getUsualLeaveTime,
+    getClosingTime,
+    closeUnfinishedDay
+} from '../js/recovery.js';
+import { ProjectSession } from '../js/project-session.js';
+
+const runner = new TestRunner();
+
+// Jeudi 13 novembre, 09:00
+const NOW = new Date(2025, 10, 13, 9, 0);
+
+// ======================
+// Tests de validation
+// ======================
+
+runner.test('Garde l\'heure de départ habituelle saisie, sans fermeture automatique par défaut', () => {
+    Assert.deepEqual(normalizeRecoverySettings(null), { ...DEFAULT_RECOVERY_SETTINGS });
+    Assert.equal(normalizeRecoverySettings({ usualLeaveTime: '17:30' }).usualLeaveTime, '17:30');
+});
+
+runner.test('Refuse une fermeture inconnue, une heure invalide ou un délai de moins d\'une heure', () => {
+    Assert.throws(() => normalizeRecoverySettings({ autoClose: RecoveryStrategy.CUSTOM }), Error);
+    Assert.throws(() => normalizeRecoverySettings({ usualLeaveTime: '25:00' }), Error);
+    Assert.throws(() => normalizeRecoverySettings({ staleAfter: 30 }), Error);
+});
+
+// ======================
+// Tests de détection
+// ======================
+
+runner.test('Détecte la veille sans départ et ignore les journées terminées', () => {
+    const entries = [
+        createNovemberEntry('clock-in', 11, 8),
+        createNovemberEntry('clock-out', 11, 17),
+        createNovemberEntry('clock-in', 12, 8),
+        createNovemberEntry('break-start', 12, 12)
+    ];
+
+    const days = findUnfinishedDays(entries, [], { now: NOW });
+
+    Assert.equal(days.length, 1);
+    Assert.equal(days[0].date, '2025-11-12');
+    Assert.isTrue(days[0].open);
+    Assert.equal(days[0].lastActivity.getHours(), 12);
+});
+
+runner.test('Détecte un chronomètre qui tourne depuis un jour terminé', () => {
+    const entries = [createNovemberEntry('clock-in', 12, 8), createNovemberEntry('clock-out', 12, 17)];
+    const session = new ProjectSession('project_1', new Date(2025, 10, 12, 16));
+
+    const days = findUnfinishedDays(entries, [session], { now: NOW });
+
+    Assert.equal(days.length, 1);
+    Assert.isFalse(days[0].open, 'Le départ est pointé');
+    Assert.equal(days[0].runningSessions[0].id, session.id);
+    Assert.equal(days[0].lastActivity.getHours(), 17);
+});
+
+runner.test('Ne signale pas une journée de nuit encore récente', () => {
+    const entries = [createNovemberEntry('clock-in', 12, 22)];
+    const night = new Date(2025, 10, 13, 2, 0);
+
+    Assert.equal(findUnfinishedDays(entries, [], { now: night }).length, 0);
+    Assert.equal(findUnfinishedDays(entries, [], { now: NOW }).length, 0, '11h sans activité sur 12h');
+    Assert.equal(findUnfinishedDays(entries, [], { now: NOW, staleAfter: 10 * 60 }).length, 1);
+});
+
+runner.test('Ne signale pas un travail de nuit terminé le lendemain', () => {
+    const entries = [createNovemberEntry('clock-in', 11, 22), createNovemberEntry('clock-out', 12, 6)];
+
+    Assert.equal(findUnfinishedDays(entries, [], { now: NOW }).length, 0);
+    Assert.equal(findUnfinishedDays(entries.slice(0, 1), [], { now: NOW }).length, 1, 'Sans le départ du lendemain');
+});
+
+runner.test('Signale le lendemain d\'un travail de nuit resté ouvert', () => {
+    const entries = [createNovemberEntry('clock-in', 11, 22), createNovemberEntry('break-start', 12, 1)];
+
+    const days = findUnfinishedDays(entries, [], { now: NOW });
+
+    Assert.deepEqual(days.map(day => day.date), ['2025-11-12']);
+    Assert.equal(days[0].lastActivity.getHours(), 1);
+});
+
+// ======================
+// Tests de fermeture
+// ======================
+
+runner.test('L\'heure habituelle est la médiane des derniers départs', () => {
+    const entries = [
+        createNovemberEntry('clock-out', 10, 12),
+        createNovemberEntry('clock-out', 10, 17, 30),
+        createNovemberEntry('clock-out', 11, 18),
+        createNovemberEntry('clock-out', 12, 17, 45)
+    ];
+
+    Assert.equal(getUsualLeaveTime(entries), '17:45');
+    Assert.equal(getUsualLeaveTime([]), FALLBACK_LEAVE_TIME);
+});
+
+runner.test('Calcule l\'heure de fermeture sans précéder la dernière activité', () => {
+    const [day] = findUnfinishedDays([createNovemberEntry('clock-in', 12, 8), createNovemberEntry('break-end', 12, 18, 30)], [], { now: NOW });
+    const [late] = findUnfinishedDays([createNovemberEntry('clock-in', 12, 8)], [], { now: NOW });
+
+    Assert.equal(getClosingTime(day, RecoveryStrategy.LAST_ACTIVITY).getTime(), day.lastActivity.getTime() + 1000);
+    Assert.equal(getClosingTime(day, RecoveryStrategy.USUAL_LEAVE, { usualLeaveTime: '18:00' }).getTime(),
+        day.lastActivity.getTime() + 1000, 'Reportée après la fin de pause de 18:30');
+    Assert.equal(getClosingTime(late, RecoveryStrategy.USUAL_LEAVE, { usualLeaveTime: '17:15' }).getHours(), 17);
+    Assert.equal(getClosingTime(late, RecoveryStrategy.CUSTOM, { customTime: '16:00' }).getHours(), 16);
+    Assert.throws(() => getClosingTime(day, RecoveryStrategy.CUSTOM, { customTime: '17:00' }), Error);
+    Assert.throws(() => getClosingTime(day, RecoveryStrategy.CUSTOM, { customTime: '' }), Error);
+});
+
+runner.test('Ajoute le départ et arrête les sessions juste avant', () => {
+    const session = new ProjectSession('project_1', new Date(2025, 10, 12, 9));
+    const [day] = findUnfinishedDays([createNovemberEntry('clock-in', 12, 8)], [session], { now: NOW });
+    const closingTime = new Date(2025, 10, 12, 17);
+
+    const { entry: clockOut, sessions } = closeUnfinishedDay(day, closingTime);
+
+    Assert.equal(clockOut.type, 'clock-out');
+    Assert.equal(clockOut.date, '2025-11-12');
+    Assert.equal(sessions.length, 1);
+    Assert.isFalse(session.isRunning());
+    Assert.equal(session.endTime.getTime(), closingTime.getTime() - 1000);
+});
+
+// Exécuter les tests
+runner.run();
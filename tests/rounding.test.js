@@ -0,0 +1,146 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    RoundingMode,
+    RoundingScope,
+    DEFAULT_ROUNDING_SETTINGS,
+    normalizeRoundingSettings,
+    roundDuration,
+    roundDurations,
+    roundSessionDurations
+} from '../js/rounding.js';
+import { WeeklyReportCalculator } from '../js/weekly-report.js';
+import { DataExporter } from '../js/data-export.js';
+import { TimeEntry } from '../js/time-entry.js';
+import { Project } from '../js/project.js';
+import { ProjectSession } from '../js/project-session.js';
+
+const runner = new TestRunner();
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Crée une session terminée d'un jour de novembre 2025
+ */
+function session(projectId, day, hour, minute, durationMinutes) {
+    const start = new Date(2025, 10, day, hour, minute);
+    return new ProjectSession(projectId, start, new Date(start.getTime() + durationMinutes * MINUTE));
+}
+
+// ======================
+// Tests de validation
+// ======================
+
+runner.test('Arrondit les projets au quart d\'heure si seul le sens est choisi', () => {
+    const settings = normalizeRoundingSettings({ projects: { mode: RoundingMode.UP } });
+
+    Assert.deepEqual(settings.presence, { ...DEFAULT_ROUNDING_SETTINGS.presence });
+    Assert.equal(settings.projects.mode, RoundingMode.UP);
+    Assert.equal(settings.projects.increment, 15);
+});
+
+runner.test('Refuse un pas, un sens ou une portée d\'arrondi inconnus', () => {
+    Assert.throws(() => normalizeRoundingSettings({ presence: { increment: 7 } }), Error);
+    Assert.throws(() => normalizeRoundingSettings({ projects: { mode: 'ceil' } }), Error);
+    Assert.throws(() => normalizeRoundingSettings({ projects: { scope: 'week' } }), Error);
+});
+
+// ======================
+// Tests d'arrondi
+// ======================
+
+runner.test('Arrondit au plus proche, au-dessus et au-dessous', () => {
+    const duration = 52 * MINUTE;
+
+    Assert.equal(roundDuration(duration, { mode: RoundingMode.NEAREST, increment: 15 }), 45 * MINUTE);
+    Assert.equal(roundDuration(duration, { mode: RoundingMode.UP, increment: 15 }), 60 * MINUTE);
+    Assert.equal(roundDuration(duration, { mode: RoundingMode.DOWN, increment: 30 }), 30 * MINUTE);
+    Assert.equal(roundDuration(duration, { mode: RoundingMode.UP, increment: 6 }), 54 * MINUTE);
+    Assert.equal(roundDuration(duration, { mode: RoundingMode.NONE, increment: 15 }), duration);
+});
+
+runner.test('Par jour, arrondit le total du groupe sans durée négative', () => {
+    const policy = { mode: RoundingMode.DOWN, increment: 30, scope: RoundingScope.DAY };
+    const durations = [20 * MINUTE, 25 * MINUTE, 5 * MINUTE, 10 * MINUTE];
+    const groups = ['2025-11-13', '2025-11-13', '2025-11-13', '2025-11-14'];
+
+    const rounded = roundDurations(durations, policy, groups);
+
+    Assert.equal(rounded[0] + rounded[1] + rounded[2], 30 * MINUTE, 'Total de 50 min ramené à 30 min');
+    Assert.deepEqual(rounded.slice(0, 3), [20 * MINUTE, 10 * MINUTE, 0]);
+    Assert.equal(rounded[3], 0, 'Autre jour arrondi séparément');
+});
+
+runner.test('Par session, arrondit chaque session ; par jour, chaque projet du jour', () => {
+    const sessions = [
+        session('project_1', 13, 9, 0, 10),
+        session('project_1', 13, 10, 0, 10),
+        session('project_2', 13, 11, 0, 10)
+    ];
+    const up = { mode: RoundingMode.UP, increment: 15 };
+
+    Assert.deepEqual(roundSessionDurations(sessions, { ...up, scope: RoundingScope.SESSION }),
+        [15 * MINUTE, 15 * MINUTE, 15 * MINUTE]);
+    Assert.deepEqual(roundSessionDurations(sessions, { ...up, scope: RoundingScope.DAY }),
+        [10 * MINUTE, 20 * MINUTE, 15 * MINUTE]);
+});
+
+// ======================
+// Tests du rapport et des exports
+// ======================
+
+runner.test('Le rapport donne les durées arrondies sans modifier les durées brutes', () => {
+    const project = new Project('Client');
+    const sessions = [session(project.id, 13, 9, 0, 52), session(project.id, 13, 10, 0, 7)];
+    const entries = [
+        new TimeEntry('clock-in', new Date(2025, 10, 13, 8, 58)),
+        new TimeEntry('clock-out', new Date(2025, 10, 13, 16, 4))
+    ];
+
+    const report = new WeeklyReportCalculator().calculatePeriodStats({
+        startDate: new Date(2025, 10, 13),
+        endDate: new Date(2025, 10, 13),
+        entries,
+        sessions,
+        projects: [project],
+        rounding: {
+            presence: { mode: RoundingMode.NEAREST, increment: 15, scope: RoundingScope.DAY },
+            projects: { mode: RoundingMode.UP, increment: 15, scope: RoundingScope.SESSION }
+        }
+    });
+
+    Assert.equal(report.time.totalPresence, (7 * 60 + 6) * MINUTE);
+    Assert.equal(report.time.totalPresenceRounded, 7 * 60 * MINUTE);
+    Assert.equal(report.time.totalProject, 59 * MINUTE);
+    Assert.equal(report.time.totalProjectRounded, 75 * MINUTE);
+    Assert.equal(report.projectStats[0].roundedDuration, 75 * MINUTE);
+    Assert.equal(sessions[0].getDuration(), 52 * MINUTE, 'Session enregistrée inchangée');
+});
+
+runner.test('Sans arrondi actif, le rapport et les exports restent inchangés', () => {
+    const project = new Project('Client');
+    const sessions = [session(project.id, 13, 9, 0, 52)];
+    const exporter = new DataExporter();
+
+    const report = new WeeklyReportCalculator().calculatePeriodStats({
+        startDate: new Date(2025, 10, 13),
+        endDate: new Date(2025, 10, 13),
+        entries: [],
+        sessions,
+        projects: [project],
+        rounding: DEFAULT_ROUNDING_SETTINGS
+    });
+
+    Assert.isNull(report.rounding);
+    Assert.equal(report.time.totalProjectRounded, report.time.totalProject);
+    Assert.isFalse(exporter.exportProjectSessionsToCSV(sessions, [project], DEFAULT_ROUNDING_SETTINGS).includes('Durée arrondie'));
+
+    const rounding = { ...DEFAULT_ROUNDING_SETTINGS, projects: { mode: RoundingMode.UP, increment: 15, scope: RoundingScope.SESSION } };
+    const csv = exporter.exportProjectSessionsToCSV(sessions, [project], rounding);
+    Assert.isTrue(csv.startsWith('Date,Projet,Début,Fin,Durée,Durée arrondie,Note'));
+    Assert.isTrue(csv.includes('0h 52m,1h 00m'));
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,73 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { PART_TIME_SCHEDULE } from './fixtures.js';
+import { IO } from '../js/core/monads.js';
+import { createRuntime } from '../js/core/runtime.js';
+import { initialModel } from '../js/model/model.js';
+import { update } from '../js/update/update.js';
+import { Msg } from '../js/update/messages.js';
+import { DEFAULT_DAILY_TARGET } from '../js/work-schedule.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+// Vendredi 14 novembre 2025
+const FRIDAY_MODEL = { ...initialModel, selectedDate: '2025-11-14' };
+
+/**
+ * Crée des effets de stockage en mémoire (seuls les horaires sont lus par ces tests)
+ * @param {Object} data - Données lues ({workSchedules})
+ * @returns {Object}
+ */
+function createMemoryEffects(data) {
+    return {
+        getWorkSchedules: () => new IO(() => Promise.resolve(data.workSchedules))
+    };
+}
+
+/**
+ * Attend la fin des effets lancés par un message
+ * @returns {Promise<void>}
+ */
+function flushEffects() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// ======================
+// Tests de la fonction update
+// ======================
+
+runner.test('Le chargement des horaires fixe l\'objectif du jour affiché', () => {
+    const model = update(Msg.WorkSchedulesLoaded([PART_TIME_SCHEDULE]), FRIDAY_MODEL);
+
+    Assert.equal(FRIDAY_MODEL.dailyTarget, DEFAULT_DAILY_TARGET);
+    Assert.equal(model.dailyTarget, 4 * HOUR);
+    Assert.equal(model.remainingTime, 4 * HOUR);
+    Assert.equal(update(Msg.WorkSchedulesLoaded([PART_TIME_SCHEDULE]), { ...FRIDAY_MODEL, selectedDate: '2025-11-13' }).dailyTarget, 7 * HOUR);
+});
+
+// ======================
+// Tests du runtime
+// ======================
+
+runner.test('Relit les horaires modifiés et recalcule l\'objectif du jour', async () => {
+    const data = { workSchedules: [] };
+    const runtime = createRuntime(FRIDAY_MODEL, update, () => ({ type: 'text', text: '' }), {
+        storage: createMemoryEffects(data)
+    });
+
+    data.workSchedules = [PART_TIME_SCHEDULE];
+    runtime.dispatch(Msg.WorkSchedulesChanged());
+    Assert.isTrue(runtime.getModel().isLoading, 'Horaires en cours de lecture');
+    await flushEffects();
+
+    const model = runtime.getModel();
+    Assert.isFalse(model.isLoading);
+    Assert.deepEqual(model.workSchedules, [PART_TIME_SCHEDULE]);
+    Assert.equal(model.dailyTarget, 4 * HOUR);
+});
+
+// Exécuter les tests
+runner.run();
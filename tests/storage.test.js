@@ -3,6 +3,12 @@
 import { TestRunner, Assert } from './test-runner.js';
 import { StorageService } from '../js/storage.js';
 import { TimeEntry, ENTRY_TYPES } from '../js/time-entry.js';
+import { Project } from '../js/project.js';
+import { ProjectSession } from '../js/project-session.js';
+import { STORES } from '../js/migrations.js';
+import { HistoryDirection, createChange } from '../js/history.js';
+import { BackupFrequency, createBackupRecord } from '../js/backups.js';
+import { Absence, ABSENCE_TYPES } from '../js/absence.js';
 
 const runner = new TestRunner();
 
@@ -262,5 +268,442 @@ runner.test('Récupère correctement les instances de TimeEntry', async () => {
     Assert.instanceOf(entries[0].timestamp, Date);
 });
 
+// ======================
+// Tests des requêtes par plage et de la pagination
+// ======================
+
+runner.test('Récupère les entrées d\'une plage de jours', async () => {
+    await storage.clearAll();
+
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-12T09:00:00')));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00')));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-14T09:00:00')));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-15T09:00:00')));
+
+    const entries = await storage.getEntriesBetween('2025-11-13', '2025-11-14');
+
+    Assert.equal(entries.length, 2, 'Les bornes sont incluses');
+    Assert.equal(entries[0].date, '2025-11-13', 'Tri par timestamp croissant');
+});
+
+runner.test('Parcourt les entrées page par page sans doublon', async () => {
+    await storage.clearAll();
+
+    // Deux entrées partagent le même horodatage
+    const timestamp = new Date('2025-11-13T09:00:00');
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, timestamp));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_OUT, timestamp));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-14T09:00:00')));
+
+    const first = await storage.getEntriesPage({ limit: 2 });
+    const second = await storage.getEntriesPage({ limit: 2, cursor: first.nextCursor });
+
+    Assert.equal(first.items.length, 2);
+    Assert.equal(first.items[0].date, '2025-11-14', 'Plus récent en premier');
+    Assert.equal(second.items.length, 1);
+    Assert.isNull(second.nextCursor, 'Plus de page après la dernière');
+
+    const ids = [...first.items, ...second.items].map(e => e.id);
+    Assert.equal(new Set(ids).size, 3, 'Chaque entrée apparaît une seule fois');
+});
+
+runner.test('Limite la pagination à une période', async () => {
+    const page = await storage.getEntriesPage({ startDate: '2025-11-13', endDate: '2025-11-13' });
+
+    Assert.equal(page.items.length, 2);
+    Assert.isNull(page.nextCursor);
+});
+
+// ======================
+// Tests de l'archivage des projets
+// ======================
+
+runner.test('Archive puis restaure un projet', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Projet à archiver');
+    await storage.saveProject(project);
+
+    await storage.archiveProject(project.id);
+    Assert.equal((await storage.getAllProjects()).length, 0, 'Le projet archivé ne devrait plus être listé');
+
+    const archived = await storage.getArchivedProjects();
+    Assert.equal(archived.length, 1);
+    Assert.instanceOf(archived[0].archivedAt, Date);
+
+    await storage.unarchiveProject(project.id);
+    Assert.equal((await storage.getAllProjects()).length, 1);
+    Assert.equal((await storage.getArchivedProjects()).length, 0);
+});
+
+runner.test('Supprime définitivement un projet et ses sessions', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Projet supprimé');
+    await storage.saveProject(project);
+    await storage.saveSession(new ProjectSession(
+        project.id, new Date('2025-11-13T09:00:00'), new Date('2025-11-13T10:00:00')
+    ));
+
+    const result = await storage.purgeProject(project.id);
+
+    Assert.equal(result.deleted, 1);
+    Assert.isNull(await storage.getProjectById(project.id));
+    Assert.equal((await storage.getSessionsByProject(project.id)).length, 0);
+});
+
+runner.test('Réattribue les sessions lors de la suppression définitive', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Projet supprimé');
+    const target = new Project('Projet conservé');
+    await storage.saveProject(project);
+    await storage.saveProject(target);
+    await storage.saveSession(new ProjectSession(
+        project.id, new Date('2025-11-13T09:00:00'), new Date('2025-11-13T10:00:00')
+    ));
+
+    const result = await storage.purgeProject(project.id, { reassignTo: target.id });
+
+    Assert.equal(result.reassigned, 1);
+    Assert.equal((await storage.getSessionsByProject(target.id)).length, 1);
+    Assert.equal((await storage.getProjectById(target.id)).timeSpent, 60 * 60 * 1000, 'Le temps des sessions est repris');
+});
+
+runner.test('Refuse de réattribuer les sessions à un projet inexistant', async () => {
+    const project = new Project('Projet');
+    await storage.saveProject(project);
+
+    await Assert.rejects(storage.purgeProject(project.id, { reassignTo: 'project_inconnu' }));
+    Assert.isNotNull(await storage.getProjectById(project.id), 'Le projet ne devrait pas être supprimé');
+});
+
+// ======================
+// Tests de l'historique (annuler / rétablir)
+// ======================
+
+runner.test('Annule puis rétablit la suppression d\'une entrée', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+    await storage.deleteEntry(entry.id);
+    const changes = [createChange(STORES.TIME_ENTRIES, entry.toJSON(), null)];
+
+    await storage.applyChanges(changes, HistoryDirection.UNDO);
+    Assert.isNotNull(await storage.getEntryById(entry.id), 'L\'entrée devrait être restaurée');
+
+    await storage.applyChanges(changes, HistoryDirection.REDO);
+    Assert.isNull(await storage.getEntryById(entry.id), 'L\'entrée devrait être à nouveau supprimée');
+});
+
+runner.test('Refuse d\'annuler si l\'enregistrement a changé depuis', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+    const before = entry.toJSON();
+    entry.updateTimestamp(new Date('2025-11-13T09:30:00'));
+    await storage.saveEntry(entry);
+    const changes = [createChange(STORES.TIME_ENTRIES, before, entry.toJSON())];
+
+    // Modification ultérieure, absente de la commande
+    entry.updateTimestamp(new Date('2025-11-13T10:00:00'));
+    await storage.saveEntry(entry);
+
+    try {
+        await storage.applyChanges(changes, HistoryDirection.UNDO);
+        Assert.isTrue(false, 'Devrait lancer une erreur');
+    } catch (error) {
+        Assert.equal(error.name, 'ConflictError');
+    }
+
+    const stored = await storage.getEntryById(entry.id);
+    Assert.equal(stored.timestamp.getHours(), 10, 'Rien ne devrait avoir été écrit');
+});
+
+runner.test('Récupère toutes les données au format de stockage', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+
+    const data = await storage.getAllData({ raw: true });
+    Assert.equal(data.entries.length, 1);
+    Assert.equal(data.entries[0].timestamp, entry.toJSON().timestamp, 'Le timestamp devrait rester une chaîne ISO');
+});
+
+// ======================
+// Tests du journal des modifications
+// ======================
+
+runner.test('Trace la modification puis la suppression d\'une entrée', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+    entry.updateTimestamp(new Date('2025-11-13T09:30:00'));
+    await storage.saveEntry(entry, { audit: 'Modification du pointage' });
+    await storage.deleteEntry(entry.id, { audit: 'Suppression du pointage' });
+
+    const log = await storage.getAuditLog(entry.id);
+    Assert.deepEqual(log.map(record => record.operation), ['update', 'delete']);
+    Assert.equal(log[0].action, 'Modification du pointage');
+    Assert.equal(new Date(log[0].before.timestamp).getMinutes(), 0);
+    Assert.equal(new Date(log[0].after.timestamp).getMinutes(), 30);
+    Assert.isNull(log[1].after);
+});
+
+runner.test('Numérote le journal à la suite des enregistrements déjà stockés', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry, { audit: 'Ajout du pointage' });
+
+    // Un autre onglet (ou un redémarrage) écrit avec sa propre instance
+    const otherTab = new StorageService();
+    await otherTab.init();
+    await otherTab.deleteEntry(entry.id, { audit: 'Suppression du pointage' });
+    otherTab.db.close();
+
+    const log = await storage.getAuditLog(entry.id);
+    Assert.deepEqual(log.map(record => record.operation), ['create', 'delete']);
+    Assert.isTrue(log[1].seq > log[0].seq, 'Le numéro continue celui du journal');
+});
+
+runner.test('Trace dans le journal les pointages remplacés par une restauration', async () => {
+    await storage.clearAll();
+
+    const removed = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(removed);
+    const restored = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T08:30:00'));
+
+    await storage.importData({ timeEntries: [restored.toJSON()] }, { replace: true });
+
+    const log = await storage.getAllAuditLog();
+    Assert.equal(log.length, 2);
+    Assert.isTrue(log.every(record => record.action === 'Import de sauvegarde'));
+    Assert.equal(log.find(record => record.recordId === removed.id).operation, 'delete');
+    Assert.equal(log.find(record => record.recordId === restored.id).operation, 'create');
+});
+
+runner.test('Ne trace pas les écritures sans action', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+
+    Assert.equal((await storage.getAuditLog(entry.id)).length, 0);
+});
+
+runner.test('Trace les annulations dans le journal', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Audit');
+    await storage.saveProject(project);
+    const session = new ProjectSession(project.id);
+    session.stop();
+    await storage.saveSession(session);
+    await storage.deleteSession(session.id, { audit: 'Suppression de la session' });
+
+    const changes = [createChange(STORES.PROJECT_SESSIONS, session.toJSON(), null)];
+    await storage.applyChanges(changes, HistoryDirection.UNDO, { action: 'Annulation : Suppression de la session' });
+
+    const log = await storage.getAuditLog(session.id);
+    Assert.equal(log.length, 2);
+    Assert.equal(log[1].operation, 'create');
+    Assert.equal(log[1].action, 'Annulation : Suppression de la session');
+});
+
+// ======================
+// Tests du chiffrement
+// ======================
+
+runner.test('Chiffre les données existantes et les relit en clair', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Client confidentiel');
+    await storage.saveProject(project);
+    await storage.setPassphrase('phrase secrète');
+
+    const stored = await new Promise((resolve) => {
+        const request = storage.db.transaction([STORES.PROJECTS]).objectStore(STORES.PROJECTS).get(project.id);
+        request.onsuccess = () => resolve(request.result);
+    });
+    Assert.isFalse(JSON.stringify(stored).includes('Client confidentiel'), 'Le nom ne doit pas être stocké en clair');
+    Assert.equal((await storage.getProjectById(project.id)).name, 'Client confidentiel');
+
+    // Une nouvelle instance doit être déverrouillée avant de lire
+    const other = new StorageService();
+    await other.init();
+    Assert.isTrue(other.isLocked());
+    await Assert.rejects(other.getAllProjects());
+    await Assert.rejects(other.unlock('mauvaise phrase'));
+    await other.unlock('phrase secrète');
+    Assert.equal((await other.getProjectById(project.id)).name, 'Client confidentiel');
+    other.db.close();
+});
+
+runner.test('Utilise les index sur des sessions chiffrées puis désactive le chiffrement', async () => {
+    const project = new Project('Indexé');
+    await storage.saveProject(project);
+    const session = new ProjectSession(project.id, new Date('2025-11-13T09:00:00'));
+    session.stop(new Date('2025-11-13T10:00:00'));
+    await storage.saveSession(session);
+
+    Assert.equal((await storage.getSessionsByDate('2025-11-13')).length, 1);
+    Assert.equal((await storage.getSessionsByProject(project.id)).length, 1);
+
+    await storage.setPassphrase(null);
+    Assert.isFalse(storage.isEncrypted());
+    Assert.equal((await storage.getAllData({ raw: true })).sessions[0].projectId, project.id);
+    await storage.clearAll();
+});
+
+// ======================
+// Tests des sauvegardes automatiques
+// ======================
+
+runner.test('Conserve uniquement les sauvegardes les plus récentes', async () => {
+    await storage.clearAll();
+
+    for (let day = 1; day <= 4; day++) {
+        const record = createBackupRecord(`{"jour":${day}}`, { now: new Date(`2025-11-0${day}T12:00:00`) });
+        await storage.saveBackup(record, { keep: 3 });
+    }
+
+    const backups = await storage.getAllBackups();
+    Assert.deepEqual(backups.map(backup => backup.content), ['{"jour":4}', '{"jour":3}', '{"jour":2}']);
+    Assert.equal(await storage.getLatestBackupDate(), new Date('2025-11-04T12:00:00').toISOString());
+
+    // Réduire la limite supprime aussitôt les plus anciennes
+    await storage.saveBackupSettings({ frequency: BackupFrequency.WEEKLY, keep: 1 });
+    Assert.deepEqual(await storage.getBackupSettings(), { frequency: BackupFrequency.WEEKLY, keep: 1 });
+    Assert.equal((await storage.getAllBackups()).length, 1);
+    await Assert.rejects(storage.saveBackupSettings({ frequency: 'hourly', keep: 1 }));
+    await storage.clearAll();
+});
+
+// ======================
+// Tests des archives annuelles
+// ======================
+
+runner.test('Archive une année passée puis la réintègre', async () => {
+    await storage.clearAll();
+
+    const project = new Project('Archivé');
+    await storage.saveProject(project);
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2024-03-04T09:00:00')));
+    await storage.saveEntry(new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-03-04T09:00:00')));
+    const session = new ProjectSession(project.id, new Date('2024-03-04T09:00:00'));
+    session.stop(new Date('2024-03-04T11:00:00'));
+    await storage.saveSession(session);
+
+    const result = await storage.archiveYear(2024);
+    Assert.equal(result.timeEntries, 1);
+    Assert.equal(result.projectSessions, 1);
+    Assert.equal((await storage.getEntriesBetween('2024-01-01', '2024-12-31')).length, 0);
+    Assert.equal((await storage.getStoreCounts())[STORES.TIME_ENTRIES], 1);
+    Assert.deepEqual(await storage.getDataDateRange(), { firstDate: '2025-03-04', lastDate: '2025-03-04' });
+
+    const [archive] = await storage.getArchives();
+    Assert.equal(archive.year, 2024);
+    Assert.equal(archive.projectTime[project.id], 2 * 60 * 60 * 1000);
+    const payload = await storage.getArchivePayload(2024);
+    Assert.equal(payload.projectSessions[0].id, session.id);
+    Assert.equal(payload.projects[0].id, project.id);
+
+    await storage.unarchiveYear(2024);
+    Assert.equal((await storage.getEntriesBetween('2024-01-01', '2024-12-31')).length, 1);
+    Assert.equal((await storage.getArchives()).length, 0);
+    await Assert.rejects(storage.archiveYear(new Date().getFullYear()));
+    await storage.clearAll();
+});
+
+// ======================
+// Tests de la synchronisation
+// ======================
+
+runner.test('Versionne les écritures et trace les suppressions', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+    entry.updateTimestamp(new Date('2025-11-13T09:30:00'));
+    await storage.saveEntry(entry);
+    Assert.equal((await storage.getEntryById(entry.id)).version, 2);
+
+    await storage.deleteEntry(entry.id);
+    const [tombstone] = await storage.getTombstones();
+    Assert.equal(tombstone.recordId, entry.id);
+    Assert.equal(tombstone.version, 3);
+
+    // Recréer l'enregistrement reprend après la suppression
+    await storage.saveEntry(entry);
+    Assert.equal((await storage.getEntryById(entry.id)).version, 4);
+    Assert.equal((await storage.getTombstones()).length, 0);
+});
+
+runner.test('N\'applique que les modifications reçues plus récentes', async () => {
+    await storage.clearAll();
+
+    const entry = new TimeEntry(ENTRY_TYPES.CLOCK_IN, new Date('2025-11-13T09:00:00'));
+    await storage.saveEntry(entry);
+    const stored = (await storage.getAllData({ raw: true })).entries[0];
+    // Modifications datées avant l'écriture locale : seule la version peut les faire appliquer
+    const change = (version, hours) => ({
+        store: STORES.TIME_ENTRIES,
+        id: entry.id,
+        version,
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        deleted: false,
+        record: { ...stored, timestamp: new Date(`2025-11-13T${hours}:00:00`).toISOString() }
+    });
+
+    Assert.equal(await storage.applyRemoteChanges([change(1, '07')]), 0);
+    Assert.equal(await storage.applyRemoteChanges([change(5, '08')]), 1);
+    const updated = await storage.getEntryById(entry.id);
+    Assert.equal(updated.timestamp.getHours(), 8);
+    Assert.equal(updated.version, 5);
+
+    await storage.applyRemoteChanges([{ store: STORES.TIME_ENTRIES, id: entry.id, version: 6, updatedAt: null, deleted: true, record: null }]);
+    Assert.isNull(await storage.getEntryById(entry.id));
+    Assert.equal((await storage.getTombstones())[0].version, 6);
+    await storage.clearAll();
+});
+
+runner.test('Repart de zéro lorsque le serveur de synchronisation change', async () => {
+    await storage.saveSyncSettings({ enabled: true, endpoint: 'https://a.example.org', token: '' });
+    await storage.saveSyncState({ deviceId: 'appareil', lastSeq: 12, lastPushAt: new Date().toISOString() });
+
+    await storage.saveSyncSettings({ enabled: true, endpoint: 'https://b.example.org', token: '' });
+    const state = await storage.getSyncState();
+    Assert.equal(state.deviceId, 'appareil');
+    Assert.equal(state.lastSeq, 0);
+    Assert.isNull(state.lastPushAt);
+
+    await Assert.rejects(storage.saveSyncSettings({ enabled: true, endpoint: 'pas une adresse' }));
+    await storage.saveSyncSettings({ enabled: false, endpoint: '', token: '' });
+});
+
+// ======================
+// Tests des absences
+// ======================
+
+runner.test('Enregistre des absences, les lit par période et trace leur suppression', async () => {
+    const absences = ['2025-11-10', '2025-11-12', '2025-12-01']
+        .map(date => new Absence(date, ABSENCE_TYPES.PAID_LEAVE));
+    await storage.saveAbsences(absences);
+
+    const november = await storage.getAbsencesBetween('2025-11-01', '2025-11-30');
+    Assert.deepEqual(november.map(absence => absence.date), ['2025-11-10', '2025-11-12']);
+    Assert.equal(november[0].version, 1);
+
+    await storage.deleteAbsence(absences[0].id);
+    Assert.equal((await storage.getAbsencesBetween('2025-11-01', '2025-11-30')).length, 1);
+    Assert.equal((await storage.getTombstones())[0].store, STORES.ABSENCES);
+    await storage.clearAll();
+});
+
 // Exécuter les tests
 runner.run();
@@ -0,0 +1,396 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    SyncEngine,
+    SyncStatus,
+    INITIAL_SYNC_STATE,
+    ENCRYPTED_SYNC_ERROR,
+    normalizeSyncSettings,
+    createVersionStamp,
+    createTombstone,
+    withoutSyncFields,
+    compareVersions,
+    collectLocalChanges,
+    validateChange,
+    isArchivedChange,
+    getSyncStatus,
+    getSyncStatusLabel
+} from '../js/sync.js';
+import { STORES } from '../js/migrations.js';
+import { ENTRY_TYPES } from '../js/time-entry.js';
+import { SyncLedger } from '../server/sync-ledger.js';
+
+const runner = new TestRunner();
+
+/**
+ * Crée un pointage synchronisé au format de stockage
+ * @param {string} id - ID du pointage
+ * @param {number} version - Version
+ * @param {string} updatedAt - Date de la dernière écriture (ISO)
+ * @param {string} [date] - Jour (YYYY-MM-DD)
+ * @returns {Object}
+ */
+function createStoredEntry(id, version, updatedAt, date = '2025-03-04') {
+    return {
+        id,
+        type: ENTRY_TYPES.CLOCK_IN,
+        timestamp: new Date(`${date}T09:00:00`).toISOString(),
+        date,
+        note: '',
+        version,
+        updatedAt
+    };
+}
+
+/**
+ * Crée la modification transmise pour un pointage
+ * @param {Object} record - Pointage (voir createStoredEntry)
+ * @returns {Object}
+ */
+function createEntryChange(record) {
+    return {
+        store: STORES.TIME_ENTRIES,
+        id: record.id,
+        version: record.version,
+        updatedAt: record.updatedAt,
+        deleted: false,
+        record
+    };
+}
+
+/**
+ * Stockage en mémoire exposant les méthodes utilisées par SyncEngine
+ * Même règle d'application des modifications reçues que StorageService.
+ */
+class MemorySyncStorage {
+    constructor(settings) {
+        this.settings = normalizeSyncSettings(settings);
+        this.state = { ...INITIAL_SYNC_STATE };
+        this.stores = { [STORES.TIME_ENTRIES]: new Map(), [STORES.PROJECTS]: new Map(), [STORES.PROJECT_SESSIONS]: new Map() };
+        this.tombstones = new Map();
+        this.archives = [];
+        this.encrypted = false;
+    }
+
+    /**
+     * Écriture locale : nouvelle version, comme StorageService
+     */
+    write(storeName, record, now) {
+        const store = this.stores[storeName];
+        const previous = store.get(record.id) || this.tombstones.get(`${storeName}:${record.id}`);
+        store.set(record.id, { ...record, ...createVersionStamp(previous, now) });
+        this.tombstones.delete(`${storeName}:${record.id}`);
+    }
+
+    remove(storeName, id, now) {
+        const store = this.stores[storeName];
+        const stamp = createVersionStamp(store.get(id), now);
+        store.delete(id);
+        this.tombstones.set(`${storeName}:${id}`, createTombstone(storeName, id, stamp));
+    }
+
+    isEncrypted() { return this.encrypted; }
+    async getSyncSettings() { return this.settings; }
+    async getSyncState() { return { ...this.state }; }
+    async saveSyncState(state) { this.state = { ...state }; }
+    async getArchives() { return this.archives.map(year => ({ year })); }
+    async getTombstones() { return [...this.tombstones.values()]; }
+
+    async getAllData() {
+        return {
+            entries: [...this.stores[STORES.TIME_ENTRIES].values()],
+            projects: [...this.stores[STORES.PROJECTS].values()],
+            sessions: [...this.stores[STORES.PROJECT_SESSIONS].values()]
+        };
+    }
+
+    async applyRemoteChanges(changes) {
+        let applied = 0;
+        changes.forEach(change => {
+            const store = this.stores[change.store];
+            const key = `${change.store}:${change.id}`;
+            if (compareVersions(change, store.get(change.id) || this.tombstones.get(key)) <= 0) return;
+
+            if (change.deleted) {
+                store.delete(change.id);
+                this.tombstones.set(key, createTombstone(change.store, change.id, change));
+            } else {
+                store.set(change.id, { ...change.record, version: change.version, updatedAt: change.updatedAt });
+                this.tombstones.delete(key);
+            }
+            applied++;
+        });
+        return applied;
+    }
+}
+
+/**
+ * Crée un fetch qui répond à la place d'un serveur de référence (registre en mémoire)
+ * @param {SyncLedger} ledger - Registre du serveur
+ * @param {string} [token] - Jeton attendu
+ * @returns {Function}
+ */
+function createLedgerFetch(ledger, token = 'secret') {
+    return async (url, { method, headers, body }) => {
+        if (headers.Authorization !== `Bearer ${token}`) {
+            return { ok: false, status: 401, json: async () => ({ error: 'Jeton invalide' }) };
+        }
+        const { pathname, searchParams } = new URL(url);
+        const result = method === 'GET'
+            ? ledger.getChangesSince(Number(searchParams.get('since')))
+            : ledger.push(JSON.parse(body).changes);
+        // Copie : comme sur le réseau, rien n'est partagé entre le serveur et le client
+        return { ok: pathname === '/changes', status: 200, json: async () => JSON.parse(JSON.stringify(result)) };
+    };
+}
+
+const SETTINGS = { enabled: true, endpoint: 'https://sync.example.org/', token: 'secret' };
+
+// ======================
+// Tests des paramètres et du statut
+// ======================
+
+runner.test('Normalise l\'adresse du serveur et refuse une adresse invalide', () => {
+    Assert.deepEqual(normalizeSyncSettings(null), { enabled: false, endpoint: '', token: '' });
+    Assert.equal(normalizeSyncSettings(SETTINGS).endpoint, 'https://sync.example.org');
+    Assert.throws(() => normalizeSyncSettings({ enabled: true, endpoint: 'sync.example.org' }));
+    Assert.throws(() => normalizeSyncSettings({ enabled: true, endpoint: 'ftp://sync.example.org' }));
+    Assert.equal(normalizeSyncSettings({ enabled: false, endpoint: 'brouillon' }).endpoint, 'brouillon');
+});
+
+runner.test('Déduit le statut affiché dans l\'en-tête', () => {
+    Assert.equal(getSyncStatus({ enabled: false }, { lastError: 'Erreur' }), SyncStatus.DISABLED);
+    Assert.equal(getSyncStatus({ enabled: true }, { lastError: 'Erreur' }), SyncStatus.ERROR);
+    Assert.equal(getSyncStatus({ enabled: true }, { lastError: null }), SyncStatus.IDLE);
+    Assert.equal(getSyncStatusLabel(SyncStatus.IDLE, { lastSyncAt: null }), 'Synchro activée');
+    Assert.isTrue(getSyncStatusLabel(SyncStatus.IDLE, { lastSyncAt: new Date().toISOString() }).startsWith('Synchro '));
+});
+
+// ======================
+// Tests des versions
+// ======================
+
+runner.test('Incrémente la version à chaque écriture, suppression comprise', () => {
+    const now = new Date('2025-03-04T10:00:00Z');
+    const first = createVersionStamp(null, now);
+    const second = createVersionStamp(first, now);
+    const tombstone = createTombstone(STORES.TIME_ENTRIES, 'e1', createVersionStamp(second, now));
+
+    Assert.deepEqual(first, { version: 1, updatedAt: now.toISOString() });
+    Assert.equal(second.version, 2);
+    Assert.equal(tombstone.id, 'timeEntries:e1');
+    Assert.equal(tombstone.version, 3);
+    Assert.equal(createVersionStamp(tombstone, now).version, 4);
+});
+
+runner.test('La version la plus élevée l\'emporte, puis la date la plus récente', () => {
+    Assert.greaterThan(compareVersions({ version: 3, updatedAt: '2025-01-01' }, { version: 2, updatedAt: '2025-06-01' }), 0);
+    Assert.lessThan(compareVersions({ version: 2, updatedAt: '2025-01-01' }, { version: 2, updatedAt: '2025-06-01' }), 0);
+    Assert.equal(compareVersions({ version: 2, updatedAt: '2025-01-01' }, { version: 2, updatedAt: '2025-01-01' }), 0);
+    Assert.greaterThan(compareVersions({ version: 1, updatedAt: '2025-01-01' }, null), 0);
+});
+
+runner.test('Ignore les champs de synchronisation pour comparer deux états', () => {
+    const record = createStoredEntry('e1', 4, '2025-03-04T10:00:00.000Z');
+
+    Assert.deepEqual(withoutSyncFields(record), withoutSyncFields({ ...record, version: 1, updatedAt: null }));
+    Assert.isUndefined(withoutSyncFields(record).version);
+    Assert.isNull(withoutSyncFields(null));
+});
+
+// ======================
+// Tests des modifications
+// ======================
+
+runner.test('Collecte les écritures locales depuis le dernier envoi, projets en premier', () => {
+    const data = {
+        entries: [
+            createStoredEntry('e1', 1, '2025-03-04T08:00:00.000Z'),
+            createStoredEntry('e2', 2, '2025-03-04T11:00:00.000Z')
+        ],
+        projects: [{ id: 'p1', name: 'Projet A', version: 1, updatedAt: '2025-03-04T12:00:00.000Z' }],
+        sessions: []
+    };
+    const tombstones = [createTombstone(STORES.PROJECT_SESSIONS, 's1', { version: 2, updatedAt: '2025-03-04T10:30:00.000Z' })];
+
+    const changes = collectLocalChanges(data, tombstones, '2025-03-04T10:00:00.000Z');
+
+    Assert.deepEqual(changes.map(change => change.id), ['p1', 'e2', 's1']);
+    Assert.isTrue(changes[2].deleted);
+    Assert.isNull(changes[2].record);
+    Assert.equal(collectLocalChanges(data, tombstones, null).length, 4);
+});
+
+runner.test('Refuse une modification incomplète ou d\'un store non synchronisé', () => {
+    const change = createEntryChange(createStoredEntry('e1', 1, '2025-03-04T08:00:00.000Z'));
+
+    validateChange(change);
+    validateChange({ store: STORES.PROJECTS, id: 'p1', version: 2, updatedAt: null, deleted: true, record: null });
+    Assert.throws(() => validateChange({ ...change, store: STORES.SETTINGS }));
+    Assert.throws(() => validateChange({ ...change, version: 1.5 }));
+    Assert.throws(() => validateChange({ ...change, record: null }));
+    Assert.throws(() => validateChange({ ...change, record: { ...change.record, id: 'autre' } }));
+});
+
+runner.test('Écarte les modifications des années archivées', () => {
+    const change = createEntryChange(createStoredEntry('e1', 1, '2025-03-04T08:00:00.000Z', '2023-05-02'));
+
+    Assert.isTrue(isArchivedChange(change, [2023]));
+    Assert.isFalse(isArchivedChange(change, [2024]));
+    Assert.isFalse(isArchivedChange({ ...change, deleted: true, record: null }, [2023]));
+    Assert.isFalse(isArchivedChange({ ...change, store: STORES.ABSENCES }, [2023]), 'Les absences ne sont pas archivées');
+});
+
+// ======================
+// Tests du registre du serveur
+// ======================
+
+runner.test('Le serveur numérote les modifications retenues et les renvoie après une position', () => {
+    const ledger = new SyncLedger();
+    ledger.push([createEntryChange(createStoredEntry('e1', 1, '2025-03-04T08:00:00.000Z'))]);
+    const result = ledger.push([createEntryChange(createStoredEntry('e2', 1, '2025-03-04T09:00:00.000Z'))]);
+
+    Assert.deepEqual({ seq: result.seq, accepted: result.accepted }, { seq: 2, accepted: 1 });
+    Assert.deepEqual(ledger.getChangesSince(0).changes.map(change => change.id), ['e1', 'e2']);
+    Assert.deepEqual(ledger.getChangesSince(1).changes.map(change => change.id), ['e2']);
+    Assert.isUndefined(ledger.getChangesSince(0).changes[0].seq);
+    Assert.equal(ledger.getChangesSince(2).changes.length, 0);
+});
+
+runner.test('Le serveur refuse une version plus ancienne et renvoie celle qu\'il garde', () => {
+    const ledger = new SyncLedger();
+    ledger.push([createEntryChange(createStoredEntry('e1', 3, '2025-03-04T08:00:00.000Z'))]);
+
+    const stale = ledger.push([createEntryChange(createStoredEntry('e1', 2, '2025-03-04T12:00:00.000Z'))]);
+    const same = ledger.push([createEntryChange(createStoredEntry('e1', 3, '2025-03-04T08:00:00.000Z'))]);
+
+    Assert.equal(stale.accepted, 0);
+    Assert.equal(stale.rejected[0].version, 3);
+    Assert.deepEqual({ seq: same.seq, accepted: same.accepted }, { seq: 1, accepted: 1 });
+});
+
+runner.test('Le serveur n\'enregistre rien si une modification est invalide', () => {
+    const ledger = new SyncLedger();
+
+    Assert.throws(() => ledger.push([
+        createEntryChange(createStoredEntry('e1', 1, '2025-03-04T08:00:00.000Z')),
+        { store: STORES.TIME_ENTRIES, id: 'e2', version: 'deux' }
+    ]));
+    Assert.equal(ledger.seq, 0);
+    Assert.deepEqual(new SyncLedger(JSON.parse(JSON.stringify(ledger))).getChangesSince(0), { seq: 0, changes: [] });
+});
+
+// ======================
+// Tests de la synchronisation
+// ======================
+
+runner.test('Deux appareils convergent, suppressions comprises', async () => {
+    const ledger = new SyncLedger();
+    const laptop = new MemorySyncStorage(SETTINGS);
+    const phone = new MemorySyncStorage(SETTINGS);
+    const laptopEngine = new SyncEngine(laptop, { fetch: createLedgerFetch(ledger) });
+    const phoneEngine = new SyncEngine(phone, { fetch: createLedgerFetch(ledger) });
+
+    laptop.write(STORES.TIME_ENTRIES, createStoredEntry('e1', 0, null), new Date('2025-03-04T09:00:00Z'));
+    laptop.write(STORES.PROJECTS, { id: 'p1', name: 'Projet A' }, new Date('2025-03-04T09:00:00Z'));
+    const first = await laptopEngine.sync();
+    Assert.equal(first.sent, 2);
+
+    const pulled = await phoneEngine.sync();
+    Assert.equal(pulled.received, 2);
+    Assert.equal(pulled.sent, 0);
+    Assert.equal(phone.stores[STORES.PROJECTS].get('p1').name, 'Projet A');
+
+    phone.remove(STORES.TIME_ENTRIES, 'e1', new Date());
+    await phoneEngine.sync();
+    const deleted = await laptopEngine.sync();
+
+    Assert.equal(deleted.received, 1);
+    Assert.isFalse(laptop.stores[STORES.TIME_ENTRIES].has('e1'));
+    Assert.equal(laptop.tombstones.get('timeEntries:e1').version, 2);
+    Assert.isNotNull(laptop.state.deviceId);
+    Assert.notEqual(laptop.state.deviceId, phone.state.deviceId);
+});
+
+runner.test('Un conflit garde la version la plus élevée sur les deux appareils', async () => {
+    const ledger = new SyncLedger();
+    const laptop = new MemorySyncStorage(SETTINGS);
+    const phone = new MemorySyncStorage(SETTINGS);
+    const laptopEngine = new SyncEngine(laptop, { fetch: createLedgerFetch(ledger) });
+    const phoneEngine = new SyncEngine(phone, { fetch: createLedgerFetch(ledger) });
+
+    laptop.write(STORES.PROJECTS, { id: 'p1', name: 'Projet A' }, new Date('2025-03-04T09:00:00Z'));
+    await laptopEngine.sync();
+    await phoneEngine.sync();
+
+    // Modifications hors ligne : le portable écrit deux fois, le téléphone une fois, en dernier
+    laptop.write(STORES.PROJECTS, { id: 'p1', name: 'Projet A1' }, new Date());
+    laptop.write(STORES.PROJECTS, { id: 'p1', name: 'Projet A2' }, new Date());
+    phone.write(STORES.PROJECTS, { id: 'p1', name: 'Projet B' }, new Date(Date.now() + 1000));
+
+    await laptopEngine.sync();
+    const result = await phoneEngine.sync();
+
+    Assert.equal(result.received, 1);
+    Assert.equal(phone.stores[STORES.PROJECTS].get('p1').name, 'Projet A2');
+    Assert.equal(laptop.stores[STORES.PROJECTS].get('p1').name, 'Projet A2');
+});
+
+runner.test('Une version du serveur plus récente remplace l\'écriture locale refusée', async () => {
+    const ledger = new SyncLedger();
+    const phone = new MemorySyncStorage(SETTINGS);
+    const engine = new SyncEngine(phone, { fetch: createLedgerFetch(ledger) });
+
+    phone.write(STORES.PROJECTS, { id: 'p1', name: 'Projet local' }, new Date('2025-03-04T09:00:00Z'));
+    // Une version plus élevée arrive sur le serveur entre la récupération et l'envoi
+    const fetch = createLedgerFetch(ledger);
+    engine.fetch = async (url, options) => {
+        if (options.method === 'POST') {
+            ledger.push([{
+                store: STORES.PROJECTS,
+                id: 'p1',
+                version: 5,
+                updatedAt: '2025-03-04T09:30:00.000Z',
+                deleted: false,
+                record: { id: 'p1', name: 'Projet distant' }
+            }]);
+        }
+        return fetch(url, options);
+    };
+
+    const result = await engine.sync();
+
+    Assert.equal(result.conflicts, 1);
+    Assert.equal(phone.stores[STORES.PROJECTS].get('p1').name, 'Projet distant');
+    Assert.equal(phone.stores[STORES.PROJECTS].get('p1').version, 5);
+});
+
+runner.test('Enregistre l\'erreur si le serveur refuse le jeton', async () => {
+    const storage = new MemorySyncStorage({ ...SETTINGS, token: 'mauvais' });
+    const engine = new SyncEngine(storage, { fetch: createLedgerFetch(new SyncLedger()) });
+
+    await Assert.rejects(engine.sync());
+    Assert.equal(storage.state.lastError, 'Jeton de synchronisation refusé');
+    Assert.equal(storage.state.lastSeq, 0);
+
+    await Assert.rejects(new SyncEngine(new MemorySyncStorage(null)).sync());
+});
+
+runner.test('N\'envoie rien au serveur tant que le chiffrement est activé', async () => {
+    const ledger = new SyncLedger();
+    const storage = new MemorySyncStorage(SETTINGS);
+    storage.write(STORES.TIME_ENTRIES, createStoredEntry('e1', 0, null), new Date('2025-03-04T10:00:00Z'));
+    storage.encrypted = true;
+    let requests = 0;
+    const fetch = createLedgerFetch(ledger);
+    const engine = new SyncEngine(storage, { fetch: (...args) => { requests++; return fetch(...args); } });
+
+    await Assert.rejects(engine.sync());
+    Assert.equal(requests, 0);
+    Assert.equal(storage.state.lastError, ENCRYPTED_SYNC_ERROR);
+    Assert.equal(ledger.getChangesSince(0).changes.length, 0);
+});
+
+// Exécuter les tests
+runner.run();
@@ -0,0 +1,155 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { TabSync, SyncMessageType, SYNC_LOCK_PREFIX } from '../js/tab-sync.js';
+
+const runner = new TestRunner();
+
+/**
+ * Crée un bus de messages factice reliant plusieurs canaux (comme BroadcastChannel)
+ * Un message est remis à tous les canaux du bus sauf à son émetteur.
+ * @returns {{createChannel: Function, channels: Object[]}}
+ */
+function createFakeBus() {
+    const channels = [];
+
+    const createChannel = (name) => {
+        const channel = {
+            name,
+            onmessage: null,
+            closed: false,
+            postMessage(data) {
+                if (this.closed) throw new Error('Canal fermé');
+                channels
+                    .filter(other => other !== channel && !other.closed && other.onmessage)
+                    .forEach(other => other.onmessage({ data: structuredClone(data) }));
+            },
+            close() {
+                this.closed = true;
+            }
+        };
+        channels.push(channel);
+        return channel;
+    };
+
+    return { createChannel, channels };
+}
+
+/**
+ * Crée un gestionnaire de verrous factice (exécution en file, comme navigator.locks)
+ * @returns {{request: Function, names: string[]}}
+ */
+function createFakeLocks() {
+    const queues = new Map();
+    const names = [];
+
+    return {
+        names,
+        request(name, callback) {
+            names.push(name);
+            const previous = queues.get(name) || Promise.resolve();
+            const result = previous.then(() => callback());
+            queues.set(name, result.catch(() => {}));
+            return result;
+        }
+    };
+}
+
+// ======================
+// Tests de diffusion
+// ======================
+
+runner.test('Transmet un message aux autres onglets', () => {
+    const bus = createFakeBus();
+    const tabA = new TabSync({ createChannel: bus.createChannel, locks: null });
+    const tabB = new TabSync({ createChannel: bus.createChannel, locks: null });
+    const received = [];
+    tabB.onMessage = (message) => received.push(message);
+
+    tabA.publish(SyncMessageType.DATA_CHANGED, { stores: ['projects'] });
+
+    Assert.equal(received.length, 1);
+    Assert.equal(received[0].type, SyncMessageType.DATA_CHANGED);
+    Assert.deepEqual(received[0].payload, { stores: ['projects'] });
+    Assert.equal(received[0].tabId, tabA.tabId);
+});
+
+runner.test('Ignore ses propres messages et les messages invalides', () => {
+    const tab = new TabSync({ createChannel: createFakeBus().createChannel, locks: null });
+    const received = [];
+    tab.onMessage = (message) => received.push(message);
+
+    tab.channel.onmessage({ data: { type: SyncMessageType.DATA_CHANGED, payload: {}, tabId: tab.tabId } });
+    tab.channel.onmessage({ data: null });
+    tab.channel.onmessage({ data: { payload: {} } });
+
+    Assert.equal(received.length, 0);
+});
+
+runner.test('Fonctionne seul sans BroadcastChannel', () => {
+    const tab = new TabSync({ createChannel: null, locks: null });
+
+    Assert.isFalse(tab.isAvailable());
+    tab.publish(SyncMessageType.DATA_CHANGED, {});
+    tab.close();
+});
+
+runner.test('Ne lève pas d\'erreur si le canal est fermé', () => {
+    const bus = createFakeBus();
+    const tab = new TabSync({ createChannel: bus.createChannel, locks: null });
+    bus.channels[0].closed = true;
+
+    tab.publish(SyncMessageType.DATA_CHANGED, {});
+});
+
+// ======================
+// Tests des verrous
+// ======================
+
+runner.test('Exécute directement la tâche sans Web Locks', async () => {
+    const tab = new TabSync({ createChannel: null, locks: null });
+
+    Assert.equal(await tab.runExclusive('timer', async () => 42), 42);
+});
+
+runner.test('Préfixe le nom du verrou', async () => {
+    const locks = createFakeLocks();
+    const tab = new TabSync({ createChannel: null, locks });
+
+    await tab.runExclusive('timer', async () => {});
+
+    Assert.deepEqual(locks.names, [`${SYNC_LOCK_PREFIX}timer`]);
+});
+
+runner.test('Exécute les tâches d\'un même verrou l\'une après l\'autre', async () => {
+    const locks = createFakeLocks();
+    const tabA = new TabSync({ createChannel: null, locks });
+    const tabB = new TabSync({ createChannel: null, locks });
+    const steps = [];
+
+    const task = (label) => async () => {
+        steps.push(`${label}:début`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        steps.push(`${label}:fin`);
+    };
+
+    await Promise.all([
+        tabA.runExclusive('timer', task('A')),
+        tabB.runExclusive('timer', task('B'))
+    ]);
+
+    Assert.deepEqual(steps, ['A:début', 'A:fin', 'B:début', 'B:fin']);
+});
+
+runner.test('Propage l\'erreur de la tâche sans bloquer le verrou', async () => {
+    const locks = createFakeLocks();
+    const tab = new TabSync({ createChannel: null, locks });
+
+    await Assert.rejects(tab.runExclusive('timer', async () => {
+        throw new Error('Échec');
+    }));
+    Assert.equal(await tab.runExclusive('timer', async () => 'suite'), 'suite');
+});
+
+// Exécuter les tests
+runner.run();
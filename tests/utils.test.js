@@ -3,9 +3,15 @@
 import { TestRunner, Assert } from './test-runner.js';
 import {
     formatDuration,
+    formatBytes,
     formatTime,
     formatDate,
     getTodayDateString,
+    setTimeZone,
+    getTimeZone,
+    getDayBounds,
+    addDays,
+    clipIntervalToDay,
     getEntryTypeLabel,
     escapeHtml,
     createElement
@@ -57,6 +63,17 @@ runner.test('Formate correctement avec des minutes < 10', () => {
     Assert.equal(result, '3h 05m');
 });
 
+// ======================
+// Tests de formatBytes
+// ======================
+
+runner.test('Formate une taille en octets, Ko et Mo', () => {
+    Assert.equal(formatBytes(0), '0 o');
+    Assert.equal(formatBytes(512), '512 o');
+    Assert.equal(formatBytes(1536), '1,5 Ko');
+    Assert.equal(formatBytes(5 * 1024 * 1024), '5 Mo');
+});
+
 // ======================
 // Tests de formatTime
 // ======================
@@ -114,6 +131,70 @@ runner.test('Gère correctement les mois < 10', () => {
     Assert.equal(result, '2025-03-05');
 });
 
+runner.test('Utilise le jour local et non le jour UTC', () => {
+    // Minuit et demi heure locale : le jour UTC peut être la veille
+    const date = new Date(2025, 10, 13, 0, 30);
+    Assert.equal(formatDate(date), '2025-11-13');
+});
+
+runner.test('Utilise le fuseau horaire configuré', () => {
+    setTimeZone('Europe/Paris');
+    try {
+        // 23:30 UTC = 00:30 à Paris (heure d'hiver)
+        Assert.equal(formatDate(new Date('2025-11-12T23:30:00Z')), '2025-11-13');
+        // 21:30 UTC = 23:30 à Paris (heure d'été)
+        Assert.equal(formatDate(new Date('2025-07-01T21:30:00Z')), '2025-07-01');
+        Assert.equal(getTimeZone(), 'Europe/Paris');
+    } finally {
+        setTimeZone(null);
+    }
+});
+
+runner.test('Lance une erreur pour un fuseau horaire inconnu', () => {
+    Assert.throws(() => setTimeZone('Mars/Olympus'));
+});
+
+// ======================
+// Tests des bornes de jour
+// ======================
+
+runner.test('Retourne minuit du jour et du lendemain', () => {
+    const { start, end } = getDayBounds('2025-11-13');
+    Assert.equal(start.getTime(), new Date(2025, 10, 13).getTime());
+    Assert.equal(end.getTime(), new Date(2025, 10, 14).getTime());
+});
+
+runner.test('Tient compte du changement d\'heure dans le fuseau configuré', () => {
+    setTimeZone('Europe/Paris');
+    try {
+        // Passage à l'heure d'été : la journée du 30 mars 2025 dure 23h
+        const { start, end } = getDayBounds('2025-03-30');
+        Assert.equal(start.toISOString(), '2025-03-29T23:00:00.000Z');
+        Assert.equal((end - start) / (1000 * 60 * 60), 23);
+    } finally {
+        setTimeZone(null);
+    }
+});
+
+runner.test('Décale un jour en changeant de mois', () => {
+    Assert.equal(addDays('2025-11-01', -1), '2025-10-31');
+    Assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+});
+
+runner.test('Découpe un intervalle qui passe minuit', () => {
+    const start = new Date(2025, 10, 13, 22, 0);
+    const end = new Date(2025, 10, 14, 2, 0);
+
+    const first = clipIntervalToDay(start, end, '2025-11-13');
+    const second = clipIntervalToDay(start, end, '2025-11-14');
+
+    Assert.equal(first.duration, 2 * 60 * 60 * 1000);
+    Assert.isTrue(first.continuesNextDay);
+    Assert.isTrue(second.continuesFromPreviousDay);
+    Assert.isFalse(second.continuesNextDay);
+    Assert.isNull(clipIntervalToDay(start, end, '2025-11-15'), 'Hors du jour');
+});
+
 // ======================
 // Tests de getTodayDateString
 // ======================
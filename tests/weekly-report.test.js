@@ -1,10 +1,12 @@
 'use strict';
 
 import { TestRunner, Assert } from './test-runner.js';
-import { WeeklyReportCalculator } from '../js/weekly-report.js';
+import { WeeklyReportCalculator, ArchiveFilter } from '../js/weekly-report.js';
+import { TimeCalculator } from '../js/calculator.js';
 import { TimeEntry } from '../js/time-entry.js';
 import { Project } from '../js/project.js';
 import { ProjectSession } from '../js/project-session.js';
+import { Absence, ABSENCE_TYPES } from '../js/absence.js';
 
 const runner = new TestRunner();
 const calculator = new WeeklyReportCalculator();
@@ -14,7 +16,7 @@ const calculator = new WeeklyReportCalculator();
 // ======================
 
 runner.test('Obtient le début de la semaine (lundi)', () => {
-    const date = new Date('2025-11-13'); // Jeudi
+    const date = new Date('2025-11-13T00:00:00'); // Jeudi
     const weekStart = calculator.getWeekStart(date);
 
     Assert.equal(weekStart.getDay(), 1, 'Le début de semaine devrait être un lundi');
@@ -22,7 +24,7 @@ runner.test('Obtient le début de la semaine (lundi)', () => {
 });
 
 runner.test('Obtient la fin de la semaine (dimanche)', () => {
-    const date = new Date('2025-11-13'); // Jeudi
+    const date = new Date('2025-11-13T00:00:00'); // Jeudi
     const weekEnd = calculator.getWeekEnd(date);
 
     Assert.equal(weekEnd.getDay(), 0, 'La fin de semaine devrait être un dimanche');
@@ -30,7 +32,7 @@ runner.test('Obtient la fin de la semaine (dimanche)', () => {
 });
 
 runner.test('Obtient le début du mois', () => {
-    const date = new Date('2025-11-13');
+    const date = new Date('2025-11-13T00:00:00');
     const monthStart = calculator.getMonthStart(date);
 
     Assert.equal(monthStart.getDate(), 1, 'Le début du mois devrait être le 1er');
@@ -38,7 +40,7 @@ runner.test('Obtient le début du mois', () => {
 });
 
 runner.test('Obtient la fin du mois', () => {
-    const date = new Date('2025-11-13');
+    const date = new Date('2025-11-13T00:00:00');
     const monthEnd = calculator.getMonthEnd(date);
 
     Assert.equal(monthEnd.getDate(), 30, 'La fin du mois devrait être le 30');
@@ -46,8 +48,8 @@ runner.test('Obtient la fin du mois', () => {
 });
 
 runner.test('Génère une plage de dates', () => {
-    const start = new Date('2025-11-10');
-    const end = new Date('2025-11-12');
+    const start = new Date('2025-11-10T00:00:00');
+    const end = new Date('2025-11-12T00:00:00');
     const range = calculator.generateDateRange(start, end);
 
     Assert.equal(range.length, 3, 'Devrait générer 3 dates');
@@ -60,15 +62,15 @@ runner.test('Génère une plage de dates', () => {
 // ======================
 
 runner.test('Formate le nom du mois', () => {
-    const date = new Date('2025-11-13');
+    const date = new Date('2025-11-13T00:00:00');
     const monthName = calculator.getMonthName(date);
 
     Assert.equal(monthName, 'Novembre', 'Devrait retourner "Novembre"');
 });
 
 runner.test('Formate une plage de dates (même mois)', () => {
-    const start = new Date('2025-11-10');
-    const end = new Date('2025-11-16');
+    const start = new Date('2025-11-10T00:00:00');
+    const end = new Date('2025-11-16T00:00:00');
     const formatted = calculator.formatDateRange(start, end);
 
     Assert.isTrue(formatted.includes('10-16'), 'Devrait contenir "10-16"');
@@ -81,8 +83,8 @@ runner.test('Formate une plage de dates (même mois)', () => {
 
 runner.test('Calcule les statistiques pour une période vide', () => {
     const stats = calculator.calculatePeriodStats({
-        startDate: new Date('2025-11-10'),
-        endDate: new Date('2025-11-16'),
+        startDate: new Date('2025-11-10T00:00:00'),
+        endDate: new Date('2025-11-16T00:00:00'),
         entries: [],
         sessions: [],
         projects: []
@@ -103,8 +105,8 @@ runner.test('Détecte les jours incomplets', () => {
     ];
 
     const stats = calculator.calculatePeriodStats({
-        startDate: new Date('2025-11-13'),
-        endDate: new Date('2025-11-13'),
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-13T00:00:00'),
         entries,
         sessions: [],
         projects: []
@@ -114,6 +116,69 @@ runner.test('Détecte les jours incomplets', () => {
     Assert.equal(stats.incompleteDaysList.length, 1, 'Liste contient 1 jour incomplet');
 });
 
+runner.test('Compare chaque jour à l\'horaire de travail en vigueur', () => {
+    // Jeudi 7h, vendredi 4h30, samedi 1h (non travaillé)
+    const entries = [
+        new TimeEntry('clock-in', new Date('2025-11-13T09:00:00')),
+        new TimeEntry('clock-out', new Date('2025-11-13T16:00:00')),
+        new TimeEntry('clock-in', new Date('2025-11-14T09:00:00')),
+        new TimeEntry('clock-out', new Date('2025-11-14T13:30:00')),
+        new TimeEntry('clock-in', new Date('2025-11-15T10:00:00')),
+        new TimeEntry('clock-out', new Date('2025-11-15T11:00:00'))
+    ];
+    const partTime = new WeeklyReportCalculator(new TimeCalculator([
+        { effectiveFrom: '2025-11-01', targets: [0, 420, 420, 420, 420, 240, 0] }
+    ]));
+
+    const stats = partTime.calculatePeriodStats({
+        startDate: new Date('2025-11-10T00:00:00'),
+        endDate: new Date('2025-11-16T00:00:00'),
+        entries,
+        sessions: [],
+        projects: []
+    });
+
+    Assert.equal(stats.period.completeDays, 4, 'Mardi 11 (férié), jeudi, vendredi et samedi atteignent leur objectif');
+    Assert.equal(stats.period.incompleteDays, 0);
+    Assert.equal(stats.time.totalTarget, 32 * 60 * 60 * 1000, 'Objectif de la semaine : 4 x 7h + 4h');
+    Assert.equal(stats.dailyStats[6].targetTime, 0, 'Dimanche non travaillé');
+    Assert.isFalse(stats.dailyStats[6].isComplete, 'Un jour non travaillé sans pointage n\'est pas complet');
+});
+
+runner.test('Crédite les jours fériés et les absences', () => {
+    // Lundi en congé, mardi 11 novembre férié, mercredi 4h + demi-journée, jeudi arrêt maladie
+    const entries = [
+        new TimeEntry('clock-in', new Date('2025-11-12T08:00:00')),
+        new TimeEntry('clock-out', new Date('2025-11-12T12:00:00'))
+    ];
+    const absences = [
+        new Absence('2025-11-10', ABSENCE_TYPES.PAID_LEAVE),
+        new Absence('2025-11-12', ABSENCE_TYPES.HALF_DAY_LEAVE),
+        new Absence('2025-11-13', ABSENCE_TYPES.SICK)
+    ];
+
+    const stats = calculator.calculatePeriodStats({
+        startDate: new Date('2025-11-10T00:00:00'),
+        endDate: new Date('2025-11-14T00:00:00'),
+        entries,
+        sessions: [],
+        projects: [],
+        absences
+    });
+
+    const [monday, tuesday, wednesday, thursday, friday] = stats.dailyStats;
+    Assert.isTrue(monday.isComplete, 'Congé payé : journée créditée');
+    Assert.equal(tuesday.holiday, 'Armistice 1918');
+    Assert.isTrue(tuesday.isComplete, 'Jour férié crédité sans saisie');
+    Assert.equal(wednesday.creditedTime, 4 * 60 * 60 * 1000, 'Demi-journée : moitié de l\'objectif');
+    Assert.isTrue(wednesday.isComplete, '4h pointées + 4h créditées');
+    Assert.equal(thursday.absences.length, 1);
+    Assert.isFalse(friday.isComplete);
+    Assert.equal(stats.period.absenceDays, 4);
+    Assert.equal(stats.period.incompleteDays, 0);
+    Assert.equal(stats.time.totalCredited, 28 * 60 * 60 * 1000);
+});
+
 runner.test('Calcule le temps moyen par jour', () => {
     // 2 jours: 8h et 7h
     const entries = [
@@ -130,8 +195,8 @@ runner.test('Calcule le temps moyen par jour', () => {
     ];
 
     const stats = calculator.calculatePeriodStats({
-        startDate: new Date('2025-11-13'),
-        endDate: new Date('2025-11-14'),
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-14T00:00:00'),
         entries,
         sessions: [],
         projects: []
@@ -141,5 +206,133 @@ runner.test('Calcule le temps moyen par jour', () => {
     Assert.equal(avgHours, 7.5, 'Moyenne devrait être 7.5h');
 });
 
+// ======================
+// Tests des sessions qui passent minuit
+// ======================
+
+runner.test('Répartit une session de nuit entre les deux jours', () => {
+    const project = new Project('Projet nuit');
+    const session = new ProjectSession(
+        project.id,
+        new Date('2025-11-13T22:00:00'),
+        new Date('2025-11-14T02:00:00')
+    );
+
+    const stats = calculator.calculatePeriodStats({
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-14T00:00:00'),
+        entries: [],
+        sessions: [session],
+        projects: [project]
+    });
+
+    const hours = (ms) => ms / (1000 * 60 * 60);
+    Assert.equal(hours(stats.dailyStats[0].projectTime), 2, 'Le 13 devrait recevoir 2h');
+    Assert.equal(hours(stats.dailyStats[1].projectTime), 2, 'Le 14 devrait recevoir 2h');
+    Assert.isTrue(stats.dailyStats[0].continuesNextDay, 'Le 13 devrait indiquer la suite le lendemain');
+    Assert.equal(hours(stats.projectStats[0].dailyDurations['2025-11-14']), 2);
+    Assert.deepEqual(stats.projectStats[0].continuedDays, ['2025-11-13']);
+});
+
+runner.test('Ne compte que la part de la session comprise dans la période', () => {
+    const project = new Project('Projet nuit');
+    const session = new ProjectSession(
+        project.id,
+        new Date('2025-11-13T22:00:00'),
+        new Date('2025-11-14T02:00:00')
+    );
+
+    const stats = calculator.calculatePeriodStats({
+        startDate: new Date('2025-11-14T00:00:00'),
+        endDate: new Date('2025-11-14T00:00:00'),
+        entries: [],
+        sessions: [session],
+        projects: [project]
+    });
+
+    Assert.equal(stats.projectStats[0].duration, 2 * 60 * 60 * 1000, 'Seules 2h devraient être comptées');
+    Assert.equal(stats.time.totalProject, 2 * 60 * 60 * 1000);
+});
+
+runner.test('Répartit une présence de nuit entre les deux jours', () => {
+    const entries = [
+        new TimeEntry('clock-in', new Date('2025-11-13T21:00:00')),
+        new TimeEntry('clock-out', new Date('2025-11-14T03:00:00'))
+    ];
+
+    const stats = calculator.calculatePeriodStats({
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-14T00:00:00'),
+        entries,
+        sessions: [],
+        projects: []
+    });
+
+    const hours = (ms) => ms / (1000 * 60 * 60);
+    Assert.equal(hours(stats.dailyStats[0].presenceTime), 3, 'Le 13 devrait recevoir 3h');
+    Assert.equal(hours(stats.dailyStats[1].presenceTime), 3, 'Le 14 devrait recevoir 3h');
+    Assert.equal(stats.period.workedDays, 2);
+});
+
+// ======================
+// Tests du filtre des projets archivés
+// ======================
+
+/**
+ * Crée un projet actif et un projet archivé avec une session d'une heure chacun
+ * @returns {{projects: Project[], sessions: ProjectSession[], archived: Project}}
+ */
+function createArchiveData() {
+    const active = new Project('Projet actif');
+    const archived = new Project('Projet archivé');
+    archived.archive();
+
+    const sessions = [
+        new ProjectSession(active.id, new Date('2025-11-13T09:00:00'), new Date('2025-11-13T10:00:00')),
+        new ProjectSession(archived.id, new Date('2025-11-13T10:00:00'), new Date('2025-11-13T11:00:00'))
+    ];
+
+    return { projects: [active, archived], sessions, archived };
+}
+
+runner.test('Inclut les projets archivés par défaut et les signale', () => {
+    const { projects, sessions, archived } = createArchiveData();
+
+    const stats = calculator.calculatePeriodStats({
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-13T00:00:00'),
+        entries: [],
+        sessions,
+        projects
+    });
+
+    const archivedStat = stats.projectStats.find(p => p.projectId === archived.id);
+    Assert.equal(stats.projectStats.length, 2);
+    Assert.equal(archivedStat.projectName, 'Projet archivé', 'Le nom du projet archivé devrait être retrouvé');
+    Assert.isTrue(archivedStat.archived);
+});
+
+runner.test('Filtre les sessions selon l\'archivage de leur projet', () => {
+    const { projects, sessions, archived } = createArchiveData();
+    const options = {
+        startDate: new Date('2025-11-13T00:00:00'),
+        endDate: new Date('2025-11-13T00:00:00'),
+        entries: [],
+        sessions,
+        projects
+    };
+
+    const onlyArchived = calculator.calculatePeriodStats({ ...options, archiveFilter: ArchiveFilter.ARCHIVED });
+    const onlyActive = calculator.calculatePeriodStats({ ...options, archiveFilter: ArchiveFilter.ACTIVE });
+
+    Assert.equal(onlyArchived.projectStats.length, 1);
+    Assert.equal(onlyArchived.projectStats[0].projectId, archived.id);
+    Assert.equal(onlyActive.time.totalProject, 60 * 60 * 1000, 'Seule la session active devrait compter');
+});
+
+runner.test('Lance une erreur avec un filtre d\'archivage inconnu', () => {
+    Assert.throws(() => calculator.filterSessionsByArchive([], [], 'inconnu'));
+});
+
 // Exécuter les tests
 runner.run();
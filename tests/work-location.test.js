@@ -0,0 +1,116 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import {
+    WorkLocation,
+    DEFAULT_LOCATION_SETTINGS,
+    normalizeLocationSettings,
+    getDefaultLocation,
+    getDayLocations
+} from '../js/work-location.js';
+import { TimeEntry } from '../js/time-entry.js';
+import { WeeklyReportCalculator } from '../js/weekly-report.js';
+import { DataExporter } from '../js/data-export.js';
+
+const runner = new TestRunner();
+
+// Télétravail le lundi et le jeudi
+const HOME_MONDAY_THURSDAY = {
+    defaults: [
+        WorkLocation.OFFICE,
+        WorkLocation.HOME,
+        WorkLocation.OFFICE,
+        WorkLocation.OFFICE,
+        WorkLocation.HOME,
+        WorkLocation.OFFICE,
+        WorkLocation.OFFICE
+    ]
+};
+
+// ======================
+// Tests des lieux par défaut
+// ======================
+
+runner.test('Place tous les jours au bureau sans paramètres', () => {
+    Assert.deepEqual(normalizeLocationSettings(null), { defaults: [...DEFAULT_LOCATION_SETTINGS.defaults] });
+});
+
+runner.test('Refuse une semaine incomplète ou un lieu inconnu', () => {
+    Assert.throws(() => normalizeLocationSettings({ defaults: ['office'] }), Error);
+    Assert.throws(() => normalizeLocationSettings({ defaults: new Array(7).fill('cafe') }), Error);
+});
+
+runner.test('Propose le lieu du jour de la semaine', () => {
+    Assert.equal(getDefaultLocation(HOME_MONDAY_THURSDAY, '2025-11-13'), WorkLocation.HOME, 'Jeudi');
+    Assert.equal(getDefaultLocation(HOME_MONDAY_THURSDAY, new Date(2025, 10, 14, 9)), WorkLocation.OFFICE, 'Vendredi');
+    Assert.equal(getDefaultLocation(null, '2025-11-13'), WorkLocation.OFFICE, 'Bureau sans paramètres');
+});
+
+// ======================
+// Tests des pointages
+// ======================
+
+runner.test('Seule une arrivée porte un lieu, conservé par toJSON et fromJSON', () => {
+    const entry = new TimeEntry('clock-in', new Date(2025, 10, 13, 9), '', WorkLocation.HOME);
+
+    Assert.equal(TimeEntry.fromJSON(entry.toJSON()).location, WorkLocation.HOME);
+    Assert.isNull(TimeEntry.fromJSON({ ...entry.toJSON(), location: undefined }).location, 'Ancien pointage sans lieu');
+    Assert.throws(() => new TimeEntry('clock-out', new Date(2025, 10, 13, 18), '', WorkLocation.HOME), Error);
+    Assert.throws(() => entry.updateLocation('cafe'), Error);
+});
+
+// ======================
+// Tests du rapport et des exports
+// ======================
+
+runner.test('Le rapport compte les jours par lieu, un jour partagé compte pour chaque lieu', () => {
+    const entries = [
+        // Jeudi : matin chez le client, après-midi en télétravail
+        new TimeEntry('clock-in', new Date(2025, 10, 13, 9), '', WorkLocation.CLIENT),
+        new TimeEntry('clock-out', new Date(2025, 10, 13, 12)),
+        new TimeEntry('clock-in', new Date(2025, 10, 13, 14), '', WorkLocation.HOME),
+        new TimeEntry('clock-out', new Date(2025, 10, 13, 18)),
+        // Vendredi : télétravail
+        new TimeEntry('clock-in', new Date(2025, 10, 14, 9), '', WorkLocation.HOME),
+        new TimeEntry('clock-out', new Date(2025, 10, 14, 17)),
+        // Samedi : pointage sans lieu
+        new TimeEntry('clock-in', new Date(2025, 10, 15, 10)),
+        new TimeEntry('clock-out', new Date(2025, 10, 15, 12))
+    ];
+
+    const report = new WeeklyReportCalculator().calculatePeriodStats({
+        startDate: new Date(2025, 10, 13),
+        endDate: new Date(2025, 10, 16),
+        entries,
+        sessions: [],
+        projects: []
+    });
+
+    Assert.deepEqual(getDayLocations(entries.slice(0, 4)), [WorkLocation.CLIENT, WorkLocation.HOME]);
+    Assert.deepEqual(report.locationDays, { unspecified: 1, office: 0, home: 2, client: 1 });
+    Assert.deepEqual(report.dailyStats[3].locations, [], 'Dimanche non travaillé');
+
+    const csv = new DataExporter().exportWeeklyReportToCSV(report);
+    Assert.isTrue(csv.includes('Télétravail,2\n'));
+    Assert.isTrue(csv.includes('Sans lieu renseigné,1\n'));
+    Assert.isTrue(csv.includes('Chez le client / Télétravail'));
+});
+
+runner.test('L\'export des pointages ajoute la colonne du lieu', () => {
+    const entries = [
+        new TimeEntry('clock-in', new Date(2025, 10, 13, 9), '', WorkLocation.HOME),
+        new TimeEntry('clock-out', new Date(2025, 10, 13, 17))
+    ];
+    const exporter = new DataExporter();
+
+    const csv = exporter.exportTimeEntriesToCSV(entries).split('\n');
+    Assert.equal(csv[0], 'Date,Heure,Type,Lieu,Note');
+    Assert.isTrue(csv[1].endsWith(',Télétravail,'));
+
+    const json = JSON.parse(exporter.exportTimeEntriesToJSON(entries));
+    Assert.equal(json[0].location, WorkLocation.HOME);
+    Assert.isNull(json[1].location);
+});
+
+// Exécuter les tests
+runner.run();
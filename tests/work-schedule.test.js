@@ -0,0 +1,81 @@
+'use strict';
+
+import { TestRunner, Assert } from './test-runner.js';
+import { PART_TIME_SCHEDULE } from './fixtures.js';
+import {
+    DEFAULT_DAILY_TARGET,
+    getWeekday,
+    normalizeWorkSchedules,
+    addWorkSchedule,
+    getScheduleForDate,
+    getDailyTarget,
+    isWorkingDay,
+    getWeeklyTarget
+} from '../js/work-schedule.js';
+
+const runner = new TestRunner();
+
+const HOUR = 60 * 60 * 1000;
+
+const FULL_TIME = { effectiveFrom: '2025-06-01', targets: [0, 480, 480, 480, 480, 480, 0] };
+
+// ======================
+// Tests de validation
+// ======================
+
+runner.test('Trie l\'historique et refuse deux horaires à la même date', () => {
+    const schedules = normalizeWorkSchedules([PART_TIME_SCHEDULE, FULL_TIME]);
+
+    Assert.deepEqual(schedules.map(s => s.effectiveFrom), ['2025-06-01', '2025-11-01']);
+    Assert.deepEqual(normalizeWorkSchedules(null), []);
+    Assert.throws(() => normalizeWorkSchedules([PART_TIME_SCHEDULE, { ...FULL_TIME, effectiveFrom: '2025-11-01' }]));
+});
+
+runner.test('Refuse un horaire invalide', () => {
+    Assert.throws(() => normalizeWorkSchedules([{ effectiveFrom: '01/11/2025', targets: PART_TIME_SCHEDULE.targets }]));
+    Assert.throws(() => normalizeWorkSchedules([{ effectiveFrom: '2025-11-01', targets: [420, 420] }]));
+    Assert.throws(() => normalizeWorkSchedules([{ effectiveFrom: '2025-11-01', targets: [0, 420, 420, 420, 420, 1500, 0] }]));
+    Assert.throws(() => normalizeWorkSchedules([{ effectiveFrom: '2025-11-01', targets: [0, 0, 0, 0, 0, 0, 0] }]));
+});
+
+runner.test('Un horaire de même date d\'effet remplace le précédent', () => {
+    const schedules = addWorkSchedule([FULL_TIME, PART_TIME_SCHEDULE], { ...PART_TIME_SCHEDULE, targets: [0, 360, 360, 360, 360, 360, 0] });
+
+    Assert.equal(schedules.length, 2);
+    Assert.equal(schedules[1].targets[1], 360);
+});
+
+// ======================
+// Tests des objectifs
+// ======================
+
+runner.test('Retrouve le jour de la semaine d\'une date', () => {
+    Assert.equal(getWeekday('2025-11-13'), 4, 'Le 13 novembre 2025 est un jeudi');
+    Assert.equal(getWeekday('2025-11-16'), 0, 'Le 16 novembre 2025 est un dimanche');
+});
+
+runner.test('Applique l\'objectif du jour de la semaine', () => {
+    const schedules = normalizeWorkSchedules([PART_TIME_SCHEDULE]);
+
+    Assert.equal(getDailyTarget(schedules, '2025-11-13'), 7 * HOUR, 'Jeudi : 7h');
+    Assert.equal(getDailyTarget(schedules, '2025-11-14'), 4 * HOUR, 'Vendredi : 4h');
+    Assert.isFalse(isWorkingDay(schedules, '2025-11-15'), 'Samedi non travaillé');
+    Assert.equal(getWeeklyTarget(PART_TIME_SCHEDULE), 32 * HOUR);
+});
+
+runner.test('Un changement d\'horaire ne modifie pas les jours précédents', () => {
+    const schedules = normalizeWorkSchedules([FULL_TIME, PART_TIME_SCHEDULE]);
+
+    Assert.equal(getScheduleForDate(schedules, '2025-10-31').effectiveFrom, '2025-06-01');
+    Assert.equal(getDailyTarget(schedules, '2025-10-31'), 8 * HOUR, 'Vendredi avant le changement : 8h');
+    Assert.equal(getDailyTarget(schedules, '2025-11-07'), 4 * HOUR, 'Vendredi après le changement : 4h');
+});
+
+runner.test('Garde 8h par jour avant le premier horaire ou sans horaire', () => {
+    Assert.isNull(getScheduleForDate(normalizeWorkSchedules([PART_TIME_SCHEDULE]), '2025-05-03'));
+    Assert.equal(getDailyTarget(normalizeWorkSchedules([PART_TIME_SCHEDULE]), '2025-05-03'), DEFAULT_DAILY_TARGET);
+    Assert.equal(getDailyTarget([], '2025-11-16'), DEFAULT_DAILY_TARGET);
+});
+
+// Exécuter les tests
+runner.run();